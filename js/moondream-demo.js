@@ -45,10 +45,24 @@
  * 2. Utils           - DOM utilities, storage, clipboard helpers
  * 3. CanvasUtils     - Drawing utilities for bounding boxes, points, zones
  * 4. Strings         - UI text strings for easy localization
- * 5. ApiClient       - MoonDream API communication layer
+ * 5. ApiClient       - MoonDream API communication layer, sent through
+ *                      InferenceBackends (cloud, Moondream Station,
+ *                      OpenAI-compatible vision chat, offline Fixtures)
+ *                      and queued by ApiScheduler (per-backend limits,
+ *                      priorities, latest frame wins)
+ *                      with ApiError codes, ApiRetry backoff and a shared
+ *                      ApiCircuitBreaker; captions and answers can
+ *                      stream (SseParser); UsageMeter counts requests
+ *                      and enforces budgets
  * 6. MediaCapture    - Webcam/camera and image file handling
+ *                      (NetworkSource: MJPEG, HLS and snapshot cameras;
+ *                      ScreenSource: shared screen/window, cropped;
+ *                      MediaSources: open sources shared by all widgets;
+ *                      CapturePolicy: per-widget downscale, encoding, crop)
  * 7. WidgetBase      - Base class all widgets inherit from
- * 8. Widgets         - Individual feature implementations:
+ * 8. PTZ Control     - PTZCommand, VISCA encoder/decoder, PTZ transports,
+ *                      control law (proportional/PID), tuning simulator
+ * 9. Widgets         - Individual feature implementations:
  *    - ObjectDetectorWidget   : Zero-shot object detection
  *    - SmartCounterWidget     : Object counting with point markers
  *    - SceneAnalyzerWidget    : Image captioning and visual Q&A
@@ -56,19 +70,21 @@
  *    - ZoneMonitorWidget      : Custom zone monitoring with alerts
  *    - ProductionMonitorWidget: Video production quality dashboard
  *    - PTZTrackerWidget       : PTZ camera auto-tracking
- * 9. WidgetRegistry  - Maps widget IDs to their constructors
- * 10. WidgetList     - Metadata for UI card display
- * 11. WidgetInfo     - Help content for each widget
- * 12. Dashboard      - Main application controller
- * 13. MoonDemo       - Public API exposed to window
+ * 10. WidgetRegistry - Maps widget IDs to their constructors
+ * 11. WidgetList     - Metadata for UI card display
+ * 12. WidgetInfo     - Help content for each widget
+ *     SelfCheck      - Runs every widget against the offline fixtures
+ * 13. Dashboard      - Main application controller
+ * 14. MoonDemo       - Public API exposed to window
  *
  * ============================================================================
  * DATA FLOW
  * ============================================================================
  *
- * 1. User starts webcam → MediaCapture.startWebcam() → stream to <video>
+ * 1. User starts webcam → MediaSources.open() → shared stream to each widget's <video>
  * 2. User clicks action → Widget captures frame → MediaCapture.captureFrame()
- * 3. Frame sent to API → ApiClient._request() → MoonDream cloud
+ * 3. Frame sent to API → ApiClient._request() → ApiScheduler → selected backend
+ *    (MoonDream cloud, a local Moondream Station, or an OpenAI-compatible server)
  * 4. Results returned → Widget.display*() → CanvasUtils draws on overlay
  *
  * ============================================================================
@@ -99,8 +115,19 @@
      * @property {string} apiKey         - User's API key (set at runtime)
      * @property {number} jpegQuality    - Quality for frame capture (0-1)
      * @property {number} requestTimeout - API request timeout in milliseconds
-     * @property {number} maxVideoSizeMB - Maximum video file size for upload
+     * @property {number} maxVideoSizeMB - Maximum size of a video file opened for playback
      * @property {string} storageKey     - sessionStorage key for API key
+     * @property {string} presetStorageKey - localStorage key for PTZ camera presets
+     * @property {string} cameraStorageKey - localStorage key for PTZ camera profiles
+     * @property {string} credentialStorageKey - sessionStorage key for PTZ camera passwords
+     * @property {string} limitStorageKey - localStorage key for PTZ soft limits and no-go regions
+     * @property {string} backendStorageKey - localStorage key for the inference backend choice and URLs
+     * @property {string} backendKeyStorageKey - sessionStorage key for an OpenAI-compatible server's key
+     * @property {string} captureStorageKey - localStorage key for per-widget capture policies
+     * @property {string} usageStorageKey - localStorage key for usage budgets and the cost rate
+     * @property {string} fixtureStorageKey - localStorage key for the offline fixture file
+     * @property {string} networkSourceStorageKey - localStorage key for saved network cameras
+     * @property {string} networkCredentialStorageKey - sessionStorage key for network camera passwords
      * @property {object} colors         - Color palette for UI elements
      */
     var CONFIG = {
@@ -108,8 +135,19 @@
         apiKey: null,                                // Set by user via UI
         jpegQuality: 0.85,                           // Balance quality vs size
         requestTimeout: 30000,                       // 30 second timeout
-        maxVideoSizeMB: 200,                         // Max upload size
+        maxVideoSizeMB: 200,                         // Max video file size (Open Video)
         storageKey: 'moondream_api_key',             // sessionStorage key
+        presetStorageKey: 'moondream_ptz_presets',   // localStorage key (presets persist)
+        cameraStorageKey: 'moondream_ptz_cameras',   // localStorage key (no passwords)
+        credentialStorageKey: 'moondream_ptz_credentials', // sessionStorage key
+        limitStorageKey: 'moondream_ptz_limits',     // localStorage key (limits persist)
+        backendStorageKey: 'moondream_backend',      // localStorage key (no keys)
+        backendKeyStorageKey: 'moondream_backend_key', // sessionStorage key
+        captureStorageKey: 'moondream_capture_policies', // localStorage key (per widget)
+        usageStorageKey: 'moondream_usage_budget',   // localStorage key (history is in IndexedDB)
+        fixtureStorageKey: 'moondream_fixtures',     // localStorage key (recorded replies and rules)
+        networkSourceStorageKey: 'moondream_network_sources', // localStorage key (no passwords)
+        networkCredentialStorageKey: 'moondream_network_credentials', // sessionStorage key
         colors: {
             primary: '#6366f1',      // Main brand color (indigo)
             secondary: '#8b5cf6',    // Secondary actions (purple)
@@ -263,6 +301,34 @@
         getColor: function(index) {
             var colors = ['#00ff88', '#ff6b6b', '#6bcfff', '#ffd93d', '#ff9ff3', '#54a0ff', '#5f27cd', '#00d2d3'];
             return colors[index % colors.length];
+        },
+
+        /**
+         * Short text for a wait, rounded up: '45s', '12m', '3h 5m'.
+         *
+         * @param {number} ms - Duration in milliseconds
+         * @returns {string}
+         */
+        formatDuration: function(ms) {
+            var seconds = Math.ceil(Math.max(0, ms) / 1000);
+            if (seconds < 60) return seconds + 's';
+            var minutes = Math.ceil(seconds / 60);
+            if (minutes < 60) return minutes + 'm';
+            return Math.floor(minutes / 60) + 'h ' + (minutes % 60) + 'm';
+        },
+
+        /**
+         * Playback position: '0:07', '12:30', '1:02:05'.
+         *
+         * @param {number} seconds - Position in seconds (NaN shows as 0:00)
+         * @returns {string}
+         */
+        formatClock: function(seconds) {
+            var total = Math.floor(isFinite(seconds) ? Math.max(0, seconds) : 0);
+            var hours = Math.floor(total / 3600);
+            var minutes = Math.floor(total / 60) % 60;
+            var secs = ('0' + (total % 60)).slice(-2);
+            return hours ? hours + ':' + ('0' + minutes).slice(-2) + ':' + secs : minutes + ':' + secs;
         }
     };
 
@@ -422,6 +488,158 @@
             return inside;
         },
 
+        /**
+         * Draw a simple time-series line chart with a zero line and an
+         * optional shaded band (e.g. a deadzone).
+         * Used by: PTZ Tracker (error response plot)
+         *
+         * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+         * @param {number} width   - Canvas width in pixels
+         * @param {number} height  - Canvas height in pixels
+         * @param {Array} series   - [{label, color, points: [{t, v}, ...]}]
+         * @param {object} options - {minV, maxV, maxT, band: {min, max}, unit}
+         */
+        /**
+         * Draw a camera's pan/tilt space: soft limits (shaded outside),
+         * no-go regions and the current position. Pan grows to the right
+         * and tilt upward.
+         *
+         * @param {CanvasRenderingContext2D} ctx - Target context
+         * @param {number} width           - Canvas width
+         * @param {number} height          - Canvas height
+         * @param {object} limits          - PTZSoftLimits limits
+         * @param {object|null} position   - {pan, tilt} or null
+         * @param {object} range           - Default {panMin, panMax, tiltMin, tiltMax}
+         */
+        drawPanTiltMap: function(ctx, width, height, limits, position, range) {
+            // Fit the default range plus anything stored outside it
+            var b = { panMin: range.panMin, panMax: range.panMax, tiltMin: range.tiltMin, tiltMax: range.tiltMax };
+            function include(pan, tilt) {
+                if (typeof pan === 'number') { b.panMin = Math.min(b.panMin, pan); b.panMax = Math.max(b.panMax, pan); }
+                if (typeof tilt === 'number') { b.tiltMin = Math.min(b.tiltMin, tilt); b.tiltMax = Math.max(b.tiltMax, tilt); }
+            }
+            include(limits.panMin, limits.tiltMin);
+            include(limits.panMax, limits.tiltMax);
+            limits.regions.forEach(function(r) { include(r.panMin, r.tiltMin); include(r.panMax, r.tiltMax); });
+            if (position) include(position.pan, position.tilt);
+
+            var pad = 10;
+            var plotW = width - pad * 2;
+            var plotH = height - pad * 2;
+            function toX(pan) { return pad + (pan - b.panMin) / (b.panMax - b.panMin) * plotW; }
+            function toY(tilt) { return pad + (1 - (tilt - b.tiltMin) / (b.tiltMax - b.tiltMin)) * plotH; }
+            function bound(value, fallback) { return typeof value === 'number' ? value : fallback; }
+
+            ctx.clearRect(0, 0, width, height);
+
+            // Outside the soft limits is shaded; inside is the allowed area
+            ctx.fillStyle = limits.enabled ? 'rgba(239, 68, 68, 0.15)' : 'rgba(255,255,255,0.04)';
+            ctx.fillRect(pad, pad, plotW, plotH);
+            var left = toX(bound(limits.panMin, b.panMin));
+            var right = toX(bound(limits.panMax, b.panMax));
+            var top = toY(bound(limits.tiltMax, b.tiltMax));
+            var bottom = toY(bound(limits.tiltMin, b.tiltMin));
+            ctx.clearRect(left, top, right - left, bottom - top);
+            ctx.strokeStyle = limits.enabled ? CONFIG.colors.success : 'rgba(255,255,255,0.4)';
+            ctx.setLineDash(limits.enabled ? [] : [4, 4]);
+            ctx.strokeRect(left, top, right - left, bottom - top);
+            ctx.setLineDash([]);
+
+            // Home axes (pan 0 / tilt 0)
+            ctx.strokeStyle = 'rgba(255,255,255,0.2)';
+            ctx.beginPath();
+            ctx.moveTo(toX(0), pad);
+            ctx.lineTo(toX(0), pad + plotH);
+            ctx.moveTo(pad, toY(0));
+            ctx.lineTo(pad + plotW, toY(0));
+            ctx.stroke();
+
+            // No-go regions
+            ctx.font = '10px system-ui, sans-serif';
+            limits.regions.forEach(function(r) {
+                var x = toX(r.panMin), y = toY(r.tiltMax);
+                var w = toX(r.panMax) - x, h = toY(r.tiltMin) - y;
+                ctx.fillStyle = 'rgba(239, 68, 68, 0.35)';
+                ctx.fillRect(x, y, w, h);
+                ctx.strokeStyle = CONFIG.colors.error;
+                ctx.strokeRect(x, y, w, h);
+                ctx.fillStyle = '#fff';
+                ctx.fillText(r.name, x + 3, y + 11);
+            });
+
+            // Camera position
+            ctx.fillStyle = 'rgba(255,255,255,0.6)';
+            ctx.fillText('pan ' + b.panMin + '..' + b.panMax + ', tilt ' + b.tiltMin + '..' + b.tiltMax, pad + 2, height - 2);
+            if (position) {
+                ctx.fillStyle = CONFIG.colors.person;
+                ctx.beginPath();
+                ctx.arc(toX(position.pan), toY(position.tilt), 5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        },
+
+        drawLineChart: function(ctx, width, height, series, options) {
+            options = options || {};
+            var pad = 28;
+            var minV = options.minV !== undefined ? options.minV : -50;
+            var maxV = options.maxV !== undefined ? options.maxV : 50;
+            var maxT = options.maxT || 1;
+            var plotW = width - pad * 2;
+            var plotH = height - pad * 2;
+
+            function toX(t) { return pad + (t / maxT) * plotW; }
+            function toY(v) {
+                var clamped = Math.max(minV, Math.min(maxV, v));
+                return pad + (1 - (clamped - minV) / (maxV - minV)) * plotH;
+            }
+
+            ctx.clearRect(0, 0, width, height);
+
+            // Band (deadzone)
+            if (options.band) {
+                ctx.fillStyle = 'rgba(34, 197, 94, 0.12)';
+                ctx.fillRect(pad, toY(options.band.max), plotW, toY(options.band.min) - toY(options.band.max));
+            }
+
+            // Axes and zero line
+            ctx.strokeStyle = 'rgba(255,255,255,0.25)';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(pad, pad, plotW, plotH);
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(pad, toY(0));
+            ctx.lineTo(pad + plotW, toY(0));
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Axis labels
+            ctx.fillStyle = 'rgba(255,255,255,0.6)';
+            ctx.font = '10px system-ui, sans-serif';
+            ctx.fillText(maxV + (options.unit || ''), 2, pad + 4);
+            ctx.fillText(minV + (options.unit || ''), 2, pad + plotH);
+            ctx.fillText('0s', pad, height - 8);
+            ctx.fillText(maxT.toFixed(1) + 's', pad + plotW - 20, height - 8);
+
+            // Series
+            series.forEach(function(s, index) {
+                if (!s.points.length) return;
+                ctx.strokeStyle = s.color;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                s.points.forEach(function(p, i) {
+                    if (i === 0) ctx.moveTo(toX(p.t), toY(p.v));
+                    else ctx.lineTo(toX(p.t), toY(p.v));
+                });
+                ctx.stroke();
+
+                // Legend
+                ctx.fillStyle = s.color;
+                ctx.fillRect(pad + 8 + index * 80, 8, 10, 10);
+                ctx.fillStyle = 'rgba(255,255,255,0.8)';
+                ctx.fillText(s.label, pad + 22 + index * 80, 17);
+            });
+        },
+
         /**
          * Clear the entire canvas (remove all drawings).
          *
@@ -435,3639 +653,12939 @@
     };
 
     // ============================================================
-    // API CLIENT
+    // INFERENCE BACKENDS
     // ============================================================
     /**
-     * ApiClient - MoonDream API communication layer.
+     * InferenceBackends - Where ApiClient sends its requests.
      *
-     * Handles all HTTP requests to the MoonDream cloud API.
-     * API documentation: https://docs.moondream.ai
+     * | Backend | Server                              | Auth             | query | caption | detect | point | In flight |
+     * |---------|-------------------------------------|------------------|-------|---------|--------|-------|-----------|
+     * | cloud   | CONFIG.apiBaseUrl                   | X-Moondream-Auth | yes   | yes     | yes    | yes   | 4         |
+     * | station | Local Moondream Station / server    | none             | yes   | yes     | yes    | yes   | 1         |
+     * | openai  | OpenAI-compatible /chat/completions | optional Bearer  | yes   | yes     | *      | *     | 1         |
+     * | fixture | In-page canned replies (Fixtures)   | none             | yes   | yes     | yes    | yes   | 2         |
      *
-     * Authentication:
-     * - API key is sent via 'X-Moondream-Auth' header
-     * - Key is stored in CONFIG.apiKey at runtime
+     * * Only when the model is marked as able to return coordinates.
      *
-     * Endpoints used:
-     * - /query   : Visual question answering
-     * - /detect  : Object detection with bounding boxes
-     * - /point   : Object location with point coordinates
-     * - /caption : Image description generation
+     * "In flight" is maxInFlight, the most requests ApiScheduler runs at
+     * once on that backend; local servers work on one image at a time.
+     *
+     * Each backend turns a Moondream endpoint and body into an HTTP request
+     * (request) and the reply back into the Moondream response shape
+     * (parse), so widgets see the same results whichever backend is used.
+     * An offline backend provides respond() instead of request(): it
+     * returns the status and body a server would have sent.
+     * The OpenAI-compatible backend asks for each skill with a prompt and
+     * reads detect/point coordinates from a JSON reply. Widgets tag
+     * elements with data-capability="detect" (etc.) and WidgetBase greys
+     * them out when the backend lacks that skill.
+     *
+     * Caption and query replies can be streamed (ApiClient.captionStream
+     * and queryStream): parseChunk reads one server-sent event into
+     * {text, done}.
+     *
+     * To add a backend, add an entry to `backends` and to `list`.
+     *
+     * Settings persist in localStorage (CONFIG.backendStorageKey); an
+     * OpenAI-compatible server key stays in sessionStorage like the cloud key.
      */
-    var ApiClient = {
-        /**
-         * Check if an API key has been configured.
-         * @returns {boolean} - True if API key is set
-         */
-        hasApiKey: function() {
-            return !!CONFIG.apiKey;
+    var InferenceBackends = {
+        CAPABILITIES: ['query', 'caption', 'detect', 'point'],
+
+        SKILL_LABELS: { query: 'Question answering', caption: 'Captioning', detect: 'Object detection', point: 'Pointing' },
+
+        list: [
+            { id: 'cloud', label: 'MoonDream Cloud' },
+            { id: 'station', label: 'Moondream Station (local)' },
+            { id: 'openai', label: 'OpenAI-compatible server' },
+            { id: 'fixture', label: 'Offline fixtures (demo and testing)' }
+        ],
+
+        /** Active settings (see createSettings). */
+        settings: null,
+
+        createSettings: function() {
+            return {
+                backend: 'cloud',
+                stationUrl: 'http://localhost:2020/v1',
+                openaiUrl: 'http://localhost:11434/v1',
+                openaiModel: '',
+                openaiKey: '',
+                openaiGrounding: false,     // Model can return box/point coordinates
+                fixtureLatencyMs: 300,      // Offline fixtures: delay before each reply
+                fixtureError: 'none',       // ... error to inject (see Fixtures)
+                fixtureErrorEvery: 1        // ... on every Nth request
+            };
         },
 
-        /**
-         * Internal method to make API requests.
-         * All public methods use this for consistent error handling.
-         *
-         * @param {string} endpoint - API endpoint path (e.g., '/detect')
-         * @param {object} body     - Request body to send as JSON
-         * @returns {Promise}       - Resolves with parsed JSON response
-         * @private
-         */
-        _request: function(endpoint, body) {
-            return new Promise(function(resolve, reject) {
-                if (!CONFIG.apiKey) {
-                    reject(new Error('API key not configured. Please enter your MoonDream API key.'));
-                    return;
-                }
+        /** Read stored settings into InferenceBackends.settings. */
+        load: function() {
+            var settings = this.createSettings();
+            try {
+                var stored = JSON.parse(localStorage.getItem(CONFIG.backendStorageKey) || '{}') || {};
+                Object.keys(settings).forEach(function(key) {
+                    if (key !== 'openaiKey' && stored[key] !== undefined) settings[key] = stored[key];
+                });
+                settings.openaiKey = sessionStorage.getItem(CONFIG.backendKeyStorageKey) || '';
+            } catch (e) {
+                // Storage may be disabled; use defaults
+            }
+            if (!this.backends[settings.backend]) settings.backend = 'cloud';
+            this.settings = settings;
+            return settings;
+        },
 
-                var xhr = new XMLHttpRequest();
-                xhr.open('POST', CONFIG.apiBaseUrl + endpoint, true);
-                xhr.setRequestHeader('Content-Type', 'application/json');
-                xhr.setRequestHeader('X-Moondream-Auth', CONFIG.apiKey);
-                xhr.timeout = CONFIG.requestTimeout;
+        /** Make settings active and store them (the key only for this session). */
+        save: function(settings) {
+            this.settings = settings;
+            try {
+                var stored = {};
+                Object.keys(settings).forEach(function(key) {
+                    if (key !== 'openaiKey') stored[key] = settings[key];
+                });
+                localStorage.setItem(CONFIG.backendStorageKey, JSON.stringify(stored));
+                if (settings.openaiKey) sessionStorage.setItem(CONFIG.backendKeyStorageKey, settings.openaiKey);
+                else sessionStorage.removeItem(CONFIG.backendKeyStorageKey);
+            } catch (e) {
+                // Settings still apply for this page
+            }
+        },
 
-                xhr.onload = function() {
-                    if (xhr.status >= 200 && xhr.status < 300) {
-                        try {
-                            resolve(JSON.parse(xhr.responseText));
-                        } catch (e) {
-                            reject(new Error('Invalid JSON response'));
+        /** The backend definition for settings (default: active settings). */
+        get: function(settings) {
+            return this.backends[(settings || this.settings || this.load()).backend];
+        },
+
+        label: function(settings) {
+            var id = (settings || this.settings || this.load()).backend;
+            return this.list.filter(function(entry) { return entry.id === id; })[0].label;
+        },
+
+        /** {query, caption, detect, point} → boolean for settings. */
+        capabilities: function(settings) {
+            settings = settings || this.settings || this.load();
+            return this.backends[settings.backend].capabilities(settings);
+        },
+
+        supports: function(capability, settings) {
+            return !!this.capabilities(settings)[capability];
+        },
+
+        /** True if the backend needs the MoonDream cloud API key. */
+        needsKey: function(settings) {
+            return !!this.get(settings).needsKey;
+        },
+
+        _joinUrl: function(base, path) {
+            return String(base || '').replace(/\/+$/, '') + path;
+        },
+
+        backends: {
+            cloud: {
+                needsKey: true,
+                maxInFlight: 4,
+                capabilities: function() {
+                    return { query: true, caption: true, detect: true, point: true };
+                },
+                request: function(endpoint, body) {
+                    return {
+                        url: CONFIG.apiBaseUrl + endpoint,
+                        headers: { 'Content-Type': 'application/json', 'X-Moondream-Auth': CONFIG.apiKey },
+                        body: body
+                    };
+                },
+                parse: function(endpoint, data) { return data; },
+                parseChunk: function(endpoint, data) { return InferenceBackends.moondreamChunk(data); }
+            },
+
+            // Moondream Station and the self-hosted server expose the cloud's REST API without a key
+            station: {
+                needsKey: false,
+                maxInFlight: 1,
+                capabilities: function() {
+                    return { query: true, caption: true, detect: true, point: true };
+                },
+                request: function(endpoint, body, settings) {
+                    return {
+                        url: InferenceBackends._joinUrl(settings.stationUrl, endpoint),
+                        headers: { 'Content-Type': 'application/json' },
+                        body: body
+                    };
+                },
+                parse: function(endpoint, data) { return data; },
+                parseChunk: function(endpoint, data) { return InferenceBackends.moondreamChunk(data); }
+            },
+
+            openai: {
+                needsKey: false,
+                maxInFlight: 1,
+                capabilities: function(settings) {
+                    var grounding = !!settings.openaiGrounding;
+                    return { query: true, caption: true, detect: grounding, point: grounding };
+                },
+                request: function(endpoint, body, settings) {
+                    var headers = { 'Content-Type': 'application/json' };
+                    if (settings.openaiKey) headers.Authorization = 'Bearer ' + settings.openaiKey;
+                    return {
+                        url: InferenceBackends._joinUrl(settings.openaiUrl, '/chat/completions'),
+                        headers: headers,
+                        body: {
+                            model: settings.openaiModel,
+                            stream: !!body.stream,
+                            temperature: 0,
+                            max_tokens: endpoint === '/caption' && body.length === 'long' ? 600 : 300,
+                            messages: [{
+                                role: 'user',
+                                content: [
+                                    { type: 'text', text: InferenceBackends.prompt(endpoint, body) },
+                                    { type: 'image_url', image_url: { url: body.image_url } }
+                                ]
+                            }]
                         }
-                    } else if (xhr.status === 401) {
-                        reject(new Error('Invalid API key. Please check your MoonDream API key.'));
-                    } else if (xhr.status === 429) {
-                        reject(new Error('Rate limit exceeded. Please wait a moment.'));
-                    } else {
-                        reject(new Error('Request failed (' + xhr.status + ')'));
+                    };
+                },
+                parse: function(endpoint, data) {
+                    var message = data && data.choices && data.choices[0] && data.choices[0].message;
+                    if (!message) throw new Error('Unexpected reply from the OpenAI-compatible server');
+                    // Some servers return content as an array of parts
+                    var text = Array.isArray(message.content) ?
+                        message.content.map(function(part) { return part.text || ''; }).join('') :
+                        String(message.content || '');
+                    switch (endpoint) {
+                        case '/query': return { answer: text.trim() };
+                        case '/caption': return { caption: text.trim() };
+                        case '/detect': return { objects: InferenceBackends.parseCoordinates(text, 'objects') };
+                        case '/point': return { points: InferenceBackends.parseCoordinates(text, 'points') };
                     }
-                };
+                    return {};
+                },
+                parseChunk: function(endpoint, data) {
+                    if (data === '[DONE]') return { text: '', done: true };
+                    var event;
+                    try {
+                        event = JSON.parse(data);
+                    } catch (e) {
+                        return null;
+                    }
+                    var choice = event && event.choices && event.choices[0];
+                    if (!choice || !choice.delta) return null;
+                    return { text: choice.delta.content || '', done: !!choice.finish_reason };
+                }
+            },
 
-                xhr.onerror = function() { reject(new Error('Network error')); };
-                xhr.ontimeout = function() { reject(new Error('Request timed out')); };
-                xhr.send(JSON.stringify(body));
-            });
+            // Canned replies in the page, for demos without a network and for SelfCheck
+            fixture: {
+                needsKey: false,
+                maxInFlight: 2,
+                capabilities: function() {
+                    return { query: true, caption: true, detect: true, point: true };
+                },
+                respond: function(endpoint, body, settings) { return Fixtures.respond(endpoint, body, settings); },
+                parse: function(endpoint, data) { return data; },
+                parseChunk: function(endpoint, data) { return InferenceBackends.moondreamChunk(data); }
+            }
         },
 
         /**
-         * Visual Question Answering - Ask questions about an image.
-         * Used by: Scene Analyzer
-         *
-         * @param {string} imageData - Base64 data URL of the image
-         * @param {string} question  - Natural language question about the image
-         * @returns {Promise}        - Resolves with {answer: string}
+         * Read one streamed event from the Moondream API:
+         * {"chunk": "text"} ... {"completed": true}.
          *
-         * @example
-         * ApiClient.query(frame, "How many people are in this image?")
-         *   .then(response => console.log(response.answer));
+         * @param {string} data - Event data
+         * @returns {object|null} - {text, done}, or null if not a stream event
          */
-        query: function(imageData, question) {
-            return this._request('/query', {
-                image_url: imageData,
-                question: question
-            });
+        moondreamChunk: function(data) {
+            var event;
+            try {
+                event = JSON.parse(data);
+            } catch (e) {
+                return null;
+            }
+            if (!event || (event.chunk === undefined && event.completed === undefined)) return null;
+            return { text: event.chunk || '', done: !!event.completed };
         },
 
-        /**
-         * Object Detection - Find objects and return bounding boxes.
-         * Used by: Object Detector, Person Tracker, Zone Monitor, PTZ Tracker
-         *
-         * @param {string} imageData  - Base64 data URL of the image
-         * @param {string} objectName - What to detect (e.g., "person", "car", "face")
-         * @returns {Promise}         - Resolves with {objects: [{x_min, y_min, x_max, y_max}, ...]}
-         *
-         * @example
-         * ApiClient.detect(frame, "person")
-         *   .then(response => response.objects.forEach(drawBox));
-         */
-        detect: function(imageData, objectName) {
-            return this._request('/detect', {
-                image_url: imageData,
-                object: objectName
-            });
+        /** The reply shape for a finished stream. */
+        streamResult: function(endpoint, text) {
+            return endpoint === '/query' ? { answer: text.trim() } : { caption: text.trim() };
         },
 
-        /**
-         * Point Detection - Find objects and return center point coordinates.
-         * Used by: Smart Counter
-         *
-         * @param {string} imageData  - Base64 data URL of the image
-         * @param {string} objectName - What to count (e.g., "person", "chair")
-         * @returns {Promise}         - Resolves with {points: [{x, y}, ...]}
-         *
-         * @example
-         * ApiClient.point(frame, "chair")
-         *   .then(response => console.log("Found " + response.points.length + " chairs"));
-         */
-        point: function(imageData, objectName) {
-            return this._request('/point', {
-                image_url: imageData,
-                object: objectName
-            });
+        /** Prompt for a skill on a generic vision chat model. */
+        prompt: function(endpoint, body) {
+            switch (endpoint) {
+                case '/query':
+                    return body.question;
+                case '/caption':
+                    return {
+                        short: 'Describe this image in one short sentence.',
+                        long: 'Describe this image in detail.'
+                    }[body.length] || 'Describe this image in two or three sentences.';
+                case '/detect':
+                    return 'Find every ' + body.object + ' in this image. Reply with JSON only: ' +
+                        '{"objects": [{"x_min": 0.1, "y_min": 0.2, "x_max": 0.3, "y_max": 0.4}]}, ' +
+                        'with coordinates as fractions (0 to 1) of the image width and height. ' +
+                        'Reply {"objects": []} if there are none.';
+                case '/point':
+                    return 'Point to every ' + body.object + ' in this image. Reply with JSON only: ' +
+                        '{"points": [{"x": 0.5, "y": 0.5}]}, with the center of each one as fractions ' +
+                        '(0 to 1) of the image width and height. Reply {"points": []} if there are none.';
+            }
+            return '';
         },
 
         /**
-         * Image Captioning - Generate a natural language description.
-         * Used by: Scene Analyzer, Production Monitor
-         *
-         * @param {string} imageData - Base64 data URL of the image
-         * @param {string} length    - Caption length: 'short', 'normal', or 'long'
-         * @returns {Promise}        - Resolves with {caption: string}
+         * Read boxes or points from a model reply. Accepts the JSON asked
+         * for in prompt(), a bare array, code fences, [x1, y1, x2, y2]
+         * boxes and 0-1000 scaled coordinates (common in grounding models).
          *
-         * @example
-         * ApiClient.caption(frame, "normal")
-         *   .then(response => console.log(response.caption));
+         * @param {string} text - Model reply
+         * @param {string} key  - 'objects' (boxes) or 'points'
+         * @returns {Array}     - Moondream-shaped boxes or points (0-1)
          */
-        caption: function(imageData, length) {
-            return this._request('/caption', {
-                image_url: imageData,
-                length: length || 'normal',
-                stream: false
+        parseCoordinates: function(text, key) {
+            var start = text.search(/[\[{]/);
+            var end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+            var data;
+            try {
+                data = JSON.parse(text.slice(start, end + 1));
+            } catch (e) {
+                throw new Error('The model did not reply with coordinates. Turn off "Model can return coordinates" in Backend settings.');
+            }
+            var items = Array.isArray(data) ? data : (data[key] || data.objects || data.points || []);
+            var boxes = key === 'objects';
+
+            var values = items.map(function(item) {
+                if (Array.isArray(item)) return item.slice(0, boxes ? 4 : 2);
+                if (item && (item.bbox || item.bbox_2d || item.box)) return (item.bbox || item.bbox_2d || item.box).slice(0, 4);
+                return boxes ? [item.x_min, item.y_min, item.x_max, item.y_max] : [item.x, item.y];
+            }).filter(function(v) {
+                return v.length === (boxes ? 4 : 2) && v.every(function(n) { return typeof n === 'number' && isFinite(n); });
+            });
+
+            var max = 0;
+            values.forEach(function(v) { max = Math.max.apply(null, [max].concat(v)); });
+            var scale = max > 1 ? 1000 : 1;
+            function fraction(n) { return Math.max(0, Math.min(1, n / scale)); }
+
+            return values.map(function(v) {
+                return boxes ?
+                    { x_min: fraction(Math.min(v[0], v[2])), y_min: fraction(Math.min(v[1], v[3])),
+                      x_max: fraction(Math.max(v[0], v[2])), y_max: fraction(Math.max(v[1], v[3])) } :
+                    { x: fraction(v[0]), y: fraction(v[1]) };
             });
         }
     };
 
     // ============================================================
-    // MEDIA CAPTURE
+    // OFFLINE FIXTURES
     // ============================================================
     /**
-     * MediaCapture - Webcam and image file handling.
+     * Fixtures - Canned replies for the offline 'fixture' backend.
      *
-     * Manages video stream from user's camera and provides frame capture
-     * functionality for sending to the API.
+     * Lets every demo run without a key or a network, and gives the
+     * self-check (SelfCheck) deterministic answers. A reply is found by:
+     * 1. Recorded replies, keyed by skill and prompt (the object name, the
+     *    question, or the caption length), compared without case.
+     * 2. The first rule whose skill matches and whose `match` equals the
+     *    prompt ('*' matches anything).
+     * In caption and answer text, {prompt} is replaced by the prompt.
      *
-     * Features:
-     * - Camera enumeration and selection
-     * - Resolution detection and switching
-     * - Frame capture to base64 data URL
-     * - Image file loading
+     * A fixture file is JSON:
+     *   {
+     *     "recorded": { "detect": { "person": { "objects": [...] } },
+     *                   "query": { "how many people?": { "answer": "Two" } } },
+     *     "rules": [ { "endpoint": "detect", "match": "car", "reply": { "objects": [] } } ]
+     *   }
+     * Loaded rules go before DEFAULT_RULES. With recording on, successful
+     * replies from the other backends are added to `recorded`, so a live
+     * session can be captured once and replayed offline.
      *
-     * Browser APIs used:
-     * - navigator.mediaDevices.getUserMedia() - Access camera
-     * - navigator.mediaDevices.enumerateDevices() - List cameras
-     * - HTMLCanvasElement.toDataURL() - Capture frames
+     * Backend settings add latency (fixtureLatencyMs) and injected errors:
+     * fixtureError ('unauthorized' 401, 'rate_limited' 429, 'server_error'
+     * 500, 'timeout') on every Nth request (fixtureErrorEvery).
      */
-    var MediaCapture = {
-        stream: null,
-        videoElement: null,
-        currentResolution: null,
-        currentDeviceId: null,
-        supportedResolutions: [],
-        availableCameras: [],
-
-        // Common resolutions to test
-        standardResolutions: [
-            { width: 1920, height: 1080, label: '1080p (16:9)' },
-            { width: 1280, height: 720, label: '720p (16:9)' },
-            { width: 640, height: 480, label: '480p (4:3)' },
-            { width: 640, height: 360, label: '360p (16:9)' },
-            { width: 320, height: 240, label: '240p (4:3)' }
+    var Fixtures = {
+        DEFAULT_RULES: [
+            { endpoint: 'detect', match: 'person', reply: { objects: [{ x_min: 0.35, y_min: 0.15, x_max: 0.65, y_max: 0.85 }] } },
+            { endpoint: 'detect', match: 'face', reply: { objects: [{ x_min: 0.42, y_min: 0.22, x_max: 0.58, y_max: 0.45 }] } },
+            { endpoint: 'detect', match: '*', reply: { objects: [] } },
+            { endpoint: 'point', match: '*', reply: { points: [{ x: 0.5, y: 0.5 }] } },
+            { endpoint: 'caption', match: '*', reply: { caption: 'A person stands in the middle of a plain, evenly lit room, facing the camera.' } },
+            { endpoint: 'query', match: '*', reply: { answer: 'Fixture answer to "{prompt}".' } }
         ],
 
-        isWebcamSupported: function() {
-            return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+        /** fixtureError setting → HTTP status to answer with. */
+        ERRORS: { unauthorized: 401, rate_limited: 429, server_error: 500 },
+
+        recorded: {},           // skill → prompt → reply
+        rules: [],              // Loaded rules, tried before DEFAULT_RULES
+        recording: false,       // Record replies from other backends (this session)
+        _count: 0,
+
+        /** Read the stored fixture file. */
+        load: function() {
+            try {
+                this.use(JSON.parse(localStorage.getItem(CONFIG.fixtureStorageKey) || '{}') || {});
+            } catch (e) {
+                this.use({});
+            }
         },
 
-        // Get list of available cameras
-        getCameras: function() {
-            var self = this;
-            return new Promise(function(resolve) {
-                if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
-                    resolve([]);
-                    return;
-                }
+        save: function() {
+            try {
+                localStorage.setItem(CONFIG.fixtureStorageKey, JSON.stringify(this.toJSON()));
+            } catch (e) {
+                // Too large or storage disabled: fixtures last for this page
+            }
+        },
 
-                navigator.mediaDevices.enumerateDevices().then(function(devices) {
-                    var cameras = devices.filter(function(device) {
-                        return device.kind === 'videoinput';
-                    }).map(function(device, index) {
-                        return {
-                            deviceId: device.deviceId,
-                            label: device.label || ('Camera ' + (index + 1))
-                        };
-                    });
-                    self.availableCameras = cameras;
-                    resolve(cameras);
-                }).catch(function() {
-                    resolve([]);
+        /**
+         * Replace the fixtures with a parsed fixture file.
+         * @throws {Error} if it is not shaped like one
+         */
+        use: function(data) {
+            if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('A fixture file is a JSON object');
+            if (data.rules !== undefined && !Array.isArray(data.rules)) throw new Error('"rules" must be a list');
+            var recorded = {};
+            Object.keys(data.recorded || {}).forEach(function(skill) {
+                recorded[skill] = {};
+                Object.keys(data.recorded[skill] || {}).forEach(function(prompt) {
+                    recorded[skill][String(prompt).trim().toLowerCase()] = data.recorded[skill][prompt];
                 });
             });
+            this.recorded = recorded;
+            this.rules = (data.rules || []).filter(function(rule) {
+                return rule && rule.endpoint && rule.reply;
+            });
         },
 
-        // Probe camera for supported resolutions
-        getSupportedResolutions: function() {
-            var self = this;
-            return new Promise(function(resolve) {
-                if (!self.stream) {
-                    resolve([]);
-                    return;
-                }
+        toJSON: function() {
+            return { recorded: this.recorded, rules: this.rules };
+        },
 
-                var track = self.stream.getVideoTracks()[0];
-                if (!track) {
-                    resolve([]);
-                    return;
-                }
+        /** Number of recorded replies. */
+        size: function() {
+            var recorded = this.recorded;
+            return Object.keys(recorded).reduce(function(n, skill) {
+                return n + Object.keys(recorded[skill]).length;
+            }, 0);
+        },
 
-                var capabilities = track.getCapabilities ? track.getCapabilities() : null;
-                var supported = [];
+        /** The prompt a request is keyed by. */
+        promptOf: function(endpoint, body) {
+            return String(body.object || body.question || body.length || '').trim().toLowerCase();
+        },
 
-                if (capabilities && capabilities.width && capabilities.height) {
-                    // Filter standard resolutions to those within camera capabilities
-                    self.standardResolutions.forEach(function(res) {
-                        if (res.width <= capabilities.width.max &&
-                            res.height <= capabilities.height.max &&
-                            res.width >= capabilities.width.min &&
-                            res.height >= capabilities.height.min) {
-                            supported.push(res);
-                        }
-                    });
-                }
+        /** Remember a live reply (ApiClient calls this while recording). */
+        record: function(endpoint, body, reply) {
+            var skill = endpoint.slice(1);
+            if (!this.recorded[skill]) this.recorded[skill] = {};
+            this.recorded[skill][this.promptOf(endpoint, body)] = reply;
+            this.save();
+        },
 
-                // If no capabilities API, just offer standard resolutions
-                if (supported.length === 0) {
-                    supported = self.standardResolutions.slice(0, 3); // Top 3
+        /**
+         * The Moondream reply for a request.
+         * @returns {object}
+         */
+        lookup: function(endpoint, body) {
+            var skill = endpoint.slice(1);
+            var prompt = this.promptOf(endpoint, body);
+            var recorded = this.recorded[skill] && this.recorded[skill][prompt];
+            if (recorded) return recorded;
+            var rules = this.rules.concat(this.DEFAULT_RULES);
+            for (var i = 0; i < rules.length; i++) {
+                var rule = rules[i];
+                if (rule.endpoint.replace(/^\//, '') !== skill) continue;
+                if (rule.match === '*' || String(rule.match).trim().toLowerCase() === prompt) {
+                    return this.fill(rule.reply, body.object || body.question || body.length || '');
                 }
+            }
+            return {};
+        },
 
-                self.supportedResolutions = supported;
-                resolve(supported);
+        /** Copy a reply with {prompt} filled in. */
+        fill: function(reply, prompt) {
+            return JSON.parse(JSON.stringify(reply), function(key, value) {
+                return typeof value === 'string' ? value.replace(/\{prompt\}/g, prompt) : value;
             });
         },
 
-        startWebcam: function(videoElement, resolution, deviceId) {
-            var self = this;
+        /**
+         * Answer a request like a server would (InferenceBackends 'fixture').
+         * Streamed caption/query requests get server-sent events.
+         *
+         * @returns {object} - {status, text, headers, latencyMs}, or {timeout: true, latencyMs}
+         */
+        respond: function(endpoint, body, settings) {
+            this._count++;
+            var latencyMs = Math.max(0, Number(settings.fixtureLatencyMs) || 0);
+            var every = Math.max(1, Math.round(Number(settings.fixtureErrorEvery) || 1));
+            var error = settings.fixtureError;
+            if (error && error !== 'none' && this._count % every === 0) {
+                if (error === 'timeout') return { timeout: true, latencyMs: latencyMs };
+                return {
+                    status: this.ERRORS[error] || 500,
+                    text: JSON.stringify({ error: 'Injected ' + error }),
+                    headers: error === 'rate_limited' ? { 'Retry-After': '1' } : {},
+                    latencyMs: latencyMs
+                };
+            }
+
+            var reply = this.lookup(endpoint, body);
+            var text = reply.caption || reply.answer;
+            if (body.stream && text !== undefined) {
+                var events = (String(text).match(/\S+\s*/g) || []).map(function(word) {
+                    return 'data: ' + JSON.stringify({ chunk: word }) + '\n\n';
+                });
+                return { status: 200, text: events.join('') + 'data: {"completed":true}\n\n', headers: {}, latencyMs: latencyMs };
+            }
+            return { status: 200, text: JSON.stringify(reply), headers: {}, latencyMs: latencyMs };
+        }
+    };
+
+    // ============================================================
+    // API ERRORS, RETRY AND CIRCUIT BREAKER
+    // ============================================================
+    /**
+     * ApiError - A failed ApiClient request.
+     *
+     * | code             | When                                       | retryable |
+     * |------------------|--------------------------------------------|-----------|
+     * | unsupported      | Backend lacks the skill                    | no        |
+     * | no_api_key       | Cloud backend without a key                | no        |
+     * | invalid_api_key  | Cloud answered 401                         | no        |
+     * | unauthorized     | Local server answered 401                  | no        |
+     * | rate_limited     | 429                                        | yes       |
+     * | server_error     | 5xx                                        | yes       |
+     * | http_error       | Any other non-2xx status                   | no        |
+     * | invalid_response | Reply not JSON or not the expected shape   | no        |
+     * | network          | Server unreachable (or blocked by CORS)    | yes       |
+     * | timeout          | No reply within CONFIG.requestTimeout      | yes       |
+     * | aborted          | Cancelled or replaced by a newer frame     | no        |
+     * | circuit_open     | ApiCircuitBreaker is pausing requests      | yes       |
+     * | budget_exceeded  | A UsageMeter budget is used up             | no        |
+     *
+     * Aborted requests have name 'AbortError' (see ApiClient.isAbort).
+     *
+     * @constructor
+     * @param {string} code    - One of the codes above
+     * @param {string} message - Text for the user
+     * @param {object} details - Optional {status, retryable, retryAfterMs, backend}
+     */
+    function ApiError(code, message, details) {
+        details = details || {};
+        this.name = code === 'aborted' ? 'AbortError' : 'ApiError';
+        this.code = code;
+        this.message = message;
+        this.status = details.status || 0;
+        this.retryable = details.retryable !== undefined ? details.retryable : ApiError.RETRYABLE.indexOf(code) !== -1;
+        this.retryAfterMs = details.retryAfterMs || 0;
+        this.backend = details.backend || null;
+        this.stack = new Error(message).stack;
+    }
+    ApiError.prototype = Object.create(Error.prototype);
+    ApiError.prototype.constructor = ApiError;
+
+    ApiError.RETRYABLE = ['rate_limited', 'server_error', 'network', 'timeout', 'circuit_open'];
+
+    /**
+     * ApiRetry - When and how long to wait before retrying a request.
+     *
+     * Each retryable error code has a number of retries and a base delay.
+     * Delays grow exponentially with "equal jitter" (half fixed, half
+     * random) so clients that failed together do not retry together. A
+     * Retry-After from the server is a lower bound; one longer than
+     * maxDelayMs is not retried and opens the circuit breaker instead.
+     *
+     * Only requests without a coalesce key are retried: in a live loop
+     * the next frame is the retry.
+     */
+    var ApiRetry = {
+        POLICIES: {
+            network: { retries: 2, baseMs: 500 },
+            timeout: { retries: 1, baseMs: 1000 },
+            server_error: { retries: 2, baseMs: 1000 },
+            rate_limited: { retries: 3, baseMs: 2000 }
+        },
+
+        maxDelayMs: 30000,
+
+        /**
+         * Delay before the next attempt, or null to give up.
+         *
+         * @param {ApiError} err    - The failure
+         * @param {number} attempt  - Retries made so far
+         * @returns {number|null}   - ms to wait
+         */
+        delay: function(err, attempt) {
+            var policy = err && err.retryable && this.POLICIES[err.code];
+            if (!policy || attempt >= policy.retries) return null;
+            if (err.retryAfterMs > this.maxDelayMs) return null;
+            var backoff = Math.min(this.maxDelayMs, policy.baseMs * Math.pow(2, attempt));
+            var jittered = backoff / 2 + Math.random() * backoff / 2;
+            return Math.round(Math.max(jittered, err.retryAfterMs || 0));
+        },
+
+        /**
+         * Read Retry-After (seconds or an HTTP date) as ms. Cross-origin
+         * servers must list it in Access-Control-Expose-Headers, otherwise
+         * it reads as absent.
+         *
+         * @param {string|null} value - Header value
+         * @returns {number}          - ms, 0 if absent or unreadable
+         */
+        parseRetryAfter: function(value) {
+            if (!value) return 0;
+            if (/^\s*\d+(\.\d+)?\s*$/.test(value)) return Math.round(parseFloat(value) * 1000);
+            var date = Date.parse(value);
+            return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+        },
+
+        /** Resolve after ms; reject with an AbortError if signal aborts first. */
+        wait: function(ms, signal) {
             return new Promise(function(resolve, reject) {
-                if (!self.isWebcamSupported()) {
-                    reject(new Error('Webcam not supported'));
+                if (signal && signal.aborted) {
+                    reject(new ApiError('aborted', 'Request cancelled'));
                     return;
                 }
-
-                // Build constraints - use exact if resolution specified
-                var videoConstraints = {};
-                if (deviceId) {
-                    videoConstraints.deviceId = { exact: deviceId };
-                }
-                if (resolution) {
-                    videoConstraints.width = { exact: resolution.width };
-                    videoConstraints.height = { exact: resolution.height };
+                var timer = setTimeout(function() {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    resolve();
+                }, ms);
+                function onAbort() {
+                    clearTimeout(timer);
+                    reject(new ApiError('aborted', 'Request cancelled'));
                 }
+                if (signal) signal.addEventListener('abort', onAbort);
+            });
+        }
+    };
 
-                var constraints = {
-                    video: Object.keys(videoConstraints).length > 0 ? videoConstraints : true,
-                    audio: false
-                };
+    /**
+     * ApiCircuitBreaker - Pauses live loops when the backend keeps failing.
+     *
+     * After `threshold` requests in a row fail with a retryable error (or
+     * one fails with 429 after its retries), the breaker opens for a
+     * cooldown that doubles each time it reopens (up to maxCooldownMs),
+     * or for the server's Retry-After if that is longer. While open:
+     * - continuous and background requests fail at once with 'circuit_open'
+     * - WidgetBase.startContinuous, Production Monitor and the PTZ tracker
+     *   skip their cycles (the tracker stops the camera first)
+     * - the Dashboard shows a countdown with a "Retry now" button
+     * Interactive requests still go through. When the cooldown ends the
+     * next request is a probe: success closes the breaker for good,
+     * another failure reopens it.
+     */
+    var ApiCircuitBreaker = {
+        threshold: 3,
+        baseCooldownMs: 5000,
+        maxCooldownMs: 60000,
+
+        failures: 0,
+        opens: 0,
+        openUntil: 0,
+        lastError: null,
+        _timer: null,
+        _listeners: [],
+
+        isOpen: function() {
+            return Date.now() < this.openUntil;
+        },
 
-                navigator.mediaDevices.getUserMedia(constraints).then(function(stream) {
-                    self.stream = stream;
-                    self.videoElement = videoElement;
-                    self.currentResolution = resolution || null;
-                    self.currentDeviceId = deviceId || null;
-                    videoElement.srcObject = stream;
-
-                    // Wait for video to be ready before resolving
-                    videoElement.onloadedmetadata = function() {
-                        videoElement.play().then(function() {
-                            // Store actual resolution if not specified
-                            if (!self.currentResolution && videoElement.videoWidth) {
-                                self.currentResolution = {
-                                    width: videoElement.videoWidth,
-                                    height: videoElement.videoHeight,
-                                    label: videoElement.videoWidth + 'x' + videoElement.videoHeight
-                                };
-                            }
-                            resolve(stream);
-                        }).catch(function(playErr) {
-                            reject(new Error('Could not start video playback'));
-                        });
-                    };
+        /** ms until the breaker closes (0 when closed). */
+        remaining: function() {
+            return Math.max(0, this.openUntil - Date.now());
+        },
 
-                    videoElement.onerror = function() {
-                        reject(new Error('Video element error'));
-                    };
-                }).catch(function(err) {
-                    console.error('Webcam error:', err.name, err.message);
-                    if (err.name === 'NotAllowedError') {
-                        reject(new Error('Camera permission denied. Please allow camera access and try again.'));
-                    } else if (err.name === 'NotFoundError') {
-                        reject(new Error('No camera found. Please connect a webcam and try again.'));
-                    } else if (err.name === 'NotReadableError') {
-                        reject(new Error('Camera is in use by another application. Please close other apps using the camera.'));
-                    } else if (err.name === 'OverconstrainedError') {
-                        // Resolution not supported, try without constraints
-                        if (resolution) {
-                            self.startWebcam(videoElement, null).then(resolve).catch(reject);
-                        } else {
-                            reject(new Error('Camera does not support requested settings.'));
-                        }
-                    } else {
-                        reject(new Error('Camera error: ' + (err.message || err.name)));
-                    }
-                });
+        /** True if a request of this priority may be sent now. */
+        allow: function(priority) {
+            return !this.isOpen() || !priority || priority === 'interactive';
+        },
+
+        /** The error for a request refused while open. */
+        openError: function() {
+            var seconds = Math.ceil(this.remaining() / 1000);
+            return new ApiError('circuit_open', 'Requests paused after repeated errors. Resuming in ' + seconds + 's.', {
+                retryAfterMs: this.remaining()
             });
         },
 
-        // Change resolution by restarting stream
-        changeResolution: function(videoElement, resolution) {
+        recordSuccess: function() {
+            var wasOpen = this.isOpen();
+            this.failures = 0;
+            this.opens = 0;
+            this.lastError = null;
+            if (wasOpen) this.close();
+        },
+
+        /** Count a failed request (after its retries). Non-retryable errors do not count. */
+        recordFailure: function(err) {
+            if (!err || !err.retryable || err.code === 'circuit_open') return;
+            this.failures++;
+            this.lastError = err;
+            if (this.failures >= this.threshold || err.code === 'rate_limited') this.open(err.retryAfterMs);
+        },
+
+        /** Open for the next cooldown, or minMs if longer. */
+        open: function(minMs) {
+            var self = this;
+            var cooldown = Math.min(this.maxCooldownMs, this.baseCooldownMs * Math.pow(2, this.opens));
+            this.opens++;
+            this.openUntil = Date.now() + Math.max(cooldown, minMs || 0);
+            if (this._timer) clearTimeout(this._timer);
+            this._timer = setTimeout(function() {
+                self._timer = null;
+                self._notify();
+            }, this.openUntil - Date.now());
+            this._notify();
+        },
+
+        /** Close now ("Retry now"); the next failure reopens it. */
+        close: function() {
+            this.openUntil = 0;
+            if (this._timer) clearTimeout(this._timer);
+            this._timer = null;
+            this._notify();
+        },
+
+        /** The failure count and open state, for restore(). */
+        snapshot: function() {
+            return { failures: this.failures, opens: this.opens, openUntil: this.openUntil, lastError: this.lastError };
+        },
+
+        /** Put back a snapshot(), e.g. after the self-check's injected errors. */
+        restore: function(state) {
             var self = this;
-            var deviceId = self.currentDeviceId; // Preserve current camera
+            this.failures = state.failures;
+            this.opens = state.opens;
+            this.lastError = state.lastError;
+            if (this._timer) clearTimeout(this._timer);
+            this._timer = null;
+            this.openUntil = state.openUntil;
+            if (this.isOpen()) {
+                this._timer = setTimeout(function() {
+                    self._timer = null;
+                    self._notify();
+                }, this.remaining());
+            }
+            this._notify();
+        },
+
+        /**
+         * Call fn(breaker) whenever the breaker opens or closes.
+         * @returns {function} - Unsubscribe
+         */
+        subscribe: function(fn) {
+            var listeners = this._listeners;
+            listeners.push(fn);
+            return function() {
+                var index = listeners.indexOf(fn);
+                if (index !== -1) listeners.splice(index, 1);
+            };
+        },
+
+        _notify: function() {
+            var self = this;
+            this._listeners.slice().forEach(function(fn) { fn(self); });
+        }
+    };
+
+    // ============================================================
+    // REQUEST SCHEDULER
+    // ============================================================
+    /**
+     * ApiScheduler - Orders and limits requests to the inference backend.
+     *
+     * - At most `maxInFlight` requests run at once per backend (a local
+     *   server usually handles one image at a time; the cloud takes more).
+     * - Waiting requests start in priority order: interactive (a button
+     *   press) before continuous (live detection loops) before background
+     *   (extra analysis such as captions), oldest first within a class.
+     * - Latest frame wins: a request with a `coalesce` key replaces any
+     *   queued request with the same key, and waits while one with that
+     *   key is running, so a slow backend never works through a backlog
+     *   of stale frames. Replaced requests reject with an AbortError.
+     * - An AbortSignal cancels a request: a queued one is dropped, a
+     *   running one has its HTTP request aborted. Widgets abort theirs
+     *   on unmount (WidgetBase.requestOptions).
+     */
+    var ApiScheduler = {
+        PRIORITIES: { interactive: 0, continuous: 1, background: 2 },
+
+        _queue: [],
+        _running: [],
+        _seq: 0,
+
+        /**
+         * Queue a request.
+         *
+         * @param {string} backendId    - Backend the request goes to
+         * @param {number} maxInFlight  - Concurrency limit for that backend
+         * @param {function} task       - function(signal) → Promise; starts the request
+         * @param {object} options      - {priority, coalesce, signal}, all optional
+         * @returns {Promise}           - Settles with the task's result
+         */
+        schedule: function(backendId, maxInFlight, task, options) {
+            var self = this;
+            options = options || {};
             return new Promise(function(resolve, reject) {
-                self.stopWebcam();
-                self.startWebcam(videoElement, resolution, deviceId).then(resolve).catch(reject);
+                var job = {
+                    backendId: backendId,
+                    maxInFlight: Math.max(1, maxInFlight || 1),
+                    task: task,
+                    priority: self.PRIORITIES.hasOwnProperty(options.priority) ? self.PRIORITIES[options.priority] : self.PRIORITIES.interactive,
+                    coalesce: options.coalesce || null,
+                    seq: ++self._seq,
+                    controller: null,
+                    resolve: resolve,
+                    reject: reject
+                };
+
+                if (options.signal) {
+                    if (options.signal.aborted) {
+                        reject(self.abortError('Request cancelled'));
+                        return;
+                    }
+                    job.signal = options.signal;
+                    job.onAbort = function() {
+                        if (job.controller) job.controller.abort();
+                        else self._drop(job, 'Request cancelled');
+                    };
+                    options.signal.addEventListener('abort', job.onAbort);
+                }
+
+                if (job.coalesce) {
+                    self._queue.filter(function(queued) {
+                        return queued.coalesce === job.coalesce;
+                    }).forEach(function(stale) {
+                        self._drop(stale, 'Superseded by a newer frame');
+                    });
+                }
+
+                self._queue.push(job);
+                self._pump();
             });
         },
 
-        // Change to a different camera
-        changeCamera: function(videoElement, deviceId) {
+        /** Remove a queued job and reject it with an AbortError. */
+        _drop: function(job, message) {
+            var index = this._queue.indexOf(job);
+            if (index === -1) return;
+            this._queue.splice(index, 1);
+            this._release(job);
+            job.reject(this.abortError(message));
+        },
+
+        _release: function(job) {
+            if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+        },
+
+        /** Start every queued job that its backend's limit allows. */
+        _pump: function() {
             var self = this;
-            return new Promise(function(resolve, reject) {
-                self.stopWebcam();
-                self.startWebcam(videoElement, null, deviceId).then(resolve).catch(reject);
+            this._queue.sort(function(a, b) { return a.priority - b.priority || a.seq - b.seq; });
+            var waiting = this._queue.slice();
+            waiting.forEach(function(job) {
+                if (self.inFlight(job.backendId) >= job.maxInFlight) return;
+                if (job.coalesce && self._running.some(function(running) { return running.coalesce === job.coalesce; })) return;
+                self._queue.splice(self._queue.indexOf(job), 1);
+                self._run(job);
             });
         },
 
-        stopWebcam: function() {
-            if (this.stream) {
-                this.stream.getTracks().forEach(function(track) { track.stop(); });
-                this.stream = null;
+        _run: function(job) {
+            var self = this;
+            job.controller = new AbortController();
+            this._running.push(job);
+
+            function settle() {
+                self._running.splice(self._running.indexOf(job), 1);
+                self._release(job);
+                self._pump();
             }
-            if (this.videoElement) {
-                this.videoElement.srcObject = null;
-                this.videoElement = null;
+
+            var promise;
+            try {
+                promise = Promise.resolve(job.task(job.controller.signal));
+            } catch (e) {
+                promise = Promise.reject(e);
             }
-            this.currentResolution = null;
+            promise.then(function(result) {
+                settle();
+                job.resolve(result);
+            }, function(err) {
+                settle();
+                job.reject(err);
+            });
         },
 
-        captureFrame: function(videoElement, quality) {
-            var canvas = document.createElement('canvas');
-            canvas.width = videoElement.videoWidth || 640;
-            canvas.height = videoElement.videoHeight || 480;
-            var ctx = canvas.getContext('2d');
-            ctx.drawImage(videoElement, 0, 0, canvas.width, canvas.height);
-            return canvas.toDataURL('image/jpeg', quality || CONFIG.jpegQuality);
+        /** Number of requests running on a backend. */
+        inFlight: function(backendId) {
+            return this._running.filter(function(job) { return job.backendId === backendId; }).length;
         },
 
-        loadImageFile: function(file) {
-            return new Promise(function(resolve, reject) {
-                // Validate file type
-                var validTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-                if (!validTypes.includes(file.type) && !file.type.startsWith('image/')) {
-                    reject(new Error(Strings.errors.fileType));
-                    return;
-                }
+        /** {running, queued} counts, for display. */
+        stats: function() {
+            return { running: this._running.length, queued: this._queue.length };
+        },
 
-                // Validate file size (10MB max)
-                var maxSize = 10 * 1024 * 1024;
-                if (file.size > maxSize) {
-                    reject(new Error(Strings.errors.fileTooLarge));
-                    return;
+        /** An ApiError that ApiClient.isAbort recognises. */
+        abortError: function(message) {
+            return new ApiError('aborted', message || 'Request cancelled');
+        }
+    };
+
+    // ============================================================
+    // RESPONSE CACHE
+    // ============================================================
+    /**
+     * ResponseCache - Reuses replies for frames that have barely changed.
+     *
+     * Live loops often send the same static scene again and again. Each
+     * captured frame carries a perceptual hash (CapturePolicy.frameHash);
+     * when a request opts in (options.cache), ApiClient first looks here
+     * for a reply to the same backend, endpoint and prompt whose frame
+     * hash differs by at most `threshold` of its 256 bits, and uses it
+     * instead of calling the API. Entries older than maxAgeMs are not
+     * reused, so a change too small for the hash is still picked up
+     * within that time. The least recently used entry is evicted past
+     * maxEntries.
+     *
+     * Cached replies are stored as the backend returned them (before
+     * CapturePolicy.mapResponse), so they can be mapped for the frame
+     * that reuses them.
+     */
+    var ResponseCache = {
+        maxEntries: 100,
+        maxAgeMs: 15000,
+        HASH_BITS: 256,
+
+        _entries: [],           // Least recently used first
+        stats: { hits: 0, misses: 0 },
+
+        /** Bits set in each hex digit. */
+        _popcount: [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4],
+
+        /**
+         * Number of differing bits between two hex hashes of equal length.
+         * @returns {number} - Infinity if either is missing
+         */
+        distance: function(a, b) {
+            if (!a || !b || a.length !== b.length) return Infinity;
+            var bits = 0;
+            for (var i = 0; i < a.length; i++) {
+                bits += this._popcount[parseInt(a.charAt(i), 16) ^ parseInt(b.charAt(i), 16)];
+            }
+            return bits;
+        },
+
+        _key: function(backend, endpoint, prompt) {
+            return backend + '|' + endpoint + '|' + (prompt || '');
+        },
+
+        /**
+         * Find a reply for a similar frame.
+         *
+         * @param {string} backend   - Backend id
+         * @param {string} endpoint  - API endpoint path
+         * @param {string} prompt    - Object, question or caption length
+         * @param {string} hash      - Frame hash
+         * @param {number} threshold - Most differing bits that count as the same frame
+         * @returns {object|null}    - Stored reply
+         */
+        lookup: function(backend, endpoint, prompt, hash, threshold) {
+            var key = this._key(backend, endpoint, prompt);
+            var now = Date.now();
+            var best = null;
+            var bestDistance = Infinity;
+            this._entries.forEach(function(entry) {
+                if (entry.key !== key || now - entry.at > this.maxAgeMs) return;
+                var d = this.distance(entry.hash, hash);
+                if (d <= threshold && d < bestDistance) {
+                    best = entry;
+                    bestDistance = d;
                 }
+            }, this);
+            if (!best) {
+                this.stats.misses++;
+                return null;
+            }
+            this.stats.hits++;
+            // Most recently used goes last
+            this._entries.splice(this._entries.indexOf(best), 1);
+            this._entries.push(best);
+            return best.response;
+        },
 
-                var reader = new FileReader();
-                reader.onload = function(e) { resolve(e.target.result); };
-                reader.onerror = function() { reject(new Error('Failed to read file. Please try another image.')); };
-                reader.readAsDataURL(file);
+        /** Remember a reply for a frame hash. */
+        store: function(backend, endpoint, prompt, hash, response) {
+            var key = this._key(backend, endpoint, prompt);
+            this._entries = this._entries.filter(function(entry) {
+                return !(entry.key === key && entry.hash === hash);
             });
+            this._entries.push({ key: key, hash: hash, response: response, at: Date.now() });
+            while (this._entries.length > this.maxEntries) this._entries.shift();
+        },
+
+        clear: function() {
+            this._entries = [];
         }
     };
 
     // ============================================================
-    // STRINGS & HELP TEXT
+    // USAGE METERING
     // ============================================================
     /**
-     * Strings - Localized UI text and messages.
+     * UsageMeter - Counts API requests and enforces usage budgets.
      *
-     * All user-facing text is centralized here for:
-     * - Easy localization/translation
-     * - Consistent messaging across widgets
-     * - Simple updates without code changes
+     * Every request attempt ApiClient makes (and every reply reused from
+     * ResponseCache) is recorded with its endpoint, backend, the widget
+     * that asked, bytes sent and received, latency and error code. The
+     * Dashboard's Usage panel (UsageModal) summarizes them per endpoint
+     * and per widget with latency percentiles.
      *
-     * Categories:
-     * - common: Shared button labels and actions
-     * - errors: Error messages with user-friendly explanations
-     * - help: Helpful tips and hints
-     * - welcome: Onboarding text
+     * Budgets cap requests to MoonDream Cloud per rolling hour and per
+     * rolling 24 hours. Once one is used up, continuous and background
+     * requests to the cloud are refused with 'budget_exceeded' and the
+     * live loops pause (ApiClient.livePause) until enough of the window
+     * has passed. Button presses still go through. Local backends are
+     * counted but never capped. The cost estimate multiplies cloud
+     * requests by the configured price per 1,000.
+     *
+     * History is kept in IndexedDB for HISTORY_MS, so it survives reloads;
+     * the last 24 hours are also held in memory for the budgets.
      */
-    var Strings = {
-        common: {
-            startWebcam: 'Start Webcam',
-            stopWebcam: 'Stop Webcam',
-            uploadImage: 'Upload Image',
-            analyzing: 'Analyzing...',
-            detecting: 'Detecting...',
-            noWebcam: 'Webcam not supported. Please upload an image.',
-            apiKeyRequired: 'API Key Required',
-            apiKeyPlaceholder: 'Enter your MoonDream API key',
-            saveKey: 'Save & Continue',
-            copy: 'Copy',
-            copied: 'Copied!',
-            clear: 'Clear',
-            continuous: 'Continuous',
-            stop: 'Stop'
+    var UsageMeter = {
+        HOUR_MS: 3600000,
+        DAY_MS: 86400000,
+        HISTORY_MS: 7 * 86400000,
+        DB_NAME: 'moondream_usage',
+        STORE: 'requests',
+        maxRecords: 50000,      // In memory
+
+        _records: [],           // Last 24 hours, oldest first
+        _db: null,              // Promise of the IndexedDB database
+        _budget: null,
+        _exceeded: null,        // budgetStatus() when last checked
+        _timer: null,
+        _listeners: [],
+
+        /** Budget settings: request limits (0 = none) and the cloud price per 1,000 requests. */
+        loadBudget: function() {
+            var budget = { hourlyLimit: 0, dailyLimit: 0, costPer1000: 0 };
+            try {
+                var stored = JSON.parse(localStorage.getItem(CONFIG.usageStorageKey) || '{}') || {};
+                Object.keys(budget).forEach(function(key) {
+                    var value = Number(stored[key]);
+                    if (value > 0) budget[key] = value;
+                });
+            } catch (e) {
+                // Storage may be disabled; no budgets
+            }
+            this._budget = budget;
+            return budget;
         },
-        errors: {
-            noImage: 'Please start your webcam or upload an image first.',
-            noInput: 'Please enter what you want to detect.',
-            apiKey: 'API key is required. Click to add your MoonDream API key.',
-            apiKeyInvalid: 'Your API key appears to be invalid. Please check it and try again.',
-            networkError: 'Unable to connect. Please check your internet connection and try again.',
-            timeout: 'The request took too long. Please try again with a simpler image.',
-            rateLimit: 'Too many requests. Please wait a few seconds and try again.',
-            cameraPermission: 'Camera access was denied. Please allow camera access in your browser settings and refresh the page.',
-            noCamera: 'No camera was found. Please connect a camera or upload an image instead.',
-            cameraInUse: 'Your camera may be in use by another application. Please close other apps using the camera.',
-            fileType: 'Please select an image file (JPG, PNG, GIF, or WebP).',
-            fileTooLarge: 'Image is too large. Please use an image under 10MB.',
-            generic: 'Something went wrong. Please try again.'
+
+        saveBudget: function(budget) {
+            this._budget = budget;
+            try {
+                localStorage.setItem(CONFIG.usageStorageKey, JSON.stringify(budget));
+            } catch (e) {
+                // Budget still applies until the page is closed
+            }
+            if (!this._check()) this._notify();
         },
-        help: {
-            webcamTip: 'Tip: Good lighting improves detection accuracy',
-            uploadTip: 'Supported: JPG, PNG, GIF, WebP (max 10MB)',
-            detectTip: 'Enter any object name like "person", "car", "dog", "coffee cup"',
-            countTip: 'Works best with clearly visible, separated objects',
-            zoneTip: 'Click to place points, then click "Finish Zone" to complete',
-            continuousTip: 'Continuously analyzes your webcam feed every 1.5 seconds',
-            apiKeyTip: 'Your API key is stored for this session only and clears when you close the tab'
+
+        getBudget: function() {
+            return this._budget || this.loadBudget();
         },
-        welcome: {
-            title: 'Welcome to PTZOptics Visual Reasoning',
-            subtitle: 'AI Vision Demos',
-            step1: '1. Enter your MoonDream API key',
-            step2: '2. Start your webcam or upload an image',
-            step3: '3. Try out the AI vision features!',
-            getKey: 'Get your free API key at moondream.ai'
+
+        /**
+         * Load the last 24 hours from IndexedDB and drop history older
+         * than HISTORY_MS. Requests recorded before this finishes are kept.
+         */
+        init: function() {
+            var self = this;
+            this.loadBudget();
+            var since = Date.now() - this.DAY_MS;
+            this._open().then(function(db) {
+                var store = db.transaction(self.STORE, 'readwrite').objectStore(self.STORE);
+                store.index('at').openCursor(IDBKeyRange.upperBound(Date.now() - self.HISTORY_MS)).onsuccess = function(e) {
+                    var cursor = e.target.result;
+                    if (!cursor) return;
+                    cursor.delete();
+                    cursor.continue();
+                };
+                return self._read(since);
+            }).then(function(records) {
+                var pending = self._records;
+                self._records = records.concat(pending).sort(function(a, b) { return a.at - b.at; });
+                self._trim();
+                if (!self._check()) self._notify();
+            }).catch(function(err) {
+                console.warn('Usage history unavailable:', err && err.message);
+            });
+        },
+
+        _open: function() {
+            var self = this;
+            if (!this._db) {
+                this._db = new Promise(function(resolve, reject) {
+                    if (typeof indexedDB === 'undefined') {
+                        reject(new Error('IndexedDB is not supported'));
+                        return;
+                    }
+                    var request = indexedDB.open(self.DB_NAME, 1);
+                    request.onupgradeneeded = function() {
+                        var store = request.result.createObjectStore(self.STORE, { autoIncrement: true });
+                        store.createIndex('at', 'at');
+                    };
+                    request.onsuccess = function() { resolve(request.result); };
+                    request.onerror = function() { reject(request.error); };
+                });
+            }
+            return this._db;
+        },
+
+        /** Records from IndexedDB since a time, oldest first. */
+        _read: function(since) {
+            var self = this;
+            return this._open().then(function(db) {
+                return new Promise(function(resolve, reject) {
+                    var request = db.transaction(self.STORE, 'readonly').objectStore(self.STORE)
+                        .index('at').getAll(IDBKeyRange.lowerBound(since));
+                    request.onsuccess = function() { resolve(request.result || []); };
+                    request.onerror = function() { reject(request.error); };
+                });
+            });
+        },
+
+        /**
+         * Record one request (ApiClient._send metrics, or a cache hit).
+         *
+         * @param {object} metrics - {endpoint, backend, uploadBytes, downloadBytes, latencyMs, error, cached}
+         * @param {string} widget  - Id of the widget that sent it ('other' if none)
+         */
+        record: function(metrics, widget) {
+            var self = this;
+            var entry = {
+                at: Date.now(),
+                endpoint: metrics.endpoint,
+                backend: metrics.backend,
+                widget: widget || 'other',
+                uploadBytes: metrics.uploadBytes || 0,
+                downloadBytes: metrics.downloadBytes || 0,
+                latencyMs: metrics.latencyMs || 0,
+                error: metrics.error || null,
+                cached: !!metrics.cached
+            };
+            this._records.push(entry);
+            this._trim();
+            this._open().then(function(db) {
+                db.transaction(self.STORE, 'readwrite').objectStore(self.STORE).add(entry);
+            }).catch(function() {
+                // Counted for this session only
+            });
+            if (!this._check()) this._notify();
+        },
+
+        _trim: function() {
+            var since = Date.now() - this.DAY_MS;
+            var drop = 0;
+            while (drop < this._records.length && this._records[drop].at < since) drop++;
+            drop = Math.max(drop, this._records.length - this.maxRecords);
+            if (drop > 0) this._records.splice(0, drop);
+        },
+
+        /** True if a record counts towards the budgets: a cloud request actually sent. */
+        _billable: function(entry) {
+            return entry.backend === 'cloud' && !entry.cached;
+        },
+
+        /**
+         * Requests recorded in the memory window, for budgets and the panel.
+         * @param {number} windowMs - How far back (at most DAY_MS)
+         */
+        recent: function(windowMs) {
+            var since = Date.now() - windowMs;
+            return this._records.filter(function(entry) { return entry.at >= since; });
+        },
+
+        /**
+         * Requests from the persisted history (up to HISTORY_MS back).
+         * Falls back to memory if IndexedDB is unavailable.
+         * @returns {Promise} - Resolves with records, oldest first
+         */
+        history: function(windowMs) {
+            var self = this;
+            if (windowMs <= this.DAY_MS) return Promise.resolve(this.recent(windowMs));
+            return this._read(Date.now() - windowMs).catch(function() {
+                return self.recent(self.DAY_MS);
+            });
+        },
+
+        /**
+         * Cloud requests counted against each budget.
+         * @returns {object} - {hour, day}
+         */
+        budgetUsage: function() {
+            var hourStart = Date.now() - this.HOUR_MS;
+            var usage = { hour: 0, day: 0 };
+            this._records.forEach(function(entry) {
+                if (!this._billable(entry)) return;
+                usage.day++;
+                if (entry.at >= hourStart) usage.hour++;
+            }, this);
+            return usage;
+        },
+
+        /**
+         * The budget that is used up, if any.
+         * @returns {object|null} - {label, limit, remainingMs}; remainingMs is
+         *                          how long until a request fits again
+         */
+        budgetStatus: function() {
+            var budget = this.getBudget();
+            var billable = this._records.filter(this._billable);
+            var now = Date.now();
+            var windows = [
+                { label: 'Daily', limit: budget.dailyLimit, ms: this.DAY_MS },
+                { label: 'Hourly', limit: budget.hourlyLimit, ms: this.HOUR_MS }
+            ];
+            for (var i = 0; i < windows.length; i++) {
+                var w = windows[i];
+                if (!w.limit) continue;
+                var inWindow = billable.filter(function(entry) { return entry.at >= now - w.ms; });
+                if (inWindow.length >= w.limit) {
+                    // Room opens when the request that filled the budget leaves the window
+                    var oldest = inWindow[inWindow.length - w.limit];
+                    return { label: w.label, limit: w.limit, remainingMs: Math.max(1000, oldest.at + w.ms - now) };
+                }
+            }
+            return null;
+        },
+
+        /** True if a request of this priority to this backend may be sent now. */
+        allow: function(priority, backendId) {
+            if (!priority || priority === 'interactive' || backendId !== 'cloud') return true;
+            return !this.budgetStatus();
+        },
+
+        /** The error for a request refused by a budget. */
+        budgetError: function() {
+            var status = this.budgetStatus();
+            return new ApiError('budget_exceeded', status.label + ' usage budget of ' + status.limit +
+                ' requests reached. Live analysis resumes in ' + Utils.formatDuration(status.remainingMs) + '.', {
+                retryAfterMs: status.remainingMs
+            });
+        },
+
+        /**
+         * Notify when a budget becomes used up, and again when it frees up.
+         * @returns {boolean} - True if listeners were notified
+         */
+        _check: function() {
+            var self = this;
+            var status = this.budgetStatus();
+            var changed = !!status !== !!this._exceeded;
+            this._exceeded = status;
+            if (this._timer) clearTimeout(this._timer);
+            this._timer = null;
+            if (status) {
+                this._timer = setTimeout(function() {
+                    self._timer = null;
+                    self._check();
+                }, status.remainingMs);
+            }
+            if (changed) this._notify();
+            return changed;
+        },
+
+        /**
+         * Totals per endpoint and per widget.
+         *
+         * @param {Array} records - From recent() or history()
+         * @returns {object} - {total, endpoints: {endpoint: row}, widgets: {widgetId: row}};
+         *                     row = {requests, cached, errors, uploadBytes, downloadBytes,
+         *                     p50, p95, cloudRequests, cost}
+         */
+        summarize: function(records) {
+            var self = this;
+            var costPer1000 = this.getBudget().costPer1000;
+            var byEndpoint = {};
+            var byWidget = {};
+            function add(map, key, entry) {
+                if (!map[key]) map[key] = [];
+                map[key].push(entry);
+            }
+            records.forEach(function(entry) {
+                add(byEndpoint, entry.endpoint, entry);
+                add(byWidget, entry.widget, entry);
+            });
+            function row(entries) {
+                var result = { requests: 0, cached: 0, errors: 0, uploadBytes: 0, downloadBytes: 0, cloudRequests: 0 };
+                var latencies = [];
+                entries.forEach(function(entry) {
+                    if (entry.cached) {
+                        result.cached++;
+                        return;
+                    }
+                    result.requests++;
+                    result.uploadBytes += entry.uploadBytes;
+                    result.downloadBytes += entry.downloadBytes;
+                    if (self._billable(entry)) result.cloudRequests++;
+                    if (entry.error) result.errors++;
+                    else latencies.push(entry.latencyMs);
+                });
+                latencies.sort(function(a, b) { return a - b; });
+                result.p50 = self.percentile(latencies, 50);
+                result.p95 = self.percentile(latencies, 95);
+                result.cost = result.cloudRequests * costPer1000 / 1000;
+                return result;
+            }
+            var summary = { total: row(records), endpoints: {}, widgets: {} };
+            Object.keys(byEndpoint).forEach(function(key) { summary.endpoints[key] = row(byEndpoint[key]); });
+            Object.keys(byWidget).forEach(function(key) { summary.widgets[key] = row(byWidget[key]); });
+            return summary;
+        },
+
+        /**
+         * Nearest-rank percentile of sorted numbers.
+         * @returns {number|null} - null for an empty list
+         */
+        percentile: function(sorted, p) {
+            if (!sorted.length) return null;
+            return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+        },
+
+        /** Forget all usage, in memory and in IndexedDB. */
+        clear: function() {
+            var self = this;
+            this._records = [];
+            this._open().then(function(db) {
+                db.transaction(self.STORE, 'readwrite').objectStore(self.STORE).clear();
+            }).catch(function() {});
+            if (!this._check()) this._notify();
+        },
+
+        /**
+         * Call fn(meter) after each recorded request and when a budget is
+         * used up or frees up.
+         * @returns {function} - Unsubscribe
+         */
+        subscribe: function(fn) {
+            var listeners = this._listeners;
+            listeners.push(fn);
+            return function() {
+                var index = listeners.indexOf(fn);
+                if (index !== -1) listeners.splice(index, 1);
+            };
+        },
+
+        _notify: function() {
+            var self = this;
+            this._listeners.slice().forEach(function(fn) { fn(self); });
         }
     };
 
     // ============================================================
-    // ERROR HELPER - Friendly error messages
+    // STREAMED RESPONSES
     // ============================================================
     /**
-     * ErrorHelper - Transforms technical errors into user-friendly messages.
+     * SseParser - Splits a streamed reply into events as it arrives.
      *
-     * This module provides two key functions:
-     * - getFriendlyMessage(): Converts error objects to readable text
-     * - getRecoveryAction(): Suggests actions users can take to resolve issues
+     * Understands Server-Sent Events (`data:` lines, an event ending at a
+     * blank line, several data lines joined with "\n") and, for servers
+     * that stream newline-delimited JSON, bare lines that start with "{".
+     * Comments, `event:`/`id:`/`retry:` fields and partial lines are held
+     * back or ignored. Each complete event's data goes to onEvent(data).
      *
-     * Error categories handled:
-     * - API key issues (invalid, missing)
-     * - Network problems (connection, timeout)
-     * - Rate limiting (429 errors)
-     * - Camera permissions
-     * - File upload errors
+     * @param {function} onEvent - Called with each event's data string
+     * @constructor
      */
-    var ErrorHelper = {
-        getFriendlyMessage: function(error) {
-            var msg = error.message || error.toString();
-            var lower = msg.toLowerCase();
-
-            if (lower.includes('api key') && lower.includes('invalid')) {
-                return Strings.errors.apiKeyInvalid;
-            }
-            if (lower.includes('api key')) {
-                return Strings.errors.apiKey;
-            }
-            if (lower.includes('network') || lower.includes('failed to fetch')) {
-                return Strings.errors.networkError;
-            }
-            if (lower.includes('timeout') || lower.includes('timed out')) {
-                return Strings.errors.timeout;
-            }
-            if (lower.includes('rate limit') || lower.includes('429')) {
-                return Strings.errors.rateLimit;
-            }
-            if (lower.includes('permission denied') || lower.includes('notallowed')) {
-                return Strings.errors.cameraPermission;
-            }
-            if (lower.includes('not found') || lower.includes('no camera')) {
-                return Strings.errors.noCamera;
-            }
-            if (lower.includes('in use') || lower.includes('notreadable')) {
-                return Strings.errors.cameraInUse;
-            }
+    function SseParser(onEvent) {
+        this.onEvent = onEvent;
+        this._buffer = '';
+        this._data = null;
+    }
 
-            return msg;
-        },
+    /** Add newly received text. */
+    SseParser.prototype.feed = function(text) {
+        this._buffer += text;
+        var lines = this._buffer.split(/\r\n|\r|\n/);
+        // The last piece may be a line still arriving
+        this._buffer = lines.pop();
+        lines.forEach(this._line, this);
+    };
 
-        getRecoveryAction: function(error) {
-            var msg = error.message || error.toString();
-            var lower = msg.toLowerCase();
+    /** The reply is complete: flush the last line and event. */
+    SseParser.prototype.end = function() {
+        if (this._buffer) this._line(this._buffer);
+        this._buffer = '';
+        this._dispatch();
+    };
 
-            if (lower.includes('api key')) {
-                return { text: 'Add API Key', action: 'showApiKeyModal' };
-            }
-            if (lower.includes('permission') || lower.includes('notallowed')) {
-                return { text: 'How to Enable', action: 'showCameraHelp' };
-            }
-            if (lower.includes('network') || lower.includes('timeout')) {
-                return { text: 'Retry', action: 'retry' };
-            }
-            return null;
+    SseParser.prototype._line = function(line) {
+        if (line === '') {
+            this._dispatch();
+        } else if (line.indexOf('data:') === 0) {
+            var value = line.slice(5).replace(/^ /, '');
+            this._data = this._data === null ? value : this._data + '\n' + value;
+        } else if (line.charAt(0) === '{') {
+            this._dispatch();
+            this.onEvent(line);
         }
     };
 
+    SseParser.prototype._dispatch = function() {
+        if (this._data === null) return;
+        var data = this._data;
+        this._data = null;
+        this.onEvent(data);
+    };
+
     // ============================================================
-    // API KEY MODAL - Enhanced with validation and guidance
+    // API CLIENT
     // ============================================================
     /**
-     * ApiKeyModal - Modal dialog for API key entry and validation.
+     * ApiClient - MoonDream API communication layer.
      *
-     * This modal handles the critical first-time setup experience:
-     * 1. Shows step-by-step instructions for obtaining a key
-     * 2. Validates the key format before accepting
-     * 3. Tests the key against the API before storing
-     * 4. Provides clear error feedback for invalid keys
+     * Sends every request through the selected InferenceBackends entry:
+     * the MoonDream cloud API, a local Moondream Station, or an
+     * OpenAI-compatible vision server. Responses always have the cloud
+     * API's shape. API documentation: https://docs.moondream.ai
      *
-     * Security:
-     * - Key input is masked by default (password field)
-     * - Toggle to show/hide for verification
-     * - Key stored in sessionStorage (cleared on tab close)
+     * Authentication:
+     * - Cloud: API key is sent via 'X-Moondream-Auth' header
+     * - Key is stored in CONFIG.apiKey at runtime
+     * - Local backends need no key (an OpenAI-compatible server may take one)
+     *
+     * Endpoints used:
+     * - /query   : Visual question answering
+     * - /detect  : Object detection with bounding boxes
+     * - /point   : Object location with point coordinates
+     * - /caption : Image description generation
      */
-    var ApiKeyModal = {
-        modal: null,
-        onSuccess: null,
-        isValidating: false,
+    var ApiClient = {
+        /**
+         * Check if an API key has been configured.
+         * @returns {boolean} - True if API key is set
+         */
+        hasApiKey: function() {
+            return !!CONFIG.apiKey;
+        },
 
-        show: function(onSuccess) {
-            this.onSuccess = onSuccess;
-            this.render();
+        /**
+         * True if a request can be made without asking for a key (a key is
+         * set, or the backend does not need one).
+         * @returns {boolean}
+         */
+        isReady: function() {
+            return !InferenceBackends.needsKey() || !!CONFIG.apiKey;
         },
 
-        hide: function() {
-            if (this.modal && this.modal.parentNode) {
-                this.modal.parentNode.removeChild(this.modal);
+        /**
+         * Check if the current backend offers a skill.
+         * @param {string} capability - 'query', 'caption', 'detect' or 'point'
+         * @returns {boolean}
+         */
+        supports: function(capability) {
+            return InferenceBackends.supports(capability);
+        },
+
+        /**
+         * True if a request failed only because it was cancelled or
+         * replaced by a newer frame (see ApiScheduler). Callers ignore these.
+         * @param {Error} err
+         * @returns {boolean}
+         */
+        isAbort: function(err) {
+            return !!err && err.name === 'AbortError';
+        },
+
+        /**
+         * Why live loops should not send requests right now: the circuit
+         * breaker is open, or a usage budget for the current backend is
+         * used up. Interactive requests are not affected.
+         *
+         * @returns {object|null} - {reason, remainingMs, message}, or null to carry on
+         */
+        livePause: function() {
+            if (ApiCircuitBreaker.isOpen()) {
+                return {
+                    reason: 'repeated errors',
+                    remainingMs: ApiCircuitBreaker.remaining(),
+                    message: 'API paused - resuming in ' + Utils.formatDuration(ApiCircuitBreaker.remaining())
+                };
             }
-            this.modal = null;
+            var settings = InferenceBackends.settings || InferenceBackends.load();
+            var budget = UsageMeter.allow('continuous', settings.backend) ? null : UsageMeter.budgetStatus();
+            if (budget) {
+                return {
+                    reason: budget.label.toLowerCase() + ' usage budget reached',
+                    remainingMs: budget.remainingMs,
+                    message: budget.label + ' budget reached - resuming in ' + Utils.formatDuration(budget.remainingMs)
+                };
+            }
+            return null;
         },
 
-        render: function() {
+        /**
+         * Internal method to make API requests.
+         * All public methods use this for consistent error handling.
+         * Requests are queued through ApiScheduler under the backend's
+         * concurrency limit, retried per ApiRetry, and counted by
+         * ApiCircuitBreaker and UsageMeter.
+         *
+         * @param {string} endpoint - API endpoint path (e.g., '/detect')
+         * @param {object} body     - Request body to send as JSON
+         * @param {object} options  - ApiScheduler options {priority, coalesce, signal}, plus
+         *                            onMetrics(metrics) called after each attempt (see _send;
+         *                            cached: true when a ResponseCache reply was used) and
+         *                            cache: true to allow reusing replies for unchanged frames,
+         *                            onChunk(text, fullText) to stream the reply (see _send),
+         *                            and source: the widget id UsageMeter counts it under
+         *                            (meter: false leaves it out, as for the self-check)
+         * @returns {Promise}       - Resolves with parsed JSON response; rejects with an ApiError
+         * @private
+         */
+        _request: function(endpoint, body, options) {
             var self = this;
-            if (this.modal) this.hide();
+            options = options || {};
+            var settings = InferenceBackends.settings || InferenceBackends.load();
+            var backend = InferenceBackends.get(settings);
+            var attempt = 0;
+
+            // Once text has reached the caller a retry would repeat it, so a
+            // streamed request fails as-is
+            var streamed = false;
+            var hooks = {
+                onMetrics: function(metrics) {
+                    if (options.meter !== false) UsageMeter.record(metrics, options.source);
+                    if (options.onMetrics) options.onMetrics(metrics);
+                },
+                onChunk: null
+            };
+            if (options.onChunk) {
+                hooks.onChunk = function(text, full) {
+                    streamed = true;
+                    options.onChunk(text, full);
+                };
+            }
 
-            this.modal = Utils.createElement('div', 'moon-modal-overlay');
+            // Captured frames (CapturePolicy.capture) go out as their data URL;
+            // coordinates in the reply are mapped back to the full frame
+            var frame = body.image_url && typeof body.image_url === 'object' ? body.image_url : null;
+            if (frame) body.image_url = frame.dataUrl;
+
+            // Live loops reuse the reply for a frame that has barely changed
+            var prompt = body.object || body.question || body.length;
+            var cacheable = !!(options.cache && frame && frame.hash && frame.reuseThreshold !== null);
+            if (cacheable) {
+                var cached = ResponseCache.lookup(settings.backend, endpoint, prompt, frame.hash, frame.reuseThreshold);
+                if (cached) {
+                    hooks.onMetrics({
+                        endpoint: endpoint, backend: settings.backend, uploadBytes: 0, downloadBytes: 0,
+                        latencyMs: 0, status: 0, error: null, cached: true
+                    });
+                    return Promise.resolve(CapturePolicy.mapResponse(cached, frame));
+                }
+            }
+
+            function attemptOnce() {
+                if (!ApiCircuitBreaker.allow(options.priority)) return Promise.reject(ApiCircuitBreaker.openError());
+                if (options.meter !== false && !UsageMeter.allow(options.priority, settings.backend)) {
+                    return Promise.reject(UsageMeter.budgetError());
+                }
+                return ApiScheduler.schedule(settings.backend, backend.maxInFlight, function(signal) {
+                    return self._send(settings, endpoint, body, signal, hooks);
+                }, options).then(function(result) {
+                    ApiCircuitBreaker.recordSuccess();
+                    if (Fixtures.recording && settings.backend !== 'fixture') Fixtures.record(endpoint, body, result);
+                    if (cacheable) ResponseCache.store(settings.backend, endpoint, prompt, frame.hash, result);
+                    return frame ? CapturePolicy.mapResponse(result, frame) : result;
+                }, function(err) {
+                    var delay = options.coalesce || streamed ? null : ApiRetry.delay(err, attempt);
+                    if (delay === null) {
+                        ApiCircuitBreaker.recordFailure(err);
+                        throw err;
+                    }
+                    attempt++;
+                    return ApiRetry.wait(delay, options.signal).then(attemptOnce);
+                });
+            }
+            return attemptOnce();
+        },
+
+        /**
+         * Send a request through a backend.
+         *
+         * @param {object} settings - InferenceBackends settings
+         * @param {string} endpoint - API endpoint path (e.g., '/detect')
+         * @param {object} body     - Moondream request body
+         * @param {AbortSignal} signal - Optional; aborts the HTTP request
+         * @param {object} hooks    - Optional callbacks:
+         *                            onMetrics(metrics) when the request ends (not when aborted)
+         *                            with {endpoint, backend, uploadBytes, downloadBytes,
+         *                            latencyMs, status, error};
+         *                            onChunk(text, fullText) for each piece of a streamed reply
+         *                            (body.stream). A server that answers with plain JSON
+         *                            instead delivers the whole text as one chunk.
+         * @returns {Promise}       - Resolves with a Moondream-shaped response; rejects with an ApiError
+         * @private
+         */
+        _send: function(settings, endpoint, body, signal, hooks) {
+            hooks = hooks || {};
+            var backend = InferenceBackends.get(settings);
+            var label = InferenceBackends.label(settings);
+            var skill = endpoint.slice(1);
+            function fail(code, message, details) {
+                details = details || {};
+                details.backend = settings.backend;
+                return new ApiError(code, message, details);
+            }
+            return new Promise(function(resolve, reject) {
+                if (!backend.capabilities(settings)[skill]) {
+                    reject(fail('unsupported', InferenceBackends.SKILL_LABELS[skill] + ' is not available with ' + label +
+                        '. Choose another backend in Backend settings.'));
+                    return;
+                }
+                if (backend.needsKey && !CONFIG.apiKey) {
+                    reject(fail('no_api_key', 'API key not configured. Please enter your MoonDream API key.'));
+                    return;
+                }
+
+                // Offline backends answer in-page (respond) instead of over HTTP
+                var request = backend.respond ? { url: label, headers: {}, body: body } :
+                    backend.request(endpoint, body, settings);
+                var payload = JSON.stringify(request.body);
+                var started = Date.now();
+                var status = 0;
+                var responseText = '';
+
+                function report(err) {
+                    if (!hooks.onMetrics) return;
+                    hooks.onMetrics({
+                        endpoint: endpoint,
+                        backend: settings.backend,
+                        uploadBytes: payload.length,
+                        downloadBytes: responseText.length,
+                        latencyMs: Date.now() - started,
+                        status: status,
+                        error: err ? err.code : null
+                    });
+                }
+                // Long-lived signals (a session's controller) outlive many requests,
+                // so each request takes its abort listener off once it is done
+                var onAbort = null;
+                function listen(cancel) {
+                    if (!signal) return;
+                    onAbort = function() {
+                        signal.removeEventListener('abort', onAbort);
+                        cancel();
+                    };
+                    signal.addEventListener('abort', onAbort);
+                }
+                function settle(err, result) {
+                    if (onAbort) signal.removeEventListener('abort', onAbort);
+                    report(err);
+                    if (err) reject(err);
+                    else resolve(result);
+                }
+
+                // Streamed replies arrive as SSE events or JSON lines; each one the
+                // backend recognises is passed on as soon as it lands
+                var parser = null;
+                var seen = 0;
+                var full = '';
+                var streaming = false;
+                function onEvent(data) {
+                    var chunk;
+                    try {
+                        chunk = backend.parseChunk(endpoint, data);
+                    } catch (e) {
+                        return;
+                    }
+                    if (!chunk) return;
+                    streaming = true;
+                    if (chunk.text) {
+                        full += chunk.text;
+                        hooks.onChunk(chunk.text, full);
+                    }
+                }
+                if (hooks.onChunk) parser = new SseParser(onEvent);
+                function progress(text) {
+                    if (!parser) return;
+                    parser.feed(text.slice(seen));
+                    seen = text.length;
+                }
+
+                function handle(getHeader) {
+                    if (status >= 200 && status < 300) {
+                        if (parser) {
+                            progress(responseText);
+                            parser.end();
+                            if (streaming) {
+                                settle(null, InferenceBackends.streamResult(endpoint, full));
+                                return;
+                            }
+                        }
+                        var data;
+                        try {
+                            data = JSON.parse(responseText);
+                        } catch (e) {
+                            settle(fail('invalid_response', 'Invalid JSON response', { status: status }));
+                            return;
+                        }
+                        try {
+                            var result = backend.parse(endpoint, data, body);
+                            if (parser) {
+                                full = result.answer || result.caption || '';
+                                if (full) hooks.onChunk(full, full);
+                            }
+                            settle(null, result);
+                        } catch (e) {
+                            settle(fail('invalid_response', e.message, { status: status }));
+                        }
+                    } else if (status === 401) {
+                        settle(backend.needsKey ?
+                            fail('invalid_api_key', 'Invalid API key. Please check your MoonDream API key.', { status: status }) :
+                            fail('unauthorized', label + ' refused the request (401). Check the server key in Backend settings.', { status: status }));
+                    } else if (status === 429) {
+                        settle(fail('rate_limited', 'Rate limit exceeded. Please wait a moment.', {
+                            status: status,
+                            retryAfterMs: ApiRetry.parseRetryAfter(getHeader('Retry-After'))
+                        }));
+                    } else if (status >= 500) {
+                        settle(fail('server_error', 'Request failed (' + status + ')', {
+                            status: status,
+                            retryAfterMs: ApiRetry.parseRetryAfter(getHeader('Retry-After'))
+                        }));
+                    } else {
+                        settle(fail('http_error', 'Request failed (' + status + ')', { status: status }));
+                    }
+                }
+
+                if (signal && signal.aborted) {
+                    reject(ApiScheduler.abortError('Request cancelled'));
+                    return;
+                }
+
+                if (backend.respond) {
+                    var reply = backend.respond(endpoint, body, settings);
+                    var timer = setTimeout(function() {
+                        if (reply.timeout) {
+                            settle(fail('timeout', 'Request timed out'));
+                            return;
+                        }
+                        status = reply.status;
+                        responseText = reply.text;
+                        handle(function(name) { return (reply.headers || {})[name] || null; });
+                    }, reply.latencyMs || 0);
+                    listen(function() {
+                        clearTimeout(timer);
+                        reject(ApiScheduler.abortError('Request cancelled'));
+                    });
+                    return;
+                }
+
+                var xhr = new XMLHttpRequest();
+                xhr.open('POST', request.url, true);
+                Object.keys(request.headers).forEach(function(name) {
+                    xhr.setRequestHeader(name, request.headers[name]);
+                });
+                xhr.timeout = CONFIG.requestTimeout;
+
+                if (parser) {
+                    xhr.onprogress = function() {
+                        if (xhr.status >= 200 && xhr.status < 300) progress(xhr.responseText || '');
+                    };
+                }
+                xhr.onload = function() {
+                    status = xhr.status;
+                    responseText = xhr.responseText || '';
+                    handle(function(name) { return xhr.getResponseHeader(name); });
+                };
+
+                // Local servers: say which URL failed (the usual causes are the server or CORS)
+                xhr.onerror = function() {
+                    settle(fail('network', backend.needsKey ? 'Network error' :
+                        'Cannot reach ' + request.url + '. Check that the server is running and allows requests from this page.'));
+                };
+                xhr.ontimeout = function() { settle(fail('timeout', 'Request timed out')); };
+                xhr.onabort = function() { reject(ApiScheduler.abortError('Request cancelled')); };
+                listen(function() { xhr.abort(); });
+                xhr.send(payload);
+            });
+        },
+
+        /**
+         * Check that a backend answers, with a small test image.
+         *
+         * @param {object} settings - InferenceBackends settings to test
+         * @returns {Promise}       - Resolves with the round trip in ms
+         */
+        testBackend: function(settings) {
+            var canvas = document.createElement('canvas');
+            canvas.width = canvas.height = 64;
+            var ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#336699';
+            ctx.fillRect(0, 0, 64, 64);
+            var started = Date.now();
+            return this._send(settings, '/caption', {
+                image_url: canvas.toDataURL('image/jpeg', 0.8),
+                length: 'short',
+                stream: false
+            }).then(function() {
+                return Date.now() - started;
+            });
+        },
+
+        /**
+         * Visual Question Answering - Ask questions about an image.
+         * Used by: Scene Analyzer
+         *
+         * @param {string} imageData - Base64 data URL of the image
+         * @param {string} question  - Natural language question about the image
+         * @param {object} options   - Optional ApiScheduler options {priority, coalesce, signal}
+         * @returns {Promise}        - Resolves with {answer: string}
+         *
+         * @example
+         * ApiClient.query(frame, "How many people are in this image?")
+         *   .then(response => console.log(response.answer));
+         */
+        query: function(imageData, question, options) {
+            return this._request('/query', {
+                image_url: imageData,
+                question: question
+            }, options);
+        },
+
+        /**
+         * Like query(), but the answer is streamed as it is generated.
+         * Used by: Scene Analyzer
+         *
+         * @param {string} imageData - Base64 data URL of the image
+         * @param {string} question  - Natural language question about the image
+         * @param {function} onChunk - Called with (text, answerSoFar) for each piece
+         * @param {object} options   - Optional ApiScheduler options {priority, coalesce, signal}
+         * @returns {Promise}        - Resolves with {answer: string} once the stream ends
+         */
+        queryStream: function(imageData, question, onChunk, options) {
+            return this._request('/query', {
+                image_url: imageData,
+                question: question,
+                stream: true
+            }, this._streamOptions(options, onChunk));
+        },
+
+        /**
+         * Object Detection - Find objects and return bounding boxes.
+         * Used by: Object Detector, Person Tracker, Zone Monitor, PTZ Tracker
+         *
+         * @param {string} imageData  - Base64 data URL of the image
+         * @param {string} objectName - What to detect (e.g., "person", "car", "face")
+         * @param {object} options    - Optional ApiScheduler options {priority, coalesce, signal}
+         * @returns {Promise}         - Resolves with {objects: [{x_min, y_min, x_max, y_max}, ...]}
+         *
+         * @example
+         * ApiClient.detect(frame, "person")
+         *   .then(response => response.objects.forEach(drawBox));
+         */
+        detect: function(imageData, objectName, options) {
+            return this._request('/detect', {
+                image_url: imageData,
+                object: objectName
+            }, options);
+        },
+
+        /**
+         * Point Detection - Find objects and return center point coordinates.
+         * Used by: Smart Counter
+         *
+         * @param {string} imageData  - Base64 data URL of the image
+         * @param {string} objectName - What to count (e.g., "person", "chair")
+         * @param {object} options    - Optional ApiScheduler options {priority, coalesce, signal}
+         * @returns {Promise}         - Resolves with {points: [{x, y}, ...]}
+         *
+         * @example
+         * ApiClient.point(frame, "chair")
+         *   .then(response => console.log("Found " + response.points.length + " chairs"));
+         */
+        point: function(imageData, objectName, options) {
+            return this._request('/point', {
+                image_url: imageData,
+                object: objectName
+            }, options);
+        },
+
+        /**
+         * Image Captioning - Generate a natural language description.
+         * Used by: Scene Analyzer, Production Monitor
+         *
+         * @param {string} imageData - Base64 data URL of the image
+         * @param {string} length    - Caption length: 'short', 'normal', or 'long'
+         * @param {object} options   - Optional ApiScheduler options {priority, coalesce, signal}
+         * @returns {Promise}        - Resolves with {caption: string}
+         *
+         * @example
+         * ApiClient.caption(frame, "normal")
+         *   .then(response => console.log(response.caption));
+         */
+        caption: function(imageData, length, options) {
+            return this._request('/caption', {
+                image_url: imageData,
+                length: length || 'normal',
+                stream: false
+            }, options);
+        },
+
+        /**
+         * Like caption(), but the caption is streamed as it is generated.
+         * Used by: Scene Analyzer, Production Monitor
+         *
+         * @param {string} imageData - Base64 data URL of the image
+         * @param {string} length    - Caption length: 'short', 'normal', or 'long'
+         * @param {function} onChunk - Called with (text, captionSoFar) for each piece
+         * @param {object} options   - Optional ApiScheduler options {priority, coalesce, signal}
+         * @returns {Promise}        - Resolves with {caption: string} once the stream ends
+         *
+         * @example
+         * ApiClient.captionStream(frame, "normal", function(text, caption) {
+         *     el.textContent = caption;
+         * });
+         */
+        captionStream: function(imageData, length, onChunk, options) {
+            return this._request('/caption', {
+                image_url: imageData,
+                length: length || 'normal',
+                stream: true
+            }, this._streamOptions(options, onChunk));
+        },
+
+        /** Copy request options, adding the chunk callback. */
+        _streamOptions: function(options, onChunk) {
+            var copy = {};
+            Object.keys(options || {}).forEach(function(key) { copy[key] = options[key]; });
+            copy.onChunk = onChunk;
+            return copy;
+        }
+    };
+
+    // ============================================================
+    // MEDIA CAPTURE
+    // ============================================================
+    /**
+     * MediaCapture - Webcam, image and video file handling.
+     *
+     * Opens camera and screen streams and provides frame capture
+     * functionality for sending to the API. It keeps no stream of its
+     * own: open streams are shared between widgets by MediaSources.
+     *
+     * Features:
+     * - Camera enumeration and selection
+     * - Resolution detection
+     * - Frame capture to base64 data URL
+     * - Image file loading
+     * - Video file (MP4/WebM) loading for playback
+     *
+     * Browser APIs used:
+     * - navigator.mediaDevices.getUserMedia() - Access camera
+     * - navigator.mediaDevices.enumerateDevices() - List cameras
+     * - HTMLCanvasElement.toDataURL() - Capture frames
+     */
+    var MediaCapture = {
+        availableCameras: [],
+
+        // Video files that can be opened for playback
+        videoTypes: ['video/mp4', 'video/webm'],
+
+        // Common resolutions to test
+        standardResolutions: [
+            { width: 1920, height: 1080, label: '1080p (16:9)' },
+            { width: 1280, height: 720, label: '720p (16:9)' },
+            { width: 640, height: 480, label: '480p (4:3)' },
+            { width: 640, height: 360, label: '360p (16:9)' },
+            { width: 320, height: 240, label: '240p (4:3)' }
+        ],
+
+        isWebcamSupported: function() {
+            return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+        },
+
+        // Get list of available cameras
+        getCameras: function() {
+            var self = this;
+            return new Promise(function(resolve) {
+                if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+                    resolve([]);
+                    return;
+                }
+
+                navigator.mediaDevices.enumerateDevices().then(function(devices) {
+                    var cameras = devices.filter(function(device) {
+                        return device.kind === 'videoinput';
+                    }).map(function(device, index) {
+                        return {
+                            deviceId: device.deviceId,
+                            label: device.label || ('Camera ' + (index + 1))
+                        };
+                    });
+                    self.availableCameras = cameras;
+                    resolve(cameras);
+                }).catch(function() {
+                    resolve([]);
+                });
+            });
+        },
+
+        // Probe a camera stream for supported resolutions
+        getSupportedResolutions: function(stream) {
+            var self = this;
+            return new Promise(function(resolve) {
+                if (!stream) {
+                    resolve([]);
+                    return;
+                }
+
+                var track = stream.getVideoTracks()[0];
+                if (!track) {
+                    resolve([]);
+                    return;
+                }
+
+                var capabilities = track.getCapabilities ? track.getCapabilities() : null;
+                var supported = [];
+
+                if (capabilities && capabilities.width && capabilities.height) {
+                    // Filter standard resolutions to those within camera capabilities
+                    self.standardResolutions.forEach(function(res) {
+                        if (res.width <= capabilities.width.max &&
+                            res.height <= capabilities.height.max &&
+                            res.width >= capabilities.width.min &&
+                            res.height >= capabilities.height.min) {
+                            supported.push(res);
+                        }
+                    });
+                }
+
+                // If no capabilities API, just offer standard resolutions
+                if (supported.length === 0) {
+                    supported = self.standardResolutions.slice(0, 3); // Top 3
+                }
+
+                resolve(supported);
+            });
+        },
+
+        /**
+         * Open a camera. Only MediaSources calls this, so that one camera is
+         * opened once however many widgets show it.
+         *
+         * @param {object} resolution - {width, height} to require, or null
+         * @param {string} deviceId   - Camera to open, or null for the default
+         * @returns {Promise<MediaStream>}
+         */
+        openCamera: function(resolution, deviceId) {
+            var self = this;
+            return new Promise(function(resolve, reject) {
+                if (!self.isWebcamSupported()) {
+                    reject(new Error('Webcam not supported'));
+                    return;
+                }
+
+                // Build constraints - use exact if resolution specified
+                var videoConstraints = {};
+                if (deviceId) {
+                    videoConstraints.deviceId = { exact: deviceId };
+                }
+                if (resolution) {
+                    videoConstraints.width = { exact: resolution.width };
+                    videoConstraints.height = { exact: resolution.height };
+                }
+
+                var constraints = {
+                    video: Object.keys(videoConstraints).length > 0 ? videoConstraints : true,
+                    audio: false
+                };
+
+                navigator.mediaDevices.getUserMedia(constraints).then(resolve).catch(function(err) {
+                    console.error('Webcam error:', err.name, err.message);
+                    if (err.name === 'NotAllowedError') {
+                        reject(new Error('Camera permission denied. Please allow camera access and try again.'));
+                    } else if (err.name === 'NotFoundError') {
+                        reject(new Error('No camera found. Please connect a webcam and try again.'));
+                    } else if (err.name === 'NotReadableError') {
+                        reject(new Error('Camera is in use by another application. Please close other apps using the camera.'));
+                    } else if (err.name === 'OverconstrainedError') {
+                        // Resolution not supported, try without constraints
+                        if (resolution) {
+                            self.openCamera(null, deviceId).then(resolve).catch(reject);
+                        } else {
+                            reject(new Error('Camera does not support requested settings.'));
+                        }
+                    } else {
+                        reject(new Error('Camera error: ' + (err.message || err.name)));
+                    }
+                });
+            });
+        },
+
+        // Stop every track of a stream
+        stopStream: function(stream) {
+            if (stream) stream.getTracks().forEach(function(track) { track.stop(); });
+        },
+
+        // Capture the current frame as a JPEG data URL. Pass maxWidth to
+        // scale down (e.g. for thumbnails); aspect ratio is preserved.
+        captureFrame: function(videoElement, quality, maxWidth) {
+            var canvas = document.createElement('canvas');
+            canvas.width = videoElement.videoWidth || 640;
+            canvas.height = videoElement.videoHeight || 480;
+            if (maxWidth && canvas.width > maxWidth) {
+                canvas.height = Math.round(canvas.height * maxWidth / canvas.width);
+                canvas.width = maxWidth;
+            }
+            var ctx = canvas.getContext('2d');
+            ctx.drawImage(videoElement, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/jpeg', quality || CONFIG.jpegQuality);
+        },
+
+        loadImageFile: function(file) {
+            return new Promise(function(resolve, reject) {
+                // Validate file type
+                var validTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+                if (!validTypes.includes(file.type) && !file.type.startsWith('image/')) {
+                    reject(new Error(Strings.errors.fileType));
+                    return;
+                }
+
+                // Validate file size (10MB max)
+                var maxSize = 10 * 1024 * 1024;
+                if (file.size > maxSize) {
+                    reject(new Error(Strings.errors.fileTooLarge));
+                    return;
+                }
+
+                var reader = new FileReader();
+                reader.onload = function(e) { resolve(e.target.result); };
+                reader.onerror = function() { reject(new Error('Failed to read file. Please try another image.')); };
+                reader.readAsDataURL(file);
+            });
+        },
+
+        /**
+         * Check an MP4 or WebM file and return an object URL to play it from.
+         * The file is not read into memory. Release the URL with
+         * releaseVideoFile when done.
+         *
+         * @param {File} file - Selected video file
+         * @returns {Promise} - Resolves with the object URL
+         */
+        loadVideoFile: function(file) {
+            // Some systems report no type for .webm; go by the extension then
+            var type = file.type || (/\.webm$/i.test(file.name) ? 'video/webm' : /\.(mp4|m4v)$/i.test(file.name) ? 'video/mp4' : '');
+            if (this.videoTypes.indexOf(type) < 0) {
+                return Promise.reject(new Error(Strings.errors.videoType));
+            }
+            if (file.size > CONFIG.maxVideoSizeMB * 1024 * 1024) {
+                return Promise.reject(new Error(Strings.errors.videoTooLarge.replace('{max}', CONFIG.maxVideoSizeMB)));
+            }
+            if (!document.createElement('video').canPlayType(type)) {
+                return Promise.reject(new Error('This browser cannot play ' + type.split('/')[1].toUpperCase() + ' video. Try an MP4 file.'));
+            }
+            return Promise.resolve(URL.createObjectURL(file));
+        },
+
+        releaseVideoFile: function(url) {
+            if (url) URL.revokeObjectURL(url);
+        },
+
+        isScreenCaptureSupported: function() {
+            return !!(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+        },
+
+        /**
+         * Ask the user to share a screen, window or browser tab. Must be
+         * called from a click. Independent of the webcam stream above.
+         * @returns {Promise<MediaStream>}
+         */
+        startScreenCapture: function() {
+            if (!this.isScreenCaptureSupported()) {
+                return Promise.reject(new Error('Screen sharing is not supported in this browser'));
+            }
+            return navigator.mediaDevices.getDisplayMedia({
+                video: { frameRate: { ideal: ScreenSource.FPS } },
+                audio: false
+            }).catch(function(err) {
+                if (err.name === 'NotAllowedError') {
+                    throw new Error('Screen sharing was cancelled or is not allowed.');
+                }
+                throw new Error('Screen sharing error: ' + (err.message || err.name));
+            });
+        }
+    };
+
+    // ============================================================
+    // NETWORK SOURCES
+    // ============================================================
+    /**
+     * NetworkSourceRegistry - Saved network cameras for the camera list.
+     *
+     * Source: { id, name, type: 'mjpeg'|'hls'|'snapshot', url, intervalMs,
+     *           fallbackType, fallbackUrl, viaRelay, relayUrl, username }
+     * - fallbackType/fallbackUrl: for HLS, an MJPEG stream or snapshot URL
+     *   ('mjpeg'|'snapshot', or '' for none) shown instead when the stream
+     *   cannot be played in this browser (MPEG-TS segments, most cameras)
+     *
+     * Sources persist in localStorage; passwords are kept in sessionStorage
+     * (like PTZCameraRegistry) so they are cleared with the tab.
+     */
+    var NetworkSourceRegistry = {
+        TYPES: [
+            { id: 'mjpeg', label: 'MJPEG stream', placeholder: 'http://192.168.1.100/mjpg/video.mjpg' },
+            { id: 'hls', label: 'HLS playlist (.m3u8, fMP4/CMAF only)', placeholder: 'http://192.168.1.100/live/stream.m3u8' },
+            { id: 'snapshot', label: 'Snapshot URL (JPEG)', placeholder: 'http://192.168.1.100/snapshot.jpg' }
+        ],
+
+        defaults: {
+            name: '',
+            type: 'mjpeg',
+            url: '',
+            intervalMs: 1000,           // Snapshot polling interval
+            fallbackType: '',           // HLS: 'mjpeg' or 'snapshot' to show when the stream cannot play
+            fallbackUrl: '',
+            viaRelay: false,            // Fetch through tools/ptz-relay.js (CORS, camera login)
+            relayUrl: 'http://localhost:8787',
+            username: ''
+        },
+
+        list: function() {
+            try {
+                return JSON.parse(localStorage.getItem(CONFIG.networkSourceStorageKey) || '[]') || [];
+            } catch (e) {
+                return [];
+            }
+        },
+
+        get: function(id) {
+            return this.list().filter(function(source) { return source.id === id; })[0] || null;
+        },
+
+        typeLabel: function(type) {
+            return this.TYPES.filter(function(entry) { return entry.id === type; })[0].label;
+        },
+
+        /** Error message for an incomplete source, or null. */
+        validate: function(source) {
+            if (!source.name) return 'Enter a name for the camera';
+            if (!/^https?:\/\//.test(source.url)) return 'Enter the URL, starting with http:// or https://';
+            if (source.viaRelay && !/^https?:\/\//.test(source.relayUrl)) return 'Enter the relay URL, starting with http://';
+            var hlsFallback = source.type === 'hls' ? source.fallbackType : '';
+            if (hlsFallback && !/^https?:\/\//.test(source.fallbackUrl)) return 'Enter the fallback URL, starting with http:// or https://';
+            if ((source.type === 'snapshot' || hlsFallback === 'snapshot') && !(source.intervalMs >= 100)) {
+                return 'Snapshot interval must be at least 100 ms';
+            }
+            return null;
+        },
+
+        /**
+         * Add or update a source (matched by id). Returns the saved source.
+         * @param {object} source - Source fields; password is stored separately
+         */
+        save: function(source) {
+            var error = this.validate(source);
+            if (error) throw new Error(error);
+
+            var defaults = this.defaults;
+            var saved = { id: source.id || Utils.uniqueId('net') };
+            Object.keys(defaults).forEach(function(key) {
+                saved[key] = source[key] !== undefined ? source[key] : defaults[key];
+            });
+
+            var sources = this.list().filter(function(s) { return s.id !== saved.id; });
+            sources.push(saved);
+            try {
+                localStorage.setItem(CONFIG.networkSourceStorageKey, JSON.stringify(sources));
+            } catch (e) {
+                throw new Error('Could not save camera - browser storage is full or disabled');
+            }
+            if (source.password !== undefined) this.setPassword(saved.id, source.password);
+            return saved;
+        },
+
+        remove: function(id) {
+            var sources = this.list().filter(function(s) { return s.id !== id; });
+            try {
+                localStorage.setItem(CONFIG.networkSourceStorageKey, JSON.stringify(sources));
+            } catch (e) {
+                // Storage disabled - nothing was persisted anyway
+            }
+            this.setPassword(id, '');
+        },
+
+        _readPasswords: function() {
+            try {
+                return JSON.parse(sessionStorage.getItem(CONFIG.networkCredentialStorageKey) || '{}') || {};
+            } catch (e) {
+                return {};
+            }
+        },
+
+        getPassword: function(id) {
+            return this._readPasswords()[id] || '';
+        },
+
+        setPassword: function(id, password) {
+            var passwords = this._readPasswords();
+            if (password) passwords[id] = password;
+            else delete passwords[id];
+            try {
+                sessionStorage.setItem(CONFIG.networkCredentialStorageKey, JSON.stringify(passwords));
+            } catch (e) {
+                // sessionStorage may be disabled in some browsers/modes
+            }
+        }
+    };
+
+    /**
+     * NetworkSource - A network camera as a video source.
+     *
+     * Each adapter (NetworkSource.adapters) receives pictures its own way
+     * and paints them onto one canvas; the canvas is offered as a
+     * MediaStream (canvas.captureStream), so a widget plays it in its
+     * <video> and captures frames exactly as it does from a webcam.
+     * - mjpeg:    one long HTTP response; JPEGs are cut out of it by their
+     *             start/end markers, and only the newest is drawn
+     * - hls:      playlist and fragmented-MP4 (CMAF) segments fed to a hidden
+     *             <video> through MediaSource (Safari plays HLS natively);
+     *             MPEG-TS segments are not supported, so a stream this
+     *             browser cannot play switches to the source's fallback
+     *             MJPEG or snapshot URL if it has one
+     * - snapshot: a JPEG fetched every intervalMs
+     *
+     * Cameras seldom allow cross-origin reads, so with viaRelay every request
+     * goes through the PTZ relay's GET /media, which also logs in.
+     *
+     * Health ({state, fps, frames, reconnects, lastFrameAt, error, retryInMs, fallback}):
+     * - 'connecting'   : waiting for the first picture
+     * - 'live'         : pictures are arriving
+     * - 'reconnecting' : failed or stalled (no picture for stallMs); retrying
+     *                    after 1s, doubling to 30s
+     * - 'stopped'      : stop() was called
+     * Listeners (subscribe) hear about state changes and once a second.
+     *
+     * @constructor
+     * @param {object} config - NetworkSourceRegistry source, plus password
+     */
+    function NetworkSource(config) {
+        this.config = config;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 640;
+        this.canvas.height = 360;
+        this.ctx = this.canvas.getContext('2d');
+        this.stream = null;
+        this.state = 'stopped';
+        this.frames = 0;
+        this.reconnects = 0;
+        this.lastFrameAt = 0;
+        this.error = null;
+        this.stallMs = config.type === 'snapshot' || (config.type === 'hls' && config.fallbackType === 'snapshot') ?
+            Math.max(5000, config.intervalMs * 3) : 5000;
+        this.fallback = null;       // Why the HLS fallback URL is showing, or null
+        this._frameTimes = [];
+        this._attempt = 0;
+        this._session = null;
+        this._connectedAt = 0;
+        this._retryAt = 0;
+        this._retryTimer = null;
+        this._watchdog = null;
+        this._listeners = [];
+    }
+
+    NetworkSource.CONNECT_TIMEOUT_MS = 10000;
+    NetworkSource.MAX_BACKOFF_MS = 30000;
+
+    /**
+     * Start receiving pictures.
+     * @returns {MediaStream} - The canvas stream to show in a <video>
+     * @throws {Error} if the browser cannot capture a canvas
+     */
+    NetworkSource.prototype.start = function() {
+        var self = this;
+        if (this.stream) return this.stream;
+        if (!this.canvas.captureStream) throw new Error('This browser cannot show network cameras (no canvas capture)');
+        this.stream = this.canvas.captureStream();
+        this._connect();
+        this._watchdog = setInterval(function() { self._check(); }, 1000);
+        return this.stream;
+    };
+
+    NetworkSource.prototype.stop = function() {
+        this._teardown();
+        clearTimeout(this._retryTimer);
+        clearInterval(this._watchdog);
+        this._retryTimer = null;
+        this._watchdog = null;
+        if (this.stream) this.stream.getTracks().forEach(function(track) { track.stop(); });
+        this.stream = null;
+        this._setState('stopped');
+    };
+
+    /** Health report (see the constructor). */
+    NetworkSource.prototype.health = function() {
+        var now = Date.now();
+        var recent = this._frameTimes.filter(function(t) { return now - t <= 2000; });
+        return {
+            state: this.state,
+            fps: this.state === 'live' ? Math.round(recent.length / 2 * 10) / 10 : 0,
+            frames: this.frames,
+            reconnects: this.reconnects,
+            lastFrameAt: this.lastFrameAt,
+            error: this.error,
+            retryInMs: this.state === 'reconnecting' ? Math.max(0, this._retryAt - now) : 0,
+            fallback: this.fallback
+        };
+    };
+
+    /**
+     * Call fn(source) on state changes and once a second while running.
+     * @returns {function} - Unsubscribe
+     */
+    NetworkSource.prototype.subscribe = function(fn) {
+        var listeners = this._listeners;
+        listeners.push(fn);
+        return function() {
+            var index = listeners.indexOf(fn);
+            if (index >= 0) listeners.splice(index, 1);
+        };
+    };
+
+    /** The URL to fetch for a camera URL: direct, or through the relay. */
+    NetworkSource.prototype.requestUrl = function(url) {
+        var config = this.config;
+        if (!config.viaRelay) return url;
+        return config.relayUrl.replace(/\/+$/, '') + '/media?url=' + encodeURIComponent(url);
+    };
+
+    /**
+     * Request headers for the relay: the camera login goes in headers, so
+     * it stays out of URLs (relay logs, browser history, devtools).
+     */
+    NetworkSource.prototype.requestHeaders = function() {
+        var config = this.config;
+        if (!config.viaRelay || !config.username) return {};
+        return {
+            'X-Camera-Username': encodeURIComponent(config.username),
+            'X-Camera-Password': encodeURIComponent(config.password || '')
+        };
+    };
+
+    /**
+     * fetch() a camera URL, turning failures into messages that say what
+     * to check. Resolves with an ok Response.
+     */
+    NetworkSource.prototype.fetch = function(url, signal) {
+        var config = this.config;
+        var init = { signal: signal, cache: 'no-store', headers: this.requestHeaders() };
+        return fetch(this.requestUrl(url), init).catch(function(err) {
+            if (err.name === 'AbortError') throw err;
+            throw new Error(config.viaRelay ?
+                'Cannot reach the relay at ' + config.relayUrl + '. Is tools/ptz-relay.js running?' :
+                'Cannot read ' + url + '. If it opens in a browser tab, the camera does not allow this page ' +
+                'to read it (CORS): turn on "Through relay".');
+        }).then(function(res) {
+            if (res.ok) return res;
+            return res.text().catch(function() { return ''; }).then(function(text) {
+                var relayError = null;
+                try {
+                    relayError = JSON.parse(text).error;
+                } catch (e) {
+                    // Camera reply, not a relay error
+                }
+                throw new Error(relayError ? 'Relay: ' + relayError :
+                    'Camera replied ' + res.status + (res.status === 401 ? ' - check the username and password' : ''));
+            });
+        });
+    };
+
+    /** Decode JPEG bytes; resolves with an ImageBitmap. */
+    NetworkSource.prototype.decode = function(blob) {
+        return createImageBitmap(blob).catch(function() {
+            throw new Error('The camera sent a picture that could not be decoded');
+        });
+    };
+
+    NetworkSource.prototype._connect = function() {
+        var self = this;
+        var session = { active: true, cleanup: null };
+        session.paint = function(image, width, height) {
+            if (session.active) self._paint(image, width, height);
+        };
+        session.fail = function(err) {
+            if (session.active) self._fail(err);
+        };
+        this._session = session;
+        this.fallback = null;
+        this._connectedAt = Date.now();
+        this._setState(this._attempt ? 'reconnecting' : 'connecting');
+        try {
+            session.cleanup = NetworkSource.adapters[this.config.type](this, session);
+        } catch (err) {
+            session.fail(err);
+        }
+    };
+
+    NetworkSource.prototype._teardown = function() {
+        var session = this._session;
+        this._session = null;
+        if (!session) return;
+        session.active = false;
+        if (session.cleanup) session.cleanup();
+    };
+
+    NetworkSource.prototype._paint = function(image, width, height) {
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.ctx.drawImage(image, 0, 0, width, height);
+        var now = Date.now();
+        this.frames++;
+        this.lastFrameAt = now;
+        this._frameTimes.push(now);
+        if (this._frameTimes.length > 120) this._frameTimes.splice(0, 60);
+        if (this.state !== 'live') {
+            this._attempt = 0;
+            this.error = null;
+            this._setState('live');
+        }
+    };
+
+    /** Drop the connection and try again after a backoff. */
+    NetworkSource.prototype._fail = function(err) {
+        var self = this;
+        this._teardown();
+        this.error = err.message;
+        this.reconnects++;
+        var delay = Math.min(NetworkSource.MAX_BACKOFF_MS, 1000 * Math.pow(2, this._attempt));
+        this._attempt++;
+        this._retryAt = Date.now() + delay;
+        clearTimeout(this._retryTimer);
+        this._retryTimer = setTimeout(function() {
+            self._retryTimer = null;
+            self._connect();
+        }, delay);
+        this._setState('reconnecting');
+    };
+
+    /** Once a second: catch stalls and slow connections, refresh listeners. */
+    NetworkSource.prototype._check = function() {
+        var now = Date.now();
+        if (this._session && this.state === 'live' && now - this.lastFrameAt > this.stallMs) {
+            this._fail(new Error('No picture for ' + Utils.formatDuration(now - this.lastFrameAt)));
+        } else if (this._session && this.state !== 'live' && now - this._connectedAt > NetworkSource.CONNECT_TIMEOUT_MS) {
+            this._fail(new Error('No picture within ' + Utils.formatDuration(NetworkSource.CONNECT_TIMEOUT_MS)));
+        } else {
+            this._notify();
+        }
+    };
+
+    NetworkSource.prototype._setState = function(state) {
+        this.state = state;
+        this._notify();
+    };
+
+    NetworkSource.prototype._notify = function() {
+        var self = this;
+        this._listeners.slice().forEach(function(fn) { fn(self); });
+    };
+
+    /**
+     * One-line health text for a badge, e.g. 'Live · 12 fps' or
+     * 'Reconnecting in 4s (3) - Camera replied 401'.
+     */
+    NetworkSource.describe = function(health) {
+        if (health.state === 'live') return 'Live · ' + health.fps + ' fps' + (health.fallback ? ' · fallback URL' : '');
+        if (health.state === 'connecting') return 'Connecting...';
+        if (health.state === 'stopped') return 'Stopped';
+        return (health.retryInMs ? 'Reconnecting in ' + Utils.formatDuration(health.retryInMs) : 'Reconnecting...') +
+            ' (' + health.reconnects + ')' + (health.error ? ' - ' + health.error : '');
+    };
+
+    /**
+     * Index of the first JPEG end marker (FF D9) after a start marker
+     * (FF D8) at `start`, or -1.
+     */
+    NetworkSource.findJpegEnd = function(bytes, start) {
+        for (var i = start + 2; i < bytes.length - 1; i++) {
+            if (bytes[i] === 0xFF && bytes[i + 1] === 0xD9) return i + 2;
+        }
+        return -1;
+    };
+
+    NetworkSource.findJpegStart = function(bytes, from) {
+        for (var i = from; i < bytes.length - 1; i++) {
+            if (bytes[i] === 0xFF && bytes[i + 1] === 0xD8) return i;
+        }
+        return -1;
+    };
+
+    /**
+     * Parse an HLS playlist.
+     * @returns {object} - Master: {variants: [{url, bandwidth, height, codecs}]};
+     *                     media: {targetDuration, mediaSequence, map, segments: [{url, seq}], ended}
+     */
+    NetworkSource.parsePlaylist = function(text, baseUrl) {
+        function resolve(uri) { return new URL(uri, baseUrl).href; }
+        function attrs(line) {
+            var out = {};
+            var re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+            var m;
+            while ((m = re.exec(line))) out[m[1]] = m[2].replace(/^"|"$/g, '');
+            return out;
+        }
+        var lines = String(text).split(/\r?\n/).map(function(line) { return line.trim(); }).filter(Boolean);
+        if (lines[0] !== '#EXTM3U') throw new Error('Not an HLS playlist');
+
+        var variants = [];
+        var playlist = { targetDuration: 2, mediaSequence: 0, map: null, segments: [], ended: false };
+        var pending = null;
+        var seq = 0;
+        lines.forEach(function(line) {
+            if (line.indexOf('#EXT-X-STREAM-INF:') === 0) {
+                var a = attrs(line.slice(18));
+                pending = {
+                    bandwidth: parseInt(a.BANDWIDTH, 10) || 0,
+                    height: a.RESOLUTION ? parseInt(a.RESOLUTION.split('x')[1], 10) : 0,
+                    codecs: a.CODECS || ''
+                };
+            } else if (line.indexOf('#EXT-X-TARGETDURATION:') === 0) {
+                playlist.targetDuration = parseFloat(line.slice(22)) || 2;
+            } else if (line.indexOf('#EXT-X-MEDIA-SEQUENCE:') === 0) {
+                playlist.mediaSequence = seq = parseInt(line.slice(22), 10) || 0;
+            } else if (line.indexOf('#EXT-X-MAP:') === 0) {
+                playlist.map = resolve(attrs(line.slice(11)).URI);
+            } else if (line === '#EXT-X-ENDLIST') {
+                playlist.ended = true;
+            } else if (line.charAt(0) !== '#') {
+                if (pending) {
+                    pending.url = resolve(line);
+                    variants.push(pending);
+                    pending = null;
+                } else {
+                    playlist.segments.push({ url: resolve(line), seq: seq++ });
+                }
+            }
+        });
+        return variants.length ? { variants: variants } : playlist;
+    };
+
+    /**
+     * Adapters: adapter(source, session) starts receiving, calls
+     * session.paint(image, width, height) per picture and session.fail(err)
+     * when the connection is lost, and returns a cleanup function.
+     */
+    NetworkSource.adapters = {
+        mjpeg: function(source, session) {
+            var controller = new AbortController();
+            var buffer = new Uint8Array(0);
+            var decoding = false;
+
+            function show(jpeg) {
+                // Drop pictures that arrive while one is still decoding
+                if (decoding) return;
+                decoding = true;
+                source.decode(new Blob([jpeg], { type: 'image/jpeg' })).then(function(bitmap) {
+                    decoding = false;
+                    session.paint(bitmap, bitmap.width, bitmap.height);
+                    bitmap.close();
+                }).catch(function(err) {
+                    decoding = false;
+                    session.fail(err);
+                });
+            }
+
+            source.fetch(source.config.url, controller.signal).then(function(res) {
+                if (!res.body || !res.body.getReader) throw new Error('This browser cannot read MJPEG streams');
+                var reader = res.body.getReader();
+                function pump() {
+                    return reader.read().then(function(chunk) {
+                        if (chunk.done) throw new Error('The camera closed the stream');
+                        var joined = new Uint8Array(buffer.length + chunk.value.length);
+                        joined.set(buffer);
+                        joined.set(chunk.value, buffer.length);
+                        buffer = joined;
+
+                        // Keep only the newest complete picture
+                        var newest = null;
+                        var start = NetworkSource.findJpegStart(buffer, 0);
+                        while (start >= 0) {
+                            var end = NetworkSource.findJpegEnd(buffer, start);
+                            if (end < 0) break;
+                            newest = buffer.subarray(start, end);
+                            start = NetworkSource.findJpegStart(buffer, end);
+                        }
+                        if (newest) show(newest.slice());
+                        buffer = start >= 0 ? buffer.slice(start) : new Uint8Array(0);
+                        if (buffer.length > 8 * 1024 * 1024) throw new Error('No JPEG pictures in the stream - is this an MJPEG URL?');
+                        return pump();
+                    });
+                }
+                return pump();
+            }).catch(function(err) {
+                if (err.name !== 'AbortError') session.fail(err);
+            });
+
+            return function() { controller.abort(); };
+        },
+
+        snapshot: function(source, session) {
+            var controller = null;
+            var timer = null;
+            var stopped = false;
+
+            function poll() {
+                var started = Date.now();
+                controller = new AbortController();
+                source.fetch(source.config.url, controller.signal).then(function(res) {
+                    return res.blob();
+                }).then(function(blob) {
+                    return source.decode(blob);
+                }).then(function(bitmap) {
+                    session.paint(bitmap, bitmap.width, bitmap.height);
+                    bitmap.close();
+                    if (!stopped) timer = setTimeout(poll, Math.max(0, source.config.intervalMs - (Date.now() - started)));
+                }).catch(function(err) {
+                    if (err.name !== 'AbortError') session.fail(err);
+                });
+            }
+            poll();
+
+            return function() {
+                stopped = true;
+                clearTimeout(timer);
+                if (controller) controller.abort();
+            };
+        },
+
+        hls: function(source, session) {
+            var video = document.createElement('video');
+            video.muted = true;
+            video.playsInline = true;
+            var controller = new AbortController();
+            var timers = [];
+            var objectUrl = null;
+            var lastTime = -1;
+            var fallbackCleanup = null;
+
+            function stopHls() {
+                controller.abort();
+                timers.forEach(function(timer) { clearInterval(timer); clearTimeout(timer); });
+                video.onerror = null;
+                video.onended = null;
+                video.removeAttribute('src');
+                video.load();
+                if (objectUrl) URL.revokeObjectURL(objectUrl);
+            }
+            function cleanup() {
+                stopHls();
+                if (fallbackCleanup) fallbackCleanup();
+            }
+
+            /** A stream this browser cannot play, as opposed to a lost connection. */
+            function unplayable(message) {
+                var err = new Error(message);
+                err.unplayable = true;
+                return err;
+            }
+            // Show the fallback MJPEG or snapshot URL instead, if the source has one
+            function fail(err) {
+                var config = source.config;
+                if (!err.unplayable || !config.fallbackType || !session.active) {
+                    session.fail(err);
+                    return;
+                }
+                stopHls();
+                var settings = {};
+                Object.keys(config).forEach(function(key) { settings[key] = config[key]; });
+                settings.type = config.fallbackType;
+                settings.url = config.fallbackUrl;
+                var fallbackSource = Object.create(source);
+                fallbackSource.config = settings;
+                source.fallback = err.message;
+                fallbackCleanup = NetworkSource.adapters[settings.type](fallbackSource, session);
+            }
+
+            // Safari plays HLS itself (not through the relay: it would fetch segments directly)
+            var native = !source.config.viaRelay && video.canPlayType('application/vnd.apple.mpegurl');
+            if (!native && !window.MediaSource) {
+                fail(unplayable('This browser cannot play HLS streams'));
+                return cleanup;
+            }
+
+            // Paint whenever the hidden video shows a new frame
+            timers.push(setInterval(function() {
+                if (video.readyState >= 2 && video.currentTime !== lastTime) {
+                    lastTime = video.currentTime;
+                    session.paint(video, video.videoWidth, video.videoHeight);
+                }
+            }, 1000 / 15));
+            video.onerror = function() { session.fail(new Error('The HLS stream could not be decoded')); };
+            video.onended = function() { session.fail(new Error('The HLS stream ended')); };
+
+            if (native) {
+                // Without CORS the frames would taint the capture canvas, so
+                // ask for it and say so when the camera does not allow it
+                video.crossOrigin = 'anonymous';
+                video.onerror = function() {
+                    session.fail(new Error('Cannot play ' + source.config.url + '. If it opens in a browser tab, the ' +
+                        'camera does not allow this page to read it (CORS): turn on "Through relay".'));
+                };
+                video.src = source.config.url;
+                video.play().catch(function() {});
+                return cleanup;
+            }
+
+            function load(url) {
+                return source.fetch(url, controller.signal).then(function(res) { return res.text(); }).then(function(text) {
+                    return NetworkSource.parsePlaylist(text, url);
+                });
+            }
+            function bytes(url) {
+                return source.fetch(url, controller.signal).then(function(res) { return res.arrayBuffer(); });
+            }
+
+            var codecs = '';
+            var playlistUrl = source.config.url;
+            load(playlistUrl).then(function(playlist) {
+                if (!playlist.variants) return playlist;
+                // Highest quality up to 1080p is plenty for analysis
+                var variants = playlist.variants.slice().sort(function(a, b) { return b.bandwidth - a.bandwidth; });
+                var chosen = variants.filter(function(v) { return !v.height || v.height <= 1080; })[0] || variants[variants.length - 1];
+                codecs = chosen.codecs;
+                playlistUrl = chosen.url;
+                return load(playlistUrl);
+            }).then(function(playlist) {
+                if (!playlist.map) {
+                    throw unplayable('This HLS stream uses MPEG-TS segments. Only fragmented MP4 (CMAF) HLS can be ' +
+                        'played here - choose CMAF/fMP4 output on the encoder, or set a fallback MJPEG or snapshot URL.');
+                }
+                var mime = 'video/mp4; codecs="' + (codecs || 'avc1.42E01E') + '"';
+                if (!MediaSource.isTypeSupported(mime)) throw unplayable('This browser cannot play ' + mime);
+
+                var mediaSource = new MediaSource();
+                objectUrl = URL.createObjectURL(mediaSource);
+                video.src = objectUrl;
+                mediaSource.addEventListener('sourceopen', function() {
+                    var buffer = mediaSource.addSourceBuffer(mime);
+                    buffer.mode = 'sequence';
+                    var queue = [playlist.map];
+                    var lastSeq = -1;
+                    var appending = false;
+
+                    function enqueue(list) {
+                        // Live: start near the live edge
+                        var segments = list.ended ? list.segments : list.segments.slice(-3);
+                        segments.forEach(function(segment) {
+                            if (segment.seq > lastSeq) {
+                                queue.push(segment.url);
+                                lastSeq = segment.seq;
+                            }
+                        });
+                        next();
+                    }
+                    function next() {
+                        if (appending || !queue.length || !session.active) return;
+                        appending = true;
+                        bytes(queue.shift()).then(function(data) {
+                            if (!session.active) return;
+                            buffer.appendBuffer(data);
+                        }).catch(function(err) {
+                            appending = false;
+                            if (err.name !== 'AbortError') session.fail(err);
+                        });
+                    }
+                    buffer.addEventListener('updateend', function() {
+                        appending = false;
+                        var ranges = buffer.buffered;
+                        if (ranges.length) {
+                            // Keep 30s of buffer; stay within a few segments of live
+                            if (video.currentTime - ranges.start(0) > 30) {
+                                appending = true;
+                                buffer.remove(ranges.start(0), video.currentTime - 10);
+                                return;
+                            }
+                            var behind = ranges.end(ranges.length - 1) - video.currentTime;
+                            if (!playlist.ended && behind > playlist.targetDuration * 3) {
+                                video.currentTime = ranges.end(ranges.length - 1) - playlist.targetDuration;
+                            }
+                            if (video.paused) video.play().catch(function() {});
+                        }
+                        if (!queue.length && playlist.ended && mediaSource.readyState === 'open') mediaSource.endOfStream();
+                        next();
+                    });
+                    buffer.addEventListener('error', function() {
+                        session.fail(new Error('The HLS segments could not be decoded (codecs ' + mime + ')'));
+                    });
+                    enqueue(playlist);
+
+                    // Live playlists grow: reload every target duration
+                    if (!playlist.ended) {
+                        timers.push(setInterval(function() {
+                            load(playlistUrl).then(function(updated) {
+                                if (session.active) enqueue(updated);
+                            }).catch(function(err) {
+                                if (err.name !== 'AbortError') session.fail(err);
+                            });
+                        }, playlist.targetDuration * 1000));
+                    }
+                });
+            }).catch(function(err) {
+                if (err.name !== 'AbortError') fail(err);
+            });
+
+            return cleanup;
+        }
+    };
+
+    // ============================================================
+    // SCREEN CAPTURE
+    // ============================================================
+    /**
+     * ScreenSource - A shared screen, window or browser tab as a video
+     * source, optionally cropped to a region (one multiviewer tile, a
+     * switcher's program window).
+     *
+     * The shared picture plays in a hidden <video>; the region is copied
+     * onto a canvas FPS times a second and the canvas is offered as a
+     * MediaStream, so a widget shows and captures only the region, and
+     * overlays line up with it. region is {x, y, width, height} as 0-1
+     * fractions of the shared picture, or null for all of it.
+     *
+     * @constructor
+     * @param {MediaStream} stream - From MediaCapture.startScreenCapture()
+     */
+    function ScreenSource(stream) {
+        var self = this;
+        this.stream = stream;
+        this.track = stream.getVideoTracks()[0];
+        this.label = (this.track && this.track.label) || 'Shared screen';
+        this.region = null;
+        this.output = null;
+        this.onended = null;        // Called when sharing is stopped from the browser
+        this._timer = null;
+
+        this.video = document.createElement('video');
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.video.srcObject = stream;
+        this.video.play().catch(function() {});
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 640;
+        this.canvas.height = 360;
+        this.ctx = this.canvas.getContext('2d');
+
+        if (this.track) {
+            this.track.onended = function() {
+                self.stop();
+                if (self.onended) self.onended();
+            };
+        }
+    }
+
+    ScreenSource.FPS = 15;
+    ScreenSource.MIN_REGION = 0.02;    // Smallest region side (fraction of the picture)
+
+    /**
+     * Start copying the region.
+     * @returns {MediaStream} - The canvas stream to show in a <video>
+     * @throws {Error} if the browser cannot capture a canvas
+     */
+    ScreenSource.prototype.start = function() {
+        var self = this;
+        if (this.output) return this.output;
+        if (!this.canvas.captureStream) throw new Error('This browser cannot crop a shared screen (no canvas capture)');
+        this.output = this.canvas.captureStream();
+        this._timer = setInterval(function() { self.paint(); }, 1000 / ScreenSource.FPS);
+        return this.output;
+    };
+
+    ScreenSource.prototype.stop = function() {
+        clearInterval(this._timer);
+        this._timer = null;
+        [this.stream, this.output].forEach(function(stream) {
+            if (stream) stream.getTracks().forEach(function(track) { track.stop(); });
+        });
+        this.output = null;
+        this.video.srcObject = null;
+    };
+
+    /**
+     * Crop to a region (null for the whole picture). Regions are clamped
+     * to the picture; one smaller than MIN_REGION is refused.
+     * @returns {boolean} - Whether the region was applied
+     */
+    ScreenSource.prototype.setRegion = function(region) {
+        if (!region) {
+            this.region = null;
+            return true;
+        }
+        var x = Math.max(0, Math.min(1, region.x));
+        var y = Math.max(0, Math.min(1, region.y));
+        var width = Math.min(1 - x, region.width);
+        var height = Math.min(1 - y, region.height);
+        if (!(width >= ScreenSource.MIN_REGION && height >= ScreenSource.MIN_REGION)) return false;
+        this.region = { x: x, y: y, width: width, height: height };
+        return true;
+    };
+
+    /** Copy the current region onto the canvas. @private */
+    ScreenSource.prototype.paint = function() {
+        var video = this.video;
+        if (video.readyState < 2 || !video.videoWidth) return;
+        var region = this.region || { x: 0, y: 0, width: 1, height: 1 };
+        var sx = Math.round(region.x * video.videoWidth);
+        var sy = Math.round(region.y * video.videoHeight);
+        var width = Math.max(1, Math.round(region.width * video.videoWidth));
+        var height = Math.max(1, Math.round(region.height * video.videoHeight));
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.ctx.drawImage(video, sx, sy, width, height, 0, 0, width, height);
+    };
+
+    // ============================================================
+    // MEDIA SOURCES
+    // ============================================================
+    /**
+     * MediaSources - Live sources shared by every widget.
+     *
+     * A source is one open webcam, network camera (NetworkSource) or
+     * shared screen (ScreenSource), with a name and a MediaStream. Any
+     * number of <video> elements attach to it - the demos' players and
+     * the PTZ Auto-Tracker's camera previews - so a camera is opened once
+     * however many places show it.
+     *
+     * Sources are reference counted: one reference per attached element,
+     * plus one while it is the selected source (the one the user last
+     * chose). A source closes when its count reaches zero. A demo that
+     * opens attaches to the selected source, so the picture survives
+     * switching demos; stopping a source in one demo deselects it and
+     * detaches that demo only, and anyone else attached keeps watching.
+     *
+     * Source: { id, name, kind: 'webcam'|'network'|'screen', stream, videos,
+     *           deviceId, resolution (webcam), config, network (network),
+     *           screen (screen) }
+     * - id: 'device:<deviceId>', 'net:<network camera id>' or 'screen:<n>',
+     *   the values of the widgets' camera lists
+     *
+     * Events (subscribe): fn(type, source) with type 'opened', 'changed'
+     * (new stream, name or screen region), 'selected' or 'closed'.
+     */
+    var MediaSources = {
+        sources: [],
+        selected: null,
+        lastDeviceId: null,     // Camera that Start Webcam opens
+        _opening: {},           // Camera key -> Promise while it opens
+        _screenCount: 0,
+        _listeners: [],
+
+        list: function() {
+            return this.sources.slice();
+        },
+
+        get: function(id) {
+            return this.sources.filter(function(source) { return source.id === id; })[0] || null;
+        },
+
+        /**
+         * Open a camera, or share it if it is already open.
+         * @param {string} deviceId - Camera, or null for any open webcam (else the default)
+         * @returns {Promise<object>} - Source
+         */
+        openWebcam: function(deviceId) {
+            var self = this;
+            var open = this.sources.filter(function(source) {
+                return source.kind === 'webcam' && (!deviceId || source.deviceId === deviceId);
+            })[0];
+            if (open) return Promise.resolve(open);
+
+            var key = deviceId || 'default';
+            if (this._opening[key]) return this._opening[key];
+            var opening = MediaCapture.openCamera(null, deviceId).then(function(stream) {
+                delete self._opening[key];
+                var track = stream.getVideoTracks()[0];
+                var actualId = (track && track.getSettings && track.getSettings().deviceId) || deviceId || 'default';
+                // The default camera may have been opened by its id meanwhile
+                var existing = self.get('device:' + actualId);
+                if (existing) {
+                    MediaCapture.stopStream(stream);
+                    return existing;
+                }
+                var camera = MediaCapture.availableCameras.filter(function(cam) { return cam.deviceId === actualId; })[0];
+                self.lastDeviceId = actualId;
+                return self._add({
+                    id: 'device:' + actualId,
+                    kind: 'webcam',
+                    name: (camera && camera.label) || (track && track.label) || 'Webcam',
+                    deviceId: actualId,
+                    resolution: self._resolutionOf(stream),
+                    stream: stream
+                });
+            }, function(err) {
+                delete self._opening[key];
+                throw err;
+            });
+            this._opening[key] = opening;
+            return opening;
+        },
+
+        /**
+         * Open a network camera, or share it if it is already open. If its
+         * settings were edited since, it reconnects with the new ones.
+         * @param {object} config - NetworkSourceRegistry source
+         * @returns {Promise<object>} - Source
+         */
+        openNetwork: function(config) {
+            var open = this.get('net:' + config.id);
+            if (open && JSON.stringify(open.config) === JSON.stringify(config)) return Promise.resolve(open);
+
+            var settings = {};
+            Object.keys(config).forEach(function(key) { settings[key] = config[key]; });
+            settings.password = NetworkSourceRegistry.getPassword(config.id);
+            var network = new NetworkSource(settings);
+            var stream;
+            try {
+                stream = network.start();
+            } catch (err) {
+                return Promise.reject(err);
+            }
+
+            if (open) {
+                open.network.stop();
+                open.network = network;
+                open.config = config;
+                open.name = config.name;
+                this._replaceStream(open, stream);
+                return Promise.resolve(open);
+            }
+            return Promise.resolve(this._add({
+                id: 'net:' + config.id,
+                kind: 'network',
+                name: config.name,
+                config: config,
+                network: network,
+                stream: stream
+            }));
+        },
+
+        /**
+         * Ask the user for a screen, window or tab to share. Must be called
+         * from a click. Each share is a new source.
+         * @param {object} region - Crop to apply (ScreenSource.setRegion), or null
+         * @returns {Promise<object>} - Source
+         */
+        openScreen: function(region) {
+            var self = this;
+            return MediaCapture.startScreenCapture().then(function(stream) {
+                var screen = new ScreenSource(stream);
+                var output;
+                try {
+                    output = screen.start();
+                } catch (err) {
+                    screen.stop();
+                    throw err;
+                }
+                screen.setRegion(region);
+                var source = self._add({
+                    id: 'screen:' + (++self._screenCount),
+                    kind: 'screen',
+                    name: screen.label,
+                    screen: screen,
+                    stream: output
+                });
+                // Sharing stopped from the browser's own controls
+                screen.onended = function() { self.close(source); };
+                return source;
+            });
+        },
+
+        /**
+         * Reopen a webcam source at another resolution. Every attached
+         * element switches to the new stream.
+         * @returns {Promise<object>} - Source (closed if the camera cannot reopen)
+         */
+        setResolution: function(source, resolution) {
+            var self = this;
+            // Many cameras cannot be opened twice, so release the old stream first
+            MediaCapture.stopStream(source.stream);
+            return MediaCapture.openCamera(resolution, source.deviceId).then(function(stream) {
+                if (self.sources.indexOf(source) < 0) {
+                    MediaCapture.stopStream(stream);
+                    return source;
+                }
+                source.resolution = self._resolutionOf(stream) || resolution;
+                self._replaceStream(source, stream);
+                return source;
+            }).catch(function(err) {
+                self.close(source);
+                throw err;
+            });
+        },
+
+        /**
+         * Crop a screen source (ScreenSource.setRegion).
+         * @returns {boolean} - False if the region is too small
+         */
+        setRegion: function(source, region) {
+            if (!source.screen.setRegion(region)) return false;
+            this._emit('changed', source);
+            return true;
+        },
+
+        /** Play a source in a <video>; counts as a reference. */
+        attach: function(source, video) {
+            if (source.videos.indexOf(video) < 0) source.videos.push(video);
+            video.srcObject = source.stream;
+            video.play().catch(function() {});
+        },
+
+        /** Stop playing a source in a <video>, closing it if unused. */
+        detach: function(source, video) {
+            var index = source.videos.indexOf(video);
+            if (index >= 0) source.videos.splice(index, 1);
+            if (video.srcObject === source.stream) video.srcObject = null;
+            this.release(source);
+        },
+
+        /** Make a source (or null) the one new demos show. */
+        select: function(source) {
+            var previous = this.selected;
+            if (previous === source) return;
+            this.selected = source;
+            if (previous) this.release(previous);
+            this._emit('selected', source);
+        },
+
+        deselect: function(source) {
+            if (this.selected === source) this.select(null);
+        },
+
+        /** Close a source that nothing is attached to or has selected. */
+        release: function(source) {
+            if (!source.videos.length && source !== this.selected) this.close(source);
+        },
+
+        /** Close a source now, whoever is attached. */
+        close: function(source) {
+            var index = this.sources.indexOf(source);
+            if (index < 0) return;
+            this.sources.splice(index, 1);
+            if (this.selected === source) this.selected = null;
+
+            if (source.network) source.network.stop();
+            if (source.screen) {
+                source.screen.onended = null;
+                source.screen.stop();
+            }
+            MediaCapture.stopStream(source.stream);
+            source.videos.forEach(function(video) {
+                if (video.srcObject === source.stream) video.srcObject = null;
+            });
+            source.videos = [];
+            this._emit('closed', source);
+        },
+
+        /**
+         * Call fn(type, source) for every event.
+         * @returns {function} - Unsubscribe
+         */
+        subscribe: function(fn) {
+            var listeners = this._listeners;
+            listeners.push(fn);
+            return function() {
+                var index = listeners.indexOf(fn);
+                if (index >= 0) listeners.splice(index, 1);
+            };
+        },
+
+        _add: function(source) {
+            source.videos = [];
+            this.sources.push(source);
+            this._watch(source);
+            this._emit('opened', source);
+            return source;
+        },
+
+        /** Close a webcam source when its camera goes away (unplugged). @private */
+        _watch: function(source) {
+            var self = this;
+            var track = source.stream.getVideoTracks()[0];
+            if (source.kind !== 'webcam' || !track) return;
+            var stream = source.stream;
+            track.onended = function() {
+                if (source.stream === stream) self.close(source);
+            };
+        },
+
+        _replaceStream: function(source, stream) {
+            var previous = source.stream;
+            source.stream = stream;
+            this._watch(source);
+            source.videos.forEach(function(video) {
+                if (video.srcObject === previous) {
+                    video.srcObject = stream;
+                    video.play().catch(function() {});
+                }
+            });
+            this._emit('changed', source);
+        },
+
+
+        _resolutionOf: function(stream) {
+            var track = stream.getVideoTracks()[0];
+            var settings = track && track.getSettings ? track.getSettings() : {};
+            if (!settings.width) return null;
+            return { width: settings.width, height: settings.height, label: settings.width + 'x' + settings.height };
+        },
+
+        _emit: function(type, source) {
+            this._listeners.slice().forEach(function(fn) { fn(type, source); });
+        }
+    };
+
+    // ============================================================
+    // CAPTURE POLICY
+    // ============================================================
+    /**
+     * CapturePolicy - How a widget turns a video frame into an upload.
+     *
+     * A policy sets the largest side sent (maxDimension, 0 = native),
+     * letterboxing into a square, the encoding (JPEG or WebP) and its
+     * quality, and an optional region of interest (roi, fractions of the
+     * frame). capture() returns a captured frame that ApiClient accepts
+     * in place of a data URL; ApiClient maps the boxes and points in the
+     * reply back to full-frame fractions with mapResponse(), so overlays
+     * drawn with CanvasUtils line up whatever the crop or letterbox.
+     *
+     * Each captured frame also carries a perceptual hash (frameHash) so
+     * live loops can reuse the reply for a frame that has barely changed
+     * (ResponseCache); reuse and reuseThreshold set that per widget.
+     * Closed loops (CLOSED_LOOPS) never reuse: they steer a camera by each
+     * reply, and a subject moving slowly across a still background barely
+     * changes the hash, so a reused reply would be a stale position.
+     *
+     * Policies are stored per widget id (CONFIG.captureStorageKey).
+     * Uploaded images are sent as they are.
+     */
+    var CapturePolicy = {
+        SIZES: [0, 1280, 1024, 768, 640, 512, 384],
+
+        FORMATS: { jpeg: 'image/jpeg', webp: 'image/webp' },
+
+        // Live tracking sends a frame every tick, so it starts smaller
+        DEFAULTS: {
+            'person-tracker': { maxDimension: 768 },
+            'ptz-tracker': { maxDimension: 640 }
+        },
+
+        // Widgets whose live loop moves a camera by every reply
+        CLOSED_LOOPS: ['ptz-tracker'],
+
+        /** True if a widget's replies may be reused for unchanged frames. */
+        canReuse: function(widgetId) {
+            return this.CLOSED_LOOPS.indexOf(widgetId) === -1;
+        },
+
+        /**
+         * Default policy for a widget.
+         *
+         * @param {string} widgetId - Widget id (e.g. 'ptz-tracker')
+         * @returns {object}        - {maxDimension, letterbox, format, quality, roi}
+         */
+        create: function(widgetId) {
+            var policy = {
+                maxDimension: 1280,
+                letterbox: false,
+                format: 'jpeg',
+                quality: CONFIG.jpegQuality,
+                roi: null,          // {x, y, width, height} as fractions, null = whole frame
+                reuse: this.canReuse(widgetId),  // Live loops reuse replies for unchanged frames
+                reuseThreshold: 8   // Most differing hash bits (of 256) that count as unchanged
+            };
+            var defaults = this.DEFAULTS[widgetId] || {};
+            Object.keys(defaults).forEach(function(key) { policy[key] = defaults[key]; });
+            return policy;
+        },
+
+        /** The stored policy for a widget, or its default. */
+        load: function(widgetId) {
+            var policy = this.create(widgetId);
+            try {
+                var stored = (JSON.parse(localStorage.getItem(CONFIG.captureStorageKey) || '{}') || {})[widgetId] || {};
+                Object.keys(policy).forEach(function(key) {
+                    if (stored[key] !== undefined) policy[key] = stored[key];
+                });
+            } catch (e) {
+                // Storage may be disabled; use the default
+            }
+            if (!this.FORMATS[policy.format]) policy.format = 'jpeg';
+            policy.roi = this.normalizeRoi(policy.roi);
+            // Stored before closed loops stopped reusing
+            if (!this.canReuse(widgetId)) policy.reuse = false;
+            return policy;
+        },
+
+        save: function(widgetId, policy) {
+            try {
+                var all = JSON.parse(localStorage.getItem(CONFIG.captureStorageKey) || '{}') || {};
+                all[widgetId] = policy;
+                localStorage.setItem(CONFIG.captureStorageKey, JSON.stringify(all));
+            } catch (e) {
+                // Policy still applies until the widget closes
+            }
+        },
+
+        /**
+         * Clamp a region to the frame. A region covering the whole frame
+         * (or nothing) becomes null.
+         *
+         * @param {object|null} roi - {x, y, width, height} fractions
+         * @returns {object|null}
+         */
+        normalizeRoi: function(roi) {
+            if (!roi) return null;
+            var x = Math.max(0, Math.min(1, Number(roi.x) || 0));
+            var y = Math.max(0, Math.min(1, Number(roi.y) || 0));
+            var width = Math.max(0, Math.min(1 - x, Number(roi.width) || 0));
+            var height = Math.max(0, Math.min(1 - y, Number(roi.height) || 0));
+            if (width < 0.01 || height < 0.01) return null;
+            if (x === 0 && y === 0 && width === 1 && height === 1) return null;
+            return { x: x, y: y, width: width, height: height };
+        },
+
+        /**
+         * Work out the crop, output size and where the picture sits in it.
+         *
+         * @param {number} sourceWidth  - Video width in px
+         * @param {number} sourceHeight - Video height in px
+         * @param {object} policy       - Capture policy
+         * @returns {object} - {crop: {x, y, width, height} source px,
+         *                      width, height: output px,
+         *                      content: {x, y, width, height} output px}
+         */
+        layout: function(sourceWidth, sourceHeight, policy) {
+            var roi = this.normalizeRoi(policy.roi) || { x: 0, y: 0, width: 1, height: 1 };
+            var crop = {
+                x: Math.round(roi.x * sourceWidth),
+                y: Math.round(roi.y * sourceHeight),
+                width: Math.max(1, Math.round(roi.width * sourceWidth)),
+                height: Math.max(1, Math.round(roi.height * sourceHeight))
+            };
+            var longest = Math.max(crop.width, crop.height);
+            var scale = policy.maxDimension ? Math.min(1, policy.maxDimension / longest) : 1;
+            var content = {
+                x: 0,
+                y: 0,
+                width: Math.max(1, Math.round(crop.width * scale)),
+                height: Math.max(1, Math.round(crop.height * scale))
+            };
+            var width = content.width;
+            var height = content.height;
+            if (policy.letterbox) {
+                width = height = Math.max(content.width, content.height);
+                content.x = Math.floor((width - content.width) / 2);
+                content.y = Math.floor((height - content.height) / 2);
+            }
+            return { crop: crop, width: width, height: height, content: content };
+        },
+
+        /**
+         * Capture and encode a frame.
+         *
+         * @param {HTMLVideoElement} videoElement - Source video
+         * @param {object} policy                 - Capture policy
+         * @returns {object} - {dataUrl, width, height, format, bytes, hash,
+         *                      reuseThreshold, sourceWidth, sourceHeight, transform}
+         */
+        capture: function(videoElement, policy) {
+            var sourceWidth = videoElement.videoWidth || 640;
+            var sourceHeight = videoElement.videoHeight || 480;
+            var layout = this.layout(sourceWidth, sourceHeight, policy);
+            var canvas = document.createElement('canvas');
+            canvas.width = layout.width;
+            canvas.height = layout.height;
+            var ctx = canvas.getContext('2d');
+            if (policy.letterbox) {
+                ctx.fillStyle = '#000';
+                ctx.fillRect(0, 0, layout.width, layout.height);
+            }
+            ctx.drawImage(videoElement, layout.crop.x, layout.crop.y, layout.crop.width, layout.crop.height,
+                layout.content.x, layout.content.y, layout.content.width, layout.content.height);
+
+            var format = policy.format;
+            var dataUrl = canvas.toDataURL(this.FORMATS[format], policy.quality);
+            // Browsers without a WebP encoder hand back PNG; JPEG is smaller
+            if (dataUrl.indexOf('data:' + this.FORMATS[format]) !== 0) {
+                format = 'jpeg';
+                dataUrl = canvas.toDataURL(this.FORMATS.jpeg, policy.quality);
+            }
+
+            var content = layout.content;
+            var crop = layout.crop;
+            return {
+                dataUrl: dataUrl,
+                width: layout.width,
+                height: layout.height,
+                format: format,
+                bytes: Math.round((dataUrl.length - dataUrl.indexOf(',') - 1) * 3 / 4),
+                hash: this.frameHash(canvas),
+                reuseThreshold: policy.reuse ? policy.reuseThreshold : null,
+                sourceWidth: sourceWidth,
+                sourceHeight: sourceHeight,
+                // full-frame fraction = reply fraction * scale + offset
+                transform: {
+                    scaleX: layout.width / content.width * crop.width / sourceWidth,
+                    offsetX: (crop.x - content.x / content.width * crop.width) / sourceWidth,
+                    scaleY: layout.height / content.height * crop.height / sourceHeight,
+                    offsetY: (crop.y - content.y / content.height * crop.height) / sourceHeight
+                }
+            };
+        },
+
+        /**
+         * Perceptual hash of an image (difference hash): shrink to 17x16
+         * grey pixels and set one bit per pixel brighter than its right
+         * neighbour. Similar pictures differ in few bits whatever their
+         * encoding or small noise.
+         *
+         * @param {HTMLCanvasElement} canvas - Image to hash
+         * @returns {string|null} - 64 hex digits (256 bits), or null if the
+         *                          pixels cannot be read (cross-origin source)
+         */
+        frameHash: function(canvas) {
+            var data;
+            try {
+                var small = document.createElement('canvas');
+                small.width = 17;
+                small.height = 16;
+                var ctx = small.getContext('2d');
+                ctx.drawImage(canvas, 0, 0, 17, 16);
+                data = ctx.getImageData(0, 0, 17, 16).data;
+            } catch (e) {
+                return null;
+            }
+            function grey(x, y) {
+                var i = (y * 17 + x) * 4;
+                return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+            }
+            var hex = '';
+            for (var y = 0; y < 16; y++) {
+                for (var x = 0; x < 16; x += 4) {
+                    var nibble = 0;
+                    for (var b = 0; b < 4; b++) {
+                        nibble = (nibble << 1) | (grey(x + b, y) > grey(x + b + 1, y) ? 1 : 0);
+                    }
+                    hex += nibble.toString(16);
+                }
+            }
+            return hex;
+        },
+
+        /**
+         * Map a /detect or /point reply from a captured frame back to
+         * full-frame fractions. Other replies are returned unchanged.
+         *
+         * @param {object} response - Moondream-shaped reply
+         * @param {object} frame    - Frame from capture()
+         * @returns {object}
+         */
+        mapResponse: function(response, frame) {
+            var t = frame.transform;
+            if (!response || (!response.objects && !response.points)) return response;
+            if (t.scaleX === 1 && t.offsetX === 0 && t.scaleY === 1 && t.offsetY === 0) return response;
+
+            function mapX(x) { return Math.max(0, Math.min(1, x * t.scaleX + t.offsetX)); }
+            function mapY(y) { return Math.max(0, Math.min(1, y * t.scaleY + t.offsetY)); }
+            function copy(item, fields) {
+                var out = {};
+                Object.keys(item).forEach(function(key) { out[key] = item[key]; });
+                Object.keys(fields).forEach(function(key) { out[key] = fields[key]; });
+                return out;
+            }
+
+            var mapped = copy(response, {});
+            if (response.objects) {
+                mapped.objects = response.objects.map(function(box) {
+                    return copy(box, { x_min: mapX(box.x_min), y_min: mapY(box.y_min), x_max: mapX(box.x_max), y_max: mapY(box.y_max) });
+                });
+            }
+            if (response.points) {
+                mapped.points = response.points.map(function(point) {
+                    return copy(point, { x: mapX(point.x), y: mapY(point.y) });
+                });
+            }
+            return mapped;
+        },
+
+        /** Short description, e.g. "640×360 JPEG 85%". */
+        describe: function(frame, policy) {
+            return frame.width + '×' + frame.height + ' ' + frame.format.toUpperCase() + ' ' +
+                Math.round(policy.quality * 100) + '%';
+        }
+    };
+
+    // ============================================================
+    // STRINGS & HELP TEXT
+    // ============================================================
+    /**
+     * Strings - Localized UI text and messages.
+     *
+     * All user-facing text is centralized here for:
+     * - Easy localization/translation
+     * - Consistent messaging across widgets
+     * - Simple updates without code changes
+     *
+     * Categories:
+     * - common: Shared button labels and actions
+     * - errors: Error messages with user-friendly explanations
+     * - help: Helpful tips and hints
+     * - welcome: Onboarding text
+     */
+    var Strings = {
+        common: {
+            startWebcam: 'Start Webcam',
+            stopWebcam: 'Stop Webcam',
+            uploadImage: 'Upload Image',
+            openVideo: 'Open Video',
+            shareScreen: 'Share Screen',
+            stopSharing: 'Stop Sharing',
+            analyzing: 'Analyzing...',
+            detecting: 'Detecting...',
+            noWebcam: 'Webcam not supported. Please upload an image.',
+            apiKeyRequired: 'API Key Required',
+            apiKeyPlaceholder: 'Enter your MoonDream API key',
+            saveKey: 'Save & Continue',
+            copy: 'Copy',
+            copied: 'Copied!',
+            clear: 'Clear',
+            continuous: 'Continuous',
+            stop: 'Stop'
+        },
+        errors: {
+            noImage: 'Please start your webcam or upload an image first.',
+            noInput: 'Please enter what you want to detect.',
+            apiKey: 'API key is required. Click to add your MoonDream API key.',
+            apiKeyInvalid: 'Your API key appears to be invalid. Please check it and try again.',
+            networkError: 'Unable to connect. Please check your internet connection and try again.',
+            timeout: 'The request took too long. Please try again with a simpler image.',
+            rateLimit: 'Too many requests. Please wait a few seconds and try again.',
+            cameraPermission: 'Camera access was denied. Please allow camera access in your browser settings and refresh the page.',
+            noCamera: 'No camera was found. Please connect a camera or upload an image instead.',
+            cameraInUse: 'Your camera may be in use by another application. Please close other apps using the camera.',
+            fileType: 'Please select an image file (JPG, PNG, GIF, or WebP).',
+            fileTooLarge: 'Image is too large. Please use an image under 10MB.',
+            videoType: 'Please select an MP4 or WebM video file.',
+            videoTooLarge: 'Video is too large. Please use a file under {max}MB.',
+            generic: 'Something went wrong. Please try again.'
+        },
+        help: {
+            webcamTip: 'Tip: Good lighting improves detection accuracy',
+            uploadTip: 'Supported: JPG, PNG, GIF, WebP (max 10MB)',
+            detectTip: 'Enter any object name like "person", "car", "dog", "coffee cup"',
+            countTip: 'Works best with clearly visible, separated objects',
+            zoneTip: 'Click to place points, then click "Finish Zone" to complete',
+            continuousTip: 'Continuously analyzes your webcam feed every 1.5 seconds',
+            apiKeyTip: 'Your API key is stored for this session only and clears when you close the tab'
+        },
+        welcome: {
+            title: 'Welcome to PTZOptics Visual Reasoning',
+            subtitle: 'AI Vision Demos',
+            step1: '1. Enter your MoonDream API key',
+            step2: '2. Start your webcam or upload an image',
+            step3: '3. Try out the AI vision features!',
+            getKey: 'Get your free API key at moondream.ai'
+        }
+    };
+
+    // ============================================================
+    // ERROR HELPER - Friendly error messages
+    // ============================================================
+    /**
+     * ErrorHelper - Transforms technical errors into user-friendly messages.
+     *
+     * This module provides two key functions:
+     * - getFriendlyMessage(): Converts error objects to readable text
+     * - getRecoveryAction(): Suggests actions users can take to resolve issues
+     *
+     * ApiClient failures are ApiErrors and are mapped by their code;
+     * other errors (camera, files) are matched on their text.
+     *
+     * Error categories handled:
+     * - API key issues (invalid, missing)
+     * - Network problems (connection, timeout)
+     * - Rate limiting (429 errors)
+     * - Camera permissions
+     * - File upload errors
+     */
+    var ErrorHelper = {
+        getFriendlyMessage: function(error) {
+            if (error instanceof ApiError) {
+                switch (error.code) {
+                    case 'no_api_key': return Strings.errors.apiKey;
+                    case 'invalid_api_key': return Strings.errors.apiKeyInvalid;
+                    case 'rate_limited': return Strings.errors.rateLimit;
+                    case 'timeout': return Strings.errors.timeout;
+                    // Local backends name the URL they could not reach
+                    case 'network': return error.backend === 'cloud' ? Strings.errors.networkError : error.message;
+                }
+                return error.message;
+            }
+
+            var msg = error.message || error.toString();
+            var lower = msg.toLowerCase();
+
+            if (lower.includes('api key') && lower.includes('invalid')) {
+                return Strings.errors.apiKeyInvalid;
+            }
+            if (lower.includes('api key')) {
+                return Strings.errors.apiKey;
+            }
+            if (lower.includes('network') || lower.includes('failed to fetch')) {
+                return Strings.errors.networkError;
+            }
+            if (lower.includes('timeout') || lower.includes('timed out')) {
+                return Strings.errors.timeout;
+            }
+            if (lower.includes('rate limit') || lower.includes('429')) {
+                return Strings.errors.rateLimit;
+            }
+            if (lower.includes('permission denied') || lower.includes('notallowed')) {
+                return Strings.errors.cameraPermission;
+            }
+            if (lower.includes('not found') || lower.includes('no camera')) {
+                return Strings.errors.noCamera;
+            }
+            if (lower.includes('in use') || lower.includes('notreadable')) {
+                return Strings.errors.cameraInUse;
+            }
+
+            return msg;
+        },
+
+        getRecoveryAction: function(error) {
+            if (error instanceof ApiError) {
+                if (error.code === 'no_api_key' || error.code === 'invalid_api_key') {
+                    return { text: 'Add API Key', action: 'showApiKeyModal' };
+                }
+                return error.code === 'network' || error.code === 'timeout' ? { text: 'Retry', action: 'retry' } : null;
+            }
+
+            var msg = error.message || error.toString();
+            var lower = msg.toLowerCase();
+
+            if (lower.includes('api key')) {
+                return { text: 'Add API Key', action: 'showApiKeyModal' };
+            }
+            if (lower.includes('permission') || lower.includes('notallowed')) {
+                return { text: 'How to Enable', action: 'showCameraHelp' };
+            }
+            if (lower.includes('network') || lower.includes('timeout')) {
+                return { text: 'Retry', action: 'retry' };
+            }
+            return null;
+        }
+    };
+
+    // ============================================================
+    // API KEY MODAL - Enhanced with validation and guidance
+    // ============================================================
+    /**
+     * ApiKeyModal - Modal dialog for API key entry and validation.
+     *
+     * This modal handles the critical first-time setup experience:
+     * 1. Shows step-by-step instructions for obtaining a key
+     * 2. Validates the key format before accepting
+     * 3. Tests the key against the API before storing
+     * 4. Provides clear error feedback for invalid keys
+     *
+     * Security:
+     * - Key input is masked by default (password field)
+     * - Toggle to show/hide for verification
+     * - Key stored in sessionStorage (cleared on tab close)
+     */
+    var ApiKeyModal = {
+        modal: null,
+        onSuccess: null,
+        isValidating: false,
+
+        show: function(onSuccess) {
+            this.onSuccess = onSuccess;
+            this.render();
+        },
+
+        hide: function() {
+            if (this.modal && this.modal.parentNode) {
+                this.modal.parentNode.removeChild(this.modal);
+            }
+            this.modal = null;
+        },
+
+        render: function() {
+            var self = this;
+            if (this.modal) this.hide();
+
+            this.modal = Utils.createElement('div', 'moon-modal-overlay');
             var content = Utils.createElement('div', 'moon-modal');
 
-            content.innerHTML =
-                '<div class="moon-modal-header">' +
-                    '<span class="moon-modal-icon">🔑</span>' +
-                    '<h2>API Key Required</h2>' +
-                '</div>' +
-                '<div class="moon-modal-body">' +
-                    '<p class="moon-modal-desc">To use these AI vision demos, you\'ll need a free MoonDream API key.</p>' +
-                    '<div class="moon-modal-steps">' +
-                        '<div class="moon-modal-step">' +
-                            '<span class="moon-step-num">1</span>' +
-                            '<span>Visit <a href="https://moondream.ai" target="_blank" rel="noopener">moondream.ai</a> and create a free account</span>' +
-                        '</div>' +
-                        '<div class="moon-modal-step">' +
-                            '<span class="moon-step-num">2</span>' +
-                            '<span>Copy your API key from your dashboard</span>' +
-                        '</div>' +
-                        '<div class="moon-modal-step">' +
-                            '<span class="moon-step-num">3</span>' +
-                            '<span>Paste it below and click Save</span>' +
-                        '</div>' +
-                    '</div>' +
-                    '<div class="moon-form-group">' +
-                        '<label class="moon-label">Your API Key</label>' +
-                        '<input type="password" class="moon-input moon-api-key-input" placeholder="Paste your MoonDream API key here" autocomplete="off">' +
-                        '<div class="moon-input-hint">Your key is stored for this session only and clears when you close the tab.</div>' +
-                        '<div class="moon-input-error-msg" style="display:none;"></div>' +
-                    '</div>' +
-                    '<div class="moon-modal-toggle">' +
-                        '<label><input type="checkbox" class="moon-show-key-toggle"> Show API key</label>' +
-                    '</div>' +
-                '</div>' +
-                '<div class="moon-modal-footer">' +
-                    '<button class="moon-btn moon-btn-secondary moon-btn-cancel">Cancel</button>' +
-                    '<button class="moon-btn moon-btn-primary moon-btn-save-key">Save & Continue</button>' +
-                '</div>';
+            content.innerHTML =
+                '<div class="moon-modal-header">' +
+                    '<span class="moon-modal-icon">🔑</span>' +
+                    '<h2>API Key Required</h2>' +
+                '</div>' +
+                '<div class="moon-modal-body">' +
+                    '<p class="moon-modal-desc">To use these AI vision demos, you\'ll need a free MoonDream API key.</p>' +
+                    '<div class="moon-modal-steps">' +
+                        '<div class="moon-modal-step">' +
+                            '<span class="moon-step-num">1</span>' +
+                            '<span>Visit <a href="https://moondream.ai" target="_blank" rel="noopener">moondream.ai</a> and create a free account</span>' +
+                        '</div>' +
+                        '<div class="moon-modal-step">' +
+                            '<span class="moon-step-num">2</span>' +
+                            '<span>Copy your API key from your dashboard</span>' +
+                        '</div>' +
+                        '<div class="moon-modal-step">' +
+                            '<span class="moon-step-num">3</span>' +
+                            '<span>Paste it below and click Save</span>' +
+                        '</div>' +
+                    '</div>' +
+                    '<div class="moon-form-group">' +
+                        '<label class="moon-label">Your API Key</label>' +
+                        '<input type="password" class="moon-input moon-api-key-input" placeholder="Paste your MoonDream API key here" autocomplete="off">' +
+                        '<div class="moon-input-hint">Your key is stored for this session only and clears when you close the tab.</div>' +
+                        '<div class="moon-input-error-msg" style="display:none;"></div>' +
+                    '</div>' +
+                    '<div class="moon-modal-toggle">' +
+                        '<label><input type="checkbox" class="moon-show-key-toggle"> Show API key</label>' +
+                    '</div>' +
+                '</div>' +
+                '<div class="moon-modal-footer">' +
+                    '<button class="moon-btn moon-btn-secondary moon-btn-cancel">Cancel</button>' +
+                    '<button class="moon-btn moon-btn-primary moon-btn-save-key">Save & Continue</button>' +
+                '</div>';
+
+            this.modal.appendChild(content);
+            document.body.appendChild(this.modal);
+
+            var input = content.querySelector('.moon-api-key-input');
+            var saveBtn = content.querySelector('.moon-btn-save-key');
+            var cancelBtn = content.querySelector('.moon-btn-cancel');
+            var showToggle = content.querySelector('.moon-show-key-toggle');
+            var errorMsg = content.querySelector('.moon-input-error-msg');
+
+            setTimeout(function() { input.focus(); }, 100);
+
+            // Show/hide password toggle
+            showToggle.onchange = function() {
+                input.type = showToggle.checked ? 'text' : 'password';
+            };
+
+            // Real-time validation feedback
+            input.oninput = function() {
+                input.classList.remove('moon-input-error');
+                errorMsg.style.display = 'none';
+            };
+
+            saveBtn.onclick = function() { self.validateAndSave(input, saveBtn, errorMsg); };
+            cancelBtn.onclick = function() { self.hide(); };
+            input.onkeypress = function(e) {
+                if (e.key === 'Enter') self.validateAndSave(input, saveBtn, errorMsg);
+            };
+            this.modal.onclick = function(e) {
+                if (e.target === self.modal) self.hide();
+            };
+        },
+
+        validateAndSave: function(input, saveBtn, errorMsg) {
+            var self = this;
+            var key = input.value.trim();
+
+            // Basic validation
+            if (!key) {
+                this.showInputError(input, errorMsg, 'Please enter your API key');
+                return;
+            }
+
+            if (key.length < 10) {
+                this.showInputError(input, errorMsg, 'This doesn\'t look like a valid API key. Please check and try again.');
+                return;
+            }
+
+            // Disable button and show loading
+            saveBtn.disabled = true;
+            saveBtn.innerHTML = '<span class="moon-spinner moon-active"></span> Validating...';
+
+            // Test the API key with a simple request
+            this.testApiKey(key).then(function(valid) {
+                if (valid) {
+                    CONFIG.apiKey = key;
+                    Utils.storeApiKey(key);
+                    self.hide();
+                    if (self.onSuccess) self.onSuccess();
+                } else {
+                    self.showInputError(input, errorMsg, 'This API key doesn\'t appear to be valid. Please check it and try again.');
+                    saveBtn.disabled = false;
+                    saveBtn.textContent = 'Save & Continue';
+                }
+            }).catch(function(err) {
+                // Network error - save anyway and let actual request handle it
+                CONFIG.apiKey = key;
+                Utils.storeApiKey(key);
+                self.hide();
+                if (self.onSuccess) self.onSuccess();
+            });
+        },
+
+        showInputError: function(input, errorMsg, message) {
+            input.classList.add('moon-input-error');
+            errorMsg.textContent = message;
+            errorMsg.style.display = 'block';
+            input.focus();
+        },
+
+        testApiKey: function(key) {
+            return new Promise(function(resolve) {
+                var xhr = new XMLHttpRequest();
+                xhr.open('POST', CONFIG.apiBaseUrl + '/caption', true);
+                xhr.setRequestHeader('Content-Type', 'application/json');
+                xhr.setRequestHeader('X-Moondream-Auth', key);
+                xhr.timeout = 10000;
+
+                xhr.onload = function() {
+                    // 401 means invalid key, anything else means key format is ok
+                    resolve(xhr.status !== 401);
+                };
+                xhr.onerror = function() { resolve(true); }; // Network error, assume key is ok
+                xhr.ontimeout = function() { resolve(true); }; // Timeout, assume key is ok
+
+                // Send minimal test request
+                xhr.send(JSON.stringify({
+                    image_url: 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7',
+                    length: 'short'
+                }));
+            });
+        }
+    };
+
+    // ============================================================
+    // BACKEND MODAL
+    // ============================================================
+    /**
+     * BackendModal - Choose the inference backend (cloud, local Moondream
+     * Station, or an OpenAI-compatible server), test it, and see which
+     * skills each backend offers.
+     */
+    var BackendModal = {
+        modal: null,
+        onSave: null,
+
+        show: function(onSave) {
+            this.onSave = onSave;
+            this.render();
+        },
+
+        hide: function() {
+            if (this.modal && this.modal.parentNode) {
+                this.modal.parentNode.removeChild(this.modal);
+            }
+            this.modal = null;
+        },
+
+        render: function() {
+            var self = this;
+            if (this.modal) this.hide();
+            var current = InferenceBackends.settings || InferenceBackends.load();
+
+            this.modal = Utils.createElement('div', 'moon-modal-overlay');
+            var content = Utils.createElement('div', 'moon-modal moon-backend-modal');
+            content.innerHTML =
+                '<div class="moon-modal-header">' +
+                    '<span class="moon-modal-icon">🖥️</span>' +
+                    '<h2>Inference Backend</h2>' +
+                '</div>' +
+                '<div class="moon-modal-body">' +
+                    '<p class="moon-modal-desc">Choose where frames are analyzed. Use a local server when the room has no internet.</p>' +
+                    '<div class="moon-form-group">' +
+                        '<label class="moon-label">Backend</label>' +
+                        '<select class="moon-select moon-backend-select"></select>' +
+                    '</div>' +
+                    '<div class="moon-form-group moon-backend-station">' +
+                        '<label class="moon-label">Server URL</label>' +
+                        '<input type="text" class="moon-input moon-backend-station-url" placeholder="http://localhost:2020/v1">' +
+                        '<div class="moon-input-hint">Moondream Station or a self-hosted Moondream server. No API key is needed.</div>' +
+                    '</div>' +
+                    '<div class="moon-backend-openai">' +
+                        '<div class="moon-form-group">' +
+                            '<label class="moon-label">Server URL</label>' +
+                            '<input type="text" class="moon-input moon-backend-openai-url" placeholder="http://localhost:11434/v1">' +
+                            '<div class="moon-input-hint">Base URL of an OpenAI-compatible API (Ollama, vLLM, LM Studio...). /chat/completions is added.</div>' +
+                        '</div>' +
+                        '<div class="moon-form-group">' +
+                            '<label class="moon-label">Model</label>' +
+                            '<input type="text" class="moon-input moon-backend-openai-model" placeholder="e.g. qwen2.5vl">' +
+                        '</div>' +
+                        '<div class="moon-form-group">' +
+                            '<label class="moon-label">Server Key (optional)</label>' +
+                            '<input type="password" class="moon-input moon-backend-openai-key" autocomplete="off">' +
+                            '<div class="moon-input-hint">Sent as a Bearer token. Stored for this session only.</div>' +
+                        '</div>' +
+                        '<label class="moon-checkbox-label"><input type="checkbox" class="moon-backend-openai-grounding"> ' +
+                            'Model can return coordinates (enables detection and pointing)</label>' +
+                    '</div>' +
+                    '<div class="moon-backend-fixture">' +
+                        '<div class="moon-input-hint">Canned replies, no network. Detects one person in the middle of the frame unless a fixture file says otherwise.</div>' +
+                        '<div class="moon-backend-fixture-row">' +
+                            '<div class="moon-form-group">' +
+                                '<label class="moon-label">Latency (ms)</label>' +
+                                '<input type="number" min="0" step="50" class="moon-input moon-backend-fixture-latency">' +
+                            '</div>' +
+                            '<div class="moon-form-group">' +
+                                '<label class="moon-label">Inject Error</label>' +
+                                '<select class="moon-select moon-backend-fixture-error">' +
+                                    '<option value="none">None</option>' +
+                                    '<option value="unauthorized">401 Unauthorized</option>' +
+                                    '<option value="rate_limited">429 Rate limited</option>' +
+                                    '<option value="server_error">500 Server error</option>' +
+                                    '<option value="timeout">Timeout</option>' +
+                                '</select>' +
+                            '</div>' +
+                            '<div class="moon-form-group">' +
+                                '<label class="moon-label">Every Nth Request</label>' +
+                                '<input type="number" min="1" step="1" class="moon-input moon-backend-fixture-every">' +
+                            '</div>' +
+                        '</div>' +
+                        '<div class="moon-quick-btns">' +
+                            '<button class="moon-btn-quick moon-backend-fixture-import">Load Fixture File</button>' +
+                            '<button class="moon-btn-quick moon-backend-fixture-export">Export Fixtures</button>' +
+                            '<button class="moon-btn-quick moon-backend-fixture-reset">Reset</button>' +
+                            '<span class="moon-backend-fixture-count"></span>' +
+                        '</div>' +
+                    '</div>' +
+                    '<label class="moon-checkbox-label moon-backend-record"><input type="checkbox" class="moon-backend-fixture-record"> ' +
+                        'Record replies as fixtures (this session)</label>' +
+                    '<table class="moon-backend-matrix"></table>' +
+                    '<div class="moon-backend-test-result"></div>' +
+                '</div>' +
+                '<div class="moon-modal-footer">' +
+                    '<button class="moon-btn moon-btn-secondary moon-btn-cancel">Cancel</button>' +
+                    '<button class="moon-btn moon-btn-secondary moon-backend-selfcheck">Run Self-Check</button>' +
+                    '<button class="moon-btn moon-btn-secondary moon-backend-test">Test Connection</button>' +
+                    '<button class="moon-btn moon-btn-primary moon-backend-save">Save</button>' +
+                '</div>';
+
+            this.modal.appendChild(content);
+            document.body.appendChild(this.modal);
+
+            var select = content.querySelector('.moon-backend-select');
+            InferenceBackends.list.forEach(function(entry) {
+                select.appendChild(Utils.createElement('option', '', { value: entry.id, textContent: entry.label }));
+            });
+            var fields = {
+                stationUrl: content.querySelector('.moon-backend-station-url'),
+                openaiUrl: content.querySelector('.moon-backend-openai-url'),
+                openaiModel: content.querySelector('.moon-backend-openai-model'),
+                openaiKey: content.querySelector('.moon-backend-openai-key')
+            };
+            var grounding = content.querySelector('.moon-backend-openai-grounding');
+            var fixture = {
+                latency: content.querySelector('.moon-backend-fixture-latency'),
+                error: content.querySelector('.moon-backend-fixture-error'),
+                every: content.querySelector('.moon-backend-fixture-every'),
+                record: content.querySelector('.moon-backend-fixture-record'),
+                count: content.querySelector('.moon-backend-fixture-count')
+            };
+            var testResult = content.querySelector('.moon-backend-test-result');
+            var testBtn = content.querySelector('.moon-backend-test');
+            var checkBtn = content.querySelector('.moon-backend-selfcheck');
+
+            select.value = current.backend;
+            Object.keys(fields).forEach(function(key) { fields[key].value = current[key]; });
+            grounding.checked = current.openaiGrounding;
+            fixture.latency.value = current.fixtureLatencyMs;
+            fixture.error.value = current.fixtureError;
+            fixture.every.value = current.fixtureErrorEvery;
+            fixture.record.checked = Fixtures.recording;
+
+            function read() {
+                var settings = InferenceBackends.createSettings();
+                settings.backend = select.value;
+                Object.keys(fields).forEach(function(key) { settings[key] = fields[key].value.trim(); });
+                settings.openaiGrounding = grounding.checked;
+                settings.fixtureLatencyMs = Math.max(0, parseInt(fixture.latency.value, 10) || 0);
+                settings.fixtureError = fixture.error.value;
+                settings.fixtureErrorEvery = Math.max(1, parseInt(fixture.every.value, 10) || 1);
+                return settings;
+            }
+
+            function showCount() {
+                var n = Fixtures.size();
+                fixture.count.textContent = n + ' recorded repl' + (n === 1 ? 'y' : 'ies') +
+                    (Fixtures.rules.length ? ', ' + Fixtures.rules.length + ' rule' + (Fixtures.rules.length === 1 ? '' : 's') : '');
+            }
+
+            function update() {
+                var settings = read();
+                content.querySelector('.moon-backend-station').style.display = settings.backend === 'station' ? '' : 'none';
+                content.querySelector('.moon-backend-openai').style.display = settings.backend === 'openai' ? '' : 'none';
+                content.querySelector('.moon-backend-fixture').style.display = settings.backend === 'fixture' ? '' : 'none';
+                content.querySelector('.moon-backend-record').style.display = settings.backend === 'fixture' ? 'none' : '';
+                self.renderMatrix(content.querySelector('.moon-backend-matrix'), settings);
+                testResult.textContent = '';
+            }
+
+            select.onchange = update;
+            grounding.onchange = update;
+            fixture.record.onchange = function() { Fixtures.recording = fixture.record.checked; };
+            showCount();
+            update();
+
+            var fileInput = Utils.createElement('input', '', { type: 'file', accept: '.json,application/json' });
+            fileInput.style.display = 'none';
+            content.appendChild(fileInput);
+            content.querySelector('.moon-backend-fixture-import').onclick = function() { fileInput.click(); };
+            fileInput.onchange = function() {
+                var file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+                var reader = new FileReader();
+                reader.onload = function() {
+                    try {
+                        Fixtures.use(JSON.parse(reader.result));
+                        Fixtures.save();
+                        showCount();
+                        testResult.className = 'moon-backend-test-result moon-backend-test-ok';
+                        testResult.textContent = '✓ Loaded ' + file.name;
+                    } catch (err) {
+                        testResult.className = 'moon-backend-test-result moon-backend-test-failed';
+                        testResult.textContent = 'Not a fixture file: ' + err.message;
+                    }
+                };
+                reader.readAsText(file);
+            };
+            content.querySelector('.moon-backend-fixture-export').onclick = function() {
+                var blob = new Blob([JSON.stringify(Fixtures.toJSON(), null, 2)], { type: 'application/json' });
+                var link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = 'moondream-fixtures.json';
+                link.click();
+                setTimeout(function() { URL.revokeObjectURL(link.href); }, 1000);
+            };
+            content.querySelector('.moon-backend-fixture-reset').onclick = function() {
+                Fixtures.use({});
+                Fixtures.save();
+                showCount();
+            };
+
+            checkBtn.onclick = function() {
+                checkBtn.disabled = true;
+                testResult.className = 'moon-backend-test-result';
+                testResult.textContent = 'Running every demo against the offline fixtures...';
+                SelfCheck.run().then(function(results) {
+                    self.renderSelfCheck(testResult, results);
+                }).catch(function(err) {
+                    testResult.className = 'moon-backend-test-result moon-backend-test-failed';
+                    testResult.textContent = 'Self-check could not run: ' + err.message;
+                }).then(function() {
+                    checkBtn.disabled = false;
+                });
+            };
+
+            testBtn.onclick = function() {
+                var settings = read();
+                var error = self.validate(settings);
+                if (error) {
+                    testResult.className = 'moon-backend-test-result moon-backend-test-failed';
+                    testResult.textContent = error;
+                    return;
+                }
+                testBtn.disabled = true;
+                testResult.className = 'moon-backend-test-result';
+                testResult.textContent = 'Testing...';
+                ApiClient.testBackend(settings).then(function(ms) {
+                    testResult.className = 'moon-backend-test-result moon-backend-test-ok';
+                    testResult.textContent = '✓ ' + InferenceBackends.label(settings) + ' answered in ' + ms + ' ms';
+                }).catch(function(err) {
+                    testResult.className = 'moon-backend-test-result moon-backend-test-failed';
+                    testResult.textContent = err.message;
+                }).then(function() {
+                    testBtn.disabled = false;
+                });
+            };
+
+            content.querySelector('.moon-backend-save').onclick = function() {
+                var settings = read();
+                var error = self.validate(settings);
+                if (error) {
+                    testResult.className = 'moon-backend-test-result moon-backend-test-failed';
+                    testResult.textContent = error;
+                    return;
+                }
+                InferenceBackends.save(settings);
+                self.hide();
+                if (self.onSave) self.onSave();
+            };
+            content.querySelector('.moon-btn-cancel').onclick = function() { self.hide(); };
+            this.modal.onclick = function(e) {
+                if (e.target === self.modal) self.hide();
+            };
+        },
+
+        /** Error message for incomplete settings, or null. */
+        validate: function(settings) {
+            if (settings.backend === 'station' && !/^https?:\/\//.test(settings.stationUrl)) {
+                return 'Enter the server URL, starting with http:// or https://';
+            }
+            if (settings.backend === 'openai') {
+                if (!/^https?:\/\//.test(settings.openaiUrl)) return 'Enter the server URL, starting with http:// or https://';
+                if (!settings.openaiModel) return 'Enter the model name';
+            }
+            return null;
+        },
+
+        /** List self-check results, failures first. */
+        renderSelfCheck: function(el, results) {
+            var failed = results.filter(function(result) { return !result.ok; });
+            el.className = 'moon-backend-test-result ' + (failed.length ? 'moon-backend-test-failed' : 'moon-backend-test-ok');
+            el.innerHTML = '<div>' + (failed.length ? '✗ ' + failed.length + ' of ' + results.length + ' checks failed' :
+                '✓ All ' + results.length + ' checks passed') + '</div>' +
+                '<ul class="moon-selfcheck-list">' + failed.concat(results.filter(function(result) { return result.ok; })).map(function(result) {
+                    return '<li class="' + (result.ok ? 'moon-selfcheck-ok' : 'moon-selfcheck-failed') + '">' +
+                        (result.ok ? '✓ ' : '✗ ') + Utils.escapeHTML(result.widget + ': ' + result.name) +
+                        (result.ok ? '' : ' - ' + Utils.escapeHTML(result.detail)) + '</li>';
+                }).join('') + '</ul>';
+        },
+
+        /** Capability matrix: one row per backend, the selected one highlighted. */
+        renderMatrix: function(table, settings) {
+            var html = '<thead><tr><th>Backend</th>' + InferenceBackends.CAPABILITIES.map(function(cap) {
+                return '<th>' + cap.charAt(0).toUpperCase() + cap.slice(1) + '</th>';
+            }).join('') + '</tr></thead><tbody>';
+            InferenceBackends.list.forEach(function(entry) {
+                var candidate = {};
+                Object.keys(settings).forEach(function(key) { candidate[key] = settings[key]; });
+                candidate.backend = entry.id;
+                var caps = InferenceBackends.capabilities(candidate);
+                html += '<tr' + (entry.id === settings.backend ? ' class="moon-backend-selected"' : '') + '>' +
+                    '<td>' + Utils.escapeHTML(entry.label) + '</td>' +
+                    InferenceBackends.CAPABILITIES.map(function(cap) {
+                        return '<td>' + (caps[cap] ? '✓' : '–') + '</td>';
+                    }).join('') + '</tr>';
+            });
+            table.innerHTML = html + '</tbody>';
+        }
+    };
+
+    // ============================================================
+    // USAGE MODAL
+    // ============================================================
+    /**
+     * UsageModal - API usage per endpoint and per widget (from UsageMeter),
+     * plus the hourly/daily budgets and the cost rate. Updates live while
+     * open.
+     */
+    var UsageModal = {
+        modal: null,
+        WINDOWS: [
+            { label: 'Last hour', ms: 3600000 },
+            { label: 'Last 24 hours', ms: 86400000 },
+            { label: 'Last 7 days', ms: 7 * 86400000 }
+        ],
+        _windowMs: 3600000,
+        _unsubscribe: null,
+        _refreshing: false,
+        _stale: false,          // A refresh was asked for while one was running
+
+        show: function() {
+            this.render();
+        },
+
+        hide: function() {
+            if (this._unsubscribe) this._unsubscribe();
+            this._unsubscribe = null;
+            if (this.modal && this.modal.parentNode) {
+                this.modal.parentNode.removeChild(this.modal);
+            }
+            this.modal = null;
+        },
+
+        render: function() {
+            var self = this;
+            if (this.modal) this.hide();
+            var budget = UsageMeter.getBudget();
+
+            this.modal = Utils.createElement('div', 'moon-modal-overlay');
+            var content = Utils.createElement('div', 'moon-modal moon-usage-modal');
+            content.innerHTML =
+                '<div class="moon-modal-header">' +
+                    '<span class="moon-modal-icon">📊</span>' +
+                    '<h2>API Usage</h2>' +
+                '</div>' +
+                '<div class="moon-modal-body">' +
+                    '<div class="moon-form-group">' +
+                        '<select class="moon-select moon-usage-window"></select>' +
+                    '</div>' +
+                    '<div class="moon-usage-total"></div>' +
+                    '<h4 class="moon-usage-heading">By endpoint</h4>' +
+                    '<table class="moon-usage-table moon-usage-endpoints"></table>' +
+                    '<h4 class="moon-usage-heading">By demo</h4>' +
+                    '<table class="moon-usage-table moon-usage-widgets"></table>' +
+                    '<h4 class="moon-usage-heading">Budgets (MoonDream Cloud)</h4>' +
+                    '<div class="moon-usage-budget-row">' +
+                        '<label class="moon-label">Requests per hour<input type="number" min="0" step="1" class="moon-input moon-usage-hourly"></label>' +
+                        '<label class="moon-label">Requests per 24 hours<input type="number" min="0" step="1" class="moon-input moon-usage-daily"></label>' +
+                        '<label class="moon-label">Cost per 1,000 requests ($)<input type="number" min="0" step="0.01" class="moon-input moon-usage-cost"></label>' +
+                    '</div>' +
+                    '<div class="moon-input-hint">0 means no limit. When a budget is used up, live modes pause until the window has room again; button presses still work.</div>' +
+                    '<div class="moon-usage-budget-status"></div>' +
+                '</div>' +
+                '<div class="moon-modal-footer">' +
+                    '<button class="moon-btn moon-btn-secondary moon-usage-clear">Clear History</button>' +
+                    '<button class="moon-btn moon-btn-secondary moon-btn-cancel">Close</button>' +
+                    '<button class="moon-btn moon-btn-primary moon-usage-save">Save Budgets</button>' +
+                '</div>';
+
+            this.modal.appendChild(content);
+            document.body.appendChild(this.modal);
+
+            var windowSelect = content.querySelector('.moon-usage-window');
+            this.WINDOWS.forEach(function(w) {
+                windowSelect.appendChild(Utils.createElement('option', '', { value: String(w.ms), textContent: w.label }));
+            });
+            windowSelect.value = String(this._windowMs);
+            windowSelect.onchange = function() {
+                self._windowMs = Number(windowSelect.value);
+                self.refresh();
+            };
+
+            var fields = {
+                hourlyLimit: content.querySelector('.moon-usage-hourly'),
+                dailyLimit: content.querySelector('.moon-usage-daily'),
+                costPer1000: content.querySelector('.moon-usage-cost')
+            };
+            Object.keys(fields).forEach(function(key) { fields[key].value = budget[key]; });
+
+            content.querySelector('.moon-usage-save').onclick = function() {
+                var updated = {};
+                Object.keys(fields).forEach(function(key) {
+                    updated[key] = Math.max(0, Number(fields[key].value) || 0);
+                });
+                updated.hourlyLimit = Math.round(updated.hourlyLimit);
+                updated.dailyLimit = Math.round(updated.dailyLimit);
+                UsageMeter.saveBudget(updated);
+            };
+            content.querySelector('.moon-usage-clear').onclick = function() {
+                UsageMeter.clear();
+            };
+            content.querySelector('.moon-btn-cancel').onclick = function() { self.hide(); };
+            this.modal.onclick = function(e) {
+                if (e.target === self.modal) self.hide();
+            };
+
+            this._unsubscribe = UsageMeter.subscribe(function() { self.refresh(); });
+            this.refresh();
+        },
+
+        /** Re-read the selected window and redraw the tables. */
+        refresh: function() {
+            var self = this;
+            if (!this.modal) return;
+            if (this._refreshing) {
+                this._stale = true;
+                return;
+            }
+            this._refreshing = true;
+            this._stale = false;
+            UsageMeter.history(this._windowMs).then(function(records) {
+                if (self.modal) self.renderSummary(UsageMeter.summarize(records));
+            }).catch(function() {}).then(function() {
+                self._refreshing = false;
+                if (self._stale) self.refresh();
+            });
+        },
+
+        renderSummary: function(summary) {
+            var content = this.modal;
+            var total = summary.total;
+            var costPer1000 = UsageMeter.getBudget().costPer1000;
+            content.querySelector('.moon-usage-total').textContent =
+                total.requests + ' requests (' + total.errors + ' failed, ' + total.cached + ' reused) · ' +
+                this.formatBytes(total.uploadBytes) + ' sent · ' + this.formatBytes(total.downloadBytes) + ' received · ' +
+                'p50 ' + this.formatMs(total.p50) + ', p95 ' + this.formatMs(total.p95) +
+                (costPer1000 ? ' · est. $' + total.cost.toFixed(2) : '');
+
+            this.renderTable(content.querySelector('.moon-usage-endpoints'), 'Endpoint', summary.endpoints, function(key) {
+                return key;
+            });
+            this.renderTable(content.querySelector('.moon-usage-widgets'), 'Demo', summary.widgets, function(key) {
+                var widget = WidgetList.find(function(w) { return w.id === key; });
+                return widget ? widget.label : 'Other';
+            });
+
+            var budget = UsageMeter.getBudget();
+            var used = UsageMeter.budgetUsage();
+            var status = UsageMeter.budgetStatus();
+            var statusEl = content.querySelector('.moon-usage-budget-status');
+            statusEl.textContent = 'This hour: ' + used.hour + (budget.hourlyLimit ? ' / ' + budget.hourlyLimit : '') +
+                ' · last 24 hours: ' + used.day + (budget.dailyLimit ? ' / ' + budget.dailyLimit : '') +
+                (status ? ' · ' + status.label + ' budget reached, live modes resume in ' +
+                    Utils.formatDuration(status.remainingMs) : '');
+            statusEl.classList.toggle('moon-usage-over', !!status);
+        },
+
+        renderTable: function(table, title, rows, label) {
+            var self = this;
+            var keys = Object.keys(rows).sort(function(a, b) { return rows[b].requests - rows[a].requests; });
+            if (!keys.length) {
+                table.innerHTML = '<tbody><tr><td>No requests in this period</td></tr></tbody>';
+                return;
+            }
+            var html = '<thead><tr><th>' + title + '</th><th>Requests</th><th>Failed</th><th>Reused</th>' +
+                '<th>Sent</th><th>p50</th><th>p95</th></tr></thead><tbody>';
+            keys.forEach(function(key) {
+                var row = rows[key];
+                html += '<tr><td>' + Utils.escapeHTML(label(key)) + '</td>' +
+                    '<td>' + row.requests + '</td><td>' + row.errors + '</td><td>' + row.cached + '</td>' +
+                    '<td>' + self.formatBytes(row.uploadBytes) + '</td>' +
+                    '<td>' + self.formatMs(row.p50) + '</td><td>' + self.formatMs(row.p95) + '</td></tr>';
+            });
+            table.innerHTML = html + '</tbody>';
+        },
+
+        formatBytes: function(bytes) {
+            if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(bytes < 10240 ? 1 : 0) + ' KB';
+            return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+        },
+
+        formatMs: function(ms) {
+            return ms === null ? '–' : ms + ' ms';
+        }
+    };
+
+    // ============================================================
+    // NETWORK CAMERA MODAL
+    // ============================================================
+    /**
+     * NetworkSourceModal - Add, edit, test and remove network cameras
+     * (NetworkSourceRegistry). "Save & Use" hands the saved source to the
+     * widget that opened the modal.
+     */
+    var NetworkSourceModal = {
+        modal: null,
+        onUse: null,
+        _editingId: null,
+        _test: null,            // NetworkSource being tested
+
+        /** @param {function} onUse - Called with the source to show */
+        show: function(onUse) {
+            this.onUse = onUse;
+            this.render();
+        },
+
+        hide: function() {
+            this.stopTest();
+            if (this.modal && this.modal.parentNode) {
+                this.modal.parentNode.removeChild(this.modal);
+            }
+            this.modal = null;
+        },
+
+        render: function() {
+            var self = this;
+            if (this.modal) this.hide();
+
+            this.modal = Utils.createElement('div', 'moon-modal-overlay');
+            var content = Utils.createElement('div', 'moon-modal moon-netsrc-modal');
+            content.innerHTML =
+                '<div class="moon-modal-header">' +
+                    '<span class="moon-modal-icon">📡</span>' +
+                    '<h2>Network Cameras</h2>' +
+                '</div>' +
+                '<div class="moon-modal-body">' +
+                    '<div class="moon-netsrc-list"></div>' +
+                    '<div class="moon-form-group">' +
+                        '<label class="moon-label">Name</label>' +
+                        '<input type="text" class="moon-input moon-netsrc-name" placeholder="Lobby camera">' +
+                    '</div>' +
+                    '<div class="moon-form-group">' +
+                        '<label class="moon-label">Type</label>' +
+                        '<select class="moon-select moon-netsrc-type"></select>' +
+                    '</div>' +
+                    '<div class="moon-form-group">' +
+                        '<label class="moon-label">URL</label>' +
+                        '<input type="text" class="moon-input moon-netsrc-url" autocomplete="off">' +
+                    '</div>' +
+                    '<div class="moon-netsrc-fallback-fields">' +
+                        '<div class="moon-form-group">' +
+                            '<label class="moon-label">If the Stream Cannot Play Here</label>' +
+                            '<select class="moon-select moon-netsrc-fallback-type">' +
+                                '<option value="">Show an error</option>' +
+                                '<option value="mjpeg">Show an MJPEG stream instead</option>' +
+                                '<option value="snapshot">Show a snapshot URL instead</option>' +
+                            '</select>' +
+                            '<div class="moon-input-hint">Only fragmented MP4 (CMAF) HLS plays here. Most cameras send MPEG-TS segments, which only Safari plays, and not through the relay.</div>' +
+                        '</div>' +
+                        '<div class="moon-form-group moon-netsrc-fallback-url-group">' +
+                            '<label class="moon-label">Fallback URL</label>' +
+                            '<input type="text" class="moon-input moon-netsrc-fallback-url" autocomplete="off">' +
+                        '</div>' +
+                    '</div>' +
+                    '<div class="moon-form-group moon-netsrc-interval-group">' +
+                        '<label class="moon-label">Snapshot Every (ms)</label>' +
+                        '<input type="number" min="100" step="100" class="moon-input moon-netsrc-interval">' +
+                    '</div>' +
+                    '<div class="moon-form-group">' +
+                        '<label class="moon-checkbox-label"><input type="checkbox" class="moon-netsrc-relay"> Through relay (tools/ptz-relay.js)</label>' +
+                        '<div class="moon-input-hint">Needed when the camera does not allow this page to read it (CORS) - most cameras. Run node tools/ptz-relay.js next to the camera.</div>' +
+                    '</div>' +
+                    '<div class="moon-netsrc-relay-fields">' +
+                        '<div class="moon-form-group">' +
+                            '<label class="moon-label">Relay URL</label>' +
+                            '<input type="text" class="moon-input moon-netsrc-relay-url">' +
+                        '</div>' +
+                        '<div class="moon-form-group">' +
+                            '<label class="moon-label">Username</label>' +
+                            '<input type="text" class="moon-input moon-netsrc-username" autocomplete="off">' +
+                        '</div>' +
+                        '<div class="moon-form-group">' +
+                            '<label class="moon-label">Password</label>' +
+                            '<input type="password" class="moon-input moon-netsrc-password" autocomplete="new-password">' +
+                            '<div class="moon-input-hint">The relay logs in to the camera. Stored for this session only.</div>' +
+                        '</div>' +
+                    '</div>' +
+                    '<div class="moon-netsrc-result"></div>' +
+                '</div>' +
+                '<div class="moon-modal-footer">' +
+                    '<button class="moon-btn moon-btn-secondary moon-btn-cancel">Close</button>' +
+                    '<button class="moon-btn moon-btn-secondary moon-netsrc-new">New</button>' +
+                    '<button class="moon-btn moon-btn-secondary moon-netsrc-test">Test</button>' +
+                    '<button class="moon-btn moon-btn-primary moon-netsrc-save">Save &amp; Use</button>' +
+                '</div>';
+
+            this.modal.appendChild(content);
+            document.body.appendChild(this.modal);
+
+            var typeSelect = content.querySelector('.moon-netsrc-type');
+            NetworkSourceRegistry.TYPES.forEach(function(entry) {
+                typeSelect.appendChild(Utils.createElement('option', '', { value: entry.id, textContent: entry.label }));
+            });
+            this.fields = {
+                name: content.querySelector('.moon-netsrc-name'),
+                type: typeSelect,
+                url: content.querySelector('.moon-netsrc-url'),
+                intervalMs: content.querySelector('.moon-netsrc-interval'),
+                fallbackType: content.querySelector('.moon-netsrc-fallback-type'),
+                fallbackUrl: content.querySelector('.moon-netsrc-fallback-url'),
+                viaRelay: content.querySelector('.moon-netsrc-relay'),
+                relayUrl: content.querySelector('.moon-netsrc-relay-url'),
+                username: content.querySelector('.moon-netsrc-username'),
+                password: content.querySelector('.moon-netsrc-password')
+            };
+            typeSelect.onchange = function() { self.update(); };
+            this.fields.fallbackType.onchange = function() { self.update(); };
+            this.fields.viaRelay.onchange = function() { self.update(); };
+
+            content.querySelector('.moon-netsrc-new').onclick = function() { self.edit(null); };
+            content.querySelector('.moon-netsrc-test').onclick = function() { self.test(); };
+            content.querySelector('.moon-netsrc-save').onclick = function() {
+                var saved;
+                try {
+                    saved = NetworkSourceRegistry.save(self.read());
+                } catch (err) {
+                    self.showResult(err.message, false);
+                    return;
+                }
+                var onUse = self.onUse;
+                self.hide();
+                if (onUse) onUse(saved);
+            };
+            content.querySelector('.moon-btn-cancel').onclick = function() { self.hide(); };
+            this.modal.onclick = function(e) {
+                if (e.target === self.modal) self.hide();
+            };
+
+            this.renderList();
+            this.edit(null);
+        },
+
+        renderList: function() {
+            var self = this;
+            var list = this.modal.querySelector('.moon-netsrc-list');
+            var sources = NetworkSourceRegistry.list();
+            list.innerHTML = '';
+            if (!sources.length) {
+                list.innerHTML = '<p class="moon-input-hint">No network cameras yet. Enter an MJPEG, HLS or snapshot URL below.</p>';
+            }
+            sources.forEach(function(source) {
+                var item = Utils.createElement('div', 'moon-netsrc-item');
+                var info = Utils.createElement('div', 'moon-netsrc-info');
+                info.innerHTML = '<strong>' + Utils.escapeHTML(source.name) + '</strong><small>' +
+                    Utils.escapeHTML(NetworkSourceRegistry.typeLabel(source.type)) + ' · ' + Utils.escapeHTML(source.url) +
+                    (source.viaRelay ? ' · via relay' : '') + '</small>';
+                item.appendChild(info);
+
+                var editBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', { textContent: 'Edit' });
+                editBtn.onclick = function() { self.edit(source); };
+                var deleteBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', { textContent: '✕' });
+                deleteBtn.onclick = function() {
+                    NetworkSourceRegistry.remove(source.id);
+                    if (self._editingId === source.id) self.edit(null);
+                    self.renderList();
+                };
+                item.appendChild(editBtn);
+                item.appendChild(deleteBtn);
+                list.appendChild(item);
+            });
+        },
+
+        /** Load a source into the form (null for a new one). */
+        edit: function(source) {
+            var fields = this.fields;
+            var values = source || NetworkSourceRegistry.defaults;
+            this._editingId = source ? source.id : null;
+            Object.keys(fields).forEach(function(key) {
+                if (key === 'password') return;
+                // Sources saved before a field existed take its default
+                var value = values[key] !== undefined ? values[key] : NetworkSourceRegistry.defaults[key];
+                if (fields[key].type === 'checkbox') fields[key].checked = !!value;
+                else fields[key].value = value;
+            });
+            fields.password.value = source ? NetworkSourceRegistry.getPassword(source.id) : '';
+            this.update();
+        },
+
+        /** The form as a source (with password). */
+        read: function() {
+            var fields = this.fields;
+            return {
+                id: this._editingId || undefined,
+                name: fields.name.value.trim(),
+                type: fields.type.value,
+                url: fields.url.value.trim(),
+                intervalMs: parseInt(fields.intervalMs.value, 10) || 0,
+                fallbackType: fields.fallbackType.value,
+                fallbackUrl: fields.fallbackUrl.value.trim(),
+                viaRelay: fields.viaRelay.checked,
+                relayUrl: fields.relayUrl.value.trim(),
+                username: fields.username.value.trim(),
+                password: fields.password.value
+            };
+        },
+
+        update: function() {
+            var fields = this.fields;
+            var type = fields.type.value;
+            fields.url.placeholder = NetworkSourceRegistry.TYPES.filter(function(entry) { return entry.id === type; })[0].placeholder;
+            var fallbackType = type === 'hls' ? fields.fallbackType.value : '';
+            fields.fallbackUrl.placeholder = fallbackType ?
+                NetworkSourceRegistry.TYPES.filter(function(entry) { return entry.id === fallbackType; })[0].placeholder : '';
+            this.modal.querySelector('.moon-netsrc-fallback-fields').style.display = type === 'hls' ? '' : 'none';
+            this.modal.querySelector('.moon-netsrc-fallback-url-group').style.display = fallbackType ? '' : 'none';
+            this.modal.querySelector('.moon-netsrc-interval-group').style.display =
+                type === 'snapshot' || fallbackType === 'snapshot' ? '' : 'none';
+            this.modal.querySelector('.moon-netsrc-relay-fields').style.display = fields.viaRelay.checked ? '' : 'none';
+            this.stopTest();
+            this.showResult('', true);
+        },
+
+        /** Connect with the form's settings until the first picture arrives. */
+        test: function() {
+            var self = this;
+            var config = this.read();
+            if (!config.name) config.name = 'Test';
+            var error = NetworkSourceRegistry.validate(config);
+            if (error) {
+                this.showResult(error, false);
+                return;
+            }
+
+            this.stopTest();
+            var source = new NetworkSource(config);
+            var started = Date.now();
+            this._test = source;
+            source.subscribe(function() {
+                if (self._test !== source) return;
+                var health = source.health();
+                if (health.state === 'live') {
+                    self.showResult('✓ First picture after ' + (Date.now() - started) + ' ms (' +
+                        source.canvas.width + '×' + source.canvas.height + ')', true);
+                    self.stopTest();
+                } else if (health.state === 'reconnecting') {
+                    self.showResult(health.error || 'Could not connect', false);
+                    self.stopTest();
+                } else {
+                    self.showResult('Connecting...', true);
+                }
+            });
+            try {
+                source.start();
+            } catch (err) {
+                this._test = null;
+                this.showResult(err.message, false);
+            }
+        },
+
+        stopTest: function() {
+            var source = this._test;
+            this._test = null;
+            if (source) source.stop();
+        },
+
+        showResult: function(text, ok) {
+            if (!this.modal) return;
+            var result = this.modal.querySelector('.moon-netsrc-result');
+            result.className = 'moon-netsrc-result' + (text ? (ok ? ' moon-netsrc-result-ok' : ' moon-netsrc-result-failed') : '');
+            result.textContent = text;
+        }
+    };
+
+    // ============================================================
+    // WIDGET BASE
+    // ============================================================
+    /**
+     * WidgetBase - Base class that all widget modules extend.
+     *
+     * This class provides the foundational functionality shared by all 7 widgets:
+     * - Lifecycle management (mount, unmount, render)
+     * - Error handling with friendly messages and recovery actions
+     * - Toast notifications for success/error feedback
+     * - Media section creation (video, canvas, controls)
+     * - Overlay canvas for drawing detections
+     * - Continuous detection mode support
+     *
+     * INHERITANCE PATTERN:
+     * Each widget inherits from WidgetBase using prototype chain:
+     *   function MyWidget() { WidgetBase.call(this, id, label, icon, desc); }
+     *   MyWidget.prototype = Object.create(WidgetBase.prototype);
+     *   MyWidget.prototype.render = function() { ... };
+     *
+     * LIFECYCLE:
+     * 1. Widget instantiated by Dashboard when user clicks card
+     * 2. mount() called with root element → clears content, sets classes
+     * 3. render() called → widget builds its specific UI
+     * 4. User interacts → widget handles detection/analysis
+     * 5. unmount() called when modal closes → cleanup, detach from the
+     *    shared source (which stays open for the next widget)
+     *
+     * KEY PROPERTIES:
+     * @property {string} id          - Unique identifier (e.g., 'object-detector')
+     * @property {string} label       - Display name (e.g., 'Object Detector')
+     * @property {string} icon        - Emoji icon for UI (e.g., '🔍')
+     * @property {string} description - Short description for card/header
+     * @property {HTMLElement} rootEl - Root DOM element for widget content
+     * @property {HTMLCanvasElement} overlayCanvas - Canvas for drawing detections
+     * @property {CanvasRenderingContext2D} overlayCtx - 2D context for drawing
+     *
+     * @constructor
+     * @param {string} id          - Widget unique identifier
+     * @param {string} label       - Widget display name
+     * @param {string} icon        - Widget icon (emoji)
+     * @param {string} description - Widget description
+     */
+    function WidgetBase(id, label, icon, description) {
+        this.id = id;
+        this.label = label;
+        this.icon = icon;
+        this.description = description;
+        this.rootEl = null;
+        this.overlayCanvas = null;
+        this.overlayCtx = null;
+        this._continuousInterval = null;
+        this._requests = null;
+        this._capturePolicy = null;
+        this._lastCapture = null;
+        this._requestMetrics = [];
+        this._callsSaved = 0;
+        this._videoFile = null;
+        this._source = null;            // MediaSources source shown in the <video>
+        this._sourceEvents = null;
+        this._healthEvents = null;
+        this._resolutions = [];
+        this._screenRegion = null;      // Last crop chosen for a shared screen
+        this._regionSelect = null;
+    }
+
+    /**
+     * Mount the widget into a DOM element.
+     * Called by Dashboard when opening a widget modal.
+     *
+     * @param {HTMLElement} rootEl - Container element to render into
+     * @param {object} context     - Dashboard context with shared methods
+     */
+    WidgetBase.prototype.mount = function(rootEl, context) {
+        this.rootEl = rootEl;
+        this.context = context;
+        rootEl.innerHTML = '';
+        // Preserve existing classes (like moon-widget-modal-body) when mounting in modal
+        var existingClasses = rootEl.className;
+        rootEl.className = existingClasses + ' moon-widget moon-widget-' + this.id;
+        this.render();
+        this.applyCapabilities();
+    };
+
+    /**
+     * Grey out elements tagged with data-capability="detect" (etc.) that
+     * the current inference backend does not offer. Called after render
+     * and again when the backend changes.
+     */
+    WidgetBase.prototype.applyCapabilities = function() {
+        if (!this.rootEl) return;
+        var label = InferenceBackends.label();
+        var elements = this.rootEl.querySelectorAll('[data-capability]');
+        Array.prototype.forEach.call(elements, function(el) {
+            var capability = el.getAttribute('data-capability');
+            var supported = InferenceBackends.supports(capability);
+            el.classList.toggle('moon-unsupported', !supported);
+            el.setAttribute('aria-disabled', supported ? 'false' : 'true');
+            if (supported) el.removeAttribute('title');
+            else el.title = InferenceBackends.SKILL_LABELS[capability] + ' is not available with ' + label;
+        });
+    };
+
+    /**
+     * Cleanup and remove the widget.
+     * Called by Dashboard when closing the modal.
+     * Stops webcam, clears intervals, removes DOM content.
+     */
+    WidgetBase.prototype.unmount = function() {
+        if (this._requests) this._requests.abort();
+        this._requests = null;
+        this.stopContinuous();
+        this.closeVideoFile();
+        // Detach only: the selected source stays open for the next demo
+        this._detachSource();
+        if (this._sourceEvents) this._sourceEvents();
+        this._sourceEvents = null;
+        if (this.rootEl) this.rootEl.innerHTML = '';
+        this.rootEl = null;
+    };
+
+    /**
+     * ApiClient options for this widget's requests. Every request shares
+     * one AbortController, so unmount cancels whatever is queued or in
+     * flight. Non-interactive requests coalesce per channel (a new frame
+     * replaces one still waiting) and may reuse the reply for an
+     * unchanged frame (ResponseCache). UsageMeter counts them under the
+     * widget's id, except in a widget the self-check mounted.
+     *
+     * @param {string} priority - 'interactive', 'continuous' or 'background'
+     * @param {string} channel  - Name for the request stream (e.g. 'detect')
+     * @returns {object}        - {priority, coalesce, signal, onMetrics, cache, source, meter}
+     */
+    WidgetBase.prototype.requestOptions = function(priority, channel) {
+        var self = this;
+        if (!this._requests) this._requests = new AbortController();
+        return {
+            priority: priority,
+            coalesce: priority === 'interactive' ? null : this.id + ':' + (channel || 'default'),
+            signal: this._requests.signal,
+            onMetrics: function(metrics) { self.recordRequestMetrics(metrics); },
+            cache: priority !== 'interactive',
+            source: this.id,
+            // Self-check traffic is not the user's usage
+            meter: !(this.context && this.context.selfCheck)
+        };
+    };
+
+    /**
+     * Show a streamed reply (ApiClient.captionStream / queryStream) as it
+     * arrives, with a Cancel button beside it. The stream has its own
+     * AbortController, so Cancel stops only this reply; unmount stops it too.
+     *
+     * @param {HTMLElement} textEl       - Element that shows the text so far
+     * @param {HTMLElement} buttonParent - Where the Cancel button goes while streaming
+     * @returns {object} - {onChunk, requestOptions(priority, channel), cancel(), finish(),
+     *                      showCancelled(), text, cancelled}; call finish() when the
+     *                      request settles
+     */
+    WidgetBase.prototype.createStreamView = function(textEl, buttonParent) {
+        var self = this;
+        if (!this._requests) this._requests = new AbortController();
+        var widgetSignal = this._requests.signal;
+        var controller = new AbortController();
+        function abort() { controller.abort(); }
+        widgetSignal.addEventListener('abort', abort);
+
+        var cancelBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm moon-stream-cancel', {
+            textContent: 'Cancel'
+        });
+        buttonParent.appendChild(cancelBtn);
+        textEl.classList.add('moon-streaming');
+
+        var view = {
+            text: '',
+            cancelled: false,
+            onChunk: function(text, full) {
+                view.text = full;
+                textEl.classList.remove('moon-loading-text');
+                textEl.textContent = full;
+            },
+            requestOptions: function(priority, channel) {
+                var options = self.requestOptions(priority, channel);
+                options.signal = controller.signal;
+                return options;
+            },
+            cancel: function() {
+                view.cancelled = true;
+                controller.abort();
+            },
+            // Keep whatever arrived before the user cancelled
+            showCancelled: function() {
+                textEl.classList.remove('moon-loading-text');
+                textEl.textContent = view.text ? view.text.replace(/\s+$/, '') + ' ' : '';
+                textEl.appendChild(Utils.createElement('span', 'moon-stream-cancelled', { textContent: '(cancelled)' }));
+            },
+            finish: function() {
+                widgetSignal.removeEventListener('abort', abort);
+                textEl.classList.remove('moon-streaming');
+                if (cancelBtn.parentNode) cancelBtn.parentNode.removeChild(cancelBtn);
+            }
+        };
+        cancelBtn.onclick = view.cancel;
+        return view;
+    };
+
+    /**
+     * Render the widget UI. Override in subclasses.
+     * This is where each widget builds its specific interface.
+     * @abstract
+     */
+    WidgetBase.prototype.render = function() {};
+
+    /**
+     * Display an error to the user.
+     * Critical errors (API key, permissions) show inline banners with recovery actions.
+     * Non-critical errors show as toast notifications.
+     *
+     * @param {string} message - Error message to display
+     * @param {Error} error    - Optional error object for smart message conversion
+     */
+    WidgetBase.prototype.showError = function(message, error) {
+        var self = this;
+        if (ApiClient.isAbort(error)) return;
+        var friendlyMessage = error ? ErrorHelper.getFriendlyMessage(error) : message;
+        var recovery = error ? ErrorHelper.getRecoveryAction(error) : null;
+
+        // Use inline banner for critical errors, toast for others
+        var isCritical = friendlyMessage.toLowerCase().includes('api key') ||
+                        friendlyMessage.toLowerCase().includes('permission');
+
+        if (isCritical) {
+            // Show inline banner for critical errors that need action
+            var errorEl = this.rootEl.querySelector('.moon-error-banner');
+            if (!errorEl) {
+                errorEl = Utils.createElement('div', 'moon-error-banner');
+                var header = this.rootEl.querySelector('.moon-widget-header');
+                if (header && header.nextSibling) {
+                    header.parentNode.insertBefore(errorEl, header.nextSibling);
+                }
+            }
+
+            var content = '<span class="moon-error-message">' + Utils.escapeHTML(friendlyMessage) + '</span>';
+            if (recovery) {
+                content += '<button class="moon-btn moon-btn-sm moon-error-action" data-action="' + recovery.action + '">' + recovery.text + '</button>';
+            }
+            content += '<button class="moon-btn moon-btn-sm moon-error-dismiss">×</button>';
+            errorEl.innerHTML = content;
+            errorEl.style.display = 'flex';
+
+            // Handle recovery actions
+            var actionBtn = errorEl.querySelector('.moon-error-action');
+            if (actionBtn) {
+                actionBtn.onclick = function() {
+                    var action = actionBtn.dataset.action;
+                    if (action === 'showApiKeyModal') {
+                        ApiKeyModal.show(function() { self.hideError(); });
+                    } else if (action === 'showCameraHelp') {
+                        self.showCameraHelp();
+                    }
+                };
+            }
+
+            var dismissBtn = errorEl.querySelector('.moon-error-dismiss');
+            if (dismissBtn) {
+                dismissBtn.onclick = function() { self.hideError(); };
+            }
+
+            // Auto-show API key modal
+            if (friendlyMessage.toLowerCase().includes('api key')) {
+                ApiKeyModal.show(function() { self.hideError(); });
+            }
+        } else {
+            // Use toast for non-critical errors (no layout shift)
+            this.showToast(friendlyMessage, 'error');
+        }
+    };
+
+    WidgetBase.prototype.showCameraHelp = function() {
+        var helpModal = Utils.createElement('div', 'moon-modal-overlay');
+        var content = Utils.createElement('div', 'moon-modal');
+        content.innerHTML =
+            '<div class="moon-modal-header">' +
+                '<span class="moon-modal-icon">📷</span>' +
+                '<h2>Enable Camera Access</h2>' +
+            '</div>' +
+            '<div class="moon-modal-body">' +
+                '<p class="moon-modal-desc">To use your webcam with these demos, you\'ll need to allow camera access in your browser.</p>' +
+                '<div class="moon-modal-steps">' +
+                    '<div class="moon-modal-step">' +
+                        '<span class="moon-step-num">1</span>' +
+                        '<span>Click the camera/lock icon in your browser\'s address bar</span>' +
+                    '</div>' +
+                    '<div class="moon-modal-step">' +
+                        '<span class="moon-step-num">2</span>' +
+                        '<span>Select "Allow" for camera permissions</span>' +
+                    '</div>' +
+                    '<div class="moon-modal-step">' +
+                        '<span class="moon-step-num">3</span>' +
+                        '<span>Refresh this page and try again</span>' +
+                    '</div>' +
+                '</div>' +
+                '<p class="moon-modal-help">Alternatively, you can upload an image instead of using your webcam.</p>' +
+            '</div>' +
+            '<div class="moon-modal-footer">' +
+                '<button class="moon-btn moon-btn-primary moon-btn-close">Got it</button>' +
+            '</div>';
+
+        helpModal.appendChild(content);
+        document.body.appendChild(helpModal);
+
+        content.querySelector('.moon-btn-close').onclick = function() {
+            document.body.removeChild(helpModal);
+        };
+        helpModal.onclick = function(e) {
+            if (e.target === helpModal) document.body.removeChild(helpModal);
+        };
+    };
+
+    /** Hide any visible error banner. */
+    WidgetBase.prototype.hideError = function() {
+        var errorEl = this.rootEl.querySelector('.moon-error-banner');
+        if (errorEl) errorEl.style.display = 'none';
+    };
+
+    /**
+     * Show a toast notification that auto-dismisses.
+     * @param {string} message - Message to display
+     * @param {string} type    - 'info', 'success', or 'error'
+     */
+    WidgetBase.prototype.showToast = function(message, type) {
+        type = type || 'info';
+        var toast = Utils.createElement('div', 'moon-toast moon-toast-' + type);
+        toast.innerHTML = '<span class="moon-toast-message">' + Utils.escapeHTML(message) + '</span>';
+
+        // Add to page
+        var container = document.querySelector('.moon-toast-container');
+        if (!container) {
+            container = Utils.createElement('div', 'moon-toast-container');
+            document.body.appendChild(container);
+        }
+        container.appendChild(toast);
+
+        // Animate in
+        setTimeout(function() { toast.classList.add('moon-toast-visible'); }, 10);
+
+        // Auto remove after 3 seconds
+        setTimeout(function() {
+            toast.classList.remove('moon-toast-visible');
+            setTimeout(function() {
+                if (toast.parentNode) toast.parentNode.removeChild(toast);
+            }, 300);
+        }, 3000);
+    };
+
+    /** Show a success toast notification. */
+    WidgetBase.prototype.showSuccess = function(message) {
+        this.showToast(message, 'success');
+    };
+
+    /**
+     * Toggle loading state on the primary action button.
+     * Shows spinner and custom message while processing.
+     *
+     * @param {boolean} isLoading - True to show loading, false to restore
+     * @param {string} message    - Optional loading message (default: 'Processing...')
+     */
+    WidgetBase.prototype.setLoading = function(isLoading, message) {
+        var btn = this.rootEl.querySelector('.moon-btn-action');
+        if (btn) {
+            btn.disabled = isLoading;
+            if (isLoading) {
+                btn.dataset.originalText = btn.textContent;
+                btn.innerHTML = '<span class="moon-spinner moon-active"></span> ' + (message || 'Processing...');
+            } else if (btn.dataset.originalText) {
+                btn.textContent = btn.dataset.originalText;
+            }
+        }
+    };
+
+    /**
+     * Ensure API key is set before executing callback.
+     * Shows API key modal if not configured, then calls callback.
+     * Local backends need no key, so the callback runs straight away.
+     *
+     * @param {function} callback - Function to call once API key is available
+     */
+    WidgetBase.prototype.ensureApiKey = function(callback) {
+        if (ApiClient.isReady()) {
+            callback();
+        } else {
+            ApiKeyModal.show(callback);
+        }
+    };
+
+    /**
+     * Create the standard media section with video, canvas, and controls.
+     * This is the core UI component used by most widgets.
+     *
+     * Creates:
+     * - Video element for webcam feed
+     * - Overlay canvas for drawing detections
+     * - Image canvas for uploaded images
+     * - Placeholder when no media active
+     * - Camera selector dropdown (shown when multiple cameras)
+     * - Resolution selector dropdown
+     * - Start/Stop Webcam button
+     * - Upload Image button with file input
+     * - Open Video button and playback bar (play/pause, scrub, loop) for
+     *   MP4/WebM files, which live modes analyze like a webcam
+     *
+     * @param {object} options - Configuration options (reserved for future use)
+     * @returns {HTMLElement}  - The media section container element
+     */
+    WidgetBase.prototype.createMediaSection = function(options) {
+        var self = this;
+        options = options || {};
+
+        var container = Utils.createElement('div', 'moon-media-section');
+
+        // Video container with overlay canvas
+        var videoContainer = Utils.createElement('div', 'moon-video-container');
+
+        var video = Utils.createElement('video', 'moon-video', {
+            autoplay: '', playsinline: '', muted: ''
+        });
+        video.id = Utils.uniqueId('video');
+        video.muted = true;
+        videoContainer.appendChild(video);
+
+        // Overlay canvas for drawing detections
+        var overlay = Utils.createElement('canvas', 'moon-overlay-canvas');
+        videoContainer.appendChild(overlay);
+
+        // Image display canvas (for uploaded images)
+        var imageCanvas = Utils.createElement('canvas', 'moon-image-canvas');
+        imageCanvas.style.display = 'none';
+        videoContainer.appendChild(imageCanvas);
+
+        var placeholder = Utils.createElement('div', 'moon-video-placeholder');
+        placeholder.innerHTML = '<div class="moon-placeholder-content">' +
+            '<span class="moon-placeholder-icon">📷</span>' +
+            '<span class="moon-placeholder-text">Start webcam, share your screen, open a video or upload an image to begin</span>' +
+            '<span class="moon-placeholder-hint">' + Strings.help.webcamTip + '</span>' +
+            '</div>';
+        videoContainer.appendChild(placeholder);
+
+        // Connection health of a network camera (shown while one is open)
+        var health = Utils.createElement('div', 'moon-source-health');
+        health.style.display = 'none';
+        videoContainer.appendChild(health);
+
+        // Drag-to-crop layer for a shared screen (shown while choosing)
+        var regionPicker = Utils.createElement('div', 'moon-region-picker');
+        regionPicker.style.display = 'none';
+        regionPicker.innerHTML = '<div class="moon-region-hint">Drag around the part to analyze · Esc to cancel</div>' +
+            '<div class="moon-region-box"></div>';
+        videoContainer.appendChild(regionPicker);
+
+        container.appendChild(videoContainer);
+
+        // Playback bar for video files (shown while one is open)
+        var playback = Utils.createElement('div', 'moon-playback');
+        playback.style.display = 'none';
+        playback.innerHTML =
+            '<button class="moon-btn moon-btn-secondary moon-btn-sm moon-playback-toggle" title="Play/Pause">❚❚</button>' +
+            '<input type="range" class="moon-slider moon-playback-scrub" min="0" max="0" step="0.1" value="0">' +
+            '<span class="moon-playback-time">0:00 / 0:00</span>' +
+            '<label class="moon-checkbox-label"><input type="checkbox" class="moon-playback-loop" checked> Loop</label>' +
+            '<button class="moon-btn moon-btn-secondary moon-btn-sm moon-playback-close" title="Close video">✕</button>';
+        container.appendChild(playback);
+
+        var scrub = playback.querySelector('.moon-playback-scrub');
+        playback.querySelector('.moon-playback-toggle').onclick = function() {
+            // Interrupted by pause, or a decode error (reported by video.onerror)
+            if (video.paused) video.play().catch(function() {});
+            else video.pause();
+        };
+        scrub.oninput = function() {
+            self._scrubbing = true;
+            video.currentTime = parseFloat(scrub.value);
+        };
+        scrub.onchange = function() { self._scrubbing = false; };
+        playback.querySelector('.moon-playback-loop').onchange = function() {
+            video.loop = this.checked;
+        };
+        playback.querySelector('.moon-playback-close').onclick = function() {
+            self.closeVideoFile();
+        };
+        ['timeupdate', 'play', 'pause', 'ended', 'durationchange'].forEach(function(type) {
+            video.addEventListener(type, function() { self._updatePlayback(); });
+        });
+
+        // Screen share bar (shown while sharing)
+        var screenBar = Utils.createElement('div', 'moon-screen-bar');
+        screenBar.style.display = 'none';
+        screenBar.innerHTML =
+            '<span class="moon-screen-label"></span>' +
+            '<button class="moon-btn moon-btn-secondary moon-btn-sm moon-screen-region">Select Region</button>' +
+            '<button class="moon-btn moon-btn-secondary moon-btn-sm moon-screen-full">Full Picture</button>';
+        container.appendChild(screenBar);
+
+        screenBar.querySelector('.moon-screen-region').onclick = function() {
+            if (self._regionSelect) self._regionSelect.finish(null);
+            else self.selectScreenRegion();
+        };
+        screenBar.querySelector('.moon-screen-full').onclick = function() {
+            self.setScreenRegion(null);
+        };
+
+        // Controls
+        var controls = Utils.createElement('div', 'moon-media-controls');
+
+        // Camera selector: webcams (listed once one has started), saved
+        // network cameras, open screen shares, and an entry to add a
+        // network camera
+        var cameraSelect = Utils.createElement('select', 'moon-select moon-camera-select', { title: 'Camera' });
+
+        // Sources may have been added or removed elsewhere
+        cameraSelect.onfocus = function() { self._fillCameraSelect(); };
+        cameraSelect.onchange = function() {
+            var value = cameraSelect.value;
+            // Keep showing the current source until the switch succeeds
+            cameraSelect.value = self._sourceValue();
+            if (value === cameraSelect.value) return;
+
+            if (value === 'net:manage') {
+                NetworkSourceModal.show(function(source) {
+                    self.openNetworkSource(source);
+                });
+            } else if (value.indexOf('net:') === 0) {
+                var source = NetworkSourceRegistry.get(value.slice(4));
+                if (source) self.openNetworkSource(source);
+            } else if (value.indexOf('device:') === 0) {
+                self.startWebcam(value.slice(7));
+            } else if (MediaSources.get(value)) {
+                self.showSource(Promise.resolve(MediaSources.get(value)));
+            }
+        };
+
+        // Resolution selector (visible but disabled until webcam starts)
+        var resolutionSelect = Utils.createElement('select', 'moon-select moon-resolution-select');
+        resolutionSelect.disabled = true;
+        // Pre-populate with standard resolutions
+        MediaCapture.standardResolutions.forEach(function(res, index) {
+            var option = document.createElement('option');
+            option.value = index;
+            option.textContent = res.label;
+            resolutionSelect.appendChild(option);
+        });
+        resolutionSelect.onchange = function() {
+            var resolution = self._resolutions[resolutionSelect.selectedIndex];
+            if (resolution) self.setResolution(resolution);
+        };
+
+        if (MediaCapture.isWebcamSupported()) {
+            var webcamBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-webcam', {
+                textContent: Strings.common.startWebcam
+            });
+            webcamBtn.onclick = function() {
+                if (self._source && self._source.kind === 'webcam') self.closeSource();
+                else self.startWebcam(MediaSources.lastDeviceId);
+            };
+            controls.appendChild(webcamBtn);
+        }
+        controls.appendChild(cameraSelect);
+        if (MediaCapture.isWebcamSupported()) controls.appendChild(resolutionSelect);
+
+        // Screen, window or tab
+        if (MediaCapture.isScreenCaptureSupported()) {
+            var screenBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-screen', {
+                textContent: Strings.common.shareScreen
+            });
+            screenBtn.onclick = function() {
+                if (self._source && self._source.kind === 'screen') self.closeSource();
+                else self.openScreenShare();
+            };
+            controls.appendChild(screenBtn);
+        }
+
+        // File upload
+        var fileInput = Utils.createElement('input', 'moon-file-input', { type: 'file', accept: 'image/*' });
+        fileInput.style.display = 'none';
+
+        var uploadBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary', {
+            textContent: Strings.common.uploadImage
+        });
+        uploadBtn.onclick = function() { fileInput.click(); };
+
+        fileInput.onchange = function(e) {
+            var file = e.target.files[0];
+            if (!file) return;
+
+            MediaCapture.loadImageFile(file).then(function(dataUrl) {
+                self._currentImage = dataUrl;
+                var img = new Image();
+                img.onload = function() {
+                    self.closeVideoFile();
+                    self.closeSource();
+
+                    // Get container dimensions for scaling
+                    var containerRect = videoContainer.getBoundingClientRect();
+                    var maxWidth = containerRect.width;
+                    var maxHeight = containerRect.height;
+
+                    // Calculate scaled dimensions to fit within container
+                    var scale = Math.min(maxWidth / img.width, maxHeight / img.height, 1);
+                    var canvasWidth = Math.floor(img.width * scale);
+                    var canvasHeight = Math.floor(img.height * scale);
+
+                    // Set canvas to scaled size for display
+                    imageCanvas.width = canvasWidth;
+                    imageCanvas.height = canvasHeight;
+                    imageCanvas.getContext('2d').drawImage(img, 0, 0, canvasWidth, canvasHeight);
+                    imageCanvas.style.display = 'block';
+                    video.style.display = 'none';
+                    placeholder.style.display = 'none';
+                    self._syncOverlaySize();
+                };
+                img.src = dataUrl;
+            }).catch(function(err) {
+                self.showError(err.message);
+            });
+        };
+
+        controls.appendChild(fileInput);
+        controls.appendChild(uploadBtn);
+
+        // Video file (MP4/WebM)
+        var videoInput = Utils.createElement('input', 'moon-file-input', {
+            type: 'file', accept: MediaCapture.videoTypes.join(',') + ',.mp4,.m4v,.webm'
+        });
+        videoInput.style.display = 'none';
+        var videoBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-video', {
+            textContent: Strings.common.openVideo
+        });
+        videoBtn.onclick = function() { videoInput.click(); };
+        videoInput.onchange = function(e) {
+            var file = e.target.files[0];
+            videoInput.value = '';
+            if (file) self.openVideoFile(file);
+        };
+        controls.appendChild(videoInput);
+        controls.appendChild(videoBtn);
+
+        container.appendChild(controls);
+        container.appendChild(this.createCapturePanel());
+
+        // Store references
+        this._media = {
+            container: container,
+            videoContainer: videoContainer,
+            video: video,
+            overlay: overlay,
+            imageCanvas: imageCanvas,
+            placeholder: placeholder,
+            controls: controls,
+            cameraSelect: cameraSelect,
+            health: health,
+            regionPicker: regionPicker,
+            screenBar: screenBar,
+            playback: playback
+        };
+
+        this.overlayCanvas = overlay;
+        this.overlayCtx = overlay.getContext('2d');
+        this._sourceEvents = MediaSources.subscribe(function(type, source) {
+            self._onSourceEvent(type, source);
+        });
+        this._fillCameraSelect();
+
+        // Carry on with the source chosen in the previous demo
+        if (MediaSources.selected) this._attachSource(MediaSources.selected);
+
+        return container;
+    };
+
+    /**
+     * Play an MP4 or WebM file in the media section in place of the
+     * webcam or image. Frames are captured at the current playback time,
+     * so single shots and live modes work on recorded footage.
+     *
+     * @param {File} file - Selected video file
+     * @returns {Promise}  - Resolves when playback starts (errors are shown, not thrown)
+     */
+    WidgetBase.prototype.openVideoFile = function(file) {
+        var self = this;
+        return MediaCapture.loadVideoFile(file).then(function(url) {
+            var media = self._media;
+            var video = media.video;
+            self.closeVideoFile();
+            self.closeSource();
+
+            self._currentImage = null;
+            self._videoFile = { name: file.name, url: url };
+            self.clearOverlay();
+            video.srcObject = null;
+            video.loop = media.playback.querySelector('.moon-playback-loop').checked;
+            video.onloadedmetadata = function() { self._syncOverlaySize(); };
+            video.onerror = function() {
+                if (!self._videoFile || self._videoFile.url !== url) return;
+                self.closeVideoFile();
+                self.showError('Could not play ' + file.name + '. The file may be damaged or use an unsupported codec.');
+            };
+            video.src = url;
+            video.style.display = 'block';
+            media.imageCanvas.style.display = 'none';
+            media.placeholder.style.display = 'none';
+            media.playback.style.display = '';
+            self.hideError();
+            return video.play().catch(function() {
+                // Autoplay refused: the play button still works
+            });
+        }).catch(function(err) {
+            self.showError(err.message);
+        });
+    };
+
+    /** Stop and forget the open video file, if any. */
+    WidgetBase.prototype.closeVideoFile = function() {
+        if (!this._videoFile || !this._media) return;
+        var media = this._media;
+        var url = this._videoFile.url;
+        this._videoFile = null;
+        this._scrubbing = false;
+        media.video.onerror = null;
+        media.video.pause();
+        media.video.removeAttribute('src');
+        media.video.load();
+        MediaCapture.releaseVideoFile(url);
+        media.video.style.display = 'none';
+        media.playback.style.display = 'none';
+        if (media.imageCanvas.style.display === 'none') media.placeholder.style.display = 'flex';
+        this.clearOverlay();
+    };
+
+    /** Refresh the playback bar from the video element. @private */
+    WidgetBase.prototype._updatePlayback = function() {
+        if (!this._videoFile) return;
+        var video = this._media.video;
+        var playback = this._media.playback;
+        var scrub = playback.querySelector('.moon-playback-scrub');
+        var duration = isFinite(video.duration) ? video.duration : 0;
+        scrub.max = duration;
+        if (!this._scrubbing) scrub.value = video.currentTime;
+        playback.querySelector('.moon-playback-time').textContent =
+            Utils.formatClock(video.currentTime) + ' / ' + Utils.formatClock(duration);
+        playback.querySelector('.moon-playback-toggle').textContent = video.paused ? '▶' : '❚❚';
+    };
+
+    /**
+     * Show a shared source (MediaSources) in this widget's <video> in
+     * place of whatever was shown, and make it the selected source so
+     * the next demo opens on it too.
+     *
+     * @param {Promise<object>} opening - From MediaSources.openWebcam/openNetwork/openScreen
+     * @returns {Promise}               - Resolves when shown (errors are shown, not thrown)
+     */
+    WidgetBase.prototype.showSource = function(opening) {
+        var self = this;
+        return opening.then(function(source) {
+            MediaSources.select(source);
+            // Unmounted while the camera or the browser's picker was opening
+            if (!self._media) return;
+            self.hideError();
+            self._attachSource(source);
+        }).catch(function(err) {
+            self._fillCameraSelect();
+            self.showError(err.message);
+        });
+    };
+
+    /**
+     * Start a webcam (shared with any widget already showing it).
+     * @param {string} deviceId - Camera, or null for the one already open or the default
+     */
+    WidgetBase.prototype.startWebcam = function(deviceId) {
+        var self = this;
+        return this.showSource(MediaSources.openWebcam(deviceId)).then(function() {
+            // Camera names are available once permission is granted
+            return MediaCapture.getCameras().then(function() {
+                self._fillCameraSelect();
+            });
+        });
+    };
+
+    /**
+     * Show a network camera (NetworkSource). Its canvas stream plays in
+     * the widget's <video>, so frames are captured the same way; the
+     * badge in the corner reports the connection.
+     *
+     * @param {object} config - NetworkSourceRegistry source
+     */
+    WidgetBase.prototype.openNetworkSource = function(config) {
+        return this.showSource(MediaSources.openNetwork(config));
+    };
+
+    /**
+     * Share a screen, window or tab (ScreenSource). The widget's last
+     * region is applied again, so re-sharing the same multiviewer keeps
+     * the same tile.
+     */
+    WidgetBase.prototype.openScreenShare = function() {
+        return this.showSource(MediaSources.openScreen(this._screenRegion));
+    };
+
+    /**
+     * Stop showing the current source and deselect it. It closes unless
+     * another widget or camera preview is still showing it.
+     */
+    WidgetBase.prototype.closeSource = function() {
+        var source = this._source;
+        this._detachSource();
+        if (source) MediaSources.deselect(source);
+    };
+
+    /** Play a source in the <video> and set up its controls. @private */
+    WidgetBase.prototype._attachSource = function(source) {
+        var self = this;
+        var media = this._media;
+        if (this._source === source) return;
+        this._detachSource();
+        this.closeVideoFile();
+
+        this._source = source;
+        this._currentImage = null;
+        this.clearOverlay();
+        media.video.onresize = function() { self._syncOverlaySize(); };
+        media.video.onloadedmetadata = function() { self._syncOverlaySize(); };
+        MediaSources.attach(source, media.video);
+        media.video.style.display = 'block';
+        media.imageCanvas.style.display = 'none';
+        media.placeholder.style.display = 'none';
+        if (source.network) {
+            this._healthEvents = source.network.subscribe(function() { self._updateSourceHealth(); });
+        }
+        this._updateSourceControls();
+        if (source.kind === 'webcam') this._showResolutions();
+    };
+
+    /**
+     * Stop playing the current source in the <video> (it stays open for
+     * other widgets and, if selected, for the next demo). @private
+     */
+    WidgetBase.prototype._detachSource = function() {
+        var source = this._source;
+        if (!source || !this._media) return;
+        var media = this._media;
+        if (this._regionSelect) this._regionSelect.finish(null);
+        if (this._healthEvents) this._healthEvents();
+        this._healthEvents = null;
+        this._source = null;
+        media.video.onresize = null;
+        MediaSources.detach(source, media.video);
+        media.video.style.display = 'none';
+        if (media.imageCanvas.style.display === 'none') media.placeholder.style.display = 'flex';
+        this.clearOverlay();
+        this._updateSourceControls();
+    };
+
+    /** React to MediaSources events. @private */
+    WidgetBase.prototype._onSourceEvent = function(type, source) {
+        if (source && source === this._source) {
+            if (type === 'closed') {
+                // Camera unplugged or sharing stopped from the browser
+                this._detachSource();
+            } else if (type === 'changed') {
+                this._syncOverlaySize();
+                this._updateSourceControls();
+                if (source.kind === 'webcam') this._showResolutions();
+            }
+        } else if (type === 'opened' || type === 'closed') {
+            this._fillCameraSelect();
+        }
+    };
+
+    /**
+     * Reopen the webcam at another resolution, for every widget showing it.
+     * @param {object} resolution - From MediaCapture.getSupportedResolutions
+     */
+    WidgetBase.prototype.setResolution = function(resolution) {
+        var self = this;
+        var source = this._source;
+        if (!source || source.kind !== 'webcam') return Promise.resolve();
+        var resolutionSelect = this._media.controls.querySelector('.moon-resolution-select');
+        resolutionSelect.disabled = true;
+        return MediaSources.setResolution(source, resolution).then(function() {
+            resolutionSelect.disabled = false;
+        }).catch(function(err) {
+            self.showError('Could not change resolution: ' + err.message);
+        });
+    };
+
+    /** Fill the resolution list for the current webcam. @private */
+    WidgetBase.prototype._showResolutions = function() {
+        var self = this;
+        var source = this._source;
+        MediaCapture.getSupportedResolutions(source.stream).then(function(resolutions) {
+            if (self._source !== source || !resolutions.length) return;
+            var resolutionSelect = self._media.controls.querySelector('.moon-resolution-select');
+            var currentRes = source.resolution;
+            self._resolutions = resolutions;
+            resolutionSelect.innerHTML = '';
+            resolutions.forEach(function(res, index) {
+                var option = document.createElement('option');
+                option.value = index;
+                option.textContent = res.label;
+                // Select current resolution
+                if (currentRes && res.width === currentRes.width && res.height === currentRes.height) {
+                    option.selected = true;
+                }
+                resolutionSelect.appendChild(option);
+            });
+            resolutionSelect.disabled = false;
+        });
+    };
+
+    /**
+     * Bring the webcam and Share Screen buttons, the resolution list,
+     * the network camera badge, the screen share bar and the camera list
+     * in line with the current source. @private
+     */
+    WidgetBase.prototype._updateSourceControls = function() {
+        var media = this._media;
+        var source = this._source;
+        var kind = source ? source.kind : null;
+
+        var webcamBtn = media.controls.querySelector('.moon-btn-webcam');
+        if (webcamBtn) {
+            webcamBtn.textContent = kind === 'webcam' ? Strings.common.stopWebcam : Strings.common.startWebcam;
+            webcamBtn.classList.toggle('moon-btn-active', kind === 'webcam');
+        }
+        var resolutionSelect = media.controls.querySelector('.moon-resolution-select');
+        if (resolutionSelect && kind !== 'webcam') resolutionSelect.disabled = true;
+
+        media.health.style.display = kind === 'network' ? '' : 'none';
+        this._updateSourceHealth();
+        media.screenBar.style.display = kind === 'screen' ? '' : 'none';
+        this._updateScreenBar();
+        this._fillCameraSelect();
+    };
+
+    /** Refresh the network camera badge. @private */
+    WidgetBase.prototype._updateSourceHealth = function() {
+        if (!this._source || !this._source.network) return;
+        var health = this._source.network.health();
+        var badge = this._media.health;
+        badge.className = 'moon-source-health moon-source-health-' + health.state;
+        badge.textContent = this._source.name + ' · ' + NetworkSource.describe(health);
+        badge.title = health.frames + ' frames, ' + health.reconnects + ' reconnects' +
+            (health.error ? '\nLast error: ' + health.error : '');
+    };
+
+    /**
+     * The camera list value for the current source (its MediaSources id),
+     * or '' for none.
+     * @private
+     */
+    WidgetBase.prototype._sourceValue = function() {
+        return this._source ? this._source.id : '';
+    };
+
+    /**
+     * Rebuild the camera list: webcams, network cameras, open screen
+     * shares, add entry. @private
+     */
+    WidgetBase.prototype._fillCameraSelect = function() {
+        if (!this._media) return;
+        var select = this._media.cameraSelect;
+        select.innerHTML = '';
+        select.appendChild(Utils.createElement('option', '', { value: '', textContent: 'Select Camera...' }));
+
+        var webcams = MediaCapture.availableCameras.filter(function(cam) { return cam.deviceId; });
+        if (webcams.length && MediaCapture.isWebcamSupported()) {
+            var webcamGroup = Utils.createElement('optgroup', '', { label: 'Webcams' });
+            webcams.forEach(function(cam) {
+                webcamGroup.appendChild(Utils.createElement('option', '', { value: 'device:' + cam.deviceId, textContent: cam.label }));
+            });
+            select.appendChild(webcamGroup);
+        }
+
+        var networkGroup = Utils.createElement('optgroup', '', { label: 'Network cameras' });
+        NetworkSourceRegistry.list().forEach(function(source) {
+            networkGroup.appendChild(Utils.createElement('option', '', { value: 'net:' + source.id, textContent: source.name }));
+        });
+        networkGroup.appendChild(Utils.createElement('option', '', { value: 'net:manage', textContent: '＋ Network camera...' }));
+        select.appendChild(networkGroup);
+
+        var screens = MediaSources.list().filter(function(source) { return source.kind === 'screen'; });
+        if (screens.length) {
+            var screenGroup = Utils.createElement('optgroup', '', { label: 'Shared screens' });
+            screens.forEach(function(source) {
+                screenGroup.appendChild(Utils.createElement('option', '', { value: source.id, textContent: source.name }));
+            });
+            select.appendChild(screenGroup);
+        }
+
+        // A webcam opened before its name was known (first permission prompt)
+        var current = this._source;
+        if (current && current.kind === 'webcam' && !select.querySelector('option[value="' + current.id + '"]')) {
+            select.appendChild(Utils.createElement('option', '', { value: current.id, textContent: current.name }));
+        }
+
+        select.value = this._sourceValue();
+    };
+
+    /**
+     * Crop the shared screen to a region ({x, y, width, height} as 0-1
+     * fractions of the shared picture), or null for all of it. Every
+     * widget showing the same share sees the crop.
+     * @returns {boolean} - False if the region is too small
+     */
+    WidgetBase.prototype.setScreenRegion = function(region) {
+        var source = this._source && this._source.kind === 'screen' ? this._source : null;
+        if (source && !MediaSources.setRegion(source, region)) return false;
+        this._screenRegion = source ? source.screen.region : region;
+        this.clearOverlay();
+        this._updateScreenBar();
+        return true;
+    };
+
+    /**
+     * Let the user drag a rectangle over the shared screen and crop to it.
+     * The whole picture is shown while choosing; Esc, a plain click or
+     * pressing Select Region again keeps the previous region.
+     */
+    WidgetBase.prototype.selectScreenRegion = function() {
+        var self = this;
+        var media = this._media;
+        var source = this._source;
+        if (!source || source.kind !== 'screen' || this._regionSelect) return;
+
+        var previous = source.screen.region;
+        var picker = media.regionPicker;
+        var box = picker.querySelector('.moon-region-box');
+        var start = null;
+        source.screen.setRegion(null);
+        this.clearOverlay();
+
+        // The shared picture inside the <video> (object-fit: contain)
+        function pictureRect() {
+            var video = media.video;
+            var rect = video.getBoundingClientRect();
+            var scale = Math.min(rect.width / video.videoWidth, rect.height / video.videoHeight) || 1;
+            var width = video.videoWidth * scale || rect.width;
+            var height = video.videoHeight * scale || rect.height;
+            return {
+                left: rect.left + (rect.width - width) / 2,
+                top: rect.top + (rect.height - height) / 2,
+                width: width,
+                height: height
+            };
+        }
+
+        function showBox(e) {
+            var rect = picker.getBoundingClientRect();
+            box.style.left = (Math.min(start.x, e.clientX) - rect.left) + 'px';
+            box.style.top = (Math.min(start.y, e.clientY) - rect.top) + 'px';
+            box.style.width = Math.abs(e.clientX - start.x) + 'px';
+            box.style.height = Math.abs(e.clientY - start.y) + 'px';
+            box.style.display = 'block';
+        }
+
+        function finish(region) {
+            picker.style.display = 'none';
+            box.style.display = 'none';
+            picker.onpointerdown = picker.onpointermove = picker.onpointerup = null;
+            document.removeEventListener('keydown', onKey);
+            self._regionSelect = null;
+            media.screenBar.querySelector('.moon-screen-region').textContent = 'Select Region';
+            if (!region || !self.setScreenRegion(region)) {
+                MediaSources.setRegion(source, previous);
+                self._updateScreenBar();
+            }
+        }
+
+        function onKey(e) {
+            if (e.key === 'Escape') finish(null);
+        }
+
+        picker.onpointerdown = function(e) {
+            start = { x: e.clientX, y: e.clientY };
+            if (picker.setPointerCapture) picker.setPointerCapture(e.pointerId);
+            showBox(e);
+        };
+        picker.onpointermove = function(e) {
+            if (start) showBox(e);
+        };
+        picker.onpointerup = function(e) {
+            if (!start) return;
+            var rect = pictureRect();
+            var x1 = Math.max(0, Math.min(1, (Math.min(start.x, e.clientX) - rect.left) / rect.width));
+            var y1 = Math.max(0, Math.min(1, (Math.min(start.y, e.clientY) - rect.top) / rect.height));
+            var x2 = Math.max(0, Math.min(1, (Math.max(start.x, e.clientX) - rect.left) / rect.width));
+            var y2 = Math.max(0, Math.min(1, (Math.max(start.y, e.clientY) - rect.top) / rect.height));
+            finish({ x: x1, y: y1, width: x2 - x1, height: y2 - y1 });
+        };
+        document.addEventListener('keydown', onKey);
+        box.style.display = 'none';
+        picker.style.display = 'block';
+        media.screenBar.querySelector('.moon-screen-region').textContent = 'Cancel';
+        this._regionSelect = { finish: finish };
+    };
+
+    /** Refresh the Share Screen button and the screen share bar. @private */
+    WidgetBase.prototype._updateScreenBar = function() {
+        var media = this._media;
+        var sharing = this._source && this._source.kind === 'screen' ? this._source : null;
+        var screenBtn = media.controls.querySelector('.moon-btn-screen');
+        if (screenBtn) {
+            screenBtn.textContent = sharing ? Strings.common.stopSharing : Strings.common.shareScreen;
+            screenBtn.classList.toggle('moon-btn-active', !!sharing);
+        }
+        if (!sharing) return;
+        var region = sharing.screen.region;
+        media.screenBar.querySelector('.moon-screen-label').textContent = sharing.name + ' · ' + (region ?
+            'region ' + Math.round(region.width * 100) + '% × ' + Math.round(region.height * 100) + '%' : 'full picture');
+        media.screenBar.querySelector('.moon-screen-full').disabled = !region;
+    };
+
+    /**
+     * True when frames come from a moving picture - a webcam, network
+     * camera or shared screen, or an open video file - so continuous
+     * modes have something to watch.
+     */
+    WidgetBase.prototype.hasLiveSource = function() {
+        return !!(this._source || this._videoFile);
+    };
+
+    /**
+     * Synchronize overlay canvas size with the active video/image source.
+     * Called after webcam start, resolution change, or image upload.
+     * Ensures detection boxes are drawn at correct positions.
+     * @private
+     */
+    WidgetBase.prototype._syncOverlaySize = function() {
+        if (!this._media) return;
+        var video = this._media.video;
+        var imageCanvas = this._media.imageCanvas;
+        var overlay = this._media.overlay;
+        var container = this._media.videoContainer;
+
+        var width, height, sourceEl;
+        if (video.style.display !== 'none' && video.videoWidth) {
+            width = video.videoWidth;
+            height = video.videoHeight;
+            sourceEl = video;
+        } else if (imageCanvas.style.display !== 'none') {
+            width = imageCanvas.width;
+            height = imageCanvas.height;
+            sourceEl = imageCanvas;
+        } else {
+            return;
+        }
+
+        overlay.width = width;
+        overlay.height = height;
+
+        // Position overlay to match the source element within the container
+        if (sourceEl && container) {
+            var containerRect = container.getBoundingClientRect();
+            var sourceRect = sourceEl.getBoundingClientRect();
+
+            // Calculate offset from container
+            var offsetLeft = sourceRect.left - containerRect.left;
+            var offsetTop = sourceRect.top - containerRect.top;
+
+            overlay.style.left = offsetLeft + 'px';
+            overlay.style.top = offsetTop + 'px';
+            overlay.style.width = sourceRect.width + 'px';
+            overlay.style.height = sourceRect.height + 'px';
+        }
+    };
+
+    /**
+     * Get the current frame from webcam, video file or uploaded image,
+     * ready for ApiClient. Webcam and video frames follow the widget's
+     * capture policy; a video file is captured at its current time.
+     *
+     * @returns {object|string|null} - Captured frame (CapturePolicy.capture),
+     *                                 base64 data URL of an uploaded image, or null if no media
+     */
+    WidgetBase.prototype.getCurrentFrame = function() {
+        if (!this._media) return null;
+
+        if (this.hasLiveSource() && this._media.video) {
+            this._syncOverlaySize();
+            this._lastCapture = CapturePolicy.capture(this._media.video, this.getCapturePolicy());
+            return this._lastCapture;
+        }
+
+        this._lastCapture = null;
+        if (this._currentImage) {
+            return this._currentImage;
+        }
+
+        return null;
+    };
+
+    /** This widget's capture policy (loaded on first use). */
+    WidgetBase.prototype.getCapturePolicy = function() {
+        if (!this._capturePolicy) this._capturePolicy = CapturePolicy.load(this.id);
+        return this._capturePolicy;
+    };
+
+    /**
+     * Build the "Capture & Upload" panel: capture policy controls and the
+     * size and round trip of recent requests, to help pick a setting.
+     *
+     * @returns {HTMLElement} - Details element
+     */
+    WidgetBase.prototype.createCapturePanel = function() {
+        var self = this;
+        var policy = this.getCapturePolicy();
+        var panel = Utils.createElement('details', 'moon-details moon-capture-panel');
+        panel.innerHTML = '<summary>Capture &amp; Upload</summary>';
+
+        function save() {
+            CapturePolicy.save(self.id, policy);
+        }
+
+        var row = Utils.createElement('div', 'moon-capture-row');
+        var sizeSelect = Utils.createElement('select', 'moon-select', { title: 'Largest side sent' });
+        CapturePolicy.SIZES.forEach(function(size) {
+            sizeSelect.appendChild(Utils.createElement('option', '', {
+                value: String(size),
+                textContent: size ? 'Max ' + size + 'px' : 'Native size'
+            }));
+        });
+        sizeSelect.value = String(policy.maxDimension);
+        sizeSelect.onchange = function() {
+            policy.maxDimension = parseInt(sizeSelect.value, 10);
+            save();
+        };
+
+        var formatSelect = Utils.createElement('select', 'moon-select', { title: 'Encoding' });
+        formatSelect.appendChild(Utils.createElement('option', '', { value: 'jpeg', textContent: 'JPEG' }));
+        formatSelect.appendChild(Utils.createElement('option', '', { value: 'webp', textContent: 'WebP' }));
+        formatSelect.value = policy.format;
+        formatSelect.onchange = function() {
+            policy.format = formatSelect.value;
+            save();
+        };
+
+        var letterboxLabel = Utils.createElement('label', 'moon-checkbox-label', { title: 'Pad to a square instead of sending the frame\'s own shape' });
+        var letterboxCheckbox = Utils.createElement('input', '', { type: 'checkbox' });
+        letterboxCheckbox.checked = !!policy.letterbox;
+        letterboxCheckbox.onchange = function() {
+            policy.letterbox = letterboxCheckbox.checked;
+            save();
+        };
+        letterboxLabel.appendChild(letterboxCheckbox);
+        letterboxLabel.appendChild(document.createTextNode(' Letterbox'));
+
+        row.appendChild(sizeSelect);
+        row.appendChild(formatSelect);
+        row.appendChild(letterboxLabel);
+        panel.appendChild(row);
+
+        var qualityGroup = Utils.createElement('div', 'moon-input-group');
+        var qualityLabel = Utils.createElement('label', 'moon-label');
+        qualityLabel.innerHTML = 'Quality: <span class="moon-rate-value"></span>%';
+        var qualityValue = qualityLabel.querySelector('.moon-rate-value');
+        var qualitySlider = Utils.createElement('input', 'moon-input moon-slider', {
+            type: 'range', min: '0.3', max: '1', step: '0.05'
+        });
+        qualitySlider.value = String(policy.quality);
+        qualityValue.textContent = Math.round(policy.quality * 100);
+        qualitySlider.oninput = function() {
+            policy.quality = parseFloat(qualitySlider.value);
+            qualityValue.textContent = Math.round(policy.quality * 100);
+        };
+        qualitySlider.onchange = save;
+        qualityGroup.appendChild(qualityLabel);
+        qualityGroup.appendChild(qualitySlider);
+        panel.appendChild(qualityGroup);
+
+        // Region of interest, in percent of the frame
+        var roiLabel = Utils.createElement('label', 'moon-label', { textContent: 'Region of interest (% of frame: left, top, width, height)' });
+        panel.appendChild(roiLabel);
+        var roiRow = Utils.createElement('div', 'moon-capture-row');
+        var roi = policy.roi || { x: 0, y: 0, width: 1, height: 1 };
+        var roiInputs = ['x', 'y', 'width', 'height'].map(function(key) {
+            var input = Utils.createElement('input', 'moon-input', {
+                type: 'number', min: '0', max: '100', step: '1', title: key
+            });
+            input.value = String(Math.round(roi[key] * 100));
+            input.onchange = applyRoi;
+            roiRow.appendChild(input);
+            return input;
+        });
+        var fullBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', { textContent: 'Full Frame' });
+        fullBtn.onclick = function() {
+            roiInputs[0].value = roiInputs[1].value = '0';
+            roiInputs[2].value = roiInputs[3].value = '100';
+            applyRoi();
+        };
+        roiRow.appendChild(fullBtn);
+        panel.appendChild(roiRow);
+
+        function applyRoi() {
+            var values = roiInputs.map(function(input) { return (parseFloat(input.value) || 0) / 100; });
+            policy.roi = CapturePolicy.normalizeRoi({ x: values[0], y: values[1], width: values[2], height: values[3] });
+            save();
+        }
+
+        this._captureStatsEl = Utils.createElement('div', 'moon-capture-stats', { textContent: 'No requests yet' });
+        this._reuseStatsEl = Utils.createElement('div', 'moon-capture-stats');
+        if (!CapturePolicy.canReuse(this.id)) {
+            panel.appendChild(this._captureStatsEl);
+            panel.appendChild(this._reuseStatsEl);
+            this.updateReuseStatus();
+            return panel;
+        }
+
+        // Frame reuse in live modes
+        var reuseLabel = Utils.createElement('label', 'moon-checkbox-label');
+        var reuseCheckbox = Utils.createElement('input', '', { type: 'checkbox' });
+        reuseCheckbox.checked = !!policy.reuse;
+        reuseCheckbox.onchange = function() {
+            policy.reuse = reuseCheckbox.checked;
+            save();
+            self.updateReuseStatus();
+        };
+        reuseLabel.appendChild(reuseCheckbox);
+        reuseLabel.appendChild(document.createTextNode(' Reuse results for unchanged frames (live modes)'));
+        panel.appendChild(reuseLabel);
+
+        var thresholdGroup = Utils.createElement('div', 'moon-input-group');
+        var thresholdLabel = Utils.createElement('label', 'moon-label');
+        thresholdLabel.innerHTML = 'Unchanged if at most <span class="moon-rate-value"></span> of ' +
+            ResponseCache.HASH_BITS + ' hash bits differ';
+        var thresholdValue = thresholdLabel.querySelector('.moon-rate-value');
+        var thresholdSlider = Utils.createElement('input', 'moon-input moon-slider', {
+            type: 'range', min: '0', max: '32', step: '1'
+        });
+        thresholdSlider.value = String(policy.reuseThreshold);
+        thresholdValue.textContent = policy.reuseThreshold;
+        thresholdSlider.oninput = function() {
+            policy.reuseThreshold = parseInt(thresholdSlider.value, 10);
+            thresholdValue.textContent = policy.reuseThreshold;
+            self.updateReuseStatus();
+        };
+        thresholdSlider.onchange = save;
+        thresholdGroup.appendChild(thresholdLabel);
+        thresholdGroup.appendChild(thresholdSlider);
+        panel.appendChild(thresholdGroup);
+
+        panel.appendChild(this._captureStatsEl);
+        panel.appendChild(this._reuseStatsEl);
+        this.updateReuseStatus();
+        return panel;
+    };
+
+    /** Show calls saved by frame reuse and the threshold in use. */
+    WidgetBase.prototype.updateReuseStatus = function() {
+        if (!this._reuseStatsEl) return;
+        var policy = this.getCapturePolicy();
+        if (!CapturePolicy.canReuse(this.id)) {
+            this._reuseStatsEl.textContent = 'Frame reuse: off - every tracking step needs a fresh position';
+            return;
+        }
+        this._reuseStatsEl.textContent = policy.reuse ?
+            'Frame reuse: ' + this._callsSaved + ' call' + (this._callsSaved === 1 ? '' : 's') + ' saved · threshold ' +
+                policy.reuseThreshold + '/' + ResponseCache.HASH_BITS + ' bits' :
+            'Frame reuse: off';
+    };
+
+    /**
+     * Keep the last 20 requests' size and round trip and show them in the
+     * capture panel. Replies reused from ResponseCache are counted as
+     * saved calls instead.
+     *
+     * @param {object} metrics - From ApiClient (see ApiClient._send)
+     */
+    WidgetBase.prototype.recordRequestMetrics = function(metrics) {
+        if (metrics.cached) {
+            this._callsSaved++;
+            this.updateReuseStatus();
+            return;
+        }
+        var history = this._requestMetrics;
+        history.push(metrics);
+        if (history.length > 20) history.shift();
+        if (!this._captureStatsEl) return;
+
+        function kb(bytes) { return (bytes / 1024).toFixed(bytes < 10240 ? 1 : 0) + ' KB'; }
+        var upload = 0;
+        var latency = 0;
+        history.forEach(function(entry) {
+            upload += entry.uploadBytes;
+            latency += entry.latencyMs;
+        });
+        var text = 'Last ' + metrics.endpoint + ': ' +
+            (this._lastCapture ? CapturePolicy.describe(this._lastCapture, this.getCapturePolicy()) + ', ' : '') +
+            kb(metrics.uploadBytes) + ' up, ' + metrics.latencyMs + ' ms' + (metrics.error ? ' (' + metrics.error + ')' : '');
+        if (history.length > 1) {
+            text += ' · average of ' + history.length + ': ' + kb(upload / history.length) + ', ' +
+                Math.round(latency / history.length) + ' ms';
+        }
+        this._captureStatsEl.textContent = text;
+    };
+
+    /** Clear all drawings from the overlay canvas. */
+    WidgetBase.prototype.clearOverlay = function() {
+        if (this.overlayCtx && this.overlayCanvas) {
+            CanvasUtils.clear(this.overlayCtx, this.overlayCanvas.width, this.overlayCanvas.height);
+        }
+    };
+
+    /**
+     * Start continuous detection mode.
+     * Repeatedly calls callback at specified interval while webcam is active.
+     * Cycles are skipped while ApiClient.livePause() says so (circuit
+     * breaker open or usage budget used up).
+     * Used for live monitoring features.
+     *
+     * @param {function} callback - Detection function to call
+     * @param {number} interval   - Milliseconds between calls (default: 2000)
+     */
+    WidgetBase.prototype.startContinuous = function(callback, interval) {
+        var self = this;
+        this.stopContinuous();
+        this._continuousInterval = setInterval(function() {
+            if (self.hasLiveSource() && !ApiClient.livePause()) {
+                callback();
+            }
+        }, interval || 2000);
+    };
+
+    /** Stop continuous detection mode and clear interval. */
+    WidgetBase.prototype.stopContinuous = function() {
+        if (this._continuousInterval) {
+            clearInterval(this._continuousInterval);
+            this._continuousInterval = null;
+        }
+    };
+
+    // ============================================================
+    // WIDGET 1: UNIVERSAL OBJECT DETECTOR
+    // ============================================================
+    /**
+     * ObjectDetectorWidget - Zero-shot object detection with bounding boxes.
+     *
+     * This widget lets users detect any object by typing its name.
+     * No pre-training required - just describe what you want to find.
+     *
+     * Features:
+     * - Free-form text input for object name
+     * - Bounding box visualization with color-coded results
+     * - Single-shot and continuous detection modes
+     * - Works with webcam or uploaded images
+     *
+     * API used: /detect endpoint
+     *
+     * @extends WidgetBase
+     */
+    function ObjectDetectorWidget() {
+        WidgetBase.call(this,
+            'object-detector',
+            'Universal Object Detector',
+            '🔍',
+            'Detect any object in your scene with bounding boxes. Great for industrial inspection, inventory, and monitoring.'
+        );
+    }
+    ObjectDetectorWidget.prototype = Object.create(WidgetBase.prototype);
+
+    ObjectDetectorWidget.prototype.render = function() {
+        var self = this;
+
+        var header = Utils.createElement('div', 'moon-widget-header');
+        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
+            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
+            '<p class="moon-widget-desc">' + this.description + '</p>';
+        this.rootEl.appendChild(header);
+
+        var body = Utils.createElement('div', 'moon-widget-body');
+        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
+
+        // Left column - media
+        var leftCol = Utils.createElement('div', 'moon-col');
+        leftCol.appendChild(this.createMediaSection());
+        grid.appendChild(leftCol);
+
+        // Right column - controls & results
+        var rightCol = Utils.createElement('div', 'moon-col');
+
+        // Detection input
+        var inputGroup = Utils.createElement('div', 'moon-input-group');
+        inputGroup.innerHTML = '<label class="moon-label">What to detect:</label>';
+
+        var input = Utils.createElement('input', 'moon-input moon-detect-input', {
+            type: 'text',
+            placeholder: 'e.g., person, car, forklift, package, chair...'
+        });
+        input.value = 'person';
+        inputGroup.appendChild(input);
+
+        // Quick detect buttons
+        var quickBtns = Utils.createElement('div', 'moon-quick-btns');
+        ['person', 'face', 'car', 'package', 'chair', 'screen'].forEach(function(item) {
+            var btn = Utils.createElement('button', 'moon-btn moon-btn-sm moon-btn-quick', { textContent: item });
+            btn.onclick = function() {
+                input.value = item;
+                self.detect();
+            };
+            quickBtns.appendChild(btn);
+        });
+        inputGroup.appendChild(quickBtns);
+
+        rightCol.appendChild(inputGroup);
+
+        // Action buttons
+        var actions = Utils.createElement('div', 'moon-actions', { 'data-capability': 'detect' });
+
+        var detectBtn = Utils.createElement('button', 'moon-btn moon-btn-primary moon-btn-lg moon-btn-action', {
+            textContent: 'Detect Objects'
+        });
+        detectBtn.onclick = function() {
+            self.ensureApiKey(function() { self.detect(); });
+        };
+        actions.appendChild(detectBtn);
+
+        var continuousBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-continuous', {
+            textContent: '▶ Continuous'
+        });
+        continuousBtn.onclick = function() {
+            self.toggleContinuous(continuousBtn);
+        };
+        actions.appendChild(continuousBtn);
+
+        var clearBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary', {
+            textContent: 'Clear'
+        });
+        clearBtn.onclick = function() {
+            self.clearOverlay();
+            self.clearResults();
+        };
+        actions.appendChild(clearBtn);
+
+        rightCol.appendChild(actions);
+
+        // Results
+        var results = Utils.createElement('div', 'moon-results moon-detect-results');
+        results.innerHTML = '<div class="moon-results-header"><h3>Detections</h3><span class="moon-count">0 found</span></div>' +
+            '<div class="moon-results-list"></div>';
+        rightCol.appendChild(results);
+
+        grid.appendChild(rightCol);
+        body.appendChild(grid);
+        this.rootEl.appendChild(body);
+
+        this._input = input;
+        this._results = results;
+    };
+
+    ObjectDetectorWidget.prototype.detect = function() {
+        var self = this;
+        var frame = this.getCurrentFrame();
+        var objectName = this._input.value.trim();
+
+        if (!frame) {
+            this.showError('Please start webcam or upload an image first');
+            return;
+        }
+        if (!objectName) {
+            this.showError('Please enter what to detect');
+            return;
+        }
+
+        this.hideError();
+        this.setLoading(true, 'Detecting...');
+
+        var priority = this._continuousInterval ? 'continuous' : 'interactive';
+        ApiClient.detect(frame, objectName, this.requestOptions(priority, 'detect')).then(function(response) {
+            self.setLoading(false);
+            self.displayDetections(response.objects || [], objectName);
+        }).catch(function(err) {
+            if (ApiClient.isAbort(err)) return;
+            self.setLoading(false);
+            self.showError(err.message, err);
+        });
+    };
+
+    ObjectDetectorWidget.prototype.displayDetections = function(objects, objectName) {
+        var self = this;
+        this.clearOverlay();
+
+        var countEl = this._results.querySelector('.moon-count');
+        var listEl = this._results.querySelector('.moon-results-list');
+
+        countEl.textContent = objects.length + ' found';
+        listEl.innerHTML = '';
+
+        if (objects.length === 0) {
+            listEl.innerHTML = '<p class="moon-no-results">No "' + Utils.escapeHTML(objectName) + '" detected in scene</p>';
+            return;
+        }
+
+        var ctx = this.overlayCtx;
+        var w = this.overlayCanvas.width;
+        var h = this.overlayCanvas.height;
+
+        objects.forEach(function(obj, index) {
+            var color = Utils.getColor(index);
+            var label = objectName + ' #' + (index + 1);
+
+            // Draw on canvas
+            CanvasUtils.drawBoundingBox(ctx, obj, color, label, w, h);
+
+            // Add to list
+            var item = Utils.createElement('div', 'moon-result-item');
+            item.innerHTML = '<span class="moon-result-color" style="background:' + color + '"></span>' +
+                '<span class="moon-result-label">' + label + '</span>' +
+                '<span class="moon-result-coords">(' + Math.round(obj.x_min * 100) + '%, ' + Math.round(obj.y_min * 100) + '%)</span>';
+
+            item.onmouseenter = function() {
+                self.highlightDetection(index, objects, objectName);
+            };
+            listEl.appendChild(item);
+        });
+    };
+
+    ObjectDetectorWidget.prototype.highlightDetection = function(highlightIndex, objects, objectName) {
+        this.clearOverlay();
+        var ctx = this.overlayCtx;
+        var w = this.overlayCanvas.width;
+        var h = this.overlayCanvas.height;
+
+        objects.forEach(function(obj, index) {
+            var color = index === highlightIndex ? '#ffffff' : Utils.getColor(index);
+            var lineWidth = index === highlightIndex ? 4 : 2;
+            ctx.lineWidth = lineWidth;
+            CanvasUtils.drawBoundingBox(ctx, obj, color, objectName + ' #' + (index + 1), w, h);
+        });
+    };
+
+    ObjectDetectorWidget.prototype.toggleContinuous = function(btn) {
+        var self = this;
+        if (this._continuousInterval) {
+            this.stopContinuous();
+            btn.textContent = '▶ Continuous';
+            btn.classList.remove('moon-btn-active');
+        } else {
+            if (!this.hasLiveSource()) {
+                this.showError('Start webcam or open a video for continuous mode');
+                return;
+            }
+            btn.textContent = '■ Stop';
+            btn.classList.add('moon-btn-active');
+            this.startContinuous(function() {
+                self.detect();
+            }, 1500);
+        }
+    };
+
+    ObjectDetectorWidget.prototype.clearResults = function() {
+        var countEl = this._results.querySelector('.moon-count');
+        var listEl = this._results.querySelector('.moon-results-list');
+        countEl.textContent = '0 found';
+        listEl.innerHTML = '';
+    };
+
+    // ============================================================
+    // WIDGET 2: SMART COUNTER
+    // ============================================================
+    /**
+     * SmartCounterWidget - Count objects with numbered point markers.
+     *
+     * Unlike simple counting, this widget shows exactly WHERE each
+     * counted item is located with visual markers.
+     *
+     * Features:
+     * - Numbered point markers on each detected item
+     * - Total count displayed prominently
+     * - Single-shot and continuous counting modes
+     * - Great for verification (see what was counted)
+     *
+     * API used: /point endpoint
+     *
+     * @extends WidgetBase
+     */
+    function SmartCounterWidget() {
+        WidgetBase.call(this,
+            'smart-counter',
+            'Smart Counter',
+            '🔢',
+            'Count objects with visual proof. Each item is marked with a numbered point. Perfect for inventory and manufacturing.'
+        );
+    }
+    SmartCounterWidget.prototype = Object.create(WidgetBase.prototype);
+
+    SmartCounterWidget.prototype.render = function() {
+        var self = this;
+
+        var header = Utils.createElement('div', 'moon-widget-header');
+        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
+            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
+            '<p class="moon-widget-desc">' + this.description + '</p>';
+        this.rootEl.appendChild(header);
+
+        var body = Utils.createElement('div', 'moon-widget-body');
+        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
+
+        var leftCol = Utils.createElement('div', 'moon-col');
+        leftCol.appendChild(this.createMediaSection());
+        grid.appendChild(leftCol);
+
+        var rightCol = Utils.createElement('div', 'moon-col');
+
+        // Input
+        var inputGroup = Utils.createElement('div', 'moon-input-group');
+        inputGroup.innerHTML = '<label class="moon-label">What to count:</label>';
+
+        var input = Utils.createElement('input', 'moon-input moon-count-input', {
+            type: 'text',
+            placeholder: 'e.g., people, boxes, bottles, screws...'
+        });
+        input.value = 'person';
+        inputGroup.appendChild(input);
+
+        var quickBtns = Utils.createElement('div', 'moon-quick-btns');
+        ['person', 'chair', 'bottle', 'box', 'car', 'light'].forEach(function(item) {
+            var btn = Utils.createElement('button', 'moon-btn moon-btn-sm moon-btn-quick', { textContent: item });
+            btn.onclick = function() {
+                input.value = item;
+                self.count();
+            };
+            quickBtns.appendChild(btn);
+        });
+        inputGroup.appendChild(quickBtns);
+
+        rightCol.appendChild(inputGroup);
+
+        // Actions
+        var actions = Utils.createElement('div', 'moon-actions', { 'data-capability': 'point' });
+
+        var countBtn = Utils.createElement('button', 'moon-btn moon-btn-primary moon-btn-lg moon-btn-action', {
+            textContent: 'Count'
+        });
+        countBtn.onclick = function() {
+            self.ensureApiKey(function() { self.count(); });
+        };
+        actions.appendChild(countBtn);
+
+        var continuousBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-continuous', {
+            textContent: '▶ Continuous'
+        });
+        continuousBtn.onclick = function() {
+            self.toggleContinuous(continuousBtn);
+        };
+        actions.appendChild(continuousBtn);
+
+        rightCol.appendChild(actions);
+
+        // Big count display
+        var countDisplay = Utils.createElement('div', 'moon-count-display');
+        countDisplay.innerHTML = '<div class="moon-count-number">0</div>' +
+            '<div class="moon-count-label">items detected</div>';
+        rightCol.appendChild(countDisplay);
+
+        // Points list
+        var results = Utils.createElement('div', 'moon-results moon-points-results');
+        results.innerHTML = '<div class="moon-results-list"></div>';
+        rightCol.appendChild(results);
+
+        grid.appendChild(rightCol);
+        body.appendChild(grid);
+        this.rootEl.appendChild(body);
+
+        this._input = input;
+        this._countDisplay = countDisplay;
+        this._results = results;
+    };
+
+    SmartCounterWidget.prototype.count = function() {
+        var self = this;
+        var frame = this.getCurrentFrame();
+        var objectName = this._input.value.trim();
+
+        if (!frame) {
+            this.showError('Please start webcam or upload an image first');
+            return;
+        }
+        if (!objectName) {
+            this.showError('Please enter what to count');
+            return;
+        }
+
+        this.hideError();
+        this.setLoading(true, 'Counting...');
+
+        var priority = this._continuousInterval ? 'continuous' : 'interactive';
+        ApiClient.point(frame, objectName, this.requestOptions(priority, 'point')).then(function(response) {
+            self.setLoading(false);
+            self.displayPoints(response.points || [], objectName);
+        }).catch(function(err) {
+            if (ApiClient.isAbort(err)) return;
+            self.setLoading(false);
+            self.showError(err.message, err);
+        });
+    };
+
+    SmartCounterWidget.prototype.displayPoints = function(points, objectName) {
+        this.clearOverlay();
+
+        var numberEl = this._countDisplay.querySelector('.moon-count-number');
+        var labelEl = this._countDisplay.querySelector('.moon-count-label');
+        var listEl = this._results.querySelector('.moon-results-list');
+
+        numberEl.textContent = points.length;
+        labelEl.textContent = objectName + (points.length === 1 ? '' : 's') + ' detected';
+        listEl.innerHTML = '';
+
+        if (points.length === 0) {
+            listEl.innerHTML = '<p class="moon-no-results">No "' + Utils.escapeHTML(objectName) + '" found</p>';
+            return;
+        }
+
+        var ctx = this.overlayCtx;
+        var w = this.overlayCanvas.width;
+        var h = this.overlayCanvas.height;
+
+        points.forEach(function(point, index) {
+            var color = Utils.getColor(index);
+            CanvasUtils.drawPoint(ctx, point, color, index, w, h);
+
+            var item = Utils.createElement('div', 'moon-result-item');
+            item.innerHTML = '<span class="moon-result-number">' + (index + 1) + '</span>' +
+                '<span class="moon-result-label">' + objectName + '</span>' +
+                '<span class="moon-result-coords">(' + Math.round(point.x * 100) + '%, ' + Math.round(point.y * 100) + '%)</span>';
+            listEl.appendChild(item);
+        });
+    };
+
+    SmartCounterWidget.prototype.toggleContinuous = function(btn) {
+        var self = this;
+        if (this._continuousInterval) {
+            this.stopContinuous();
+            btn.textContent = '▶ Continuous';
+            btn.classList.remove('moon-btn-active');
+        } else {
+            if (!this.hasLiveSource()) {
+                this.showError('Start webcam or open a video for continuous mode');
+                return;
+            }
+            btn.textContent = '■ Stop';
+            btn.classList.add('moon-btn-active');
+            this.startContinuous(function() {
+                self.count();
+            }, 1500);
+        }
+    };
+
+    // ============================================================
+    // WIDGET 3: SCENE ANALYZER
+    // ============================================================
+    /**
+     * SceneAnalyzerWidget - AI image captioning and visual Q&A.
+     *
+     * This widget showcases MoonDream's visual reasoning capabilities
+     * by generating natural language descriptions and answering questions.
+     *
+     * Features:
+     * - Auto-generate image captions (short/normal/long)
+     * - Ask free-form questions about the scene
+     * - Captions and answers stream in as they are generated, with Cancel
+     * - Conversation history display
+     * - Copy answers to clipboard
+     *
+     * API used: /caption and /query endpoints
+     *
+     * @extends WidgetBase
+     */
+    function SceneAnalyzerWidget() {
+        WidgetBase.call(this,
+            'scene-analyzer',
+            'Scene Analyzer',
+            '🎬',
+            'Get AI descriptions and ask questions about any scene. Ideal for accessibility, broadcast, and monitoring.'
+        );
+        this._captionStream = null;     // createStreamView() of the caption being streamed
+        this._queryStream = null;       // ... and of the answer
+    }
+    SceneAnalyzerWidget.prototype = Object.create(WidgetBase.prototype);
+
+    SceneAnalyzerWidget.prototype.render = function() {
+        var self = this;
+
+        var header = Utils.createElement('div', 'moon-widget-header');
+        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
+            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
+            '<p class="moon-widget-desc">' + this.description + '</p>';
+        this.rootEl.appendChild(header);
+
+        var body = Utils.createElement('div', 'moon-widget-body');
+        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
+
+        var leftCol = Utils.createElement('div', 'moon-col');
+        leftCol.appendChild(this.createMediaSection());
+        grid.appendChild(leftCol);
+
+        var rightCol = Utils.createElement('div', 'moon-col');
+
+        // Caption section
+        var captionSection = Utils.createElement('div', 'moon-section', { 'data-capability': 'caption' });
+        captionSection.innerHTML = '<h3 class="moon-section-title">Scene Description</h3>';
+
+        var captionBtn = Utils.createElement('button', 'moon-btn moon-btn-primary moon-btn-action', {
+            textContent: 'Describe Scene'
+        });
+        captionBtn.onclick = function() {
+            self.ensureApiKey(function() { self.captionScene(); });
+        };
+        captionSection.appendChild(captionBtn);
+
+        var captionResult = Utils.createElement('div', 'moon-caption-result');
+        captionResult.innerHTML = '<p class="moon-caption-text">Click "Describe Scene" to get an AI description</p>';
+        captionSection.appendChild(captionResult);
+
+        rightCol.appendChild(captionSection);
+
+        // Q&A section
+        var qaSection = Utils.createElement('div', 'moon-section', { 'data-capability': 'query' });
+        qaSection.innerHTML = '<h3 class="moon-section-title">Ask a Question</h3>';
+
+        var qaInputRow = Utils.createElement('div', 'moon-input-row');
+        var qaInput = Utils.createElement('input', 'moon-input moon-qa-input', {
+            type: 'text',
+            placeholder: 'e.g., How many people are there? What color is the car?'
+        });
+
+        // Bind Enter key to ask
+        qaInput.onkeydown = function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                self.ensureApiKey(function() { self.askQuestion(); });
+            }
+        };
+        qaInputRow.appendChild(qaInput);
+
+        var askBtn = Utils.createElement('button', 'moon-btn moon-btn-primary', {
+            textContent: 'Ask'
+        });
+        askBtn.onclick = function() {
+            self.ensureApiKey(function() { self.askQuestion(); });
+        };
+        qaInputRow.appendChild(askBtn);
+        qaSection.appendChild(qaInputRow);
+
+        var quickQs = Utils.createElement('div', 'moon-quick-btns');
+        ['How many people?', 'What is happening?', 'What objects are visible?', 'Is anyone wearing glasses?'].forEach(function(q) {
+            var btn = Utils.createElement('button', 'moon-btn moon-btn-sm moon-btn-quick', { textContent: q });
+            btn.onclick = function() {
+                qaInput.value = q;
+                self.ensureApiKey(function() { self.askQuestion(); });
+            };
+            quickQs.appendChild(btn);
+        });
+        qaSection.appendChild(quickQs);
+
+        // Tabbed results area
+        var tabContainer = Utils.createElement('div', 'moon-tabs');
+
+        var tabNav = Utils.createElement('div', 'moon-tab-nav');
+        var tabAnswer = Utils.createElement('button', 'moon-tab-btn moon-tab-active', { textContent: 'Answer' });
+        var tabHistory = Utils.createElement('button', 'moon-tab-btn', { textContent: 'History' });
+        tabNav.appendChild(tabAnswer);
+        tabNav.appendChild(tabHistory);
+        tabContainer.appendChild(tabNav);
+
+        var tabContent = Utils.createElement('div', 'moon-tab-content');
+
+        var answerPanel = Utils.createElement('div', 'moon-tab-panel moon-tab-panel-active moon-qa-result');
+        answerPanel.innerHTML = '<p class="moon-qa-placeholder">Ask a question to see the AI response</p>';
+        tabContent.appendChild(answerPanel);
+
+        var historyPanel = Utils.createElement('div', 'moon-tab-panel moon-history-list');
+        tabContent.appendChild(historyPanel);
+
+        tabContainer.appendChild(tabContent);
+        qaSection.appendChild(tabContainer);
+
+        // Tab switching
+        tabAnswer.onclick = function() {
+            tabAnswer.classList.add('moon-tab-active');
+            tabHistory.classList.remove('moon-tab-active');
+            answerPanel.classList.add('moon-tab-panel-active');
+            historyPanel.classList.remove('moon-tab-panel-active');
+        };
+        tabHistory.onclick = function() {
+            tabHistory.classList.add('moon-tab-active');
+            tabAnswer.classList.remove('moon-tab-active');
+            historyPanel.classList.add('moon-tab-panel-active');
+            answerPanel.classList.remove('moon-tab-panel-active');
+        };
+
+        rightCol.appendChild(qaSection);
+
+        grid.appendChild(rightCol);
+        body.appendChild(grid);
+        this.rootEl.appendChild(body);
+
+        this._captionResult = captionResult;
+        this._qaInput = qaInput;
+        this._qaResult = answerPanel;
+        this._historyList = historyPanel;
+    };
+
+    SceneAnalyzerWidget.prototype.captionScene = function() {
+        var self = this;
+        var frame = this.getCurrentFrame();
+
+        if (!frame) {
+            this.showError('Please start webcam or upload an image first');
+            return;
+        }
+
+        this.hideError();
+        if (this._captionStream) this._captionStream.cancel();
+        this._captionResult.innerHTML = '<p class="moon-caption-text moon-loading-text">Analyzing scene...</p>';
+        var textEl = this._captionResult.firstChild;
+        var stream = this._captionStream = this.createStreamView(textEl, this._captionResult);
+
+        ApiClient.captionStream(frame, 'normal', stream.onChunk, stream.requestOptions('interactive')).then(function(response) {
+            stream.finish();
+            if (self._captionStream === stream) self._captionStream = null;
+            var caption = response.caption || 'No description available';
+            textEl.textContent = caption;
+            self.addToHistory('Describe this scene', caption);
+        }).catch(function(err) {
+            stream.finish();
+            if (self._captionStream === stream) self._captionStream = null;
+            if (ApiClient.isAbort(err)) {
+                if (stream.cancelled) stream.showCancelled();
+                return;
+            }
+            self._captionResult.innerHTML = '<p class="moon-caption-text moon-error-text">' + err.message + '</p>';
+        });
+    };
+
+    SceneAnalyzerWidget.prototype.askQuestion = function() {
+        var self = this;
+        var frame = this.getCurrentFrame();
+        var question = this._qaInput.value.trim();
+
+        if (!frame) {
+            this.showError('Please start webcam or upload an image first');
+            return;
+        }
+        if (!question) {
+            this.showError('Please enter a question');
+            return;
+        }
+
+        this.hideError();
+        if (this._queryStream) this._queryStream.cancel();
+        this._qaResult.innerHTML = '<p class="moon-qa-answer moon-loading-text">Thinking...</p>';
+        var textEl = this._qaResult.firstChild;
+        var stream = this._queryStream = this.createStreamView(textEl, this._qaResult);
+
+        ApiClient.queryStream(frame, question, stream.onChunk, stream.requestOptions('interactive')).then(function(response) {
+            stream.finish();
+            if (self._queryStream === stream) self._queryStream = null;
+            var answer = response.answer || 'No answer available';
+            textEl.textContent = answer;
+            self.addToHistory(question, answer);
+            // Keep question in input for follow-up refinement
+        }).catch(function(err) {
+            stream.finish();
+            if (self._queryStream === stream) self._queryStream = null;
+            if (ApiClient.isAbort(err)) {
+                if (stream.cancelled) stream.showCancelled();
+                return;
+            }
+            self._qaResult.innerHTML = '<p class="moon-error-text">' + err.message + '</p>';
+        });
+    };
+
+    SceneAnalyzerWidget.prototype.addToHistory = function(question, answer) {
+        var item = Utils.createElement('div', 'moon-history-item');
+        item.innerHTML = '<div class="moon-history-q"><strong>Q:</strong> ' + Utils.escapeHTML(question) + '</div>' +
+            '<div class="moon-history-a"><strong>A:</strong> ' + Utils.escapeHTML(answer) + '</div>';
+        this._historyList.insertBefore(item, this._historyList.firstChild);
+    };
+
+    // ============================================================
+    // WIDGET 4: PERSON TRACKER
+    // ============================================================
+    /**
+     * PersonTrackerWidget - Detect and track people with bounding boxes.
+     *
+     * Specialized detection for people with multiple detection modes
+     * for different use cases.
+     *
+     * Features:
+     * - Detection modes: All People, Face Only, Hands
+     * - Color-coded bounding boxes
+     * - Single-shot and continuous tracking modes
+     * - Person count display
+     *
+     * API used: /detect endpoint with mode-specific queries
+     *
+     * @extends WidgetBase
+     */
+    function PersonTrackerWidget() {
+        WidgetBase.call(this,
+            'person-tracker',
+            'Person Tracker',
+            '👤',
+            'Track and locate people in your scene with bounding boxes. Useful for broadcast framing, security, and attendance.'
+        );
+    }
+    PersonTrackerWidget.prototype = Object.create(WidgetBase.prototype);
+
+    PersonTrackerWidget.prototype.render = function() {
+        var self = this;
+
+        var header = Utils.createElement('div', 'moon-widget-header');
+        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
+            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
+            '<p class="moon-widget-desc">' + this.description + '</p>';
+        this.rootEl.appendChild(header);
+
+        var body = Utils.createElement('div', 'moon-widget-body');
+        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
+
+        var leftCol = Utils.createElement('div', 'moon-col');
+        leftCol.appendChild(this.createMediaSection());
+        grid.appendChild(leftCol);
+
+        var rightCol = Utils.createElement('div', 'moon-col');
+
+        // Detection mode selector
+        var modeGroup = Utils.createElement('div', 'moon-input-group');
+        modeGroup.innerHTML = '<label class="moon-label">Detection Mode:</label>';
+
+        var modeSelect = Utils.createElement('select', 'moon-select');
+        modeSelect.innerHTML = '<option value="face">Faces Only</option>' +
+            '<option value="person">Full Body</option>' +
+            '<option value="hand">Hands</option>';
+        modeGroup.appendChild(modeSelect);
+        rightCol.appendChild(modeGroup);
+
+        // Actions
+        var actions = Utils.createElement('div', 'moon-actions', { 'data-capability': 'detect' });
+
+        var detectBtn = Utils.createElement('button', 'moon-btn moon-btn-primary moon-btn-lg moon-btn-action', {
+            textContent: 'Track People'
+        });
+        detectBtn.onclick = function() {
+            self.ensureApiKey(function() { self.track(); });
+        };
+        actions.appendChild(detectBtn);
+
+        var continuousBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-continuous', {
+            textContent: '▶ Live Track'
+        });
+        continuousBtn.onclick = function() {
+            self.toggleContinuous(continuousBtn);
+        };
+        actions.appendChild(continuousBtn);
+
+        rightCol.appendChild(actions);
+
+        // Count display
+        var countDisplay = Utils.createElement('div', 'moon-count-display moon-person-count');
+        countDisplay.innerHTML = '<div class="moon-count-number">0</div>' +
+            '<div class="moon-count-label">people in frame</div>';
+        rightCol.appendChild(countDisplay);
+
+        // Person list
+        var results = Utils.createElement('div', 'moon-results');
+        results.innerHTML = '<div class="moon-results-list moon-person-list"></div>';
+        rightCol.appendChild(results);
+
+        grid.appendChild(rightCol);
+        body.appendChild(grid);
+        this.rootEl.appendChild(body);
+
+        this._modeSelect = modeSelect;
+        this._countDisplay = countDisplay;
+        this._personList = results.querySelector('.moon-person-list');
+    };
+
+    PersonTrackerWidget.prototype.track = function() {
+        var self = this;
+        var frame = this.getCurrentFrame();
+        var mode = this._modeSelect.value;
+
+        if (!frame) {
+            this.showError('Please start webcam or upload an image first');
+            return;
+        }
+
+        this.hideError();
+        this.setLoading(true, 'Tracking...');
+
+        var priority = this._continuousInterval ? 'continuous' : 'interactive';
+        ApiClient.detect(frame, mode, this.requestOptions(priority, 'detect')).then(function(response) {
+            self.setLoading(false);
+            self.displayPeople(response.objects || [], mode);
+        }).catch(function(err) {
+            if (ApiClient.isAbort(err)) return;
+            self.setLoading(false);
+            self.showError(err.message, err);
+        });
+    };
+
+    PersonTrackerWidget.prototype.displayPeople = function(objects, mode) {
+        this.clearOverlay();
+
+        var numberEl = this._countDisplay.querySelector('.moon-count-number');
+        var labelEl = this._countDisplay.querySelector('.moon-count-label');
+
+        numberEl.textContent = objects.length;
+        labelEl.textContent = mode + (objects.length === 1 ? '' : 's') + ' detected';
+
+        this._personList.innerHTML = '';
+
+        if (objects.length === 0) {
+            this._personList.innerHTML = '<p class="moon-no-results">No people detected</p>';
+            return;
+        }
+
+        var ctx = this.overlayCtx;
+        var w = this.overlayCanvas.width;
+        var h = this.overlayCanvas.height;
+
+        objects.forEach(function(obj, index) {
+            var color = CONFIG.colors.person;
+            var label = mode + ' ' + (index + 1);
+
+            CanvasUtils.drawBoundingBox(ctx, obj, color, label, w, h);
+
+            // Calculate position info
+            var centerX = (obj.x_min + obj.x_max) / 2;
+
+            var position = '';
+            if (centerX < 0.33) position = 'left';
+            else if (centerX > 0.66) position = 'right';
+            else position = 'center';
+
+            var item = Utils.createElement('div', 'moon-result-item');
+            item.innerHTML = '<span class="moon-result-color" style="background:' + color + '"></span>' +
+                '<span class="moon-result-label">' + label + '</span>' +
+                '<span class="moon-result-position">' + position + ' third</span>';
+            this._personList.appendChild(item);
+        }.bind(this));
+
+        // Rule of thirds overlay
+        this.drawRuleOfThirds();
+    };
+
+    PersonTrackerWidget.prototype.drawRuleOfThirds = function() {
+        var ctx = this.overlayCtx;
+        var w = this.overlayCanvas.width;
+        var h = this.overlayCanvas.height;
+
+        ctx.strokeStyle = 'rgba(255,255,255,0.3)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([5, 5]);
+
+        // Vertical lines
+        ctx.beginPath();
+        ctx.moveTo(w / 3, 0);
+        ctx.lineTo(w / 3, h);
+        ctx.moveTo(2 * w / 3, 0);
+        ctx.lineTo(2 * w / 3, h);
+
+        // Horizontal lines
+        ctx.moveTo(0, h / 3);
+        ctx.lineTo(w, h / 3);
+        ctx.moveTo(0, 2 * h / 3);
+        ctx.lineTo(w, 2 * h / 3);
+
+        ctx.stroke();
+        ctx.setLineDash([]);
+    };
+
+    PersonTrackerWidget.prototype.toggleContinuous = function(btn) {
+        var self = this;
+        if (this._continuousInterval) {
+            this.stopContinuous();
+            btn.textContent = '▶ Live Track';
+            btn.classList.remove('moon-btn-active');
+        } else {
+            if (!this.hasLiveSource()) {
+                this.showError('Start webcam or open a video for live tracking');
+                return;
+            }
+            btn.textContent = '■ Stop';
+            btn.classList.add('moon-btn-active');
+            this.startContinuous(function() {
+                self.track();
+            }, 1000);
+        }
+    };
+
+    // ============================================================
+    // WIDGET 5: ZONE MONITOR
+    // ============================================================
+    /**
+     * ZoneMonitorWidget - Custom zone drawing with entry detection.
+     *
+     * Draw polygonal zones on the video feed and monitor when
+     * specified objects enter those zones. Triggers alerts.
+     *
+     * Features:
+     * - Click-to-draw polygon zones
+     * - Multiple zone support with different colors
+     * - Object entry detection (configurable target)
+     * - Visual alerts when objects enter zones
+     * - Zone management (clear, finish)
+     *
+     * Algorithm:
+     * - Uses ray-casting point-in-polygon test
+     * - Checks if detection center point is inside zone polygon
+     *
+     * API used: /detect endpoint
+     *
+     * @extends WidgetBase
+     */
+    function ZoneMonitorWidget() {
+        WidgetBase.call(this,
+            'zone-monitor',
+            'Zone Monitor',
+            '🚧',
+            'Draw custom zones and detect when objects enter them. Perfect for safety monitoring and restricted area alerts.'
+        );
+        this._zones = [];
+        this._currentZone = [];
+        this._isDrawing = false;
+    }
+    ZoneMonitorWidget.prototype = Object.create(WidgetBase.prototype);
+
+    ZoneMonitorWidget.prototype.render = function() {
+        var self = this;
+
+        var header = Utils.createElement('div', 'moon-widget-header');
+        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
+            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
+            '<p class="moon-widget-desc">' + this.description + '</p>';
+        this.rootEl.appendChild(header);
+
+        var body = Utils.createElement('div', 'moon-widget-body');
+        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
+
+        var leftCol = Utils.createElement('div', 'moon-col');
+        leftCol.appendChild(this.createMediaSection());
+
+        // Drawing instructions
+        var instructions = Utils.createElement('div', 'moon-instructions');
+        instructions.innerHTML = '<p>Click "Draw Zone" then click on the video to create zone corners. Click "Finish Zone" when done.</p>';
+        leftCol.appendChild(instructions);
+
+        grid.appendChild(leftCol);
+
+        var rightCol = Utils.createElement('div', 'moon-col');
+
+        // Zone drawing controls
+        var zoneControls = Utils.createElement('div', 'moon-zone-controls');
+
+        var drawBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-draw', {
+            textContent: 'Draw Zone'
+        });
+        drawBtn.onclick = function() { self.startDrawing(drawBtn); };
+        zoneControls.appendChild(drawBtn);
+
+        var finishBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-finish', {
+            textContent: 'Finish Zone',
+            disabled: 'disabled'
+        });
+        finishBtn.onclick = function() { self.finishZone(); };
+        zoneControls.appendChild(finishBtn);
+
+        var clearZonesBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary', {
+            textContent: 'Clear All Zones'
+        });
+        clearZonesBtn.onclick = function() { self.clearZones(); };
+        zoneControls.appendChild(clearZonesBtn);
 
-            this.modal.appendChild(content);
-            document.body.appendChild(this.modal);
+        rightCol.appendChild(zoneControls);
 
-            var input = content.querySelector('.moon-api-key-input');
-            var saveBtn = content.querySelector('.moon-btn-save-key');
-            var cancelBtn = content.querySelector('.moon-btn-cancel');
-            var showToggle = content.querySelector('.moon-show-key-toggle');
-            var errorMsg = content.querySelector('.moon-input-error-msg');
+        // Detection settings
+        var detectGroup = Utils.createElement('div', 'moon-input-group');
+        detectGroup.innerHTML = '<label class="moon-label">Detect in zones:</label>';
 
-            setTimeout(function() { input.focus(); }, 100);
+        var detectInput = Utils.createElement('input', 'moon-input moon-zone-detect-input', {
+            type: 'text',
+            placeholder: 'e.g., face, person, forklift, vehicle...',
+            value: 'face'
+        });
+        detectGroup.appendChild(detectInput);
+        rightCol.appendChild(detectGroup);
 
-            // Show/hide password toggle
-            showToggle.onchange = function() {
-                input.type = showToggle.checked ? 'text' : 'password';
-            };
+        // Monitor controls
+        var monitorControls = Utils.createElement('div', 'moon-actions', { 'data-capability': 'detect' });
 
-            // Real-time validation feedback
-            input.oninput = function() {
-                input.classList.remove('moon-input-error');
-                errorMsg.style.display = 'none';
-            };
+        var checkBtn = Utils.createElement('button', 'moon-btn moon-btn-primary moon-btn-lg moon-btn-action', {
+            textContent: 'Check Zones'
+        });
+        checkBtn.onclick = function() {
+            self.ensureApiKey(function() { self.checkZones(); });
+        };
+        monitorControls.appendChild(checkBtn);
 
-            saveBtn.onclick = function() { self.validateAndSave(input, saveBtn, errorMsg); };
-            cancelBtn.onclick = function() { self.hide(); };
-            input.onkeypress = function(e) {
-                if (e.key === 'Enter') self.validateAndSave(input, saveBtn, errorMsg);
-            };
-            this.modal.onclick = function(e) {
-                if (e.target === self.modal) self.hide();
-            };
-        },
+        var monitorBtn = Utils.createElement('button', 'moon-btn moon-btn-warning moon-btn-monitor', {
+            textContent: '▶ Start Monitoring'
+        });
+        monitorBtn.onclick = function() { self.toggleMonitoring(monitorBtn); };
+        monitorControls.appendChild(monitorBtn);
 
-        validateAndSave: function(input, saveBtn, errorMsg) {
-            var self = this;
-            var key = input.value.trim();
+        rightCol.appendChild(monitorControls);
 
-            // Basic validation
-            if (!key) {
-                this.showInputError(input, errorMsg, 'Please enter your API key');
-                return;
-            }
+        // Zone list
+        var zoneList = Utils.createElement('div', 'moon-zone-list');
+        zoneList.innerHTML = '<h4>Active Zones</h4><div class="moon-zones"></div>';
+        rightCol.appendChild(zoneList);
 
-            if (key.length < 10) {
-                this.showInputError(input, errorMsg, 'This doesn\'t look like a valid API key. Please check and try again.');
-                return;
-            }
+        // Alert display
+        var alertDisplay = Utils.createElement('div', 'moon-alert-display');
+        alertDisplay.innerHTML = '<h4>Alerts</h4><div class="moon-alerts"></div>';
+        rightCol.appendChild(alertDisplay);
 
-            // Disable button and show loading
-            saveBtn.disabled = true;
-            saveBtn.innerHTML = '<span class="moon-spinner moon-active"></span> Validating...';
+        grid.appendChild(rightCol);
+        body.appendChild(grid);
+        this.rootEl.appendChild(body);
 
-            // Test the API key with a simple request
-            this.testApiKey(key).then(function(valid) {
-                if (valid) {
-                    CONFIG.apiKey = key;
-                    Utils.storeApiKey(key);
-                    self.hide();
-                    if (self.onSuccess) self.onSuccess();
-                } else {
-                    self.showInputError(input, errorMsg, 'This API key doesn\'t appear to be valid. Please check it and try again.');
-                    saveBtn.disabled = false;
-                    saveBtn.textContent = 'Save & Continue';
-                }
-            }).catch(function(err) {
-                // Network error - save anyway and let actual request handle it
-                CONFIG.apiKey = key;
-                Utils.storeApiKey(key);
-                self.hide();
-                if (self.onSuccess) self.onSuccess();
-            });
-        },
+        this._drawBtn = drawBtn;
+        this._finishBtn = finishBtn;
+        this._detectInput = detectInput;
+        this._zoneListEl = zoneList.querySelector('.moon-zones');
+        this._alertsEl = alertDisplay.querySelector('.moon-alerts');
 
-        showInputError: function(input, errorMsg, message) {
-            input.classList.add('moon-input-error');
-            errorMsg.textContent = message;
-            errorMsg.style.display = 'block';
-            input.focus();
-        },
+        // Setup canvas event handlers for drawing
+        this.overlayCanvas.addEventListener('click', function(e) {
+            if (self._isDrawing) {
+                self.addZonePoint(e);
+            }
+        });
 
-        testApiKey: function(key) {
-            return new Promise(function(resolve) {
-                var xhr = new XMLHttpRequest();
-                xhr.open('POST', CONFIG.apiBaseUrl + '/caption', true);
-                xhr.setRequestHeader('Content-Type', 'application/json');
-                xhr.setRequestHeader('X-Moondream-Auth', key);
-                xhr.timeout = 10000;
+        this.overlayCanvas.addEventListener('mousemove', function(e) {
+            if (self._isDrawing) {
+                self.updateDrawingPreview(e);
+            }
+        });
 
-                xhr.onload = function() {
-                    // 401 means invalid key, anything else means key format is ok
-                    resolve(xhr.status !== 401);
-                };
-                xhr.onerror = function() { resolve(true); }; // Network error, assume key is ok
-                xhr.ontimeout = function() { resolve(true); }; // Timeout, assume key is ok
+        this.overlayCanvas.addEventListener('mouseleave', function(e) {
+            if (self._isDrawing) {
+                self._mousePos = null;
+                self.redrawZones();
+            }
+        });
+    };
 
-                // Send minimal test request
-                xhr.send(JSON.stringify({
-                    image_url: 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7',
-                    length: 'short'
-                }));
-            });
-        }
+    ZoneMonitorWidget.prototype.startDrawing = function(btn) {
+        this._isDrawing = true;
+        this._currentZone = [];
+        this._mousePos = null;
+        btn.textContent = 'Click to add points...';
+        btn.classList.add('moon-btn-active');
+        this._finishBtn.disabled = false;
+        this.overlayCanvas.style.pointerEvents = 'auto';
+        this.overlayCanvas.style.cursor = 'crosshair';
+        this.redrawZones();
     };
 
-    // ============================================================
-    // WIDGET BASE
-    // ============================================================
-    /**
-     * WidgetBase - Base class that all widget modules extend.
-     *
-     * This class provides the foundational functionality shared by all 7 widgets:
-     * - Lifecycle management (mount, unmount, render)
-     * - Error handling with friendly messages and recovery actions
-     * - Toast notifications for success/error feedback
-     * - Media section creation (video, canvas, controls)
-     * - Overlay canvas for drawing detections
-     * - Continuous detection mode support
-     *
-     * INHERITANCE PATTERN:
-     * Each widget inherits from WidgetBase using prototype chain:
-     *   function MyWidget() { WidgetBase.call(this, id, label, icon, desc); }
-     *   MyWidget.prototype = Object.create(WidgetBase.prototype);
-     *   MyWidget.prototype.render = function() { ... };
-     *
-     * LIFECYCLE:
-     * 1. Widget instantiated by Dashboard when user clicks card
-     * 2. mount() called with root element → clears content, sets classes
-     * 3. render() called → widget builds its specific UI
-     * 4. User interacts → widget handles detection/analysis
-     * 5. unmount() called when modal closes → cleanup, stop webcam
-     *
-     * KEY PROPERTIES:
-     * @property {string} id          - Unique identifier (e.g., 'object-detector')
-     * @property {string} label       - Display name (e.g., 'Object Detector')
-     * @property {string} icon        - Emoji icon for UI (e.g., '🔍')
-     * @property {string} description - Short description for card/header
-     * @property {HTMLElement} rootEl - Root DOM element for widget content
-     * @property {HTMLCanvasElement} overlayCanvas - Canvas for drawing detections
-     * @property {CanvasRenderingContext2D} overlayCtx - 2D context for drawing
-     *
-     * @constructor
-     * @param {string} id          - Widget unique identifier
-     * @param {string} label       - Widget display name
-     * @param {string} icon        - Widget icon (emoji)
-     * @param {string} description - Widget description
-     */
-    function WidgetBase(id, label, icon, description) {
-        this.id = id;
-        this.label = label;
-        this.icon = icon;
-        this.description = description;
-        this.rootEl = null;
-        this.overlayCanvas = null;
-        this.overlayCtx = null;
-        this._continuousInterval = null;
-    }
+    ZoneMonitorWidget.prototype.updateDrawingPreview = function(e) {
+        var rect = this.overlayCanvas.getBoundingClientRect();
+        // Store as normalized 0-1 coordinates
+        this._mousePos = {
+            x: (e.clientX - rect.left) / rect.width,
+            y: (e.clientY - rect.top) / rect.height
+        };
+        this.redrawZones();
+    };
 
-    /**
-     * Mount the widget into a DOM element.
-     * Called by Dashboard when opening a widget modal.
-     *
-     * @param {HTMLElement} rootEl - Container element to render into
-     * @param {object} context     - Dashboard context with shared methods
-     */
-    WidgetBase.prototype.mount = function(rootEl, context) {
-        this.rootEl = rootEl;
-        this.context = context;
-        rootEl.innerHTML = '';
-        // Preserve existing classes (like moon-widget-modal-body) when mounting in modal
-        var existingClasses = rootEl.className;
-        rootEl.className = existingClasses + ' moon-widget moon-widget-' + this.id;
-        this.render();
+    ZoneMonitorWidget.prototype.addZonePoint = function(e) {
+        var rect = this.overlayCanvas.getBoundingClientRect();
+        // Store as normalized 0-1 coordinates
+        var x = (e.clientX - rect.left) / rect.width;
+        var y = (e.clientY - rect.top) / rect.height;
+
+        this._currentZone.push({ x: x, y: y });
+        this.redrawZones();
     };
 
-    /**
-     * Cleanup and remove the widget.
-     * Called by Dashboard when closing the modal.
-     * Stops webcam, clears intervals, removes DOM content.
-     */
-    WidgetBase.prototype.unmount = function() {
-        this.stopContinuous();
-        MediaCapture.stopWebcam();
-        if (this.rootEl) this.rootEl.innerHTML = '';
-        this.rootEl = null;
+    ZoneMonitorWidget.prototype.finishZone = function() {
+        if (this._currentZone.length < 3) {
+            this.showError('Zone needs at least 3 points');
+            return;
+        }
+
+        var zoneIndex = this._zones.length;
+        this._zones.push({
+            points: this._currentZone.slice(),
+            color: Utils.getColor(zoneIndex),
+            name: 'Zone ' + (zoneIndex + 1)
+        });
+
+        this._currentZone = [];
+        this._mousePos = null;
+        this._isDrawing = false;
+        this._drawBtn.textContent = 'Draw Zone';
+        this._drawBtn.classList.remove('moon-btn-active');
+        this._finishBtn.disabled = true;
+        this.overlayCanvas.style.cursor = 'default';
+        this.overlayCanvas.style.pointerEvents = 'none';
+
+        this.redrawZones();
+        this.updateZoneList();
     };
 
-    /**
-     * Render the widget UI. Override in subclasses.
-     * This is where each widget builds its specific interface.
-     * @abstract
-     */
-    WidgetBase.prototype.render = function() {};
+    ZoneMonitorWidget.prototype.clearZones = function() {
+        this._zones = [];
+        this._currentZone = [];
+        this._mousePos = null;
+        this._isDrawing = false;
+        this._drawBtn.textContent = 'Draw Zone';
+        this._drawBtn.classList.remove('moon-btn-active');
+        this._finishBtn.disabled = true;
+        this.overlayCanvas.style.pointerEvents = 'none';
+        this.clearOverlay();
+        this.updateZoneList();
+        this._alertsEl.innerHTML = '';
+    };
 
-    /**
-     * Display an error to the user.
-     * Critical errors (API key, permissions) show inline banners with recovery actions.
-     * Non-critical errors show as toast notifications.
-     *
-     * @param {string} message - Error message to display
-     * @param {Error} error    - Optional error object for smart message conversion
-     */
-    WidgetBase.prototype.showError = function(message, error) {
+    ZoneMonitorWidget.prototype.redrawZones = function() {
+        this.clearOverlay();
+        var ctx = this.overlayCtx;
+        var w = this.overlayCanvas.width;
+        var h = this.overlayCanvas.height;
         var self = this;
-        var friendlyMessage = error ? ErrorHelper.getFriendlyMessage(error) : message;
-        var recovery = error ? ErrorHelper.getRecoveryAction(error) : null;
 
-        // Use inline banner for critical errors, toast for others
-        var isCritical = friendlyMessage.toLowerCase().includes('api key') ||
-                        friendlyMessage.toLowerCase().includes('permission');
+        // Helper to convert normalized coords to canvas pixels
+        function toPixel(point) {
+            return { x: point.x * w, y: point.y * h };
+        }
 
-        if (isCritical) {
-            // Show inline banner for critical errors that need action
-            var errorEl = this.rootEl.querySelector('.moon-error-banner');
-            if (!errorEl) {
-                errorEl = Utils.createElement('div', 'moon-error-banner');
-                var header = this.rootEl.querySelector('.moon-widget-header');
-                if (header && header.nextSibling) {
-                    header.parentNode.insertBefore(errorEl, header.nextSibling);
+        // Draw completed zones (convert normalized to pixels)
+        this._zones.forEach(function(zone) {
+            var pixelPoints = zone.points.map(toPixel);
+            CanvasUtils.drawZone(ctx, pixelPoints, zone.color, zone.name, false);
+        });
+
+        // Draw current zone being drawn
+        if (this._isDrawing) {
+            var zoneColor = CONFIG.colors.zone;
+
+            // Draw existing points with visible markers
+            this._currentZone.forEach(function(point, i) {
+                var px = toPixel(point);
+
+                // Outer ring
+                ctx.beginPath();
+                ctx.arc(px.x, px.y, 10, 0, Math.PI * 2);
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                ctx.fill();
+
+                // Inner filled circle
+                ctx.beginPath();
+                ctx.arc(px.x, px.y, 7, 0, Math.PI * 2);
+                ctx.fillStyle = zoneColor;
+                ctx.fill();
+
+                // Point number
+                ctx.fillStyle = '#000';
+                ctx.font = 'bold 10px system-ui, sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText((i + 1).toString(), px.x, px.y);
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'alphabetic';
+            });
+
+            // Draw solid lines between placed points
+            if (this._currentZone.length > 1) {
+                ctx.beginPath();
+                var first = toPixel(this._currentZone[0]);
+                ctx.moveTo(first.x, first.y);
+                for (var i = 1; i < this._currentZone.length; i++) {
+                    var pt = toPixel(this._currentZone[i]);
+                    ctx.lineTo(pt.x, pt.y);
                 }
+                ctx.strokeStyle = zoneColor;
+                ctx.lineWidth = 3;
+                ctx.stroke();
             }
 
-            var content = '<span class="moon-error-message">' + Utils.escapeHTML(friendlyMessage) + '</span>';
-            if (recovery) {
-                content += '<button class="moon-btn moon-btn-sm moon-error-action" data-action="' + recovery.action + '">' + recovery.text + '</button>';
-            }
-            content += '<button class="moon-btn moon-btn-sm moon-error-dismiss">×</button>';
-            errorEl.innerHTML = content;
-            errorEl.style.display = 'flex';
+            // Draw preview line from last point to mouse cursor
+            if (this._mousePos && this._currentZone.length > 0) {
+                var lastPx = toPixel(this._currentZone[this._currentZone.length - 1]);
+                var mousePx = toPixel(this._mousePos);
 
-            // Handle recovery actions
-            var actionBtn = errorEl.querySelector('.moon-error-action');
-            if (actionBtn) {
-                actionBtn.onclick = function() {
-                    var action = actionBtn.dataset.action;
-                    if (action === 'showApiKeyModal') {
-                        ApiKeyModal.show(function() { self.hideError(); });
-                    } else if (action === 'showCameraHelp') {
-                        self.showCameraHelp();
-                    }
-                };
-            }
+                // Dashed line to cursor
+                ctx.beginPath();
+                ctx.moveTo(lastPx.x, lastPx.y);
+                ctx.lineTo(mousePx.x, mousePx.y);
+                ctx.strokeStyle = zoneColor;
+                ctx.lineWidth = 2;
+                ctx.setLineDash([8, 4]);
+                ctx.stroke();
+                ctx.setLineDash([]);
 
-            var dismissBtn = errorEl.querySelector('.moon-error-dismiss');
-            if (dismissBtn) {
-                dismissBtn.onclick = function() { self.hideError(); };
-            }
+                // Show closing line preview (to first point) if we have 2+ points
+                if (this._currentZone.length >= 2) {
+                    var firstPx = toPixel(this._currentZone[0]);
+                    ctx.beginPath();
+                    ctx.moveTo(mousePx.x, mousePx.y);
+                    ctx.lineTo(firstPx.x, firstPx.y);
+                    ctx.strokeStyle = 'rgba(255, 217, 61, 0.3)';
+                    ctx.lineWidth = 2;
+                    ctx.setLineDash([4, 4]);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                }
 
-            // Auto-show API key modal
-            if (friendlyMessage.toLowerCase().includes('api key')) {
-                ApiKeyModal.show(function() { self.hideError(); });
+                // Cursor dot
+                ctx.beginPath();
+                ctx.arc(mousePx.x, mousePx.y, 5, 0, Math.PI * 2);
+                ctx.fillStyle = zoneColor;
+                ctx.fill();
+                ctx.strokeStyle = '#fff';
+                ctx.lineWidth = 2;
+                ctx.stroke();
             }
-        } else {
-            // Use toast for non-critical errors (no layout shift)
-            this.showToast(friendlyMessage, 'error');
         }
     };
 
-    WidgetBase.prototype.showCameraHelp = function() {
-        var helpModal = Utils.createElement('div', 'moon-modal-overlay');
-        var content = Utils.createElement('div', 'moon-modal');
-        content.innerHTML =
-            '<div class="moon-modal-header">' +
-                '<span class="moon-modal-icon">📷</span>' +
-                '<h2>Enable Camera Access</h2>' +
-            '</div>' +
-            '<div class="moon-modal-body">' +
-                '<p class="moon-modal-desc">To use your webcam with these demos, you\'ll need to allow camera access in your browser.</p>' +
-                '<div class="moon-modal-steps">' +
-                    '<div class="moon-modal-step">' +
-                        '<span class="moon-step-num">1</span>' +
-                        '<span>Click the camera/lock icon in your browser\'s address bar</span>' +
-                    '</div>' +
-                    '<div class="moon-modal-step">' +
-                        '<span class="moon-step-num">2</span>' +
-                        '<span>Select "Allow" for camera permissions</span>' +
-                    '</div>' +
-                    '<div class="moon-modal-step">' +
-                        '<span class="moon-step-num">3</span>' +
-                        '<span>Refresh this page and try again</span>' +
-                    '</div>' +
-                '</div>' +
-                '<p class="moon-modal-help">Alternatively, you can upload an image instead of using your webcam.</p>' +
-            '</div>' +
-            '<div class="moon-modal-footer">' +
-                '<button class="moon-btn moon-btn-primary moon-btn-close">Got it</button>' +
-            '</div>';
+    ZoneMonitorWidget.prototype.updateZoneList = function() {
+        var self = this;
+        this._zoneListEl.innerHTML = '';
 
-        helpModal.appendChild(content);
-        document.body.appendChild(helpModal);
+        if (this._zones.length === 0) {
+            this._zoneListEl.innerHTML = '<p class="moon-no-zones">No zones defined. Click "Draw Zone" to create one.</p>';
+            return;
+        }
 
-        content.querySelector('.moon-btn-close').onclick = function() {
-            document.body.removeChild(helpModal);
-        };
-        helpModal.onclick = function(e) {
-            if (e.target === helpModal) document.body.removeChild(helpModal);
-        };
+        this._zones.forEach(function(zone, index) {
+            var item = Utils.createElement('div', 'moon-zone-item');
+            item.innerHTML = '<span class="moon-zone-color" style="background:' + zone.color + '"></span>' +
+                '<span class="moon-zone-name">' + zone.name + '</span>' +
+                '<button class="moon-btn moon-btn-sm moon-btn-delete">×</button>';
+
+            item.querySelector('.moon-btn-delete').onclick = function() {
+                self._zones.splice(index, 1);
+                self.redrawZones();
+                self.updateZoneList();
+            };
+
+            self._zoneListEl.appendChild(item);
+        });
     };
 
-    /** Hide any visible error banner. */
-    WidgetBase.prototype.hideError = function() {
-        var errorEl = this.rootEl.querySelector('.moon-error-banner');
-        if (errorEl) errorEl.style.display = 'none';
+    ZoneMonitorWidget.prototype.checkZones = function() {
+        var self = this;
+        var frame = this.getCurrentFrame();
+        var objectName = this._detectInput.value.trim();
+
+        if (!frame) {
+            this.showError('Please start webcam or upload an image first');
+            return;
+        }
+        if (this._zones.length === 0) {
+            this.showError('Please draw at least one zone first');
+            return;
+        }
+        if (!objectName) {
+            this.showError('Please enter what to detect');
+            return;
+        }
+
+        this.hideError();
+        this.setLoading(true, 'Checking...');
+
+        var priority = this._continuousInterval ? 'continuous' : 'interactive';
+        ApiClient.detect(frame, objectName, this.requestOptions(priority, 'zones')).then(function(response) {
+            self.setLoading(false);
+            self.analyzeZoneIntrusions(response.objects || [], objectName);
+        }).catch(function(err) {
+            if (ApiClient.isAbort(err)) return;
+            self.setLoading(false);
+            self.showError(err.message, err);
+        });
     };
 
-    /**
-     * Show a toast notification that auto-dismisses.
-     * @param {string} message - Message to display
-     * @param {string} type    - 'info', 'success', or 'error'
-     */
-    WidgetBase.prototype.showToast = function(message, type) {
-        type = type || 'info';
-        var toast = Utils.createElement('div', 'moon-toast moon-toast-' + type);
-        toast.innerHTML = '<span class="moon-toast-message">' + Utils.escapeHTML(message) + '</span>';
+    ZoneMonitorWidget.prototype.analyzeZoneIntrusions = function(objects, objectName) {
+        var self = this;
+        this.redrawZones();
 
-        // Add to page
-        var container = document.querySelector('.moon-toast-container');
-        if (!container) {
-            container = Utils.createElement('div', 'moon-toast-container');
-            document.body.appendChild(container);
+        var ctx = this.overlayCtx;
+        var w = this.overlayCanvas.width;
+        var h = this.overlayCanvas.height;
+
+        // Helper to convert normalized coords to canvas pixels
+        function toPixel(point) {
+            return { x: point.x * w, y: point.y * h };
         }
-        container.appendChild(toast);
 
-        // Animate in
-        setTimeout(function() { toast.classList.add('moon-toast-visible'); }, 10);
+        this._alertsEl.innerHTML = '';
+        var alerts = [];
 
-        // Auto remove after 3 seconds
-        setTimeout(function() {
-            toast.classList.remove('moon-toast-visible');
-            setTimeout(function() {
-                if (toast.parentNode) toast.parentNode.removeChild(toast);
-            }, 300);
-        }, 3000);
-    };
+        // Draw detected objects and check zone intrusions
+        objects.forEach(function(obj, objIndex) {
+            // Object center in normalized coordinates (API returns 0-1)
+            var objCenterNorm = {
+                x: (obj.x_min + obj.x_max) / 2,
+                y: (obj.y_min + obj.y_max) / 2
+            };
 
-    /** Show a success toast notification. */
-    WidgetBase.prototype.showSuccess = function(message) {
-        this.showToast(message, 'success');
-    };
+            var inZone = false;
+            var zoneName = '';
 
-    /**
-     * Toggle loading state on the primary action button.
-     * Shows spinner and custom message while processing.
-     *
-     * @param {boolean} isLoading - True to show loading, false to restore
-     * @param {string} message    - Optional loading message (default: 'Processing...')
-     */
-    WidgetBase.prototype.setLoading = function(isLoading, message) {
-        var btn = this.rootEl.querySelector('.moon-btn-action');
-        if (btn) {
-            btn.disabled = isLoading;
-            if (isLoading) {
-                btn.dataset.originalText = btn.textContent;
-                btn.innerHTML = '<span class="moon-spinner moon-active"></span> ' + (message || 'Processing...');
-            } else if (btn.dataset.originalText) {
-                btn.textContent = btn.dataset.originalText;
+            // Check each zone (zone points are in normalized 0-1 coordinates)
+            self._zones.forEach(function(zone) {
+                if (CanvasUtils.pointInPolygon(objCenterNorm, zone.points)) {
+                    inZone = true;
+                    zoneName = zone.name;
+
+                    // Highlight the zone (convert to pixels for drawing)
+                    var pixelPoints = zone.points.map(toPixel);
+                    CanvasUtils.drawZone(ctx, pixelPoints, CONFIG.colors.error, zone.name + ' - ALERT!', true);
+                }
+            });
+
+            // Draw object bounding box
+            var color = inZone ? CONFIG.colors.error : CONFIG.colors.detect;
+            CanvasUtils.drawBoundingBox(ctx, obj, color, objectName + ' ' + (objIndex + 1), w, h);
+
+            if (inZone) {
+                alerts.push(objectName + ' detected in ' + zoneName);
             }
+        });
+
+        // Display alerts
+        if (alerts.length > 0) {
+            alerts.forEach(function(alert) {
+                var alertEl = Utils.createElement('div', 'moon-alert-item moon-alert-danger');
+                alertEl.innerHTML = '⚠️ ' + Utils.escapeHTML(alert);
+                self._alertsEl.appendChild(alertEl);
+            });
+        } else if (objects.length > 0) {
+            var safeEl = Utils.createElement('div', 'moon-alert-item moon-alert-safe');
+            safeEl.innerHTML = '✓ ' + objects.length + ' ' + objectName + '(s) detected - none in restricted zones';
+            this._alertsEl.appendChild(safeEl);
+        } else {
+            var noneEl = Utils.createElement('div', 'moon-alert-item');
+            noneEl.innerHTML = 'No ' + objectName + ' detected in scene';
+            this._alertsEl.appendChild(noneEl);
         }
     };
 
-    /**
-     * Ensure API key is set before executing callback.
-     * Shows API key modal if not configured, then calls callback.
-     *
-     * @param {function} callback - Function to call once API key is available
-     */
-    WidgetBase.prototype.ensureApiKey = function(callback) {
-        if (ApiClient.hasApiKey()) {
-            callback();
+    ZoneMonitorWidget.prototype.toggleMonitoring = function(btn) {
+        var self = this;
+        if (this._continuousInterval) {
+            this.stopContinuous();
+            btn.textContent = '▶ Start Monitoring';
+            btn.classList.remove('moon-btn-active');
         } else {
-            ApiKeyModal.show(callback);
+            if (!this.hasLiveSource()) {
+                this.showError('Start webcam or open a video for monitoring');
+                return;
+            }
+            if (this._zones.length === 0) {
+                this.showError('Draw at least one zone first');
+                return;
+            }
+            btn.textContent = '■ Stop Monitoring';
+            btn.classList.add('moon-btn-active');
+            this.startContinuous(function() {
+                self.checkZones();
+            }, 2000);
         }
     };
 
+    // ============================================================
+    // WIDGET 6: PRODUCTION MONITOR (ShotSquire-style)
+    // ============================================================
     /**
-     * Create the standard media section with video, canvas, and controls.
-     * This is the core UI component used by most widgets.
+     * ProductionMonitorWidget - Comprehensive video production quality dashboard.
      *
-     * Creates:
-     * - Video element for webcam feed
-     * - Overlay canvas for drawing detections
-     * - Image canvas for uploaded images
-     * - Placeholder when no media active
-     * - Camera selector dropdown (shown when multiple cameras)
-     * - Resolution selector dropdown
-     * - Start/Stop Webcam button
-     * - Upload Image button with file input
+     * Combines traditional computer vision (MediaPipe, OpenCV) with MoonDream's
+     * visual reasoning for a hybrid approach to shot quality analysis.
      *
-     * @param {object} options - Configuration options (reserved for future use)
-     * @returns {HTMLElement}  - The media section container element
+     * MONITORS (7 total):
+     * | Monitor     | Source     | What It Checks                    |
+     * |-------------|------------|-----------------------------------|
+     * | Orientation | MediaPipe  | Is subject facing camera?         |
+     * | Talking     | MediaPipe  | Is subject speaking?              |
+     * | Focus       | Canvas     | Is image sharp (Laplacian)?       |
+     * | Lighting    | Canvas     | Is scene properly exposed?        |
+     * | Presence    | MoonDream  | Is a face detected in frame?      |
+     * | Composition | MoonDream  | Is subject well-framed?           |
+     * | Scene       | MoonDream  | AI description of what's happening|
+     *
+     * Status Colors:
+     * - Green (good): Optimal conditions
+     * - Yellow (warning): Suboptimal but acceptable
+     * - Red (problem): Needs attention
+     *
+     * Features:
+     * - Real-time status cards with visual indicators
+     * - Click to toggle individual monitors
+     * - Scene description with AI analysis
+     * - Adjustable monitoring interval
+     *
+     * External libraries:
+     * - MediaPipe Face Mesh (loaded dynamically)
+     *
+     * @extends WidgetBase
      */
-    WidgetBase.prototype.createMediaSection = function(options) {
-        var self = this;
-        options = options || {};
+    function ProductionMonitorWidget() {
+        WidgetBase.call(this,
+            'production-monitor',
+            'Production Monitor',
+            '🎥',
+            'Real-time production quality monitoring combining client-side CV with MoonDream visual reasoning.'
+        );
+        this._monitors = {
+            orientation: { enabled: true, status: 'N/A', class: 'disabled' },
+            talking: { enabled: true, status: 'N/A', class: 'disabled' },
+            focus: { enabled: true, status: 'N/A', class: 'disabled' },
+            lighting: { enabled: true, status: 'N/A', class: 'disabled' },
+            presence: { enabled: true, status: 'N/A', class: 'disabled' },
+            composition: { enabled: true, status: 'N/A', class: 'disabled' },
+            sceneContext: { enabled: true, status: 'N/A', class: 'disabled' }
+        };
+        this._faceMesh = null;
+        this._cvReady = false;
+        this._isMonitoring = false;
+        this._monitorInterval = null;
+        this._landmarkHistory = [];
+        this._talkingState = { isTalking: false, lastChange: Date.now() };
+        this._lastMoonDreamCall = 0;
+        this._captionStream = null;     // createStreamView() while a scene caption streams in
+    }
+    ProductionMonitorWidget.prototype = Object.create(WidgetBase.prototype);
 
-        var container = Utils.createElement('div', 'moon-media-section');
+    ProductionMonitorWidget.prototype.render = function() {
+        var self = this;
 
-        // Video container with overlay canvas
-        var videoContainer = Utils.createElement('div', 'moon-video-container');
+        var header = Utils.createElement('div', 'moon-widget-header');
+        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
+            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
+            '<p class="moon-widget-desc">' + this.description + '</p>';
+        this.rootEl.appendChild(header);
 
-        var video = Utils.createElement('video', 'moon-video', {
-            autoplay: '', playsinline: '', muted: ''
-        });
-        video.id = Utils.uniqueId('video');
-        videoContainer.appendChild(video);
+        var body = Utils.createElement('div', 'moon-widget-body');
+        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
 
-        // Overlay canvas for drawing detections
-        var overlay = Utils.createElement('canvas', 'moon-overlay-canvas');
-        videoContainer.appendChild(overlay);
+        // Left column - media
+        var leftCol = Utils.createElement('div', 'moon-col');
+        leftCol.appendChild(this.createMediaSection());
 
-        // Image display canvas (for uploaded images)
-        var imageCanvas = Utils.createElement('canvas', 'moon-image-canvas');
-        imageCanvas.style.display = 'none';
-        videoContainer.appendChild(imageCanvas);
+        // Monitor controls
+        var controlsSection = Utils.createElement('div', 'moon-section');
+        var startBtn = Utils.createElement('button', 'moon-btn moon-btn-primary moon-btn-lg moon-btn-action moon-monitor-start', {
+            textContent: '▶ Start Monitoring'
+        });
+        startBtn.onclick = function() {
+            self.ensureApiKey(function() { self.toggleMonitoring(); });
+        };
+        controlsSection.appendChild(startBtn);
 
-        var placeholder = Utils.createElement('div', 'moon-video-placeholder');
-        placeholder.innerHTML = '<div class="moon-placeholder-content">' +
-            '<span class="moon-placeholder-icon">📷</span>' +
-            '<span class="moon-placeholder-text">Start webcam or upload an image to begin</span>' +
-            '<span class="moon-placeholder-hint">' + Strings.help.webcamTip + '</span>' +
-            '</div>';
-        videoContainer.appendChild(placeholder);
+        var statusText = Utils.createElement('div', 'moon-monitor-status-text');
+        statusText.textContent = 'Click monitors to enable/disable. Start monitoring to begin analysis.';
+        controlsSection.appendChild(statusText);
 
-        container.appendChild(videoContainer);
+        leftCol.appendChild(controlsSection);
+        grid.appendChild(leftCol);
 
-        // Controls
-        var controls = Utils.createElement('div', 'moon-media-controls');
+        // Right column - status cards
+        var rightCol = Utils.createElement('div', 'moon-col');
 
-        // Camera selector (populated when cameras are enumerated)
-        var cameraSelect = Utils.createElement('select', 'moon-select moon-camera-select');
-        cameraSelect.disabled = true;
-        var defaultCameraOption = document.createElement('option');
-        defaultCameraOption.value = '';
-        defaultCameraOption.textContent = 'Select Camera...';
-        cameraSelect.appendChild(defaultCameraOption);
+        // Status cards grid
+        var cardsGrid = Utils.createElement('div', 'moon-status-cards');
 
-        cameraSelect.onchange = function() {
-            var deviceId = cameraSelect.value;
-            if (!deviceId || !MediaCapture.stream) return;
-
-            cameraSelect.disabled = true;
-            resolutionSelect.disabled = true;
-            MediaCapture.changeCamera(video, deviceId).then(function() {
-                cameraSelect.disabled = false;
-                self._syncOverlaySize();
-
-                // Update resolution dropdown for new camera
-                MediaCapture.getSupportedResolutions().then(function(resolutions) {
-                    if (resolutions.length > 0) {
-                        resolutionSelect.innerHTML = '';
-                        var currentRes = MediaCapture.currentResolution;
-
-                        resolutions.forEach(function(res, index) {
-                            var option = document.createElement('option');
-                            option.value = index;
-                            option.textContent = res.label;
-                            if (currentRes && res.width === currentRes.width && res.height === currentRes.height) {
-                                option.selected = true;
-                            }
-                            resolutionSelect.appendChild(option);
-                        });
-                        resolutionSelect.disabled = false;
-                    }
-                });
-            }).catch(function(err) {
-                cameraSelect.disabled = false;
-                resolutionSelect.disabled = false;
-                self.showError('Could not switch camera: ' + err.message);
-            });
-        };
+        var monitorConfig = [
+            { key: 'orientation', label: 'Orientation', icon: '📐', source: 'MediaPipe' },
+            { key: 'talking', label: 'Talking', icon: '🗣️', source: 'MediaPipe' },
+            { key: 'focus', label: 'Focus', icon: '🎯', source: 'OpenCV' },
+            { key: 'lighting', label: 'Lighting', icon: '💡', source: 'Canvas' },
+            { key: 'presence', label: 'Presence', icon: '👁️', source: 'MoonDream', capability: 'detect' },
+            { key: 'composition', label: 'Composition', icon: '🖼️', source: 'MoonDream', capability: 'detect' },
+            { key: 'sceneContext', label: 'Scene Context', icon: '🎬', source: 'MoonDream', capability: 'caption' }
+        ];
 
-        // Resolution selector (visible but disabled until webcam starts)
-        var resolutionSelect = Utils.createElement('select', 'moon-select moon-resolution-select');
-        resolutionSelect.disabled = true;
-        // Pre-populate with standard resolutions
-        MediaCapture.standardResolutions.forEach(function(res, index) {
-            var option = document.createElement('option');
-            option.value = index;
-            option.textContent = res.label;
-            resolutionSelect.appendChild(option);
+        monitorConfig.forEach(function(config) {
+            var card = Utils.createElement('div', 'moon-status-card moon-status-disabled');
+            card.dataset.monitor = config.key;
+            if (config.capability) card.setAttribute('data-capability', config.capability);
+            card.innerHTML =
+                '<div class="moon-status-card-header">' +
+                    '<span class="moon-status-icon">' + config.icon + '</span>' +
+                    '<span class="moon-status-label">' + config.label + '</span>' +
+                    '<span class="moon-status-source">' + config.source + '</span>' +
+                '</div>' +
+                '<div class="moon-status-value">N/A</div>';
+            card.onclick = function() { self.toggleMonitor(config.key); };
+            cardsGrid.appendChild(card);
+            self._monitors[config.key].element = card;
         });
-        resolutionSelect.onchange = function() {
-            var selectedIndex = resolutionSelect.selectedIndex;
-            if (selectedIndex < 0) return;
 
-            var resolutions = MediaCapture.supportedResolutions;
-            var resolution = resolutions[selectedIndex];
+        rightCol.appendChild(cardsGrid);
 
-            if (resolution && MediaCapture.stream) {
-                resolutionSelect.disabled = true;
-                MediaCapture.changeResolution(video, resolution).then(function() {
-                    resolutionSelect.disabled = false;
-                    self._syncOverlaySize();
-                }).catch(function(err) {
-                    resolutionSelect.disabled = false;
-                    self.showError('Could not change resolution: ' + err.message);
-                });
-            }
-        };
+        // Scene description area
+        var sceneSection = Utils.createElement('div', 'moon-section moon-scene-description', { 'data-capability': 'caption' });
+        sceneSection.innerHTML = '<h4>Scene Description</h4>' +
+            '<div class="moon-scene-text">Start monitoring to see AI scene analysis...</div>';
+        rightCol.appendChild(sceneSection);
 
-        if (MediaCapture.isWebcamSupported()) {
-            var webcamBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-webcam', {
-                textContent: Strings.common.startWebcam
-            });
-            webcamBtn.onclick = function() {
-                if (MediaCapture.stream) {
-                    MediaCapture.stopWebcam();
-                    webcamBtn.textContent = Strings.common.startWebcam;
-                    webcamBtn.classList.remove('moon-btn-active');
-                    video.style.display = 'none';
-                    placeholder.style.display = 'flex';
-                    resolutionSelect.disabled = true;
-                    cameraSelect.disabled = true;
-                    self.clearOverlay();
-                } else {
-                    MediaCapture.startWebcam(video).then(function() {
-                        webcamBtn.textContent = Strings.common.stopWebcam;
-                        webcamBtn.classList.add('moon-btn-active');
-                        video.style.display = 'block';
-                        imageCanvas.style.display = 'none';
-                        placeholder.style.display = 'none';
-                        self.hideError();
-                        self._syncOverlaySize();
-
-                        // Enumerate cameras and populate dropdown
-                        MediaCapture.getCameras().then(function(cameras) {
-                            if (cameras.length > 1) {
-                                cameraSelect.innerHTML = '';
-                                cameras.forEach(function(cam) {
-                                    var option = document.createElement('option');
-                                    option.value = cam.deviceId;
-                                    option.textContent = cam.label;
-                                    // Select current camera
-                                    if (MediaCapture.currentDeviceId === cam.deviceId) {
-                                        option.selected = true;
-                                    }
-                                    cameraSelect.appendChild(option);
-                                });
-                                cameraSelect.disabled = false;
-                            } else {
-                                // Only one camera, no need to show selector
-                                cameraSelect.style.display = 'none';
-                            }
-                        });
+        grid.appendChild(rightCol);
+        body.appendChild(grid);
+        this.rootEl.appendChild(body);
 
-                        // Update resolution dropdown with supported resolutions
-                        MediaCapture.getSupportedResolutions().then(function(resolutions) {
-                            if (resolutions.length > 0) {
-                                resolutionSelect.innerHTML = '';
-                                var currentRes = MediaCapture.currentResolution;
-
-                                resolutions.forEach(function(res, index) {
-                                    var option = document.createElement('option');
-                                    option.value = index;
-                                    option.textContent = res.label;
-                                    // Select current resolution
-                                    if (currentRes && res.width === currentRes.width && res.height === currentRes.height) {
-                                        option.selected = true;
-                                    }
-                                    resolutionSelect.appendChild(option);
-                                });
-
-                                resolutionSelect.disabled = false;
-                            }
-                        });
-                    }).catch(function(err) {
-                        self.showError(err.message);
-                    });
+        this._startBtn = startBtn;
+        this._statusText = statusText;
+        this._sceneSection = sceneSection;
+        this._sceneText = sceneSection.querySelector('.moon-scene-text');
+
+        // Initialize CV libraries
+        this.initCV();
+    };
+
+    ProductionMonitorWidget.prototype.initCV = function() {
+        var self = this;
+
+        // Load MediaPipe FaceMesh
+        if (typeof FaceMesh !== 'undefined') {
+            this.setupFaceMesh();
+        } else {
+            // Dynamically load MediaPipe
+            var script1 = document.createElement('script');
+            script1.src = 'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/face_mesh.js';
+            script1.onload = function() {
+                var script2 = document.createElement('script');
+                script2.src = 'https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils/camera_utils.js';
+                script2.onload = function() {
+                    self.setupFaceMesh();
+                };
+                document.head.appendChild(script2);
+            };
+            document.head.appendChild(script1);
+        }
+
+        // Check for OpenCV
+        if (typeof cv !== 'undefined' && cv.Mat) {
+            this._cvReady = true;
+        } else {
+            // Try to load OpenCV
+            var cvScript = document.createElement('script');
+            cvScript.src = 'https://docs.opencv.org/4.x/opencv.js';
+            cvScript.onload = function() {
+                if (typeof cv !== 'undefined') {
+                    cv['onRuntimeInitialized'] = function() {
+                        self._cvReady = true;
+                    };
                 }
             };
-            controls.appendChild(webcamBtn);
-            controls.appendChild(cameraSelect);
-            controls.appendChild(resolutionSelect);
+            document.head.appendChild(cvScript);
         }
+    };
 
-        // File upload
-        var fileInput = Utils.createElement('input', 'moon-file-input', { type: 'file', accept: 'image/*' });
-        fileInput.style.display = 'none';
+    ProductionMonitorWidget.prototype.setupFaceMesh = function() {
+        var self = this;
+        if (typeof FaceMesh === 'undefined') {
+            console.warn('FaceMesh not available');
+            return;
+        }
 
-        var uploadBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary', {
-            textContent: Strings.common.uploadImage
+        this._faceMesh = new FaceMesh({
+            locateFile: function(file) {
+                return 'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/' + file;
+            }
         });
-        uploadBtn.onclick = function() { fileInput.click(); };
 
-        fileInput.onchange = function(e) {
-            var file = e.target.files[0];
-            if (!file) return;
+        this._faceMesh.setOptions({
+            maxNumFaces: 1,
+            refineLandmarks: true,
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        });
 
-            MediaCapture.loadImageFile(file).then(function(dataUrl) {
-                self._currentImage = dataUrl;
-                var img = new Image();
-                img.onload = function() {
-                    // Get container dimensions for scaling
-                    var containerRect = videoContainer.getBoundingClientRect();
-                    var maxWidth = containerRect.width;
-                    var maxHeight = containerRect.height;
+        this._faceMesh.onResults(function(results) {
+            self.processFrameResults(results);
+        });
 
-                    // Calculate scaled dimensions to fit within container
-                    var scale = Math.min(maxWidth / img.width, maxHeight / img.height, 1);
-                    var canvasWidth = Math.floor(img.width * scale);
-                    var canvasHeight = Math.floor(img.height * scale);
+    };
 
-                    // Set canvas to scaled size for display
-                    imageCanvas.width = canvasWidth;
-                    imageCanvas.height = canvasHeight;
-                    imageCanvas.getContext('2d').drawImage(img, 0, 0, canvasWidth, canvasHeight);
-                    imageCanvas.style.display = 'block';
-                    video.style.display = 'none';
-                    placeholder.style.display = 'none';
-                    self._syncOverlaySize();
+    ProductionMonitorWidget.prototype.toggleMonitor = function(key) {
+        var monitor = this._monitors[key];
+        if (!monitor) return;
 
-                    // Stop webcam if running
-                    if (MediaCapture.stream) {
-                        MediaCapture.stopWebcam();
-                        var wcBtn = controls.querySelector('.moon-btn-webcam');
-                        if (wcBtn) {
-                            wcBtn.textContent = Strings.common.startWebcam;
-                            wcBtn.classList.remove('moon-btn-active');
-                        }
-                        var resSelect = controls.querySelector('.moon-resolution-select');
-                        if (resSelect) {
-                            resSelect.disabled = true;
-                        }
-                    }
-                };
-                img.src = dataUrl;
-            }).catch(function(err) {
-                self.showError(err.message);
-            });
-        };
+        monitor.enabled = !monitor.enabled;
+        if (monitor.element) {
+            if (monitor.enabled) {
+                monitor.element.classList.remove('moon-status-off');
+            } else {
+                monitor.element.classList.add('moon-status-off');
+                this.updateMonitorStatus(key, 'OFF', 'disabled');
+            }
+        }
+    };
 
-        controls.appendChild(fileInput);
-        controls.appendChild(uploadBtn);
+    ProductionMonitorWidget.prototype.updateMonitorStatus = function(key, status, statusClass) {
+        var monitor = this._monitors[key];
+        if (!monitor || !monitor.element) return;
 
-        container.appendChild(controls);
+        monitor.status = status;
+        monitor.class = statusClass;
 
-        // Store references
-        this._media = {
-            container: container,
-            videoContainer: videoContainer,
-            video: video,
-            overlay: overlay,
-            imageCanvas: imageCanvas,
-            placeholder: placeholder
-        };
+        var valueEl = monitor.element.querySelector('.moon-status-value');
+        if (valueEl) valueEl.textContent = status;
 
-        this.overlayCanvas = overlay;
-        this.overlayCtx = overlay.getContext('2d');
+        monitor.element.classList.remove('moon-status-good', 'moon-status-bad', 'moon-status-warning', 'moon-status-disabled');
+        monitor.element.classList.add('moon-status-' + statusClass);
+    };
 
-        return container;
+    ProductionMonitorWidget.prototype.toggleMonitoring = function() {
+        if (this._isMonitoring) {
+            this.stopMonitoring();
+        } else {
+            this.startMonitoring();
+        }
     };
 
-    /**
-     * Synchronize overlay canvas size with the active video/image source.
-     * Called after webcam start, resolution change, or image upload.
-     * Ensures detection boxes are drawn at correct positions.
-     * @private
-     */
-    WidgetBase.prototype._syncOverlaySize = function() {
-        if (!this._media) return;
-        var video = this._media.video;
-        var imageCanvas = this._media.imageCanvas;
-        var overlay = this._media.overlay;
-        var container = this._media.videoContainer;
+    ProductionMonitorWidget.prototype.startMonitoring = function() {
+        var self = this;
 
-        var width, height, sourceEl;
-        if (video.style.display !== 'none' && video.videoWidth) {
-            width = video.videoWidth;
-            height = video.videoHeight;
-            sourceEl = video;
-        } else if (imageCanvas.style.display !== 'none') {
-            width = imageCanvas.width;
-            height = imageCanvas.height;
-            sourceEl = imageCanvas;
-        } else {
+        if (!this.hasLiveSource() && !this._currentImage) {
+            this.showError('Please start webcam, open a video or upload an image first');
             return;
         }
 
-        overlay.width = width;
-        overlay.height = height;
+        this._isMonitoring = true;
+        this._startBtn.textContent = '■ Stop Monitoring';
+        this._startBtn.classList.add('moon-btn-active');
+        this._statusText.textContent = 'Monitoring active...';
 
-        // Position overlay to match the source element within the container
-        if (sourceEl && container) {
-            var containerRect = container.getBoundingClientRect();
-            var sourceRect = sourceEl.getBoundingClientRect();
+        // Reset all monitors to initializing
+        Object.keys(this._monitors).forEach(function(key) {
+            if (self._monitors[key].enabled) {
+                self.updateMonitorStatus(key, 'Analyzing...', 'warning');
+            }
+        });
 
-            // Calculate offset from container
-            var offsetLeft = sourceRect.left - containerRect.left;
-            var offsetTop = sourceRect.top - containerRect.top;
+        // Start monitoring loop
+        this.runMonitoringCycle();
+        this._monitorInterval = setInterval(function() {
+            self.runMonitoringCycle();
+        }, 1500);
+    };
 
-            overlay.style.left = offsetLeft + 'px';
-            overlay.style.top = offsetTop + 'px';
-            overlay.style.width = sourceRect.width + 'px';
-            overlay.style.height = sourceRect.height + 'px';
+    ProductionMonitorWidget.prototype.stopMonitoring = function() {
+        this._isMonitoring = false;
+        this._startBtn.textContent = '▶ Start Monitoring';
+        this._startBtn.classList.remove('moon-btn-active');
+        this._statusText.textContent = 'Monitoring stopped.';
+
+        if (this._monitorInterval) {
+            clearInterval(this._monitorInterval);
+            this._monitorInterval = null;
         }
     };
 
-    /**
-     * Get the current frame from webcam or uploaded image.
-     * Returns base64 data URL ready for API calls.
-     *
-     * @returns {string|null} - Base64 data URL or null if no media
-     */
-    WidgetBase.prototype.getCurrentFrame = function() {
-        if (!this._media) return null;
+    ProductionMonitorWidget.prototype.runMonitoringCycle = function() {
+        var self = this;
+        if (!this._isMonitoring) return;
 
-        if (MediaCapture.stream && this._media.video) {
-            this._syncOverlaySize();
-            return MediaCapture.captureFrame(this._media.video);
-        }
+        // Get current frame
+        var video = this._media ? this._media.video : null;
 
-        if (this._currentImage) {
-            return this._currentImage;
+        // Run client-side CV (MediaPipe)
+        if (this._faceMesh && video && this.hasLiveSource()) {
+            this._faceMesh.send({ image: video }).catch(function(err) {
+                console.warn('FaceMesh error:', err);
+            });
         }
 
-        return null;
-    };
+        // Run lighting analysis (doesn't need MediaPipe)
+        if (this._monitors.lighting.enabled) {
+            this.analyzeLighting();
+        }
 
-    /** Clear all drawings from the overlay canvas. */
-    WidgetBase.prototype.clearOverlay = function() {
-        if (this.overlayCtx && this.overlayCanvas) {
-            CanvasUtils.clear(this.overlayCtx, this.overlayCanvas.width, this.overlayCanvas.height);
+        // Run MoonDream analyses (throttled, and paused while the circuit breaker is open
+        // or a usage budget is used up)
+        var now = Date.now();
+        if (now - this._lastMoonDreamCall > 2000 && !ApiClient.livePause()) {
+            this._lastMoonDreamCall = now;
+            this.runMoonDreamAnalysis();
         }
     };
 
-    /**
-     * Start continuous detection mode.
-     * Repeatedly calls callback at specified interval while webcam is active.
-     * Used for live monitoring features.
-     *
-     * @param {function} callback - Detection function to call
-     * @param {number} interval   - Milliseconds between calls (default: 2000)
-     */
-    WidgetBase.prototype.startContinuous = function(callback, interval) {
+    ProductionMonitorWidget.prototype.processFrameResults = function(results) {
         var self = this;
-        this.stopContinuous();
-        this._continuousInterval = setInterval(function() {
-            if (MediaCapture.stream) {
-                callback();
+        if (!this._isMonitoring) return;
+
+        if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
+            var landmarks = this.smoothLandmarks(results.multiFaceLandmarks[0]);
+
+            // Orientation (MediaPipe)
+            if (this._monitors.orientation.enabled) {
+                this.analyzeOrientation(landmarks);
             }
-        }, interval || 2000);
+
+            // Talking (MediaPipe)
+            if (this._monitors.talking.enabled) {
+                this.analyzeTalking(landmarks);
+            }
+
+            // Focus (OpenCV)
+            if (this._monitors.focus.enabled && this._cvReady) {
+                this.analyzeFocus(landmarks);
+            }
+        } else {
+            // No face detected by MediaPipe
+            if (this._monitors.orientation.enabled) {
+                this.updateMonitorStatus('orientation', 'NO FACE', 'bad');
+            }
+            if (this._monitors.talking.enabled) {
+                this.updateMonitorStatus('talking', 'NO FACE', 'bad');
+            }
+            if (this._monitors.focus.enabled) {
+                this.updateMonitorStatus('focus', 'NO FACE', 'bad');
+            }
+        }
     };
 
-    /** Stop continuous detection mode and clear interval. */
-    WidgetBase.prototype.stopContinuous = function() {
-        if (this._continuousInterval) {
-            clearInterval(this._continuousInterval);
-            this._continuousInterval = null;
+    ProductionMonitorWidget.prototype.smoothLandmarks = function(newLandmarks) {
+        this._landmarkHistory.push(newLandmarks);
+        if (this._landmarkHistory.length > 5) {
+            this._landmarkHistory.shift();
+        }
+
+        var numLandmarks = newLandmarks.length;
+        var smoothed = [];
+
+        for (var i = 0; i < numLandmarks; i++) {
+            var sumX = 0, sumY = 0, sumZ = 0, count = 0;
+            for (var j = 0; j < this._landmarkHistory.length; j++) {
+                var frame = this._landmarkHistory[j];
+                if (frame && frame[i]) {
+                    sumX += frame[i].x;
+                    sumY += frame[i].y;
+                    if (frame[i].z) sumZ += frame[i].z;
+                    count++;
+                }
+            }
+            if (count > 0) {
+                smoothed.push({ x: sumX / count, y: sumY / count, z: sumZ / count });
+            } else {
+                smoothed.push(newLandmarks[i]);
+            }
         }
+
+        return smoothed;
     };
 
-    // ============================================================
-    // WIDGET 1: UNIVERSAL OBJECT DETECTOR
-    // ============================================================
-    /**
-     * ObjectDetectorWidget - Zero-shot object detection with bounding boxes.
-     *
-     * This widget lets users detect any object by typing its name.
-     * No pre-training required - just describe what you want to find.
-     *
-     * Features:
-     * - Free-form text input for object name
-     * - Bounding box visualization with color-coded results
-     * - Single-shot and continuous detection modes
-     * - Works with webcam or uploaded images
-     *
-     * API used: /detect endpoint
-     *
-     * @extends WidgetBase
-     */
-    function ObjectDetectorWidget() {
-        WidgetBase.call(this,
-            'object-detector',
-            'Universal Object Detector',
-            '🔍',
-            'Detect any object in your scene with bounding boxes. Great for industrial inspection, inventory, and monitoring.'
-        );
-    }
-    ObjectDetectorWidget.prototype = Object.create(WidgetBase.prototype);
+    // Landmark indices
+    var LANDMARKS = {
+        NOSE_TIP: 1,
+        LEFT_FACE: 234,
+        RIGHT_FACE: 454,
+        UPPER_LIP: 13,
+        LOWER_LIP: 14,
+        FOREHEAD: 10,
+        CHIN: 152,
+        LEFT_EYE: 33,
+        RIGHT_EYE: 263
+    };
 
-    ObjectDetectorWidget.prototype.render = function() {
-        var self = this;
+    ProductionMonitorWidget.prototype.analyzeOrientation = function(landmarks) {
+        var nose = landmarks[LANDMARKS.NOSE_TIP];
+        var left = landmarks[LANDMARKS.LEFT_FACE];
+        var right = landmarks[LANDMARKS.RIGHT_FACE];
 
-        var header = Utils.createElement('div', 'moon-widget-header');
-        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
-            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
-            '<p class="moon-widget-desc">' + this.description + '</p>';
-        this.rootEl.appendChild(header);
+        if (!nose || !left || !right) {
+            this.updateMonitorStatus('orientation', 'ERROR', 'warning');
+            return;
+        }
 
-        var body = Utils.createElement('div', 'moon-widget-body');
-        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
+        var noseToLeft = Math.abs(nose.x - left.x);
+        var noseToRight = Math.abs(nose.x - right.x);
+        var diff = Math.abs(noseToLeft - noseToRight);
 
-        // Left column - media
-        var leftCol = Utils.createElement('div', 'moon-col');
-        leftCol.appendChild(this.createMediaSection());
-        grid.appendChild(leftCol);
+        if (diff <= 0.15) {
+            this.updateMonitorStatus('orientation', 'STRAIGHT', 'good');
+        } else {
+            var direction = noseToLeft > noseToRight ? 'LEFT' : 'RIGHT';
+            this.updateMonitorStatus('orientation', direction, 'bad');
+        }
+    };
 
-        // Right column - controls & results
-        var rightCol = Utils.createElement('div', 'moon-col');
+    ProductionMonitorWidget.prototype.analyzeTalking = function(landmarks) {
+        var upperLip = landmarks[LANDMARKS.UPPER_LIP];
+        var lowerLip = landmarks[LANDMARKS.LOWER_LIP];
 
-        // Detection input
-        var inputGroup = Utils.createElement('div', 'moon-input-group');
-        inputGroup.innerHTML = '<label class="moon-label">What to detect:</label>';
+        if (!upperLip || !lowerLip) {
+            this.updateMonitorStatus('talking', 'ERROR', 'warning');
+            return;
+        }
 
-        var input = Utils.createElement('input', 'moon-input moon-detect-input', {
-            type: 'text',
-            placeholder: 'e.g., person, car, forklift, package, chair...'
-        });
-        input.value = 'person';
-        inputGroup.appendChild(input);
+        var distance = Math.abs(upperLip.y - lowerLip.y);
+        // Threshold tuned for normalized coordinates (0-1 range)
+        // Typical closed mouth: ~0.01-0.015, talking: >0.02
+        var isTalking = distance > 0.018;
+        var now = Date.now();
 
-        // Quick detect buttons
-        var quickBtns = Utils.createElement('div', 'moon-quick-btns');
-        ['person', 'face', 'car', 'package', 'chair', 'screen'].forEach(function(item) {
-            var btn = Utils.createElement('button', 'moon-btn moon-btn-sm moon-btn-quick', { textContent: item });
-            btn.onclick = function() {
-                input.value = item;
-                self.detect();
-            };
-            quickBtns.appendChild(btn);
-        });
-        inputGroup.appendChild(quickBtns);
+        // Update immediately but with short debounce to prevent flicker
+        if (isTalking !== this._talkingState.isTalking) {
+            if (now - this._talkingState.lastChange > 150) {
+                this._talkingState.isTalking = isTalking;
+                this._talkingState.lastChange = now;
+            }
+        }
+
+        // Always show current state based on actual measurement
+        if (isTalking) {
+            this.updateMonitorStatus('talking', 'TALKING', 'good');
+        } else {
+            this.updateMonitorStatus('talking', 'SILENT', 'warning');
+        }
+    };
+
+    ProductionMonitorWidget.prototype.analyzeFocus = function(landmarks) {
+        if (!this._cvReady || typeof cv === 'undefined') {
+            this.updateMonitorStatus('focus', 'CV N/A', 'warning');
+            return;
+        }
 
-        rightCol.appendChild(inputGroup);
+        var leftEye = landmarks[LANDMARKS.LEFT_EYE];
+        var rightEye = landmarks[LANDMARKS.RIGHT_EYE];
+        var nose = landmarks[LANDMARKS.NOSE_TIP];
 
-        // Action buttons
-        var actions = Utils.createElement('div', 'moon-actions');
+        if (!leftEye || !rightEye || !nose) {
+            this.updateMonitorStatus('focus', 'NO DATA', 'warning');
+            return;
+        }
 
-        var detectBtn = Utils.createElement('button', 'moon-btn moon-btn-primary moon-btn-lg moon-btn-action', {
-            textContent: 'Detect Objects'
-        });
-        detectBtn.onclick = function() {
-            self.ensureApiKey(function() { self.detect(); });
-        };
-        actions.appendChild(detectBtn);
+        try {
+            var source = this._media.video || this._media.imageCanvas;
+            if (!source) {
+                this.updateMonitorStatus('focus', 'NO SOURCE', 'warning');
+                return;
+            }
 
-        var continuousBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-continuous', {
-            textContent: '▶ Continuous'
-        });
-        continuousBtn.onclick = function() {
-            self.toggleContinuous(continuousBtn);
-        };
-        actions.appendChild(continuousBtn);
+            // Get dimensions
+            var w, h;
+            if (source.tagName === 'VIDEO') {
+                w = source.videoWidth;
+                h = source.videoHeight;
+            } else {
+                w = source.width;
+                h = source.height;
+            }
 
-        var clearBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary', {
-            textContent: 'Clear'
-        });
-        clearBtn.onclick = function() {
-            self.clearOverlay();
-            self.clearResults();
-        };
-        actions.appendChild(clearBtn);
+            if (!w || !h || w < 40 || h < 40) {
+                this.updateMonitorStatus('focus', 'WAITING', 'warning');
+                return;
+            }
 
-        rightCol.appendChild(actions);
+            // Create temp canvas to capture video frame
+            if (!this._focusCanvas) {
+                this._focusCanvas = document.createElement('canvas');
+            }
+            this._focusCanvas.width = w;
+            this._focusCanvas.height = h;
+            var ctx = this._focusCanvas.getContext('2d');
+            ctx.drawImage(source, 0, 0, w, h);
 
-        // Results
-        var results = Utils.createElement('div', 'moon-results moon-detect-results');
-        results.innerHTML = '<div class="moon-results-header"><h3>Detections</h3><span class="moon-count">0 found</span></div>' +
-            '<div class="moon-results-list"></div>';
-        rightCol.appendChild(results);
+            // Sample region around face center
+            var centerX = ((leftEye.x + rightEye.x + nose.x) / 3) * w;
+            var centerY = ((leftEye.y + rightEye.y + nose.y) / 3) * h;
+            var size = 40;
+            var x = Math.max(0, Math.min(Math.floor(centerX - size/2), w - size));
+            var y = Math.max(0, Math.min(Math.floor(centerY - size/2), h - size));
 
-        grid.appendChild(rightCol);
-        body.appendChild(grid);
-        this.rootEl.appendChild(body);
+            var imgData = ctx.getImageData(x, y, size, size);
+            var mat = cv.matFromImageData(imgData);
+            var gray = new cv.Mat();
+            cv.cvtColor(mat, gray, cv.COLOR_RGBA2GRAY);
+            var lap = new cv.Mat();
+            cv.Laplacian(gray, lap, cv.CV_64F);
+            var mean = new cv.Mat();
+            var stdDev = new cv.Mat();
+            cv.meanStdDev(lap, mean, stdDev);
+            var variance = stdDev.doubleAt(0, 0);
 
-        this._input = input;
-        this._results = results;
+            mat.delete(); gray.delete(); lap.delete(); mean.delete(); stdDev.delete();
+
+            if (variance > 12) {
+                this.updateMonitorStatus('focus', 'SHARP', 'good');
+            } else if (variance > 6) {
+                this.updateMonitorStatus('focus', 'OK', 'warning');
+            } else {
+                this.updateMonitorStatus('focus', 'BLURRY', 'bad');
+            }
+        } catch (e) {
+            console.warn('Focus analysis error:', e);
+            this.updateMonitorStatus('focus', 'CV ERROR', 'warning');
+        }
     };
 
-    ObjectDetectorWidget.prototype.detect = function() {
-        var self = this;
-        var frame = this.getCurrentFrame();
-        var objectName = this._input.value.trim();
+    ProductionMonitorWidget.prototype.analyzeLighting = function() {
+        var source = this._media ? this._media.video : null;
+        var imageCanvas = this._media ? this._media.imageCanvas : null;
 
-        if (!frame) {
-            this.showError('Please start webcam or upload an image first');
-            return;
-        }
-        if (!objectName) {
-            this.showError('Please enter what to detect');
+        // Determine source and dimensions
+        var w, h, drawSource;
+        if (source && source.tagName === 'VIDEO' && source.videoWidth > 0) {
+            w = source.videoWidth;
+            h = source.videoHeight;
+            drawSource = source;
+        } else if (imageCanvas && imageCanvas.width > 0) {
+            w = imageCanvas.width;
+            h = imageCanvas.height;
+            drawSource = imageCanvas;
+        } else {
+            this.updateMonitorStatus('lighting', 'N/A', 'disabled');
             return;
         }
 
-        this.hideError();
-        this.setLoading(true, 'Detecting...');
+        try {
+            // Create/reuse temp canvas for analysis
+            if (!this._lightingCanvas) {
+                this._lightingCanvas = document.createElement('canvas');
+            }
+            this._lightingCanvas.width = w;
+            this._lightingCanvas.height = h;
+            var ctx = this._lightingCanvas.getContext('2d');
+            ctx.drawImage(drawSource, 0, 0, w, h);
 
-        ApiClient.detect(frame, objectName).then(function(response) {
-            self.setLoading(false);
-            self.displayDetections(response.objects || [], objectName);
-        }).catch(function(err) {
-            self.setLoading(false);
-            self.showError(err.message);
-        });
+            var imgData = ctx.getImageData(0, 0, w, h);
+            var data = imgData.data;
+
+            var totalBrightness = 0;
+            var pixelCount = data.length / 4;
+            for (var i = 0; i < data.length; i += 4) {
+                // Standard luminance formula
+                totalBrightness += (0.299 * data[i] + 0.587 * data[i+1] + 0.114 * data[i+2]);
+            }
+            var avgBrightness = totalBrightness / pixelCount;
+
+            // Thresholds for 0-255 brightness scale
+            if (avgBrightness < 50) {
+                this.updateMonitorStatus('lighting', 'DARK', 'bad');
+            } else if (avgBrightness < 90) {
+                this.updateMonitorStatus('lighting', 'DIM', 'warning');
+            } else if (avgBrightness > 220) {
+                this.updateMonitorStatus('lighting', 'OVEREXPOSED', 'bad');
+            } else if (avgBrightness > 180) {
+                this.updateMonitorStatus('lighting', 'BRIGHT', 'warning');
+            } else {
+                this.updateMonitorStatus('lighting', 'GOOD', 'good');
+            }
+        } catch (e) {
+            console.warn('Lighting analysis error:', e);
+            this.updateMonitorStatus('lighting', 'ERROR', 'warning');
+        }
     };
 
-    ObjectDetectorWidget.prototype.displayDetections = function(objects, objectName) {
+    ProductionMonitorWidget.prototype.runMoonDreamAnalysis = function() {
         var self = this;
-        this.clearOverlay();
+        var frame = this.getCurrentFrame();
+        if (!frame) return;
 
-        var countEl = this._results.querySelector('.moon-count');
-        var listEl = this._results.querySelector('.moon-results-list');
+        // Presence and Composition analysis using single /detect call
+        var needsDetect = (this._monitors.presence.enabled || this._monitors.composition.enabled) &&
+            ApiClient.supports('detect');
+        if (needsDetect) {
+            ApiClient.detect(frame, 'face', this.requestOptions('continuous', 'detect')).then(function(response) {
+                var objects = response.objects || [];
 
-        countEl.textContent = objects.length + ' found';
-        listEl.innerHTML = '';
+                // Update Presence (from same API call)
+                if (self._monitors.presence.enabled) {
+                    if (objects.length > 0) {
+                        self.updateMonitorStatus('presence', 'PRESENT', 'good');
+                    } else {
+                        self.updateMonitorStatus('presence', 'ABSENT', 'bad');
+                    }
+                }
 
-        if (objects.length === 0) {
-            listEl.innerHTML = '<p class="moon-no-results">No "' + Utils.escapeHTML(objectName) + '" detected in scene</p>';
-            return;
-        }
+                // Update Composition
+                if (self._monitors.composition.enabled) {
+                    if (objects.length === 0) {
+                        self.updateMonitorStatus('composition', 'NO FACE', 'bad');
+                        return;
+                    }
 
-        var ctx = this.overlayCtx;
-        var w = this.overlayCanvas.width;
-        var h = this.overlayCanvas.height;
+                    var face = objects[0];
+                    var centerX = (face.x_min + face.x_max) / 2;
+                    var centerY = (face.y_min + face.y_max) / 2;
+                    var faceWidth = face.x_max - face.x_min;
+                    var faceHeight = face.y_max - face.y_min;
 
-        objects.forEach(function(obj, index) {
-            var color = Utils.getColor(index);
-            var label = objectName + ' #' + (index + 1);
+                    // Analyze composition
+                    var issues = [];
 
-            // Draw on canvas
-            CanvasUtils.drawBoundingBox(ctx, obj, color, label, w, h);
+                    // Check framing (face size)
+                    if (faceWidth > 0.5 || faceHeight > 0.6) {
+                        issues.push('TOO CLOSE');
+                    } else if (faceWidth < 0.15 && faceHeight < 0.2) {
+                        issues.push('TOO FAR');
+                    }
 
-            // Add to list
-            var item = Utils.createElement('div', 'moon-result-item');
-            item.innerHTML = '<span class="moon-result-color" style="background:' + color + '"></span>' +
-                '<span class="moon-result-label">' + label + '</span>' +
-                '<span class="moon-result-coords">(' + Math.round(obj.x_min * 100) + '%, ' + Math.round(obj.y_min * 100) + '%)</span>';
+                    // Check position
+                    if (centerX < 0.3) issues.push('→ RIGHT');
+                    else if (centerX > 0.7) issues.push('← LEFT');
+                    if (centerY < 0.25) issues.push('↓ DOWN');
+                    else if (centerY > 0.75) issues.push('↑ UP');
 
-            item.onmouseenter = function() {
-                self.highlightDetection(index, objects, objectName);
-            };
-            listEl.appendChild(item);
-        });
+                    if (issues.length === 0) {
+                        self.updateMonitorStatus('composition', 'GOOD', 'good');
+                    } else {
+                        self.updateMonitorStatus('composition', issues.join(' '), 'bad');
+                    }
+
+                    // Draw composition overlay
+                    self.drawCompositionOverlay(face);
+                }
+            }).catch(function(err) {
+                if (ApiClient.isAbort(err)) return;
+                if (self._monitors.presence.enabled) {
+                    self.updateMonitorStatus('presence', 'ERROR', 'warning');
+                }
+                if (self._monitors.composition.enabled) {
+                    self.updateMonitorStatus('composition', 'ERROR', 'warning');
+                }
+            });
+        }
+
+        // Scene context using /caption, streamed into the scene description.
+        // A caption still streaming in is left to finish.
+        if (this._monitors.sceneContext.enabled && ApiClient.supports('caption') && !this._captionStream) {
+            var stream = this._captionStream = this.createStreamView(this._sceneText, this._sceneSection);
+            var options = stream.requestOptions('background', 'caption');
+            ApiClient.captionStream(frame, 'normal', stream.onChunk, options).then(function(response) {
+                stream.finish();
+                self._captionStream = null;
+                var caption = response.caption || 'No description';
+                self.updateMonitorStatus('sceneContext', 'UPDATED', 'good');
+                if (self._sceneText) {
+                    self._sceneText.textContent = caption;
+                }
+            }).catch(function(err) {
+                stream.finish();
+                self._captionStream = null;
+                if (ApiClient.isAbort(err)) {
+                    if (stream.cancelled) {
+                        stream.showCancelled();
+                        self.updateMonitorStatus('sceneContext', 'CANCELLED', 'warning');
+                    }
+                    return;
+                }
+                self.updateMonitorStatus('sceneContext', 'ERROR', 'warning');
+            });
+        }
     };
 
-    ObjectDetectorWidget.prototype.highlightDetection = function(highlightIndex, objects, objectName) {
-        this.clearOverlay();
+    ProductionMonitorWidget.prototype.drawCompositionOverlay = function(face) {
+        if (!this.overlayCanvas || !this.overlayCtx) return;
+
         var ctx = this.overlayCtx;
         var w = this.overlayCanvas.width;
         var h = this.overlayCanvas.height;
 
-        objects.forEach(function(obj, index) {
-            var color = index === highlightIndex ? '#ffffff' : Utils.getColor(index);
-            var lineWidth = index === highlightIndex ? 4 : 2;
-            ctx.lineWidth = lineWidth;
-            CanvasUtils.drawBoundingBox(ctx, obj, color, objectName + ' #' + (index + 1), w, h);
-        });
-    };
+        // Clear
+        ctx.clearRect(0, 0, w, h);
 
-    ObjectDetectorWidget.prototype.toggleContinuous = function(btn) {
-        var self = this;
-        if (this._continuousInterval) {
-            this.stopContinuous();
-            btn.textContent = '▶ Continuous';
-            btn.classList.remove('moon-btn-active');
-        } else {
-            if (!MediaCapture.stream) {
-                this.showError('Start webcam for continuous mode');
-                return;
-            }
-            btn.textContent = '■ Stop';
-            btn.classList.add('moon-btn-active');
-            this.startContinuous(function() {
-                self.detect();
-            }, 1500);
-        }
+        // Draw rule of thirds grid
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1;
+
+        // Vertical lines
+        ctx.beginPath();
+        ctx.moveTo(w/3, 0); ctx.lineTo(w/3, h);
+        ctx.moveTo(2*w/3, 0); ctx.lineTo(2*w/3, h);
+        // Horizontal lines
+        ctx.moveTo(0, h/3); ctx.lineTo(w, h/3);
+        ctx.moveTo(0, 2*h/3); ctx.lineTo(w, 2*h/3);
+        ctx.stroke();
+
+        // Draw face bounding box
+        var x = face.x_min * w;
+        var y = face.y_min * h;
+        var bw = (face.x_max - face.x_min) * w;
+        var bh = (face.y_max - face.y_min) * h;
+
+        ctx.strokeStyle = CONFIG.colors.detect;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, bw, bh);
+
+        // Draw center point
+        var cx = (face.x_min + face.x_max) / 2 * w;
+        var cy = (face.y_min + face.y_max) / 2 * h;
+        ctx.fillStyle = CONFIG.colors.detect;
+        ctx.beginPath();
+        ctx.arc(cx, cy, 5, 0, Math.PI * 2);
+        ctx.fill();
     };
 
-    ObjectDetectorWidget.prototype.clearResults = function() {
-        var countEl = this._results.querySelector('.moon-count');
-        var listEl = this._results.querySelector('.moon-results-list');
-        countEl.textContent = '0 found';
-        listEl.innerHTML = '';
+    ProductionMonitorWidget.prototype.unmount = function() {
+        this.stopMonitoring();
+        WidgetBase.prototype.unmount.call(this);
     };
 
     // ============================================================
-    // WIDGET 2: SMART COUNTER
+    // PTZ CONTROL - VISCA ENCODER & COMMAND TRANSPORTS
     // ============================================================
     /**
-     * SmartCounterWidget - Count objects with numbered point markers.
-     *
-     * Unlike simple counting, this widget shows exactly WHERE each
-     * counted item is located with visual markers.
-     *
-     * Features:
-     * - Numbered point markers on each detected item
-     * - Total count displayed prominently
-     * - Single-shot and continuous counting modes
-     * - Great for verification (see what was counted)
+     * PTZCommand - Protocol-neutral PTZ command objects.
      *
-     * API used: /point endpoint
+     * The tracker describes what it wants the camera to do with these plain
+     * objects; a transport then encodes them for the wire (CGI URL or VISCA
+     * bytes). Keeping the two apart lets the same tracking logic drive any
+     * camera protocol, and lets the simulation transport check the encoding.
      *
-     * @extends WidgetBase
+     * Command shapes:
+     * - { type: 'drive', pan: 'left'|'right'|'stop', tilt: 'up'|'down'|'stop', panSpeed, tiltSpeed }
+     * - { type: 'stop' }
+     * - { type: 'zoom', direction: 'in'|'out'|'stop', speed }
+     * - { type: 'focus', direction: 'near'|'far'|'stop'|'auto'|'manual', speed }
+     * - { type: 'preset', action: 'recall'|'set', preset }
+     * - { type: 'inquire', what: 'position'|'zoom' }
      */
-    function SmartCounterWidget() {
-        WidgetBase.call(this,
-            'smart-counter',
-            'Smart Counter',
-            '🔢',
-            'Count objects with visual proof. Each item is marked with a numbered point. Perfect for inventory and manufacturing.'
-        );
-    }
-    SmartCounterWidget.prototype = Object.create(WidgetBase.prototype);
-
-    SmartCounterWidget.prototype.render = function() {
-        var self = this;
-
-        var header = Utils.createElement('div', 'moon-widget-header');
-        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
-            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
-            '<p class="moon-widget-desc">' + this.description + '</p>';
-        this.rootEl.appendChild(header);
-
-        var body = Utils.createElement('div', 'moon-widget-body');
-        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
-
-        var leftCol = Utils.createElement('div', 'moon-col');
-        leftCol.appendChild(this.createMediaSection());
-        grid.appendChild(leftCol);
-
-        var rightCol = Utils.createElement('div', 'moon-col');
-
-        // Input
-        var inputGroup = Utils.createElement('div', 'moon-input-group');
-        inputGroup.innerHTML = '<label class="moon-label">What to count:</label>';
-
-        var input = Utils.createElement('input', 'moon-input moon-count-input', {
-            type: 'text',
-            placeholder: 'e.g., people, boxes, bottles, screws...'
-        });
-        input.value = 'person';
-        inputGroup.appendChild(input);
-
-        var quickBtns = Utils.createElement('div', 'moon-quick-btns');
-        ['person', 'chair', 'bottle', 'box', 'car', 'light'].forEach(function(item) {
-            var btn = Utils.createElement('button', 'moon-btn moon-btn-sm moon-btn-quick', { textContent: item });
-            btn.onclick = function() {
-                input.value = item;
-                self.count();
+    var PTZCommand = {
+        /**
+         * Build a pan/tilt drive command. Speeds are clamped to the VISCA
+         * ranges (pan 1-24, tilt 1-20) which PTZOptics CGI also uses.
+         */
+        drive: function(pan, tilt, panSpeed, tiltSpeed) {
+            return {
+                type: 'drive',
+                pan: pan || 'stop',
+                tilt: tilt || 'stop',
+                panSpeed: PTZCommand.clampSpeed(panSpeed, VISCA.PAN_SPEED_MAX),
+                tiltSpeed: PTZCommand.clampSpeed(tiltSpeed, VISCA.TILT_SPEED_MAX)
             };
-            quickBtns.appendChild(btn);
-        });
-        inputGroup.appendChild(quickBtns);
+        },
 
-        rightCol.appendChild(inputGroup);
+        stop: function() {
+            return { type: 'stop' };
+        },
 
-        // Actions
-        var actions = Utils.createElement('div', 'moon-actions');
+        zoom: function(direction, speed) {
+            return { type: 'zoom', direction: direction, speed: PTZCommand.clampSpeed(speed, VISCA.ZOOM_SPEED_MAX, 0) };
+        },
 
-        var countBtn = Utils.createElement('button', 'moon-btn moon-btn-primary moon-btn-lg moon-btn-action', {
-            textContent: 'Count'
-        });
-        countBtn.onclick = function() {
-            self.ensureApiKey(function() { self.count(); });
-        };
-        actions.appendChild(countBtn);
+        focus: function(direction, speed) {
+            return { type: 'focus', direction: direction, speed: PTZCommand.clampSpeed(speed, VISCA.FOCUS_SPEED_MAX, 0) };
+        },
 
-        var continuousBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-continuous', {
-            textContent: '▶ Continuous'
-        });
-        continuousBtn.onclick = function() {
-            self.toggleContinuous(continuousBtn);
-        };
-        actions.appendChild(continuousBtn);
+        presetRecall: function(preset) {
+            return { type: 'preset', action: 'recall', preset: preset };
+        },
 
-        rightCol.appendChild(actions);
+        presetSet: function(preset) {
+            return { type: 'preset', action: 'set', preset: preset };
+        },
 
-        // Big count display
-        var countDisplay = Utils.createElement('div', 'moon-count-display');
-        countDisplay.innerHTML = '<div class="moon-count-number">0</div>' +
-            '<div class="moon-count-label">items detected</div>';
-        rightCol.appendChild(countDisplay);
+        inquire: function(what) {
+            return { type: 'inquire', what: what || 'position' };
+        },
 
-        // Points list
-        var results = Utils.createElement('div', 'moon-results moon-points-results');
-        results.innerHTML = '<div class="moon-results-list"></div>';
-        rightCol.appendChild(results);
+        /**
+         * Convert a tracker direction string ('left', 'right', 'up', 'down',
+         * 'stop', 'centered') into a command object.
+         *
+         * @param {string} direction - Output of calculatePTZCommand()
+         * @param {number} speed     - Pan/tilt speed to use
+         * @returns {object|null}    - Command object, or null if unknown
+         */
+        fromDirection: function(direction, speed) {
+            switch (direction) {
+                case 'left':
+                case 'right':
+                    return PTZCommand.drive(direction, 'stop', speed, speed);
+                case 'up':
+                case 'down':
+                    return PTZCommand.drive('stop', direction, speed, speed);
+                case 'stop':
+                case 'centered':
+                    return PTZCommand.stop();
+                default:
+                    return null;
+            }
+        },
 
-        grid.appendChild(rightCol);
-        body.appendChild(grid);
-        this.rootEl.appendChild(body);
+        /**
+         * Short human-readable description for status displays,
+         * e.g. 'RIGHT 12 / UP 4', 'STOP', 'ZOOM IN 3'.
+         */
+        describe: function(command) {
+            if (!command) return '--';
+            switch (command.type) {
+                case 'drive':
+                    var parts = [];
+                    if (command.pan !== 'stop') parts.push(command.pan.toUpperCase() + ' ' + command.panSpeed);
+                    if (command.tilt !== 'stop') parts.push(command.tilt.toUpperCase() + ' ' + command.tiltSpeed);
+                    return parts.length ? parts.join(' / ') : 'STOP';
+                case 'stop':
+                    return command.reason ? command.reason.toUpperCase() : 'STOP';
+                case 'zoom':
+                case 'focus':
+                    return (command.type + ' ' + command.direction + (command.speed ? ' ' + command.speed : '')).toUpperCase();
+                case 'preset':
+                    return (command.action === 'set' ? 'SAVE' : 'RECALL') + ' PRESET ' + command.preset;
+                default:
+                    return command.type.toUpperCase();
+            }
+        },
 
-        this._input = input;
-        this._countDisplay = countDisplay;
-        this._results = results;
+        /** Round and clamp a speed to [min, max] (min defaults to 1). */
+        clampSpeed: function(speed, max, min) {
+            if (typeof min !== 'number') min = 1;
+            var value = Math.round(Number(speed) || 0);
+            return Math.max(min, Math.min(max, value));
+        }
     };
 
-    SmartCounterWidget.prototype.count = function() {
-        var self = this;
-        var frame = this.getCurrentFrame();
-        var objectName = this._input.value.trim();
+    /**
+     * VISCA - Encoder/decoder for Sony VISCA camera control packets.
+     *
+     * PTZOptics cameras accept VISCA two ways:
+     * - VISCA over IP (UDP 52381): each packet is prefixed with an 8-byte
+     *   header (payload type, payload length, sequence number)
+     * - PTZOptics TCP (5678): raw VISCA bytes, no header
+     *
+     * Packets are arrays of byte values. The camera address is 1, so the
+     * first byte of a command is 0x81 and replies start with 0x90.
+     *
+     * Reference: https://ptzoptics.com/wp-content/uploads/2020/11/PTZOptics-VISCA-over-IP-Rev-1_2-8-20.pdf
+     */
+    var VISCA = {
+        UDP_PORT: 52381,
+        TCP_PORT: 5678,
+        PAN_SPEED_MAX: 0x18,
+        TILT_SPEED_MAX: 0x14,
+        ZOOM_SPEED_MAX: 7,
+        FOCUS_SPEED_MAX: 7,
+        MAX_PRESET: 254,        // One byte, and 0xFF would end the packet
+
+        // VISCA over IP payload types
+        PAYLOAD: {
+            COMMAND: 0x0100,
+            INQUIRY: 0x0110,
+            REPLY: 0x0111,
+            CONTROL: 0x0200,
+            CONTROL_REPLY: 0x0201
+        },
 
-        if (!frame) {
-            this.showError('Please start webcam or upload an image first');
-            return;
-        }
-        if (!objectName) {
-            this.showError('Please enter what to count');
-            return;
-        }
+        PAN_BYTES: { left: 0x01, right: 0x02, stop: 0x03 },
+        TILT_BYTES: { up: 0x01, down: 0x02, stop: 0x03 },
 
-        this.hideError();
-        this.setLoading(true, 'Counting...');
+        /**
+         * A RangeError for a command value VISCA cannot carry (a preset
+         * outside 0-254), or null. Speeds need no check: PTZCommand clamps them.
+         */
+        rangeError: function(command) {
+            if (command.type !== 'preset') return null;
+            var preset = command.preset;
+            if (typeof preset === 'number' && Math.floor(preset) === preset && preset >= 0 && preset <= this.MAX_PRESET) return null;
+            return new RangeError('Preset ' + preset + ' is out of range (0-' + this.MAX_PRESET + ')');
+        },
 
-        ApiClient.point(frame, objectName).then(function(response) {
-            self.setLoading(false);
-            self.displayPoints(response.points || [], objectName);
-        }).catch(function(err) {
-            self.setLoading(false);
-            self.showError(err.message);
-        });
-    };
+        /**
+         * Encode a PTZCommand object as a raw VISCA packet.
+         *
+         * @param {object} command - PTZCommand object
+         * @param {number} address - Camera address 1-7 (default: 1)
+         * @returns {Array}        - Byte values, terminated with 0xFF
+         * @throws {RangeError} for values VISCA cannot carry (see rangeError)
+         */
+        encode: function(command, address) {
+            var header = 0x80 + (address || 1);
+            var rangeError = this.rangeError(command);
+            if (rangeError) throw rangeError;
+            switch (command.type) {
+                case 'drive':
+                    return [header, 0x01, 0x06, 0x01,
+                        command.panSpeed, command.tiltSpeed,
+                        this.PAN_BYTES[command.pan], this.TILT_BYTES[command.tilt], 0xFF];
+                case 'stop':
+                    // Speed bytes are ignored by the camera on stop; send mid values
+                    return [header, 0x01, 0x06, 0x01, 0x05, 0x05, 0x03, 0x03, 0xFF];
+                case 'zoom':
+                    var zoomByte = { stop: 0x00, 'in': 0x20, out: 0x30 }[command.direction];
+                    if (command.direction !== 'stop') zoomByte += command.speed;
+                    return [header, 0x01, 0x04, 0x07, zoomByte, 0xFF];
+                case 'focus':
+                    if (command.direction === 'auto' || command.direction === 'manual') {
+                        return [header, 0x01, 0x04, 0x38, command.direction === 'auto' ? 0x02 : 0x03, 0xFF];
+                    }
+                    var focusByte = { stop: 0x00, far: 0x20, near: 0x30 }[command.direction];
+                    if (command.direction !== 'stop') focusByte += command.speed;
+                    return [header, 0x01, 0x04, 0x08, focusByte, 0xFF];
+                case 'preset':
+                    return [header, 0x01, 0x04, 0x3F, command.action === 'set' ? 0x01 : 0x02, command.preset, 0xFF];
+                case 'inquire':
+                    if (command.what === 'zoom') return [header, 0x09, 0x04, 0x47, 0xFF];
+                    return [header, 0x09, 0x06, 0x12, 0xFF];
+                default:
+                    throw new Error('Unsupported VISCA command: ' + command.type);
+            }
+        },
 
-    SmartCounterWidget.prototype.displayPoints = function(points, objectName) {
-        this.clearOverlay();
+        /**
+         * Decode a raw VISCA command packet back into a PTZCommand object.
+         * The inverse of encode(); used by the simulation transport to check
+         * what would actually have gone over the wire.
+         *
+         * @param {Array} bytes  - Raw VISCA packet (no IP header)
+         * @returns {object|null} - PTZCommand object, or null if unrecognized
+         */
+        decode: function(bytes) {
+            if (!bytes || bytes.length < 5 || (bytes[0] & 0xF0) !== 0x80 || bytes[bytes.length - 1] !== 0xFF) {
+                return null;
+            }
+            var kind = bytes[1], category = bytes[2], code = bytes[3];
+
+            if (kind === 0x01 && category === 0x06 && code === 0x01 && bytes.length === 9) {
+                var pan = this._lookup(this.PAN_BYTES, bytes[6]);
+                var tilt = this._lookup(this.TILT_BYTES, bytes[7]);
+                if (!pan || !tilt) return null;
+                if (pan === 'stop' && tilt === 'stop') return PTZCommand.stop();
+                return { type: 'drive', pan: pan, tilt: tilt, panSpeed: bytes[4], tiltSpeed: bytes[5] };
+            }
+            if (kind === 0x01 && category === 0x04 && code === 0x07) {
+                return this._decodeVariable('zoom', bytes[4], 'in', 'out');
+            }
+            if (kind === 0x01 && category === 0x04 && code === 0x08) {
+                return this._decodeVariable('focus', bytes[4], 'far', 'near');
+            }
+            if (kind === 0x01 && category === 0x04 && code === 0x38) {
+                return { type: 'focus', direction: bytes[4] === 0x02 ? 'auto' : 'manual', speed: 0 };
+            }
+            if (kind === 0x01 && category === 0x04 && code === 0x3F) {
+                return { type: 'preset', action: bytes[4] === 0x01 ? 'set' : 'recall', preset: bytes[5] };
+            }
+            if (kind === 0x09 && category === 0x06 && code === 0x12) {
+                return PTZCommand.inquire('position');
+            }
+            if (kind === 0x09 && category === 0x04 && code === 0x47) {
+                return PTZCommand.inquire('zoom');
+            }
+            return null;
+        },
 
-        var numberEl = this._countDisplay.querySelector('.moon-count-number');
-        var labelEl = this._countDisplay.querySelector('.moon-count-label');
-        var listEl = this._results.querySelector('.moon-results-list');
+        /**
+         * Prefix a raw VISCA packet with the 8-byte VISCA-over-IP header.
+         *
+         * @param {Array} bytes        - Raw VISCA packet
+         * @param {number} sequence    - Sequence number (32-bit)
+         * @param {number} payloadType - One of VISCA.PAYLOAD (default: COMMAND)
+         * @returns {Array}            - Header + payload bytes
+         */
+        wrapIP: function(bytes, sequence, payloadType) {
+            var type = payloadType || this.PAYLOAD.COMMAND;
+            var len = bytes.length;
+            var seq = sequence >>> 0;
+            return [
+                (type >> 8) & 0xFF, type & 0xFF,
+                (len >> 8) & 0xFF, len & 0xFF,
+                (seq >>> 24) & 0xFF, (seq >>> 16) & 0xFF, (seq >>> 8) & 0xFF, seq & 0xFF
+            ].concat(bytes);
+        },
 
-        numberEl.textContent = points.length;
-        labelEl.textContent = objectName + (points.length === 1 ? '' : 's') + ' detected';
-        listEl.innerHTML = '';
+        /**
+         * Split a VISCA-over-IP datagram into header fields and payload.
+         *
+         * @param {Array} bytes - Datagram bytes
+         * @returns {object}    - {payloadType, sequence, payload}
+         */
+        unwrapIP: function(bytes) {
+            return {
+                payloadType: (bytes[0] << 8) | bytes[1],
+                sequence: ((bytes[4] << 24) | (bytes[5] << 16) | (bytes[6] << 8) | bytes[7]) >>> 0,
+                payload: bytes.slice(8, 8 + ((bytes[2] << 8) | bytes[3]))
+            };
+        },
+
+        /**
+         * Classify a raw reply packet from the camera.
+         *
+         * @param {Array} bytes - Raw VISCA reply (no IP header)
+         * @returns {object}    - {kind: 'ack'|'completion'|'error'|'unknown', ...}
+         */
+        parseReply: function(bytes) {
+            var type = bytes[1] & 0xF0;
+            if (type === 0x40) return { kind: 'ack' };
+            if (type === 0x60) {
+                var codes = { 0x01: 'message length error', 0x02: 'syntax error', 0x03: 'command buffer full',
+                    0x04: 'command canceled', 0x05: 'no socket', 0x41: 'command not executable' };
+                return { kind: 'error', code: bytes[2], message: codes[bytes[2]] || 'error ' + bytes[2] };
+            }
+            if (type === 0x50) {
+                // Position inquiry reply: 90 50 0p 0p 0p 0p 0t 0t 0t 0t FF
+                if (bytes.length === 11) {
+                    return { kind: 'completion', pan: this._nibbles(bytes, 2, true), tilt: this._nibbles(bytes, 6, true) };
+                }
+                // Zoom inquiry reply: 90 50 0z 0z 0z 0z FF
+                if (bytes.length === 7) {
+                    return { kind: 'completion', zoom: this._nibbles(bytes, 2, false) };
+                }
+                return { kind: 'completion' };
+            }
+            return { kind: 'unknown' };
+        },
 
-        if (points.length === 0) {
-            listEl.innerHTML = '<p class="moon-no-results">No "' + Utils.escapeHTML(objectName) + '" found</p>';
-            return;
-        }
+        /** Encode a value as 4 low nibbles (used by inquiry replies). */
+        toNibbles: function(value) {
+            var v = value & 0xFFFF;
+            return [(v >> 12) & 0x0F, (v >> 8) & 0x0F, (v >> 4) & 0x0F, v & 0x0F];
+        },
 
-        var ctx = this.overlayCtx;
-        var w = this.overlayCanvas.width;
-        var h = this.overlayCanvas.height;
+        /** Format a byte array as an uppercase hex string ('8101...FF'). */
+        toHex: function(bytes) {
+            return bytes.map(function(b) {
+                return (b < 16 ? '0' : '') + b.toString(16).toUpperCase();
+            }).join('');
+        },
 
-        points.forEach(function(point, index) {
-            var color = Utils.getColor(index);
-            CanvasUtils.drawPoint(ctx, point, color, index, w, h);
+        /** Parse a hex string (spaces allowed) into a byte array. */
+        fromHex: function(hex) {
+            var clean = String(hex).replace(/[^0-9a-fA-F]/g, '');
+            var bytes = [];
+            for (var i = 0; i + 1 < clean.length; i += 2) {
+                bytes.push(parseInt(clean.substr(i, 2), 16));
+            }
+            return bytes;
+        },
 
-            var item = Utils.createElement('div', 'moon-result-item');
-            item.innerHTML = '<span class="moon-result-number">' + (index + 1) + '</span>' +
-                '<span class="moon-result-label">' + objectName + '</span>' +
-                '<span class="moon-result-coords">(' + Math.round(point.x * 100) + '%, ' + Math.round(point.y * 100) + '%)</span>';
-            listEl.appendChild(item);
-        });
-    };
+        _nibbles: function(bytes, start, signed) {
+            var value = (bytes[start] << 12) | (bytes[start + 1] << 8) | (bytes[start + 2] << 4) | bytes[start + 3];
+            return signed && value > 0x7FFF ? value - 0x10000 : value;
+        },
 
-    SmartCounterWidget.prototype.toggleContinuous = function(btn) {
-        var self = this;
-        if (this._continuousInterval) {
-            this.stopContinuous();
-            btn.textContent = '▶ Continuous';
-            btn.classList.remove('moon-btn-active');
-        } else {
-            if (!MediaCapture.stream) {
-                this.showError('Start webcam for continuous mode');
-                return;
+        _lookup: function(table, byte) {
+            for (var key in table) {
+                if (table[key] === byte) return key;
             }
-            btn.textContent = '■ Stop';
-            btn.classList.add('moon-btn-active');
-            this.startContinuous(function() {
-                self.count();
-            }, 1500);
+            return null;
+        },
+
+        _decodeVariable: function(type, byte, upName, downName) {
+            if (byte === 0x00) return { type: type, direction: 'stop', speed: 0 };
+            var high = byte & 0xF0;
+            var direction = high === 0x20 ? upName : (high === 0x30 ? downName : null);
+            if (!direction) return null;
+            return { type: type, direction: direction, speed: byte & 0x0F };
         }
     };
 
-    // ============================================================
-    // WIDGET 3: SCENE ANALYZER
-    // ============================================================
     /**
-     * SceneAnalyzerWidget - AI image captioning and visual Q&A.
-     *
-     * This widget showcases MoonDream's visual reasoning capabilities
-     * by generating natural language descriptions and answering questions.
+     * HttpCgiTransport - PTZOptics HTTP CGI control (the original method).
      *
-     * Features:
-     * - Auto-generate image captions (short/normal/long)
-     * - Ask free-form questions about the scene
-     * - Conversation history display
-     * - Copy answers to clipboard
+     * Fires http://{ip}/cgi-bin/ptzctrl.cgi?ptzcmd&... with no-cors, so the
+     * response is opaque: results are reported as unverified. Inquiries are
+     * not available over CGI.
      *
-     * API used: /caption and /query endpoints
+     * With settings.cgiViaRelay the request goes through the local relay
+     * (tools/ptz-relay.js) instead, which returns the camera's real HTTP
+     * status and latency and handles Basic/Digest authentication. Failures
+     * (unreachable camera, 401, 5xx) then reject like any other transport.
      *
-     * @extends WidgetBase
+     * @constructor
+     * @param {object} settings - {cameraIP, cgiViaRelay, relayUrl, username, password}
      */
-    function SceneAnalyzerWidget() {
-        WidgetBase.call(this,
-            'scene-analyzer',
-            'Scene Analyzer',
-            '🎬',
-            'Get AI descriptions and ask questions about any scene. Ideal for accessibility, broadcast, and monitoring.'
-        );
+    function HttpCgiTransport(settings) {
+        this.name = 'http';
+        this.settings = settings;
     }
-    SceneAnalyzerWidget.prototype = Object.create(WidgetBase.prototype);
-
-    SceneAnalyzerWidget.prototype.render = function() {
-        var self = this;
-
-        var header = Utils.createElement('div', 'moon-widget-header');
-        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
-            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
-            '<p class="moon-widget-desc">' + this.description + '</p>';
-        this.rootEl.appendChild(header);
-
-        var body = Utils.createElement('div', 'moon-widget-body');
-        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
 
-        var leftCol = Utils.createElement('div', 'moon-col');
-        leftCol.appendChild(this.createMediaSection());
-        grid.appendChild(leftCol);
+    /** Build the CGI query string for a command, or null if unsupported. */
+    HttpCgiTransport.prototype.buildQuery = function(command) {
+        switch (command.type) {
+            case 'drive':
+                // Diagonals are 'leftup', 'rightdown', etc.
+                var dir = (command.pan !== 'stop' ? command.pan : '') + (command.tilt !== 'stop' ? command.tilt : '');
+                if (!dir) return 'ptzcmd&ptzstop';
+                return 'ptzcmd&' + dir + '&' + command.panSpeed + '&' + command.tiltSpeed;
+            case 'stop':
+                return 'ptzcmd&ptzstop';
+            case 'zoom':
+                return command.direction === 'stop' ? 'ptzcmd&zoomstop' :
+                    'ptzcmd&zoom' + command.direction + '&' + command.speed;
+            case 'focus':
+                if (command.direction === 'auto' || command.direction === 'manual') return null;
+                return command.direction === 'stop' ? 'ptzcmd&focusstop' :
+                    'ptzcmd&focus' + (command.direction === 'far' ? 'out' : 'in') + '&' + command.speed;
+            case 'preset':
+                return 'ptzcmd&' + (command.action === 'set' ? 'posset' : 'poscall') + '&' + command.preset;
+            default:
+                return null;
+        }
+    };
 
-        var rightCol = Utils.createElement('div', 'moon-col');
+    /**
+     * Send a command to the camera.
+     * @param {object} command - PTZCommand object
+     * @returns {Promise}      - Resolves with {ok, verified, request}
+     */
+    HttpCgiTransport.prototype.send = function(command) {
+        var query = this.buildQuery(command);
+        if (!query) {
+            return Promise.reject(new Error('Command "' + command.type + '" is not supported over HTTP CGI'));
+        }
+        var url = 'http://' + this.settings.cameraIP + '/cgi-bin/ptzctrl.cgi?' + query;
+        if (this.settings.cgiViaRelay) return this._sendViaRelay(query, url);
 
-        // Caption section
-        var captionSection = Utils.createElement('div', 'moon-section');
-        captionSection.innerHTML = '<h3 class="moon-section-title">Scene Description</h3>';
+        return fetch(url, { method: 'GET', mode: 'no-cors' }).then(function() {
+            // no-cors responses are opaque - we only know the request left the browser
+            return { ok: true, verified: false, request: url };
+        });
+    };
 
-        var captionBtn = Utils.createElement('button', 'moon-btn moon-btn-primary moon-btn-action', {
-            textContent: 'Describe Scene'
+    /** Send through the relay's /cgi endpoint and check the camera's reply. */
+    HttpCgiTransport.prototype._sendViaRelay = function(query, url) {
+        var settings = this.settings;
+        // The IP field may carry a port ("192.168.1.100:8080")
+        var address = /^(.*?)(?::(\d+))?$/.exec(settings.cameraIP);
+        return fetch(settings.relayUrl.replace(/\/+$/, '') + '/cgi', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                host: address[1],
+                port: address[2] ? parseInt(address[2], 10) : 80,
+                query: query,
+                username: settings.username || '',
+                password: settings.password || ''
+            })
+        }).then(function(response) {
+            return response.json().then(function(body) {
+                if (body.error || !response.ok) {
+                    throw new Error('PTZ relay: ' + (body.error || 'request failed (' + response.status + ')'));
+                }
+                if (!body.ok) {
+                    var error = new Error('Camera replied HTTP ' + body.status +
+                        (body.status === 401 ? ' - check the camera username and password' : ''));
+                    error.status = body.status;
+                    throw error;
+                }
+                return { ok: true, verified: true, request: url, status: body.status, latencyMs: body.latencyMs };
+            });
         });
-        captionBtn.onclick = function() {
-            self.ensureApiKey(function() { self.captionScene(); });
-        };
-        captionSection.appendChild(captionBtn);
+    };
 
-        var captionResult = Utils.createElement('div', 'moon-caption-result');
-        captionResult.innerHTML = '<p class="moon-caption-text">Click "Describe Scene" to get an AI description</p>';
-        captionSection.appendChild(captionResult);
+    /**
+     * ViscaRelayTransport - VISCA over IP through the local PTZ relay.
+     *
+     * Browsers cannot open UDP or raw TCP sockets, so packets are POSTed as
+     * hex to tools/ptz-relay.js, which forwards them to the camera and
+     * returns whatever the camera replied.
+     *
+     * @constructor
+     * @param {object} settings - {cameraIP, relayUrl, protocol: 'visca-udp'|'visca-tcp', viscaPort}
+     */
+    function ViscaRelayTransport(settings) {
+        this.name = settings.protocol;
+        this.settings = settings;
+        this._sequence = 0;
+        this._sequenceReset = false;
+    }
 
-        rightCol.appendChild(captionSection);
+    /** True when talking Sony VISCA over IP (UDP, 8-byte header). */
+    ViscaRelayTransport.prototype.isUdp = function() {
+        return this.settings.protocol === 'visca-udp';
+    };
 
-        // Q&A section
-        var qaSection = Utils.createElement('div', 'moon-section');
-        qaSection.innerHTML = '<h3 class="moon-section-title">Ask a Question</h3>';
+    ViscaRelayTransport.prototype.send = function(command) {
+        var self = this;
+        var raw;
+        try {
+            raw = VISCA.encode(command);
+        } catch (err) {
+            return Promise.reject(err);
+        }
 
-        var qaInputRow = Utils.createElement('div', 'moon-input-row');
-        var qaInput = Utils.createElement('input', 'moon-input moon-qa-input', {
-            type: 'text',
-            placeholder: 'e.g., How many people are there? What color is the car?'
-        });
+        if (!this.isUdp()) {
+            return this._post(raw).then(function(replies) { return self._result(raw, replies); });
+        }
 
-        // Bind Enter key to ask
-        qaInput.onkeydown = function(e) {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                self.ensureApiKey(function() { self.askQuestion(); });
-            }
-        };
-        qaInputRow.appendChild(qaInput);
+        // VISCA over IP: reset the camera's sequence counter once per session
+        var ready = this._sequenceReset ? Promise.resolve() :
+            this._post(VISCA.wrapIP([0x01], 0, VISCA.PAYLOAD.CONTROL)).then(function() {
+                self._sequenceReset = true;
+                self._sequence = 0;
+            });
 
-        var askBtn = Utils.createElement('button', 'moon-btn moon-btn-primary', {
-            textContent: 'Ask'
+        return ready.then(function() {
+            self._sequence = (self._sequence + 1) >>> 0;
+            var type = command.type === 'inquire' ? VISCA.PAYLOAD.INQUIRY : VISCA.PAYLOAD.COMMAND;
+            return self._post(VISCA.wrapIP(raw, self._sequence, type));
+        }).then(function(replies) {
+            return self._result(raw, replies.map(function(reply) {
+                return VISCA.unwrapIP(reply).payload;
+            }));
         });
-        askBtn.onclick = function() {
-            self.ensureApiKey(function() { self.askQuestion(); });
-        };
-        qaInputRow.appendChild(askBtn);
-        qaSection.appendChild(qaInputRow);
+    };
 
-        var quickQs = Utils.createElement('div', 'moon-quick-btns');
-        ['How many people?', 'What is happening?', 'What objects are visible?', 'Is anyone wearing glasses?'].forEach(function(q) {
-            var btn = Utils.createElement('button', 'moon-btn moon-btn-sm moon-btn-quick', { textContent: q });
-            btn.onclick = function() {
-                qaInput.value = q;
-                self.ensureApiKey(function() { self.askQuestion(); });
-            };
-            quickQs.appendChild(btn);
+    /** POST packet bytes to the relay; resolves with reply byte arrays. */
+    ViscaRelayTransport.prototype._post = function(bytes) {
+        var self = this;
+        var settings = this.settings;
+        var port = settings.viscaPort || (this.isUdp() ? VISCA.UDP_PORT : VISCA.TCP_PORT);
+        return fetch(settings.relayUrl.replace(/\/+$/, '') + '/visca', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                host: settings.cameraIP,
+                port: port,
+                protocol: this.isUdp() ? 'udp' : 'tcp',
+                packet: VISCA.toHex(bytes)
+            })
+        }).then(function(response) {
+            return response.json().then(function(body) {
+                if (!response.ok || !body.ok) {
+                    throw new Error('PTZ relay: ' + (body.error || 'request failed (' + response.status + ')'));
+                }
+                self.latencyMs = body.latencyMs;
+                return (body.replies || []).map(VISCA.fromHex);
+            });
         });
-        qaSection.appendChild(quickQs);
-
-        // Tabbed results area
-        var tabContainer = Utils.createElement('div', 'moon-tabs');
-
-        var tabNav = Utils.createElement('div', 'moon-tab-nav');
-        var tabAnswer = Utils.createElement('button', 'moon-tab-btn moon-tab-active', { textContent: 'Answer' });
-        var tabHistory = Utils.createElement('button', 'moon-tab-btn', { textContent: 'History' });
-        tabNav.appendChild(tabAnswer);
-        tabNav.appendChild(tabHistory);
-        tabContainer.appendChild(tabNav);
-
-        var tabContent = Utils.createElement('div', 'moon-tab-content');
-
-        var answerPanel = Utils.createElement('div', 'moon-tab-panel moon-tab-panel-active moon-qa-result');
-        answerPanel.innerHTML = '<p class="moon-qa-placeholder">Ask a question to see the AI response</p>';
-        tabContent.appendChild(answerPanel);
-
-        var historyPanel = Utils.createElement('div', 'moon-tab-panel moon-history-list');
-        tabContent.appendChild(historyPanel);
+    };
 
-        tabContainer.appendChild(tabContent);
-        qaSection.appendChild(tabContainer);
+    /** Turn camera replies into a transport result. */
+    ViscaRelayTransport.prototype._result = function(raw, replies) {
+        var parsed = replies.map(function(reply) { return VISCA.parseReply(reply); });
+        var error = parsed.filter(function(p) { return p.kind === 'error'; })[0];
+        if (error) {
+            throw new Error('Camera rejected VISCA command: ' + error.message);
+        }
+        var completion = parsed.filter(function(p) { return p.kind === 'completion'; })[0] || null;
+        return { ok: true, verified: parsed.length > 0, request: VISCA.toHex(raw), reply: completion, latencyMs: this.latencyMs };
+    };
 
-        // Tab switching
-        tabAnswer.onclick = function() {
-            tabAnswer.classList.add('moon-tab-active');
-            tabHistory.classList.remove('moon-tab-active');
-            answerPanel.classList.add('moon-tab-panel-active');
-            historyPanel.classList.remove('moon-tab-panel-active');
-        };
-        tabHistory.onclick = function() {
-            tabHistory.classList.add('moon-tab-active');
-            tabAnswer.classList.remove('moon-tab-active');
-            historyPanel.classList.add('moon-tab-panel-active');
-            answerPanel.classList.remove('moon-tab-panel-active');
-        };
+    /**
+     * ViscaLoopbackTransport - Test double used by simulation mode.
+     *
+     * Encodes each command to VISCA bytes exactly as the relay transport
+     * would, decodes the bytes again and checks the result against the
+     * command the tracker asked for. Keeps a simulated camera position so
+     * position inquiries return plausible values.
+     *
+     * @constructor
+     */
+    function ViscaLoopbackTransport() {
+        this.name = 'simulation';
+        this.sent = [];
+        this.mismatches = 0;
+        this.position = { pan: 0, tilt: 0, zoom: 0 };
+        this._motion = null;
+        this._motionStart = 0;
+        this._zoomMotion = null;
+        this._zoomStart = 0;
+    }
 
-        rightCol.appendChild(qaSection);
+    ViscaLoopbackTransport.prototype.send = function(command) {
+        var rangeError = VISCA.rangeError(command);
+        if (rangeError) {
+            this.mismatches++;
+            this.sent.push({ time: Date.now(), packet: null, command: command, decoded: null, matched: false });
+            if (this.sent.length > 200) this.sent.shift();
+            return Promise.reject(rangeError);
+        }
+        var packet = VISCA.encode(command);
+        var decoded = VISCA.decode(packet);
+        var matched = ViscaLoopbackTransport.matches(command, decoded);
+
+        this._advance();
+        this.sent.push({ time: Date.now(), packet: VISCA.toHex(packet), command: command, decoded: decoded, matched: matched });
+        if (this.sent.length > 200) this.sent.shift();
+
+        if (!matched) {
+            this.mismatches++;
+            return Promise.reject(new Error('VISCA round-trip mismatch for ' + JSON.stringify(command) +
+                ': decoded ' + JSON.stringify(decoded)));
+        }
 
-        grid.appendChild(rightCol);
-        body.appendChild(grid);
-        this.rootEl.appendChild(body);
+        var reply = null;
+        if (decoded.type === 'drive') {
+            this._motion = decoded;
+            this._motionStart = Date.now();
+        } else if (decoded.type === 'stop') {
+            this._motion = null;
+        } else if (decoded.type === 'zoom') {
+            this._zoomMotion = decoded.direction === 'stop' ? null : decoded;
+            this._zoomStart = Date.now();
+        } else if (decoded.type === 'inquire') {
+            reply = VISCA.parseReply(decoded.what === 'zoom' ?
+                [0x90, 0x50].concat(VISCA.toNibbles(this.position.zoom), [0xFF]) :
+                [0x90, 0x50].concat(VISCA.toNibbles(this.position.pan), VISCA.toNibbles(this.position.tilt), [0xFF]));
+        }
 
-        this._captionResult = captionResult;
-        this._qaInput = qaInput;
-        this._qaResult = answerPanel;
-        this._historyList = historyPanel;
+        return Promise.resolve({ ok: true, verified: true, simulated: true, request: VISCA.toHex(packet), decoded: decoded, reply: reply });
     };
 
-    SceneAnalyzerWidget.prototype.captionScene = function() {
-        var self = this;
-        var frame = this.getCurrentFrame();
-
-        if (!frame) {
-            this.showError('Please start webcam or upload an image first');
-            return;
+    /** Integrate the last drive and zoom commands into the simulated position. */
+    ViscaLoopbackTransport.prototype._advance = function() {
+        var now = Date.now();
+        if (this._zoomMotion) {
+            // Roughly 600 zoom units per second per speed step, over 0 (wide) to 0x4000 (tele)
+            var zoomSign = this._zoomMotion.direction === 'in' ? 1 : -1;
+            var zoomSeconds = (now - this._zoomStart) / 1000;
+            this.position.zoom = Math.max(0, Math.min(0x4000, Math.round(
+                this.position.zoom + zoomSign * (this._zoomMotion.speed + 1) * 600 * zoomSeconds)));
+            this._zoomStart = now;
         }
+        if (!this._motion) return;
+        var seconds = (now - this._motionStart) / 1000;
+        // Roughly 40 position units per second per speed step
+        var panSign = { left: -1, right: 1, stop: 0 }[this._motion.pan];
+        var tiltSign = { down: -1, up: 1, stop: 0 }[this._motion.tilt];
+        this.position.pan = Math.round(this.position.pan + panSign * this._motion.panSpeed * 40 * seconds);
+        this.position.tilt = Math.round(this.position.tilt + tiltSign * this._motion.tiltSpeed * 40 * seconds);
+        this._motionStart = now;
+    };
 
-        this.hideError();
-        this._captionResult.innerHTML = '<p class="moon-caption-text moon-loading-text">Analyzing scene...</p>';
+    /**
+     * Check that a decoded VISCA packet expresses the same command that was
+     * encoded. Speeds are compared after clamping to the protocol range.
+     *
+     * @param {object} expected - Command the tracker produced
+     * @param {object} decoded  - Result of VISCA.decode()
+     * @returns {boolean}
+     */
+    ViscaLoopbackTransport.matches = function(expected, decoded) {
+        // A value VISCA cannot carry never round-trips, whatever was decoded
+        if (!decoded || VISCA.rangeError(expected)) return false;
+        if (expected.type === 'drive' && expected.pan === 'stop' && expected.tilt === 'stop') {
+            return decoded.type === 'stop';
+        }
+        if (expected.type !== decoded.type) return false;
+        // Only compare fields that go over the wire (ignore e.g. stop.reason)
+        var keys = ViscaLoopbackTransport.WIRE_FIELDS[expected.type] || [];
+        for (var i = 0; i < keys.length; i++) {
+            if (expected[keys[i]] !== decoded[keys[i]]) return false;
+        }
+        return true;
+    };
 
-        ApiClient.caption(frame, 'normal').then(function(response) {
-            var caption = response.caption || 'No description available';
-            self._captionResult.innerHTML = '<p class="moon-caption-text">' + Utils.escapeHTML(caption) + '</p>';
-            self.addToHistory('Describe this scene', caption);
-        }).catch(function(err) {
-            self._captionResult.innerHTML = '<p class="moon-caption-text moon-error-text">' + err.message + '</p>';
-        });
+    ViscaLoopbackTransport.WIRE_FIELDS = {
+        drive: ['pan', 'tilt', 'panSpeed', 'tiltSpeed'],
+        stop: [],
+        zoom: ['direction', 'speed'],
+        focus: ['direction', 'speed'],
+        preset: ['action', 'preset'],
+        inquire: ['what']
     };
 
-    SceneAnalyzerWidget.prototype.askQuestion = function() {
-        var self = this;
-        var frame = this.getCurrentFrame();
-        var question = this._qaInput.value.trim();
+    /**
+     * PTZTransports - Factory for PTZ command transports.
+     *
+     * Every transport exposes send(command) → Promise<{ok, verified, ...}>.
+     * To add a protocol, write a constructor with a send() method and add it
+     * to the switch below and to the Control Protocol dropdown.
+     */
+    var PTZTransports = {
+        protocols: [
+            { id: 'http', label: 'HTTP CGI (PTZOptics)' },
+            { id: 'visca-udp', label: 'VISCA over IP (UDP 52381)' },
+            { id: 'visca-tcp', label: 'VISCA TCP (PTZOptics 5678)' }
+        ],
 
-        if (!frame) {
-            this.showError('Please start webcam or upload an image first');
-            return;
-        }
-        if (!question) {
-            this.showError('Please enter a question');
-            return;
-        }
+        /**
+         * Create a transport.
+         *
+         * @param {object} settings  - Tracker PTZ settings (cameraIP, protocol, relayUrl)
+         * @param {boolean} simulate - Use the VISCA loopback test double
+         * @returns {object}         - Transport instance
+         */
+        create: function(settings, simulate) {
+            if (simulate) return new ViscaLoopbackTransport();
+            switch (settings.protocol) {
+                case 'visca-udp':
+                case 'visca-tcp':
+                    return new ViscaRelayTransport(settings);
+                default:
+                    return new HttpCgiTransport(settings);
+            }
+        },
+
+        /** True if the protocol needs the local relay. */
+        needsRelay: function(protocol) {
+            return protocol === 'visca-udp' || protocol === 'visca-tcp';
+        },
 
-        this.hideError();
-        this._qaResult.innerHTML = '<p class="moon-loading-text">Thinking...</p>';
+        /** True if commands go through the relay (VISCA, or HTTP CGI with cgiViaRelay). */
+        usesRelay: function(settings) {
+            return this.needsRelay(settings.protocol) || (settings.protocol === 'http' && !!settings.cgiViaRelay);
+        },
 
-        ApiClient.query(frame, question).then(function(response) {
-            var answer = response.answer || 'No answer available';
-            self._qaResult.innerHTML = '<p class="moon-qa-answer">' + Utils.escapeHTML(answer) + '</p>';
-            self.addToHistory(question, answer);
-            // Keep question in input for follow-up refinement
-        }).catch(function(err) {
-            self._qaResult.innerHTML = '<p class="moon-error-text">' + err.message + '</p>';
-        });
+        /** True if the camera position can be read (VISCA, or the simulated camera). */
+        canInquire: function(protocol, simulate) {
+            return !!simulate || this.needsRelay(protocol);
+        }
     };
 
-    SceneAnalyzerWidget.prototype.addToHistory = function(question, answer) {
-        var item = Utils.createElement('div', 'moon-history-item');
-        item.innerHTML = '<div class="moon-history-q"><strong>Q:</strong> ' + Utils.escapeHTML(question) + '</div>' +
-            '<div class="moon-history-a"><strong>A:</strong> ' + Utils.escapeHTML(answer) + '</div>';
-        this._historyList.insertBefore(item, this._historyList.firstChild);
+    /**
+     * PIDController - Single-axis PID controller for PTZ tracking.
+     *
+     * - Integral windup clamping: the integral term's contribution is
+     *   limited to ±integralLimit speed units
+     * - Derivative filtering: the derivative is low-pass filtered
+     *   (d = f * d_prev + (1 - f) * d_raw) because detections are noisy
+     *
+     * Error is the target offset in percent of frame; output is a signed
+     * speed before clamping to the axis maximum.
+     *
+     * @constructor
+     */
+    function PIDController() {
+        this.reset();
+    }
+
+    /** Clear integral and derivative memory. */
+    PIDController.prototype.reset = function() {
+        this.integral = 0;
+        this.derivative = 0;
+        this.lastError = null;
     };
 
-    // ============================================================
-    // WIDGET 4: PERSON TRACKER
-    // ============================================================
     /**
-     * PersonTrackerWidget - Detect and track people with bounding boxes.
+     * Advance the controller by one detection.
      *
-     * Specialized detection for people with multiple detection modes
-     * for different use cases.
+     * @param {number} error            - Current error (offset in percent)
+     * @param {number} dt               - Seconds since the previous update
+     * @param {object} gains            - {kp, ki, kd}
+     * @param {number} integralLimit    - Max |ki * integral| in speed units
+     * @param {number} derivativeFilter - Low-pass factor 0 (none) to <1 (heavy)
+     * @returns {number}                - Controller output (signed speed)
+     */
+    PIDController.prototype.update = function(error, dt, gains, integralLimit, derivativeFilter) {
+        var kp = gains.kp || 0, ki = gains.ki || 0, kd = gains.kd || 0;
+        var filter = Math.max(0, Math.min(0.95, derivativeFilter || 0));
+
+        this.integral += error * dt;
+        if (ki > 0 && typeof integralLimit === 'number') {
+            var maxIntegral = integralLimit / ki;
+            this.integral = Math.max(-maxIntegral, Math.min(maxIntegral, this.integral));
+        }
+
+        var rawDerivative = this.lastError === null ? 0 : (error - this.lastError) / dt;
+        this.derivative = filter * this.derivative + (1 - filter) * rawDerivative;
+        this.lastError = error;
+
+        return kp * error + ki * this.integral + kd * this.derivative;
+    };
+
+    /**
+     * PTZControlLaw - Proportional pan/tilt speed from target offset.
      *
-     * Features:
-     * - Detection modes: All People, Face Only, Hands
-     * - Color-coded bounding boxes
-     * - Single-shot and continuous tracking modes
-     * - Person count display
+     * Turns the target's offset from frame center into independent pan and
+     * tilt speeds, so the camera can move diagonally and slows down as the
+     * subject approaches center instead of stepping at one fixed speed.
      *
-     * API used: /detect endpoint with mode-specific queries
+     * Per axis (offsets in percent of frame, -50 to +50):
+     * 1. Deadzone with hysteresis - an axis at rest starts moving only once
+     *    |offset| > deadzone/2 + hysteresis, and a moving axis keeps going
+     *    until |offset| < deadzone/2. This stops chatter at the edge.
+     * 2. Error beyond the deadzone is normalized to 0-1 and shaped by the
+     *    speed curve, then multiplied by gain.
+     * 3. Result is mapped into [minSpeed, maxSpeed] and rounded.
      *
-     * @extends WidgetBase
+     * Settings: {gain, speedCurve, minSpeed, panSpeed (max), tiltSpeed (max),
+     *            deadzoneX, deadzoneY, hysteresis}
      */
-    function PersonTrackerWidget() {
-        WidgetBase.call(this,
-            'person-tracker',
-            'Person Tracker',
-            '👤',
-            'Track and locate people in your scene with bounding boxes. Useful for broadcast framing, security, and attendance.'
-        );
-    }
-    PersonTrackerWidget.prototype = Object.create(WidgetBase.prototype);
+    var PTZControlLaw = {
+        /** Speed curves map normalized error (0-1) to normalized speed (0-1). */
+        curves: {
+            linear: function(e) { return e; },
+            smooth: function(e) { return e * e; },            // gentle near center
+            aggressive: function(e) { return Math.sqrt(e); }  // strong near center
+        },
 
-    PersonTrackerWidget.prototype.render = function() {
-        var self = this;
+        curveLabels: {
+            linear: 'Linear',
+            smooth: 'Smooth (ease in)',
+            aggressive: 'Aggressive (fast start)'
+        },
 
-        var header = Utils.createElement('div', 'moon-widget-header');
-        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
-            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
-            '<p class="moon-widget-desc">' + this.description + '</p>';
-        this.rootEl.appendChild(header);
+        modeLabels: {
+            proportional: 'Proportional',
+            pid: 'PID'
+        },
 
-        var body = Utils.createElement('div', 'moon-widget-body');
-        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
+        /** Fresh per-axis state (hysteresis flags, PID memory, settle counter). */
+        createState: function() {
+            return {
+                pan: { moving: false, pid: new PIDController() },
+                tilt: { moving: false, pid: new PIDController() },
+                centeredFrames: 0
+            };
+        },
 
-        var leftCol = Utils.createElement('div', 'moon-col');
-        leftCol.appendChild(this.createMediaSection());
-        grid.appendChild(leftCol);
+        /**
+         * True if the axis is inside its deadzone. Applies hysteresis: an
+         * axis at rest must leave deadzone/2 + hysteresis before it moves.
+         */
+        inDeadzone: function(offset, deadzone, settings, state) {
+            var threshold = state.moving ? deadzone / 2 : deadzone / 2 + (settings.hysteresis || 0);
+            state.moving = Math.abs(offset) > threshold;
+            return !state.moving;
+        },
 
-        var rightCol = Utils.createElement('div', 'moon-col');
+        /**
+         * Compute the signed speed for one axis.
+         *
+         * @param {number} offset   - Offset from center in percent (-50 to 50)
+         * @param {number} deadzone - Deadzone width in percent of frame
+         * @param {number} maxSpeed - Maximum speed for this axis
+         * @param {object} settings - Shared settings (gain, speedCurve, minSpeed, hysteresis)
+         * @param {object} state    - Axis state {moving}, updated in place
+         * @returns {number}        - Signed speed, 0 for stop
+         */
+        axisSpeed: function(offset, deadzone, maxSpeed, settings, state) {
+            var half = deadzone / 2;
+            var magnitude = Math.abs(offset);
+            if (this.inDeadzone(offset, deadzone, settings, state)) return 0;
+
+            var error = Math.min(1, (magnitude - half) / Math.max(1, 50 - half));
+            var curve = this.curves[settings.speedCurve] || this.curves.linear;
+            var shaped = Math.min(1, curve(error) * (settings.gain || 1));
+
+            var minSpeed = Math.min(settings.minSpeed || 1, maxSpeed);
+            var speed = Math.round(minSpeed + (maxSpeed - minSpeed) * shaped);
+            return offset < 0 ? -speed : speed;
+        },
 
-        // Detection mode selector
-        var modeGroup = Utils.createElement('div', 'moon-input-group');
-        modeGroup.innerHTML = '<label class="moon-label">Detection Mode:</label>';
+        /**
+         * Compute the signed speed for one axis with the PID controller.
+         * Inside the deadzone the controller is reset so integral and
+         * derivative memory cannot kick the camera when the target leaves.
+         *
+         * @param {number} offset   - Offset from center in percent
+         * @param {number} deadzone - Deadzone width in percent of frame
+         * @param {number} maxSpeed - Maximum speed for this axis
+         * @param {object} gains    - {kp, ki, kd}
+         * @param {object} settings - Shared settings (minSpeed, hysteresis, pidIntegralLimit, pidDerivativeFilter)
+         * @param {object} state    - Axis state {moving, pid}
+         * @param {number} dt       - Seconds since the previous detection
+         * @returns {number}        - Signed speed, 0 for stop
+         */
+        pidAxisSpeed: function(offset, deadzone, maxSpeed, gains, settings, state, dt) {
+            if (this.inDeadzone(offset, deadzone, settings, state)) {
+                state.pid.reset();
+                return 0;
+            }
 
-        var modeSelect = Utils.createElement('select', 'moon-select');
-        modeSelect.innerHTML = '<option value="face">Faces Only</option>' +
-            '<option value="person">Full Body</option>' +
-            '<option value="hand">Hands</option>';
-        modeGroup.appendChild(modeSelect);
-        rightCol.appendChild(modeGroup);
+            var output = state.pid.update(offset, dt, gains, settings.pidIntegralLimit, settings.pidDerivativeFilter);
+            var magnitude = Math.min(maxSpeed, Math.abs(output));
+            if (magnitude < 0.5) return 0;
 
-        // Actions
-        var actions = Utils.createElement('div', 'moon-actions');
+            var speed = Math.max(Math.min(settings.minSpeed || 1, maxSpeed), Math.round(magnitude));
+            return output < 0 ? -speed : speed;
+        },
 
-        var detectBtn = Utils.createElement('button', 'moon-btn moon-btn-primary moon-btn-lg moon-btn-action', {
-            textContent: 'Track People'
-        });
-        detectBtn.onclick = function() {
-            self.ensureApiKey(function() { self.track(); });
-        };
-        actions.appendChild(detectBtn);
+        /**
+         * Compute a PTZCommand for a target offset.
+         *
+         * In PID mode, once both axes have been inside the deadzone for
+         * settings.settleFrames consecutive detections the result is a stop
+         * with reason 'settled', and the tracker stops sending commands
+         * until the target leaves the deadzone again.
+         *
+         * @param {number} offsetX  - Horizontal offset in percent (+ = right of center)
+         * @param {number} offsetY  - Vertical offset in percent (+ = below center)
+         * @param {object} settings - Tracker PTZ settings
+         * @param {object} state    - From createState(), updated in place
+         * @param {number} dt       - Seconds since the previous detection (PID mode)
+         * @returns {object}        - PTZCommand drive or stop (reason 'centered'/'settled')
+         */
+        compute: function(offsetX, offsetY, settings, state, dt) {
+            var pan, tilt;
+            if (settings.controlMode === 'pid') {
+                dt = dt > 0 ? dt : 1 / (settings.detectionRate || 1);
+                pan = this.pidAxisSpeed(offsetX, settings.deadzoneX, settings.panSpeed,
+                    { kp: settings.pidPanKp, ki: settings.pidPanKi, kd: settings.pidPanKd }, settings, state.pan, dt);
+                tilt = this.pidAxisSpeed(offsetY, settings.deadzoneY, settings.tiltSpeed,
+                    { kp: settings.pidTiltKp, ki: settings.pidTiltKi, kd: settings.pidTiltKd }, settings, state.tilt, dt);
+            } else {
+                pan = this.axisSpeed(offsetX, settings.deadzoneX, settings.panSpeed, settings, state.pan);
+                tilt = this.axisSpeed(offsetY, settings.deadzoneY, settings.tiltSpeed, settings, state.tilt);
+            }
 
-        var continuousBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-continuous', {
-            textContent: '▶ Live Track'
-        });
-        continuousBtn.onclick = function() {
-            self.toggleContinuous(continuousBtn);
-        };
-        actions.appendChild(continuousBtn);
+            if (pan === 0 && tilt === 0) {
+                state.centeredFrames++;
+                if (settings.controlMode === 'pid' && state.centeredFrames >= (settings.settleFrames || 1)) {
+                    return { type: 'stop', reason: 'settled' };
+                }
+                return { type: 'stop', reason: 'centered' };
+            }
+            state.centeredFrames = 0;
+            return PTZCommand.drive(
+                pan === 0 ? 'stop' : (pan < 0 ? 'left' : 'right'),
+                tilt === 0 ? 'stop' : (tilt < 0 ? 'up' : 'down'),
+                Math.abs(pan) || 1,
+                Math.abs(tilt) || 1
+            );
+        }
+    };
 
-        rightCol.appendChild(actions);
+    /**
+     * PTZTuningSimulator - Offline step response for tuning the control law.
+     *
+     * Models a camera that pans/tilts at percentPerSpeed (% of frame per
+     * second per speed step), a detector that samples the error at the
+     * detection rate, and the API round trip as a fixed latency before each
+     * command takes effect. The target starts at (stepX, stepY) and may
+     * drift at targetVelocityX (% per second).
+     *
+     * Runs entirely in memory with the same PTZControlLaw used for real
+     * tracking, so gains can be tuned without a camera.
+     */
+    var PTZTuningSimulator = {
+        defaults: {
+            duration: 10,           // seconds
+            stepX: 30,              // initial pan error (%)
+            stepY: -15,             // initial tilt error (%)
+            targetVelocityX: 0,     // target drift (% per second)
+            latency: 0.5,           // seconds from frame capture to command
+            percentPerSpeed: 1.5,   // frame % per second per speed step
+            timestep: 0.02          // physics step (seconds)
+        },
 
-        // Count display
-        var countDisplay = Utils.createElement('div', 'moon-count-display moon-person-count');
-        countDisplay.innerHTML = '<div class="moon-count-number">0</div>' +
-            '<div class="moon-count-label">people in frame</div>';
-        rightCol.appendChild(countDisplay);
+        /**
+         * Run a step response.
+         *
+         * @param {object} settings - Tracker PTZ settings (copied, not modified)
+         * @param {object} options  - Overrides for defaults
+         * @returns {object} - {samples: [{t, x, y}], commands, settleTime, overshootX, overshootY}
+         */
+        run: function(settings, options) {
+            var opts = {};
+            var defaults = this.defaults;
+            Object.keys(defaults).forEach(function(key) {
+                opts[key] = options && options[key] !== undefined ? options[key] : defaults[key];
+            });
+            var state = PTZControlLaw.createState();
+            var interval = 1 / (settings.detectionRate || 1);
+            var x = opts.stepX, y = opts.stepY;
+            var panVelocity = 0, tiltVelocity = 0;
+            var nextDetection = 0;
+            var pending = [];
+            var samples = [];
+            var commands = 0;
+            var lastReason = null;
+
+            for (var t = 0; t <= opts.duration + 1e-9; t += opts.timestep) {
+                if (t >= nextDetection - 1e-9) {
+                    var command = PTZControlLaw.compute(x, y, settings, state, interval);
+                    // Mirror the tracker: repeated 'settled' stops are not sent
+                    if (!(command.reason === 'settled' && lastReason === 'settled')) {
+                        pending.push({ at: t + opts.latency, command: command });
+                        commands++;
+                    }
+                    lastReason = command.reason || null;
+                    nextDetection += interval;
+                }
 
-        // Person list
-        var results = Utils.createElement('div', 'moon-results');
-        results.innerHTML = '<div class="moon-results-list moon-person-list"></div>';
-        rightCol.appendChild(results);
+                while (pending.length && pending[0].at <= t + 1e-9) {
+                    var applied = pending.shift().command;
+                    panVelocity = this._axisVelocity(applied, 'pan', 'right');
+                    tiltVelocity = this._axisVelocity(applied, 'tilt', 'down');
+                }
 
-        grid.appendChild(rightCol);
-        body.appendChild(grid);
-        this.rootEl.appendChild(body);
+                samples.push({ t: t, x: x, y: y });
 
-        this._modeSelect = modeSelect;
-        this._countDisplay = countDisplay;
-        this._personList = results.querySelector('.moon-person-list');
-    };
+                // Panning right moves the target left in frame; tilting down moves it up
+                x += (opts.targetVelocityX - panVelocity * opts.percentPerSpeed) * opts.timestep;
+                y -= tiltVelocity * opts.percentPerSpeed * opts.timestep;
+            }
 
-    PersonTrackerWidget.prototype.track = function() {
-        var self = this;
-        var frame = this.getCurrentFrame();
-        var mode = this._modeSelect.value;
+            return {
+                samples: samples,
+                commands: commands,
+                settleTime: this._settleTime(samples, settings),
+                overshootX: this._overshoot(samples, 'x', opts.stepX),
+                overshootY: this._overshoot(samples, 'y', opts.stepY)
+            };
+        },
 
-        if (!frame) {
-            this.showError('Please start webcam or upload an image first');
-            return;
-        }
+        /** Signed speed of one axis for a command (+ = positiveDirection). */
+        _axisVelocity: function(command, axis, positiveDirection) {
+            if (command.type !== 'drive' || command[axis] === 'stop') return 0;
+            var speed = command[axis + 'Speed'];
+            return command[axis] === positiveDirection ? speed : -speed;
+        },
 
-        this.hideError();
-        this.setLoading(true, 'Tracking...');
+        /**
+         * First time after which both axes stay inside the band the control
+         * law holds still in (half the deadzone plus hysteresis).
+         */
+        _settleTime: function(samples, settings) {
+            var hysteresis = settings.hysteresis || 0;
+            var settle = null;
+            for (var i = samples.length - 1; i >= 0; i--) {
+                var s = samples[i];
+                if (Math.abs(s.x) > settings.deadzoneX / 2 + hysteresis ||
+                    Math.abs(s.y) > settings.deadzoneY / 2 + hysteresis) break;
+                settle = s.t;
+            }
+            return settle;
+        },
 
-        ApiClient.detect(frame, mode).then(function(response) {
-            self.setLoading(false);
-            self.displayPeople(response.objects || [], mode);
-        }).catch(function(err) {
-            self.setLoading(false);
-            self.showError(err.message);
-        });
+        /** Largest excursion past center, opposite to the initial step. */
+        _overshoot: function(samples, axis, step) {
+            if (!step) return 0;
+            var sign = step > 0 ? 1 : -1;
+            var worst = 0;
+            samples.forEach(function(s) {
+                worst = Math.max(worst, -sign * s[axis]);
+            });
+            return worst;
+        }
     };
 
-    PersonTrackerWidget.prototype.displayPeople = function(objects, mode) {
-        this.clearOverlay();
+    /**
+     * TargetPredictor - Alpha-beta filter over detection boxes.
+     *
+     * Detections arrive at 0.5-2 Hz and each one describes where the target
+     * was when the frame was captured, not where it is when the command is
+     * sent. The filter tracks center (cx, cy) and size (w, h) with a velocity
+     * per dimension, so the box can be extrapolated to the moment the
+     * command goes out (capture time + measured API round trip + lead).
+     *
+     *   predicted = x + v * dt
+     *   residual  = measured - predicted
+     *   x         = predicted + alpha * residual
+     *   v         = v + (beta / dt) * residual
+     *
+     * Coordinates are normalized 0-1 like MoonDream detection boxes.
+     *
+     * @constructor
+     * @param {object} options - {alpha, beta, maxGap (seconds), maxLead (seconds)}
+     */
+    function TargetPredictor(options) {
+        options = options || {};
+        this.alpha = options.alpha !== undefined ? options.alpha : 0.6;
+        this.beta = options.beta !== undefined ? options.beta : 0.2;
+        this.maxGap = options.maxGap || 3;
+        this.maxLead = options.maxLead || 2;
+        this.reset();
+    }
 
-        var numberEl = this._countDisplay.querySelector('.moon-count-number');
-        var labelEl = this._countDisplay.querySelector('.moon-count-label');
+    TargetPredictor.DIMENSIONS = ['cx', 'cy', 'w', 'h'];
 
-        numberEl.textContent = objects.length;
-        labelEl.textContent = mode + (objects.length === 1 ? '' : 's') + ' detected';
+    /** Forget the current track. */
+    TargetPredictor.prototype.reset = function() {
+        this.state = null;
+        this.velocity = null;
+        this.timestamp = 0;
+    };
 
-        this._personList.innerHTML = '';
+    /**
+     * Fold in a detection measured at a given time.
+     *
+     * @param {object} detection - Box {x_min, y_min, x_max, y_max} (normalized)
+     * @param {number} timestamp - Frame capture time in ms
+     */
+    TargetPredictor.prototype.update = function(detection, timestamp) {
+        var measured = {
+            cx: (detection.x_min + detection.x_max) / 2,
+            cy: (detection.y_min + detection.y_max) / 2,
+            w: detection.x_max - detection.x_min,
+            h: detection.y_max - detection.y_min
+        };
+        var dt = (timestamp - this.timestamp) / 1000;
 
-        if (objects.length === 0) {
-            this._personList.innerHTML = '<p class="moon-no-results">No people detected</p>';
+        // Start a new track on the first detection or after a long gap
+        if (!this.state || dt <= 0 || dt > this.maxGap) {
+            this.state = measured;
+            this.velocity = { cx: 0, cy: 0, w: 0, h: 0 };
+            this.timestamp = timestamp;
             return;
         }
 
-        var ctx = this.overlayCtx;
-        var w = this.overlayCanvas.width;
-        var h = this.overlayCanvas.height;
+        var self = this;
+        TargetPredictor.DIMENSIONS.forEach(function(key) {
+            var predicted = self.state[key] + self.velocity[key] * dt;
+            var residual = measured[key] - predicted;
+            self.state[key] = predicted + self.alpha * residual;
+            self.velocity[key] += (self.beta / dt) * residual;
+        });
+        this.timestamp = timestamp;
+    };
 
-        objects.forEach(function(obj, index) {
-            var color = CONFIG.colors.person;
-            var label = mode + ' ' + (index + 1);
+    /**
+     * Extrapolate the box to a time after the last measurement.
+     * Lead is capped at maxLead and the box is kept inside the frame.
+     *
+     * @param {number} timestamp - Target time in ms
+     * @returns {object|null}    - Box {x_min, y_min, x_max, y_max, lead} or null
+     */
+    TargetPredictor.prototype.predict = function(timestamp) {
+        if (!this.state) return null;
+        var lead = Math.max(0, Math.min(this.maxLead, (timestamp - this.timestamp) / 1000));
+        var cx = this.state.cx + this.velocity.cx * lead;
+        var cy = this.state.cy + this.velocity.cy * lead;
+        var w = Math.max(0.01, this.state.w + this.velocity.w * lead);
+        var h = Math.max(0.01, this.state.h + this.velocity.h * lead);
+
+        cx = Math.max(0, Math.min(1, cx));
+        cy = Math.max(0, Math.min(1, cy));
+
+        return {
+            x_min: Math.max(0, cx - w / 2),
+            y_min: Math.max(0, cy - h / 2),
+            x_max: Math.min(1, cx + w / 2),
+            y_max: Math.min(1, cy + h / 2),
+            lead: lead
+        };
+    };
 
-            CanvasUtils.drawBoundingBox(ctx, obj, color, label, w, h);
+    /**
+     * PTZZoomControl - Hold a target framing size with the zoom motor.
+     *
+     * Compares the target box height (percent of frame) with the chosen
+     * shot size and decides whether to zoom in, out, or stop. It has its
+     * own deadzone (with hysteresis, like pan/tilt) and a rate limit:
+     * starting or changing a zoom move waits at least settings.zoomInterval
+     * ms since the last zoom command. Stops are never delayed, so the lens
+     * does not overshoot while waiting.
+     *
+     * compute() returns null when nothing needs to be sent.
+     */
+    var PTZZoomControl = {
+        /** Target box height as percent of frame height. */
+        shotSizes: {
+            close: 70,
+            medium: 45,
+            wide: 25
+        },
 
-            // Calculate position info
-            var centerX = (obj.x_min + obj.x_max) / 2;
+        shotLabels: {
+            close: 'Close-up (70%)',
+            medium: 'Medium (45%)',
+            wide: 'Wide (25%)',
+            custom: 'Custom'
+        },
 
-            var position = '';
-            if (centerX < 0.33) position = 'left';
-            else if (centerX > 0.66) position = 'right';
-            else position = 'center';
+        /** Fresh zoom state: current direction and time of the last command. */
+        createState: function() {
+            return { direction: 'stop', speed: 0, lastSent: 0, moving: false };
+        },
 
-            var item = Utils.createElement('div', 'moon-result-item');
-            item.innerHTML = '<span class="moon-result-color" style="background:' + color + '"></span>' +
-                '<span class="moon-result-label">' + label + '</span>' +
-                '<span class="moon-result-position">' + position + ' third</span>';
-            this._personList.appendChild(item);
-        }.bind(this));
+        /** Target height in percent for the configured shot size. */
+        targetSize: function(settings) {
+            return settings.shotSize === 'custom' ? settings.customShotSize : this.shotSizes[settings.shotSize];
+        },
 
-        // Rule of thirds overlay
-        this.drawRuleOfThirds();
+        /**
+         * Decide the zoom command for a detection.
+         *
+         * @param {object|null} detection - Box (normalized) or null when lost
+         * @param {object} settings       - {shotSize, customShotSize, zoomDeadzone, zoomSpeed, zoomInterval, hysteresis}
+         * @param {object} state          - From createState(), updated in place
+         * @param {number} now            - Current time in ms
+         * @returns {object|null}         - PTZCommand.zoom or null
+         */
+        compute: function(detection, settings, state, now) {
+            var direction = 'stop';
+            var speed = 0;
+
+            if (detection) {
+                var size = (detection.y_max - detection.y_min) * 100;
+                var error = this.targetSize(settings) - size;    // + = too small, zoom in
+                var half = settings.zoomDeadzone / 2;
+                var threshold = state.moving ? half : half + (settings.hysteresis || 0);
+
+                state.moving = Math.abs(error) > threshold;
+                if (state.moving) {
+                    direction = error > 0 ? 'in' : 'out';
+                    // Proportional speed: full speed at 25 points of error beyond the deadzone
+                    var normalized = Math.min(1, (Math.abs(error) - half) / 25);
+                    speed = Math.max(1, Math.round(normalized * settings.zoomSpeed));
+                }
+            } else {
+                state.moving = false;
+            }
+
+            if (direction === state.direction && speed === state.speed) return null;
+            if (direction !== 'stop' && state.lastSent && now - state.lastSent < settings.zoomInterval) return null;
+
+            state.direction = direction;
+            state.speed = speed;
+            state.lastSent = now;
+            return PTZCommand.zoom(direction, speed);
+        }
     };
 
-    PersonTrackerWidget.prototype.drawRuleOfThirds = function() {
-        var ctx = this.overlayCtx;
-        var w = this.overlayCanvas.width;
-        var h = this.overlayCanvas.height;
+    /**
+     * PTZTargetSelection - Choose and follow one subject among many boxes.
+     *
+     * The API returns detections in no particular order, so following
+     * objects[0] makes the camera jump between people. Instead the tracker
+     * locks onto one box and re-associates it each frame:
+     * 1. Best IoU with the reference box (last position, or the predicted
+     *    position) if above minIou
+     * 2. Otherwise the nearest center within maxJump (normalized distance)
+     *    whose size is within 2x of the reference
+     *
+     * When nothing is locked, a strategy picks the subject:
+     * | Strategy | Picks                                          |
+     * |----------|------------------------------------------------|
+     * | largest  | Biggest box (usually closest to camera)        |
+     * | center   | Box nearest the frame center                   |
+     * | leftmost | Box with the smallest left edge                |
+     * | talking  | Box matching the latest "person talking" hit   |
+     */
+    var PTZTargetSelection = {
+        strategyLabels: {
+            largest: 'Largest',
+            center: 'Closest to center',
+            leftmost: 'Leftmost',
+            talking: 'Most recently talking'
+        },
 
-        ctx.strokeStyle = 'rgba(255,255,255,0.3)';
-        ctx.lineWidth = 1;
-        ctx.setLineDash([5, 5]);
+        area: function(box) {
+            return Math.max(0, box.x_max - box.x_min) * Math.max(0, box.y_max - box.y_min);
+        },
+
+        /** Intersection over union of two boxes (0-1). */
+        iou: function(a, b) {
+            var ix = Math.max(0, Math.min(a.x_max, b.x_max) - Math.max(a.x_min, b.x_min));
+            var iy = Math.max(0, Math.min(a.y_max, b.y_max) - Math.max(a.y_min, b.y_min));
+            var inter = ix * iy;
+            var union = this.area(a) + this.area(b) - inter;
+            return union > 0 ? inter / union : 0;
+        },
+
+        /** Distance between box centers (normalized units). */
+        centerDistance: function(a, b) {
+            var dx = (a.x_min + a.x_max) / 2 - (b.x_min + b.x_max) / 2;
+            var dy = (a.y_min + a.y_max) / 2 - (b.y_min + b.y_max) / 2;
+            return Math.sqrt(dx * dx + dy * dy);
+        },
 
-        // Vertical lines
-        ctx.beginPath();
-        ctx.moveTo(w / 3, 0);
-        ctx.lineTo(w / 3, h);
-        ctx.moveTo(2 * w / 3, 0);
-        ctx.lineTo(2 * w / 3, h);
+        /**
+         * Find the candidate that continues a reference box.
+         *
+         * @param {object} reference - Box to continue
+         * @param {Array} candidates - Detected boxes
+         * @param {number} minIou    - Minimum IoU for an overlap match
+         * @param {number} maxJump   - Maximum center distance for a position match
+         * @returns {object|null}    - Matching candidate or null
+         */
+        associate: function(reference, candidates, minIou, maxJump) {
+            var self = this;
+            var best = null, bestIou = minIou;
+            candidates.forEach(function(c) {
+                var overlap = self.iou(reference, c);
+                if (overlap >= bestIou) { best = c; bestIou = overlap; }
+            });
+            if (best) return best;
+
+            var refArea = this.area(reference);
+            var bestDistance = maxJump;
+            candidates.forEach(function(c) {
+                var ratio = refArea > 0 ? self.area(c) / refArea : 1;
+                if (ratio < 0.5 || ratio > 2) return;
+                var distance = self.centerDistance(reference, c);
+                if (distance <= bestDistance) { best = c; bestDistance = distance; }
+            });
+            return best;
+        },
 
-        // Horizontal lines
-        ctx.moveTo(0, h / 3);
-        ctx.lineTo(w, h / 3);
-        ctx.moveTo(0, 2 * h / 3);
-        ctx.lineTo(w, 2 * h / 3);
+        /**
+         * Pick a subject with a strategy.
+         *
+         * @param {Array} candidates - Detected boxes
+         * @param {string} strategy  - Key of strategyLabels
+         * @param {object|null} talkingBox - Latest "person talking" box (talking strategy)
+         * @returns {object|null}
+         */
+        pick: function(candidates, strategy, talkingBox) {
+            if (!candidates.length) return null;
+            var self = this;
 
-        ctx.stroke();
-        ctx.setLineDash([]);
-    };
+            if (strategy === 'talking' && talkingBox) {
+                var talker = this.associate(talkingBox, candidates, 0.1, 0.2);
+                if (talker) return talker;
+            }
 
-    PersonTrackerWidget.prototype.toggleContinuous = function(btn) {
-        var self = this;
-        if (this._continuousInterval) {
-            this.stopContinuous();
-            btn.textContent = '▶ Live Track';
-            btn.classList.remove('moon-btn-active');
-        } else {
-            if (!MediaCapture.stream) {
-                this.showError('Start webcam for live tracking');
-                return;
+            var score;
+            switch (strategy) {
+                case 'center':
+                    var center = { x_min: 0.5, x_max: 0.5, y_min: 0.5, y_max: 0.5 };
+                    score = function(c) { return -self.centerDistance(c, center); };
+                    break;
+                case 'leftmost':
+                    score = function(c) { return -c.x_min; };
+                    break;
+                default:
+                    // 'largest', and 'talking' until someone has been heard
+                    score = function(c) { return self.area(c); };
             }
-            btn.textContent = '■ Stop';
-            btn.classList.add('moon-btn-active');
-            this.startContinuous(function() {
-                self.track();
-            }, 1000);
+
+            return candidates.reduce(function(best, c) {
+                return score(c) > score(best) ? c : best;
+            });
+        },
+
+        /** Smallest candidate containing a normalized point, or null. */
+        hitTest: function(candidates, x, y) {
+            var self = this;
+            var hit = null;
+            candidates.forEach(function(c) {
+                if (x >= c.x_min && x <= c.x_max && y >= c.y_min && y <= c.y_max &&
+                    (!hit || self.area(c) < self.area(hit))) {
+                    hit = c;
+                }
+            });
+            return hit;
         }
     };
 
-    // ============================================================
-    // WIDGET 5: ZONE MONITOR
-    // ============================================================
     /**
-     * ZoneMonitorWidget - Custom zone drawing with entry detection.
-     *
-     * Draw polygonal zones on the video feed and monitor when
-     * specified objects enter those zones. Triggers alerts.
+     * PTZLostTargetPolicy - What the camera does when the target is gone.
      *
-     * Features:
-     * - Click-to-draw polygon zones
-     * - Multiple zone support with different colors
-     * - Object entry detection (configurable target)
-     * - Visual alerts when objects enter zones
-     * - Zone management (clear, finish)
+     * State machine, advanced once per tracking tick:
      *
-     * Algorithm:
-     * - Uses ray-casting point-in-polygon test
-     * - Checks if detection center point is inside zone polygon
+     *   tracking --lost--> holding --after holdSeconds--> recovery action
+     *      ^                                                    |
+     *      +------------------- reacquired ---------------------+
      *
-     * API used: /detect endpoint
+     * | Action  | Recovery                                              |
+     * |---------|-------------------------------------------------------|
+     * | hold    | Keep holding position                                 |
+     * | home    | Recall the named home preset once, then hold          |
+     * | zoomout | Zoom out in timed steps, then hold wide                |
+     * | sweep   | Pan slowly between the stored left/right limits; with  |
+     * |         | no limits or no position inquiry (HTTP CGI), reverse   |
+     * |         | on a timer instead                                     |
      *
-     * @extends WidgetBase
+     * update() returns the commands to send and a log message for each
+     * transition. Commands may carry a delay (ms) for timed zoom steps.
      */
-    function ZoneMonitorWidget() {
-        WidgetBase.call(this,
-            'zone-monitor',
-            'Zone Monitor',
-            '🚧',
-            'Draw custom zones and detect when objects enter them. Perfect for safety monitoring and restricted area alerts.'
-        );
-        this._zones = [];
-        this._currentZone = [];
-        this._isDrawing = false;
-    }
-    ZoneMonitorWidget.prototype = Object.create(WidgetBase.prototype);
-
-    ZoneMonitorWidget.prototype.render = function() {
-        var self = this;
+    var PTZLostTargetPolicy = {
+        actionLabels: {
+            hold: 'Hold position',
+            home: 'Return to home preset',
+            zoomout: 'Zoom out in steps',
+            sweep: 'Pan sweep between limits'
+        },
 
-        var header = Utils.createElement('div', 'moon-widget-header');
-        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
-            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
-            '<p class="moon-widget-desc">' + this.description + '</p>';
-        this.rootEl.appendChild(header);
+        createState: function() {
+            return { phase: 'tracking', since: 0, step: 0, stepAt: 0, direction: null, legStart: 0, timed: false };
+        },
 
-        var body = Utils.createElement('div', 'moon-widget-body');
-        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
+        /** True while the policy, not the tracker, is moving the camera. */
+        isRecovering: function(state) {
+            return state.phase !== 'tracking' && state.phase !== 'holding';
+        },
 
-        var leftCol = Utils.createElement('div', 'moon-col');
-        leftCol.appendChild(this.createMediaSection());
+        /** Status text for recovery phases. */
+        phaseLabels: {
+            held: 'HOLDING',
+            home: 'HOME PRESET',
+            zoomout: 'ZOOMING OUT',
+            'zoomed-out': 'HOLDING WIDE',
+            sweep: 'SWEEPING'
+        },
 
-        // Drawing instructions
-        var instructions = Utils.createElement('div', 'moon-instructions');
-        instructions.innerHTML = '<p>Click "Draw Zone" then click on the video to create zone corners. Click "Finish Zone" when done.</p>';
-        leftCol.appendChild(instructions);
+        /**
+         * Advance the state machine.
+         *
+         * @param {boolean} lost        - No target this tick
+         * @param {object} settings     - Tracker PTZ settings
+         * @param {object} state        - From createState(), updated in place
+         * @param {number} now          - Current time (ms)
+         * @param {object|null} position - Current {pan, tilt} if known (sweep)
+         * @returns {object} - {commands: [{command, delay}], log: string|null}
+         */
+        update: function(lost, settings, state, now, position) {
+            var result = { commands: [], log: null };
+
+            if (!lost) {
+                if (state.phase !== 'tracking') {
+                    result.log = 'Target reacquired after ' + ((now - state.since) / 1000).toFixed(1) + 's';
+                    if (state.phase === 'zoomout') result.commands.push({ command: PTZCommand.zoom('stop') });
+                    this._enter(state, 'tracking', now);
+                }
+                return result;
+            }
 
-        grid.appendChild(leftCol);
+            switch (state.phase) {
+                case 'tracking':
+                    this._enter(state, 'holding', now);
+                    result.log = 'Target lost - holding position for ' + settings.lostHoldSeconds + 's';
+                    break;
+
+                case 'holding':
+                    if (now - state.since < settings.lostHoldSeconds * 1000) break;
+                    result.log = this._startAction(settings, state, now, position, result.commands);
+                    break;
+
+                case 'zoomout':
+                    if (state.step >= settings.zoomOutSteps) {
+                        state.phase = 'zoomed-out';
+                        result.log = 'Zoom out complete - holding wide';
+                    } else if (now - state.stepAt >= settings.zoomOutInterval * 1000) {
+                        this._zoomStep(settings, state, now, result.commands);
+                        result.log = 'Zoom out step ' + state.step + '/' + settings.zoomOutSteps;
+                    }
+                    break;
 
-        var rightCol = Utils.createElement('div', 'moon-col');
+                case 'sweep':
+                    this._sweep(settings, state, now, position, result.commands);
+                    break;
+            }
+            return result;
+        },
 
-        // Zone drawing controls
-        var zoneControls = Utils.createElement('div', 'moon-zone-controls');
+        _enter: function(state, phase, now) {
+            var since = phase === 'tracking' || state.phase === 'tracking' ? now : state.since;
+            state.phase = phase;
+            state.since = since;
+            state.step = 0;
+            state.stepAt = 0;
+            state.direction = null;
+        },
 
-        var drawBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-draw', {
-            textContent: 'Draw Zone'
-        });
-        drawBtn.onclick = function() { self.startDrawing(drawBtn); };
-        zoneControls.appendChild(drawBtn);
+        /** Leave 'holding' for the configured action. Returns the log line. */
+        _startAction: function(settings, state, now, position, commands) {
+            var label = 'Hold expired - ';
+            switch (settings.lostAction) {
+                case 'home':
+                    state.phase = 'home';
+                    commands.push({ command: PTZCommand.presetRecall(settings.homePreset) });
+                    return label + 'recalling home preset "' + settings.homePresetName + '" (' + settings.homePreset + ')';
+                case 'zoomout':
+                    state.phase = 'zoomout';
+                    this._zoomStep(settings, state, now, commands);
+                    return label + 'zooming out (step 1/' + settings.zoomOutSteps + ')';
+                case 'sweep':
+                    state.phase = 'sweep';
+                    state.timed = !position || !this.hasLimits(settings);
+                    this._sweep(settings, state, now, position, commands);
+                    return label + (state.timed ?
+                        'sweeping on a ' + settings.sweepLegSeconds + 's timer (no pan limits or position)' :
+                        'sweeping between pan limits');
+                default:
+                    state.phase = 'held';
+                    return label + 'continuing to hold';
+            }
+        },
 
-        var finishBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-finish', {
-            textContent: 'Finish Zone',
-            disabled: 'disabled'
-        });
-        finishBtn.onclick = function() { self.finishZone(); };
-        zoneControls.appendChild(finishBtn);
+        /** One zoom-out step: zoom out now, stop after zoomOutStepMs. */
+        _zoomStep: function(settings, state, now, commands) {
+            state.step++;
+            state.stepAt = now;
+            commands.push({ command: PTZCommand.zoom('out', settings.zoomOutSpeed) });
+            commands.push({ command: PTZCommand.zoom('stop'), delay: settings.zoomOutStepMs });
+        },
 
-        var clearZonesBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary', {
-            textContent: 'Clear All Zones'
-        });
-        clearZonesBtn.onclick = function() { self.clearZones(); };
-        zoneControls.appendChild(clearZonesBtn);
+        /** True if both pan limits are stored and in order. */
+        hasLimits: function(settings) {
+            return typeof settings.sweepLeft === 'number' && typeof settings.sweepRight === 'number' &&
+                settings.sweepLeft < settings.sweepRight;
+        },
 
-        rightCol.appendChild(zoneControls);
+        /** Keep the sweep moving; reverse at a limit (or when a timed leg ends). */
+        _sweep: function(settings, state, now, position, commands) {
+            var direction = state.direction;
+
+            if (!state.timed) {
+                // Keep the current direction if an inquiry fails mid-sweep
+                if (position && position.pan <= settings.sweepLeft) direction = 'right';
+                else if (position && position.pan >= settings.sweepRight) direction = 'left';
+                else if (!direction) direction = 'right';
+            } else if (!direction) {
+                // First timed leg is half length so the sweep is centered on the start
+                direction = 'right';
+                state.legStart = now - settings.sweepLegSeconds * 500;
+            } else if (now - state.legStart >= settings.sweepLegSeconds * 1000) {
+                direction = direction === 'right' ? 'left' : 'right';
+                state.legStart = now;
+            }
 
-        // Detection settings
-        var detectGroup = Utils.createElement('div', 'moon-input-group');
-        detectGroup.innerHTML = '<label class="moon-label">Detect in zones:</label>';
+            if (direction !== state.direction) {
+                state.direction = direction;
+                commands.push({ command: PTZCommand.drive(direction, 'stop', settings.sweepSpeed, 1) });
+            }
+        }
+    };
 
-        var detectInput = Utils.createElement('input', 'moon-input moon-zone-detect-input', {
-            type: 'text',
-            placeholder: 'e.g., face, person, forklift, vehicle...',
-            value: 'face'
-        });
-        detectGroup.appendChild(detectInput);
-        rightCol.appendChild(detectGroup);
+    /**
+     * PTZPresetStore - Named camera presets, stored per camera.
+     *
+     * Presets live in localStorage (CONFIG.presetStorageKey) as
+     * { cameraKey: [{number, name, thumbnail, savedAt}, ...] } so they survive
+     * page reloads. The camera key is the camera IP ('simulation' in
+     * simulation mode). Preset numbers are 0-254 (PTZOptics range).
+     *
+     * Export format:
+     *   { format: 'ptzoptics-vrp-presets', version: 1, camera, exportedAt, presets: [...] }
+     */
+    var PTZPresetStore = {
+        FORMAT: 'ptzoptics-vrp-presets',
+        MAX_PRESET: VISCA.MAX_PRESET,
 
-        // Monitor controls
-        var monitorControls = Utils.createElement('div', 'moon-actions');
+        _readAll: function() {
+            try {
+                return JSON.parse(localStorage.getItem(CONFIG.presetStorageKey) || '{}') || {};
+            } catch (e) {
+                return {};
+            }
+        },
 
-        var checkBtn = Utils.createElement('button', 'moon-btn moon-btn-primary moon-btn-lg moon-btn-action', {
-            textContent: 'Check Zones'
-        });
-        checkBtn.onclick = function() {
-            self.ensureApiKey(function() { self.checkZones(); });
-        };
-        monitorControls.appendChild(checkBtn);
+        _writeAll: function(all) {
+            try {
+                localStorage.setItem(CONFIG.presetStorageKey, JSON.stringify(all));
+            } catch (e) {
+                throw new Error('Could not save presets - browser storage is full or disabled');
+            }
+        },
 
-        var monitorBtn = Utils.createElement('button', 'moon-btn moon-btn-warning moon-btn-monitor', {
-            textContent: '▶ Start Monitoring'
-        });
-        monitorBtn.onclick = function() { self.toggleMonitoring(monitorBtn); };
-        monitorControls.appendChild(monitorBtn);
+        /** Presets for a camera, sorted by number. */
+        list: function(cameraKey) {
+            var presets = this._readAll()[cameraKey] || [];
+            return presets.slice().sort(function(a, b) { return a.number - b.number; });
+        },
 
-        rightCol.appendChild(monitorControls);
+        /** True if n is a usable preset number. */
+        isValidNumber: function(n) {
+            return typeof n === 'number' && Math.floor(n) === n && n >= 0 && n <= this.MAX_PRESET;
+        },
 
-        // Zone list
-        var zoneList = Utils.createElement('div', 'moon-zone-list');
-        zoneList.innerHTML = '<h4>Active Zones</h4><div class="moon-zones"></div>';
-        rightCol.appendChild(zoneList);
+        /** Add or overwrite (by number) a preset. */
+        save: function(cameraKey, preset) {
+            if (!this.isValidNumber(preset.number)) {
+                throw new Error('Preset number must be 0-' + this.MAX_PRESET);
+            }
+            var all = this._readAll();
+            var presets = (all[cameraKey] || []).filter(function(p) { return p.number !== preset.number; });
+            presets.push({
+                number: preset.number,
+                name: preset.name || 'Preset ' + preset.number,
+                thumbnail: preset.thumbnail || null,
+                savedAt: preset.savedAt || new Date().toISOString()
+            });
+            all[cameraKey] = presets;
+            this._writeAll(all);
+        },
 
-        // Alert display
-        var alertDisplay = Utils.createElement('div', 'moon-alert-display');
-        alertDisplay.innerHTML = '<h4>Alerts</h4><div class="moon-alerts"></div>';
-        rightCol.appendChild(alertDisplay);
+        remove: function(cameraKey, number) {
+            var all = this._readAll();
+            all[cameraKey] = (all[cameraKey] || []).filter(function(p) { return p.number !== number; });
+            this._writeAll(all);
+        },
 
-        grid.appendChild(rightCol);
-        body.appendChild(grid);
-        this.rootEl.appendChild(body);
+        /** Find a preset by number, or null. */
+        find: function(cameraKey, number) {
+            return this.list(cameraKey).filter(function(p) { return p.number === number; })[0] || null;
+        },
 
-        this._drawBtn = drawBtn;
-        this._finishBtn = finishBtn;
-        this._detectInput = detectInput;
-        this._zoneListEl = zoneList.querySelector('.moon-zones');
-        this._alertsEl = alertDisplay.querySelector('.moon-alerts');
+        exportJSON: function(cameraKey) {
+            return JSON.stringify({
+                format: this.FORMAT,
+                version: 1,
+                camera: cameraKey,
+                exportedAt: new Date().toISOString(),
+                presets: this.list(cameraKey)
+            }, null, 2);
+        },
 
-        // Setup canvas event handlers for drawing
-        this.overlayCanvas.addEventListener('click', function(e) {
-            if (self._isDrawing) {
-                self.addZonePoint(e);
+        /**
+         * Merge presets from an export file into a camera (same numbers are
+         * overwritten).
+         *
+         * @param {string} cameraKey - Camera to import into
+         * @param {string} text      - File contents
+         * @returns {number}         - Number of presets imported
+         */
+        importJSON: function(cameraKey, text) {
+            var data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                throw new Error('Preset file is not valid JSON');
             }
-        });
-
-        this.overlayCanvas.addEventListener('mousemove', function(e) {
-            if (self._isDrawing) {
-                self.updateDrawingPreview(e);
+            if (!data || data.format !== this.FORMAT || !Array.isArray(data.presets)) {
+                throw new Error('Not a preset export file');
             }
-        });
+            var self = this;
+            var valid = data.presets.filter(function(p) { return p && self.isValidNumber(p.number); });
+            valid.forEach(function(p) {
+                // Only image data URLs are accepted as thumbnails
+                var thumbnail = typeof p.thumbnail === 'string' && /^data:image\//.test(p.thumbnail) ? p.thumbnail : null;
+                self.save(cameraKey, { number: p.number, name: String(p.name || ''), thumbnail: thumbnail, savedAt: p.savedAt });
+            });
+            return valid.length;
+        }
+    };
 
-        this.overlayCanvas.addEventListener('mouseleave', function(e) {
-            if (self._isDrawing) {
-                self._mousePos = null;
-                self.redrawZones();
+    /**
+     * PTZSoftLimits - Per-camera pan/tilt/zoom soft limits and no-go regions.
+     *
+     * Limits: { enabled, panMin, panMax, tiltMin, tiltMax, zoomMin, zoomMax,
+     *           margin, regions: [{name, panMin, panMax, tiltMin, tiltMax}] }
+     *
+     * Values are raw camera positions from a VISCA inquiry (pan grows to
+     * the right, tilt grows upward, zoom grows toward telephoto); a null
+     * bound is not enforced. Limits persist in localStorage
+     * (CONFIG.limitStorageKey) per camera key, the same key as presets.
+     *
+     * constrain() removes the motion from a command that would carry the
+     * camera past a limit or into a region: an axis is stopped when the
+     * current position plus `margin` in its direction crosses the bound.
+     * The margin covers travel until the next command. A camera already
+     * inside a region may move freely so it can be driven out. With an
+     * unknown position every pan/tilt (and zoom, if limited) motion is
+     * blocked rather than guessed.
+     */
+    var PTZSoftLimits = {
+        /** Default pan/tilt range of a PTZOptics camera, used to scale the map. */
+        RANGE: { panMin: -2448, panMax: 2448, tiltMin: -432, tiltMax: 1296 },
+
+        createLimits: function() {
+            return {
+                enabled: false,
+                panMin: null, panMax: null,
+                tiltMin: null, tiltMax: null,
+                zoomMin: null, zoomMax: null,
+                margin: 100,
+                regions: []
+            };
+        },
+
+        _readAll: function() {
+            try {
+                return JSON.parse(localStorage.getItem(CONFIG.limitStorageKey) || '{}') || {};
+            } catch (e) {
+                return {};
             }
-        });
-    };
+        },
 
-    ZoneMonitorWidget.prototype.startDrawing = function(btn) {
-        this._isDrawing = true;
-        this._currentZone = [];
-        this._mousePos = null;
-        btn.textContent = 'Click to add points...';
-        btn.classList.add('moon-btn-active');
-        this._finishBtn.disabled = false;
-        this.overlayCanvas.style.pointerEvents = 'auto';
-        this.overlayCanvas.style.cursor = 'crosshair';
-        this.redrawZones();
-    };
+        /** Limits for a camera (defaults if none are stored). */
+        load: function(cameraKey) {
+            var limits = this.createLimits();
+            var stored = this._readAll()[cameraKey] || {};
+            Object.keys(limits).forEach(function(key) {
+                if (stored[key] !== undefined) limits[key] = stored[key];
+            });
+            return limits;
+        },
 
-    ZoneMonitorWidget.prototype.updateDrawingPreview = function(e) {
-        var rect = this.overlayCanvas.getBoundingClientRect();
-        // Store as normalized 0-1 coordinates
-        this._mousePos = {
-            x: (e.clientX - rect.left) / rect.width,
-            y: (e.clientY - rect.top) / rect.height
-        };
-        this.redrawZones();
-    };
+        save: function(cameraKey, limits) {
+            var all = this._readAll();
+            all[cameraKey] = limits;
+            try {
+                localStorage.setItem(CONFIG.limitStorageKey, JSON.stringify(all));
+            } catch (e) {
+                throw new Error('Could not save soft limits - browser storage is full or disabled');
+            }
+        },
 
-    ZoneMonitorWidget.prototype.addZonePoint = function(e) {
-        var rect = this.overlayCanvas.getBoundingClientRect();
-        // Store as normalized 0-1 coordinates
-        var x = (e.clientX - rect.left) / rect.width;
-        var y = (e.clientY - rect.top) / rect.height;
+        /** True if limits are enabled and at least one bound or region is set. */
+        isActive: function(limits) {
+            if (!limits || !limits.enabled) return false;
+            return limits.regions.length > 0 || ['panMin', 'panMax', 'tiltMin', 'tiltMax', 'zoomMin', 'zoomMax']
+                .some(function(key) { return typeof limits[key] === 'number'; });
+        },
 
-        this._currentZone.push({ x: x, y: y });
-        this.redrawZones();
-    };
+        /** True if zoom bounds are set (zoom position must be inquired too). */
+        limitsZoom: function(limits) {
+            return typeof limits.zoomMin === 'number' || typeof limits.zoomMax === 'number';
+        },
 
-    ZoneMonitorWidget.prototype.finishZone = function() {
-        if (this._currentZone.length < 3) {
-            this.showError('Zone needs at least 3 points');
-            return;
-        }
+        /** Build a region from two corners in any order. */
+        createRegion: function(name, pan1, tilt1, pan2, tilt2) {
+            if ([pan1, tilt1, pan2, tilt2].some(function(v) { return typeof v !== 'number' || isNaN(v); })) {
+                throw new Error('A no-go region needs both corners');
+            }
+            if (pan1 === pan2 || tilt1 === tilt2) {
+                throw new Error('The corners of a no-go region must differ in pan and tilt');
+            }
+            return {
+                name: name || 'No-go region',
+                panMin: Math.min(pan1, pan2), panMax: Math.max(pan1, pan2),
+                tiltMin: Math.min(tilt1, tilt2), tiltMax: Math.max(tilt1, tilt2)
+            };
+        },
 
-        var zoneIndex = this._zones.length;
-        this._zones.push({
-            points: this._currentZone.slice(),
-            color: Utils.getColor(zoneIndex),
-            name: 'Zone ' + (zoneIndex + 1)
-        });
+        /**
+         * Read the camera position through a transport.
+         *
+         * @param {object} transport  - VISCA relay or loopback transport
+         * @param {boolean} withZoom  - Also inquire the zoom position
+         * @returns {Promise}         - Resolves with {pan, tilt, zoom}
+         */
+        readPosition: function(transport, withZoom) {
+            return transport.send(PTZCommand.inquire('position')).then(function(result) {
+                if (!result || !result.reply || typeof result.reply.pan !== 'number') {
+                    throw new Error('Camera did not report its position');
+                }
+                var position = { pan: result.reply.pan, tilt: result.reply.tilt, zoom: null };
+                if (!withZoom) return position;
+                return transport.send(PTZCommand.inquire('zoom')).then(function(zoomResult) {
+                    if (!zoomResult || !zoomResult.reply || typeof zoomResult.reply.zoom !== 'number') {
+                        throw new Error('Camera did not report its zoom position');
+                    }
+                    position.zoom = zoomResult.reply.zoom;
+                    return position;
+                });
+            });
+        },
 
-        this._currentZone = [];
-        this._mousePos = null;
-        this._isDrawing = false;
-        this._drawBtn.textContent = 'Draw Zone';
-        this._drawBtn.classList.remove('moon-btn-active');
-        this._finishBtn.disabled = true;
-        this.overlayCanvas.style.cursor = 'default';
-        this.overlayCanvas.style.pointerEvents = 'none';
+        inRegion: function(region, pan, tilt) {
+            return pan >= region.panMin && pan <= region.panMax && tilt >= region.tiltMin && tilt <= region.tiltMax;
+        },
 
-        this.redrawZones();
-        this.updateZoneList();
-    };
+        /**
+         * Remove motion that would push the camera past a limit.
+         *
+         * @param {object} command  - PTZCommand (drive and zoom are checked)
+         * @param {object} limits   - From load()
+         * @param {object|null} position - {pan, tilt, zoom} or null if unknown
+         * @returns {object} - {command, blocked: [reason, ...]}; a fully
+         *                     blocked drive becomes a stop with reason 'limit'
+         */
+        constrain: function(command, limits, position) {
+            var blocked = [];
+            if (!command || !this.isActive(limits)) return { command: command, blocked: blocked };
+
+            if (command.type === 'zoom' && command.direction !== 'stop' && this.limitsZoom(limits)) {
+                var zoom = position && typeof position.zoom === 'number' ? position.zoom : null;
+                if (zoom === null) blocked.push('zoom position unknown');
+                else if (command.direction === 'in' && typeof limits.zoomMax === 'number' && zoom >= limits.zoomMax) blocked.push('zoom max');
+                else if (command.direction === 'out' && typeof limits.zoomMin === 'number' && zoom <= limits.zoomMin) blocked.push('zoom min');
+                return { command: blocked.length ? PTZCommand.zoom('stop') : command, blocked: blocked };
+            }
 
-    ZoneMonitorWidget.prototype.clearZones = function() {
-        this._zones = [];
-        this._currentZone = [];
-        this._mousePos = null;
-        this._isDrawing = false;
-        this._drawBtn.textContent = 'Draw Zone';
-        this._drawBtn.classList.remove('moon-btn-active');
-        this._finishBtn.disabled = true;
-        this.overlayCanvas.style.pointerEvents = 'none';
-        this.clearOverlay();
-        this.updateZoneList();
-        this._alertsEl.innerHTML = '';
-    };
+            if (command.type !== 'drive') return { command: command, blocked: blocked };
+            if (!position || typeof position.pan !== 'number') {
+                return { command: { type: 'stop', reason: 'limit' }, blocked: ['position unknown'] };
+            }
 
-    ZoneMonitorWidget.prototype.redrawZones = function() {
-        this.clearOverlay();
-        var ctx = this.overlayCtx;
-        var w = this.overlayCanvas.width;
-        var h = this.overlayCanvas.height;
-        var self = this;
+            var margin = limits.margin || 0;
+            var panStep = { left: -margin, right: margin, stop: 0 }[command.pan];
+            var tiltStep = { down: -margin, up: margin, stop: 0 }[command.tilt];
+            var panMoves = command.pan !== 'stop';
+            var tiltMoves = command.tilt !== 'stop';
+            var nextPan = position.pan + panStep;
+            var nextTilt = position.tilt + tiltStep;
 
-        // Helper to convert normalized coords to canvas pixels
-        function toPixel(point) {
-            return { x: point.x * w, y: point.y * h };
-        }
+            function crosses(value, moving, min, max) {
+                return moving && ((typeof min === 'number' && value < min) || (typeof max === 'number' && value > max));
+            }
+            // Only block motion toward a bound, so a camera outside the limits can come back
+            if (crosses(nextPan, panMoves, panStep < 0 ? limits.panMin : null, panStep > 0 ? limits.panMax : null)) {
+                panMoves = false;
+                blocked.push(panStep < 0 ? 'pan min' : 'pan max');
+            }
+            if (crosses(nextTilt, tiltMoves, tiltStep < 0 ? limits.tiltMin : null, tiltStep > 0 ? limits.tiltMax : null)) {
+                tiltMoves = false;
+                blocked.push(tiltStep < 0 ? 'tilt min' : 'tilt max');
+            }
 
-        // Draw completed zones (convert normalized to pixels)
-        this._zones.forEach(function(zone) {
-            var pixelPoints = zone.points.map(toPixel);
-            CanvasUtils.drawZone(ctx, pixelPoints, zone.color, zone.name, false);
-        });
+            var self = this;
+            limits.regions.forEach(function(region) {
+                if (!panMoves && !tiltMoves) return;
+                if (self.inRegion(region, position.pan, position.tilt)) return;
+                var pan = panMoves ? nextPan : position.pan;
+                var tilt = tiltMoves ? nextTilt : position.tilt;
+                if (!self.inRegion(region, pan, tilt)) return;
+
+                // Keep whichever axis still avoids the region
+                if (tiltMoves && !self.inRegion(region, position.pan, tilt)) panMoves = false;
+                else if (panMoves && !self.inRegion(region, pan, position.tilt)) tiltMoves = false;
+                else panMoves = tiltMoves = false;
+                blocked.push('region "' + region.name + '"');
+            });
 
-        // Draw current zone being drawn
-        if (this._isDrawing) {
-            var zoneColor = CONFIG.colors.zone;
+            if (!blocked.length) return { command: command, blocked: blocked };
+            if (!panMoves && !tiltMoves) return { command: { type: 'stop', reason: 'limit' }, blocked: blocked };
+            return {
+                command: PTZCommand.drive(panMoves ? command.pan : 'stop', tiltMoves ? command.tilt : 'stop',
+                    command.panSpeed, command.tiltSpeed),
+                blocked: blocked
+            };
+        }
+    };
 
-            // Draw existing points with visible markers
-            this._currentZone.forEach(function(point, i) {
-                var px = toPixel(point);
+    /**
+     * PTZCameraRegistry - Saved PTZ camera profiles for multi-camera venues.
+     *
+     * Profile: { id, name, cameraIP, protocol, username, deviceId, targetObject,
+     *            maxPanSpeed, maxTiltSpeed, maxZoomSpeed, invertPan, invertTilt }
+     *
+     * deviceId is the video input: a webcam's device id, 'net:<id>' for a
+     * saved network camera (NetworkSourceRegistry), or '' for the default webcam.
+     *
+     * Profiles persist in localStorage. Passwords are kept separately in
+     * sessionStorage (like the API key) so they are cleared with the tab.
+     * Credentials are passed to the transport for cameras that require HTTP
+     * authentication.
+     */
+    var PTZCameraRegistry = {
+        defaults: {
+            name: '',
+            cameraIP: '',
+            protocol: 'http',
+            username: '',
+            deviceId: '',
+            targetObject: '',
+            maxPanSpeed: VISCA.PAN_SPEED_MAX,
+            maxTiltSpeed: VISCA.TILT_SPEED_MAX,
+            maxZoomSpeed: VISCA.ZOOM_SPEED_MAX,
+            invertPan: false,
+            invertTilt: false
+        },
 
-                // Outer ring
-                ctx.beginPath();
-                ctx.arc(px.x, px.y, 10, 0, Math.PI * 2);
-                ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-                ctx.fill();
+        list: function() {
+            try {
+                return JSON.parse(localStorage.getItem(CONFIG.cameraStorageKey) || '[]') || [];
+            } catch (e) {
+                return [];
+            }
+        },
 
-                // Inner filled circle
-                ctx.beginPath();
-                ctx.arc(px.x, px.y, 7, 0, Math.PI * 2);
-                ctx.fillStyle = zoneColor;
-                ctx.fill();
+        get: function(id) {
+            return this.list().filter(function(c) { return c.id === id; })[0] || null;
+        },
 
-                // Point number
-                ctx.fillStyle = '#000';
-                ctx.font = 'bold 10px system-ui, sans-serif';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText((i + 1).toString(), px.x, px.y);
-                ctx.textAlign = 'left';
-                ctx.textBaseline = 'alphabetic';
+        /**
+         * Add or update a profile (matched by id). Returns the saved profile.
+         * @param {object} camera - Profile fields; password is stored separately
+         */
+        save: function(camera) {
+            if (!camera.name) throw new Error('Camera name is required');
+            if (!camera.cameraIP) throw new Error('Camera IP is required');
+
+            var defaults = this.defaults;
+            var profile = { id: camera.id || Utils.uniqueId('cam') };
+            Object.keys(defaults).forEach(function(key) {
+                profile[key] = camera[key] !== undefined ? camera[key] : defaults[key];
             });
 
-            // Draw solid lines between placed points
-            if (this._currentZone.length > 1) {
-                ctx.beginPath();
-                var first = toPixel(this._currentZone[0]);
-                ctx.moveTo(first.x, first.y);
-                for (var i = 1; i < this._currentZone.length; i++) {
-                    var pt = toPixel(this._currentZone[i]);
-                    ctx.lineTo(pt.x, pt.y);
-                }
-                ctx.strokeStyle = zoneColor;
-                ctx.lineWidth = 3;
-                ctx.stroke();
+            var cameras = this.list().filter(function(c) { return c.id !== profile.id; });
+            cameras.push(profile);
+            try {
+                localStorage.setItem(CONFIG.cameraStorageKey, JSON.stringify(cameras));
+            } catch (e) {
+                throw new Error('Could not save camera - browser storage is full or disabled');
             }
+            if (camera.password !== undefined) this.setPassword(profile.id, camera.password);
+            return profile;
+        },
 
-            // Draw preview line from last point to mouse cursor
-            if (this._mousePos && this._currentZone.length > 0) {
-                var lastPx = toPixel(this._currentZone[this._currentZone.length - 1]);
-                var mousePx = toPixel(this._mousePos);
+        remove: function(id) {
+            var cameras = this.list().filter(function(c) { return c.id !== id; });
+            try {
+                localStorage.setItem(CONFIG.cameraStorageKey, JSON.stringify(cameras));
+            } catch (e) {
+                // Storage disabled - nothing was persisted anyway
+            }
+            this.setPassword(id, '');
+        },
 
-                // Dashed line to cursor
-                ctx.beginPath();
-                ctx.moveTo(lastPx.x, lastPx.y);
-                ctx.lineTo(mousePx.x, mousePx.y);
-                ctx.strokeStyle = zoneColor;
-                ctx.lineWidth = 2;
-                ctx.setLineDash([8, 4]);
-                ctx.stroke();
-                ctx.setLineDash([]);
+        _readPasswords: function() {
+            try {
+                return JSON.parse(sessionStorage.getItem(CONFIG.credentialStorageKey) || '{}') || {};
+            } catch (e) {
+                return {};
+            }
+        },
 
-                // Show closing line preview (to first point) if we have 2+ points
-                if (this._currentZone.length >= 2) {
-                    var firstPx = toPixel(this._currentZone[0]);
-                    ctx.beginPath();
-                    ctx.moveTo(mousePx.x, mousePx.y);
-                    ctx.lineTo(firstPx.x, firstPx.y);
-                    ctx.strokeStyle = 'rgba(255, 217, 61, 0.3)';
-                    ctx.lineWidth = 2;
-                    ctx.setLineDash([4, 4]);
-                    ctx.stroke();
-                    ctx.setLineDash([]);
-                }
+        getPassword: function(id) {
+            return this._readPasswords()[id] || '';
+        },
 
-                // Cursor dot
-                ctx.beginPath();
-                ctx.arc(mousePx.x, mousePx.y, 5, 0, Math.PI * 2);
-                ctx.fillStyle = zoneColor;
-                ctx.fill();
-                ctx.strokeStyle = '#fff';
-                ctx.lineWidth = 2;
-                ctx.stroke();
+        setPassword: function(id, password) {
+            var passwords = this._readPasswords();
+            if (password) passwords[id] = password;
+            else delete passwords[id];
+            try {
+                sessionStorage.setItem(CONFIG.credentialStorageKey, JSON.stringify(passwords));
+            } catch (e) {
+                // sessionStorage may be disabled in some browsers/modes
             }
-        }
-    };
-
-    ZoneMonitorWidget.prototype.updateZoneList = function() {
-        var self = this;
-        this._zoneListEl.innerHTML = '';
+        },
 
-        if (this._zones.length === 0) {
-            this._zoneListEl.innerHTML = '<p class="moon-no-zones">No zones defined. Click "Draw Zone" to create one.</p>';
-            return;
+        /**
+         * Adapt a command to a camera: swap directions for inverted
+         * (e.g. ceiling-mounted) cameras and clamp speeds to its limits.
+         *
+         * @param {object} command - PTZCommand
+         * @param {object} camera  - Profile
+         * @returns {object}       - New command
+         */
+        applyProfile: function(command, camera) {
+            var out = {};
+            Object.keys(command).forEach(function(key) { out[key] = command[key]; });
+
+            if (out.type === 'drive') {
+                var flipPan = { left: 'right', right: 'left', stop: 'stop' };
+                var flipTilt = { up: 'down', down: 'up', stop: 'stop' };
+                if (camera.invertPan) out.pan = flipPan[out.pan];
+                if (camera.invertTilt) out.tilt = flipTilt[out.tilt];
+                out.panSpeed = Math.min(out.panSpeed, camera.maxPanSpeed || VISCA.PAN_SPEED_MAX);
+                out.tiltSpeed = Math.min(out.tiltSpeed, camera.maxTiltSpeed || VISCA.TILT_SPEED_MAX);
+            } else if (out.type === 'zoom' && out.speed) {
+                out.speed = Math.min(out.speed, camera.maxZoomSpeed || VISCA.ZOOM_SPEED_MAX);
+            }
+            return out;
         }
+    };
 
-        this._zones.forEach(function(zone, index) {
-            var item = Utils.createElement('div', 'moon-zone-item');
-            item.innerHTML = '<span class="moon-zone-color" style="background:' + zone.color + '"></span>' +
-                '<span class="moon-zone-name">' + zone.name + '</span>' +
-                '<button class="moon-btn moon-btn-sm moon-btn-delete">×</button>';
+    /**
+     * PTZCameraSession - One camera's independent tracking loop.
+     *
+     * Each registered camera gets its own video input, transport, target
+     * and control state, and runs the same pipeline as the single-camera
+     * tracker: detect -> PTZTargetSelection -> TargetPredictor ->
+     * PTZControlLaw (+ PTZZoomControl) -> profile (inversion, speed limits)
+     * -> transport. When the target is lost the camera stops. The
+     * camera's soft limits (PTZSoftLimits, keyed by IP) are checked against
+     * a position read after each detection.
+     *
+     * Health:
+     * - 'idle'     : not running
+     * - 'ok'       : last detection and command succeeded
+     * - 'degraded' : the last detection or command failed
+     * - 'offline'  : 3+ consecutive command failures
+     *
+     * @constructor
+     * @param {object} camera   - PTZCameraRegistry profile
+     * @param {object} shared   - Tracker settings shared by all cameras
+     * @param {boolean} simulate - Use the VISCA loopback transport
+     */
+    function PTZCameraSession(camera, shared, simulate) {
+        var settings = {};
+        Object.keys(shared).forEach(function(key) { settings[key] = shared[key]; });
+        settings.cameraIP = camera.cameraIP;
+        settings.protocol = camera.protocol;
+        settings.username = camera.username;
+        settings.password = PTZCameraRegistry.getPassword(camera.id);
+        settings.targetObject = camera.targetObject || shared.targetObject;
+        settings.panSpeed = Math.min(shared.panSpeed, camera.maxPanSpeed);
+        settings.tiltSpeed = Math.min(shared.tiltSpeed, camera.maxTiltSpeed);
+        settings.zoomSpeed = Math.min(shared.zoomSpeed, camera.maxZoomSpeed);
+
+        this.camera = camera;
+        this.settings = settings;
+        this.simulate = simulate;
+        this.transport = PTZTransports.create(settings, simulate);
+        this.limits = PTZSoftLimits.load(simulate ? 'simulation' : camera.cameraIP);
+        this.position = null;
+        this.video = null;
+        this.source = null;         // MediaSources webcam or network camera shown in this.video
+        this.onUpdate = null;
+        this._interval = null;
+        this._requests = null;      // AbortController for this camera's detections
+        this._apiPaused = false;    // Camera held while ApiClient.livePause() is set
+        this._busy = false;
+        this._running = false;
+        this._generation = 0;       // Bumped by start() and stop(); a stale open is dropped
+        this.reset();
+    }
 
-            item.querySelector('.moon-btn-delete').onclick = function() {
-                self._zones.splice(index, 1);
-                self.redrawZones();
-                self.updateZoneList();
-            };
+    /** Clear tracking state and statistics. */
+    PTZCameraSession.prototype.reset = function() {
+        this.controlState = PTZControlLaw.createState();
+        this.zoomState = PTZZoomControl.createState();
+        this.predictor = new TargetPredictor();
+        this.lockBox = null;
+        this.position = null;
+        this._apiPaused = false;
+        this.stats = {
+            detections: 0, detected: false, command: null, latencyMs: 0,
+            commandFailures: 0, consecutiveFailures: 0, detectError: null, lastError: null, limit: null
+        };
+    };
 
-            self._zoneListEl.appendChild(item);
+    /**
+     * Open the camera's video input and start the loop. The input is a
+     * shared MediaSources webcam or network camera, so a demo already
+     * showing the same camera keeps running. If stop() comes first, the
+     * input is released when it opens and the loop never starts.
+     *
+     * @param {HTMLVideoElement} video - Element to play the camera's feed in
+     * @returns {Promise}
+     */
+    PTZCameraSession.prototype.start = function(video) {
+        var self = this;
+        var generation = ++this._generation;
+        this.video = video;
+        this.reset();
+        if (PTZSoftLimits.isActive(this.limits) && !PTZTransports.canInquire(this.camera.protocol, this.simulate)) {
+            return Promise.reject(new Error('Soft limits need VISCA position inquiry'));
+        }
+        return this._openSource().catch(function(err) {
+            throw new Error('Video input: ' + err.message);
+        }).then(function(source) {
+            if (generation !== self._generation) {
+                MediaSources.release(source);
+                return;
+            }
+            self.source = source;
+            MediaSources.attach(source, video);
+            self._running = true;
+            self._requests = new AbortController();
+            self._interval = setInterval(function() { self.tick(); }, 1000 / self.settings.detectionRate);
+            self.tick();
         });
     };
 
-    ZoneMonitorWidget.prototype.checkZones = function() {
-        var self = this;
-        var frame = this.getCurrentFrame();
-        var objectName = this._detectInput.value.trim();
+    /** Open the profile's video input: a webcam, or a saved network camera ('net:<id>'). */
+    PTZCameraSession.prototype._openSource = function() {
+        var deviceId = this.camera.deviceId || '';
+        if (deviceId.indexOf('net:') !== 0) return MediaSources.openWebcam(deviceId || null);
+        var config = NetworkSourceRegistry.get(deviceId.slice(4));
+        if (!config) return Promise.reject(new Error('The network camera was removed. Choose another input.'));
+        return MediaSources.openNetwork(config);
+    };
 
-        if (!frame) {
-            this.showError('Please start webcam or upload an image first');
-            return;
-        }
-        if (this._zones.length === 0) {
-            this.showError('Please draw at least one zone first');
-            return;
+    PTZCameraSession.prototype.stop = function() {
+        this._generation++;
+        this._running = false;
+        if (this._interval) {
+            clearInterval(this._interval);
+            this._interval = null;
         }
-        if (!objectName) {
-            this.showError('Please enter what to detect');
+        if (this._requests) this._requests.abort();
+        this._requests = null;
+        this._send(PTZCommand.stop());
+        if (this.zoomState.direction !== 'stop') this._send(PTZCommand.zoom('stop'));
+        if (this.source) MediaSources.detach(this.source, this.video);
+        this.source = null;
+        this._notify();
+    };
+
+    /**
+     * One detection and command cycle. Skipped while a detection is in
+     * flight; holds the camera still while live requests are paused
+     * (ApiClient.livePause).
+     */
+    PTZCameraSession.prototype.tick = function() {
+        var self = this;
+        if (!this._running || this._busy || !this.video.videoWidth) return;
+        var pause = ApiClient.livePause();
+        if (pause) {
+            if (!this._apiPaused) {
+                this._apiPaused = true;
+                this._send(PTZCommand.stop());
+                if (this.zoomState.direction !== 'stop') this._send(PTZCommand.zoom('stop'));
+                this.controlState = PTZControlLaw.createState();
+                this.zoomState = PTZZoomControl.createState();
+                this.stats.command = null;
+            }
+            this.stats.detectError = pause.message;
+            this._notify();
             return;
         }
+        this._apiPaused = false;
+
+        var settings = this.settings;
+        var frame = CapturePolicy.capture(this.video, CapturePolicy.load('ptz-tracker'));
+        var capturedAt = Date.now();
+        this._busy = true;
+
+        ApiClient.detect(frame, settings.targetObject, {
+            priority: 'continuous',
+            coalesce: 'ptz-camera:' + this.camera.id,
+            signal: this._requests.signal,
+            source: 'ptz-tracker'
+        }).then(function(response) {
+            if (!PTZSoftLimits.isActive(self.limits)) return response;
+            // Check limits against where the camera is now, not at capture
+            return PTZSoftLimits.readPosition(self.transport, PTZSoftLimits.limitsZoom(self.limits)).then(function(position) {
+                self.position = position;
+            }, function() {
+                self.position = null;
+            }).then(function() { return response; });
+        }).then(function(response) {
+            self._busy = false;
+            if (!self._running) return;
+            var now = Date.now();
+            var objects = response.objects || [];
+            self.stats.detections++;
+            self.stats.detectError = null;
+            self.stats.latencyMs = now - capturedAt;
+
+            // Follow the same subject between frames; a new subject restarts prediction
+            // ('talking' needs the extra detect pass of the main tracker, so use 'largest')
+            var associated = self.lockBox ?
+                PTZTargetSelection.associate(self.lockBox, objects, settings.lockIou, settings.lockMaxJump) : null;
+            var target = associated ||
+                PTZTargetSelection.pick(objects, settings.targetStrategy === 'talking' ? 'largest' : settings.targetStrategy);
+            if (!associated) self.predictor.reset();
+            self.lockBox = target;
+            self.stats.detected = !!target;
+
+            var aim = target;
+            if (target && settings.prediction) {
+                self.predictor.update(target, capturedAt);
+                aim = self.predictor.predict(now + (settings.predictionLeadMs || 0)) || target;
+            }
 
-        this.hideError();
-        this.setLoading(true, 'Checking...');
+            var command;
+            if (aim) {
+                var offsetX = ((aim.x_min + aim.x_max) / 2) * 100 - 50;
+                var offsetY = ((aim.y_min + aim.y_max) / 2) * 100 - 50;
+                command = PTZControlLaw.compute(offsetX, offsetY, settings, self.controlState, 1 / settings.detectionRate);
+            } else {
+                self.controlState = PTZControlLaw.createState();
+                command = PTZCommand.stop();
+            }
 
-        ApiClient.detect(frame, objectName).then(function(response) {
-            self.setLoading(false);
-            self.analyzeZoneIntrusions(response.objects || [], objectName);
+            var holding = command.reason === 'settled' && self.stats.command && self.stats.command.reason === 'settled';
+            if (!holding) self._send(command);
+            self.stats.command = command;
+
+            if (settings.autoZoom) {
+                var zoomCommand = PTZZoomControl.compute(aim, settings, self.zoomState, now);
+                if (zoomCommand) self._send(zoomCommand);
+            }
+            self._notify();
         }).catch(function(err) {
-            self.setLoading(false);
-            self.showError(err.message);
+            self._busy = false;
+            if (ApiClient.isAbort(err)) return;
+            self.stats.detectError = err.message;
+            self._notify();
         });
     };
 
-    ZoneMonitorWidget.prototype.analyzeZoneIntrusions = function(objects, objectName) {
+    /** Send through the transport after applying the camera profile and soft limits. */
+    PTZCameraSession.prototype._send = function(command) {
         var self = this;
-        this.redrawZones();
+        var stats = this.stats;
+        var limited = PTZSoftLimits.constrain(PTZCameraRegistry.applyProfile(command, this.camera), this.limits, this.position);
+        if (command.type === 'drive') stats.limit = limited.blocked.join(', ') || null;
+        if (command.type === 'zoom' && limited.blocked.length) {
+            // Let the zoom loop ask again once the zoom is back inside its limits
+            this.zoomState.direction = 'stop';
+            this.zoomState.speed = 0;
+        }
+        return this.transport.send(limited.command).then(function(result) {
+            stats.consecutiveFailures = 0;
+            return result;
+        }).catch(function(err) {
+            stats.commandFailures++;
+            stats.consecutiveFailures++;
+            stats.lastError = err.message;
+            self._notify();
+            return null;
+        });
+    };
 
-        var ctx = this.overlayCtx;
-        var w = this.overlayCanvas.width;
-        var h = this.overlayCanvas.height;
+    /** 'idle' | 'ok' | 'degraded' | 'offline' */
+    PTZCameraSession.prototype.health = function() {
+        if (!this._running) return 'idle';
+        if (this.stats.consecutiveFailures >= 3) return 'offline';
+        if (this.stats.consecutiveFailures > 0 || this.stats.detectError) return 'degraded';
+        return 'ok';
+    };
 
-        // Helper to convert normalized coords to canvas pixels
-        function toPixel(point) {
-            return { x: point.x * w, y: point.y * h };
-        }
+    PTZCameraSession.prototype._notify = function() {
+        if (this.onUpdate) this.onUpdate(this);
+    };
 
-        this._alertsEl.innerHTML = '';
-        var alerts = [];
+    /**
+     * PTZManualControl - Keyboard and gamepad input for manual PTZ control.
+     *
+     * | Input                     | Action                               |
+     * |---------------------------|--------------------------------------|
+     * | Arrow keys                | Pan/tilt at half speed (Shift: full) |
+     * | + / - (PageUp / PageDown) | Zoom in / out                        |
+     * | 1-9                       | Recall preset 1-9                    |
+     * | Left stick                | Analog pan/tilt                      |
+     * | D-pad                     | Pan/tilt at half speed               |
+     * | RT / LT, right stick Y    | Analog zoom rocker (in / out)        |
+     * | A / B / X / Y             | Recall preset 1 / 2 / 3 / 4          |
+     *
+     * Sticks use the browser's standard gamepad mapping. Analog pan/tilt is
+     * squared past the stick deadzone for fine control near center; zoom
+     * is linear. read() turns the current input into signed speeds, and
+     * the caller sends a command only when they change.
+     */
+    var PTZManualControl = {
+        /** Standard-mapping button indices for presets 1-4. */
+        PRESET_BUTTONS: [0, 1, 2, 3],
 
-        // Draw detected objects and check zone intrusions
-        objects.forEach(function(obj, objIndex) {
-            // Object center in normalized coordinates (API returns 0-1)
-            var objCenterNorm = {
-                x: (obj.x_min + obj.x_max) / 2,
-                y: (obj.y_min + obj.y_max) / 2
-            };
+        /** Fresh input state: held keys and previous button presses. */
+        createState: function() {
+            return { keys: {}, buttons: [], pan: 0, tilt: 0, zoom: 0 };
+        },
 
-            var inZone = false;
-            var zoneName = '';
+        /** Key → held action, or null for keys manual control ignores. */
+        keyAction: function(key) {
+            switch (key) {
+                case 'ArrowLeft': return 'left';
+                case 'ArrowRight': return 'right';
+                case 'ArrowUp': return 'up';
+                case 'ArrowDown': return 'down';
+                case '+': case '=': case 'PageUp': return 'zoomin';
+                case '-': case '_': case 'PageDown': return 'zoomout';
+                default: return null;
+            }
+        },
 
-            // Check each zone (zone points are in normalized 0-1 coordinates)
-            self._zones.forEach(function(zone) {
-                if (CanvasUtils.pointInPolygon(objCenterNorm, zone.points)) {
-                    inZone = true;
-                    zoneName = zone.name;
+        /** Preset number for a digit key, or null. */
+        keyPreset: function(key) {
+            return /^[1-9]$/.test(key) ? parseInt(key, 10) : null;
+        },
 
-                    // Highlight the zone (convert to pixels for drawing)
-                    var pixelPoints = zone.points.map(toPixel);
-                    CanvasUtils.drawZone(ctx, pixelPoints, CONFIG.colors.error, zone.name + ' - ALERT!', true);
+        /**
+         * Magnitude past the deadzone, rescaled to 0-1 (signed).
+         *
+         * @param {number} value    - Axis value (-1 to 1)
+         * @param {number} deadzone - Ignored range around center (0-1)
+         * @returns {number}
+         */
+        analogLevel: function(value, deadzone) {
+            var magnitude = Math.abs(value);
+            if (magnitude <= deadzone) return 0;
+            var level = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+            return value < 0 ? -level : level;
+        },
+
+        /** Signed pan/tilt speed for a level; squared for fine control. */
+        driveSpeed: function(level, maxSpeed) {
+            if (!level) return 0;
+            var speed = Math.max(1, Math.round(level * level * maxSpeed));
+            return level < 0 ? -speed : speed;
+        },
+
+        /**
+         * Read keyboard and gamepad into signed speeds (pan + right,
+         * tilt + up, zoom + in) and newly pressed preset buttons. A moving
+         * stick wins over held keys.
+         *
+         * @param {object} state        - From createState(); button edges are tracked here
+         * @param {Gamepad|null} gamepad - Connected gamepad, if any
+         * @param {object} settings     - {manualPanSpeed, manualTiltSpeed, manualZoomSpeed, gamepadDeadzone}
+         * @returns {object}            - {pan, tilt, zoom, presets: [n, ...]}
+         */
+        read: function(state, gamepad, settings) {
+            var keys = state.keys;
+            var keyLevel = keys.shift ? 1 : 0.5;
+            var pan = ((keys.right ? 1 : 0) - (keys.left ? 1 : 0)) * keyLevel;
+            var tilt = ((keys.up ? 1 : 0) - (keys.down ? 1 : 0)) * keyLevel;
+            var zoom = ((keys.zoomin ? 1 : 0) - (keys.zoomout ? 1 : 0)) * keyLevel;
+            var presets = [];
+            var panSpeed, tiltSpeed;
+
+            if (gamepad) {
+                var axes = gamepad.axes;
+                var buttons = gamepad.buttons;
+                var deadzone = settings.gamepadDeadzone;
+                var pressed = function(i) { return !!(buttons[i] && buttons[i].pressed); };
+                var stickPan = this.analogLevel(axes[0] || 0, deadzone);
+                var stickTilt = -this.analogLevel(axes[1] || 0, deadzone);
+                var padPan = (pressed(15) ? 0.5 : 0) - (pressed(14) ? 0.5 : 0);
+                var padTilt = (pressed(12) ? 0.5 : 0) - (pressed(13) ? 0.5 : 0);
+                var triggers = (buttons[7] ? buttons[7].value : 0) - (buttons[6] ? buttons[6].value : 0);
+                var rocker = this.analogLevel(triggers, deadzone) || -this.analogLevel(axes[3] || 0, deadzone);
+
+                if (stickPan || stickTilt) {
+                    // Analog stick: squared response
+                    panSpeed = this.driveSpeed(stickPan, settings.manualPanSpeed);
+                    tiltSpeed = this.driveSpeed(stickTilt, settings.manualTiltSpeed);
+                } else if (padPan || padTilt) {
+                    pan = padPan;
+                    tilt = padTilt;
                 }
-            });
+                if (rocker) zoom = rocker;
 
-            // Draw object bounding box
-            var color = inZone ? CONFIG.colors.error : CONFIG.colors.detect;
-            CanvasUtils.drawBoundingBox(ctx, obj, color, objectName + ' ' + (objIndex + 1), w, h);
+                this.PRESET_BUTTONS.forEach(function(index, slot) {
+                    if (pressed(index) && !state.buttons[index]) presets.push(slot + 1);
+                    state.buttons[index] = pressed(index);
+                });
+            }
 
-            if (inZone) {
-                alerts.push(objectName + ' detected in ' + zoneName);
+            // Digital input (keys, D-pad) scales linearly
+            if (panSpeed === undefined) {
+                panSpeed = pan ? (pan < 0 ? -1 : 1) * Math.max(1, Math.round(Math.abs(pan) * settings.manualPanSpeed)) : 0;
+                tiltSpeed = tilt ? (tilt < 0 ? -1 : 1) * Math.max(1, Math.round(Math.abs(tilt) * settings.manualTiltSpeed)) : 0;
             }
+            var zoomSpeed = zoom ? (zoom < 0 ? -1 : 1) * Math.max(1, Math.round(Math.abs(zoom) * settings.manualZoomSpeed)) : 0;
+
+            return { pan: panSpeed, tilt: tiltSpeed, zoom: zoomSpeed, presets: presets };
+        },
+
+        /** Drive (or stop) command for signed pan/tilt speeds. */
+        driveCommand: function(pan, tilt) {
+            if (!pan && !tilt) return PTZCommand.stop();
+            return PTZCommand.drive(
+                pan ? (pan < 0 ? 'left' : 'right') : 'stop',
+                tilt ? (tilt < 0 ? 'down' : 'up') : 'stop',
+                Math.abs(pan) || 1,
+                Math.abs(tilt) || 1
+            );
+        },
+
+        /** Zoom command for a signed zoom speed. */
+        zoomCommand: function(zoom) {
+            if (!zoom) return PTZCommand.zoom('stop');
+            return PTZCommand.zoom(zoom > 0 ? 'in' : 'out', Math.abs(zoom));
+        }
+    };
+
+    /**
+     * PTZCommandJournal - Timestamped record of a tracking session.
+     *
+     * Every detection result and every command sent is an entry:
+     *
+     *   { seq, time, offsetMs, kind: 'detection', source, object, objects,
+     *     target: {x, y, width, height} | null, latencyMs }
+     *   { seq, time, offsetMs, kind: 'command', source, command, description,
+     *     panSpeed, tiltSpeed, zoomSpeed, blocked, status, request, reply,
+     *     error, latencyMs }
+     *
+     * offsetMs counts from the first entry; target is the box center and
+     * size in normalized frame coordinates. Command entries start with
+     * status 'pending' and are completed from the transport result
+     * ('ok', 'unverified' or 'failed'). Only the newest MAX_ENTRIES are
+     * kept. Exports to CSV (one row per entry) and JSON; fromJSON() reads
+     * an export back so a session can be replayed later.
+     *
+     * @constructor
+     */
+    function PTZCommandJournal() {
+        this.entries = [];
+        this.startedAt = 0;
+        this._seq = 0;
+    }
+
+    PTZCommandJournal.FORMAT = 'ptz-command-journal';
+    PTZCommandJournal.MAX_ENTRIES = 5000;
+
+    PTZCommandJournal.CSV_COLUMNS = [
+        'seq', 'time', 'offsetMs', 'kind', 'source', 'object', 'objects',
+        'targetX', 'targetY', 'targetWidth', 'targetHeight',
+        'description', 'panSpeed', 'tiltSpeed', 'zoomSpeed', 'blocked',
+        'status', 'request', 'reply', 'error', 'latencyMs'
+    ];
+
+    /**
+     * Add an entry.
+     *
+     * @param {string} kind   - 'detection' or 'command'
+     * @param {object} fields - Entry fields (see above)
+     * @returns {object}      - The new entry
+     */
+    PTZCommandJournal.prototype.record = function(kind, fields) {
+        var now = Date.now();
+        if (!this.startedAt) this.startedAt = now;
+        var entry = { seq: ++this._seq, time: now, offsetMs: now - this.startedAt, kind: kind };
+        Object.keys(fields).forEach(function(key) { entry[key] = fields[key]; });
+        this.entries.push(entry);
+        if (this.entries.length > PTZCommandJournal.MAX_ENTRIES) this.entries.shift();
+        return entry;
+    };
+
+    /**
+     * Add a command entry, pending until complete() is called.
+     *
+     * @param {object} command  - PTZCommand as sent (after soft limits)
+     * @param {string} source   - What produced it ('tracking', 'zoom', 'lost', 'manual', ...)
+     * @param {Array} blocked   - Soft-limit reasons that removed motion, if any
+     * @returns {object}        - The new entry
+     */
+    PTZCommandJournal.prototype.recordCommand = function(command, source, blocked) {
+        var drive = command.type === 'drive';
+        return this.record('command', {
+            source: source,
+            command: command,
+            description: PTZCommand.describe(command),
+            panSpeed: drive && command.pan !== 'stop' ? command.panSpeed : null,
+            tiltSpeed: drive && command.tilt !== 'stop' ? command.tiltSpeed : null,
+            zoomSpeed: command.type === 'zoom' && command.direction !== 'stop' ? command.speed : null,
+            blocked: (blocked || []).join(', '),
+            status: 'pending',
+            request: '',
+            reply: '',
+            error: '',
+            latencyMs: null
         });
+    };
 
-        // Display alerts
-        if (alerts.length > 0) {
-            alerts.forEach(function(alert) {
-                var alertEl = Utils.createElement('div', 'moon-alert-item moon-alert-danger');
-                alertEl.innerHTML = '⚠️ ' + Utils.escapeHTML(alert);
-                self._alertsEl.appendChild(alertEl);
-            });
-        } else if (objects.length > 0) {
-            var safeEl = Utils.createElement('div', 'moon-alert-item moon-alert-safe');
-            safeEl.innerHTML = '✓ ' + objects.length + ' ' + objectName + '(s) detected - none in restricted zones';
-            this._alertsEl.appendChild(safeEl);
+    /**
+     * Fill in a command entry from the transport's answer. Transports that
+     * do not time themselves get the time from send to answer.
+     *
+     * @param {object} entry        - From recordCommand()
+     * @param {object|null} result  - Transport result
+     * @param {Error|null} error    - Failure reason
+     */
+    PTZCommandJournal.prototype.complete = function(entry, result, error) {
+        if (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
         } else {
-            var noneEl = Utils.createElement('div', 'moon-alert-item');
-            noneEl.innerHTML = 'No ' + objectName + ' detected in scene';
-            this._alertsEl.appendChild(noneEl);
+            entry.status = result && result.verified ? 'ok' : 'unverified';
+            entry.request = result && result.request ? String(result.request) : '';
+            if (result && result.status) entry.reply = 'HTTP ' + result.status;
+            else if (result && result.reply) entry.reply = result.reply.kind || '';
         }
+        entry.latencyMs = result && typeof result.latencyMs === 'number' ?
+            Math.round(result.latencyMs) : Date.now() - entry.time;
     };
 
-    ZoneMonitorWidget.prototype.toggleMonitoring = function(btn) {
-        var self = this;
-        if (this._continuousInterval) {
-            this.stopContinuous();
-            btn.textContent = '▶ Start Monitoring';
-            btn.classList.remove('moon-btn-active');
-        } else {
-            if (!MediaCapture.stream) {
-                this.showError('Start webcam for monitoring');
-                return;
-            }
-            if (this._zones.length === 0) {
-                this.showError('Draw at least one zone first');
-                return;
-            }
-            btn.textContent = '■ Stop Monitoring';
-            btn.classList.add('moon-btn-active');
-            this.startContinuous(function() {
-                self.checkZones();
-            }, 2000);
+    /** Command entries that can be sent again (no inquiries). */
+    PTZCommandJournal.prototype.commands = function() {
+        return this.entries.filter(function(entry) {
+            return entry.kind === 'command' && entry.command &&
+                entry.command.type !== 'inquire' && ViscaLoopbackTransport.WIRE_FIELDS[entry.command.type];
+        });
+    };
+
+    PTZCommandJournal.prototype.exportCSV = function() {
+        function cell(value) {
+            if (value === null || value === undefined) return '';
+            var text = String(value);
+            return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+        }
+        var rows = [PTZCommandJournal.CSV_COLUMNS.join(',')];
+        this.entries.forEach(function(entry) {
+            var target = entry.target || {};
+            var values = {
+                time: new Date(entry.time).toISOString(),
+                targetX: target.x, targetY: target.y, targetWidth: target.width, targetHeight: target.height
+            };
+            rows.push(PTZCommandJournal.CSV_COLUMNS.map(function(column) {
+                return cell(column in values ? values[column] : entry[column]);
+            }).join(','));
+        });
+        return rows.join('\r\n') + '\r\n';
+    };
+
+    /**
+     * @param {object} meta - Extra header fields (camera, protocol, target)
+     * @returns {string}
+     */
+    PTZCommandJournal.prototype.exportJSON = function(meta) {
+        var data = { format: PTZCommandJournal.FORMAT, version: 1, exportedAt: new Date().toISOString() };
+        Object.keys(meta || {}).forEach(function(key) { data[key] = meta[key]; });
+        data.startedAt = this.startedAt ? new Date(this.startedAt).toISOString() : null;
+        data.entries = this.entries;
+        return JSON.stringify(data, null, 2);
+    };
+
+    /**
+     * Read a JSON export back into a journal.
+     *
+     * @param {string} text - File contents
+     * @returns {PTZCommandJournal}
+     */
+    PTZCommandJournal.fromJSON = function(text) {
+        var data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Journal file is not valid JSON');
+        }
+        if (!data || data.format !== PTZCommandJournal.FORMAT || !Array.isArray(data.entries)) {
+            throw new Error('Not a command journal export file');
+        }
+        var journal = new PTZCommandJournal();
+        journal.entries = data.entries.filter(function(entry) {
+            return entry && typeof entry.offsetMs === 'number' && (entry.kind === 'detection' || entry.kind === 'command');
+        }).slice(-PTZCommandJournal.MAX_ENTRIES);
+        if (journal.entries.length) {
+            var first = journal.entries[0];
+            journal.startedAt = first.time - first.offsetMs;
+            journal._seq = journal.entries[journal.entries.length - 1].seq || journal.entries.length;
         }
+        return journal;
     };
 
     // ============================================================
-    // WIDGET 6: PRODUCTION MONITOR (ShotSquire-style)
+    // WIDGET 7: PTZ AUTO-TRACKER
     // ============================================================
     /**
-     * ProductionMonitorWidget - Comprehensive video production quality dashboard.
+     * PTZTrackerWidget - AI-powered PTZ camera auto-tracking.
      *
-     * Combines traditional computer vision (MediaPipe, OpenCV) with MoonDream's
-     * visual reasoning for a hybrid approach to shot quality analysis.
+     * Uses MoonDream to detect any specified object and automatically
+     * sends pan/tilt commands to a PTZ camera to keep the object centered.
      *
-     * MONITORS (7 total):
-     * | Monitor     | Source     | What It Checks                    |
-     * |-------------|------------|-----------------------------------|
-     * | Orientation | MediaPipe  | Is subject facing camera?         |
-     * | Talking     | MediaPipe  | Is subject speaking?              |
-     * | Focus       | Canvas     | Is image sharp (Laplacian)?       |
-     * | Lighting    | Canvas     | Is scene properly exposed?        |
-     * | Presence    | MoonDream  | Is a face detected in frame?      |
-     * | Composition | MoonDream  | Is subject well-framed?           |
-     * | Scene       | MoonDream  | AI description of what's happening|
+     * TRACKING ALGORITHM:
+     * 1. Capture frame from webcam (can be PTZ camera's NDI feed)
+     * 2. Send to MoonDream /detect endpoint for target object
+     * 3. PTZTargetSelection keeps following the locked subject (IoU and
+     *    position continuity) or picks one by strategy
+     * 4. Calculate center point of the target; TargetPredictor
+     *    extrapolates it by the measured API round trip (plus extra lead)
+     * 5. Compare the predicted center to frame center, determine offset
+     *    (with Auto Zoom, PTZZoomControl also compares box height to the
+     *    chosen shot size and zooms in/out)
+     * 6. PTZControlLaw turns the offset into separate pan and tilt speeds
+     *    (proportional or PID, with deadzone hysteresis) and the command is
+     *    sent. In PID mode nothing is sent once the target has settled.
+     * 7. With no target, PTZLostTargetPolicy holds, then recovers (home
+     *    preset, zoom out, or pan sweep) until the target is reacquired
+     * 8. Repeat at configured interval
      *
-     * Status Colors:
-     * - Green (good): Optimal conditions
-     * - Yellow (warning): Suboptimal but acceptable
-     * - Red (problem): Needs attention
+     * PTZ CONTROL:
+     * - Commands are built as PTZCommand objects and sent via a transport
+     * - HTTP CGI: http://{IP}/cgi-bin/ptzctrl.cgi?ptzcmd&{direction}&{speed}
+     * - VISCA over IP (UDP 52381) or PTZOptics VISCA TCP (5678) through
+     *   the local relay (tools/ptz-relay.js)
+     * - Simulation mode encodes and decodes VISCA locally (no camera needed)
+     * - HTTP CGI can also go through the relay, which returns the camera's
+     *   real status (with Basic/Digest auth); the status panel then counts
+     *   delivered and failed commands and shows an offline banner
+     *
+     * PRESETS:
+     * | Preset   | Rate    | Max Speed | Curve      | Gain | Deadzone | Use Case      |
+     * |----------|---------|-----------|------------|------|----------|---------------|
+     * | Smooth   | 0.5/sec | 6         | smooth     | 1.0  | 12%      | Broadcast     |
+     * | Balanced | 1.0/sec | 10        | linear     | 1.0  | 5%       | General use   |
+     * | Precise  | 1.5/sec | 10        | linear     | 1.3  | 2%       | Presentations |
+     * | Fast     | 2.0/sec | 18        | aggressive | 1.5  | 8%       | Sports/Action |
+     *
+     * Each preset also carries per-axis PID gains (Kp/Ki/Kd) used in PID mode.
+     * "Simulate Step Response" plots the error of a simulated camera
+     * (PTZTuningSimulator) for tuning without hardware.
      *
      * Features:
-     * - Real-time status cards with visual indicators
-     * - Click to toggle individual monitors
-     * - Scene description with AI analysis
-     * - Adjustable monitoring interval
+     * - Configurable target object (person, face, hand, ball, etc.)
+     * - Adjustable detection rate and movement speed
+     * - Visual overlay showing target position and movement direction
+     * - Real-time status display
+     * - Motion prediction (alpha-beta filter) with latency compensation
+     * - Auto zoom to hold a close-up, medium, wide or custom shot size
+     * - Click-to-lock target selection with automatic strategies
+     * - Lost-target recovery: hold, home preset, zoom out, or pan sweep
+     * - Named camera presets per camera (recall, save, thumbnails, JSON
+     *   import/export); tracking pauses while a recall moves the camera
+     * - Per-camera soft limits (pan/tilt/zoom) and no-go regions, enforced
+     *   against the position read after each detection, with a pan/tilt map
+     * - Command journal of every detection and command (PTZCommandJournal)
+     *   with CSV/JSON export and replay against the simulated camera
+     * - Keyboard and gamepad manual control (PTZManualControl); manual
+     *   input pauses auto-tracking until the controls are idle
+     * - Multi-camera registry: each camera tracked by its own
+     *   PTZCameraSession on its own video input, with a status tile grid
+     * - Simulation mode for testing
      *
-     * External libraries:
-     * - MediaPipe Face Mesh (loaded dynamically)
+     * API used: /detect endpoint
      *
      * @extends WidgetBase
      */
-    function ProductionMonitorWidget() {
+    function PTZTrackerWidget() {
         WidgetBase.call(this,
-            'production-monitor',
-            'Production Monitor',
-            '🎥',
-            'Real-time production quality monitoring combining client-side CV with MoonDream visual reasoning.'
+            'ptz-tracker',
+            'PTZ Auto-Tracker',
+            '🎯',
+            'AI-powered object tracking that automatically controls PTZ cameras to keep subjects centered in frame.'
         );
-        this._monitors = {
-            orientation: { enabled: true, status: 'N/A', class: 'disabled' },
-            talking: { enabled: true, status: 'N/A', class: 'disabled' },
-            focus: { enabled: true, status: 'N/A', class: 'disabled' },
-            lighting: { enabled: true, status: 'N/A', class: 'disabled' },
-            presence: { enabled: true, status: 'N/A', class: 'disabled' },
-            composition: { enabled: true, status: 'N/A', class: 'disabled' },
-            sceneContext: { enabled: true, status: 'N/A', class: 'disabled' }
+        this._isTracking = false;
+        this._trackingInterval = null;
+        this._currentDetection = null;
+        this._transport = null;
+        this._ptzSettings = {
+            cameraIP: '',
+            protocol: 'http',
+            relayUrl: 'http://localhost:8787',
+            cgiViaRelay: false,     // Send HTTP CGI through the relay to see the camera's reply
+            username: '',           // Camera login for CGI via the relay (not stored)
+            password: '',
+            targetObject: 'person',
+            detectionRate: 1.0,
+            panSpeed: 10,       // Maximum pan speed (1-24)
+            tiltSpeed: 10,      // Maximum tilt speed (1-20)
+            minSpeed: 1,
+            gain: 1.0,
+            speedCurve: 'linear',
+            deadzoneX: 5,
+            deadzoneY: 5,
+            hysteresis: 2,
+            controlMode: 'proportional',
+            pidPanKp: 0.3,
+            pidPanKi: 0.02,
+            pidPanKd: 0.1,
+            pidTiltKp: 0.24,
+            pidTiltKi: 0.02,
+            pidTiltKd: 0.1,
+            pidIntegralLimit: 4,        // Max integral contribution (speed steps)
+            pidDerivativeFilter: 0.5,   // Derivative low-pass (0 = off)
+            settleFrames: 3,            // Frames in deadzone before 'settled'
+            simLatency: 0.5,            // Step simulation API latency (seconds)
+            prediction: true,           // Aim at the predicted position
+            predictionAlpha: 0.6,       // Position correction (0-1)
+            predictionBeta: 0.2,        // Velocity correction (0-1)
+            predictionLeadMs: 0,        // Extra lead for camera response (ms)
+            autoZoom: false,            // Hold the target at a shot size
+            shotSize: 'medium',         // close | medium | wide | custom
+            customShotSize: 40,         // Target height (% of frame) for custom
+            zoomDeadzone: 10,           // Size band (% of frame) with no zoom
+            zoomSpeed: 3,               // Maximum zoom speed (1-7)
+            zoomInterval: 1000,         // Minimum ms between zoom changes
+            targetStrategy: 'largest',  // Who to follow when nobody is locked
+            talkingPrompt: 'person talking',
+            talkingEvery: 3,            // Run the talking detect every N frames
+            lockIou: 0.2,               // Minimum IoU to re-associate the lock
+            lockMaxJump: 0.15,          // Max center jump (normalized) without overlap
+            lockReleaseFrames: 3,       // Missed frames before an automatic lock is released
+            lostAction: 'hold',         // hold | home | zoomout | sweep
+            lostHoldSeconds: 3,         // Hold before the recovery action
+            homePreset: 1,
+            homePresetName: 'Home',
+            zoomOutSteps: 3,
+            zoomOutStepMs: 600,         // Zoom-out duration per step
+            zoomOutSpeed: 3,
+            zoomOutInterval: 2,         // Seconds between zoom-out steps
+            sweepSpeed: 3,
+            sweepLeft: null,            // Pan limits (VISCA position units)
+            sweepRight: null,
+            sweepLegSeconds: 8,         // Timed sweep leg when limits are unavailable
+            recallPauseSeconds: 4,      // Max tracking pause while a preset recall moves
+            manualKeyboard: true,       // Arrow keys / +- / 1-9 steer the camera
+            manualGamepad: true,        // Gamepad sticks, triggers and face buttons
+            manualPanSpeed: 12,         // Full-deflection manual speeds
+            manualTiltSpeed: 10,
+            manualZoomSpeed: 5,
+            gamepadDeadzone: 0.15,      // Stick/trigger travel ignored around rest
+            manualResumeSeconds: 5      // Idle time before auto-tracking resumes
         };
-        this._faceMesh = null;
-        this._cvReady = false;
-        this._isMonitoring = false;
-        this._monitorInterval = null;
-        this._landmarkHistory = [];
-        this._talkingState = { isTalking: false, lastChange: Date.now() };
-        this._lastMoonDreamCall = 0;
-    }
-    ProductionMonitorWidget.prototype = Object.create(WidgetBase.prototype);
-
-    ProductionMonitorWidget.prototype.render = function() {
-        var self = this;
-
-        var header = Utils.createElement('div', 'moon-widget-header');
-        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
-            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
-            '<p class="moon-widget-desc">' + this.description + '</p>';
-        this.rootEl.appendChild(header);
-
-        var body = Utils.createElement('div', 'moon-widget-body');
-        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
-
-        // Left column - media
-        var leftCol = Utils.createElement('div', 'moon-col');
-        leftCol.appendChild(this.createMediaSection());
-
-        // Monitor controls
-        var controlsSection = Utils.createElement('div', 'moon-section');
-        var startBtn = Utils.createElement('button', 'moon-btn moon-btn-primary moon-btn-lg moon-btn-action moon-monitor-start', {
-            textContent: '▶ Start Monitoring'
-        });
-        startBtn.onclick = function() {
-            self.ensureApiKey(function() { self.toggleMonitoring(); });
+        this._presetPause = null;
+        this._apiPaused = false;        // Camera held while ApiClient.livePause() is set
+        this._manual = PTZManualControl.createState();
+        this._manualOverride = null;
+        this._manualPoll = null;
+        this._manualListeners = null;
+        this._journal = new PTZCommandJournal();
+        this._journalRows = {};
+        this._replay = null;
+        this._delivery = this.createDeliveryStats();
+        this._limits = PTZSoftLimits.createLimits();
+        this._position = null;
+        this._activeMotion = { drive: null, zoom: null };
+        this._limitBlocks = { drive: '', zoom: '' };
+        this._cameraSessions = [];
+        this._cameraTiles = {};
+        this._editingCameraId = null;
+        this._lostState = PTZLostTargetPolicy.createState();
+        this._policyTimers = [];
+        this._simTransport = null;
+        this._zoomState = PTZZoomControl.createState();
+        this._candidates = [];
+        this._lock = this.createLock();
+        this._talker = null;
+        this._predictor = new TargetPredictor();
+        this._predictedDetection = null;
+        this._latencyMs = 0;
+        this._controlState = PTZControlLaw.createState();
+        this._lastDetectionAt = 0;
+        this._lastCommand = null;
+        this._errorHistory = [];
+        this._settingInputs = {};
+        // PID gains per axis: [kp, ki, kd]
+        this._presets = {
+            smooth: { name: 'Smooth (Broadcast)', rate: 0.5, speed: 6, curve: 'smooth', gain: 1.0, deadzone: 12,
+                pid: { pan: [0.15, 0.01, 0.1], tilt: [0.12, 0.01, 0.1] } },
+            balanced: { name: 'Balanced (General)', rate: 1.0, speed: 10, curve: 'linear', gain: 1.0, deadzone: 5,
+                pid: { pan: [0.3, 0.02, 0.1], tilt: [0.24, 0.02, 0.1] } },
+            precise: { name: 'Precise (Presentation)', rate: 1.5, speed: 10, curve: 'linear', gain: 1.3, deadzone: 2,
+                pid: { pan: [0.35, 0.03, 0.1], tilt: [0.28, 0.03, 0.1] } },
+            fast: { name: 'Fast (Sports/Action)', rate: 2.0, speed: 18, curve: 'aggressive', gain: 1.5, deadzone: 8,
+                pid: { pan: [0.4, 0.05, 0.15], tilt: [0.32, 0.05, 0.15] } }
         };
-        controlsSection.appendChild(startBtn);
-
-        var statusText = Utils.createElement('div', 'moon-monitor-status-text');
-        statusText.textContent = 'Click monitors to enable/disable. Start monitoring to begin analysis.';
-        controlsSection.appendChild(statusText);
+    }
+    PTZTrackerWidget.prototype = Object.create(WidgetBase.prototype);
 
-        leftCol.appendChild(controlsSection);
-        grid.appendChild(leftCol);
+    PTZTrackerWidget.prototype.render = function() {
+        var self = this;
 
-        // Right column - status cards
-        var rightCol = Utils.createElement('div', 'moon-col');
+        var header = Utils.createElement('div', 'moon-widget-header');
+        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
+            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
+            '<p class="moon-widget-desc">' + this.description + '</p>';
+        this.rootEl.appendChild(header);
 
-        // Status cards grid
-        var cardsGrid = Utils.createElement('div', 'moon-status-cards');
+        var body = Utils.createElement('div', 'moon-widget-body');
+        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
 
-        var monitorConfig = [
-            { key: 'orientation', label: 'Orientation', icon: '📐', source: 'MediaPipe' },
-            { key: 'talking', label: 'Talking', icon: '🗣️', source: 'MediaPipe' },
-            { key: 'focus', label: 'Focus', icon: '🎯', source: 'OpenCV' },
-            { key: 'lighting', label: 'Lighting', icon: '💡', source: 'Canvas' },
-            { key: 'presence', label: 'Presence', icon: '👁️', source: 'MoonDream' },
-            { key: 'composition', label: 'Composition', icon: '🖼️', source: 'MoonDream' },
-            { key: 'sceneContext', label: 'Scene Context', icon: '🎬', source: 'MoonDream' }
-        ];
+        // Left column - Video
+        var leftCol = Utils.createElement('div', 'moon-col');
+        leftCol.appendChild(this.createMediaSection());
 
-        monitorConfig.forEach(function(config) {
-            var card = Utils.createElement('div', 'moon-status-card moon-status-disabled');
-            card.dataset.monitor = config.key;
-            card.innerHTML =
-                '<div class="moon-status-card-header">' +
-                    '<span class="moon-status-icon">' + config.icon + '</span>' +
-                    '<span class="moon-status-label">' + config.label + '</span>' +
-                    '<span class="moon-status-source">' + config.source + '</span>' +
-                '</div>' +
-                '<div class="moon-status-value">N/A</div>';
-            card.onclick = function() { self.toggleMonitor(config.key); };
-            cardsGrid.appendChild(card);
-            self._monitors[config.key].element = card;
-        });
+        // NDI tip for PTZ users
+        var ndiTip = Utils.createElement('div', 'moon-ptz-ndi-tip');
+        ndiTip.innerHTML = '<strong>💡 Tip:</strong> Choose "＋ Network camera..." in the camera list to watch the camera\'s MJPEG, HLS or snapshot URL, or use free <a href="https://ndi.video/tools/ndi-tools/" target="_blank" rel="noopener">NDI Webcam</a> software to bring its NDI feed in as a webcam.';
+        leftCol.appendChild(ndiTip);
 
-        rightCol.appendChild(cardsGrid);
+        // Tracking status overlay indicator (under video controls)
+        var statusOverlay = Utils.createElement('div', 'moon-ptz-status-overlay');
+        statusOverlay.innerHTML = '<span class="moon-ptz-status-dot"></span><span class="moon-ptz-status-text">Ready</span>';
+        leftCol.appendChild(statusOverlay);
+        this._statusOverlay = statusOverlay;
 
-        // Scene description area
-        var sceneSection = Utils.createElement('div', 'moon-section moon-scene-description');
-        sceneSection.innerHTML = '<h4>Scene Description</h4>' +
-            '<div class="moon-scene-text">Start monitoring to see AI scene analysis...</div>';
-        rightCol.appendChild(sceneSection);
+        // Shown after several commands in a row fail
+        var offlineBanner = Utils.createElement('div', 'moon-ptz-offline-banner');
+        offlineBanner.style.display = 'none';
+        leftCol.appendChild(offlineBanner);
+        this._offlineBanner = offlineBanner;
 
-        grid.appendChild(rightCol);
-        body.appendChild(grid);
-        this.rootEl.appendChild(body);
+        // Tracking Status Display (under video)
+        var statusSection = Utils.createElement('div', 'moon-section moon-ptz-tracking-status');
+        statusSection.innerHTML =
+            '<h3 class="moon-section-title">Tracking Status</h3>' +
+            '<div class="moon-ptz-status-grid">' +
+                '<div class="moon-ptz-stat">' +
+                    '<div class="moon-ptz-stat-label">Object</div>' +
+                    '<div class="moon-ptz-stat-value moon-ptz-object-status">--</div>' +
+                '</div>' +
+                '<div class="moon-ptz-stat">' +
+                    '<div class="moon-ptz-stat-label">Position</div>' +
+                    '<div class="moon-ptz-stat-value moon-ptz-position-status">--</div>' +
+                '</div>' +
+                '<div class="moon-ptz-stat">' +
+                    '<div class="moon-ptz-stat-label">PTZ Command</div>' +
+                    '<div class="moon-ptz-stat-value moon-ptz-command-status">--</div>' +
+                '</div>' +
+                '<div class="moon-ptz-stat">' +
+                    '<div class="moon-ptz-stat-label">Detections</div>' +
+                    '<div class="moon-ptz-stat-value moon-ptz-fps-status">0</div>' +
+                '</div>' +
+                '<div class="moon-ptz-stat">' +
+                    '<div class="moon-ptz-stat-label">API Latency</div>' +
+                    '<div class="moon-ptz-stat-value moon-ptz-latency-status">--</div>' +
+                '</div>' +
+                '<div class="moon-ptz-stat">' +
+                    '<div class="moon-ptz-stat-label">Prediction Lead</div>' +
+                    '<div class="moon-ptz-stat-value moon-ptz-lead-status">--</div>' +
+                '</div>' +
+                '<div class="moon-ptz-stat">' +
+                    '<div class="moon-ptz-stat-label">Commands</div>' +
+                    '<div class="moon-ptz-stat-value moon-ptz-delivery-status">--</div>' +
+                '</div>' +
+                '<div class="moon-ptz-stat">' +
+                    '<div class="moon-ptz-stat-label">Command Latency</div>' +
+                    '<div class="moon-ptz-stat-value moon-ptz-command-latency-status">--</div>' +
+                '</div>' +
+            '</div>' +
+            '<div class="moon-ptz-event-log"></div>';
+        leftCol.appendChild(statusSection);
+        this._statusSection = statusSection;
 
-        this._startBtn = startBtn;
-        this._statusText = statusText;
-        this._sceneText = sceneSection.querySelector('.moon-scene-text');
+        leftCol.appendChild(this.createJournalPanel());
 
-        // Initialize CV libraries
-        this.initCV();
-    };
+        // Multi-camera status grid (one tile per registered camera)
+        var cameraGridSection = Utils.createElement('div', 'moon-section moon-ptz-tracking-status');
+        cameraGridSection.innerHTML = '<h3 class="moon-section-title">Cameras</h3>';
+        var cameraGrid = Utils.createElement('div', 'moon-ptz-camera-grid');
+        cameraGridSection.appendChild(cameraGrid);
+        leftCol.appendChild(cameraGridSection);
+        this._cameraGridSection = cameraGridSection;
+        this._cameraGrid = cameraGrid;
 
-    ProductionMonitorWidget.prototype.initCV = function() {
-        var self = this;
+        grid.appendChild(leftCol);
 
-        // Load MediaPipe FaceMesh
-        if (typeof FaceMesh !== 'undefined') {
-            this.setupFaceMesh();
-        } else {
-            // Dynamically load MediaPipe
-            var script1 = document.createElement('script');
-            script1.src = 'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/face_mesh.js';
-            script1.onload = function() {
-                var script2 = document.createElement('script');
-                script2.src = 'https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils/camera_utils.js';
-                script2.onload = function() {
-                    self.setupFaceMesh();
-                };
-                document.head.appendChild(script2);
-            };
-            document.head.appendChild(script1);
-        }
+        // Right column - Controls
+        var rightCol = Utils.createElement('div', 'moon-col');
 
-        // Check for OpenCV
-        if (typeof cv !== 'undefined' && cv.Mat) {
-            this._cvReady = true;
-        } else {
-            // Try to load OpenCV
-            var cvScript = document.createElement('script');
-            cvScript.src = 'https://docs.opencv.org/4.x/opencv.js';
-            cvScript.onload = function() {
-                if (typeof cv !== 'undefined') {
-                    cv['onRuntimeInitialized'] = function() {
-                        self._cvReady = true;
-                    };
-                }
-            };
-            document.head.appendChild(cvScript);
-        }
-    };
+        // PTZ Camera IP
+        var ipGroup = Utils.createElement('div', 'moon-input-group');
+        ipGroup.innerHTML = '<label class="moon-label">PTZ Camera IP Address:</label>';
+        var ipInput = Utils.createElement('input', 'moon-input', {
+            type: 'text',
+            placeholder: '192.168.1.100'
+        });
+        ipGroup.appendChild(ipInput);
+        var ipHint = Utils.createElement('small', 'moon-input-hint');
+        ipHint.innerHTML = 'Note: HTTP Authentication must be disabled on your camera, unless you verify delivery through the relay.<br>Camera Config → System Settings → HTTP Authentication';
+        ipGroup.appendChild(ipHint);
+        rightCol.appendChild(ipGroup);
+        this._ipInput = ipInput;
+        ipInput.addEventListener('change', function() {
+            self.renderPresetList();
+            self._position = null;
+            self.loadSoftLimits();
+        });
 
-    ProductionMonitorWidget.prototype.setupFaceMesh = function() {
-        var self = this;
-        if (typeof FaceMesh === 'undefined') {
-            console.warn('FaceMesh not available');
-            return;
+        // Control protocol (HTTP CGI or VISCA via local relay)
+        var protocolGroup = Utils.createElement('div', 'moon-input-group');
+        protocolGroup.innerHTML = '<label class="moon-label">Control Protocol:</label>';
+        var protocolSelect = Utils.createElement('select', 'moon-input');
+        PTZTransports.protocols.forEach(function(protocol) {
+            var option = document.createElement('option');
+            option.value = protocol.id;
+            option.textContent = protocol.label;
+            protocolSelect.appendChild(option);
+        });
+        protocolGroup.appendChild(protocolSelect);
+
+        var relayInput = Utils.createElement('input', 'moon-input', {
+            type: 'text',
+            placeholder: 'http://localhost:8787'
+        });
+        relayInput.value = this._ptzSettings.relayUrl;
+        relayInput.style.display = 'none';
+        protocolGroup.appendChild(relayInput);
+
+        var relayHint = Utils.createElement('small', 'moon-input-hint');
+        relayHint.innerHTML = 'Start the local relay: <code>node tools/ptz-relay.js</code>';
+        relayHint.style.display = 'none';
+        protocolGroup.appendChild(relayHint);
+
+        // HTTP CGI can optionally go through the relay to confirm delivery
+        var cgiRelayLabel = Utils.createElement('label', 'moon-checkbox-label');
+        var cgiRelayCheckbox = Utils.createElement('input', '', { type: 'checkbox' });
+        cgiRelayLabel.appendChild(cgiRelayCheckbox);
+        cgiRelayLabel.appendChild(document.createTextNode(' Verify delivery through the relay'));
+        protocolGroup.appendChild(cgiRelayLabel);
+
+        var credentials = Utils.createElement('div', 'moon-ptz-limit-row');
+        var usernameInput = Utils.createElement('input', 'moon-input', { type: 'text', placeholder: 'Camera username', autocomplete: 'off' });
+        var passwordInput = Utils.createElement('input', 'moon-input', { type: 'password', placeholder: 'Password', autocomplete: 'new-password' });
+        credentials.appendChild(usernameInput);
+        credentials.appendChild(passwordInput);
+        credentials.style.display = 'none';
+        protocolGroup.appendChild(credentials);
+
+        function updateRelayFields() {
+            var isHttp = protocolSelect.value === 'http';
+            var viaRelay = PTZTransports.usesRelay({ protocol: protocolSelect.value, cgiViaRelay: cgiRelayCheckbox.checked });
+            relayInput.style.display = viaRelay ? '' : 'none';
+            relayHint.style.display = viaRelay ? '' : 'none';
+            cgiRelayLabel.style.display = isHttp ? '' : 'none';
+            credentials.style.display = isHttp && cgiRelayCheckbox.checked ? '' : 'none';
+            ipHint.style.display = isHttp && !cgiRelayCheckbox.checked ? '' : 'none';
         }
+        protocolSelect.onchange = updateRelayFields;
+        cgiRelayCheckbox.onchange = updateRelayFields;
+        rightCol.appendChild(protocolGroup);
+        this._protocolSelect = protocolSelect;
+        this._relayInput = relayInput;
+        this._cgiRelayCheckbox = cgiRelayCheckbox;
+        this._usernameInput = usernameInput;
+        this._passwordInput = passwordInput;
 
-        this._faceMesh = new FaceMesh({
-            locateFile: function(file) {
-                return 'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/' + file;
-            }
+        // Target Object
+        var targetGroup = Utils.createElement('div', 'moon-input-group');
+        targetGroup.innerHTML = '<label class="moon-label">Target Object to Track:</label>';
+        var targetInput = Utils.createElement('input', 'moon-input', {
+            type: 'text',
+            placeholder: 'person, face, hand, ball...',
+            value: 'person'
         });
+        targetGroup.appendChild(targetInput);
 
-        this._faceMesh.setOptions({
-            maxNumFaces: 1,
-            refineLandmarks: true,
-            minDetectionConfidence: 0.5,
-            minTrackingConfidence: 0.5
+        // Quick presets for target
+        var quickTargets = Utils.createElement('div', 'moon-quick-btns');
+        ['person', 'face', 'hand'].forEach(function(target) {
+            var btn = Utils.createElement('button', 'moon-btn-quick', { textContent: target });
+            btn.onclick = function() { targetInput.value = target; };
+            quickTargets.appendChild(btn);
         });
+        targetGroup.appendChild(quickTargets);
+        rightCol.appendChild(targetGroup);
+        this._targetInput = targetInput;
 
-        this._faceMesh.onResults(function(results) {
-            self.processFrameResults(results);
+        // Target selection when several objects are detected
+        var strategyGroup = Utils.createElement('div', 'moon-input-group');
+        strategyGroup.innerHTML = '<label class="moon-label">When Several Are Detected, Follow:</label>';
+        var strategySelect = Utils.createElement('select', 'moon-input');
+        Object.keys(PTZTargetSelection.strategyLabels).forEach(function(key) {
+            var option = document.createElement('option');
+            option.value = key;
+            option.textContent = PTZTargetSelection.strategyLabels[key];
+            strategySelect.appendChild(option);
         });
+        strategySelect.onchange = function() {
+            self._ptzSettings.targetStrategy = strategySelect.value;
+            // Let the new strategy choose unless the operator picked someone
+            if (!self._lock.manual) self.releaseLock();
+        };
+        strategyGroup.appendChild(strategySelect);
+        var strategyHint = Utils.createElement('small', 'moon-input-hint');
+        strategyHint.textContent = 'While tracking, click a box on the video to lock onto that subject. Click anywhere else to release the lock. "Most recently talking" runs an extra detection every few frames.';
+        strategyGroup.appendChild(strategyHint);
+        rightCol.appendChild(strategyGroup);
+        this._settingInputs.targetStrategy = { input: strategySelect };
 
-    };
+        // Operation Style Preset
+        var presetGroup = Utils.createElement('div', 'moon-input-group');
+        presetGroup.innerHTML = '<label class="moon-label">Tracking Style:</label>';
+        var presetSelect = Utils.createElement('select', 'moon-input');
+        presetSelect.innerHTML =
+            '<option value="smooth">Smooth (Broadcast) - 0.5/sec</option>' +
+            '<option value="balanced" selected>Balanced (General) - 1.0/sec</option>' +
+            '<option value="precise">Precise (Presentation) - 1.5/sec</option>' +
+            '<option value="fast">Fast (Sports) - 2.0/sec</option>';
+        presetSelect.onchange = function() {
+            var preset = self._presets[presetSelect.value];
+            if (preset) {
+                rateSlider.value = preset.rate;
+                rateValue.textContent = preset.rate.toFixed(1);
+                self._ptzSettings.detectionRate = preset.rate;
+                self._ptzSettings.panSpeed = preset.speed;
+                self._ptzSettings.tiltSpeed = Math.min(preset.speed, VISCA.TILT_SPEED_MAX);
+                self._ptzSettings.speedCurve = preset.curve;
+                self._ptzSettings.gain = preset.gain;
+                self._ptzSettings.deadzoneX = preset.deadzone;
+                self._ptzSettings.deadzoneY = preset.deadzone;
+                self.applyPidGains(preset.pid);
+                self.syncSettingInputs();
+            }
+        };
+        presetGroup.appendChild(presetSelect);
+        rightCol.appendChild(presetGroup);
+        this._presetSelect = presetSelect;
 
-    ProductionMonitorWidget.prototype.toggleMonitor = function(key) {
-        var monitor = this._monitors[key];
-        if (!monitor) return;
+        // Detection Rate Slider
+        var rateGroup = Utils.createElement('div', 'moon-input-group');
+        var rateLabel = Utils.createElement('label', 'moon-label');
+        rateLabel.innerHTML = 'Detection Rate: <span class="moon-rate-value">1.0</span>/sec';
+        var rateValue = rateLabel.querySelector('.moon-rate-value');
+        rateGroup.appendChild(rateLabel);
 
-        monitor.enabled = !monitor.enabled;
-        if (monitor.element) {
-            if (monitor.enabled) {
-                monitor.element.classList.remove('moon-status-off');
-            } else {
-                monitor.element.classList.add('moon-status-off');
-                this.updateMonitorStatus(key, 'OFF', 'disabled');
+        var rateSlider = Utils.createElement('input', 'moon-input moon-slider', {
+            type: 'range',
+            min: '0.2',
+            max: '3.0',
+            step: '0.1',
+            value: '1.0'
+        });
+        rateSlider.oninput = function() {
+            var rate = parseFloat(rateSlider.value);
+            rateValue.textContent = rate.toFixed(1);
+            self._ptzSettings.detectionRate = rate;
+            // If tracking, update interval
+            if (self._isTracking) {
+                self.restartTrackingInterval();
             }
-        }
-    };
+        };
+        rateGroup.appendChild(rateSlider);
 
-    ProductionMonitorWidget.prototype.updateMonitorStatus = function(key, status, statusClass) {
-        var monitor = this._monitors[key];
-        if (!monitor || !monitor.element) return;
+        var rateHint = Utils.createElement('small', 'moon-input-hint');
+        rateHint.textContent = 'Lower = less API usage, Higher = more responsive';
+        rateGroup.appendChild(rateHint);
+        rightCol.appendChild(rateGroup);
+        this._rateSlider = rateSlider;
+        this._rateValue = rateValue;
+
+        // Auto zoom (hold framing size)
+        var zoomGroup = Utils.createElement('div', 'moon-input-group moon-checkbox-group');
+        var zoomLabel = Utils.createElement('label', 'moon-checkbox-label');
+        var zoomCheckbox = Utils.createElement('input', '', { type: 'checkbox' });
+        zoomCheckbox.checked = this._ptzSettings.autoZoom;
+        zoomLabel.appendChild(zoomCheckbox);
+        zoomLabel.appendChild(document.createTextNode(' Auto Zoom (hold shot size)'));
+        zoomGroup.appendChild(zoomLabel);
+
+        var zoomSettings = Utils.createElement('div', 'moon-ptz-subsettings');
+        zoomSettings.style.display = 'none';
+        var shotSelect = Utils.createElement('select', 'moon-input');
+        Object.keys(PTZZoomControl.shotLabels).forEach(function(key) {
+            var option = document.createElement('option');
+            option.value = key;
+            option.textContent = PTZZoomControl.shotLabels[key];
+            shotSelect.appendChild(option);
+        });
+        var customSize = this.createSettingSlider('Custom Size', 'customShotSize', 10, 90, 5, '% of frame');
+        customSize.style.display = 'none';
+        shotSelect.onchange = function() {
+            self._ptzSettings.shotSize = shotSelect.value;
+            customSize.style.display = shotSelect.value === 'custom' ? '' : 'none';
+        };
+        zoomSettings.appendChild(shotSelect);
+        zoomSettings.appendChild(customSize);
+        zoomSettings.appendChild(this.createSettingSlider('Zoom Deadzone', 'zoomDeadzone', 2, 30, 1, '%'));
+        zoomSettings.appendChild(this.createSettingSlider('Max Zoom Speed', 'zoomSpeed', 1, VISCA.ZOOM_SPEED_MAX, 1));
+        zoomSettings.appendChild(this.createSettingSlider('Zoom Rate Limit', 'zoomInterval', 250, 5000, 250, 'ms'));
+        zoomGroup.appendChild(zoomSettings);
+        this._settingInputs.shotSize = { input: shotSelect };
+
+        zoomCheckbox.onchange = function() {
+            self._ptzSettings.autoZoom = zoomCheckbox.checked;
+            zoomSettings.style.display = zoomCheckbox.checked ? '' : 'none';
+            // Turning auto zoom off mid-move must not leave the lens running
+            if (!zoomCheckbox.checked && self._isTracking) self.updateZoom(null);
+        };
+        var zoomHint = Utils.createElement('small', 'moon-input-hint');
+        zoomHint.textContent = 'Zooms in or out so the target fills the same share of the frame height as it walks toward or away from the camera.';
+        zoomGroup.appendChild(zoomHint);
+        rightCol.appendChild(zoomGroup);
 
-        monitor.status = status;
-        monitor.class = statusClass;
+        rightCol.appendChild(this.createLostTargetSettings());
+        rightCol.appendChild(this.createSoftLimitPanel());
+        rightCol.appendChild(this.createPresetPanel());
+        rightCol.appendChild(this.createManualControlPanel());
+        rightCol.appendChild(this.createCameraRegistryPanel());
 
-        var valueEl = monitor.element.querySelector('.moon-status-value');
-        if (valueEl) valueEl.textContent = status;
+        // Advanced control law settings (collapsed by default)
+        var advanced = Utils.createElement('details', 'moon-details moon-ptz-advanced');
+        advanced.innerHTML = '<summary>Advanced Control</summary>';
 
-        monitor.element.classList.remove('moon-status-good', 'moon-status-bad', 'moon-status-warning', 'moon-status-disabled');
-        monitor.element.classList.add('moon-status-' + statusClass);
-    };
+        var modeGroup = Utils.createElement('div', 'moon-input-group');
+        modeGroup.innerHTML = '<label class="moon-label">Control Mode:</label>';
+        var modeSelect = Utils.createElement('select', 'moon-input');
+        Object.keys(PTZControlLaw.modeLabels).forEach(function(key) {
+            var option = document.createElement('option');
+            option.value = key;
+            option.textContent = PTZControlLaw.modeLabels[key];
+            modeSelect.appendChild(option);
+        });
+        modeSelect.onchange = function() {
+            self._ptzSettings.controlMode = modeSelect.value;
+            self._controlState = PTZControlLaw.createState();
+            pidSettings.style.display = modeSelect.value === 'pid' ? '' : 'none';
+            curveGroup.style.display = modeSelect.value === 'pid' ? 'none' : '';
+        };
+        modeGroup.appendChild(modeSelect);
+        advanced.appendChild(modeGroup);
+        this._settingInputs.controlMode = { input: modeSelect };
 
-    ProductionMonitorWidget.prototype.toggleMonitoring = function() {
-        if (this._isMonitoring) {
-            this.stopMonitoring();
-        } else {
-            this.startMonitoring();
-        }
-    };
+        var curveGroup = Utils.createElement('div', 'moon-input-group');
+        curveGroup.innerHTML = '<label class="moon-label">Speed Curve:</label>';
+        var curveSelect = Utils.createElement('select', 'moon-input');
+        Object.keys(PTZControlLaw.curveLabels).forEach(function(key) {
+            var option = document.createElement('option');
+            option.value = key;
+            option.textContent = PTZControlLaw.curveLabels[key];
+            curveSelect.appendChild(option);
+        });
+        curveSelect.onchange = function() { self._ptzSettings.speedCurve = curveSelect.value; };
+        curveGroup.appendChild(curveSelect);
+        advanced.appendChild(curveGroup);
+        this._settingInputs.speedCurve = { input: curveSelect };
+
+        advanced.appendChild(this.createSettingSlider('Gain', 'gain', 0.2, 3, 0.1, 'x'));
+        advanced.appendChild(this.createSettingSlider('Min Speed', 'minSpeed', 1, 10, 1));
+        advanced.appendChild(this.createSettingSlider('Max Pan Speed', 'panSpeed', 1, VISCA.PAN_SPEED_MAX, 1));
+        advanced.appendChild(this.createSettingSlider('Max Tilt Speed', 'tiltSpeed', 1, VISCA.TILT_SPEED_MAX, 1));
+        advanced.appendChild(this.createSettingSlider('Pan Deadzone', 'deadzoneX', 0, 30, 1, '%'));
+        advanced.appendChild(this.createSettingSlider('Tilt Deadzone', 'deadzoneY', 0, 30, 1, '%'));
+        advanced.appendChild(this.createSettingSlider('Hysteresis', 'hysteresis', 0, 10, 0.5, '%'));
+
+        // PID gains (shown in PID mode)
+        var pidSettings = Utils.createElement('div', 'moon-ptz-subsettings');
+        pidSettings.style.display = 'none';
+        pidSettings.appendChild(this.createSettingSlider('Pan Kp', 'pidPanKp', 0, 2, 0.05));
+        pidSettings.appendChild(this.createSettingSlider('Pan Ki', 'pidPanKi', 0, 0.5, 0.01));
+        pidSettings.appendChild(this.createSettingSlider('Pan Kd', 'pidPanKd', 0, 1, 0.05));
+        pidSettings.appendChild(this.createSettingSlider('Tilt Kp', 'pidTiltKp', 0, 2, 0.05));
+        pidSettings.appendChild(this.createSettingSlider('Tilt Ki', 'pidTiltKi', 0, 0.5, 0.01));
+        pidSettings.appendChild(this.createSettingSlider('Tilt Kd', 'pidTiltKd', 0, 1, 0.05));
+        pidSettings.appendChild(this.createSettingSlider('Integral Limit', 'pidIntegralLimit', 0, 12, 0.5));
+        pidSettings.appendChild(this.createSettingSlider('Derivative Filter', 'pidDerivativeFilter', 0, 0.9, 0.05));
+        pidSettings.appendChild(this.createSettingSlider('Settle Frames', 'settleFrames', 1, 10, 1));
+        advanced.appendChild(pidSettings);
+
+        // Motion prediction
+        var predictionLabel = Utils.createElement('label', 'moon-checkbox-label');
+        var predictionCheckbox = Utils.createElement('input', '', { type: 'checkbox' });
+        predictionCheckbox.checked = this._ptzSettings.prediction;
+        predictionCheckbox.onchange = function() {
+            self._ptzSettings.prediction = predictionCheckbox.checked;
+            predictionSettings.style.display = predictionCheckbox.checked ? '' : 'none';
+        };
+        predictionLabel.appendChild(predictionCheckbox);
+        predictionLabel.appendChild(document.createTextNode(' Predict target motion'));
+        var predictionGroup = Utils.createElement('div', 'moon-input-group moon-checkbox-group');
+        predictionGroup.appendChild(predictionLabel);
+        advanced.appendChild(predictionGroup);
+
+        var predictionSettings = Utils.createElement('div', 'moon-ptz-subsettings');
+        predictionSettings.appendChild(this.createSettingSlider('Position Smoothing (alpha)', 'predictionAlpha', 0.1, 1, 0.05));
+        predictionSettings.appendChild(this.createSettingSlider('Velocity Smoothing (beta)', 'predictionBeta', 0, 1, 0.05));
+        predictionSettings.appendChild(this.createSettingSlider('Extra Lead', 'predictionLeadMs', 0, 1000, 50, 'ms'));
+        advanced.appendChild(predictionSettings);
+
+        var advancedHint = Utils.createElement('small', 'moon-input-hint');
+        advancedHint.textContent = 'Speed scales with distance from center. Hysteresis keeps an axis still until the target is clearly outside the deadzone. In PID mode the camera stops sending commands once the target has settled. Prediction aims where the target will be after the API round trip.';
+        advanced.appendChild(advancedHint);
+
+        // Error response plot (step simulation, or live error while tracking)
+        var plotGroup = Utils.createElement('div', 'moon-input-group moon-ptz-plot');
+        plotGroup.innerHTML = '<label class="moon-label">Error Response:</label>';
+        var plotCanvas = Utils.createElement('canvas', 'moon-ptz-plot-canvas', { width: '360', height: '180' });
+        plotGroup.appendChild(plotCanvas);
+        plotGroup.appendChild(this.createSettingSlider('Simulated Latency', 'simLatency', 0, 2, 0.1, 's'));
+        var plotBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary', {
+            textContent: 'Simulate Step Response'
+        });
+        plotBtn.onclick = function() { self.runStepSimulation(); };
+        plotGroup.appendChild(plotBtn);
+        var plotSummary = Utils.createElement('small', 'moon-input-hint moon-ptz-plot-summary');
+        plotSummary.textContent = 'Plots pan/tilt error for a simulated camera so gains can be tuned without hardware. While tracking, the live error is plotted here.';
+        plotGroup.appendChild(plotSummary);
+        advanced.appendChild(plotGroup);
+        this._plotCanvas = plotCanvas;
+        this._plotSummary = plotSummary;
+
+        rightCol.appendChild(advanced);
+        this._advanced = advanced;
+        this.syncSettingInputs();
 
-    ProductionMonitorWidget.prototype.startMonitoring = function() {
-        var self = this;
+        // Simulation Mode Toggle
+        var simGroup = Utils.createElement('div', 'moon-input-group moon-checkbox-group');
+        var simLabel = Utils.createElement('label', 'moon-checkbox-label');
+        var simCheckbox = Utils.createElement('input', '', { type: 'checkbox' });
+        simCheckbox.checked = false; // Default to sending real PTZ commands
+        simLabel.appendChild(simCheckbox);
+        simLabel.appendChild(document.createTextNode(' Simulation Mode (no PTZ commands sent)'));
+        simGroup.appendChild(simLabel);
+        var simHint = Utils.createElement('small', 'moon-input-hint');
+        simHint.textContent = 'Check to test without sending commands to your camera. Commands are encoded and decoded as VISCA locally.';
+        simGroup.appendChild(simHint);
+        rightCol.appendChild(simGroup);
+        this._simCheckbox = simCheckbox;
+        simCheckbox.onchange = function() {
+            self.renderPresetList();
+            self._position = null;
+            self.loadSoftLimits();
+        };
 
-        if (!MediaCapture.stream && !this._currentImage) {
-            this.showError('Please start webcam or upload an image first');
-            return;
-        }
+        // Action Buttons
+        var actions = Utils.createElement('div', 'moon-actions', { 'data-capability': 'detect' });
 
-        this._isMonitoring = true;
-        this._startBtn.textContent = '■ Stop Monitoring';
-        this._startBtn.classList.add('moon-btn-active');
-        this._statusText.textContent = 'Monitoring active...';
+        var startBtn = Utils.createElement('button', 'moon-btn moon-btn-success moon-btn-lg moon-btn-action', {
+            textContent: '▶ Start Tracking'
+        });
+        startBtn.onclick = function() {
+            self.ensureApiKey(function() { self.startTracking(); });
+        };
+        actions.appendChild(startBtn);
+        this._startBtn = startBtn;
 
-        // Reset all monitors to initializing
-        Object.keys(this._monitors).forEach(function(key) {
-            if (self._monitors[key].enabled) {
-                self.updateMonitorStatus(key, 'Analyzing...', 'warning');
-            }
+        var stopBtn = Utils.createElement('button', 'moon-btn moon-btn-danger moon-btn-lg moon-btn-action', {
+            textContent: '■ Stop Tracking',
+            disabled: 'disabled'
         });
+        stopBtn.onclick = function() { self.stopTracking(); };
+        actions.appendChild(stopBtn);
+        this._stopBtn = stopBtn;
 
-        // Start monitoring loop
-        this.runMonitoringCycle();
-        this._monitorInterval = setInterval(function() {
-            self.runMonitoringCycle();
-        }, 1500);
-    };
+        rightCol.appendChild(actions);
 
-    ProductionMonitorWidget.prototype.stopMonitoring = function() {
-        this._isMonitoring = false;
-        this._startBtn.textContent = '▶ Start Monitoring';
-        this._startBtn.classList.remove('moon-btn-active');
-        this._statusText.textContent = 'Monitoring stopped.';
+        grid.appendChild(rightCol);
+        body.appendChild(grid);
+        this.rootEl.appendChild(body);
 
-        if (this._monitorInterval) {
-            clearInterval(this._monitorInterval);
-            this._monitorInterval = null;
-        }
+        // Click a detected box to lock onto it (enabled while tracking)
+        this.overlayCanvas.addEventListener('click', function(e) {
+            if (!self._isTracking) return;
+            var rect = self.overlayCanvas.getBoundingClientRect();
+            self.selectTargetAt((e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height);
+        });
     };
 
-    ProductionMonitorWidget.prototype.runMonitoringCycle = function() {
+    /**
+     * Build a labeled slider bound to a numeric _ptzSettings key.
+     * The slider is registered so syncSettingInputs() can refresh it when a
+     * Tracking Style preset changes the underlying value.
+     *
+     * @param {string} label  - Label text
+     * @param {string} key    - _ptzSettings property
+     * @param {number} min    - Slider minimum
+     * @param {number} max    - Slider maximum
+     * @param {number} step   - Slider step
+     * @param {string} suffix - Unit shown after the value (optional)
+     * @returns {HTMLElement} - Input group element
+     */
+    PTZTrackerWidget.prototype.createSettingSlider = function(label, key, min, max, step, suffix) {
         var self = this;
-        if (!this._isMonitoring) return;
-
-        // Get current frame
-        var video = this._media ? this._media.video : null;
-
-        // Run client-side CV (MediaPipe)
-        if (this._faceMesh && video && MediaCapture.stream) {
-            this._faceMesh.send({ image: video }).catch(function(err) {
-                console.warn('FaceMesh error:', err);
-            });
-        }
+        var group = Utils.createElement('div', 'moon-input-group');
+        var labelEl = Utils.createElement('label', 'moon-label');
+        labelEl.innerHTML = label + ': <span class="moon-rate-value"></span>' + (suffix || '');
+        var valueEl = labelEl.querySelector('.moon-rate-value');
+        group.appendChild(labelEl);
+
+        var slider = Utils.createElement('input', 'moon-input moon-slider', {
+            type: 'range', min: String(min), max: String(max), step: String(step)
+        });
+        slider.oninput = function() {
+            self._ptzSettings[key] = parseFloat(slider.value);
+            valueEl.textContent = slider.value;
+        };
+        group.appendChild(slider);
 
-        // Run lighting analysis (doesn't need MediaPipe)
-        if (this._monitors.lighting.enabled) {
-            this.analyzeLighting();
-        }
+        this._settingInputs[key] = { input: slider, valueEl: valueEl };
+        return group;
+    };
 
-        // Run MoonDream analyses (throttled)
-        var now = Date.now();
-        if (now - this._lastMoonDreamCall > 2000) {
-            this._lastMoonDreamCall = now;
-            this.runMoonDreamAnalysis();
-        }
+    /**
+     * Apply a preset's per-axis PID gains.
+     *
+     * @param {object} pid - {pan: [kp, ki, kd], tilt: [kp, ki, kd]}
+     */
+    PTZTrackerWidget.prototype.applyPidGains = function(pid) {
+        if (!pid) return;
+        var settings = this._ptzSettings;
+        settings.pidPanKp = pid.pan[0];
+        settings.pidPanKi = pid.pan[1];
+        settings.pidPanKd = pid.pan[2];
+        settings.pidTiltKp = pid.tilt[0];
+        settings.pidTiltKi = pid.tilt[1];
+        settings.pidTiltKd = pid.tilt[2];
     };
 
-    ProductionMonitorWidget.prototype.processFrameResults = function(results) {
+    /**
+     * Build a text/number input bound to a _ptzSettings key. Empty number
+     * inputs store null.
+     *
+     * @param {string} label - Label text
+     * @param {string} key   - _ptzSettings property
+     * @param {object} attrs - Input attributes (type, min, max, placeholder)
+     * @returns {HTMLElement} - Input group element
+     */
+    PTZTrackerWidget.prototype.createSettingInput = function(label, key, attrs) {
         var self = this;
-        if (!this._isMonitoring) return;
+        var group = Utils.createElement('div', 'moon-input-group');
+        group.innerHTML = '<label class="moon-label">' + label + ':</label>';
+        var input = Utils.createElement('input', 'moon-input', attrs);
+        input.onchange = function() {
+            if (input.type === 'number') {
+                self._ptzSettings[key] = input.value === '' ? null : parseFloat(input.value);
+            } else {
+                self._ptzSettings[key] = input.value.trim();
+            }
+        };
+        group.appendChild(input);
+        this._settingInputs[key] = { input: input };
+        return group;
+    };
 
-        if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-            var landmarks = this.smoothLandmarks(results.multiFaceLandmarks[0]);
+    /**
+     * Build the "Lost Target Behavior" panel: hold time, recovery action
+     * and the per-action settings (home preset, zoom steps, sweep limits).
+     *
+     * @returns {HTMLElement} - Details element
+     */
+    PTZTrackerWidget.prototype.createLostTargetSettings = function() {
+        var self = this;
+        var panel = Utils.createElement('details', 'moon-details moon-ptz-lost');
+        panel.innerHTML = '<summary>Lost Target Behavior</summary>';
 
-            // Orientation (MediaPipe)
-            if (this._monitors.orientation.enabled) {
-                this.analyzeOrientation(landmarks);
-            }
+        panel.appendChild(this.createSettingSlider('Hold Position For', 'lostHoldSeconds', 0, 30, 1, 's'));
 
-            // Talking (MediaPipe)
-            if (this._monitors.talking.enabled) {
-                this.analyzeTalking(landmarks);
-            }
+        var actionGroup = Utils.createElement('div', 'moon-input-group');
+        actionGroup.innerHTML = '<label class="moon-label">Then:</label>';
+        var actionSelect = Utils.createElement('select', 'moon-input');
+        Object.keys(PTZLostTargetPolicy.actionLabels).forEach(function(key) {
+            var option = document.createElement('option');
+            option.value = key;
+            option.textContent = PTZLostTargetPolicy.actionLabels[key];
+            actionSelect.appendChild(option);
+        });
+        actionGroup.appendChild(actionSelect);
+        panel.appendChild(actionGroup);
+        this._settingInputs.lostAction = { input: actionSelect };
+
+        // Return to home preset
+        var homeSettings = Utils.createElement('div', 'moon-ptz-subsettings');
+        homeSettings.appendChild(this.createSettingInput('Home Preset Number', 'homePreset', { type: 'number', min: '0', max: '254' }));
+        homeSettings.appendChild(this.createSettingInput('Home Preset Name', 'homePresetName', { type: 'text', placeholder: 'Home' }));
+        panel.appendChild(homeSettings);
+
+        // Zoom out in steps
+        var zoomSettings = Utils.createElement('div', 'moon-ptz-subsettings');
+        zoomSettings.appendChild(this.createSettingSlider('Steps', 'zoomOutSteps', 1, 10, 1));
+        zoomSettings.appendChild(this.createSettingSlider('Step Duration', 'zoomOutStepMs', 200, 3000, 100, 'ms'));
+        zoomSettings.appendChild(this.createSettingSlider('Zoom Speed', 'zoomOutSpeed', 1, VISCA.ZOOM_SPEED_MAX, 1));
+        zoomSettings.appendChild(this.createSettingSlider('Time Between Steps', 'zoomOutInterval', 1, 10, 0.5, 's'));
+        panel.appendChild(zoomSettings);
+
+        // Pan sweep between limits
+        var sweepSettings = Utils.createElement('div', 'moon-ptz-subsettings');
+        sweepSettings.appendChild(this.createSettingSlider('Sweep Speed', 'sweepSpeed', 1, 10, 1));
+        ['Left', 'Right'].forEach(function(side) {
+            var key = 'sweep' + side;
+            var group = self.createSettingInput(side + ' Pan Limit', key, { type: 'number', placeholder: 'not set' });
+            var storeBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', {
+                textContent: 'Store Current Position'
+            });
+            storeBtn.onclick = function() {
+                self.inquirePosition().then(function(position) {
+                    self._ptzSettings[key] = position.pan;
+                    self.syncSettingInputs();
+                    self.showToast(side + ' pan limit stored: ' + position.pan);
+                }).catch(function(err) {
+                    self.showError('Could not read camera position: ' + err.message);
+                });
+            };
+            group.appendChild(storeBtn);
+            sweepSettings.appendChild(group);
+        });
+        sweepSettings.appendChild(this.createSettingSlider('Timed Leg (no limits)', 'sweepLegSeconds', 2, 30, 1, 's'));
+        var sweepHint = Utils.createElement('small', 'moon-input-hint');
+        sweepHint.textContent = 'Storing limits needs VISCA control (position inquiry). Over HTTP CGI the sweep reverses on a timer.';
+        sweepSettings.appendChild(sweepHint);
+        panel.appendChild(sweepSettings);
+
+        var sections = { home: homeSettings, zoomout: zoomSettings, sweep: sweepSettings };
+        actionSelect.onchange = function() {
+            self._ptzSettings.lostAction = actionSelect.value;
+            Object.keys(sections).forEach(function(key) {
+                sections[key].style.display = key === actionSelect.value ? '' : 'none';
+            });
+        };
+        actionSelect.onchange();
 
-            // Focus (OpenCV)
-            if (this._monitors.focus.enabled && this._cvReady) {
-                this.analyzeFocus(landmarks);
-            }
-        } else {
-            // No face detected by MediaPipe
-            if (this._monitors.orientation.enabled) {
-                this.updateMonitorStatus('orientation', 'NO FACE', 'bad');
-            }
-            if (this._monitors.talking.enabled) {
-                this.updateMonitorStatus('talking', 'NO FACE', 'bad');
-            }
-            if (this._monitors.focus.enabled) {
-                this.updateMonitorStatus('focus', 'NO FACE', 'bad');
-            }
-        }
+        return panel;
     };
 
-    ProductionMonitorWidget.prototype.smoothLandmarks = function(newLandmarks) {
-        this._landmarkHistory.push(newLandmarks);
-        if (this._landmarkHistory.length > 5) {
-            this._landmarkHistory.shift();
-        }
+    /**
+     * Build the "Camera Presets" panel: saved presets with thumbnails,
+     * save form, and JSON import/export.
+     *
+     * @returns {HTMLElement} - Details element
+     */
+    PTZTrackerWidget.prototype.createPresetPanel = function() {
+        var self = this;
+        var panel = Utils.createElement('details', 'moon-details moon-ptz-presets');
+        panel.innerHTML = '<summary>Camera Presets</summary>';
 
-        var numLandmarks = newLandmarks.length;
-        var smoothed = [];
+        var list = Utils.createElement('div', 'moon-ptz-preset-list');
+        panel.appendChild(list);
+        this._presetList = list;
 
-        for (var i = 0; i < numLandmarks; i++) {
-            var sumX = 0, sumY = 0, sumZ = 0, count = 0;
-            for (var j = 0; j < this._landmarkHistory.length; j++) {
-                var frame = this._landmarkHistory[j];
-                if (frame && frame[i]) {
-                    sumX += frame[i].x;
-                    sumY += frame[i].y;
-                    if (frame[i].z) sumZ += frame[i].z;
-                    count++;
-                }
-            }
-            if (count > 0) {
-                smoothed.push({ x: sumX / count, y: sumY / count, z: sumZ / count });
-            } else {
-                smoothed.push(newLandmarks[i]);
+        // Save form
+        var form = Utils.createElement('div', 'moon-ptz-preset-form');
+        var numberInput = Utils.createElement('input', 'moon-input moon-ptz-preset-number', {
+            type: 'number', min: '0', max: String(PTZPresetStore.MAX_PRESET), placeholder: '#'
+        });
+        var nameInput = Utils.createElement('input', 'moon-input', { type: 'text', placeholder: 'Preset name (e.g. Pulpit)' });
+        var saveBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', { textContent: 'Save Current Position' });
+        saveBtn.onclick = function() {
+            var number = numberInput.value === '' ? NaN : Number(numberInput.value);
+            if (!PTZPresetStore.isValidNumber(number)) {
+                self.showError('Preset number must be 0-' + PTZPresetStore.MAX_PRESET);
+                return;
             }
-        }
-
-        return smoothed;
-    };
-
-    // Landmark indices
-    var LANDMARKS = {
-        NOSE_TIP: 1,
-        LEFT_FACE: 234,
-        RIGHT_FACE: 454,
-        UPPER_LIP: 13,
-        LOWER_LIP: 14,
-        FOREHEAD: 10,
-        CHIN: 152,
-        LEFT_EYE: 33,
-        RIGHT_EYE: 263
-    };
+            self.savePreset(number, nameInput.value.trim());
+            numberInput.value = '';
+            nameInput.value = '';
+        };
+        form.appendChild(numberInput);
+        form.appendChild(nameInput);
+        form.appendChild(saveBtn);
+        panel.appendChild(form);
+
+        // Import / export
+        var io = Utils.createElement('div', 'moon-quick-btns');
+        var exportBtn = Utils.createElement('button', 'moon-btn-quick', { textContent: 'Export JSON' });
+        exportBtn.onclick = function() { self.exportPresets(); };
+        var importBtn = Utils.createElement('button', 'moon-btn-quick', { textContent: 'Import JSON' });
+        var fileInput = Utils.createElement('input', '', { type: 'file', accept: '.json,application/json' });
+        fileInput.style.display = 'none';
+        importBtn.onclick = function() { fileInput.click(); };
+        fileInput.onchange = function() {
+            if (fileInput.files[0]) self.importPresets(fileInput.files[0]);
+            fileInput.value = '';
+        };
+        io.appendChild(exportBtn);
+        io.appendChild(importBtn);
+        io.appendChild(fileInput);
+        panel.appendChild(io);
 
-    ProductionMonitorWidget.prototype.analyzeOrientation = function(landmarks) {
-        var nose = landmarks[LANDMARKS.NOSE_TIP];
-        var left = landmarks[LANDMARKS.LEFT_FACE];
-        var right = landmarks[LANDMARKS.RIGHT_FACE];
+        panel.appendChild(this.createSettingSlider('Pause Tracking On Recall (max)', 'recallPauseSeconds', 1, 15, 1, 's'));
 
-        if (!nose || !left || !right) {
-            this.updateMonitorStatus('orientation', 'ERROR', 'warning');
-            return;
-        }
+        var hint = Utils.createElement('small', 'moon-input-hint');
+        hint.textContent = 'Presets are saved per camera in this browser. Tracking pauses while a recall moves the camera and resumes when it stops.';
+        panel.appendChild(hint);
 
-        var noseToLeft = Math.abs(nose.x - left.x);
-        var noseToRight = Math.abs(nose.x - right.x);
-        var diff = Math.abs(noseToLeft - noseToRight);
+        this.renderPresetList();
+        return panel;
+    };
 
-        if (diff <= 0.15) {
-            this.updateMonitorStatus('orientation', 'STRAIGHT', 'good');
-        } else {
-            var direction = noseToLeft > noseToRight ? 'LEFT' : 'RIGHT';
-            this.updateMonitorStatus('orientation', direction, 'bad');
-        }
+    /** Storage key for the current camera ('simulation' in simulation mode). */
+    PTZTrackerWidget.prototype.getPresetCameraKey = function() {
+        if (this._simCheckbox && this._simCheckbox.checked) return 'simulation';
+        return this._ipInput ? this._ipInput.value.trim() : '';
     };
 
-    ProductionMonitorWidget.prototype.analyzeTalking = function(landmarks) {
-        var upperLip = landmarks[LANDMARKS.UPPER_LIP];
-        var lowerLip = landmarks[LANDMARKS.LOWER_LIP];
+    /** Rebuild the preset list for the current camera. */
+    PTZTrackerWidget.prototype.renderPresetList = function() {
+        var self = this;
+        var list = this._presetList;
+        if (!list) return;
+        list.innerHTML = '';
 
-        if (!upperLip || !lowerLip) {
-            this.updateMonitorStatus('talking', 'ERROR', 'warning');
+        var cameraKey = this.getPresetCameraKey();
+        if (!cameraKey) {
+            list.innerHTML = '<p class="moon-input-hint">Enter the camera IP (or enable simulation mode) to manage presets.</p>';
             return;
         }
 
-        var distance = Math.abs(upperLip.y - lowerLip.y);
-        // Threshold tuned for normalized coordinates (0-1 range)
-        // Typical closed mouth: ~0.01-0.015, talking: >0.02
-        var isTalking = distance > 0.018;
-        var now = Date.now();
-
-        // Update immediately but with short debounce to prevent flicker
-        if (isTalking !== this._talkingState.isTalking) {
-            if (now - this._talkingState.lastChange > 150) {
-                this._talkingState.isTalking = isTalking;
-                this._talkingState.lastChange = now;
-            }
-        }
-
-        // Always show current state based on actual measurement
-        if (isTalking) {
-            this.updateMonitorStatus('talking', 'TALKING', 'good');
-        } else {
-            this.updateMonitorStatus('talking', 'SILENT', 'warning');
-        }
-    };
-
-    ProductionMonitorWidget.prototype.analyzeFocus = function(landmarks) {
-        if (!this._cvReady || typeof cv === 'undefined') {
-            this.updateMonitorStatus('focus', 'CV N/A', 'warning');
+        var presets = PTZPresetStore.list(cameraKey);
+        if (!presets.length) {
+            list.innerHTML = '<p class="moon-input-hint">No presets saved for ' + Utils.escapeHTML(cameraKey) + ' yet.</p>';
             return;
         }
 
-        var leftEye = landmarks[LANDMARKS.LEFT_EYE];
-        var rightEye = landmarks[LANDMARKS.RIGHT_EYE];
-        var nose = landmarks[LANDMARKS.NOSE_TIP];
+        presets.forEach(function(preset) {
+            var item = Utils.createElement('div', 'moon-ptz-preset');
+            var thumb = preset.thumbnail ?
+                Utils.createElement('img', 'moon-ptz-preset-thumb', { src: preset.thumbnail, alt: '' }) :
+                Utils.createElement('div', 'moon-ptz-preset-thumb');
+            item.appendChild(thumb);
+
+            var info = Utils.createElement('div', 'moon-ptz-preset-info');
+            info.innerHTML = '<strong>' + Utils.escapeHTML(preset.name) + '</strong><small>#' + preset.number + '</small>';
+            item.appendChild(info);
+
+            var recallBtn = Utils.createElement('button', 'moon-btn moon-btn-primary moon-btn-sm', { textContent: 'Recall' });
+            recallBtn.onclick = function() { self.recallPreset(preset.number); };
+            var saveBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', {
+                textContent: 'Overwrite', title: 'Save the current camera position to this preset'
+            });
+            saveBtn.onclick = function() { self.savePreset(preset.number, preset.name); };
+            var deleteBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', {
+                textContent: '✕', title: 'Remove from this list (the camera keeps its preset)'
+            });
+            deleteBtn.onclick = function() {
+                PTZPresetStore.remove(cameraKey, preset.number);
+                self.renderPresetList();
+            };
+            item.appendChild(recallBtn);
+            item.appendChild(saveBtn);
+            item.appendChild(deleteBtn);
+            list.appendChild(item);
+        });
+    };
 
-        if (!leftEye || !rightEye || !nose) {
-            this.updateMonitorStatus('focus', 'NO DATA', 'warning');
+    /**
+     * Store the camera's current position in a preset (posset / VISCA
+     * memory set) and save it with a thumbnail of the current frame.
+     *
+     * @param {number} number - Preset number
+     * @param {string} name   - Display name
+     */
+    PTZTrackerWidget.prototype.savePreset = function(number, name) {
+        var self = this;
+        var cameraKey = this.getPresetCameraKey();
+        if (!cameraKey) {
+            this.showError('Enter the camera IP or enable simulation mode to save presets');
             return;
         }
 
-        try {
-            var source = this._media.video || this._media.imageCanvas;
-            if (!source) {
-                this.updateMonitorStatus('focus', 'NO SOURCE', 'warning');
-                return;
-            }
+        var thumbnail = this.hasLiveSource() && this._media && this._media.video ?
+            MediaCapture.captureFrame(this._media.video, 0.7, 160) : null;
 
-            // Get dimensions
-            var w, h;
-            if (source.tagName === 'VIDEO') {
-                w = source.videoWidth;
-                h = source.videoHeight;
-            } else {
-                w = source.width;
-                h = source.height;
-            }
+        this.getTransport().send(PTZCommand.presetSet(number)).then(function() {
+            PTZPresetStore.save(cameraKey, { number: number, name: name, thumbnail: thumbnail });
+            self.renderPresetList();
+            self.showToast('Saved preset ' + number + (name ? ' "' + name + '"' : ''), 'success');
+        }).catch(function(err) {
+            self.showError('Could not save preset: ' + err.message);
+        });
+    };
 
-            if (!w || !h || w < 40 || h < 40) {
-                this.updateMonitorStatus('focus', 'WAITING', 'warning');
-                return;
-            }
+    /**
+     * Recall a preset. While tracking, tracking pauses until the camera
+     * stops moving (position stops changing, or recallPauseSeconds when the
+     * position cannot be read) and then resumes with fresh control state.
+     *
+     * @param {number} number - Preset number
+     * @returns {Promise}     - Resolves when the recall is sent (and, while tracking, finished)
+     */
+    PTZTrackerWidget.prototype.recallPreset = function(number) {
+        var self = this;
+        var preset = PTZPresetStore.find(this.getPresetCameraKey(), number);
+        var label = preset ? '"' + preset.name + '" (' + number + ')' : String(number);
 
-            // Create temp canvas to capture video frame
-            if (!this._focusCanvas) {
-                this._focusCanvas = document.createElement('canvas');
-            }
-            this._focusCanvas.width = w;
-            this._focusCanvas.height = h;
-            var ctx = this._focusCanvas.getContext('2d');
-            ctx.drawImage(source, 0, 0, w, h);
+        if (!this._isTracking) {
+            return this.getTransport().send(PTZCommand.presetRecall(number)).then(function() {
+                self.showToast('Recalling preset ' + label);
+            }).catch(function(err) {
+                self.showError('Could not recall preset: ' + err.message);
+            });
+        }
 
-            // Sample region around face center
-            var centerX = ((leftEye.x + rightEye.x + nose.x) / 3) * w;
-            var centerY = ((leftEye.y + rightEye.y + nose.y) / 3) * h;
-            var size = 40;
-            var x = Math.max(0, Math.min(Math.floor(centerX - size/2), w - size));
-            var y = Math.max(0, Math.min(Math.floor(centerY - size/2), h - size));
+        // Pause tracking so the loop does not fight the preset move
+        var pause = { number: number, startedAt: Date.now() };
+        this._presetPause = pause;
+        this.clearOverlay();
+        this.updateStatusOverlay('paused', 'Paused: recalling preset ' + label);
+        this.logEvent('Recalling preset ' + label + ' - tracking paused');
+        if (this._zoomState.direction !== 'stop') {
+            this.sendPTZCommand(PTZCommand.zoom('stop'), 'preset');
+            this._zoomState = PTZZoomControl.createState();
+        }
 
-            var imgData = ctx.getImageData(x, y, size, size);
-            var mat = cv.matFromImageData(imgData);
-            var gray = new cv.Mat();
-            cv.cvtColor(mat, gray, cv.COLOR_RGBA2GRAY);
-            var lap = new cv.Mat();
-            cv.Laplacian(gray, lap, cv.CV_64F);
-            var mean = new cv.Mat();
-            var stdDev = new cv.Mat();
-            cv.meanStdDev(lap, mean, stdDev);
-            var variance = stdDev.doubleAt(0, 0);
+        return this.sendPTZCommand(PTZCommand.presetRecall(number), 'preset').then(function() {
+            return self.waitForCameraToSettle(self._ptzSettings.recallPauseSeconds * 1000);
+        }).then(function() {
+            if (self._presetPause !== pause || !self._isTracking) return;
+            self._presetPause = null;
+            if (!self._manualOverride) self.resumeTracking('Preset ' + label + ' reached - tracking resumed');
+        });
+    };
 
-            mat.delete(); gray.delete(); lap.delete(); mean.delete(); stdDev.delete();
+    /**
+     * Resume the tracking loop after a pause (preset recall, manual
+     * control) with fresh control state, since the camera has moved.
+     *
+     * @param {string} message - Event log entry
+     */
+    PTZTrackerWidget.prototype.resumeTracking = function(message) {
+        this._controlState = PTZControlLaw.createState();
+        this._lastCommand = null;
+        this._activeMotion = { drive: null, zoom: null };
+        if (!this._lock.manual) this.releaseLock();
+        this._predictor.reset();
+        this.updateStatusOverlay('tracking', 'Tracking: ' + this._ptzSettings.targetObject);
+        this.logEvent(message);
+    };
 
-            if (variance > 12) {
-                this.updateMonitorStatus('focus', 'SHARP', 'good');
-            } else if (variance > 6) {
-                this.updateMonitorStatus('focus', 'OK', 'warning');
-            } else {
-                this.updateMonitorStatus('focus', 'BLURRY', 'bad');
+    /**
+     * Resolve once two position readings 300ms apart match, or after
+     * maxMs. Without position inquiry (HTTP CGI) this simply waits maxMs.
+     *
+     * @param {number} maxMs - Upper bound on the wait
+     * @returns {Promise}
+     */
+    PTZTrackerWidget.prototype.waitForCameraToSettle = function(maxMs) {
+        var self = this;
+        var deadline = Date.now() + maxMs;
+        var last = null;
+
+        return new Promise(function(resolve) {
+            function poll() {
+                if (Date.now() >= deadline || !self._isTracking) return resolve();
+                self.inquirePosition().then(function(position) {
+                    if (last && position.pan === last.pan && position.tilt === last.tilt) return resolve();
+                    last = position;
+                    setTimeout(poll, 300);
+                }, function() {
+                    setTimeout(resolve, Math.max(0, deadline - Date.now()));
+                });
             }
-        } catch (e) {
-            console.warn('Focus analysis error:', e);
-            this.updateMonitorStatus('focus', 'CV ERROR', 'warning');
-        }
+            // Give the camera a moment to start moving before the first reading
+            setTimeout(poll, 500);
+        });
     };
 
-    ProductionMonitorWidget.prototype.analyzeLighting = function() {
-        var source = this._media ? this._media.video : null;
-        var imageCanvas = this._media ? this._media.imageCanvas : null;
-
-        // Determine source and dimensions
-        var w, h, drawSource;
-        if (source && source.tagName === 'VIDEO' && source.videoWidth > 0) {
-            w = source.videoWidth;
-            h = source.videoHeight;
-            drawSource = source;
-        } else if (imageCanvas && imageCanvas.width > 0) {
-            w = imageCanvas.width;
-            h = imageCanvas.height;
-            drawSource = imageCanvas;
-        } else {
-            this.updateMonitorStatus('lighting', 'N/A', 'disabled');
+    /** Download the current camera's presets as JSON. */
+    PTZTrackerWidget.prototype.exportPresets = function() {
+        var cameraKey = this.getPresetCameraKey();
+        if (!cameraKey) {
+            this.showError('Enter the camera IP or enable simulation mode to export presets');
             return;
         }
+        var blob = new Blob([PTZPresetStore.exportJSON(cameraKey)], { type: 'application/json' });
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'ptz-presets-' + cameraKey.replace(/[^a-z0-9]+/gi, '-') + '.json';
+        link.click();
+        setTimeout(function() { URL.revokeObjectURL(link.href); }, 1000);
+    };
 
-        try {
-            // Create/reuse temp canvas for analysis
-            if (!this._lightingCanvas) {
-                this._lightingCanvas = document.createElement('canvas');
+    /**
+     * Import presets from an exported JSON file into the current camera.
+     *
+     * @param {File} file - Selected JSON file
+     */
+    PTZTrackerWidget.prototype.importPresets = function(file) {
+        var self = this;
+        var cameraKey = this.getPresetCameraKey();
+        if (!cameraKey) {
+            this.showError('Enter the camera IP or enable simulation mode to import presets');
+            return;
+        }
+        var reader = new FileReader();
+        reader.onload = function() {
+            try {
+                var count = PTZPresetStore.importJSON(cameraKey, reader.result);
+                self.renderPresetList();
+                self.showToast('Imported ' + count + ' preset' + (count === 1 ? '' : 's'), 'success');
+            } catch (err) {
+                self.showError(err.message);
             }
-            this._lightingCanvas.width = w;
-            this._lightingCanvas.height = h;
-            var ctx = this._lightingCanvas.getContext('2d');
-            ctx.drawImage(drawSource, 0, 0, w, h);
+        };
+        reader.onerror = function() { self.showError('Could not read preset file'); };
+        reader.readAsText(file);
+    };
 
-            var imgData = ctx.getImageData(0, 0, w, h);
-            var data = imgData.data;
+    /**
+     * Build the "Manual Control" panel: keyboard/gamepad switches, manual
+     * speeds, stick deadzone and the idle time before tracking resumes.
+     * Starts listening for input.
+     *
+     * @returns {HTMLElement} - Details element
+     */
+    PTZTrackerWidget.prototype.createManualControlPanel = function() {
+        var self = this;
+        var panel = Utils.createElement('details', 'moon-details moon-ptz-manual');
+        panel.innerHTML = '<summary>Manual Control</summary>';
+
+        [['manualKeyboard', 'Keyboard (arrows, +/-, 1-9)'], ['manualGamepad', 'Gamepad']].forEach(function(option) {
+            var label = Utils.createElement('label', 'moon-checkbox-label');
+            var checkbox = Utils.createElement('input', '', { type: 'checkbox' });
+            checkbox.checked = self._ptzSettings[option[0]];
+            checkbox.onchange = function() {
+                self._ptzSettings[option[0]] = checkbox.checked;
+                if (!checkbox.checked) self.releaseManualInput();
+            };
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(' ' + option[1]));
+            panel.appendChild(label);
+        });
 
-            var totalBrightness = 0;
-            var pixelCount = data.length / 4;
-            for (var i = 0; i < data.length; i += 4) {
-                // Standard luminance formula
-                totalBrightness += (0.299 * data[i] + 0.587 * data[i+1] + 0.114 * data[i+2]);
-            }
-            var avgBrightness = totalBrightness / pixelCount;
+        var gamepadStatus = Utils.createElement('small', 'moon-input-hint');
+        gamepadStatus.textContent = 'No gamepad detected - press a button on it to connect';
+        panel.appendChild(gamepadStatus);
+        this._gamepadStatus = gamepadStatus;
+
+        panel.appendChild(this.createSettingSlider('Pan Speed', 'manualPanSpeed', 1, VISCA.PAN_SPEED_MAX, 1));
+        panel.appendChild(this.createSettingSlider('Tilt Speed', 'manualTiltSpeed', 1, VISCA.TILT_SPEED_MAX, 1));
+        panel.appendChild(this.createSettingSlider('Zoom Speed', 'manualZoomSpeed', 1, VISCA.ZOOM_SPEED_MAX, 1));
+        panel.appendChild(this.createSettingSlider('Stick Deadzone', 'gamepadDeadzone', 0, 0.5, 0.05));
+        panel.appendChild(this.createSettingSlider('Resume Tracking After', 'manualResumeSeconds', 1, 60, 1, 's idle'));
+
+        var hint = Utils.createElement('small', 'moon-input-hint');
+        hint.innerHTML = 'Arrows pan/tilt (Shift for full speed), +/- zoom, 1-9 recall presets. ' +
+            'Gamepad: left stick or D-pad pans/tilts, triggers or right stick zoom, A/B/X/Y recall presets 1-4. ' +
+            'Manual input pauses auto-tracking; it resumes once the controls have been idle.';
+        panel.appendChild(hint);
+
+        this.startManualInput();
+        return panel;
+    };
 
-            // Thresholds for 0-255 brightness scale
-            if (avgBrightness < 50) {
-                this.updateMonitorStatus('lighting', 'DARK', 'bad');
-            } else if (avgBrightness < 90) {
-                this.updateMonitorStatus('lighting', 'DIM', 'warning');
-            } else if (avgBrightness > 220) {
-                this.updateMonitorStatus('lighting', 'OVEREXPOSED', 'bad');
-            } else if (avgBrightness > 180) {
-                this.updateMonitorStatus('lighting', 'BRIGHT', 'warning');
-            } else {
-                this.updateMonitorStatus('lighting', 'GOOD', 'good');
+    /** Listen for keyboard and gamepad input while the widget is mounted. */
+    PTZTrackerWidget.prototype.startManualInput = function() {
+        var self = this;
+        var keys = this._manual.keys;
+
+        function isTyping(e) {
+            var tag = e.target && e.target.tagName;
+            return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || (e.target && e.target.isContentEditable);
+        }
+
+        var listeners = {
+            keydown: function(e) {
+                if (!self._ptzSettings.manualKeyboard || isTyping(e) || e.ctrlKey || e.metaKey || e.altKey) return;
+                var action = PTZManualControl.keyAction(e.key);
+                var preset = PTZManualControl.keyPreset(e.key);
+                if (!action && preset === null) return;
+                e.preventDefault();
+                if (e.repeat) return;
+                keys.shift = e.shiftKey;
+                if (action) keys[action] = true;
+                self.pollManualInput(preset !== null ? [preset] : []);
+            },
+            keyup: function(e) {
+                var action = PTZManualControl.keyAction(e.key);
+                keys.shift = e.shiftKey;
+                if (!action || !keys[action]) return;
+                keys[action] = false;
+                self.pollManualInput([]);
+            },
+            blur: function() {
+                // Keys released outside the window never send keyup
+                self.releaseManualInput();
+            },
+            gamepadconnected: function(e) {
+                self._gamepadStatus.textContent = 'Gamepad: ' + e.gamepad.id;
+                if (!self._manualPoll) {
+                    self._manualPoll = setInterval(function() { self.pollManualInput([]); }, 50);
+                }
+            },
+            gamepaddisconnected: function() {
+                if (self.getGamepad()) return;
+                self._gamepadStatus.textContent = 'No gamepad detected - press a button on it to connect';
+                clearInterval(self._manualPoll);
+                self._manualPoll = null;
+                self.pollManualInput([]);
             }
-        } catch (e) {
-            console.warn('Lighting analysis error:', e);
-            this.updateMonitorStatus('lighting', 'ERROR', 'warning');
+        };
+        Object.keys(listeners).forEach(function(type) {
+            window.addEventListener(type, listeners[type]);
+        });
+        this._manualListeners = listeners;
+        if (this.getGamepad()) listeners.gamepadconnected({ gamepad: this.getGamepad() });
+    };
+
+    PTZTrackerWidget.prototype.stopManualInput = function() {
+        var listeners = this._manualListeners;
+        if (listeners) {
+            Object.keys(listeners).forEach(function(type) {
+                window.removeEventListener(type, listeners[type]);
+            });
         }
+        this._manualListeners = null;
+        clearInterval(this._manualPoll);
+        this._manualPoll = null;
+        this._manualOverride = null;
     };
 
-    ProductionMonitorWidget.prototype.runMoonDreamAnalysis = function() {
-        var self = this;
-        var frame = this.getCurrentFrame();
-        if (!frame) return;
+    /** First connected gamepad, or null. */
+    PTZTrackerWidget.prototype.getGamepad = function() {
+        if (!navigator.getGamepads) return null;
+        var pads = navigator.getGamepads();
+        for (var i = 0; i < pads.length; i++) {
+            if (pads[i] && pads[i].connected) return pads[i];
+        }
+        return null;
+    };
 
-        // Presence and Composition analysis using single /detect call
-        var needsDetect = this._monitors.presence.enabled || this._monitors.composition.enabled;
-        if (needsDetect) {
-            ApiClient.detect(frame, 'face').then(function(response) {
-                var objects = response.objects || [];
+    /** Let go of every held key and stop any manual motion. */
+    PTZTrackerWidget.prototype.releaseManualInput = function() {
+        this._manual.keys = {};
+        this.pollManualInput([]);
+    };
 
-                // Update Presence (from same API call)
-                if (self._monitors.presence.enabled) {
-                    if (objects.length > 0) {
-                        self.updateMonitorStatus('presence', 'PRESENT', 'good');
-                    } else {
-                        self.updateMonitorStatus('presence', 'ABSENT', 'bad');
-                    }
-                }
+    /**
+     * Turn the current manual input into commands. Sends drive/zoom only
+     * when the speeds change, takes over from auto-tracking on any input,
+     * and hands back once everything has been idle for manualResumeSeconds.
+     *
+     * @param {Array} presets - Preset numbers requested by key presses
+     */
+    PTZTrackerWidget.prototype.pollManualInput = function(presets) {
+        var settings = this._ptzSettings;
+        var state = this._manual;
+        var gamepad = settings.manualGamepad ? this.getGamepad() : null;
+        var input = PTZManualControl.read(state, gamepad, settings);
+        presets = presets.concat(input.presets);
+        var active = input.pan || input.tilt || input.zoom || presets.length;
+        var now = Date.now();
 
-                // Update Composition
-                if (self._monitors.composition.enabled) {
-                    if (objects.length === 0) {
-                        self.updateMonitorStatus('composition', 'NO FACE', 'bad');
-                        return;
-                    }
+        if (active) {
+            this.takeManualControl(now);
+            this._manualOverride.lastInputAt = now;
+        }
 
-                    var face = objects[0];
-                    var centerX = (face.x_min + face.x_max) / 2;
-                    var centerY = (face.y_min + face.y_max) / 2;
-                    var faceWidth = face.x_max - face.x_min;
-                    var faceHeight = face.y_max - face.y_min;
+        if (input.pan !== state.pan || input.tilt !== state.tilt) {
+            state.pan = input.pan;
+            state.tilt = input.tilt;
+            this.sendManualCommand(PTZManualControl.driveCommand(input.pan, input.tilt));
+        }
+        if (input.zoom !== state.zoom) {
+            state.zoom = input.zoom;
+            this.sendManualCommand(PTZManualControl.zoomCommand(input.zoom));
+        }
+        for (var i = 0; i < presets.length; i++) this.recallPreset(presets[i]);
+
+        // Hand back to auto-tracking after the idle timeout
+        var override = this._manualOverride;
+        if (override && !active && now - override.lastInputAt >= settings.manualResumeSeconds * 1000) {
+            this._manualOverride = null;
+            if (override.timer) clearTimeout(override.timer);
+            if (this._isTracking && !this._presetPause) this.resumeTracking('Manual control idle - tracking resumed');
+        }
+    };
 
-                    // Analyze composition
-                    var issues = [];
+    /**
+     * Pause auto-tracking for manual control (no-op when not tracking or
+     * already paused). A timer re-checks idleness when no gamepad is
+     * polling.
+     *
+     * @param {number} now - Current time in ms
+     */
+    PTZTrackerWidget.prototype.takeManualControl = function(now) {
+        var self = this;
+        if (!this._isTracking) return;
+        if (!this._manualOverride) {
+            this._manualOverride = { startedAt: now, lastInputAt: now, timer: null };
+            this.clearOverlay();
+            this.clearPolicyTimers();
+            // Stop tracking motion; manual commands follow from the current input
+            this.sendPTZCommand(PTZCommand.stop(), 'manual');
+            if (this._zoomState.direction !== 'stop') {
+                this.sendPTZCommand(PTZCommand.zoom('stop'), 'manual');
+                this._zoomState = PTZZoomControl.createState();
+            }
+            this._manual.pan = this._manual.tilt = this._manual.zoom = 0;
+            this.updateStatusOverlay('paused', 'Manual control - tracking resumes after ' +
+                this._ptzSettings.manualResumeSeconds + 's idle');
+            this.logEvent('Manual control - tracking paused');
+        }
+        var override = this._manualOverride;
+        if (override.timer) clearTimeout(override.timer);
+        override.timer = setTimeout(function() {
+            override.timer = null;
+            if (self._manualOverride === override) self.pollManualInput([]);
+        }, this._ptzSettings.manualResumeSeconds * 1000 + 50);
+    };
 
-                    // Check framing (face size)
-                    if (faceWidth > 0.5 || faceHeight > 0.6) {
-                        issues.push('TOO CLOSE');
-                    } else if (faceWidth < 0.15 && faceHeight < 0.2) {
-                        issues.push('TOO FAR');
-                    }
+    /**
+     * Send a manual command straight to the camera. Manual moves are the
+     * operator's call, so soft limits (an auto-tracking guard) do not apply.
+     *
+     * @param {object} command - PTZCommand
+     */
+    PTZTrackerWidget.prototype.sendManualCommand = function(command) {
+        var self = this;
+        if (!this._simCheckbox.checked && !this._ipInput.value.trim()) return Promise.resolve(null);
+        var transport = this._transport || this.getTransport();
+        var entry = this._isTracking ? this.journalCommand(command, 'manual', []) : null;
+        return transport.send(command).then(function(result) {
+            if (self._isTracking) self.recordDelivery(result, null);
+            if (entry) self.completeJournalCommand(entry, result, null);
+            return result;
+        }).catch(function(err) {
+            if (self._isTracking) self.recordDelivery(null, err);
+            else self.showError('Manual control: ' + err.message);
+            if (entry) self.completeJournalCommand(entry, null, err);
+            return null;
+        });
+    };
 
-                    // Check position
-                    if (centerX < 0.3) issues.push('→ RIGHT');
-                    else if (centerX > 0.7) issues.push('← LEFT');
-                    if (centerY < 0.25) issues.push('↓ DOWN');
-                    else if (centerY > 0.75) issues.push('↑ UP');
+    /**
+     * Build the "Command Journal" panel: a table of every detection and
+     * command in the session (newest first), export, import and replay.
+     *
+     * @returns {HTMLElement} - Details element
+     */
+    PTZTrackerWidget.prototype.createJournalPanel = function() {
+        var self = this;
+        var panel = Utils.createElement('details', 'moon-details moon-ptz-journal');
+        panel.innerHTML = '<summary>Command Journal</summary>';
+
+        var io = Utils.createElement('div', 'moon-quick-btns');
+        var csvBtn = Utils.createElement('button', 'moon-btn-quick', { textContent: 'Export CSV' });
+        csvBtn.onclick = function() { self.exportJournal('csv'); };
+        var jsonBtn = Utils.createElement('button', 'moon-btn-quick', { textContent: 'Export JSON' });
+        jsonBtn.onclick = function() { self.exportJournal('json'); };
+        var importBtn = Utils.createElement('button', 'moon-btn-quick', { textContent: 'Import JSON' });
+        var fileInput = Utils.createElement('input', '', { type: 'file', accept: '.json,application/json' });
+        fileInput.style.display = 'none';
+        importBtn.onclick = function() { fileInput.click(); };
+        fileInput.onchange = function() {
+            if (fileInput.files[0]) self.importJournal(fileInput.files[0]);
+            fileInput.value = '';
+        };
+        var clearBtn = Utils.createElement('button', 'moon-btn-quick', { textContent: 'Clear' });
+        clearBtn.onclick = function() { self.clearJournal(); };
+        [csvBtn, jsonBtn, importBtn, clearBtn, fileInput].forEach(function(el) { io.appendChild(el); });
+        panel.appendChild(io);
+
+        // Replay against the simulated camera
+        var replayRow = Utils.createElement('div', 'moon-ptz-limit-row');
+        var replayBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', { textContent: 'Replay in Simulation' });
+        replayBtn.onclick = function() { self.replayJournal(); };
+        var stopReplayBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', { textContent: 'Stop Replay' });
+        stopReplayBtn.onclick = function() { self.stopReplay(); };
+        var speedSelect = Utils.createElement('select', 'moon-select');
+        [1, 2, 4, 8].forEach(function(rate) {
+            speedSelect.appendChild(Utils.createElement('option', '', { value: String(rate), textContent: rate + 'x' }));
+        });
+        replayRow.appendChild(replayBtn);
+        replayRow.appendChild(stopReplayBtn);
+        replayRow.appendChild(speedSelect);
+        panel.appendChild(replayRow);
+        this._journalReplayBtn = replayBtn;
+        this._journalStopReplayBtn = stopReplayBtn;
+        this._journalImportBtn = importBtn;
+        this._journalClearBtn = clearBtn;
+        this._replaySpeedSelect = speedSelect;
+
+        var status = Utils.createElement('small', 'moon-input-hint');
+        panel.appendChild(status);
+        this._journalStatus = status;
+
+        var wrap = Utils.createElement('div', 'moon-ptz-journal-wrap');
+        wrap.innerHTML =
+            '<table class="moon-ptz-journal-table">' +
+                '<thead><tr><th>Time</th><th>Source</th><th>Detection</th><th>Command</th>' +
+                '<th>Speed</th><th>Response</th><th>Latency</th><th>Replay</th></tr></thead>' +
+                '<tbody></tbody>' +
+            '</table>';
+        panel.appendChild(wrap);
+        this._journalBody = wrap.querySelector('tbody');
+
+        var hint = Utils.createElement('small', 'moon-input-hint');
+        hint.textContent = 'Each tracking session starts a new journal. Replay sends the recorded commands, ' +
+            'with their original timing, to a simulated camera and shows where it ends up on the soft-limit map.';
+        panel.appendChild(hint);
+
+        this.renderJournal();
+        return panel;
+    };
+
+    /** Journal one detection result. */
+    PTZTrackerWidget.prototype.journalDetection = function(objects, detection, latencyMs) {
+        function round(value) { return Math.round(value * 1000) / 1000; }
+        var target = detection ? {
+            x: round((detection.x_min + detection.x_max) / 2),
+            y: round((detection.y_min + detection.y_max) / 2),
+            width: round(detection.x_max - detection.x_min),
+            height: round(detection.y_max - detection.y_min)
+        } : null;
+        this.addJournalRow(this._journal.record('detection', {
+            source: 'tracking',
+            object: this._ptzSettings.targetObject,
+            objects: objects.length,
+            target: target,
+            latencyMs: Math.round(latencyMs)
+        }));
+    };
+
+    /** Journal a command as it is sent; returns the entry to complete. */
+    PTZTrackerWidget.prototype.journalCommand = function(command, source, blocked) {
+        var entry = this._journal.recordCommand(command, source, blocked);
+        this.addJournalRow(entry);
+        return entry;
+    };
 
-                    if (issues.length === 0) {
-                        self.updateMonitorStatus('composition', 'GOOD', 'good');
-                    } else {
-                        self.updateMonitorStatus('composition', issues.join(' '), 'bad');
-                    }
+    PTZTrackerWidget.prototype.completeJournalCommand = function(entry, result, error) {
+        this._journal.complete(entry, result, error);
+        var row = this._journalRows[entry.seq];
+        if (row) this.fillJournalRow(row, entry);
+    };
 
-                    // Draw composition overlay
-                    self.drawCompositionOverlay(face);
-                }
-            }).catch(function(err) {
-                if (self._monitors.presence.enabled) {
-                    self.updateMonitorStatus('presence', 'ERROR', 'warning');
-                }
-                if (self._monitors.composition.enabled) {
-                    self.updateMonitorStatus('composition', 'ERROR', 'warning');
-                }
-            });
+    /** Add a table row for an entry, keeping at most 300 rows in the page. */
+    PTZTrackerWidget.prototype.addJournalRow = function(entry) {
+        if (!this._journalBody) return;
+        var row = document.createElement('tr');
+        for (var i = 0; i < 8; i++) row.appendChild(document.createElement('td'));
+        this.fillJournalRow(row, entry);
+        this._journalBody.insertBefore(row, this._journalBody.firstChild);
+        this._journalRows[entry.seq] = row;
+        while (this._journalBody.children.length > 300) {
+            var last = this._journalBody.lastChild;
+            delete this._journalRows[last.getAttribute('data-seq')];
+            this._journalBody.removeChild(last);
         }
+        this.updateJournalStatus();
+    };
 
-        // Scene context using /caption
-        if (this._monitors.sceneContext.enabled) {
-            ApiClient.caption(frame, 'normal').then(function(response) {
-                var caption = response.caption || 'No description';
-                self.updateMonitorStatus('sceneContext', 'UPDATED', 'good');
-                if (self._sceneText) {
-                    self._sceneText.textContent = caption;
-                }
-            }).catch(function(err) {
-                self.updateMonitorStatus('sceneContext', 'ERROR', 'warning');
-            });
+    PTZTrackerWidget.prototype.fillJournalRow = function(row, entry) {
+        var cells = row.children;
+        var speed = [];
+        if (entry.panSpeed) speed.push('P' + entry.panSpeed);
+        if (entry.tiltSpeed) speed.push('T' + entry.tiltSpeed);
+        if (entry.zoomSpeed) speed.push('Z' + entry.zoomSpeed);
+
+        row.setAttribute('data-seq', entry.seq);
+        row.className = 'moon-ptz-journal-' + (entry.kind === 'command' ? entry.status : 'detection');
+        cells[0].textContent = '+' + (entry.offsetMs / 1000).toFixed(2) + 's';
+        cells[0].title = new Date(entry.time).toLocaleTimeString();
+        cells[1].textContent = entry.source;
+        if (entry.kind === 'detection') {
+            cells[2].textContent = entry.target ?
+                Math.round(entry.target.x * 100) + '%, ' + Math.round(entry.target.y * 100) + '% (' + entry.objects + ' found)' :
+                'none (' + entry.objects + ' found)';
+        } else {
+            cells[3].textContent = entry.description + (entry.blocked ? ' [limit: ' + entry.blocked + ']' : '');
+            cells[4].textContent = speed.join(' ');
+            cells[5].textContent = entry.status === 'failed' ? 'failed: ' + entry.error :
+                entry.status + (entry.reply ? ' (' + entry.reply + ')' : '');
+            cells[5].title = entry.request;
         }
+        cells[6].textContent = typeof entry.latencyMs === 'number' ? entry.latencyMs + ' ms' : '';
     };
 
-    ProductionMonitorWidget.prototype.drawCompositionOverlay = function(face) {
-        if (!this.overlayCanvas || !this.overlayCtx) return;
+    /** Rebuild the table from the journal (after import or clear). */
+    PTZTrackerWidget.prototype.renderJournal = function() {
+        if (!this._journalBody) return;
+        this._journalBody.innerHTML = '';
+        this._journalRows = {};
+        var self = this;
+        this._journal.entries.slice(-300).forEach(function(entry) { self.addJournalRow(entry); });
+        this.updateJournalStatus();
+        this.updateJournalControls();
+    };
 
-        var ctx = this.overlayCtx;
-        var w = this.overlayCanvas.width;
-        var h = this.overlayCanvas.height;
+    PTZTrackerWidget.prototype.clearJournal = function() {
+        this.stopReplay();
+        this._journal = new PTZCommandJournal();
+        this.renderJournal();
+    };
 
-        // Clear
-        ctx.clearRect(0, 0, w, h);
+    PTZTrackerWidget.prototype.updateJournalStatus = function() {
+        if (!this._journalStatus) return;
+        var replay = this._replay;
+        if (replay) {
+            this._journalStatus.textContent = 'Replaying ' + replay.done + ' / ' + replay.total +
+                ' commands at ' + replay.rate + 'x' + (replay.mismatches ? ' - ' + replay.mismatches + ' failed' : '');
+            return;
+        }
+        var entries = this._journal.entries;
+        var commands = entries.filter(function(entry) { return entry.kind === 'command'; }).length;
+        this._journalStatus.textContent = entries.length ?
+            entries.length + ' entries (' + (entries.length - commands) + ' detections, ' + commands + ' commands)' :
+            'The journal is empty. Start tracking or import a journal.';
+    };
 
-        // Draw rule of thirds grid
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-        ctx.lineWidth = 1;
+    /** Import, clear and replay are off while tracking; stop only during a replay. */
+    PTZTrackerWidget.prototype.updateJournalControls = function() {
+        if (!this._journalReplayBtn) return;
+        this._journalReplayBtn.disabled = this._isTracking || !!this._replay;
+        this._journalImportBtn.disabled = this._isTracking;
+        this._journalClearBtn.disabled = this._isTracking;
+        this._journalStopReplayBtn.disabled = !this._replay;
+    };
 
-        // Vertical lines
-        ctx.beginPath();
-        ctx.moveTo(w/3, 0); ctx.lineTo(w/3, h);
-        ctx.moveTo(2*w/3, 0); ctx.lineTo(2*w/3, h);
-        // Horizontal lines
-        ctx.moveTo(0, h/3); ctx.lineTo(w, h/3);
-        ctx.moveTo(0, 2*h/3); ctx.lineTo(w, 2*h/3);
-        ctx.stroke();
+    /**
+     * Download the journal.
+     *
+     * @param {string} format - 'csv' or 'json'
+     */
+    PTZTrackerWidget.prototype.exportJournal = function(format) {
+        if (!this._journal.entries.length) {
+            this.showError('The journal is empty');
+            return;
+        }
+        var settings = this._ptzSettings;
+        var text = format === 'csv' ? this._journal.exportCSV() : this._journal.exportJSON({
+            camera: this._simCheckbox.checked ? 'simulation' : settings.cameraIP,
+            protocol: settings.protocol,
+            targetObject: settings.targetObject
+        });
+        var blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        var stamp = new Date(this._journal.startedAt).toISOString().replace(/[:.]/g, '-');
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'ptz-journal-' + stamp + '.' + format;
+        link.click();
+        setTimeout(function() { URL.revokeObjectURL(link.href); }, 1000);
+    };
 
-        // Draw face bounding box
-        var x = face.x_min * w;
-        var y = face.y_min * h;
-        var bw = (face.x_max - face.x_min) * w;
-        var bh = (face.y_max - face.y_min) * h;
+    /**
+     * Load an exported JSON journal (replaces the current one).
+     *
+     * @param {File} file - Selected JSON file
+     */
+    PTZTrackerWidget.prototype.importJournal = function(file) {
+        var self = this;
+        var reader = new FileReader();
+        reader.onload = function() {
+            try {
+                var journal = PTZCommandJournal.fromJSON(reader.result);
+                self.stopReplay();
+                self._journal = journal;
+                self.renderJournal();
+                self.showToast('Imported ' + journal.entries.length + ' journal entries', 'success');
+            } catch (err) {
+                self.showError(err.message);
+            }
+        };
+        reader.onerror = function() { self.showError('Could not read journal file'); };
+        reader.readAsText(file);
+    };
 
-        ctx.strokeStyle = CONFIG.colors.detect;
-        ctx.lineWidth = 2;
-        ctx.strokeRect(x, y, bw, bh);
+    /**
+     * Send the journal's commands to a fresh simulated camera with their
+     * recorded spacing (divided by the chosen speed). Each row shows the
+     * replay result and the simulated position, which is also drawn on the
+     * soft-limit map.
+     */
+    PTZTrackerWidget.prototype.replayJournal = function() {
+        var self = this;
+        if (this._isTracking) {
+            this.showError('Stop tracking before replaying the journal');
+            return;
+        }
+        var steps = this._journal.commands();
+        if (!steps.length) {
+            this.showError('The journal has no commands to replay');
+            return;
+        }
+        this.stopReplay();
+
+        var transport = PTZTransports.create(this._ptzSettings, true);
+        var replay = {
+            transport: transport,
+            timers: [],
+            rate: parseInt(this._replaySpeedSelect.value, 10) || 1,
+            total: steps.length,
+            done: 0,
+            mismatches: 0
+        };
+        this._replay = replay;
+        this._position = { pan: 0, tilt: 0, zoom: 0 };
+        this.drawLimitMap();
+        this.updateJournalStatus();
+        this.updateJournalControls();
+
+        var first = steps[0].offsetMs;
+        steps.forEach(function(entry) {
+            replay.timers.push(setTimeout(function() {
+                transport.send(entry.command).then(function() {
+                    return null;
+                }, function(err) {
+                    replay.mismatches++;
+                    return err.message;
+                }).then(function(failure) {
+                    if (self._replay !== replay) return;
+                    replay.done++;
+                    var position = transport.position;
+                    self._position = { pan: position.pan, tilt: position.tilt, zoom: position.zoom };
+                    self.drawLimitMap();
+                    var row = self._journalRows[entry.seq];
+                    if (row) {
+                        row.children[7].textContent = failure ? 'failed: ' + failure :
+                            'pan ' + position.pan + ', tilt ' + position.tilt;
+                        row.classList.add('moon-ptz-journal-replayed');
+                    }
+                    self.updateJournalStatus();
+                    if (replay.done === replay.total) self.finishReplay();
+                });
+            }, (entry.offsetMs - first) / replay.rate));
+        });
+    };
 
-        // Draw center point
-        var cx = (face.x_min + face.x_max) / 2 * w;
-        var cy = (face.y_min + face.y_max) / 2 * h;
-        ctx.fillStyle = CONFIG.colors.detect;
-        ctx.beginPath();
-        ctx.arc(cx, cy, 5, 0, Math.PI * 2);
-        ctx.fill();
+    PTZTrackerWidget.prototype.finishReplay = function() {
+        var replay = this._replay;
+        var position = replay.transport.position;
+        this._replay = null;
+        this.updateJournalControls();
+        this._journalStatus.textContent = 'Replay finished: ' + replay.total + ' commands' +
+            (replay.mismatches ? ', ' + replay.mismatches + ' failed' : '') +
+            ' - simulated camera ended at pan ' + position.pan + ', tilt ' + position.tilt + ', zoom ' + position.zoom;
     };
 
-    ProductionMonitorWidget.prototype.unmount = function() {
-        this.stopMonitoring();
-        WidgetBase.prototype.unmount.call(this);
+    /** Cancel a running replay and clear the replay column. */
+    PTZTrackerWidget.prototype.stopReplay = function() {
+        if (this._replay) this._replay.timers.forEach(clearTimeout);
+        this._replay = null;
+        var self = this;
+        Object.keys(this._journalRows).forEach(function(seq) {
+            self._journalRows[seq].classList.remove('moon-ptz-journal-replayed');
+            self._journalRows[seq].children[7].textContent = '';
+        });
+        this.updateJournalStatus();
+        this.updateJournalControls();
     };
 
-    // ============================================================
-    // WIDGET 7: PTZ AUTO-TRACKER
-    // ============================================================
     /**
-     * PTZTrackerWidget - AI-powered PTZ camera auto-tracking.
-     *
-     * Uses MoonDream to detect any specified object and automatically
-     * sends pan/tilt commands to a PTZ camera to keep the object centered.
-     *
-     * TRACKING ALGORITHM:
-     * 1. Capture frame from webcam (can be PTZ camera's NDI feed)
-     * 2. Send to MoonDream /detect endpoint for target object
-     * 3. Calculate center point of detected object
-     * 4. Compare to frame center, determine offset
-     * 5. If outside deadzone, send PTZ command to move toward center
-     * 6. Repeat at configured interval
-     *
-     * PTZ CONTROL:
-     * - Sends HTTP CGI commands compatible with PTZOptics cameras
-     * - URL format: http://{IP}/cgi-bin/ptzctrl.cgi?ptzcmd&{direction}&{speed}
-     * - Simulation mode available for testing without camera
-     *
-     * PRESETS:
-     * | Preset   | Rate    | Speed | Deadzone | Use Case         |
-     * |----------|---------|-------|----------|------------------|
-     * | Smooth   | 0.5/sec | 3     | 12%      | Broadcast        |
-     * | Balanced | 1.0/sec | 5     | 5%       | General use      |
-     * | Precise  | 1.5/sec | 6     | 2%       | Presentations    |
-     * | Fast     | 2.0/sec | 8     | 8%       | Sports/Action    |
-     *
-     * Features:
-     * - Configurable target object (person, face, hand, ball, etc.)
-     * - Adjustable detection rate and movement speed
-     * - Visual overlay showing target position and movement direction
-     * - Real-time status display
-     * - Simulation mode for testing
-     *
-     * API used: /detect endpoint
+     * Build the "Soft Limits & No-Go Regions" panel: pan/tilt/zoom bounds
+     * (typed in or stored from the camera's current position), no-go
+     * regions, and a pan/tilt map of both.
      *
-     * @extends WidgetBase
+     * @returns {HTMLElement} - Details element
      */
-    function PTZTrackerWidget() {
-        WidgetBase.call(this,
-            'ptz-tracker',
-            'PTZ Auto-Tracker',
-            '🎯',
-            'AI-powered object tracking that automatically controls PTZ cameras to keep subjects centered in frame.'
-        );
-        this._isTracking = false;
-        this._trackingInterval = null;
-        this._currentDetection = null;
-        this._ptzSettings = {
-            cameraIP: '',
-            targetObject: 'person',
-            detectionRate: 1.0,
-            panSpeed: 5,
-            tiltSpeed: 5,
-            deadzoneX: 5,
-            deadzoneY: 5
+    PTZTrackerWidget.prototype.createSoftLimitPanel = function() {
+        var self = this;
+        var panel = Utils.createElement('details', 'moon-details moon-ptz-limits');
+        panel.innerHTML = '<summary>Soft Limits &amp; No-Go Regions</summary>';
+        this._limitInputs = {};
+
+        var enableLabel = Utils.createElement('label', 'moon-checkbox-label');
+        var enableCheckbox = Utils.createElement('input', '', { type: 'checkbox' });
+        enableCheckbox.onchange = function() {
+            self._limits.enabled = enableCheckbox.checked;
+            self.saveSoftLimits();
         };
-        this._presets = {
-            smooth: { name: 'Smooth (Broadcast)', rate: 0.5, speed: 3, deadzone: 12 },
-            balanced: { name: 'Balanced (General)', rate: 1.0, speed: 5, deadzone: 5 },
-            precise: { name: 'Precise (Presentation)', rate: 1.5, speed: 6, deadzone: 2 },
-            fast: { name: 'Fast (Sports/Action)', rate: 2.0, speed: 8, deadzone: 8 }
+        enableLabel.appendChild(enableCheckbox);
+        enableLabel.appendChild(document.createTextNode(' Enforce soft limits while tracking'));
+        panel.appendChild(enableLabel);
+        this._limitInputs.enabled = enableCheckbox;
+
+        // One row per axis: min and max, each typed in or stored from the camera
+        [['pan', 'Pan'], ['tilt', 'Tilt'], ['zoom', 'Zoom']].forEach(function(axis) {
+            var group = Utils.createElement('div', 'moon-input-group');
+            group.innerHTML = '<label class="moon-label">' + axis[1] + ' Limits:</label>';
+            var row = Utils.createElement('div', 'moon-ptz-limit-row');
+            ['Min', 'Max'].forEach(function(end) {
+                var key = axis[0] + end;
+                var input = Utils.createElement('input', 'moon-input', { type: 'number', placeholder: end.toLowerCase() + ' (none)' });
+                input.onchange = function() {
+                    self._limits[key] = input.value === '' ? null : parseInt(input.value, 10);
+                    self.saveSoftLimits();
+                };
+                var storeBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', {
+                    textContent: 'Store', title: 'Store the current ' + axis[0] + ' position as the ' + end.toLowerCase() + ' limit'
+                });
+                storeBtn.onclick = function() {
+                    self.inquirePosition(axis[0] === 'zoom').then(function(position) {
+                        self._limits[key] = position[axis[0]];
+                        if (self.saveSoftLimits()) self.showToast(axis[1] + ' ' + end.toLowerCase() + ' limit stored: ' + position[axis[0]]);
+                    }).catch(function(err) {
+                        self.showError('Could not read camera position: ' + err.message);
+                    });
+                };
+                row.appendChild(input);
+                row.appendChild(storeBtn);
+                self._limitInputs[key] = input;
+            });
+            group.appendChild(row);
+            panel.appendChild(group);
+        });
+
+        var marginGroup = Utils.createElement('div', 'moon-input-group');
+        marginGroup.innerHTML = '<label class="moon-label">Stopping Margin:</label>';
+        var marginInput = Utils.createElement('input', 'moon-input', { type: 'number', min: '0', step: '10' });
+        marginInput.onchange = function() {
+            self._limits.margin = Math.max(0, parseInt(marginInput.value, 10) || 0);
+            self.saveSoftLimits();
         };
-    }
-    PTZTrackerWidget.prototype = Object.create(WidgetBase.prototype);
+        marginGroup.appendChild(marginInput);
+        var marginHint = Utils.createElement('small', 'moon-input-hint');
+        marginHint.textContent = 'Position units before a limit or region where motion toward it stops. Raise it for fast speeds or slow detection rates.';
+        marginGroup.appendChild(marginHint);
+        panel.appendChild(marginGroup);
+        this._limitInputs.margin = marginInput;
+
+        // No-go regions: name and two opposite corners
+        var regionList = Utils.createElement('div', 'moon-ptz-preset-list');
+        panel.appendChild(regionList);
+        this._regionList = regionList;
+
+        var regionForm = Utils.createElement('div', 'moon-ptz-subsettings');
+        var nameInput = Utils.createElement('input', 'moon-input', { type: 'text', placeholder: 'Region name (e.g. Audience)' });
+        regionForm.appendChild(nameInput);
+        var corners = [1, 2].map(function(n) {
+            var row = Utils.createElement('div', 'moon-ptz-limit-row');
+            var pan = Utils.createElement('input', 'moon-input', { type: 'number', placeholder: 'Corner ' + n + ' pan' });
+            var tilt = Utils.createElement('input', 'moon-input', { type: 'number', placeholder: 'Corner ' + n + ' tilt' });
+            var storeBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', { textContent: 'Store' });
+            storeBtn.onclick = function() {
+                self.inquirePosition(false).then(function(position) {
+                    pan.value = position.pan;
+                    tilt.value = position.tilt;
+                }).catch(function(err) {
+                    self.showError('Could not read camera position: ' + err.message);
+                });
+            };
+            row.appendChild(pan);
+            row.appendChild(tilt);
+            row.appendChild(storeBtn);
+            regionForm.appendChild(row);
+            return { pan: pan, tilt: tilt };
+        });
+        var addBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', { textContent: 'Add No-Go Region' });
+        addBtn.onclick = function() {
+            try {
+                var region = PTZSoftLimits.createRegion(nameInput.value.trim(),
+                    parseInt(corners[0].pan.value, 10), parseInt(corners[0].tilt.value, 10),
+                    parseInt(corners[1].pan.value, 10), parseInt(corners[1].tilt.value, 10));
+                self._limits.regions.push(region);
+                if (!self.saveSoftLimits()) return;
+                nameInput.value = '';
+                corners.forEach(function(c) { c.pan.value = ''; c.tilt.value = ''; });
+                self.renderRegionList();
+            } catch (err) {
+                self.showError(err.message);
+            }
+        };
+        regionForm.appendChild(addBtn);
+        panel.appendChild(regionForm);
+
+        // Pan/tilt map (live position while tracking or in simulation)
+        var mapCanvas = Utils.createElement('canvas', 'moon-ptz-plot-canvas', { width: '360', height: '180' });
+        panel.appendChild(mapCanvas);
+        this._limitMap = mapCanvas;
+        var refreshBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', { textContent: 'Read Camera Position' });
+        refreshBtn.onclick = function() {
+            self.inquirePosition(false).then(function(position) {
+                self._position = position;
+                self.drawLimitMap();
+            }).catch(function(err) {
+                self.showError('Could not read camera position: ' + err.message);
+            });
+        };
+        panel.appendChild(refreshBtn);
 
-    PTZTrackerWidget.prototype.render = function() {
+        var hint = Utils.createElement('small', 'moon-input-hint');
+        hint.textContent = 'Limits are stored per camera and checked against the position read after each detection, so they need VISCA control (or simulation mode). Try them in simulation first: the map shows the simulated camera stopping at each limit.';
+        panel.appendChild(hint);
+
+        this.loadSoftLimits();
+        return panel;
+    };
+
+    /** Load the current camera's soft limits into the panel. */
+    PTZTrackerWidget.prototype.loadSoftLimits = function() {
+        var cameraKey = this.getPresetCameraKey();
+        this._limits = cameraKey ? PTZSoftLimits.load(cameraKey) : PTZSoftLimits.createLimits();
+        if (!this._limitInputs) return;
+
+        var limits = this._limits;
+        var inputs = this._limitInputs;
+        inputs.enabled.checked = limits.enabled;
+        inputs.margin.value = limits.margin;
+        ['panMin', 'panMax', 'tiltMin', 'tiltMax', 'zoomMin', 'zoomMax'].forEach(function(key) {
+            inputs[key].value = typeof limits[key] === 'number' ? limits[key] : '';
+        });
+        this.renderRegionList();
+    };
+
+    /**
+     * Store the current camera's soft limits.
+     * @returns {boolean} - False if there is no camera to store them for
+     */
+    PTZTrackerWidget.prototype.saveSoftLimits = function() {
+        var cameraKey = this.getPresetCameraKey();
+        if (!cameraKey) {
+            this.showError('Enter the camera IP or enable simulation mode to store soft limits');
+            return false;
+        }
+        try {
+            PTZSoftLimits.save(cameraKey, this._limits);
+        } catch (err) {
+            this.showError(err.message);
+            return false;
+        }
+        this.loadSoftLimits();
+        return true;
+    };
+
+    PTZTrackerWidget.prototype.renderRegionList = function() {
         var self = this;
+        var list = this._regionList;
+        list.innerHTML = '';
+        this._limits.regions.forEach(function(region, index) {
+            var item = Utils.createElement('div', 'moon-ptz-preset');
+            var info = Utils.createElement('div', 'moon-ptz-preset-info');
+            info.innerHTML = '<strong>' + Utils.escapeHTML(region.name) + '</strong><small>pan ' +
+                region.panMin + '..' + region.panMax + ', tilt ' + region.tiltMin + '..' + region.tiltMax + '</small>';
+            item.appendChild(info);
+            var deleteBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', { textContent: '✕' });
+            deleteBtn.onclick = function() {
+                self._limits.regions.splice(index, 1);
+                self.saveSoftLimits();
+            };
+            item.appendChild(deleteBtn);
+            list.appendChild(item);
+        });
+        this.drawLimitMap();
+    };
 
-        var header = Utils.createElement('div', 'moon-widget-header');
-        header.innerHTML = '<span class="moon-widget-icon">' + this.icon + '</span>' +
-            '<h2 class="moon-widget-title">' + this.label + '</h2>' +
-            '<p class="moon-widget-desc">' + this.description + '</p>';
-        this.rootEl.appendChild(header);
+    PTZTrackerWidget.prototype.drawLimitMap = function() {
+        if (!this._limitMap) return;
+        CanvasUtils.drawPanTiltMap(this._limitMap.getContext('2d'), this._limitMap.width, this._limitMap.height,
+            this._limits, this._position, PTZSoftLimits.RANGE);
+    };
 
-        var body = Utils.createElement('div', 'moon-widget-body');
-        var grid = Utils.createElement('div', 'moon-grid moon-grid-2');
+    /**
+     * Read the position for this tick and stop any motion that has run
+     * into a limit since it was sent (e.g. a lost-target sweep, which is
+     * sent once and keeps moving).
+     *
+     * @returns {Promise}
+     */
+    PTZTrackerWidget.prototype.refreshPosition = function() {
+        var self = this;
+        return this.inquirePosition(PTZSoftLimits.limitsZoom(this._limits)).then(function(position) {
+            self._position = position;
+        }, function() {
+            self._position = null;
+        }).then(function() {
+            self.drawLimitMap();
+            ['drive', 'zoom'].forEach(function(kind) {
+                var motion = self._activeMotion[kind];
+                if (!motion || !self._isTracking) return;
+                var limited = self.applySoftLimits(motion);
+                if (limited !== motion) self.sendPTZCommand(limited, 'limit');
+            });
+        });
+    };
 
-        // Left column - Video
-        var leftCol = Utils.createElement('div', 'moon-col');
-        leftCol.appendChild(this.createMediaSection());
+    /**
+     * Constrain a command to the soft limits and log when (and why) motion
+     * starts being blocked.
+     *
+     * @param {object} command - PTZCommand
+     * @returns {object}       - Command to send
+     */
+    PTZTrackerWidget.prototype.applySoftLimits = function(command) {
+        var result = PTZSoftLimits.constrain(command, this._limits, this._position);
+        var kind = command.type === 'zoom' ? 'zoom' : 'drive';
+        var moving = command.type === 'drive' || (command.type === 'zoom' && command.direction !== 'stop');
+        if (!moving) return result.command;
+
+        var blocked = result.blocked.join(', ');
+        if (blocked && blocked !== this._limitBlocks[kind]) {
+            this.logEvent('Soft limit: ' + (kind === 'zoom' ? 'zoom' : 'pan/tilt') + ' blocked (' + blocked + ')');
+        }
+        this._limitBlocks[kind] = blocked;
+        return result.command;
+    };
 
-        // NDI tip for PTZ users
-        var ndiTip = Utils.createElement('div', 'moon-ptz-ndi-tip');
-        ndiTip.innerHTML = '<strong>💡 Tip:</strong> Use free <a href="https://ndi.video/tools/ndi-tools/" target="_blank" rel="noopener">NDI Webcam</a> software to bring your PTZ camera\'s NDI feed into this app as a webcam source for preview.';
-        leftCol.appendChild(ndiTip);
+    /**
+     * Build the "Multi-Camera" panel: camera registry (add/edit/remove)
+     * and start/stop for one independent tracking loop per camera.
+     *
+     * @returns {HTMLElement} - Details element
+     */
+    PTZTrackerWidget.prototype.createCameraRegistryPanel = function() {
+        var self = this;
+        var panel = Utils.createElement('details', 'moon-details moon-ptz-cameras');
+        panel.innerHTML = '<summary>Multi-Camera</summary>';
+
+        var list = Utils.createElement('div', 'moon-ptz-preset-list');
+        panel.appendChild(list);
+        this._cameraList = list;
+
+        // Camera profile form
+        var form = Utils.createElement('fieldset', 'moon-ptz-camera-form');
+        function field(label, input) {
+            var group = Utils.createElement('div', 'moon-input-group');
+            group.innerHTML = '<label class="moon-label">' + label + ':</label>';
+            group.appendChild(input);
+            form.appendChild(group);
+            return input;
+        }
+        function checkbox(label) {
+            var labelEl = Utils.createElement('label', 'moon-checkbox-label');
+            var input = Utils.createElement('input', '', { type: 'checkbox' });
+            labelEl.appendChild(input);
+            labelEl.appendChild(document.createTextNode(' ' + label));
+            form.appendChild(labelEl);
+            return input;
+        }
 
-        // Tracking status overlay indicator (under video controls)
-        var statusOverlay = Utils.createElement('div', 'moon-ptz-status-overlay');
-        statusOverlay.innerHTML = '<span class="moon-ptz-status-dot"></span><span class="moon-ptz-status-text">Ready</span>';
-        leftCol.appendChild(statusOverlay);
-        this._statusOverlay = statusOverlay;
+        var protocolSelect = Utils.createElement('select', 'moon-input');
+        PTZTransports.protocols.forEach(function(protocol) {
+            var option = document.createElement('option');
+            option.value = protocol.id;
+            option.textContent = protocol.label;
+            protocolSelect.appendChild(option);
+        });
+        var deviceSelect = Utils.createElement('select', 'moon-input');
+        deviceSelect.innerHTML = '<option value="">Default camera</option>';
+
+        this._cameraForm = {
+            name: field('Name', Utils.createElement('input', 'moon-input', { type: 'text', placeholder: 'Stage Left' })),
+            cameraIP: field('IP Address', Utils.createElement('input', 'moon-input', { type: 'text', placeholder: '192.168.1.101' })),
+            protocol: field('Protocol', protocolSelect),
+            username: field('Username', Utils.createElement('input', 'moon-input', { type: 'text', autocomplete: 'off' })),
+            password: field('Password', Utils.createElement('input', 'moon-input', { type: 'password', autocomplete: 'new-password' })),
+            deviceId: field('Video Input', deviceSelect),
+            targetObject: field('Target Object', Utils.createElement('input', 'moon-input', { type: 'text', placeholder: 'Same as main tracker' })),
+            maxPanSpeed: field('Max Pan Speed', Utils.createElement('input', 'moon-input', { type: 'number', min: '1', max: String(VISCA.PAN_SPEED_MAX) })),
+            maxTiltSpeed: field('Max Tilt Speed', Utils.createElement('input', 'moon-input', { type: 'number', min: '1', max: String(VISCA.TILT_SPEED_MAX) })),
+            maxZoomSpeed: field('Max Zoom Speed', Utils.createElement('input', 'moon-input', { type: 'number', min: '1', max: String(VISCA.ZOOM_SPEED_MAX) })),
+            invertPan: checkbox('Invert pan (ceiling mount)'),
+            invertTilt: checkbox('Invert tilt (ceiling mount)')
+        };
 
-        // Tracking Status Display (under video)
-        var statusSection = Utils.createElement('div', 'moon-section moon-ptz-tracking-status');
-        statusSection.innerHTML =
-            '<h3 class="moon-section-title">Tracking Status</h3>' +
-            '<div class="moon-ptz-status-grid">' +
-                '<div class="moon-ptz-stat">' +
-                    '<div class="moon-ptz-stat-label">Object</div>' +
-                    '<div class="moon-ptz-stat-value moon-ptz-object-status">--</div>' +
-                '</div>' +
-                '<div class="moon-ptz-stat">' +
-                    '<div class="moon-ptz-stat-label">Position</div>' +
-                    '<div class="moon-ptz-stat-value moon-ptz-position-status">--</div>' +
-                '</div>' +
-                '<div class="moon-ptz-stat">' +
-                    '<div class="moon-ptz-stat-label">PTZ Command</div>' +
-                    '<div class="moon-ptz-stat-value moon-ptz-command-status">--</div>' +
-                '</div>' +
-                '<div class="moon-ptz-stat">' +
-                    '<div class="moon-ptz-stat-label">Detections</div>' +
-                    '<div class="moon-ptz-stat-value moon-ptz-fps-status">0</div>' +
-                '</div>' +
-            '</div>';
-        leftCol.appendChild(statusSection);
-        this._statusSection = statusSection;
+        var formActions = Utils.createElement('div', 'moon-quick-btns');
+        var saveBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', { textContent: 'Save Camera' });
+        saveBtn.onclick = function() { self.saveCameraForm(); };
+        var newBtn = Utils.createElement('button', 'moon-btn moon-btn-sm moon-btn-quick', { textContent: 'New Camera' });
+        newBtn.onclick = function() { self.fillCameraForm(null); };
+        formActions.appendChild(saveBtn);
+        formActions.appendChild(newBtn);
+        form.appendChild(formActions);
+        panel.appendChild(form);
+        this._cameraFormEl = form;
+
+        // Start / stop all camera loops
+        var actions = Utils.createElement('div', 'moon-actions', { 'data-capability': 'detect' });
+        var startAllBtn = Utils.createElement('button', 'moon-btn moon-btn-success', { textContent: '▶ Track All Cameras' });
+        startAllBtn.onclick = function() {
+            self.ensureApiKey(function() { self.startAllCameras(); });
+        };
+        var stopAllBtn = Utils.createElement('button', 'moon-btn moon-btn-danger', {
+            textContent: '■ Stop All',
+            disabled: 'disabled'
+        });
+        stopAllBtn.onclick = function() { self.stopAllCameras(); };
+        actions.appendChild(startAllBtn);
+        actions.appendChild(stopAllBtn);
+        panel.appendChild(actions);
+        this._startAllBtn = startAllBtn;
+        this._stopAllBtn = stopAllBtn;
+
+        var hint = Utils.createElement('small', 'moon-input-hint');
+        hint.textContent = 'Each camera runs its own detection loop on its own video input, using the tracking settings above. Passwords are kept only for this browser tab.';
+        panel.appendChild(hint);
+
+        // Device labels are only available after camera permission, so refresh on open
+        panel.addEventListener('toggle', function() {
+            if (panel.open) self.refreshCameraDevices();
+        });
+
+        this.fillCameraForm(null);
+        this.renderCameraList();
+        return panel;
+    };
+
+    /** Populate the Video Input select with webcams and saved network cameras. */
+    PTZTrackerWidget.prototype.refreshCameraDevices = function() {
+        var select = this._cameraForm.deviceId;
+        var current = select.value;
+        function fill(cameras) {
+            select.innerHTML = '<option value="">Default camera</option>';
+            if (cameras.length) {
+                var webcamGroup = Utils.createElement('optgroup', '', { label: 'Webcams' });
+                cameras.forEach(function(camera) {
+                    webcamGroup.appendChild(Utils.createElement('option', '', { value: camera.deviceId, textContent: camera.label }));
+                });
+                select.appendChild(webcamGroup);
+            }
+            var sources = NetworkSourceRegistry.list();
+            if (sources.length) {
+                var networkGroup = Utils.createElement('optgroup', '', { label: 'Network cameras' });
+                sources.forEach(function(source) {
+                    networkGroup.appendChild(Utils.createElement('option', '', { value: 'net:' + source.id, textContent: source.name }));
+                });
+                select.appendChild(networkGroup);
+            }
+            select.value = current;
+        }
+        return MediaCapture.getCameras().then(fill);
+    };
 
-        grid.appendChild(leftCol);
+    /**
+     * Load a profile into the form (null for a new camera).
+     * @param {object|null} camera - Profile to edit
+     */
+    PTZTrackerWidget.prototype.fillCameraForm = function(camera) {
+        var form = this._cameraForm;
+        var values = camera || PTZCameraRegistry.defaults;
+        this._editingCameraId = camera ? camera.id : null;
 
-        // Right column - Controls
-        var rightCol = Utils.createElement('div', 'moon-col');
+        // Keep a saved device selectable before the device list has loaded
+        if (values.deviceId && !Array.prototype.some.call(form.deviceId.options, function(o) { return o.value === values.deviceId; })) {
+            var option = document.createElement('option');
+            option.value = values.deviceId;
+            option.textContent = 'Saved device';
+            form.deviceId.appendChild(option);
+        }
 
-        // PTZ Camera IP
-        var ipGroup = Utils.createElement('div', 'moon-input-group');
-        ipGroup.innerHTML = '<label class="moon-label">PTZ Camera IP Address:</label>';
-        var ipInput = Utils.createElement('input', 'moon-input', {
-            type: 'text',
-            placeholder: '192.168.1.100'
+        Object.keys(form).forEach(function(key) {
+            if (key === 'password') return;
+            if (form[key].type === 'checkbox') form[key].checked = !!values[key];
+            else form[key].value = values[key] !== undefined ? values[key] : '';
         });
-        ipGroup.appendChild(ipInput);
-        var ipHint = Utils.createElement('small', 'moon-input-hint');
-        ipHint.innerHTML = 'Note: HTTP Authentication must be disabled on your camera.<br>Camera Config → System Settings → HTTP Authentication';
-        ipGroup.appendChild(ipHint);
-        rightCol.appendChild(ipGroup);
-        this._ipInput = ipInput;
+        form.password.value = camera ? PTZCameraRegistry.getPassword(camera.id) : '';
+    };
 
-        // Target Object
-        var targetGroup = Utils.createElement('div', 'moon-input-group');
-        targetGroup.innerHTML = '<label class="moon-label">Target Object to Track:</label>';
-        var targetInput = Utils.createElement('input', 'moon-input', {
-            type: 'text',
-            placeholder: 'person, face, hand, ball...',
-            value: 'person'
+    /** Read the form and save it to the registry. */
+    PTZTrackerWidget.prototype.saveCameraForm = function() {
+        var form = this._cameraForm;
+        var camera = { id: this._editingCameraId || undefined };
+        Object.keys(form).forEach(function(key) {
+            var input = form[key];
+            if (input.type === 'checkbox') camera[key] = input.checked;
+            else if (input.type === 'number') camera[key] = parseInt(input.value, 10) || PTZCameraRegistry.defaults[key];
+            else if (input.type === 'password') camera[key] = input.value;
+            else camera[key] = input.value.trim();
         });
-        targetGroup.appendChild(targetInput);
 
-        // Quick presets for target
-        var quickTargets = Utils.createElement('div', 'moon-quick-btns');
-        ['person', 'face', 'hand'].forEach(function(target) {
-            var btn = Utils.createElement('button', 'moon-btn-quick', { textContent: target });
-            btn.onclick = function() { targetInput.value = target; };
-            quickTargets.appendChild(btn);
-        });
-        targetGroup.appendChild(quickTargets);
-        rightCol.appendChild(targetGroup);
-        this._targetInput = targetInput;
+        try {
+            var saved = PTZCameraRegistry.save(camera);
+            this.hideError();
+            this.showToast('Saved camera "' + saved.name + '"', 'success');
+            this.fillCameraForm(null);
+            this.renderCameraList();
+        } catch (err) {
+            this.showError(err.message);
+        }
+    };
 
-        // Operation Style Preset
-        var presetGroup = Utils.createElement('div', 'moon-input-group');
-        presetGroup.innerHTML = '<label class="moon-label">Tracking Style:</label>';
-        var presetSelect = Utils.createElement('select', 'moon-input');
-        presetSelect.innerHTML =
-            '<option value="smooth">Smooth (Broadcast) - 0.5/sec</option>' +
-            '<option value="balanced" selected>Balanced (General) - 1.0/sec</option>' +
-            '<option value="precise">Precise (Presentation) - 1.5/sec</option>' +
-            '<option value="fast">Fast (Sports) - 2.0/sec</option>';
-        presetSelect.onchange = function() {
-            var preset = self._presets[presetSelect.value];
-            if (preset) {
-                rateSlider.value = preset.rate;
-                rateValue.textContent = preset.rate.toFixed(1);
-                self._ptzSettings.detectionRate = preset.rate;
-                self._ptzSettings.panSpeed = preset.speed;
-                self._ptzSettings.tiltSpeed = preset.speed;
-                self._ptzSettings.deadzoneX = preset.deadzone;
-                self._ptzSettings.deadzoneY = preset.deadzone;
-            }
-        };
-        presetGroup.appendChild(presetSelect);
-        rightCol.appendChild(presetGroup);
-        this._presetSelect = presetSelect;
+    /** Rebuild the registry list (and the status grid when idle). */
+    PTZTrackerWidget.prototype.renderCameraList = function() {
+        var self = this;
+        var list = this._cameraList;
+        var cameras = PTZCameraRegistry.list();
+        var running = this._cameraSessions.length > 0;
+        list.innerHTML = '';
 
-        // Detection Rate Slider
-        var rateGroup = Utils.createElement('div', 'moon-input-group');
-        var rateLabel = Utils.createElement('label', 'moon-label');
-        rateLabel.innerHTML = 'Detection Rate: <span class="moon-rate-value">1.0</span>/sec';
-        var rateValue = rateLabel.querySelector('.moon-rate-value');
-        rateGroup.appendChild(rateLabel);
+        if (!cameras.length) {
+            list.innerHTML = '<p class="moon-input-hint">No cameras registered. Add one below to track several PTZ cameras at once.</p>';
+        }
 
-        var rateSlider = Utils.createElement('input', 'moon-input moon-slider', {
-            type: 'range',
-            min: '0.2',
-            max: '3.0',
-            step: '0.1',
-            value: '1.0'
+        cameras.forEach(function(camera) {
+            var item = Utils.createElement('div', 'moon-ptz-preset');
+            var info = Utils.createElement('div', 'moon-ptz-preset-info');
+            info.innerHTML = '<strong>' + Utils.escapeHTML(camera.name) + '</strong><small>' +
+                Utils.escapeHTML(camera.cameraIP) + ' · ' + Utils.escapeHTML(camera.protocol) +
+                (camera.invertPan || camera.invertTilt ? ' · inverted' : '') + '</small>';
+            item.appendChild(info);
+
+            var editBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', { textContent: 'Edit' });
+            editBtn.disabled = running;
+            editBtn.onclick = function() { self.fillCameraForm(camera); };
+            var deleteBtn = Utils.createElement('button', 'moon-btn moon-btn-secondary moon-btn-sm', { textContent: '✕' });
+            deleteBtn.disabled = running;
+            deleteBtn.onclick = function() {
+                PTZCameraRegistry.remove(camera.id);
+                if (self._editingCameraId === camera.id) self.fillCameraForm(null);
+                self.renderCameraList();
+            };
+            item.appendChild(editBtn);
+            item.appendChild(deleteBtn);
+            list.appendChild(item);
         });
-        rateSlider.oninput = function() {
-            var rate = parseFloat(rateSlider.value);
-            rateValue.textContent = rate.toFixed(1);
-            self._ptzSettings.detectionRate = rate;
-            // If tracking, update interval
-            if (self._isTracking) {
-                self.restartTrackingInterval();
-            }
-        };
-        rateGroup.appendChild(rateSlider);
 
-        var rateHint = Utils.createElement('small', 'moon-input-hint');
-        rateHint.textContent = 'Lower = less API usage, Higher = more responsive';
-        rateGroup.appendChild(rateHint);
-        rightCol.appendChild(rateGroup);
-        this._rateSlider = rateSlider;
-        this._rateValue = rateValue;
+        // Profiles are fixed while their loops run
+        this._cameraFormEl.disabled = running;
+        if (!running) this.renderCameraGrid(cameras);
+    };
 
-        // Simulation Mode Toggle
-        var simGroup = Utils.createElement('div', 'moon-input-group moon-checkbox-group');
-        var simLabel = Utils.createElement('label', 'moon-checkbox-label');
-        var simCheckbox = Utils.createElement('input', '', { type: 'checkbox' });
-        simCheckbox.checked = false; // Default to sending real PTZ commands
-        simLabel.appendChild(simCheckbox);
-        simLabel.appendChild(document.createTextNode(' Simulation Mode (no PTZ commands sent)'));
-        simGroup.appendChild(simLabel);
-        var simHint = Utils.createElement('small', 'moon-input-hint');
-        simHint.textContent = 'Check to test without sending commands to your camera';
-        simGroup.appendChild(simHint);
-        rightCol.appendChild(simGroup);
-        this._simCheckbox = simCheckbox;
+    /**
+     * Build one status tile per camera: video preview, detection, last
+     * command and health.
+     * @param {Array} cameras - Registry profiles
+     */
+    PTZTrackerWidget.prototype.renderCameraGrid = function(cameras) {
+        var self = this;
+        this._cameraGrid.innerHTML = '';
+        this._cameraTiles = {};
+        this._cameraGridSection.style.display = cameras.length ? '' : 'none';
+
+        cameras.forEach(function(camera) {
+            var tile = Utils.createElement('div', 'moon-ptz-camera-tile moon-ptz-health-idle');
+            tile.innerHTML =
+                '<div class="moon-ptz-camera-tile-header">' +
+                    '<strong>' + Utils.escapeHTML(camera.name) + '</strong>' +
+                    '<span class="moon-ptz-camera-health">IDLE</span>' +
+                '</div>';
+            var video = Utils.createElement('video', 'moon-ptz-camera-video', { playsinline: '' });
+            video.muted = true;
+            tile.appendChild(video);
+            var stats = Utils.createElement('div', 'moon-ptz-camera-stats');
+            stats.innerHTML =
+                '<span>Detection: <b class="moon-ptz-camera-detection">--</b></span>' +
+                '<span>Command: <b class="moon-ptz-camera-command">--</b></span>' +
+                '<span>Latency: <b class="moon-ptz-camera-latency">--</b></span>' +
+                '<span class="moon-ptz-camera-error"></span>';
+            tile.appendChild(stats);
+            self._cameraGrid.appendChild(tile);
+            self._cameraTiles[camera.id] = { tile: tile, video: video };
+        });
+    };
 
-        // Action Buttons
-        var actions = Utils.createElement('div', 'moon-actions');
+    /**
+     * Refresh a camera's tile from its session.
+     * @param {PTZCameraSession} session - Session that changed
+     */
+    PTZTrackerWidget.prototype.updateCameraTile = function(session) {
+        var entry = this._cameraTiles[session.camera.id];
+        if (!entry) return;
+        var stats = session.stats;
+        var health = session.health();
+        var tile = entry.tile;
+
+        tile.className = 'moon-ptz-camera-tile moon-ptz-health-' + health;
+        tile.querySelector('.moon-ptz-camera-health').textContent = health.toUpperCase();
+        tile.querySelector('.moon-ptz-camera-detection').textContent = health !== 'idle' ?
+            (stats.detected ? 'TRACKING' : 'SEARCHING') + ' (' + stats.detections + ')' : '--';
+        tile.querySelector('.moon-ptz-camera-command').textContent = stats.command ? PTZCommand.describe(stats.command) : '--';
+        tile.querySelector('.moon-ptz-camera-latency').textContent = stats.latencyMs ? Math.round(stats.latencyMs) + ' ms' : '--';
+        tile.querySelector('.moon-ptz-camera-error').textContent = stats.detectError || stats.lastError ||
+            (stats.limit ? 'Soft limit: ' + stats.limit : '');
+    };
 
-        var startBtn = Utils.createElement('button', 'moon-btn moon-btn-success moon-btn-lg moon-btn-action', {
-            textContent: '▶ Start Tracking'
+    /** Start one tracking loop per registered camera. */
+    PTZTrackerWidget.prototype.startAllCameras = function() {
+        var self = this;
+        var cameras = PTZCameraRegistry.list();
+        var simulate = this._simCheckbox.checked;
+        var relayUrl = this._relayInput.value.trim();
+        var cgiViaRelay = this._cgiRelayCheckbox.checked;
+
+        if (!cameras.length) {
+            this.showError('Add at least one camera under Multi-Camera first');
+            return;
+        }
+        if (!simulate && !relayUrl && cameras.some(function(c) {
+            return PTZTransports.usesRelay({ protocol: c.protocol, cgiViaRelay: cgiViaRelay });
+        })) {
+            this.showError('Please enter the PTZ relay URL');
+            return;
+        }
+        this.hideError();
+
+        this.renderCameraGrid(cameras);
+        var shared = {};
+        Object.keys(this._ptzSettings).forEach(function(key) { shared[key] = self._ptzSettings[key]; });
+        shared.relayUrl = relayUrl;
+        shared.cgiViaRelay = cgiViaRelay;
+        shared.targetObject = this._targetInput.value.trim() || shared.targetObject;
+
+        this._cameraSessions = cameras.map(function(camera) {
+            var session = new PTZCameraSession(camera, shared, simulate);
+            session.onUpdate = function(s) { self.updateCameraTile(s); };
+            session.start(self._cameraTiles[camera.id].video).catch(function(err) {
+                session.stats.lastError = err.message;
+                self.updateCameraTile(session);
+            });
+            return session;
         });
-        startBtn.onclick = function() {
-            self.ensureApiKey(function() { self.startTracking(); });
-        };
-        actions.appendChild(startBtn);
-        this._startBtn = startBtn;
 
-        var stopBtn = Utils.createElement('button', 'moon-btn moon-btn-danger moon-btn-lg moon-btn-action', {
-            textContent: '■ Stop Tracking',
-            disabled: 'disabled'
+        this._startAllBtn.disabled = true;
+        this._stopAllBtn.disabled = false;
+        this.renderCameraList();
+    };
+
+    /** Stop every camera loop and release their video inputs. */
+    PTZTrackerWidget.prototype.stopAllCameras = function() {
+        this._cameraSessions.forEach(function(session) { session.stop(); });
+        this._cameraSessions = [];
+        if (this._startAllBtn) {
+            this._startAllBtn.disabled = false;
+            this._stopAllBtn.disabled = true;
+            this.renderCameraList();
+        }
+    };
+
+    /** Refresh registered setting inputs from _ptzSettings. */
+    PTZTrackerWidget.prototype.syncSettingInputs = function() {
+        var settings = this._ptzSettings;
+        var inputs = this._settingInputs;
+        Object.keys(inputs).forEach(function(key) {
+            inputs[key].input.value = settings[key];
+            if (inputs[key].valueEl) inputs[key].valueEl.textContent = settings[key];
         });
-        stopBtn.onclick = function() { self.stopTracking(); };
-        actions.appendChild(stopBtn);
-        this._stopBtn = stopBtn;
+    };
 
-        rightCol.appendChild(actions);
+    /**
+     * Run PTZTuningSimulator with the current settings and plot the result.
+     */
+    PTZTrackerWidget.prototype.runStepSimulation = function() {
+        var settings = this._ptzSettings;
+        var result = PTZTuningSimulator.run(settings, { latency: settings.simLatency });
 
-        grid.appendChild(rightCol);
-        body.appendChild(grid);
-        this.rootEl.appendChild(body);
+        this.drawErrorPlot(result.samples, PTZTuningSimulator.defaults.duration);
+
+        var mode = PTZControlLaw.modeLabels[settings.controlMode] || settings.controlMode;
+        this._plotSummary.textContent = mode + ': ' +
+            (result.settleTime !== null ? 'settles in ' + result.settleTime.toFixed(1) + 's' : 'does not settle') +
+            ', overshoot ' + result.overshootX.toFixed(1) + '% pan / ' + result.overshootY.toFixed(1) + '% tilt, ' +
+            result.commands + ' commands sent';
+    };
+
+    /**
+     * Draw pan/tilt error samples on the plot canvas.
+     *
+     * @param {Array} samples  - [{t, x, y}] with t in seconds from the start
+     * @param {number} maxT    - Time span of the x axis in seconds
+     */
+    PTZTrackerWidget.prototype.drawErrorPlot = function(samples, maxT) {
+        if (!this._plotCanvas) return;
+        var settings = this._ptzSettings;
+        var ctx = this._plotCanvas.getContext('2d');
+        var deadzone = Math.max(settings.deadzoneX, settings.deadzoneY) / 2;
+
+        CanvasUtils.drawLineChart(ctx, this._plotCanvas.width, this._plotCanvas.height, [
+            { label: 'Pan', color: '#00ff88', points: samples.map(function(s) { return { t: s.t, v: s.x }; }) },
+            { label: 'Tilt', color: '#60a5fa', points: samples.map(function(s) { return { t: s.t, v: s.y }; }) }
+        ], { minV: -50, maxV: 50, maxT: maxT, band: { min: -deadzone, max: deadzone }, unit: '%' });
     };
 
     PTZTrackerWidget.prototype.startTracking = function() {
         var self = this;
 
-        if (!MediaCapture.stream) {
-            this.showError('Please start webcam first');
+        if (!this.hasLiveSource()) {
+            this.showError('Please start webcam or open a video first');
             return;
         }
 
@@ -4077,25 +13595,65 @@
             return;
         }
 
-        var cameraIP = this._ipInput.value.trim();
+        this.readConnectionSettings();
+        var settings = this._ptzSettings;
         var isSimulation = this._simCheckbox.checked;
+        var protocol = settings.protocol;
 
-        if (!isSimulation && !cameraIP) {
+        if (!isSimulation && !settings.cameraIP) {
             this.showError('Please enter PTZ camera IP or enable simulation mode');
             return;
         }
+        if (!isSimulation && PTZTransports.usesRelay(settings) && !settings.relayUrl) {
+            this.showError('Please enter the PTZ relay URL');
+            return;
+        }
+        if (PTZSoftLimits.isActive(this._limits) && !PTZTransports.canInquire(protocol, isSimulation)) {
+            this.showError('Soft limits need VISCA position inquiry. Switch protocol or turn the limits off.');
+            return;
+        }
 
-        this._ptzSettings.cameraIP = cameraIP;
         this._ptzSettings.targetObject = target;
+        this.stopReplay();
+        this.clearJournal();
+        this._transport = this.createTransport(isSimulation);
+        this._controlState = PTZControlLaw.createState();
+        this._lostState = PTZLostTargetPolicy.createState();
+        this.clearEventLog();
+        this._lastDetectionAt = 0;
+        this._lastCommand = null;
+        this._errorHistory = [];
+        this._predictor.reset();
+        this._zoomState = PTZZoomControl.createState();
+        this._candidates = [];
+        this._lock = this.createLock();
+        this._talker = null;
+        this._predictedDetection = null;
+        this._latencyMs = 0;
+        this.resetDeliveryStats();
+        this._position = null;
+        this._activeMotion = { drive: null, zoom: null };
+        this._limitBlocks = { drive: '', zoom: '' };
+        this._trackingStartedAt = Date.now();
         this._isTracking = true;
         this._detectionCount = 0;
 
         // Update UI
+        this._presetPause = null;
         this._startBtn.disabled = true;
         this._stopBtn.disabled = false;
         this._ipInput.disabled = true;
+        this._protocolSelect.disabled = true;
+        this._relayInput.disabled = true;
+        this._cgiRelayCheckbox.disabled = true;
+        this._usernameInput.disabled = true;
+        this._passwordInput.disabled = true;
         this._targetInput.disabled = true;
         this._simCheckbox.disabled = true;
+        this.updateJournalControls();
+
+        this.overlayCanvas.style.pointerEvents = 'auto';
+        this.overlayCanvas.style.cursor = 'pointer';
 
         this.updateStatusOverlay('tracking', 'Tracking: ' + target);
         this.hideError();
@@ -4107,27 +13665,51 @@
 
     PTZTrackerWidget.prototype.stopTracking = function() {
         this._isTracking = false;
+        this._presetPause = null;
+        this._apiPaused = false;
+        if (this._manualOverride && this._manualOverride.timer) clearTimeout(this._manualOverride.timer);
+        this._manualOverride = null;
 
         if (this._trackingInterval) {
             clearInterval(this._trackingInterval);
             this._trackingInterval = null;
         }
 
-        // Send stop command to PTZ (if not simulation)
-        if (!this._simCheckbox.checked && this._ptzSettings.cameraIP) {
-            this.sendPTZCommand('stop');
+        // Send stop command to PTZ (simulation goes to the loopback transport)
+        this.clearPolicyTimers();
+        if (this._transport) {
+            this.sendPTZCommand(PTZCommand.stop(), 'stop');
+            if (this._zoomState.direction !== 'stop' || this._lostState.phase === 'zoomout') {
+                this.sendPTZCommand(PTZCommand.zoom('stop'), 'stop');
+            }
+            this._transport = null;
         }
+        this._lostState = PTZLostTargetPolicy.createState();
 
         // Clear overlay
         this.clearOverlay();
         this._currentDetection = null;
+        this._predictedDetection = null;
+        this._candidates = [];
+        this._lock = this.createLock();
+        this.updatePredictionStatus(null, null);
+        if (this.overlayCanvas) {
+            this.overlayCanvas.style.pointerEvents = '';
+            this.overlayCanvas.style.cursor = '';
+        }
 
         // Update UI
         this._startBtn.disabled = false;
         this._stopBtn.disabled = true;
         this._ipInput.disabled = false;
+        this._protocolSelect.disabled = false;
+        this._relayInput.disabled = false;
+        this._cgiRelayCheckbox.disabled = false;
+        this._usernameInput.disabled = false;
+        this._passwordInput.disabled = false;
         this._targetInput.disabled = false;
         this._simCheckbox.disabled = false;
+        this.updateJournalControls();
 
         this.updateStatusOverlay('ready', 'Ready');
         this.updateTrackingStatus('--', '--', '--');
@@ -4144,49 +13726,401 @@
         }, intervalMs);
     };
 
-    PTZTrackerWidget.prototype.trackingLoop = function() {
-        var self = this;
-        if (!this._isTracking) return;
+    PTZTrackerWidget.prototype.trackingLoop = function() {
+        var self = this;
+        if (!this._isTracking || this._presetPause || this._manualOverride) return;
+        var pause = ApiClient.livePause();
+        if (pause) {
+            this.holdForApiPause(pause);
+            return;
+        }
+        if (this._apiPaused) {
+            this._apiPaused = false;
+            this.resumeTracking('API requests resumed - tracking resumed');
+        }
+
+        var frame = this.getCurrentFrame();
+        if (!frame) return;
+        var capturedAt = Date.now();
+
+        ApiClient.detect(frame, this._ptzSettings.targetObject, this.requestOptions('continuous', 'track')).then(function(response) {
+            // Soft limits are checked against where the camera is now, not at capture
+            if (!PTZSoftLimits.isActive(self._limits) || !self._isTracking) return response;
+            return self.refreshPosition().then(function() { return response; });
+        }).then(function(response) {
+            // Ignore results for frames captured before a preset recall or manual takeover
+            if (!self._isTracking || self._presetPause || self._manualOverride) return;
+
+            self._detectionCount = (self._detectionCount || 0) + 1;
+            var objects = response.objects || [];
+            var now = Date.now();
+            var roundTrip = now - capturedAt;
+            self._latencyMs = self._latencyMs ? self._latencyMs * 0.7 + roundTrip * 0.3 : roundTrip;
+
+            // Follow the locked subject (or let the strategy pick one)
+            self._candidates = objects;
+            self._currentDetection = self.selectTarget(objects, capturedAt);
+            self.journalDetection(objects, self._currentDetection, roundTrip);
+
+            // Predict where the target is now (capture time + round trip + lead)
+            self._predictedDetection = self.predictDetection(self._currentDetection, capturedAt, now);
+
+            // Draw detection
+            self.drawDetection(self._currentDetection, self._predictedDetection);
+            self.drawCandidates();
+
+            // Lost-target policy owns the camera while it is recovering
+            var recovering = self.updateLostPolicy(!self._currentDetection);
+
+            // Calculate PTZ command (aim at the prediction when available)
+            var ptzCommand = recovering ? null :
+                self.calculatePTZCommand(self._predictedDetection || self._currentDetection);
+
+            // Send PTZ command (simulation verifies the VISCA encoding instead).
+            // Once settled, the first stop is sent and later ones are skipped.
+            if (ptzCommand) {
+                var holding = ptzCommand.reason === 'settled' &&
+                    self._lastCommand && self._lastCommand.reason === 'settled';
+                if (!holding) self.sendPTZCommand(ptzCommand);
+                self._lastCommand = ptzCommand;
+            }
+            self.recordError(self._currentDetection);
+
+            // Zoom loop runs alongside pan/tilt with its own deadzone and rate limit
+            var zoomCommand = self._ptzSettings.autoZoom ?
+                self.updateZoom(self._predictedDetection || self._currentDetection) : null;
+
+            // Update status display
+            var objectStatus = self.getLockStatus();
+            var positionStatus = self._currentDetection ?
+                self.getPositionDescription(self._currentDetection) : '--';
+            var commandStatus = ptzCommand ? PTZCommand.describe(ptzCommand) :
+                PTZLostTargetPolicy.phaseLabels[self._lostState.phase];
+            if (self._ptzSettings.autoZoom && self._zoomState.direction !== 'stop') {
+                commandStatus += ' + ' + PTZCommand.describe(zoomCommand || PTZCommand.zoom(self._zoomState.direction, self._zoomState.speed));
+            }
+
+            self.updateTrackingStatus(objectStatus, positionStatus, commandStatus);
+            self.updatePredictionStatus(self._latencyMs,
+                self._predictedDetection ? self._predictedDetection.lead : null);
+            self.updateFPSDisplay();
+
+        }).catch(function(err) {
+            if (ApiClient.isAbort(err)) return;
+            console.error('Tracking error:', err);
+            // Continue tracking despite errors
+        });
+
+        // "Most recently talking" needs a second detection for who is speaking
+        var settings = this._ptzSettings;
+        if (settings.targetStrategy === 'talking' && !this._lock.manual &&
+            (this._detectionCount || 0) % settings.talkingEvery === 0) {
+            ApiClient.detect(frame, settings.talkingPrompt, this.requestOptions('background', 'talking')).then(function(response) {
+                var talking = (response.objects || [])[0];
+                if (talking && self._isTracking) {
+                    self._talker = { box: talking, at: capturedAt, applied: false };
+                }
+            }).catch(function(err) {
+                if (ApiClient.isAbort(err)) return;
+                console.warn('Talking detection failed:', err.message);
+            });
+        }
+    };
+
+    /**
+     * Hold the camera still while live requests are paused; without
+     * detections the last drive command would keep it moving.
+     *
+     * @param {object} pause - ApiClient.livePause()
+     */
+    PTZTrackerWidget.prototype.holdForApiPause = function(pause) {
+        if (!this._apiPaused) {
+            this._apiPaused = true;
+            this.clearPolicyTimers();
+            this.sendPTZCommand(PTZCommand.stop(), 'stop');
+            if (this._zoomState.direction !== 'stop') {
+                this.sendPTZCommand(PTZCommand.zoom('stop'), 'stop');
+                this._zoomState = PTZZoomControl.createState();
+            }
+            this.logEvent('API requests paused (' + pause.reason + ') - camera stopped');
+        }
+        this.updateStatusOverlay('paused', pause.message);
+    };
+
+    /**
+     * Advance the lost-target policy for this tick, send its commands and
+     * log transitions. The sweep asks the camera for its position first.
+     *
+     * @param {boolean} lost - No target this tick
+     * @returns {boolean}    - True while the policy is moving the camera
+     */
+    PTZTrackerWidget.prototype.updateLostPolicy = function(lost) {
+        var self = this;
+        var settings = this._ptzSettings;
+        var state = this._lostState;
+
+        function advance(position) {
+            if (!self._isTracking) return;
+            var result = PTZLostTargetPolicy.update(lost, settings, state, Date.now(), position);
+            if (result.log) self.logEvent(result.log);
+            if (!lost) self.clearPolicyTimers();
+            result.commands.forEach(function(entry) {
+                // Preset recalls pause tracking until the camera arrives
+                if (entry.command.type === 'preset') {
+                    self.recallPreset(entry.command.preset);
+                    return;
+                }
+                if (!entry.delay) {
+                    self.sendPTZCommand(entry.command, 'lost');
+                    return;
+                }
+                self._policyTimers.push(setTimeout(function() {
+                    self.sendPTZCommand(entry.command, 'lost');
+                }, entry.delay));
+            });
+        }
+
+        var needsPosition = lost && settings.lostAction === 'sweep' &&
+            (state.phase === 'holding' || (state.phase === 'sweep' && !state.timed));
+        if (needsPosition) {
+            this.inquirePosition().then(advance, function() { advance(null); });
+        } else {
+            advance(null);
+        }
+        return PTZLostTargetPolicy.isRecovering(state);
+    };
+
+    /** Cancel delayed policy commands (e.g. a pending zoom-step stop). */
+    PTZTrackerWidget.prototype.clearPolicyTimers = function() {
+        this._policyTimers.forEach(clearTimeout);
+        this._policyTimers = [];
+    };
+
+    /**
+     * The active transport, or one built from the current form values
+     * (used to read the camera position before tracking starts).
+     *
+     * @returns {object} - Transport instance
+     */
+    PTZTrackerWidget.prototype.getTransport = function() {
+        if (this._transport) return this._transport;
+        this.readConnectionSettings();
+        return this.createTransport(this._simCheckbox.checked);
+    };
+
+    /**
+     * Create a transport for the current settings. Simulation reuses one
+     * loopback per widget so the simulated camera position persists.
+     *
+     * @param {boolean} simulate - Use the VISCA loopback
+     * @returns {object}         - Transport instance
+     */
+    PTZTrackerWidget.prototype.createTransport = function(simulate) {
+        if (simulate) {
+            this._simTransport = this._simTransport || PTZTransports.create(this._ptzSettings, true);
+            return this._simTransport;
+        }
+        return PTZTransports.create(this._ptzSettings, false);
+    };
+
+    /** Copy the camera connection fields (IP, protocol, relay, login) into _ptzSettings. */
+    PTZTrackerWidget.prototype.readConnectionSettings = function() {
+        var settings = this._ptzSettings;
+        settings.cameraIP = this._ipInput.value.trim();
+        settings.protocol = this._protocolSelect.value;
+        settings.relayUrl = this._relayInput.value.trim();
+        settings.cgiViaRelay = this._cgiRelayCheckbox.checked;
+        settings.username = this._usernameInput.value.trim();
+        settings.password = this._passwordInput.value;
+    };
+
+    /**
+     * Ask the camera for its pan/tilt position (VISCA or simulation only).
+     *
+     * @param {boolean} withZoom - Also ask for the zoom position
+     * @returns {Promise}        - Resolves with {pan, tilt, zoom}
+     */
+    PTZTrackerWidget.prototype.inquirePosition = function(withZoom) {
+        if (!this._simCheckbox.checked && !this._ipInput.value.trim()) {
+            return Promise.reject(new Error('Enter the PTZ camera IP or enable simulation mode'));
+        }
+        return PTZSoftLimits.readPosition(this.getTransport(), withZoom);
+    };
+
+    /**
+     * Add a timestamped line to the tracking status event log.
+     *
+     * @param {string} message - Event text
+     */
+    PTZTrackerWidget.prototype.logEvent = function(message) {
+        if (!this._statusSection) return;
+        var log = this._statusSection.querySelector('.moon-ptz-event-log');
+        var entry = Utils.createElement('div', 'moon-ptz-event');
+        entry.innerHTML = '<span class="moon-ptz-event-time">' + new Date().toLocaleTimeString() + '</span> ' +
+            Utils.escapeHTML(message);
+        log.insertBefore(entry, log.firstChild);
+        while (log.children.length > 8) log.removeChild(log.lastChild);
+    };
+
+    /** Remove all event log lines. */
+    PTZTrackerWidget.prototype.clearEventLog = function() {
+        if (!this._statusSection) return;
+        this._statusSection.querySelector('.moon-ptz-event-log').innerHTML = '';
+    };
+
+    /** Empty lock state: status is 'searching', 'locked' or 'lost'. */
+    PTZTrackerWidget.prototype.createLock = function() {
+        return { box: null, manual: false, missed: 0, status: 'searching' };
+    };
 
-        var frame = this.getCurrentFrame();
-        if (!frame) return;
+    /** Drop the current lock so the strategy picks again. */
+    PTZTrackerWidget.prototype.releaseLock = function() {
+        this._lock = this.createLock();
+        this._predictor.reset();
+    };
 
-        ApiClient.detect(frame, this._ptzSettings.targetObject).then(function(response) {
-            if (!self._isTracking) return;
+    /**
+     * Choose this frame's target from the detected candidates.
+     *
+     * A locked subject is re-associated by IoU/position continuity. If it
+     * cannot be found the lock goes to 'lost'; a manual lock waits for the
+     * subject to return, an automatic lock is released after
+     * lockReleaseFrames misses so the strategy can pick someone else.
+     *
+     * @param {Array} objects    - Detected boxes
+     * @param {number} capturedAt - Frame capture time (ms), for the predicted reference
+     * @returns {object|null}    - Target box, or null (searching or lost)
+     */
+    PTZTrackerWidget.prototype.selectTarget = function(objects, capturedAt) {
+        var settings = this._ptzSettings;
+        var lock = this._lock;
+        var match = null;
+
+        if (lock.box) {
+            var reference = (settings.prediction && this._predictor.predict(capturedAt)) || lock.box;
+            match = PTZTargetSelection.associate(reference, objects, settings.lockIou, settings.lockMaxJump);
+
+            // A new talker takes over an automatic lock
+            if (!lock.manual && settings.targetStrategy === 'talking' && this._talker && !this._talker.applied) {
+                this._talker.applied = true;
+                var talker = PTZTargetSelection.associate(this._talker.box, objects, 0.1, 0.2);
+                if (talker && talker !== match) {
+                    this._predictor.reset();
+                    match = talker;
+                }
+            }
 
-            self._detectionCount = (self._detectionCount || 0) + 1;
-            var objects = response.objects || [];
+            if (!match) {
+                lock.missed++;
+                lock.status = 'lost';
+                if (lock.manual || lock.missed < settings.lockReleaseFrames) return null;
+                this.releaseLock();
+                lock = this._lock;
+            }
+        }
 
-            // Use first detection
-            self._currentDetection = objects.length > 0 ? objects[0] : null;
+        if (!match) {
+            match = PTZTargetSelection.pick(objects, settings.targetStrategy, this._talker && this._talker.box);
+            if (!match) return null;
+            if (this._talker) this._talker.applied = true;
+        }
 
-            // Draw detection
-            self.drawDetection(self._currentDetection);
+        lock.box = match;
+        lock.missed = 0;
+        lock.status = 'locked';
+        return match;
+    };
 
-            // Calculate PTZ command
-            var ptzCommand = self.calculatePTZCommand(self._currentDetection);
+    /**
+     * Operator click on the overlay: lock onto the clicked box, or release a
+     * manual lock when clicking empty space.
+     *
+     * @param {number} x - Normalized x (0-1)
+     * @param {number} y - Normalized y (0-1)
+     */
+    PTZTrackerWidget.prototype.selectTargetAt = function(x, y) {
+        var hit = PTZTargetSelection.hitTest(this._candidates, x, y);
+        if (hit) {
+            this._predictor.reset();
+            this._lock = { box: hit, manual: true, missed: 0, status: 'locked' };
+            this._currentDetection = hit;
+            this._predictedDetection = null;
+            this.showToast('Locked onto selected ' + this._ptzSettings.targetObject);
+        } else if (this._lock.manual) {
+            this.releaseLock();
+            this._currentDetection = null;
+            this._predictedDetection = null;
+            this.showToast('Target lock released');
+        } else {
+            return;
+        }
+        this.drawDetection(this._currentDetection, null);
+        this.drawCandidates();
+        this.updateTrackingStatus(this.getLockStatus(), '--', '--');
+    };
 
-            // Send PTZ command (or simulate)
-            if (!self._simCheckbox.checked && self._ptzSettings.cameraIP) {
-                self.sendPTZCommand(ptzCommand);
-            }
+    /** Text for the Object status cell. */
+    PTZTrackerWidget.prototype.getLockStatus = function() {
+        switch (this._lock.status) {
+            case 'locked': return this._lock.manual ? 'LOCKED' : 'TRACKING';
+            case 'lost': return 'LOST TARGET';
+            default: return 'SEARCHING';
+        }
+    };
 
-            // Update status display
-            var objectStatus = self._currentDetection ? 'DETECTED' : 'SEARCHING';
-            var positionStatus = self._currentDetection ?
-                self.getPositionDescription(self._currentDetection) : '--';
-            var commandStatus = ptzCommand.toUpperCase();
+    /**
+     * Draw the other candidates (click targets) and, when the lock is lost,
+     * the subject's last known box.
+     */
+    PTZTrackerWidget.prototype.drawCandidates = function() {
+        if (!this.overlayCtx) return;
+        var ctx = this.overlayCtx;
+        var w = this.overlayCanvas.width;
+        var h = this.overlayCanvas.height;
+        var current = this._currentDetection;
+
+        this._candidates.forEach(function(c) {
+            if (c === current) return;
+            ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.strokeRect(c.x_min * w, c.y_min * h, (c.x_max - c.x_min) * w, (c.y_max - c.y_min) * h);
+            ctx.setLineDash([]);
+        });
 
-            self.updateTrackingStatus(objectStatus, positionStatus, commandStatus);
-            self.updateFPSDisplay();
+        if (this._lock.status === 'lost' && this._lock.box) {
+            ctx.setLineDash([8, 4]);
+            CanvasUtils.drawBoundingBox(ctx, this._lock.box, '#ef4444', 'LOST TARGET', w, h);
+            ctx.setLineDash([]);
+        }
+    };
 
-        }).catch(function(err) {
-            console.error('Tracking error:', err);
-            // Continue tracking despite errors
-        });
+    /**
+     * Feed a detection to the TargetPredictor and return the predicted box.
+     *
+     * @param {object|null} detection - Raw detection or null
+     * @param {number} capturedAt     - Frame capture time (ms)
+     * @param {number} now            - Response time (ms); lead = now - capturedAt + extra lead
+     * @returns {object|null}         - Predicted box with .lead (seconds), or null
+     */
+    PTZTrackerWidget.prototype.predictDetection = function(detection, capturedAt, now) {
+        var settings = this._ptzSettings;
+        if (!detection || !settings.prediction) return null;
+
+        this._predictor.alpha = settings.predictionAlpha;
+        this._predictor.beta = settings.predictionBeta;
+        this._predictor.update(detection, capturedAt);
+        return this._predictor.predict(now + (settings.predictionLeadMs || 0));
     };
 
-    PTZTrackerWidget.prototype.drawDetection = function(detection) {
+    /**
+     * Draw the raw detection and, when prediction is on, the predicted box
+     * with an arrow showing the lead.
+     *
+     * @param {object|null} detection - Raw detection box
+     * @param {object|null} predicted - Predicted box (optional)
+     */
+    PTZTrackerWidget.prototype.drawDetection = function(detection, predicted) {
         this.clearOverlay();
         if (!detection || !this.overlayCtx) return;
 
@@ -4196,7 +14130,8 @@
 
         // Draw bounding box
         var color = '#00ff88';
-        CanvasUtils.drawBoundingBox(ctx, detection, color, this._ptzSettings.targetObject, w, h);
+        var label = this._ptzSettings.targetObject + (this._lock.manual ? ' 🔒' : '');
+        CanvasUtils.drawBoundingBox(ctx, detection, color, label, w, h);
 
         // Draw center crosshair on target
         var centerX = (detection.x_min + detection.x_max) / 2 * w;
@@ -4226,46 +14161,115 @@
         ctx.stroke();
         ctx.setLineDash([]);
 
-        // Draw line from object to center
+        // Draw predicted box and lead arrow
+        var aimX = centerX;
+        var aimY = centerY;
+        if (predicted) {
+            aimX = (predicted.x_min + predicted.x_max) / 2 * w;
+            aimY = (predicted.y_min + predicted.y_max) / 2 * h;
+
+            ctx.setLineDash([6, 4]);
+            CanvasUtils.drawBoundingBox(ctx, predicted, '#fbbf24',
+                'predicted +' + Math.round(predicted.lead * 1000) + 'ms', w, h);
+            ctx.setLineDash([]);
+
+            ctx.strokeStyle = '#fbbf24';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY);
+            ctx.lineTo(aimX, aimY);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(aimX, aimY, 5, 0, Math.PI * 2);
+            ctx.fillStyle = '#fbbf24';
+            ctx.fill();
+        }
+
+        // Draw line from aim point to center
         ctx.strokeStyle = 'rgba(255,107,107,0.5)';
         ctx.lineWidth = 1;
         ctx.beginPath();
-        ctx.moveTo(centerX, centerY);
+        ctx.moveTo(aimX, aimY);
         ctx.lineTo(frameCenterX, frameCenterY);
         ctx.stroke();
     };
 
+    /**
+     * Decide how the camera should move for a detection.
+     * Pan and tilt speeds are computed independently by PTZControlLaw, so
+     * diagonal moves are possible and speed falls off near center.
+     *
+     * @param {object|null} detection - Detected box (normalized coords) or null
+     * @returns {object}              - PTZCommand (drive, or stop)
+     */
     PTZTrackerWidget.prototype.calculatePTZCommand = function(detection) {
-        if (!detection) return 'stop';
+        if (!detection) {
+            // Lost target: drop PID memory so reacquiring starts clean
+            this._controlState = PTZControlLaw.createState();
+            this._lastDetectionAt = 0;
+            return PTZCommand.stop();
+        }
 
         // Object position as percentage (0-100)
         var objectX = ((detection.x_min + detection.x_max) / 2) * 100;
         var objectY = ((detection.y_min + detection.y_max) / 2) * 100;
 
-        // Target center (50% = true center)
-        var targetX = 50;
-        var targetY = 50;
+        // Offset from true center (50%)
+        var offsetX = objectX - 50;
+        var offsetY = objectY - 50;
+
+        // Time since the previous detection drives the PID integral/derivative
+        var now = Date.now();
+        var dt = this._lastDetectionAt ? (now - this._lastDetectionAt) / 1000 : 0;
+        this._lastDetectionAt = now;
+
+        // Soft limits and no-go regions remove motion that would push past them
+        return this.applySoftLimits(PTZControlLaw.compute(offsetX, offsetY, this._ptzSettings, this._controlState, dt));
+    };
 
-        // Calculate offset
-        var offsetX = objectX - targetX;
-        var offsetY = objectY - targetY;
+    /**
+     * Append the current target error to the live history and redraw the
+     * plot when the Advanced Control panel is open. Keeps the last 60s.
+     *
+     * @param {object|null} detection - Detected box or null
+     */
+    PTZTrackerWidget.prototype.recordError = function(detection) {
+        if (!detection) return;
+        var t = (Date.now() - this._trackingStartedAt) / 1000;
+        this._errorHistory.push({
+            t: t,
+            x: ((detection.x_min + detection.x_max) / 2) * 100 - 50,
+            y: ((detection.y_min + detection.y_max) / 2) * 100 - 50
+        });
 
-        // Half deadzone
-        var halfDeadzoneX = this._ptzSettings.deadzoneX / 2;
-        var halfDeadzoneY = this._ptzSettings.deadzoneY / 2;
+        var windowStart = Math.max(0, t - 60);
+        this._errorHistory = this._errorHistory.filter(function(s) { return s.t >= windowStart; });
 
-        // Determine command (prioritize horizontal)
-        if (offsetX > halfDeadzoneX) {
-            return 'right';
-        } else if (offsetX < -halfDeadzoneX) {
-            return 'left';
-        } else if (offsetY > halfDeadzoneY) {
-            return 'down';
-        } else if (offsetY < -halfDeadzoneY) {
-            return 'up';
+        if (this._advanced && this._advanced.open) {
+            this.drawErrorPlot(this._errorHistory.map(function(s) {
+                return { t: s.t - windowStart, x: s.x, y: s.y };
+            }), Math.max(10, t - windowStart));
         }
+    };
 
-        return 'centered';
+    /**
+     * Run the zoom loop for a detection and send any resulting command.
+     * Pass null to stop zooming (target lost, or auto zoom turned off).
+     *
+     * @param {object|null} detection - Target box or null
+     * @returns {object|null}         - Zoom command sent, or null
+     */
+    PTZTrackerWidget.prototype.updateZoom = function(detection) {
+        var command = PTZZoomControl.compute(detection, this._ptzSettings, this._zoomState, Date.now());
+        if (!command) return null;
+        var limited = this.applySoftLimits(command);
+        if (limited.direction !== command.direction) {
+            // Blocked at a zoom limit: let the zoom loop ask again later
+            this._zoomState.direction = 'stop';
+            this._zoomState.speed = 0;
+        }
+        this.sendPTZCommand(limited, 'zoom');
+        return limited;
     };
 
     PTZTrackerWidget.prototype.getPositionDescription = function(detection) {
@@ -4278,40 +14282,111 @@
         return hPos + ' / ' + vPos;
     };
 
-    PTZTrackerWidget.prototype.sendPTZCommand = function(command) {
-        if (!this._ptzSettings.cameraIP) return;
-
-        var endpoint = '';
-        var speed = this._ptzSettings.panSpeed;
-
-        switch (command) {
-            case 'left':
-                endpoint = 'ptzcmd&left&' + speed + '&' + speed;
-                break;
-            case 'right':
-                endpoint = 'ptzcmd&right&' + speed + '&' + speed;
-                break;
-            case 'up':
-                endpoint = 'ptzcmd&up&' + speed + '&' + speed;
-                break;
-            case 'down':
-                endpoint = 'ptzcmd&down&' + speed + '&' + speed;
-                break;
-            case 'stop':
-            case 'centered':
-                endpoint = 'ptzcmd&ptzstop';
-                break;
-            default:
-                return;
+    /**
+     * Send a command through the active transport.
+     *
+     * @param {object|string} command - PTZCommand object, or a direction
+     *                                  string ('left', 'right', 'up', 'down', 'stop')
+     * @param {string} source         - Journal source (default 'tracking')
+     * @returns {Promise}             - Resolves with the transport result (or null)
+     */
+    PTZTrackerWidget.prototype.sendPTZCommand = function(command, source) {
+        var ptzCommand = typeof command === 'string' ?
+            PTZCommand.fromDirection(command, this._ptzSettings.panSpeed) : command;
+        if (!ptzCommand || !this._transport) return Promise.resolve(null);
+
+        // While tracking, every motion (including lost-target recovery) respects the soft limits
+        var blocked = [];
+        if (this._isTracking) {
+            var constrained = PTZSoftLimits.constrain(ptzCommand, this._limits, this._position);
+            ptzCommand = constrained.command;
+            blocked = constrained.blocked;
+            if (ptzCommand.type === 'drive' || ptzCommand.type === 'stop') {
+                this._activeMotion.drive = ptzCommand.type === 'drive' ? ptzCommand : null;
+            } else if (ptzCommand.type === 'zoom') {
+                this._activeMotion.zoom = ptzCommand.direction !== 'stop' ? ptzCommand : null;
+            }
         }
 
-        var url = 'http://' + this._ptzSettings.cameraIP + '/cgi-bin/ptzctrl.cgi?' + endpoint;
-
-        fetch(url, { method: 'GET', mode: 'no-cors' }).catch(function(err) {
-            // Silently handle - no-cors requests don't return readable responses
+        var self = this;
+        var entry = this.journalCommand(ptzCommand, source || 'tracking', blocked);
+        return this._transport.send(ptzCommand).then(function(result) {
+            self.recordDelivery(result, null);
+            self.completeJournalCommand(entry, result, null);
+            return result;
+        }).catch(function(err) {
+            console.warn('PTZ command failed:', err.message);
+            self.recordDelivery(null, err);
+            self.completeJournalCommand(entry, null, err);
+            return null;
         });
     };
 
+    /** Per-session command delivery counters. */
+    PTZTrackerWidget.prototype.createDeliveryStats = function() {
+        return { ok: 0, unverified: 0, failed: 0, consecutiveFailures: 0, latencyMs: 0, offline: false };
+    };
+
+    PTZTrackerWidget.prototype.resetDeliveryStats = function() {
+        this._delivery = this.createDeliveryStats();
+        this.updateDeliveryStatus(null);
+    };
+
+    /**
+     * Count a command result. Three failures in a row mark the camera
+     * offline (banner + event log) until a command succeeds again.
+     *
+     * @param {object|null} result - Transport result, or null on failure
+     * @param {Error|null} error   - Failure reason
+     */
+    PTZTrackerWidget.prototype.recordDelivery = function(result, error) {
+        var stats = this._delivery;
+        if (error) {
+            stats.failed++;
+            stats.consecutiveFailures++;
+            if (stats.consecutiveFailures >= 3 && !stats.offline) {
+                stats.offline = true;
+                this.logEvent('Camera offline: ' + error.message);
+            }
+        } else {
+            if (result && result.verified) stats.ok++;
+            else stats.unverified++;
+            stats.consecutiveFailures = 0;
+            if (result && typeof result.latencyMs === 'number') {
+                stats.latencyMs = stats.latencyMs ? stats.latencyMs * 0.7 + result.latencyMs * 0.3 : result.latencyMs;
+            }
+            if (stats.offline) {
+                stats.offline = false;
+                this.logEvent('Camera back online');
+            }
+        }
+        this.updateDeliveryStatus(error);
+    };
+
+    /**
+     * Show delivery counts, command latency and the offline banner.
+     * @param {Error|null} error - Latest failure, if any
+     */
+    PTZTrackerWidget.prototype.updateDeliveryStatus = function(error) {
+        var stats = this._delivery;
+        if (this._statusSection) {
+            var parts = [];
+            if (stats.ok) parts.push(stats.ok + ' ok');
+            if (stats.unverified) parts.push(stats.unverified + ' unverified');
+            if (stats.failed) parts.push(stats.failed + ' failed');
+            this._statusSection.querySelector('.moon-ptz-delivery-status').textContent = parts.join(' / ') || '--';
+            this._statusSection.querySelector('.moon-ptz-command-latency-status').textContent =
+                stats.latencyMs ? Math.round(stats.latencyMs) + ' ms' : '--';
+        }
+        if (this._offlineBanner) {
+            this._offlineBanner.style.display = stats.offline ? '' : 'none';
+            if (stats.offline && error) {
+                this._offlineBanner.textContent = '⚠ Camera offline - ' + stats.consecutiveFailures +
+                    ' commands in a row failed: ' + error.message;
+            }
+        }
+    };
+
     PTZTrackerWidget.prototype.updateStatusOverlay = function(state, text) {
         if (!this._statusOverlay) return;
         var dot = this._statusOverlay.querySelector('.moon-ptz-status-dot');
@@ -4328,6 +14403,20 @@
         this._statusSection.querySelector('.moon-ptz-command-status').textContent = command;
     };
 
+    /**
+     * Show smoothed API latency and the current prediction lead.
+     *
+     * @param {number|null} latencyMs - Smoothed round trip in ms
+     * @param {number|null} lead      - Prediction lead in seconds
+     */
+    PTZTrackerWidget.prototype.updatePredictionStatus = function(latencyMs, lead) {
+        if (!this._statusSection) return;
+        this._statusSection.querySelector('.moon-ptz-latency-status').textContent =
+            latencyMs ? Math.round(latencyMs) + ' ms' : '--';
+        this._statusSection.querySelector('.moon-ptz-lead-status').textContent =
+            lead !== null && lead !== undefined ? '+' + Math.round(lead * 1000) + ' ms' : '--';
+    };
+
     PTZTrackerWidget.prototype.updateFPSDisplay = function() {
         if (!this._statusSection) return;
         this._statusSection.querySelector('.moon-ptz-fps-status').textContent = this._detectionCount || 0;
@@ -4335,6 +14424,9 @@
 
     PTZTrackerWidget.prototype.unmount = function() {
         this.stopTracking();
+        this.stopAllCameras();
+        this.stopManualInput();
+        this.stopReplay();
         WidgetBase.prototype.unmount.call(this);
     };
 
@@ -4371,13 +14463,13 @@
      * - desc: Short description below title
      */
     var WidgetList = [
-        { id: 'object-detector', label: 'Object Detector', icon: '🔍', desc: 'Find and locate any object in your scene with bounding boxes' },
-        { id: 'smart-counter', label: 'Smart Counter', icon: '🔢', desc: 'Count specific objects with visual markers and totals' },
-        { id: 'scene-analyzer', label: 'Scene Analyzer', icon: '🎬', desc: 'Get AI captions and ask questions about what you see' },
-        { id: 'person-tracker', label: 'Person Tracker', icon: '👤', desc: 'Track and locate people with face or body detection' },
-        { id: 'zone-monitor', label: 'Zone Monitor', icon: '🚧', desc: 'Draw zones and get alerts when objects enter them' },
-        { id: 'production-monitor', label: 'Production Monitor', icon: '🎥', desc: 'Real-time video quality monitoring dashboard' },
-        { id: 'ptz-tracker', label: 'PTZ Auto-Tracker', icon: '🎯', desc: 'AI-powered tracking that controls PTZ cameras automatically' }
+        { id: 'object-detector', label: 'Object Detector', icon: '🔍', desc: 'Find and locate any object in your scene with bounding boxes', needs: ['detect'] },
+        { id: 'smart-counter', label: 'Smart Counter', icon: '🔢', desc: 'Count specific objects with visual markers and totals', needs: ['point'] },
+        { id: 'scene-analyzer', label: 'Scene Analyzer', icon: '🎬', desc: 'Get AI captions and ask questions about what you see', needs: ['caption', 'query'] },
+        { id: 'person-tracker', label: 'Person Tracker', icon: '👤', desc: 'Track and locate people with face or body detection', needs: ['detect'] },
+        { id: 'zone-monitor', label: 'Zone Monitor', icon: '🚧', desc: 'Draw zones and get alerts when objects enter them', needs: ['detect'] },
+        { id: 'production-monitor', label: 'Production Monitor', icon: '🎥', desc: 'Real-time video quality monitoring dashboard', needs: ['detect', 'caption'] },
+        { id: 'ptz-tracker', label: 'PTZ Auto-Tracker', icon: '🎯', desc: 'AI-powered tracking that controls PTZ cameras automatically', needs: ['detect'] }
     ];
 
     /**
@@ -4428,6 +14520,309 @@
         }
     };
 
+    // ============================================================
+    // SELF-CHECK
+    // ============================================================
+    /**
+     * SelfCheck - Runs every demo against the offline fixtures and reports
+     * what works, without a key, a camera or a network.
+     *
+     * Each widget is mounted in a hidden container with a blank test image,
+     * its main action is run, and the result it shows is compared with
+     * Fixtures.DEFAULT_RULES (one person in the middle of the frame, one
+     * face above it). The PTZ tracker runs its tracking loop in simulation
+     * against a few rules of its own. Then each injected error is checked
+     * to reach the caller with the right ApiError code.
+     *
+     * Runs with fixture settings that are never saved, no latency, and
+     * none of the user's recorded fixtures; all are restored afterwards,
+     * as is the circuit breaker. Its requests are not counted by UsageMeter.
+     * Open from Backend settings ("Run Self-Check") or MoonDemo.selfCheck().
+     */
+    var SelfCheck = {
+        TIMEOUT_MS: 5000,
+        running: false,
+
+        /**
+         * Checks per widget: act(widget) starts the action (and may return a
+         * promise); expect(widget, value) returns null or what went wrong.
+         */
+        CHECKS: {
+            'object-detector': [{
+                name: 'detects one person',
+                act: function(widget) { widget._input.value = 'person'; widget.detect(); },
+                expect: function(widget) {
+                    return SelfCheck.expectText(widget._results.querySelector('.moon-count'), '1 found');
+                }
+            }],
+            'smart-counter': [{
+                name: 'counts one point',
+                act: function(widget) { widget._input.value = 'person'; widget.count(); },
+                expect: function(widget) {
+                    return SelfCheck.expectText(widget._countDisplay.querySelector('.moon-count-number'), '1');
+                }
+            }],
+            'scene-analyzer': [{
+                name: 'streams a caption',
+                act: function(widget) { widget.captionScene(); },
+                expect: function(widget) {
+                    return SelfCheck.expectText(widget._captionResult.querySelector('.moon-caption-text'),
+                        Fixtures.lookup('/caption', {}).caption);
+                }
+            }, {
+                name: 'streams an answer',
+                act: function(widget) { widget._qaInput.value = 'What is this?'; widget.askQuestion(); },
+                expect: function(widget) {
+                    return SelfCheck.expectText(widget._qaResult.querySelector('.moon-qa-answer'),
+                        'Fixture answer to "What is this?".');
+                }
+            }],
+            'person-tracker': [{
+                name: 'finds one face',
+                act: function(widget) { widget._modeSelect.value = 'face'; widget.track(); },
+                expect: function(widget) {
+                    return SelfCheck.expectText(widget._countDisplay.querySelector('.moon-count-number'), '1');
+                }
+            }],
+            'zone-monitor': [{
+                name: 'alerts for a person in a zone',
+                act: function(widget) {
+                    widget._zones.push({
+                        points: [{ x: 0.25, y: 0.25 }, { x: 0.75, y: 0.25 }, { x: 0.75, y: 0.75 }, { x: 0.25, y: 0.75 }],
+                        color: Utils.getColor(0),
+                        name: 'Zone 1'
+                    });
+                    widget._detectInput.value = 'person';
+                    widget.checkZones();
+                },
+                expect: function(widget) {
+                    return widget._alertsEl.querySelector('.moon-alert-danger') ? null : 'No zone alert was shown';
+                }
+            }],
+            'production-monitor': [{
+                name: 'sees a well-framed face and updates the scene',
+                act: function(widget) { widget.runMoonDreamAnalysis(); },
+                expect: function(widget) {
+                    var monitors = widget._monitors;
+                    if (monitors.presence.status !== 'PRESENT') return 'Presence is ' + monitors.presence.status;
+                    if (monitors.composition.status !== 'GOOD') return 'Composition is ' + monitors.composition.status;
+                    if (monitors.sceneContext.status !== 'UPDATED') return 'Scene context is ' + monitors.sceneContext.status;
+                    return null;
+                }
+            }],
+            'ptz-tracker': [{
+                name: 'pans toward a person right of center',
+                act: function(widget, image) {
+                    Fixtures.rules = [{ endpoint: 'detect', match: 'person',
+                        reply: { objects: [{ x_min: 0.7, y_min: 0.3, x_max: 0.9, y_max: 0.7 }] } }];
+                    SelfCheck.startTracking(widget, image);
+                },
+                expect: function(widget) {
+                    return SelfCheck.expectSent(widget, function(command) {
+                        return command.type === 'drive' && command.pan === 'right';
+                    }, 'a pan right');
+                }
+            }, {
+                name: 'stops, then recalls the home preset when the person is lost',
+                act: function(widget) {
+                    Fixtures.rules = [{ endpoint: 'detect', match: 'person', reply: { objects: [] } }];
+                    widget._ptzSettings.lostAction = 'home';
+                    widget._ptzSettings.lostHoldSeconds = 0;
+                    widget._ptzSettings.homePreset = 1;
+                    // One tick to start holding, one to give up and go home
+                    widget.trackingLoop();
+                    return SelfCheck.idle().then(function() { widget.trackingLoop(); });
+                },
+                expect: function(widget) {
+                    return SelfCheck.expectSent(widget, function(command) { return command.type === 'stop'; }, 'a stop') ||
+                        SelfCheck.expectSent(widget, function(command) {
+                            return command.type === 'preset' && command.action === 'recall' && command.preset === 1;
+                        }, 'a recall of preset 1');
+                }
+            }]
+        },
+
+        /** Injected fixture errors and the ApiError code each must produce. */
+        ERROR_CHECKS: [
+            { error: 'unauthorized', code: 'unauthorized' },
+            { error: 'rate_limited', code: 'rate_limited' },
+            { error: 'server_error', code: 'server_error' },
+            { error: 'timeout', code: 'timeout' }
+        ],
+
+        /**
+         * Start the PTZ tracker in simulation mode on the test image. The
+         * image stands in for a live source, so trackingLoop, the lost-target
+         * policy and sendPTZCommand run as they do on a camera.
+         */
+        startTracking: function(widget, image) {
+            widget.hasLiveSource = function() { return true; };
+            widget.getCurrentFrame = function() { return image; };
+            widget._simCheckbox.checked = true;
+            widget._targetInput.value = 'person';
+            widget.startTracking();
+            if (!widget._isTracking) throw new Error('Tracking did not start');
+        },
+
+        /** null if the simulated camera received a matching command, else what it got. */
+        expectSent: function(widget, test, expected) {
+            var sent = widget._simTransport ? widget._simTransport.sent : [];
+            var found = sent.some(function(entry) { return entry.matched && test(entry.command); });
+            if (found) return null;
+            return 'Expected ' + expected + ', the camera got ' + (sent.length ?
+                sent.map(function(entry) { return PTZCommand.describe(entry.command); }).join(', ') : 'nothing');
+        },
+
+        expectText: function(el, expected) {
+            var text = el ? el.textContent.trim() : null;
+            if (text === expected) return null;
+            return 'Expected "' + expected + '", saw ' + (text === null ? 'nothing' : '"' + text + '"');
+        },
+
+        /**
+         * Run every check.
+         * @returns {Promise} - Resolves with [{widget, name, ok, detail}]
+         */
+        run: function() {
+            var self = this;
+            if (this.running) return Promise.reject(new Error('The self-check is already running'));
+            if (MediaSources.list().length) {
+                return Promise.reject(new Error('Stop the webcam, network camera or screen share before running the self-check'));
+            }
+            if (ApiCircuitBreaker.isOpen()) {
+                return Promise.reject(new Error('Requests are paused after repeated errors. Try again when they resume.'));
+            }
+
+            var savedSettings = InferenceBackends.settings || InferenceBackends.load();
+            var savedBreaker = ApiCircuitBreaker.snapshot();
+            var savedFixtures = { recorded: Fixtures.recorded, rules: Fixtures.rules, recording: Fixtures.recording };
+            var settings = InferenceBackends.createSettings();
+            settings.backend = 'fixture';
+            settings.fixtureLatencyMs = 0;
+            InferenceBackends.settings = settings;
+            Fixtures.recorded = {};
+            Fixtures.rules = [];
+            Fixtures.recording = false;
+            this.running = true;
+
+            var stage = Utils.createElement('div', 'moon-selfcheck-stage');
+            document.body.appendChild(stage);
+            var image = this.testImage();
+            var results = [];
+
+            function restore() {
+                InferenceBackends.settings = savedSettings;
+                Fixtures.recorded = savedFixtures.recorded;
+                Fixtures.rules = savedFixtures.rules;
+                Fixtures.recording = savedFixtures.recording;
+                // Forget the failures the injected errors caused, keep the user's
+                ApiCircuitBreaker.restore(savedBreaker);
+                if (stage.parentNode) stage.parentNode.removeChild(stage);
+                self.running = false;
+            }
+
+            var chain = Promise.resolve();
+            WidgetList.forEach(function(entry) {
+                chain = chain.then(function() {
+                    return self.checkWidget(entry, stage, image, results);
+                });
+            });
+            this.ERROR_CHECKS.forEach(function(check) {
+                chain = chain.then(function() {
+                    return self.checkError(check, settings, image, results);
+                });
+            });
+            return chain.then(function() {
+                restore();
+                return results;
+            }, function(err) {
+                restore();
+                throw err;
+            });
+        },
+
+        /** Mount one widget, run its checks in order, then unmount it. */
+        checkWidget: function(entry, stage, image, results) {
+            var self = this;
+            var root = Utils.createElement('div');
+            stage.appendChild(root);
+            var widget = new WidgetRegistry[entry.id]();
+            try {
+                widget.mount(root, { selfCheck: true });
+                widget._currentImage = image;
+            } catch (err) {
+                results.push({ widget: entry.label, name: 'opens', ok: false, detail: err.message });
+                stage.removeChild(root);
+                return Promise.resolve();
+            }
+
+            var chain = Promise.resolve();
+            (this.CHECKS[entry.id] || []).forEach(function(check) {
+                chain = chain.then(function() {
+                    return Promise.resolve().then(function() {
+                        return check.act(widget, image);
+                    }).then(function(value) {
+                        return self.idle().then(function() { return check.expect(widget, value); });
+                    }).then(function(detail) {
+                        results.push({ widget: entry.label, name: check.name, ok: !detail, detail: detail || '' });
+                    }, function(err) {
+                        results.push({ widget: entry.label, name: check.name, ok: false, detail: err.message });
+                    });
+                });
+            });
+            return chain.then(function() {
+                widget.unmount();
+                stage.removeChild(root);
+                Fixtures.rules = [];
+            });
+        },
+
+        /** Inject one error and check the request fails with its code. */
+        checkError: function(check, settings, image, results) {
+            var name = 'injected ' + check.error + ' is reported as ' + check.code;
+            settings.fixtureError = check.error;
+            // A coalesce key turns off retries, so the error arrives as injected
+            return ApiClient.detect(image, 'person', { priority: 'interactive', coalesce: 'self-check', meter: false }).then(function() {
+                results.push({ widget: 'API client', name: name, ok: false, detail: 'The request succeeded' });
+            }, function(err) {
+                var ok = err.code === check.code;
+                results.push({ widget: 'API client', name: name, ok: ok, detail: ok ? '' : 'Failed with ' + err.code + ': ' + err.message });
+            }).then(function() {
+                settings.fixtureError = 'none';
+            });
+        },
+
+        /** Resolves once no request has been queued or running for two polls. */
+        idle: function() {
+            var started = Date.now();
+            var quiet = 0;
+            return new Promise(function(resolve, reject) {
+                (function poll() {
+                    var stats = ApiScheduler.stats();
+                    quiet = stats.running || stats.queued ? 0 : quiet + 1;
+                    if (quiet >= 2) {
+                        resolve();
+                    } else if (Date.now() - started > SelfCheck.TIMEOUT_MS) {
+                        reject(new Error('Requests did not finish within ' + Utils.formatDuration(SelfCheck.TIMEOUT_MS)));
+                    } else {
+                        setTimeout(poll, 20);
+                    }
+                })();
+            });
+        },
+
+        /** A small grey frame; the fixtures ignore the image. */
+        testImage: function() {
+            var canvas = document.createElement('canvas');
+            canvas.width = 64;
+            canvas.height = 48;
+            var ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#808080';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/jpeg', 0.8);
+        }
+    };
+
     // ============================================================
     // GETTING STARTED CONTENT
     // ============================================================
@@ -4513,8 +14908,12 @@
      * Loads stored API key, renders UI, sets up event listeners.
      */
     Dashboard.prototype.init = function() {
+        var self = this;
         var storedKey = Utils.getStoredApiKey();
         if (storedKey) CONFIG.apiKey = storedKey;
+        InferenceBackends.load();
+        UsageMeter.init();
+        Fixtures.load();
 
         this.rootEl.innerHTML = '';
         this.rootEl.className = 'moon-app';
@@ -4534,6 +14933,14 @@
         this.rootEl.appendChild(this._keyStatusEl);
         this.updateKeyStatus();
 
+        // Circuit breaker or usage budget countdown (fixed top, above widget modals)
+        this._circuitEl = Utils.createElement('div', 'moon-circuit-banner');
+        this._circuitEl.style.display = 'none';
+        this.rootEl.appendChild(this._circuitEl);
+        this._circuitTimer = null;
+        ApiCircuitBreaker.subscribe(function() { self.updatePauseStatus(); });
+        UsageMeter.subscribe(function() { self.updatePauseStatus(); });
+
         // Modal container
         this.modalOverlay = Utils.createElement('div', 'moon-widget-modal-overlay');
         this.modalOverlay.style.display = 'none';
@@ -4555,7 +14962,10 @@
         var el = this._keyStatusEl;
         if (!el) return;
 
-        if (CONFIG.apiKey) {
+        if (!InferenceBackends.needsKey()) {
+            el.innerHTML = '<span class="moon-key-badge moon-key-set"></span>';
+            el.querySelector('.moon-key-badge').textContent = '✓ ' + InferenceBackends.label();
+        } else if (CONFIG.apiKey) {
             el.innerHTML = '<span class="moon-key-badge moon-key-set">✓ API Key Set</span>' +
                 '<button class="moon-btn moon-btn-sm moon-btn-secondary">Change Key</button>';
             el.querySelector('.moon-btn').onclick = function() {
@@ -4571,6 +14981,64 @@
                 ApiKeyModal.show(function() { self.updateKeyStatus(); });
             };
         }
+
+        var backendBtn = Utils.createElement('button', 'moon-btn moon-btn-sm moon-btn-secondary', { textContent: 'Backend' });
+        backendBtn.onclick = function() {
+            BackendModal.show(function() { self.onBackendChange(); });
+        };
+        el.appendChild(backendBtn);
+
+        var usageBtn = Utils.createElement('button', 'moon-btn moon-btn-sm moon-btn-secondary', { textContent: 'Usage' });
+        usageBtn.onclick = function() { UsageModal.show(); };
+        el.appendChild(usageBtn);
+    };
+
+    /**
+     * Show or hide the "live analysis paused" countdown. Ticks every second
+     * while ApiCircuitBreaker is open or a UsageMeter budget is used up.
+     */
+    Dashboard.prototype.updatePauseStatus = function() {
+        var self = this;
+        var el = this._circuitEl;
+        var pause = ApiClient.livePause();
+        if (!pause) {
+            clearInterval(this._circuitTimer);
+            this._circuitTimer = null;
+            el.style.display = 'none';
+            return;
+        }
+
+        el.innerHTML = '<span class="moon-circuit-text"></span>' +
+            '<button class="moon-btn moon-btn-sm moon-btn-secondary"></button>';
+        var text = el.querySelector('.moon-circuit-text');
+        var button = el.querySelector('.moon-btn');
+        if (ApiCircuitBreaker.isOpen()) {
+            var lastError = ApiCircuitBreaker.lastError;
+            var reason = lastError ? ErrorHelper.getFriendlyMessage(lastError) : '';
+            text.textContent = '⏸ Live analysis paused after repeated errors' +
+                (reason ? ' (' + reason.replace(/\.$/, '') + ')' : '') +
+                '. Resuming in ' + Utils.formatDuration(pause.remainingMs);
+            button.textContent = 'Retry now';
+            button.onclick = function() { ApiCircuitBreaker.close(); };
+        } else {
+            text.textContent = '⏸ Live analysis paused: ' + pause.reason +
+                '. Resuming in ' + Utils.formatDuration(pause.remainingMs);
+            button.textContent = 'Usage';
+            button.onclick = function() { UsageModal.show(); };
+        }
+        el.style.display = 'flex';
+
+        if (!this._circuitTimer) {
+            this._circuitTimer = setInterval(function() { self.updatePauseStatus(); }, 1000);
+        }
+    };
+
+    /** Refresh the key status, cards and open widget after a backend change. */
+    Dashboard.prototype.onBackendChange = function() {
+        this.updateKeyStatus();
+        this.updatePauseStatus();
+        this.renderCards();
+        if (this.currentWidgetInstance) this.currentWidgetInstance.applyCapabilities();
     };
 
     Dashboard.prototype.renderCards = function() {
@@ -4592,7 +15060,14 @@
                 '<span class="moon-demo-card-icon">' + widget.icon + '</span>' +
                 '<h3 class="moon-demo-card-title">' + widget.label + '</h3>' +
                 '<p class="moon-demo-card-desc">' + widget.desc + '</p>';
-            card.onclick = function() { self.openWidget(widget.id); };
+            // Grey out widgets that need skills the backend lacks
+            var available = widget.needs.some(function(cap) { return InferenceBackends.supports(cap); });
+            if (available) {
+                card.onclick = function() { self.openWidget(widget.id); };
+            } else {
+                card.classList.add('moon-unsupported');
+                card.title = 'Not available with ' + InferenceBackends.label();
+            }
             grid.appendChild(card);
         });
 
@@ -4809,6 +15284,8 @@
 
             var storedKey = Utils.getStoredApiKey();
             if (storedKey) CONFIG.apiKey = storedKey;
+            InferenceBackends.load();
+            Fixtures.load();
 
             var WidgetClass = WidgetRegistry[widgetId];
             if (!WidgetClass) return null;
@@ -4838,7 +15315,130 @@
         },
 
         /** Check if an API key is currently set. */
-        hasApiKey: function() { return !!CONFIG.apiKey; }
+        hasApiKey: function() { return !!CONFIG.apiKey; },
+
+        /**
+         * Choose the inference backend.
+         * @param {object} settings - {backend: 'cloud'|'station'|'openai'|'fixture', stationUrl,
+         *                            openaiUrl, openaiModel, openaiKey, openaiGrounding,
+         *                            fixtureLatencyMs, fixtureError, fixtureErrorEvery}
+         *
+         * @example
+         * MoonDemo.setBackend({ backend: 'station', stationUrl: 'http://10.0.0.5:2020/v1' });
+         * MoonDemo.setBackend({ backend: 'fixture', fixtureError: 'rate_limited', fixtureErrorEvery: 3 });
+         */
+        setBackend: function(settings) {
+            var merged = InferenceBackends.settings ? JSON.parse(JSON.stringify(InferenceBackends.settings)) :
+                InferenceBackends.load();
+            Object.keys(settings || {}).forEach(function(key) { merged[key] = settings[key]; });
+            if (!InferenceBackends.backends[merged.backend]) throw new Error('Unknown backend: ' + merged.backend);
+            InferenceBackends.save(merged);
+        },
+
+        /** Current backend settings and capabilities (returns copies). */
+        getBackend: function() {
+            var settings = JSON.parse(JSON.stringify(InferenceBackends.settings || InferenceBackends.load()));
+            delete settings.openaiKey;
+            settings.capabilities = InferenceBackends.capabilities();
+            return settings;
+        },
+
+        /**
+         * API usage per endpoint and per widget.
+         * @param {number} windowMs - How far back (default one hour, at most 24 hours)
+         * @returns {object} - {total, endpoints, widgets}; see UsageMeter.summarize
+         */
+        getUsage: function(windowMs) {
+            return UsageMeter.summarize(UsageMeter.recent(Math.min(windowMs || UsageMeter.HOUR_MS, UsageMeter.DAY_MS)));
+        },
+
+        /**
+         * Set usage budgets for MoonDream Cloud.
+         * @param {object} budget - {hourlyLimit, dailyLimit, costPer1000}; 0 = no limit
+         *
+         * @example
+         * MoonDemo.setUsageBudget({ hourlyLimit: 500, dailyLimit: 5000 });
+         */
+        setUsageBudget: function(budget) {
+            var merged = UsageMeter.getBudget();
+            var updated = {};
+            Object.keys(merged).forEach(function(key) {
+                updated[key] = budget && budget[key] !== undefined ? Math.max(0, Number(budget[key]) || 0) : merged[key];
+            });
+            UsageMeter.saveBudget(updated);
+        },
+
+        /**
+         * Replace the offline fixtures (see Fixtures for the file format).
+         * @param {object} data - {recorded, rules}
+         */
+        setFixtures: function(data) {
+            Fixtures.use(data);
+            Fixtures.save();
+        },
+
+        /**
+         * Run every demo against the offline fixtures.
+         * @returns {Promise} - Resolves with [{widget, name, ok, detail}]
+         *
+         * @example
+         * MoonDemo.selfCheck().then(function(results) { console.table(results); });
+         */
+        selfCheck: function() {
+            return SelfCheck.run();
+        },
+
+        /**
+         * Open media sources (webcams, network cameras, shared screens),
+         * shared by every mounted widget.
+         * @returns {Array} - [{id, kind, name, selected, videos}]; videos = elements showing it
+         */
+        getSources: function() {
+            return MediaSources.list().map(function(source) {
+                return {
+                    id: source.id,
+                    kind: source.kind,
+                    name: source.name,
+                    selected: source === MediaSources.selected,
+                    videos: source.videos.length
+                };
+            });
+        },
+
+        /**
+         * Close a media source in every widget showing it.
+         * @param {string} id - From getSources, e.g. 'device:…' or 'net:…'
+         */
+        closeSource: function(id) {
+            var source = MediaSources.get(id);
+            if (source) MediaSources.close(source);
+        }
+    };
+
+    // Building blocks for the test suite (tests/); not a stable API
+    MoonDemo._internals = {
+        ApiError: ApiError,
+        ApiRetry: ApiRetry,
+        ApiCircuitBreaker: ApiCircuitBreaker,
+        ApiClient: ApiClient,
+        ApiScheduler: ApiScheduler,
+        ResponseCache: ResponseCache,
+        UsageMeter: UsageMeter,
+        SseParser: SseParser,
+        Fixtures: Fixtures,
+        InferenceBackends: InferenceBackends,
+        NetworkSource: NetworkSource,
+        MediaSources: MediaSources,
+        NetworkSourceRegistry: NetworkSourceRegistry,
+        CapturePolicy: CapturePolicy,
+        PTZCommand: PTZCommand,
+        PTZCameraRegistry: PTZCameraRegistry,
+        VISCA: VISCA,
+        ViscaLoopbackTransport: ViscaLoopbackTransport,
+        PTZControlLaw: PTZControlLaw,
+        PTZLostTargetPolicy: PTZLostTargetPolicy,
+        PTZSoftLimits: PTZSoftLimits,
+        SelfCheck: SelfCheck
     };
 
     // Expose MoonDemo to global scope (window in browsers)
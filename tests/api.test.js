@@ -0,0 +1,449 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var app = helpers.load();
+var ApiError = app.internals.ApiError;
+var ApiRetry = app.internals.ApiRetry;
+var ApiCircuitBreaker = app.internals.ApiCircuitBreaker;
+var SseParser = app.internals.SseParser;
+var ApiClient = app.internals.ApiClient;
+var ApiScheduler = app.internals.ApiScheduler;
+var Fixtures = app.internals.Fixtures;
+var ResponseCache = app.internals.ResponseCache;
+var UsageMeter = app.internals.UsageMeter;
+var InferenceBackends = app.internals.InferenceBackends;
+var openai = InferenceBackends.backends.openai;
+
+var IMAGE = 'data:image/jpeg;base64,/9j/AAAA';
+
+function parse(chunks) {
+    var events = [];
+    var parser = new SseParser(function(data) { events.push(data); });
+    chunks.forEach(function(chunk) { parser.feed(chunk); });
+    parser.end();
+    return events;
+}
+
+function withRandom(value, fn) {
+    var random = app.window.Math.random;
+    app.window.Math.random = function() { return value; };
+    try {
+        return fn();
+    } finally {
+        app.window.Math.random = random;
+    }
+}
+
+test('SSE events split across chunks are put back together', function() {
+    assert.deepStrictEqual(parse(['data: {"chunk":"He', 'llo"}\n', '\ndata: {"chunk":"!"}\r\n\r\n']),
+        ['{"chunk":"Hello"}', '{"chunk":"!"}']);
+});
+
+test('SSE comments and other fields are ignored, multi-line data is joined', function() {
+    assert.deepStrictEqual(parse([': keep-alive\nevent: message\nid: 7\ndata: a\ndata: b\n\n']), ['a\nb']);
+});
+
+test('the last SSE event is flushed without a trailing blank line', function() {
+    assert.deepStrictEqual(parse(['data: {"completed":true}']), ['{"completed":true}']);
+});
+
+test('bare JSON lines are passed through as events', function() {
+    assert.deepStrictEqual(parse(['{"chunk":"a"}\n{"chunk":"b"}\n']), ['{"chunk":"a"}', '{"chunk":"b"}']);
+});
+
+test('retries back off exponentially per error code', function() {
+    withRandom(0, function() {
+        var err = new ApiError('server_error', 'HTTP 500');
+        assert.strictEqual(ApiRetry.delay(err, 0), 500);
+        assert.strictEqual(ApiRetry.delay(err, 1), 1000);
+        assert.strictEqual(ApiRetry.delay(err, 2), null);
+    });
+    withRandom(0.999999, function() {
+        assert.strictEqual(ApiRetry.delay(new ApiError('rate_limited', 'HTTP 429'), 2), 8000);
+    });
+});
+
+test('Retry-After is a lower bound, and one past maxDelayMs is not retried', function() {
+    withRandom(0, function() {
+        assert.strictEqual(ApiRetry.delay(new ApiError('rate_limited', 'HTTP 429', { retryAfterMs: 7000 }), 0), 7000);
+        assert.strictEqual(ApiRetry.delay(new ApiError('rate_limited', 'HTTP 429', { retryAfterMs: 60000 }), 0), null);
+    });
+});
+
+test('non-retryable errors are not retried', function() {
+    assert.strictEqual(ApiRetry.delay(new ApiError('unauthorized', 'HTTP 401'), 0), null);
+    assert.strictEqual(ApiRetry.delay(new ApiError('server_error', 'HTTP 500', { retryable: false }), 0), null);
+});
+
+test('Retry-After is read as seconds or as an HTTP date', function() {
+    assert.strictEqual(ApiRetry.parseRetryAfter('2.5'), 2500);
+    assert.strictEqual(ApiRetry.parseRetryAfter(null), 0);
+    assert.strictEqual(ApiRetry.parseRetryAfter('soon'), 0);
+    var ms = ApiRetry.parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+    assert.ok(ms > 8000 && ms <= 10000, String(ms));
+});
+
+test('the breaker opens after threshold failures and pauses continuous requests', function(t) {
+    t.after(function() { ApiCircuitBreaker.recordSuccess(); });
+    var err = new ApiError('server_error', 'HTTP 500');
+    ApiCircuitBreaker.recordFailure(new ApiError('unauthorized', 'HTTP 401'));
+    ApiCircuitBreaker.recordFailure(err);
+    ApiCircuitBreaker.recordFailure(err);
+    assert.strictEqual(ApiCircuitBreaker.isOpen(), false);
+    ApiCircuitBreaker.recordFailure(err);
+    assert.strictEqual(ApiCircuitBreaker.isOpen(), true);
+    assert.strictEqual(ApiCircuitBreaker.allow('continuous'), false);
+    assert.strictEqual(ApiCircuitBreaker.allow('interactive'), true);
+    assert.strictEqual(ApiCircuitBreaker.openError().code, 'circuit_open');
+});
+
+test('the breaker cooldown doubles each time it reopens', function(t) {
+    t.after(function() { ApiCircuitBreaker.recordSuccess(); });
+    ApiCircuitBreaker.open();
+    var first = ApiCircuitBreaker.remaining();
+    ApiCircuitBreaker.open();
+    var second = ApiCircuitBreaker.remaining();
+    assert.ok(first > 4000 && first <= 5000, String(first));
+    assert.ok(second > 9000 && second <= 10000, String(second));
+});
+
+test('rate limiting opens the breaker at once, for at least Retry-After', function(t) {
+    t.after(function() { ApiCircuitBreaker.recordSuccess(); });
+    ApiCircuitBreaker.recordFailure(new ApiError('rate_limited', 'HTTP 429', { retryAfterMs: 20000 }));
+    assert.ok(ApiCircuitBreaker.remaining() > 19000);
+});
+
+test('restore() puts back a snapshot and tells listeners', function(t) {
+    t.after(function() { ApiCircuitBreaker.recordSuccess(); });
+    var err = new ApiError('network', 'Failed to fetch');
+    ApiCircuitBreaker.recordFailure(err);
+    var saved = ApiCircuitBreaker.snapshot();
+    var notified = 0;
+    var unsubscribe = ApiCircuitBreaker.subscribe(function() { notified++; });
+    t.after(unsubscribe);
+
+    ApiCircuitBreaker.recordFailure(err);
+    ApiCircuitBreaker.recordFailure(err);
+    assert.strictEqual(ApiCircuitBreaker.isOpen(), true);
+    ApiCircuitBreaker.restore(saved);
+    assert.strictEqual(ApiCircuitBreaker.isOpen(), false);
+    assert.strictEqual(ApiCircuitBreaker.failures, 1);
+    assert.strictEqual(ApiCircuitBreaker.lastError, err);
+    assert.strictEqual(notified, 2);
+});
+
+/**
+ * Answer from the fixture backend (two requests at a time) after
+ * latencyMs, for one test.
+ */
+function useFixtures(t, latencyMs) {
+    app.MoonDemo.setBackend({ backend: 'fixture', fixtureLatencyMs: latencyMs, fixtureError: 'none' });
+    t.after(function() { app.MoonDemo.setBackend({ fixtureLatencyMs: 0 }); });
+}
+
+/** A detect request that records its label in `log` when it settles. */
+function detect(log, label, options) {
+    options = options || {};
+    options.meter = false;
+    return ApiClient.detect(IMAGE, 'person', options).then(function(result) {
+        log.push(label);
+        return result;
+    }, function(err) {
+        log.push(label + ' ' + err.code);
+        throw err;
+    });
+}
+
+test('the scheduler runs at most maxInFlight requests per backend', function(t) {
+    useFixtures(t, 30);
+    var log = [];
+    var requests = [1, 2, 3, 4, 5].map(function(n) { return detect(log, n); });
+    assert.deepStrictEqual(helpers.plain(ApiScheduler.stats()), { running: 2, queued: 3 });
+    return Promise.all(requests).then(function() {
+        assert.deepStrictEqual(log, [1, 2, 3, 4, 5]);
+        assert.deepStrictEqual(helpers.plain(ApiScheduler.stats()), { running: 0, queued: 0 });
+    });
+});
+
+test('waiting requests start by priority, oldest first within one', function(t) {
+    useFixtures(t, 30);
+    var log = [];
+    var requests = [
+        detect(log, 'busy 1'),
+        detect(log, 'busy 2'),
+        detect(log, 'background', { priority: 'background' }),
+        detect(log, 'continuous 1', { priority: 'continuous' }),
+        detect(log, 'continuous 2', { priority: 'continuous' }),
+        detect(log, 'interactive', { priority: 'interactive' })
+    ];
+    return Promise.all(requests).then(function() {
+        assert.deepStrictEqual(log, ['busy 1', 'busy 2', 'interactive', 'continuous 1', 'continuous 2', 'background']);
+    });
+});
+
+test('a newer frame replaces the one waiting behind a running request', function(t) {
+    useFixtures(t, 30);
+    var log = [];
+    var sent = Fixtures._count;
+    var options = function() { return { priority: 'continuous', coalesce: 'tracker' }; };
+    var requests = [1, 2, 3].map(function(n) {
+        return detect(log, 'frame ' + n, options()).catch(function() {});
+    });
+    // Frame 1 runs; 2 waits for it, even with a free slot, and is replaced by 3
+    assert.deepStrictEqual(helpers.plain(ApiScheduler.stats()), { running: 1, queued: 1 });
+    return Promise.all(requests).then(function() {
+        assert.deepStrictEqual(log, ['frame 2 aborted', 'frame 1', 'frame 3']);
+        assert.strictEqual(Fixtures._count - sent, 2);
+    });
+});
+
+test('aborting drops a waiting request and cancels a running one', function(t) {
+    useFixtures(t, 30);
+    var log = [];
+    var sent = Fixtures._count;
+    var running = new AbortController();
+    var waiting = new AbortController();
+    var requests = [
+        detect(log, 'running', { signal: running.signal }),
+        detect(log, 'busy'),
+        detect(log, 'waiting', { signal: waiting.signal }),
+        detect(log, 'next')
+    ].map(function(request) { return request.catch(function(err) { return err; }); });
+    waiting.abort();
+    running.abort();
+    return Promise.all(requests).then(function(results) {
+        assert.ok(ApiClient.isAbort(results[0]) && ApiClient.isAbort(results[2]));
+        assert.deepStrictEqual(log, ['waiting aborted', 'running aborted', 'busy', 'next']);
+        // The waiting request never reached the backend
+        assert.strictEqual(Fixtures._count - sent, 3);
+    });
+});
+
+test('requests sharing a long-lived signal take their abort listeners off when done', function(t) {
+    useFixtures(t, 5);
+    var session = new AbortController();
+    var listening = 0;
+    var add = session.signal.addEventListener;
+    var remove = session.signal.removeEventListener;
+    session.signal.addEventListener = function() {
+        listening++;
+        return add.apply(this, arguments);
+    };
+    session.signal.removeEventListener = function() {
+        listening--;
+        return remove.apply(this, arguments);
+    };
+    var settings = InferenceBackends.settings;
+    var requests = [1, 2, 3, 4].map(function() {
+        return ApiClient._send(settings, '/detect', { image_url: IMAGE, object: 'person' }, session.signal);
+    });
+    assert.strictEqual(listening, 4);
+    return Promise.all(requests).then(function(results) {
+        assert.strictEqual(results.length, 4);
+        assert.strictEqual(listening, 0);
+    });
+});
+
+/** A 64-digit hex hash with the first `bits` bits flipped from all zeros. */
+function hashWith(bits) {
+    var digits = [];
+    for (var i = 0; i < 64; i++) digits.push(Math.max(0, Math.min(4, bits - i * 4)));
+    return digits.map(function(n) { return (16 - Math.pow(2, 4 - n)).toString(16); }).join('');
+}
+
+function cacheTest(name, fn) {
+    test(name, function(t) {
+        t.after(function() {
+            ResponseCache.clear();
+            ResponseCache.maxEntries = 100;
+        });
+        ResponseCache.clear();
+        return fn(t);
+    });
+}
+
+cacheTest('a reply is reused for a frame within the hash threshold', function() {
+    var reply = { objects: [] };
+    ResponseCache.store('cloud', '/detect', 'person', hashWith(0), reply);
+    assert.strictEqual(ResponseCache.distance(hashWith(0), hashWith(6)), 6);
+    assert.strictEqual(ResponseCache.lookup('cloud', '/detect', 'person', hashWith(6), 8), reply);
+    assert.strictEqual(ResponseCache.lookup('cloud', '/detect', 'person', hashWith(9), 8), null);
+    // Only for the same backend, endpoint and prompt
+    assert.strictEqual(ResponseCache.lookup('cloud', '/detect', 'chair', hashWith(0), 8), null);
+    assert.strictEqual(ResponseCache.lookup('station', '/detect', 'person', hashWith(0), 8), null);
+    assert.strictEqual(ResponseCache.lookup('cloud', '/point', 'person', hashWith(0), 8), null);
+});
+
+cacheTest('the closest cached frame wins', function() {
+    ResponseCache.store('cloud', '/detect', 'person', hashWith(0), 'far');
+    ResponseCache.store('cloud', '/detect', 'person', hashWith(12), 'near');
+    assert.strictEqual(ResponseCache.lookup('cloud', '/detect', 'person', hashWith(10), 16), 'near');
+});
+
+cacheTest('replies older than maxAgeMs are not reused', function() {
+    ResponseCache.store('cloud', '/detect', 'person', hashWith(0), 'old');
+    ResponseCache._entries[0].at -= ResponseCache.maxAgeMs + 1;
+    var misses = ResponseCache.stats.misses;
+    assert.strictEqual(ResponseCache.lookup('cloud', '/detect', 'person', hashWith(0), 8), null);
+    assert.strictEqual(ResponseCache.stats.misses, misses + 1);
+});
+
+cacheTest('the least recently used reply is evicted past maxEntries', function() {
+    ResponseCache.maxEntries = 3;
+    ['a', 'b', 'c'].forEach(function(prompt) { ResponseCache.store('cloud', '/detect', prompt, hashWith(0), prompt); });
+    // Using 'a' makes 'b' the least recently used
+    assert.strictEqual(ResponseCache.lookup('cloud', '/detect', 'a', hashWith(0), 0), 'a');
+    ResponseCache.store('cloud', '/detect', 'd', hashWith(0), 'd');
+    assert.strictEqual(ResponseCache._entries.length, 3);
+    assert.strictEqual(ResponseCache.lookup('cloud', '/detect', 'b', hashWith(0), 0), null);
+    ['a', 'c', 'd'].forEach(function(prompt) {
+        assert.strictEqual(ResponseCache.lookup('cloud', '/detect', prompt, hashWith(0), 0), prompt);
+    });
+});
+
+function usageTest(name, fn) {
+    test(name, function(t) {
+        t.after(function() {
+            UsageMeter.saveBudget({ hourlyLimit: 0, dailyLimit: 0, costPer1000: 0 });
+            UsageMeter.clear();
+        });
+        UsageMeter.clear();
+        return fn(t);
+    });
+}
+
+function recordCloud(count, at, cached) {
+    for (var i = 0; i < count; i++) {
+        UsageMeter.record({ endpoint: '/detect', backend: 'cloud', latencyMs: 100, cached: !!cached }, 'ptz-tracker');
+        if (at) UsageMeter._records[UsageMeter._records.length - 1].at = at;
+    }
+}
+
+usageTest('the hourly budget pauses live cloud requests only', function() {
+    UsageMeter.saveBudget({ hourlyLimit: 3, dailyLimit: 0, costPer1000: 0 });
+    recordCloud(2);
+    recordCloud(5, 0, true);
+    UsageMeter.record({ endpoint: '/detect', backend: 'station', latencyMs: 100 }, 'ptz-tracker');
+    assert.strictEqual(UsageMeter.allow('continuous', 'cloud'), true, 'Cached and local requests do not count');
+    recordCloud(1);
+    assert.deepStrictEqual(helpers.plain(UsageMeter.budgetUsage()), { hour: 3, day: 3 });
+    assert.strictEqual(UsageMeter.allow('continuous', 'cloud'), false);
+    assert.strictEqual(UsageMeter.allow('background', 'cloud'), false);
+    assert.strictEqual(UsageMeter.allow('interactive', 'cloud'), true);
+    assert.strictEqual(UsageMeter.allow('continuous', 'station'), true);
+
+    var err = UsageMeter.budgetError();
+    assert.strictEqual(err.code, 'budget_exceeded');
+    assert.match(err.message, /Hourly usage budget of 3 requests reached/);
+    assert.ok(err.retryAfterMs > UsageMeter.HOUR_MS - 5000 && err.retryAfterMs <= UsageMeter.HOUR_MS, String(err.retryAfterMs));
+});
+
+usageTest('a budget frees up when the request that filled it leaves the window', function() {
+    var now = Date.now();
+    UsageMeter.saveBudget({ hourlyLimit: 0, dailyLimit: 2, costPer1000: 0 });
+    recordCloud(1, now - UsageMeter.DAY_MS + 60000);
+    recordCloud(1, now - 10 * 60000);
+    var status = UsageMeter.budgetStatus();
+    assert.strictEqual(status.label, 'Daily');
+    assert.ok(status.remainingMs > 55000 && status.remainingMs <= 60000, String(status.remainingMs));
+});
+
+usageTest('listeners hear when a budget is used up and when it frees up', function(t) {
+    var heard = [];
+    t.after(UsageMeter.subscribe(function(meter) {
+        var status = meter.budgetStatus();
+        heard.push(status ? status.label : null);
+    }));
+    UsageMeter.saveBudget({ hourlyLimit: 2, dailyLimit: 0, costPer1000: 0 });
+    recordCloud(2);
+    assert.deepStrictEqual(heard, [null, null, 'Hourly']);
+    UsageMeter.clear();
+    assert.deepStrictEqual(heard, [null, null, 'Hourly', null]);
+    assert.strictEqual(UsageMeter._timer, null);
+});
+
+usageTest('usage is summarized per endpoint and widget, with the cloud cost', function() {
+    UsageMeter.saveBudget({ hourlyLimit: 0, dailyLimit: 0, costPer1000: 5 });
+    recordCloud(3);
+    recordCloud(1, 0, true);
+    UsageMeter.record({ endpoint: '/caption', backend: 'cloud', latencyMs: 300, error: 'server_error' }, 'scene-analyzer');
+    var summary = UsageMeter.summarize(UsageMeter.recent(UsageMeter.HOUR_MS));
+    assert.strictEqual(summary.total.requests, 4);
+    assert.strictEqual(summary.total.cached, 1);
+    assert.strictEqual(summary.total.errors, 1);
+    assert.strictEqual(summary.total.cost, 4 * 5 / 1000);
+    assert.strictEqual(summary.endpoints['/detect'].p95, 100);
+    assert.strictEqual(summary.widgets['scene-analyzer'].p50, null);
+});
+
+test('OpenAI-compatible: each skill is asked for with its own prompt', function() {
+    [
+        ['/query', { question: 'How many people?' }, /^How many people\?$/],
+        ['/caption', { length: 'short' }, /one short sentence/],
+        ['/caption', { length: 'normal' }, /two or three sentences/],
+        ['/caption', { length: 'long' }, /in detail/],
+        ['/detect', { object: 'chair' }, /Find every chair.*"objects"/],
+        ['/point', { object: 'chair' }, /Point to every chair.*"points"/]
+    ].forEach(function(row) {
+        assert.match(InferenceBackends.prompt(row[0], row[1]), row[2], row[0] + ' ' + JSON.stringify(row[1]));
+    });
+
+    var request = openai.request('/caption', { image_url: IMAGE, length: 'long', stream: true }, {
+        openaiUrl: 'http://localhost:11434/v1/', openaiModel: 'llava', openaiKey: 'sk-test'
+    });
+    assert.strictEqual(request.url, 'http://localhost:11434/v1/chat/completions');
+    assert.strictEqual(request.headers.Authorization, 'Bearer sk-test');
+    assert.strictEqual(request.body.model, 'llava');
+    assert.strictEqual(request.body.stream, true);
+    assert.strictEqual(request.body.max_tokens, 600);
+    assert.strictEqual(request.body.messages[0].content[1].image_url.url, IMAGE);
+});
+
+test('OpenAI-compatible: replies are read into the Moondream shape for every skill', function() {
+    function reply(content) { return { choices: [{ message: { content: content } }] }; }
+    [
+        ['/query', reply(' Two. '), { answer: 'Two.' }],
+        ['/caption', reply([{ type: 'text', text: 'A quiet ' }, { type: 'text', text: 'office.' }]), { caption: 'A quiet office.' }],
+        ['/detect', reply('{"objects": [{"x_min": 0.1, "y_min": 0.2, "x_max": 0.3, "y_max": 0.4}]}'),
+            { objects: [{ x_min: 0.1, y_min: 0.2, x_max: 0.3, y_max: 0.4 }] }],
+        ['/point', reply('{"points": [{"x": 0.5, "y": 0.25}]}'), { points: [{ x: 0.5, y: 0.25 }] }]
+    ].forEach(function(row) {
+        assert.deepStrictEqual(helpers.plain(openai.parse(row[0], row[1])), row[2], row[0]);
+    });
+    assert.throws(function() { openai.parse('/query', { error: 'model not found' }); }, /Unexpected reply/);
+});
+
+test('OpenAI-compatible: streamed chunks, including [DONE]', function() {
+    [
+        ['{"choices": [{"delta": {"content": "Hel"}}]}', { text: 'Hel', done: false }],
+        ['{"choices": [{"delta": {}, "finish_reason": "stop"}]}', { text: '', done: true }],
+        ['[DONE]', { text: '', done: true }],
+        ['{"choices": []}', null],
+        ['not json', null]
+    ].forEach(function(row) {
+        assert.deepStrictEqual(helpers.plain(openai.parseChunk('/caption', row[0])), row[1], row[0]);
+    });
+});
+
+test('OpenAI-compatible: coordinates are read in every common form', function() {
+    var box = [{ x_min: 0.1, y_min: 0.2, x_max: 0.3, y_max: 0.4 }];
+    [
+        ['JSON as asked', '{"objects": [{"x_min": 0.1, "y_min": 0.2, "x_max": 0.3, "y_max": 0.4}]}', 'objects', box],
+        ['code fence', 'Here you go:\n```json\n{"objects": [{"x_min": 0.1, "y_min": 0.2, "x_max": 0.3, "y_max": 0.4}]}\n```', 'objects', box],
+        ['bare array of boxes', '[[0.1, 0.2, 0.3, 0.4]]', 'objects', box],
+        ['bbox_2d scaled 0-1000', '[{"bbox_2d": [100, 200, 300, 400], "label": "chair"}]', 'objects', box],
+        ['corners in either order', '[{"bbox": [0.3, 0.4, 0.1, 0.2]}]', 'objects', box],
+        ['points scaled 0-1000', '{"points": [[500, 250], {"x": 1200, "y": -5}]}', 'points',
+            [{ x: 0.5, y: 0.25 }, { x: 1, y: 0 }]],
+        ['incomplete entries skipped', '{"points": [{"x": 0.5}, {"x": 0.5, "y": "top"}, {"x": 0.2, "y": 0.8}]}', 'points',
+            [{ x: 0.2, y: 0.8 }]],
+        ['none found', '{"objects": []}', 'objects', []]
+    ].forEach(function(row) {
+        assert.deepStrictEqual(helpers.plain(InferenceBackends.parseCoordinates(row[1], row[2])), row[3], row[0]);
+    });
+    assert.throws(function() { InferenceBackends.parseCoordinates('I see two chairs.', 'objects'); },
+        /did not reply with coordinates/);
+});
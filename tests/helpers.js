@@ -0,0 +1,159 @@
+/**
+ * Test helpers: load js/moondream-demo.js into a jsdom window.
+ *
+ * jsdom has no canvas, camera or video decoder, so those are stubbed:
+ * canvases draw nothing, encode a fixed JPEG and stream blank frames,
+ * getUserMedia hands out a fake 1280x720 stream, and videos report their
+ * stream's size and play at once. Everything else (widgets, scheduler, fixture backend, PTZ
+ * loopback transport) is the real code.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SOURCE = fs.readFileSync(path.join(__dirname, '..', 'js', 'moondream-demo.js'), 'utf8');
+
+function noop() {}
+
+function stubCanvas(window) {
+    var pixels = new Uint8ClampedArray(17 * 16 * 4);
+    window.HTMLCanvasElement.prototype.getContext = function() {
+        return new Proxy({}, {
+            get: function(target, key) {
+                if (key in target) return target[key];
+                if (key === 'getImageData') return function() { return { data: pixels }; };
+                if (key === 'measureText') return function() { return { width: 10 }; };
+                return noop;
+            },
+            set: function(target, key, value) {
+                target[key] = value;
+                return true;
+            }
+        });
+    };
+    window.HTMLCanvasElement.prototype.toDataURL = function() {
+        return 'data:image/jpeg;base64,/9j/AAAA';
+    };
+    // Network cameras are drawn to a canvas and played from its stream
+    window.HTMLCanvasElement.prototype.captureStream = function() {
+        var track = { kind: 'video', stop: noop, getSettings: function() { return {}; } };
+        return {
+            size: [this.width, this.height],
+            getVideoTracks: function() { return [track]; },
+            getTracks: function() { return [track]; }
+        };
+    };
+}
+
+function stubMedia(window, devices) {
+    var media = window.HTMLMediaElement.prototype;
+    media.play = function() { return window.Promise.resolve(); };
+    media.pause = noop;
+    media.load = noop;
+    media.canPlayType = function() { return ''; };
+    Object.defineProperty(media, 'readyState', { get: function() { return 4; } });
+    ['videoWidth', 'videoHeight'].forEach(function(key, i) {
+        Object.defineProperty(window.HTMLVideoElement.prototype, key, {
+            get: function() { return this.srcObject ? this.srcObject.size[i] : 0; }
+        });
+    });
+
+    var streams = [];
+    window.navigator.mediaDevices = {
+        getUserMedia: function(constraints) {
+            var video = constraints.video || {};
+            var id = (video.deviceId && video.deviceId.exact) || devices[0].deviceId;
+            var track = {
+                kind: 'video',
+                label: 'Fake camera ' + id,
+                stopped: false,
+                stop: function() { this.stopped = true; },
+                getSettings: function() { return { deviceId: id, width: 1280, height: 720 }; },
+                getCapabilities: function() { return { width: { max: 1920 }, height: { max: 1080 } }; }
+            };
+            var stream = {
+                size: [1280, 720],
+                getVideoTracks: function() { return [track]; },
+                getTracks: function() { return [track]; }
+            };
+            streams.push(stream);
+            return window.Promise.resolve(stream);
+        },
+        enumerateDevices: function() {
+            return window.Promise.resolve(devices.map(function(device) {
+                return { kind: 'videoinput', deviceId: device.deviceId, label: device.label };
+            }));
+        }
+    };
+    return streams;
+}
+
+/**
+ * Load the app in a fresh window.
+ *
+ * @param {object} [options] - {devices: [{deviceId, label}]} fake webcams
+ * @returns {object} - {window, document, MoonDemo, internals, streams}
+ */
+function load(options) {
+    options = options || {};
+    var dom = new JSDOM('<!doctype html><body></body>', {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        url: 'http://localhost/'
+    });
+    var window = dom.window;
+    stubCanvas(window);
+    var streams = stubMedia(window, options.devices || [{ deviceId: 'cam1', label: 'Front' }]);
+    window.eval(SOURCE);
+    return {
+        window: window,
+        document: window.document,
+        MoonDemo: window.MoonDemo,
+        internals: window.MoonDemo._internals,
+        streams: streams
+    };
+}
+
+/** Mount a widget in a new element of the app's document. */
+function mount(app, widgetId) {
+    var root = app.document.createElement('div');
+    app.document.body.appendChild(root);
+    return app.MoonDemo.mountWidget(widgetId, root);
+}
+
+/** Start the widget's webcam with its own button and wait for the video. */
+function startWebcam(widget) {
+    widget._media.controls.querySelector('.moon-btn-webcam').onclick();
+    return waitFor(function() { return widget.hasLiveSource(); }, 'the webcam to start');
+}
+
+/** Resolve once test() is truthy, polling every 20ms; reject after ms. */
+function waitFor(test, what, ms) {
+    var deadline = Date.now() + (ms || 5000);
+    return new Promise(function(resolve, reject) {
+        (function poll() {
+            var value = test();
+            if (value) resolve(value);
+            else if (Date.now() > deadline) reject(new Error('Timed out waiting for ' + what));
+            else setTimeout(poll, 20);
+        })();
+    });
+}
+
+/**
+ * Copy a value out of the window's realm, so deepStrictEqual does not
+ * trip over the window's Object and Array prototypes.
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    load: load,
+    mount: mount,
+    startWebcam: startWebcam,
+    waitFor: waitFor,
+    plain: plain
+};
@@ -0,0 +1,279 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var app = helpers.load();
+var NetworkSource = app.internals.NetworkSource;
+var CapturePolicy = app.internals.CapturePolicy;
+var MediaSources = app.internals.MediaSources;
+var plain = helpers.plain;
+
+function policy(overrides) {
+    var base = CapturePolicy.create('object-detector');
+    Object.keys(overrides || {}).forEach(function(key) { base[key] = overrides[key]; });
+    return base;
+}
+
+test('parses an HLS master playlist into variants', function() {
+    var master = NetworkSource.parsePlaylist([
+        '#EXTM3U',
+        '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2"',
+        'low/index.m3u8',
+        '#EXT-X-STREAM-INF:BANDWIDTH=3000000,RESOLUTION=1920x1080',
+        'http://cdn.example/high.m3u8'
+    ].join('\n'), 'http://camera.local/live/master.m3u8');
+    assert.deepStrictEqual(plain(master.variants), [
+        { bandwidth: 800000, height: 360, codecs: 'avc1.4d401e,mp4a.40.2', url: 'http://camera.local/live/low/index.m3u8' },
+        { bandwidth: 3000000, height: 1080, codecs: '', url: 'http://cdn.example/high.m3u8' }
+    ]);
+});
+
+test('parses an HLS media playlist into numbered segments', function() {
+    var media = NetworkSource.parsePlaylist([
+        '#EXTM3U',
+        '#EXT-X-TARGETDURATION:4',
+        '#EXT-X-MEDIA-SEQUENCE:120',
+        '#EXT-X-MAP:URI="init.mp4"',
+        '#EXTINF:4.0,',
+        'seg120.m4s',
+        '#EXTINF:4.0,',
+        'seg121.m4s',
+        '#EXT-X-ENDLIST'
+    ].join('\r\n'), 'http://camera.local/live/index.m3u8');
+    assert.strictEqual(media.targetDuration, 4);
+    assert.strictEqual(media.mediaSequence, 120);
+    assert.strictEqual(media.map, 'http://camera.local/live/init.mp4');
+    assert.strictEqual(media.ended, true);
+    assert.deepStrictEqual(plain(media.segments), [
+        { url: 'http://camera.local/live/seg120.m4s', seq: 120 },
+        { url: 'http://camera.local/live/seg121.m4s', seq: 121 }
+    ]);
+});
+
+test('rejects a reply that is not a playlist', function() {
+    assert.throws(function() { NetworkSource.parsePlaylist('<html>', 'http://camera.local/'); }, /Not an HLS playlist/);
+});
+
+test('sends the camera login to the relay in headers, not in the URL', function() {
+    var network = new NetworkSource({
+        type: 'snapshot', intervalMs: 1000, viaRelay: true, relayUrl: 'http://localhost:8765/',
+        username: 'admin', password: 'p&ss word'
+    });
+    assert.strictEqual(network.requestUrl('http://192.168.1.50/snap.jpg'),
+        'http://localhost:8765/media?url=http%3A%2F%2F192.168.1.50%2Fsnap.jpg');
+    assert.deepStrictEqual(plain(network.requestHeaders()), {
+        'X-Camera-Username': 'admin',
+        'X-Camera-Password': 'p%26ss%20word'
+    });
+    network.config.viaRelay = false;
+    assert.deepStrictEqual(plain(network.requestHeaders()), {});
+});
+
+/**
+ * Serve fake camera replies ({url: body}) to the window's fetch() for one
+ * test, with MediaSource and JPEG decoding stubbed. Returns the URLs
+ * fetched, in order.
+ */
+function serveCamera(t, replies) {
+    var window = app.window;
+    var saved = { fetch: window.fetch, MediaSource: window.MediaSource, createImageBitmap: window.createImageBitmap };
+    var fetched = [];
+    window.fetch = function(url) {
+        fetched.push(url);
+        var body = replies[url];
+        if (body === undefined) return Promise.reject(new TypeError('Failed to fetch'));
+        return Promise.resolve({
+            ok: true,
+            status: 200,
+            text: function() { return Promise.resolve(body); },
+            blob: function() { return Promise.resolve(new window.Blob([body], { type: 'image/jpeg' })); }
+        });
+    };
+    window.MediaSource = function() {};
+    window.MediaSource.isTypeSupported = function() { return true; };
+    window.createImageBitmap = function() { return Promise.resolve({ width: 320, height: 240, close: function() {} }); };
+    t.after(function() {
+        Object.keys(saved).forEach(function(key) { window[key] = saved[key]; });
+    });
+    return fetched;
+}
+
+var TS_PLAYLIST = ['#EXTM3U', '#EXT-X-TARGETDURATION:2', '#EXTINF:2.0,', 'seg1.ts', '#EXTINF:2.0,', 'seg2.ts'].join('\n');
+
+test('an MPEG-TS HLS stream reports that only fMP4 plays here', function(t) {
+    serveCamera(t, { 'http://camera.local/live.m3u8': TS_PLAYLIST });
+    var network = new NetworkSource({ type: 'hls', url: 'http://camera.local/live.m3u8', intervalMs: 1000 });
+    network.start();
+    t.after(function() { network.stop(); });
+    return helpers.waitFor(function() { return network.state === 'reconnecting'; }, 'the failure').then(function() {
+        assert.match(network.error, /MPEG-TS segments.*fallback MJPEG or snapshot URL/);
+    });
+});
+
+test('an MPEG-TS HLS stream switches to its fallback snapshot URL', function(t) {
+    var fetched = serveCamera(t, {
+        'http://camera.local/live.m3u8': TS_PLAYLIST,
+        'http://camera.local/snapshot.jpg': 'jpeg'
+    });
+    var network = new NetworkSource({
+        type: 'hls', url: 'http://camera.local/live.m3u8', intervalMs: 1000,
+        fallbackType: 'snapshot', fallbackUrl: 'http://camera.local/snapshot.jpg'
+    });
+    network.start();
+    t.after(function() { network.stop(); });
+    return helpers.waitFor(function() { return network.state === 'live'; }, 'the fallback picture').then(function() {
+        assert.deepStrictEqual(fetched, ['http://camera.local/live.m3u8', 'http://camera.local/snapshot.jpg']);
+        assert.strictEqual(network.canvas.width, 320);
+        assert.match(network.health().fallback, /MPEG-TS/);
+        assert.match(NetworkSource.describe(network.health()), /fallback URL/);
+        // The MPEG-TS segments were never downloaded
+        assert.ok(fetched.every(function(url) { return !/\.ts$/.test(url); }));
+    });
+});
+
+test('finds JPEG frames in an MJPEG byte stream', function() {
+    var bytes = [0x2D, 0x2D, 0xFF, 0xD8, 0x01, 0xFF, 0xD9, 0x0D, 0xFF, 0xD8, 0x02];
+    var start = NetworkSource.findJpegStart(bytes, 0);
+    assert.strictEqual(start, 2);
+    assert.strictEqual(NetworkSource.findJpegEnd(bytes, start), 7);
+    assert.strictEqual(NetworkSource.findJpegStart(bytes, 7), 8);
+    assert.strictEqual(NetworkSource.findJpegEnd(bytes, 8), -1);
+});
+
+test('a region covering the whole frame, or almost nothing, is no region', function() {
+    assert.strictEqual(CapturePolicy.normalizeRoi({ x: 0, y: 0, width: 1, height: 1 }), null);
+    assert.strictEqual(CapturePolicy.normalizeRoi({ x: 0.5, y: 0.5, width: 0.005, height: 0.3 }), null);
+    assert.deepStrictEqual(plain(CapturePolicy.normalizeRoi({ x: -0.2, y: 0.5, width: 0.5, height: 0.9 })),
+        { x: 0, y: 0.5, width: 0.5, height: 0.5 });
+});
+
+test('scales the frame down to maxDimension', function() {
+    var layout = CapturePolicy.layout(1920, 1080, policy({ maxDimension: 640 }));
+    assert.deepStrictEqual(plain(layout), {
+        crop: { x: 0, y: 0, width: 1920, height: 1080 },
+        width: 640, height: 360,
+        content: { x: 0, y: 0, width: 640, height: 360 }
+    });
+    assert.strictEqual(CapturePolicy.layout(320, 240, policy({ maxDimension: 640 })).width, 320);
+});
+
+test('crops to the region and letterboxes to a square', function() {
+    var layout = CapturePolicy.layout(1920, 1080, policy({
+        maxDimension: 0, letterbox: true, roi: { x: 0.5, y: 0, width: 0.5, height: 0.5 }
+    }));
+    assert.deepStrictEqual(plain(layout.crop), { x: 960, y: 0, width: 960, height: 540 });
+    assert.strictEqual(layout.width, 960);
+    assert.strictEqual(layout.height, 960);
+    assert.deepStrictEqual(plain(layout.content), { x: 0, y: 210, width: 960, height: 540 });
+});
+
+test('maps boxes and points from a cropped, letterboxed frame back to the full frame', function() {
+    var video = app.document.createElement('video');
+    video.srcObject = { size: [1000, 500] };
+    var frame = CapturePolicy.capture(video, policy({
+        maxDimension: 0, letterbox: true, roi: { x: 0.5, y: 0, width: 0.5, height: 0.5 }
+    }));
+    assert.strictEqual(frame.width, 500);
+    assert.strictEqual(frame.height, 500);
+
+    // The 500x250 crop sits between bars from y 0.25 to 0.75 of the sent frame
+    var mapped = CapturePolicy.mapResponse({
+        objects: [{ x_min: 0, y_min: 0.25, x_max: 1, y_max: 0.75 }],
+        points: [{ x: 0.5, y: 0.5 }]
+    }, frame);
+    assert.deepStrictEqual(plain(mapped.objects), [{ x_min: 0.5, y_min: 0, x_max: 1, y_max: 0.5 }]);
+    assert.deepStrictEqual(plain(mapped.points), [{ x: 0.75, y: 0.25 }]);
+});
+
+test('leaves replies from a full, unscaled frame untouched', function() {
+    var video = app.document.createElement('video');
+    video.srcObject = { size: [640, 480] };
+    var frame = CapturePolicy.capture(video, policy());
+    var response = { objects: [{ x_min: 0.1, y_min: 0.2, x_max: 0.3, y_max: 0.4 }] };
+    assert.strictEqual(CapturePolicy.mapResponse(response, frame), response);
+    assert.strictEqual(CapturePolicy.describe(frame, policy({ quality: 0.85 })), '640×480 JPEG 85%');
+});
+
+/** Close every open source after a test. */
+function closeSources(t) {
+    t.after(function() {
+        MediaSources.select(null);
+        MediaSources.list().forEach(function(source) { MediaSources.close(source); });
+    });
+}
+
+function track(source) {
+    return source.stream.getVideoTracks()[0];
+}
+
+test('a webcam opened twice at once is opened once and shared', function(t) {
+    closeSources(t);
+    var opened = app.streams.length;
+    return Promise.all([MediaSources.openWebcam('cam1'), MediaSources.openWebcam('cam1')]).then(function(sources) {
+        assert.strictEqual(sources[0], sources[1]);
+        assert.strictEqual(app.streams.length, opened + 1);
+        return MediaSources.openWebcam(null);
+    }).then(function(source) {
+        assert.strictEqual(source.id, 'device:cam1');
+        assert.strictEqual(app.streams.length, opened + 1);
+    });
+});
+
+test('a source stays open until the last video detaches, then stops its tracks', function(t) {
+    closeSources(t);
+    var events = [];
+    t.after(MediaSources.subscribe(function(type, source) { events.push(type + ' ' + source.id); }));
+    return MediaSources.openWebcam('cam1').then(function(source) {
+        var first = app.document.createElement('video');
+        var second = app.document.createElement('video');
+        MediaSources.attach(source, first);
+        MediaSources.attach(source, second);
+
+        MediaSources.detach(source, first);
+        assert.strictEqual(first.srcObject, null);
+        assert.strictEqual(second.srcObject, source.stream);
+        assert.strictEqual(track(source).stopped, false);
+        assert.strictEqual(MediaSources.get('device:cam1'), source);
+
+        MediaSources.detach(source, second);
+        assert.strictEqual(track(source).stopped, true);
+        assert.strictEqual(second.srcObject, null);
+        assert.strictEqual(MediaSources.get('device:cam1'), null);
+        assert.deepStrictEqual(events, ['opened device:cam1', 'closed device:cam1']);
+    });
+});
+
+test('the selected source survives with no video until it is deselected', function(t) {
+    closeSources(t);
+    return MediaSources.openWebcam('cam1').then(function(source) {
+        var video = app.document.createElement('video');
+        MediaSources.attach(source, video);
+        MediaSources.select(source);
+        MediaSources.detach(source, video);
+        assert.strictEqual(track(source).stopped, false);
+        MediaSources.deselect(source);
+        assert.strictEqual(track(source).stopped, true);
+        assert.strictEqual(MediaSources.list().length, 0);
+    });
+});
+
+test('a webcam shared by two demos keeps running when one closes', function(t) {
+    closeSources(t);
+    var first = helpers.mount(app, 'object-detector');
+    var second = helpers.mount(app, 'smart-counter');
+    t.after(function() { second.unmount(); });
+    return helpers.startWebcam(first).then(function() {
+        return helpers.startWebcam(second);
+    }).then(function() {
+        var sources = MediaSources.list();
+        assert.strictEqual(sources.length, 1);
+        assert.strictEqual(sources[0].videos.length, 2);
+
+        first.unmount();
+        assert.strictEqual(MediaSources.list()[0], sources[0]);
+        assert.strictEqual(track(sources[0]).stopped, false);
+        assert.ok(second.hasLiveSource());
+    });
+});
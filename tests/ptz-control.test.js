@@ -0,0 +1,206 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var app = helpers.load();
+var PTZCommand = app.internals.PTZCommand;
+var PTZControlLaw = app.internals.PTZControlLaw;
+var PTZSoftLimits = app.internals.PTZSoftLimits;
+var PTZLostTargetPolicy = app.internals.PTZLostTargetPolicy;
+var plain = helpers.plain;
+
+function settings(overrides) {
+    var base = {
+        controlMode: 'proportional',
+        deadzoneX: 10, deadzoneY: 10,
+        panSpeed: 12, tiltSpeed: 10,
+        gain: 1, speedCurve: 'linear', minSpeed: 1, hysteresis: 0,
+        pidPanKp: 0.3, pidPanKi: 0, pidPanKd: 0,
+        pidTiltKp: 0.3, pidTiltKi: 0, pidTiltKd: 0,
+        settleFrames: 2, detectionRate: 2
+    };
+    Object.keys(overrides || {}).forEach(function(key) { base[key] = overrides[key]; });
+    return base;
+}
+
+function limits(overrides) {
+    var base = PTZSoftLimits.createLimits();
+    base.enabled = true;
+    Object.keys(overrides).forEach(function(key) { base[key] = overrides[key]; });
+    return base;
+}
+
+test('stops inside the deadzone', function() {
+    var command = PTZControlLaw.compute(2, -3, settings(), PTZControlLaw.createState(), 0.5);
+    assert.deepStrictEqual(plain(command), { type: 'stop', reason: 'centered' });
+});
+
+test('drives toward the target, faster the further off center', function() {
+    var near = PTZControlLaw.compute(30, 0, settings(), PTZControlLaw.createState(), 0.5);
+    assert.deepStrictEqual(plain(near), { type: 'drive', pan: 'right', tilt: 'stop', panSpeed: 7, tiltSpeed: 1 });
+    var far = PTZControlLaw.compute(-50, 20, settings(), PTZControlLaw.createState(), 0.5);
+    assert.strictEqual(far.pan, 'left');
+    assert.strictEqual(far.panSpeed, 12);
+    assert.strictEqual(far.tilt, 'down');
+});
+
+test('the smooth curve is gentler than linear near center', function() {
+    var linear = PTZControlLaw.compute(15, 0, settings(), PTZControlLaw.createState(), 0.5);
+    var smooth = PTZControlLaw.compute(15, 0, settings({ speedCurve: 'smooth' }), PTZControlLaw.createState(), 0.5);
+    assert.ok(smooth.panSpeed < linear.panSpeed, smooth.panSpeed + ' < ' + linear.panSpeed);
+});
+
+test('hysteresis keeps an axis at rest until the target is well outside the deadzone', function() {
+    var s = settings({ hysteresis: 3 });
+    var state = PTZControlLaw.createState();
+    assert.strictEqual(PTZControlLaw.compute(7, 0, s, state, 0.5).type, 'stop');
+    assert.strictEqual(PTZControlLaw.compute(9, 0, s, state, 0.5).pan, 'right');
+    // Once moving, it keeps going until back inside deadzone / 2
+    assert.strictEqual(PTZControlLaw.compute(6, 0, s, state, 0.5).pan, 'right');
+    assert.strictEqual(PTZControlLaw.compute(4, 0, s, state, 0.5).type, 'stop');
+});
+
+test('PID mode settles after settleFrames centered detections', function() {
+    var s = settings({ controlMode: 'pid' });
+    var state = PTZControlLaw.createState();
+    assert.strictEqual(PTZControlLaw.compute(40, 0, s, state, 0.5).pan, 'right');
+    assert.strictEqual(PTZControlLaw.compute(0, 0, s, state, 0.5).reason, 'centered');
+    assert.strictEqual(PTZControlLaw.compute(0, 0, s, state, 0.5).reason, 'settled');
+});
+
+test('soft limits leave commands alone when disabled', function() {
+    var command = PTZCommand.drive('right', 'stop', 5, 1);
+    var result = PTZSoftLimits.constrain(command, PTZSoftLimits.createLimits(), null);
+    assert.strictEqual(result.command, command);
+    assert.strictEqual(result.blocked.length, 0);
+});
+
+test('soft limits stop a drive toward a bound, but not away from it', function() {
+    var l = limits({ panMax: 1000 });
+    var toward = PTZSoftLimits.constrain(PTZCommand.drive('right', 'stop', 5, 1), l, { pan: 950, tilt: 0 });
+    assert.deepStrictEqual(plain(toward), { command: { type: 'stop', reason: 'limit' }, blocked: ['pan max'] });
+    var away = PTZSoftLimits.constrain(PTZCommand.drive('left', 'stop', 5, 1), l, { pan: 1200, tilt: 0 });
+    assert.strictEqual(away.command.pan, 'left');
+    assert.strictEqual(away.blocked.length, 0);
+});
+
+test('soft limits keep the axis that is still free', function() {
+    var l = limits({ tiltMax: 300 });
+    var result = PTZSoftLimits.constrain(PTZCommand.drive('right', 'up', 5, 4), l, { pan: 0, tilt: 250 });
+    assert.deepStrictEqual(plain(result.command), { type: 'drive', pan: 'right', tilt: 'stop', panSpeed: 5, tiltSpeed: 4 });
+    assert.deepStrictEqual(plain(result.blocked), ['tilt max']);
+});
+
+test('soft limits stop when the position is unknown', function() {
+    var result = PTZSoftLimits.constrain(PTZCommand.drive('left', 'stop', 5, 1), limits({ panMin: -1000 }), null);
+    assert.deepStrictEqual(plain(result), { command: { type: 'stop', reason: 'limit' }, blocked: ['position unknown'] });
+});
+
+test('soft limits steer around a no-go region', function() {
+    var l = limits({ regions: [PTZSoftLimits.createRegion('Audience', 600, 100, 200, -100)] });
+    var into = PTZSoftLimits.constrain(PTZCommand.drive('right', 'stop', 5, 1), l, { pan: 150, tilt: 0 });
+    assert.deepStrictEqual(plain(into), { command: { type: 'stop', reason: 'limit' }, blocked: ['region "Audience"'] });
+    // Diagonally in: tilting alone stays clear, so only the pan is dropped
+    var diagonal = PTZSoftLimits.constrain(PTZCommand.drive('right', 'up', 5, 4), l, { pan: 150, tilt: -150 });
+    assert.strictEqual(diagonal.command.pan, 'stop');
+    assert.strictEqual(diagonal.command.tilt, 'up');
+});
+
+test('soft limits stop zooming past the zoom bounds', function() {
+    var l = limits({ zoomMax: 1000 });
+    var result = PTZSoftLimits.constrain(PTZCommand.zoom('in', 3), l, { pan: 0, tilt: 0, zoom: 1200 });
+    assert.strictEqual(result.command.direction, 'stop');
+    assert.deepStrictEqual(plain(result.blocked), ['zoom max']);
+    var unknown = PTZSoftLimits.constrain(PTZCommand.zoom('out', 3), l, null);
+    assert.deepStrictEqual(plain(unknown.blocked), ['zoom position unknown']);
+});
+
+test('a no-go region needs two distinct corners', function() {
+    assert.throws(function() { PTZSoftLimits.createRegion('Bad', 100, 0, 100, 50); }, /must differ/);
+    assert.throws(function() { PTZSoftLimits.createRegion('Bad', 100, 0, NaN, 50); }, /needs both corners/);
+});
+
+function lostSettings(overrides) {
+    var base = {
+        lostAction: 'hold', lostHoldSeconds: 2, homePreset: 3, homePresetName: 'Stage',
+        zoomOutSteps: 2, zoomOutInterval: 1, zoomOutSpeed: 4, zoomOutStepMs: 600,
+        sweepSpeed: 6, sweepLegSeconds: 8, sweepLeft: null, sweepRight: null
+    };
+    Object.keys(overrides || {}).forEach(function(key) { base[key] = overrides[key]; });
+    return base;
+}
+
+/** The commands of one update, as {type, ...} objects with their delay. */
+function commandsOf(result) {
+    return plain(result.commands.map(function(entry) {
+        var command = entry.command;
+        if (entry.delay) command.delay = entry.delay;
+        return command;
+    }));
+}
+
+test('lost target: holds, then recalls the home preset, then resumes when found', function() {
+    var config = lostSettings({ lostAction: 'home' });
+    var state = PTZLostTargetPolicy.createState();
+    assert.match(PTZLostTargetPolicy.update(true, config, state, 1000, null).log, /holding position for 2s/);
+    assert.strictEqual(PTZLostTargetPolicy.isRecovering(state), false);
+    assert.deepStrictEqual(commandsOf(PTZLostTargetPolicy.update(true, config, state, 2999, null)), []);
+
+    var expired = PTZLostTargetPolicy.update(true, config, state, 3000, null);
+    assert.deepStrictEqual(commandsOf(expired), [{ type: 'preset', action: 'recall', preset: 3 }]);
+    assert.match(expired.log, /home preset "Stage" \(3\)/);
+    assert.strictEqual(PTZLostTargetPolicy.isRecovering(state), true);
+    // The recall is sent once, not every tick
+    assert.deepStrictEqual(commandsOf(PTZLostTargetPolicy.update(true, config, state, 4000, null)), []);
+
+    var found = PTZLostTargetPolicy.update(false, config, state, 4500, null);
+    assert.strictEqual(found.log, 'Target reacquired after 3.5s');
+    assert.strictEqual(state.phase, 'tracking');
+});
+
+test('lost target: zooms out in timed steps, and stops zooming when found', function() {
+    var config = lostSettings({ lostAction: 'zoomout', lostHoldSeconds: 0 });
+    var state = PTZLostTargetPolicy.createState();
+    PTZLostTargetPolicy.update(true, config, state, 0, null);
+    var step = [{ type: 'zoom', direction: 'out', speed: 4 }, { type: 'zoom', direction: 'stop', speed: 0, delay: 600 }];
+    assert.deepStrictEqual(commandsOf(PTZLostTargetPolicy.update(true, config, state, 0, null)), step);
+    assert.deepStrictEqual(commandsOf(PTZLostTargetPolicy.update(true, config, state, 500, null)), []);
+    assert.deepStrictEqual(commandsOf(PTZLostTargetPolicy.update(true, config, state, 1000, null)), step);
+    assert.strictEqual(PTZLostTargetPolicy.update(true, config, state, 2000, null).log, 'Zoom out complete - holding wide');
+    assert.strictEqual(state.phase, 'zoomed-out');
+
+    var midZoom = PTZLostTargetPolicy.createState();
+    PTZLostTargetPolicy.update(true, config, midZoom, 0, null);
+    PTZLostTargetPolicy.update(true, config, midZoom, 0, null);
+    assert.deepStrictEqual(commandsOf(PTZLostTargetPolicy.update(false, config, midZoom, 300, null)),
+        [{ type: 'zoom', direction: 'stop', speed: 0 }]);
+});
+
+test('lost target: sweeps between the pan limits, reversing at each', function() {
+    var config = lostSettings({ lostAction: 'sweep', lostHoldSeconds: 0, sweepLeft: -100, sweepRight: 100 });
+    var state = PTZLostTargetPolicy.createState();
+    PTZLostTargetPolicy.update(true, config, state, 0, { pan: 0, tilt: 0 });
+    var start = PTZLostTargetPolicy.update(true, config, state, 0, { pan: 0, tilt: 0 });
+    assert.match(start.log, /between pan limits/);
+    assert.strictEqual(commandsOf(start)[0].pan, 'right');
+    assert.deepStrictEqual(commandsOf(PTZLostTargetPolicy.update(true, config, state, 500, { pan: 50, tilt: 0 })), []);
+    assert.strictEqual(commandsOf(PTZLostTargetPolicy.update(true, config, state, 1000, { pan: 100, tilt: 0 }))[0].pan, 'left');
+    // An inquiry that fails mid-sweep keeps the direction
+    assert.deepStrictEqual(commandsOf(PTZLostTargetPolicy.update(true, config, state, 1500, null)), []);
+    assert.strictEqual(commandsOf(PTZLostTargetPolicy.update(true, config, state, 2000, { pan: -120, tilt: 0 }))[0].pan, 'right');
+});
+
+test('lost target: without limits the sweep runs on a timer, half a leg first', function() {
+    var config = lostSettings({ lostAction: 'sweep', lostHoldSeconds: 0, sweepLegSeconds: 8 });
+    var state = PTZLostTargetPolicy.createState();
+    PTZLostTargetPolicy.update(true, config, state, 0, null);
+    var start = PTZLostTargetPolicy.update(true, config, state, 0, null);
+    assert.match(start.log, /8s timer/);
+    assert.strictEqual(commandsOf(start)[0].pan, 'right');
+    assert.deepStrictEqual(commandsOf(PTZLostTargetPolicy.update(true, config, state, 3999, null)), []);
+    assert.strictEqual(commandsOf(PTZLostTargetPolicy.update(true, config, state, 4000, null))[0].pan, 'left');
+    assert.deepStrictEqual(commandsOf(PTZLostTargetPolicy.update(true, config, state, 11999, null)), []);
+    assert.strictEqual(commandsOf(PTZLostTargetPolicy.update(true, config, state, 12000, null))[0].pan, 'right');
+});
@@ -0,0 +1,223 @@
+/**
+ * tools/ptz-relay.js against the stand-in camera (tools/ptz-camera-stub.js),
+ * both on free local ports.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var http = require('http');
+var relay = require('../tools/ptz-relay');
+var cameraStub = require('../tools/ptz-camera-stub');
+
+function listen(server) {
+    return new Promise(function(resolve) {
+        server.listen(0, '127.0.0.1', function() { resolve(server.address().port); });
+    });
+}
+
+function close(server) {
+    return new Promise(function(resolve) { server.close(resolve); });
+}
+
+/** One request to the relay; resolves with {status, headers, body}. */
+function request(port, method, path, headers, body) {
+    return new Promise(function(resolve, reject) {
+        var req = http.request({ host: '127.0.0.1', port: port, method: method, path: path, headers: headers || {} }, function(res) {
+            var chunks = [];
+            res.on('data', function(chunk) { chunks.push(chunk); });
+            res.on('end', function() {
+                var text = Buffer.concat(chunks).toString('utf8');
+                resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null });
+            });
+        });
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+}
+
+function postCgi(port, cameraPort, credentials, origin) {
+    var headers = { 'Content-Type': 'application/json' };
+    if (origin) headers.Origin = origin;
+    return request(port, 'POST', '/cgi', headers, {
+        host: '127.0.0.1',
+        port: cameraPort,
+        query: 'ptzcmd&left&10&10',
+        username: credentials.username,
+        password: credentials.password
+    });
+}
+
+/** Start a Digest camera and a relay; stopped after the test. */
+function setUp(t, relayOptions) {
+    var camera = cameraStub.createServer({ auth: 'digest', user: 'admin', pass: 'secret' });
+    var server = relay.createServer(relayOptions);
+    t.after(function() { return Promise.all([close(camera), close(server)]); });
+    return Promise.all([listen(camera), listen(server)]).then(function(ports) {
+        return { camera: camera, cameraPort: ports[0], relayPort: ports[1] };
+    });
+}
+
+test('answers a Digest challenge, then reuses it for the next command', function(t) {
+    return setUp(t).then(function(env) {
+        var credentials = { username: 'admin', password: 'secret' };
+        return postCgi(env.relayPort, env.cameraPort, credentials).then(function(first) {
+            assert.strictEqual(first.status, 200);
+            assert.strictEqual(first.body.ok, true);
+            assert.strictEqual(first.body.status, 200);
+            assert.strictEqual(first.body.auth, 'digest');
+            assert.deepStrictEqual(env.camera.commands.map(function(c) { return c.authorized; }), [false, true]);
+            return postCgi(env.relayPort, env.cameraPort, credentials);
+        }).then(function(second) {
+            assert.strictEqual(second.body.ok, true);
+            // No second 401: the cached challenge is answered with the next nonce count
+            assert.deepStrictEqual(env.camera.commands.map(function(c) { return c.authorized; }), [false, true, true]);
+            assert.strictEqual(env.camera.commands[2].command, 'left');
+            assert.deepStrictEqual(env.camera.commands[2].args, ['10', '10']);
+        });
+    });
+});
+
+test('reports a wrong password as the camera\'s 401', function(t) {
+    return setUp(t).then(function(env) {
+        return postCgi(env.relayPort, env.cameraPort, { username: 'admin', password: 'wrong' }).then(function(res) {
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.body.ok, false);
+            assert.strictEqual(res.body.status, 401);
+            assert.strictEqual(res.body.auth, 'digest');
+        });
+    });
+});
+
+test('serves pages from this machine and names them in CORS headers', function(t) {
+    return setUp(t).then(function(env) {
+        var credentials = { username: 'admin', password: 'secret' };
+        return postCgi(env.relayPort, env.cameraPort, credentials, 'http://localhost:8000').then(function(res) {
+            assert.strictEqual(res.body.ok, true);
+            assert.strictEqual(res.headers['access-control-allow-origin'], 'http://localhost:8000');
+            assert.strictEqual(res.headers.vary, 'Origin');
+        });
+    });
+});
+
+test('refuses other pages before contacting the camera', function(t) {
+    return setUp(t).then(function(env) {
+        var credentials = { username: 'admin', password: 'secret' };
+        return postCgi(env.relayPort, env.cameraPort, credentials, 'https://attacker.example').then(function(res) {
+            assert.strictEqual(res.status, 403);
+            assert.match(res.body.error, /--allow-origin https:\/\/attacker\.example/);
+            assert.strictEqual(env.camera.commands.length, 0);
+            return request(env.relayPort, 'POST', '/visca', { 'Content-Type': 'application/json', Origin: 'https://attacker.example' },
+                { host: '127.0.0.1', port: env.cameraPort, protocol: 'tcp', packet: '8101060105050303FF' });
+        }).then(function(res) {
+            assert.strictEqual(res.status, 403);
+            // A tag on another site sends no Origin, but does send Sec-Fetch-Site
+            return request(env.relayPort, 'GET', '/health', { 'Sec-Fetch-Site': 'cross-site' });
+        }).then(function(res) {
+            assert.strictEqual(res.status, 403);
+        });
+    });
+});
+
+test('refuses a page on a name rebound to this machine', function(t) {
+    return setUp(t).then(function(env) {
+        var url = 'http://127.0.0.1:' + env.cameraPort + '/snapshot.jpg';
+        var path = '/media?url=' + encodeURIComponent(url);
+        return Promise.all([
+            // The page's own name, and the same-origin fetch it makes without an Origin
+            request(env.relayPort, 'GET', path, { Host: 'rebind.example:' + env.relayPort }),
+            request(env.relayPort, 'GET', path, { 'Sec-Fetch-Site': 'same-origin' }),
+            request(env.relayPort, 'GET', '/health', { Host: 'localhost:1' })
+        ]).then(function(replies) {
+            replies.forEach(function(res) { assert.strictEqual(res.status, 403); });
+            assert.match(replies[0].body.error, /not rebind\.example/);
+            assert.strictEqual(env.camera.commands.length, 0);
+            return request(env.relayPort, 'GET', '/health', { Host: 'localhost:' + env.relayPort });
+        }).then(function(res) {
+            assert.strictEqual(res.status, 200);
+        });
+    });
+});
+
+test('trusts the hosted playground and origins given with --allow-origin', function(t) {
+    return setUp(t, { origins: ['https://studio.example'] }).then(function(env) {
+        return Promise.all([
+            request(env.relayPort, 'GET', '/health', { Origin: 'https://matthewidavis.github.io' }),
+            request(env.relayPort, 'GET', '/health', { Origin: 'https://studio.example' })
+        ]).then(function(replies) {
+            replies.forEach(function(res) { assert.strictEqual(res.status, 200); });
+            assert.deepStrictEqual(relay.parseArgs(['--allow-origin', 'https://studio.example/', '--port', '9000']).origins,
+                ['https://studio.example']);
+        });
+    });
+});
+
+test('allows Chrome\'s private network preflight', function(t) {
+    return setUp(t).then(function(env) {
+        return request(env.relayPort, 'OPTIONS', '/cgi', {
+            Origin: 'https://matthewidavis.github.io',
+            'Access-Control-Request-Method': 'POST',
+            'Access-Control-Request-Private-Network': 'true'
+        }).then(function(res) {
+            assert.strictEqual(res.status, 204);
+            assert.strictEqual(res.headers['access-control-allow-private-network'], 'true');
+            assert.strictEqual(res.headers['access-control-allow-origin'], 'https://matthewidavis.github.io');
+        });
+    });
+});
+
+/** GET through /media; resolves with {status, body, complete} once the reply ends or is cut off. */
+function getMedia(port, cameraUrl, headers) {
+    return new Promise(function(resolve, reject) {
+        var path = '/media?url=' + encodeURIComponent(cameraUrl);
+        var req = http.get({ host: '127.0.0.1', port: port, path: path, headers: headers || {} }, function(res) {
+            var chunks = [];
+            res.on('data', function(chunk) { chunks.push(chunk); });
+            res.on('error', function() {});
+            res.on('close', function() {
+                resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8'), complete: res.complete });
+            });
+        });
+        req.on('error', reject);
+    });
+}
+
+test('media: logs in with credentials from headers, never from the query', function(t) {
+    return setUp(t).then(function(env) {
+        var url = 'http://127.0.0.1:' + env.cameraPort + '/cgi-bin/ptzctrl.cgi?ptzcmd&home';
+        return getMedia(env.relayPort, url, { 'X-Camera-Username': 'admin', 'X-Camera-Password': encodeURIComponent('secret') }).then(function(res) {
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.body, 'OK');
+            return getMedia(env.relayPort, url + '&username=admin&password=secret');
+        }).then(function(res) {
+            assert.strictEqual(res.status, 401);
+        });
+    });
+});
+
+test('media: only fetches from the local network unless the camera is allowed', function(t) {
+    return setUp(t).then(function(env) {
+        return getMedia(env.relayPort, 'http://93.184.216.34/snapshot.jpg').then(function(res) {
+            assert.strictEqual(res.status, 403);
+            assert.match(JSON.parse(res.body).error, /--allow-camera 93\.184\.216\.34/);
+            assert.deepStrictEqual(relay.parseArgs(['--allow-camera', 'Cam.Example.com']).cameras, ['cam.example.com']);
+        });
+    });
+});
+
+test('media: cuts the page off when the camera drops mid-stream', { timeout: 5000 }, function(t) {
+    var camera = http.createServer(function(req, res) {
+        res.writeHead(200, { 'Content-Type': 'multipart/x-mixed-replace; boundary=frame' });
+        res.write('--frame\r\n');
+        setTimeout(function() { req.socket.destroy(); }, 50);
+    });
+    var server = relay.createServer();
+    t.after(function() { return Promise.all([close(camera), close(server)]); });
+    return Promise.all([listen(camera), listen(server)]).then(function(ports) {
+        return getMedia(ports[1], 'http://127.0.0.1:' + ports[0] + '/stream');
+    }).then(function(res) {
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body, '--frame\r\n');
+        assert.strictEqual(res.complete, false);
+    });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var app = helpers.load();
+var MoonDemo = app.MoonDemo;
+var ApiError = app.internals.ApiError;
+var ApiCircuitBreaker = app.internals.ApiCircuitBreaker;
+var UsageMeter = app.internals.UsageMeter;
+
+test('every self-check passes, and the breaker and usage are left as they were', function() {
+    var err = new ApiError('server_error', 'HTTP 500');
+    ApiCircuitBreaker.recordFailure(err);
+    ApiCircuitBreaker.recordFailure(err);
+    var records = UsageMeter._records.length;
+
+    return MoonDemo.selfCheck().then(function(results) {
+        var failed = results.filter(function(result) { return !result.ok; }).map(function(result) {
+            return result.widget + ' - ' + result.name + ': ' + result.detail;
+        });
+        assert.deepStrictEqual(helpers.plain(failed), []);
+        assert.ok(results.some(function(result) { return result.widget === 'PTZ Auto-Tracker'; }));
+        assert.strictEqual(ApiCircuitBreaker.failures, 2);
+        assert.strictEqual(ApiCircuitBreaker.lastError, err);
+        assert.strictEqual(UsageMeter._records.length, records);
+    });
+});
+
+test('the self-check refuses to run while a webcam is open', function(t) {
+    var widget = helpers.mount(app, 'object-detector');
+    t.after(function() {
+        widget.unmount();
+        MoonDemo.getSources().forEach(function(source) { MoonDemo.closeSource(source.id); });
+    });
+    return helpers.startWebcam(widget).then(function() {
+        return assert.rejects(MoonDemo.selfCheck(), /Stop the webcam/);
+    });
+});
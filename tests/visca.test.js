@@ -0,0 +1,85 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var app = helpers.load();
+var VISCA = app.internals.VISCA;
+var PTZCommand = app.internals.PTZCommand;
+var ViscaLoopbackTransport = app.internals.ViscaLoopbackTransport;
+var plain = helpers.plain;
+
+test('encodes a drive with its direction and speed bytes', function() {
+    var packet = VISCA.encode(PTZCommand.drive('right', 'up', 10, 5));
+    assert.strictEqual(VISCA.toHex(packet), '810106010A050201FF');
+});
+
+test('clamps drive speeds to the VISCA ranges', function() {
+    var command = PTZCommand.drive('left', 'down', 99, 99);
+    assert.strictEqual(command.panSpeed, VISCA.PAN_SPEED_MAX);
+    assert.strictEqual(command.tiltSpeed, VISCA.TILT_SPEED_MAX);
+});
+
+test('decodes what it encodes', function() {
+    [
+        PTZCommand.drive('left', 'stop', 3, 1),
+        PTZCommand.stop(),
+        PTZCommand.zoom('in', 4),
+        PTZCommand.zoom('stop'),
+        PTZCommand.focus('far', 2),
+        PTZCommand.focus('auto'),
+        PTZCommand.presetRecall(0),
+        PTZCommand.presetSet(254),
+        PTZCommand.inquire('position'),
+        PTZCommand.inquire('zoom')
+    ].forEach(function(command) {
+        var decoded = VISCA.decode(VISCA.encode(command, 3));
+        assert.ok(ViscaLoopbackTransport.matches(command, decoded),
+            JSON.stringify(command) + ' decoded as ' + JSON.stringify(decoded));
+    });
+});
+
+test('rejects presets VISCA cannot carry', function() {
+    [255, 256, -1, 1.5, '3', undefined].forEach(function(preset) {
+        var command = { type: 'preset', action: 'recall', preset: preset };
+        assert.throws(function() { VISCA.encode(command); }, /out of range \(0-254\)/);
+        assert.strictEqual(ViscaLoopbackTransport.matches(command, { type: 'preset', action: 'recall', preset: preset & 0xFF }), false);
+    });
+});
+
+test('the loopback transport refuses an out-of-range preset', function() {
+    var transport = new ViscaLoopbackTransport();
+    return transport.send(PTZCommand.presetRecall(300)).then(function() {
+        assert.fail('The send succeeded');
+    }, function(err) {
+        assert.match(err.message, /Preset 300 is out of range/);
+        assert.strictEqual(transport.mismatches, 1);
+        assert.strictEqual(transport.sent[0].matched, false);
+        assert.strictEqual(transport.sent[0].packet, null);
+    });
+});
+
+test('ignores packets that are not VISCA commands', function() {
+    assert.strictEqual(VISCA.decode([0x81, 0x01, 0x06]), null);
+    assert.strictEqual(VISCA.decode([0x90, 0x41, 0xFF, 0x00, 0xFF]), null);
+    assert.strictEqual(VISCA.decode(VISCA.fromHex('8101 0601 0505 0909 FF')), null);
+});
+
+test('wraps and unwraps the VISCA-over-IP header', function() {
+    var payload = VISCA.encode(PTZCommand.stop());
+    var datagram = VISCA.wrapIP(payload, 0x01020304);
+    assert.strictEqual(VISCA.toHex(datagram.slice(0, 8)), '0100000901020304');
+    assert.deepStrictEqual(plain(VISCA.unwrapIP(datagram)),
+        { payloadType: VISCA.PAYLOAD.COMMAND, sequence: 0x01020304, payload: plain(payload) });
+});
+
+test('classifies camera replies', function() {
+    assert.strictEqual(VISCA.parseReply(VISCA.fromHex('9041FF')).kind, 'ack');
+    assert.deepStrictEqual(plain(VISCA.parseReply(VISCA.fromHex('906241FF'))),
+        { kind: 'error', code: 0x41, message: 'command not executable' });
+    var position = [0x90, 0x50].concat(VISCA.toNibbles(-100), VISCA.toNibbles(250), [0xFF]);
+    assert.deepStrictEqual(plain(VISCA.parseReply(position)), { kind: 'completion', pan: -100, tilt: 250 });
+    var zoom = [0x90, 0x50].concat(VISCA.toNibbles(0x1234), [0xFF]);
+    assert.deepStrictEqual(plain(VISCA.parseReply(zoom)), { kind: 'completion', zoom: 0x1234 });
+});
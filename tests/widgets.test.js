@@ -0,0 +1,230 @@
+/**
+ * Each widget's live loop, end to end: a fake webcam, the real capture,
+ * scheduler and widget code, and the fixture backend answering.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var app = helpers.load();
+var MoonDemo = app.MoonDemo;
+var Fixtures = app.internals.Fixtures;
+var ResponseCache = app.internals.ResponseCache;
+var waitFor = helpers.waitFor;
+
+MoonDemo.setBackend({ backend: 'fixture', fixtureLatencyMs: 0 });
+
+/**
+ * Mount a widget on a running webcam; unmount and close the webcam after
+ * the test. The fake webcam's frames are all alike, so replies cached by
+ * earlier tests are forgotten too.
+ */
+function live(t, widgetId) {
+    var widget = helpers.mount(app, widgetId);
+    t.after(function() {
+        widget.unmount();
+        MoonDemo.getSources().forEach(function(source) { MoonDemo.closeSource(source.id); });
+        Fixtures.rules = [];
+        ResponseCache.clear();
+    });
+    return helpers.startWebcam(widget).then(function() { return widget; });
+}
+
+function text(el) {
+    return el ? el.textContent.trim() : '';
+}
+
+test('object detector: continuous mode finds the person', function(t) {
+    return live(t, 'object-detector').then(function(widget) {
+        widget._input.value = 'person';
+        widget.rootEl.querySelector('.moon-btn-continuous').onclick();
+        return waitFor(function() {
+            return text(widget._results.querySelector('.moon-count')) === '1 found';
+        }, 'a detection').then(function() {
+            widget.stopContinuous();
+        });
+    });
+});
+
+test('smart counter: continuous mode counts one point', function(t) {
+    return live(t, 'smart-counter').then(function(widget) {
+        widget._input.value = 'person';
+        widget.rootEl.querySelector('.moon-btn-continuous').onclick();
+        return waitFor(function() {
+            return text(widget._countDisplay.querySelector('.moon-count-number')) === '1';
+        }, 'a count').then(function() {
+            widget.stopContinuous();
+        });
+    });
+});
+
+test('scene analyzer: streams a caption of the webcam frame', function(t) {
+    return live(t, 'scene-analyzer').then(function(widget) {
+        var caption = Fixtures.lookup('/caption', {}).caption;
+        widget.captionScene();
+        return waitFor(function() {
+            return text(widget._captionResult.querySelector('.moon-caption-text')) === caption;
+        }, 'the caption');
+    });
+});
+
+test('person tracker: live tracking finds one face', function(t) {
+    return live(t, 'person-tracker').then(function(widget) {
+        widget._modeSelect.value = 'face';
+        widget.rootEl.querySelector('.moon-btn-continuous').onclick();
+        return waitFor(function() {
+            return text(widget._countDisplay.querySelector('.moon-count-number')) === '1';
+        }, 'a face').then(function() {
+            widget.stopContinuous();
+        });
+    });
+});
+
+test('zone monitor: monitoring alerts for a person in a zone', function(t) {
+    return live(t, 'zone-monitor').then(function(widget) {
+        widget._zones.push({
+            points: [{ x: 0.25, y: 0.25 }, { x: 0.75, y: 0.25 }, { x: 0.75, y: 0.75 }, { x: 0.25, y: 0.75 }],
+            color: '#ff0000',
+            name: 'Zone 1'
+        });
+        widget._detectInput.value = 'person';
+        widget.rootEl.querySelector('.moon-btn-monitor').onclick();
+        return waitFor(function() {
+            return widget._alertsEl.querySelector('.moon-alert-danger');
+        }, 'a zone alert').then(function() {
+            widget.stopContinuous();
+        });
+    });
+});
+
+test('production monitor: monitoring sees a well-framed face', function(t) {
+    return live(t, 'production-monitor').then(function(widget) {
+        widget.startMonitoring();
+        t.after(function() { widget.stopMonitoring(); });
+        return waitFor(function() {
+            return widget._monitors.sceneContext.status === 'UPDATED';
+        }, 'the scene context').then(function() {
+            assert.strictEqual(widget._monitors.presence.status, 'PRESENT');
+            assert.strictEqual(widget._monitors.composition.status, 'GOOD');
+        });
+    });
+});
+
+/** Commands the simulated camera received, as PTZCommand objects. */
+function sent(widget) {
+    return widget._simTransport ? widget._simTransport.sent.filter(function(entry) {
+        return entry.matched;
+    }).map(function(entry) { return entry.command; }) : [];
+}
+
+function startTracking(widget) {
+    widget._simCheckbox.checked = true;
+    widget._targetInput.value = 'person';
+    widget.startTracking();
+    assert.ok(widget._isTracking, 'Tracking did not start');
+}
+
+test('PTZ tracker: pans toward a person right of center', function(t) {
+    return live(t, 'ptz-tracker').then(function(widget) {
+        t.after(function() { widget.stopTracking(); });
+        Fixtures.rules = [{ endpoint: 'detect', match: 'person',
+            reply: { objects: [{ x_min: 0.7, y_min: 0.3, x_max: 0.9, y_max: 0.7 }] } }];
+        startTracking(widget);
+        return waitFor(function() {
+            return sent(widget).some(function(command) { return command.type === 'drive' && command.pan === 'right'; });
+        }, 'a pan right');
+    });
+});
+
+test('PTZ tracker: every tracking step gets a fresh detection, never a reused one', function(t) {
+    var CapturePolicy = app.internals.CapturePolicy;
+    // A policy saved while reuse was still offered to the tracker
+    var stored = CapturePolicy.create('ptz-tracker');
+    stored.reuse = true;
+    CapturePolicy.save('ptz-tracker', stored);
+    t.after(function() { app.window.localStorage.removeItem('moondream_capture_policies'); });
+
+    return live(t, 'ptz-tracker').then(function(widget) {
+        t.after(function() { widget.stopTracking(); });
+        var hits = ResponseCache.stats.hits;
+        Fixtures.rules = [{ endpoint: 'detect', match: 'person',
+            reply: { objects: [{ x_min: 0.4, y_min: 0.3, x_max: 0.6, y_max: 0.7 }] } }];
+        startTracking(widget);
+        // The fake webcam's frames are identical, so a reusing loop would stop at one request
+        return waitFor(function() { return widget._requestMetrics.length >= 3; }, 'three detections').then(function() {
+            assert.strictEqual(widget._callsSaved, 0);
+            assert.strictEqual(ResponseCache.stats.hits, hits);
+            assert.strictEqual(CapturePolicy.load('ptz-tracker').reuse, false);
+        });
+    });
+});
+
+test('PTZ tracker: stops, then recalls the home preset when the person is lost', function(t) {
+    return live(t, 'ptz-tracker').then(function(widget) {
+        t.after(function() { widget.stopTracking(); });
+        Fixtures.rules = [{ endpoint: 'detect', match: 'person', reply: { objects: [] } }];
+        startTracking(widget);
+        // After start, which reads the connection settings from the form
+        widget._ptzSettings.lostAction = 'home';
+        widget._ptzSettings.lostHoldSeconds = 0;
+        widget._ptzSettings.homePreset = 1;
+        return waitFor(function() {
+            return sent(widget).some(function(command) {
+                return command.type === 'preset' && command.action === 'recall' && command.preset === 1;
+            });
+        }, 'a recall of preset 1').then(function() {
+            var types = sent(widget).map(function(command) { return command.type; });
+            assert.ok(types.indexOf('stop') !== -1 && types.indexOf('stop') < types.indexOf('preset'),
+                'Expected a stop before the recall, got ' + types.join(', '));
+        });
+    });
+});
+
+test('PTZ tracker: a saved network camera can be a camera\'s video input', function(t) {
+    var NetworkSourceRegistry = app.internals.NetworkSourceRegistry;
+    var PTZCameraRegistry = app.internals.PTZCameraRegistry;
+    var network = NetworkSourceRegistry.save({ name: 'Stage IP', type: 'snapshot', url: 'http://192.168.1.50/snapshot.jpg', intervalMs: 1000 });
+    var camera = PTZCameraRegistry.save({ name: 'Stage', cameraIP: '192.168.1.101', deviceId: 'net:' + network.id });
+    var widget = helpers.mount(app, 'ptz-tracker');
+    t.after(function() {
+        widget.stopAllCameras();
+        widget.unmount();
+        MoonDemo.getSources().forEach(function(source) { MoonDemo.closeSource(source.id); });
+        PTZCameraRegistry.remove(camera.id);
+        NetworkSourceRegistry.remove(network.id);
+    });
+    return widget.refreshCameraDevices().then(function() {
+        var values = Array.prototype.map.call(widget._cameraForm.deviceId.options, function(o) { return o.value; });
+        assert.ok(values.indexOf('net:' + network.id) !== -1, 'Not listed: ' + values.join(', '));
+        widget._simCheckbox.checked = true;
+        widget.startAllCameras();
+        return waitFor(function() { return widget._cameraSessions[0].source; }, 'the video input');
+    }).then(function(source) {
+        assert.strictEqual(source.id, 'net:' + network.id);
+        assert.strictEqual(source.kind, 'network');
+    });
+});
+
+test('PTZ tracker: stopping a camera before its video opens never starts its loop', function(t) {
+    var PTZCameraRegistry = app.internals.PTZCameraRegistry;
+    var camera = PTZCameraRegistry.save({ name: 'Stage', cameraIP: '192.168.1.101', deviceId: 'cam1' });
+    var widget = helpers.mount(app, 'ptz-tracker');
+    t.after(function() {
+        widget.unmount();
+        MoonDemo.getSources().forEach(function(source) { MoonDemo.closeSource(source.id); });
+        PTZCameraRegistry.remove(camera.id);
+    });
+    widget._simCheckbox.checked = true;
+    widget.startAllCameras();
+    var session = widget._cameraSessions[0];
+    // The fake webcam opens on a later tick, so this stop comes first
+    widget.stopAllCameras();
+    return new Promise(function(resolve) { setTimeout(resolve, 100); }).then(function() {
+        assert.strictEqual(session._running, false);
+        assert.strictEqual(session._interval, null);
+        assert.strictEqual(session.source, null);
+        assert.strictEqual(MoonDemo.getSources().length, 0, 'The webcam was left open');
+    });
+});
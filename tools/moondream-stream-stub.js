@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * PTZOptics Visual Reasoning Playground - Stand-in Streaming Moondream Server
+ * ============================================================================
+ *
+ * A fake Moondream server for trying streamed captions and answers without
+ * an API key or a GPU. It speaks the Moondream REST API (what the
+ * "Moondream Station" backend expects) and the OpenAI chat completions API,
+ * ignores the image, and streams canned text a word at a time so the
+ * live rendering and the Cancel button can be watched and tested.
+ *
+ * Usage:
+ *   node tools/moondream-stream-stub.js [--port 2020] [--host 127.0.0.1]
+ *                                       [--delay 120] [--status 200]
+ *
+ *   --delay   ms between streamed words
+ *   --status  HTTP status for every API request (e.g. 500 to test failures)
+ *
+ * In the app, open Backend settings and choose Moondream Station with the
+ * URL http://localhost:2020/v1, or an OpenAI-compatible server with the
+ * URL http://localhost:2020/v1 and any model name.
+ *
+ * No dependencies - Node.js built-in modules only.
+ *
+ * ============================================================================
+ * HTTP API
+ * ============================================================================
+ *
+ * POST /v1/caption   { image_url, length, stream }
+ * POST /v1/query     { image_url, question, stream }
+ *   stream: true  -> text/event-stream of  data: {"chunk": "word "}
+ *                    ending with           data: {"completed": true}
+ *   stream: false -> { caption } or { answer }
+ *
+ * POST /v1/detect    -> { objects: [one box in the middle of the frame] }
+ * POST /v1/point     -> { points: [the middle of the frame] }
+ *
+ * POST /v1/chat/completions { messages, stream }
+ *   stream: true  -> data: {"choices": [{"delta": {"content": "word "}}]} ...
+ *                    data: [DONE]
+ *   stream: false -> { choices: [{ message: { content } }] }
+ *
+ * ============================================================================
+ */
+'use strict';
+
+var http = require('http');
+var url = require('url');
+
+var DEFAULT_PORT = 2020;
+
+var CAPTIONS = {
+    short: 'A person sits at a desk in front of a camera.',
+    normal: 'A person sits at a wooden desk in a brightly lit room, facing the camera. ' +
+        'Behind them is a bookshelf and a window with the blinds half open.',
+    long: 'A person sits at a wooden desk in a brightly lit room, facing the camera and speaking. ' +
+        'Behind them is a tall bookshelf filled with binders and a window with the blinds half open, ' +
+        'letting in soft daylight. A microphone on a small stand sits to their left, and a laptop ' +
+        'is open on the desk beside a coffee mug.'
+};
+var ANSWER = 'This is a stand-in server, so it cannot see the image. It would answer: ';
+
+// ============================================================
+// ARGUMENTS
+// ============================================================
+function parseArgs(argv) {
+    var options = { port: DEFAULT_PORT, host: '127.0.0.1', delay: 120, status: 200 };
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--host') options.host = argv[++i];
+        else if (argv[i] === '--delay') options.delay = parseInt(argv[++i], 10);
+        else if (argv[i] === '--status') options.status = parseInt(argv[++i], 10);
+        else if (argv[i] === '--help') options.help = true;
+    }
+    return options;
+}
+
+// ============================================================
+// REPLIES
+// ============================================================
+/** The text to send for a request, whichever API it came through. */
+function replyText(endpoint, body) {
+    if (endpoint === '/query') return ANSWER + '"' + (body.question || '') + '"';
+    return CAPTIONS[body.length] || CAPTIONS.normal;
+}
+
+/** Words with their trailing space, so the pieces join back exactly. */
+function words(text) {
+    return text.match(/\S+\s*/g) || [];
+}
+
+/**
+ * Stream text as server-sent events, one word per event. Stops early if
+ * the client goes away (the app's Cancel button).
+ *
+ * @param {function} format - Turns a word into the event data
+ * @param {string} last     - Data of the final event
+ */
+function streamEvents(req, res, options, text, format, last) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Access-Control-Allow-Origin': '*'
+    });
+    var pieces = words(text);
+    var i = 0;
+    var timer = null;
+    function next() {
+        if (i < pieces.length) {
+            res.write('data: ' + format(pieces[i++]) + '\n\n');
+            timer = setTimeout(next, options.delay);
+        } else {
+            res.end('data: ' + last + '\n\n');
+        }
+    }
+    res.on('close', function() { clearTimeout(timer); });
+    next();
+}
+
+// ============================================================
+// HTTP SERVER
+// ============================================================
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Moondream-Auth'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function handleMoondream(req, res, options, endpoint, body) {
+    if (endpoint === '/detect') {
+        return sendJson(res, 200, { objects: [{ x_min: 0.35, y_min: 0.2, x_max: 0.65, y_max: 0.8 }] });
+    }
+    if (endpoint === '/point') return sendJson(res, 200, { points: [{ x: 0.5, y: 0.5 }] });
+
+    var text = replyText(endpoint, body);
+    if (!body.stream) {
+        return sendJson(res, 200, endpoint === '/query' ? { answer: text } : { caption: text });
+    }
+    streamEvents(req, res, options, text, function(word) {
+        return JSON.stringify({ chunk: word });
+    }, JSON.stringify({ completed: true }));
+}
+
+function handleChat(req, res, options, body) {
+    // The prompt is free text here, so every chat reply is the caption
+    var text = replyText('/caption', {});
+    if (!body.stream) {
+        return sendJson(res, 200, { choices: [{ message: { role: 'assistant', content: text }, finish_reason: 'stop' }] });
+    }
+    streamEvents(req, res, options, text, function(word) {
+        return JSON.stringify({ choices: [{ index: 0, delta: { content: word }, finish_reason: null }] });
+    }, '[DONE]');
+}
+
+/**
+ * Create the stand-in server.
+ *
+ * @param {object} options - Same fields as the command-line flags
+ * @returns {http.Server}
+ */
+function createServer(options) {
+    var defaults = parseArgs([]);
+    options = options || {};
+    Object.keys(defaults).forEach(function(key) {
+        if (options[key] === undefined) options[key] = defaults[key];
+    });
+
+    return http.createServer(function(req, res) {
+        var pathname = url.parse(req.url).pathname.replace(/^\/v1/, '');
+
+        if (req.method === 'OPTIONS') return sendJson(res, 204, {});
+        if (req.method !== 'POST') return sendJson(res, 404, { error: 'Not found' });
+
+        var chunks = [];
+        req.on('data', function(chunk) { chunks.push(chunk); });
+        req.on('end', function() {
+            var body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+            } catch (e) {
+                return sendJson(res, 400, { error: 'Invalid JSON' });
+            }
+            if (options.status < 200 || options.status >= 300) {
+                return sendJson(res, options.status, { error: 'Stub status ' + options.status });
+            }
+            if (pathname === '/chat/completions') return handleChat(req, res, options, body);
+            if (['/caption', '/query', '/detect', '/point'].indexOf(pathname) >= 0) {
+                return handleMoondream(req, res, options, pathname, body);
+            }
+            sendJson(res, 404, { error: 'Not found' });
+        });
+    });
+}
+
+if (require.main === module) {
+    var options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node tools/moondream-stream-stub.js [--port 2020] [--host 127.0.0.1] ' +
+            '[--delay 120] [--status 200]');
+        process.exit(0);
+    }
+    var server = createServer(options);
+    server.listen(options.port, options.host, function() {
+        console.log('Stand-in Moondream server on http://' + options.host + ':' + options.port + '/v1' +
+            ' (' + options.delay + ' ms between words)');
+    });
+    server.on('request', function(req) {
+        console.log(req.method + ' ' + req.url);
+    });
+}
+
+module.exports = { createServer: createServer };
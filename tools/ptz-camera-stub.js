@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * PTZOptics Visual Reasoning Playground - Stand-in PTZ Camera
+ * ============================================================================
+ *
+ * A fake PTZOptics camera for testing HTTP CGI control without hardware.
+ * It answers /cgi-bin/ptzctrl.cgi like a camera would, optionally behind
+ * Basic or Digest authentication, and records every command it receives
+ * so a test (or a person) can check exactly what the tracker sent.
+ *
+ * Usage:
+ *   node tools/ptz-camera-stub.js [--port 8080] [--host 127.0.0.1]
+ *                                 [--auth none|basic|digest] [--user admin] [--pass admin]
+ *                                 [--status 200] [--delay 0]
+ *
+ *   --status  HTTP status for every CGI request (e.g. 500 to test failures)
+ *   --delay   ms to wait before replying (to test latency reporting)
+ *
+ * Point the tracker at it with IP "127.0.0.1:8080", protocol HTTP CGI and
+ * "Verify through relay" on (tools/ptz-relay.js must be running too).
+ *
+ * No dependencies - Node.js built-in modules only.
+ *
+ * ============================================================================
+ * HTTP API
+ * ============================================================================
+ *
+ * GET /cgi-bin/ptzctrl.cgi?ptzcmd&left&10&10
+ *   Records the command and replies 200 (or --status).
+ *
+ * GET /commands
+ *   Response: { commands: [{ time, query, command, args, authorized }] }
+ *
+ * DELETE /commands
+ *   Clears the recorded commands.
+ *
+ * ============================================================================
+ */
+'use strict';
+
+var http = require('http');
+var crypto = require('crypto');
+var url = require('url');
+
+var DEFAULT_PORT = 8080;
+var REALM = 'PTZ Camera Stub';
+var MAX_RECORDED = 1000;
+
+// ============================================================
+// ARGUMENTS
+// ============================================================
+function parseArgs(argv) {
+    var options = { port: DEFAULT_PORT, host: '127.0.0.1', auth: 'none', user: 'admin', pass: 'admin', status: 200, delay: 0 };
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--host') options.host = argv[++i];
+        else if (argv[i] === '--auth') options.auth = argv[++i];
+        else if (argv[i] === '--user') options.user = argv[++i];
+        else if (argv[i] === '--pass') options.pass = argv[++i];
+        else if (argv[i] === '--status') options.status = parseInt(argv[++i], 10);
+        else if (argv[i] === '--delay') options.delay = parseInt(argv[++i], 10);
+        else if (argv[i] === '--help') options.help = true;
+    }
+    return options;
+}
+
+// ============================================================
+// AUTHENTICATION
+// ============================================================
+function md5(text) {
+    return crypto.createHash('md5').update(text).digest('hex');
+}
+
+/** Parse 'Digest a="b", c=d' into {a: 'b', c: 'd'}. */
+function parseAuthParams(text) {
+    var params = {};
+    var re = /(\w+)=(?:"([^"]*)"|([^\s,]*))/g;
+    var m;
+    while ((m = re.exec(text))) params[m[1].toLowerCase()] = m[2] !== undefined ? m[2] : m[3];
+    return params;
+}
+
+/**
+ * Check the Authorization header. Digest is MD5 with qop=auth, like
+ * PTZOptics firmware. Nonces are issued by this server and remembered.
+ */
+function isAuthorized(req, options, nonces) {
+    if (options.auth === 'none') return true;
+    var header = req.headers.authorization || '';
+
+    if (options.auth === 'basic') {
+        return header === 'Basic ' + Buffer.from(options.user + ':' + options.pass).toString('base64');
+    }
+
+    if (!/^Digest\s/i.test(header)) return false;
+    var p = parseAuthParams(header.slice(7));
+    if (p.username !== options.user || !nonces[p.nonce] || p.uri !== req.url) return false;
+    var ha1 = md5(options.user + ':' + REALM + ':' + options.pass);
+    var ha2 = md5(req.method + ':' + p.uri);
+    var expected = p.qop ?
+        md5([ha1, p.nonce, p.nc, p.cnonce, p.qop, ha2].join(':')) :
+        md5(ha1 + ':' + p.nonce + ':' + ha2);
+    return p.response === expected;
+}
+
+function challenge(options, nonces) {
+    if (options.auth === 'basic') return 'Basic realm="' + REALM + '"';
+    var nonce = crypto.randomBytes(16).toString('hex');
+    nonces[nonce] = true;
+    return 'Digest realm="' + REALM + '", qop="auth", nonce="' + nonce + '", opaque="' + md5(REALM) + '", algorithm=MD5';
+}
+
+// ============================================================
+// HTTP SERVER
+// ============================================================
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the stand-in camera. Recorded commands are on server.commands.
+ *
+ * @param {object} options - Same fields as the command-line flags
+ * @returns {http.Server}
+ */
+function createServer(options) {
+    var defaults = parseArgs([]);
+    options = options || {};
+    Object.keys(defaults).forEach(function(key) {
+        if (options[key] === undefined) options[key] = defaults[key];
+    });
+    var nonces = {};
+
+    var server = http.createServer(function(req, res) {
+        var parsed = url.parse(req.url);
+
+        if (req.method === 'OPTIONS') return sendJson(res, 204, {});
+
+        if (parsed.pathname === '/commands') {
+            if (req.method === 'DELETE') server.commands.length = 0;
+            return sendJson(res, 200, { commands: server.commands });
+        }
+
+        if (req.method === 'GET' && parsed.pathname === '/cgi-bin/ptzctrl.cgi') {
+            var authorized = isAuthorized(req, options, nonces);
+            var args = (parsed.query || '').split('&');
+            server.commands.push({
+                time: new Date().toISOString(),
+                query: parsed.query || '',
+                command: args[1] || '',
+                args: args.slice(2),
+                authorized: authorized
+            });
+            if (server.commands.length > MAX_RECORDED) server.commands.shift();
+
+            return setTimeout(function() {
+                if (!authorized) {
+                    res.writeHead(401, { 'WWW-Authenticate': challenge(options, nonces), 'Content-Type': 'text/plain' });
+                    return res.end('Unauthorized');
+                }
+                res.writeHead(options.status, { 'Content-Type': 'text/plain' });
+                res.end(options.status >= 200 && options.status < 300 ? 'OK' : 'Error');
+            }, options.delay);
+        }
+
+        sendJson(res, 404, { ok: false, error: 'Not found' });
+    });
+
+    server.commands = [];
+    return server;
+}
+
+if (require.main === module) {
+    var options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node tools/ptz-camera-stub.js [--port 8080] [--host 127.0.0.1] ' +
+            '[--auth none|basic|digest] [--user admin] [--pass admin] [--status 200] [--delay 0]');
+        process.exit(0);
+    }
+    var server = createServer(options);
+    server.listen(options.port, options.host, function() {
+        console.log('Stand-in PTZ camera on http://' + options.host + ':' + options.port +
+            ' (auth: ' + options.auth + ')');
+    });
+    server.on('request', function(req) {
+        if (req.url.indexOf('/cgi-bin/') === 0) console.log(req.method + ' ' + req.url);
+    });
+}
+
+module.exports = { createServer: createServer };
@@ -0,0 +1,724 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * PTZOptics Visual Reasoning Playground - PTZ Control Relay
+ * ============================================================================
+ *
+ * Browsers cannot open UDP or raw TCP sockets, so the PTZ Auto-Tracker
+ * cannot speak VISCA to a camera directly. This small relay runs on the
+ * same machine as the browser and forwards VISCA packets on its behalf.
+ *
+ * The relay does no encoding: the page builds the exact bytes (including
+ * the VISCA-over-IP header) and the relay moves them to the camera and
+ * returns whatever comes back.
+ *
+ * It also forwards PTZOptics HTTP CGI requests. A browser can only send
+ * those with no-cors and never sees the reply, so a wrong IP, a powered-off
+ * camera or a rejected login all look like success. Through the relay the
+ * page gets the camera's real HTTP status, and the relay handles Basic and
+ * Digest authentication.
+ *
+ * Finally it passes camera video through (MJPEG streams, HLS playlists and
+ * segments, JPEG snapshots) with CORS headers, so the page can read the
+ * picture of a camera that does not allow cross-origin requests.
+ *
+ * Usage:
+ *   node tools/ptz-relay.js [--port 8787] [--host 127.0.0.1]
+ *                           [--allow-origin https://example.com ...]
+ *                           [--allow-camera camera.example.com ...]
+ *
+ * Only pages this relay trusts may use it: pages served from this
+ * machine (http://localhost or 127.0.0.1, any port), the hosted
+ * playground at https://matthewidavis.github.io, and any origin given
+ * with --allow-origin (repeat it for several; "null" allows pages opened
+ * from a file). A request from any other page is refused with HTTP 403
+ * before anything is sent to a camera. Programs that send no Origin
+ * header (curl, scripts) are allowed. The Host header must name this
+ * machine (localhost, 127.0.0.1 or [::1], or the --host address) and the
+ * relay's port, so a site whose name is pointed at 127.0.0.1 (DNS
+ * rebinding) cannot pass itself off as the relay's own page.
+ *
+ * /media only fetches from addresses on the local network (private,
+ * link-local and loopback), where cameras live, so it cannot be used to
+ * reach arbitrary internet hosts. Allow a camera elsewhere by name or
+ * address with --allow-camera.
+ *
+ * No dependencies - Node.js built-in modules only.
+ *
+ * ============================================================================
+ * HTTP API
+ * ============================================================================
+ *
+ * POST /visca
+ *   Request:  { host: '192.168.1.100', port: 52381, protocol: 'udp'|'tcp',
+ *               packet: '8101060105050303FF', timeout: 500 }
+ *   Response: { ok: true, replies: ['9041FF', '9051FF'], latencyMs: 12 }
+ *             { ok: false, error: 'message' }
+ *
+ * POST /cgi
+ *   Request:  { host: '192.168.1.100', port: 80, path: '/cgi-bin/ptzctrl.cgi',
+ *               query: 'ptzcmd&left&10&10', username: 'admin', password: 'admin',
+ *               timeout: 2000 }
+ *   Response: { ok: true, status: 200, body: '...', auth: 'digest', latencyMs: 18 }
+ *             { ok: false, status: 401, body: '...', auth: 'digest', latencyMs: 9 }
+ *             { ok: false, error: 'message' }     (camera unreachable, HTTP 502)
+ *   path must be under /cgi-bin/ and defaults to /cgi-bin/ptzctrl.cgi.
+ *
+ * GET /media?url=http://192.168.1.100/snapshot.jpg
+ *   Headers:  X-Camera-Username, X-Camera-Password (optional, URI-encoded)
+ *   Streams the camera's reply (status, Content-Type and body) to the page
+ *   with CORS headers, logging in with Basic or Digest like /cgi. The
+ *   camera connection closes when the page stops reading, and the page's
+ *   reply is cut off if the camera drops. url must be http:// or https://.
+ *   Errors: { ok: false, error: 'message' } (HTTP 400, 403 or 502)
+ *
+ * GET /health
+ *   Response: { ok: true }
+ *
+ * Any endpoint, from a page the relay does not trust:
+ *   { ok: false, error: 'message' }     (HTTP 403)
+ *
+ * ============================================================================
+ */
+'use strict';
+
+var http = require('http');
+var https = require('https');
+var dgram = require('dgram');
+var dns = require('dns');
+var net = require('net');
+var crypto = require('crypto');
+
+var DEFAULT_PORT = 8787;
+var DEFAULT_REPLY_TIMEOUT = 500;    // ms to wait for camera replies
+var DEFAULT_CGI_TIMEOUT = 2000;     // ms to wait for an HTTP CGI reply
+var MAX_BODY_BYTES = 16 * 1024;
+var MAX_CGI_REPLY_BYTES = 4096;     // camera reply text returned to the page
+var MEDIA_CONNECT_TIMEOUT = 5000;   // ms to wait for a camera's media reply headers
+var HOSTED_ORIGINS = ['https://matthewidavis.github.io'];
+var LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];   // Host header names for this machine
+
+// ============================================================
+// ARGUMENTS
+// ============================================================
+function parseArgs(argv) {
+    var options = { port: DEFAULT_PORT, host: '127.0.0.1', origins: [], cameras: [] };
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--host') options.host = argv[++i];
+        else if (argv[i] === '--allow-origin') options.origins.push(String(argv[++i]).replace(/\/+$/, ''));
+        else if (argv[i] === '--allow-camera') options.cameras.push(String(argv[++i]).toLowerCase());
+        else if (argv[i] === '--help') options.help = true;
+    }
+    return options;
+}
+
+// ============================================================
+// VISCA HELPERS
+// ============================================================
+function fromHex(hex) {
+    return Buffer.from(String(hex).replace(/[^0-9a-fA-F]/g, ''), 'hex');
+}
+
+function toHex(buffer) {
+    return buffer.toString('hex').toUpperCase();
+}
+
+/**
+ * True when a raw VISCA reply ends the exchange (completion or error).
+ * ACKs (y0 4z FF) are followed by a completion, so keep waiting on those.
+ */
+function isFinalReply(raw) {
+    if (raw.length < 3) return false;
+    var type = raw[1] & 0xF0;
+    return type === 0x50 || type === 0x60;
+}
+
+/** Split a TCP byte stream into VISCA packets (each ends with 0xFF). */
+function splitPackets(buffer) {
+    var packets = [];
+    var start = 0;
+    for (var i = 0; i < buffer.length; i++) {
+        if (buffer[i] === 0xFF) {
+            packets.push(buffer.slice(start, i + 1));
+            start = i + 1;
+        }
+    }
+    return { packets: packets, rest: buffer.slice(start) };
+}
+
+// ============================================================
+// UDP (VISCA over IP, port 52381)
+// ============================================================
+/**
+ * Send one datagram and collect reply datagrams until a completion or
+ * error arrives, or the timeout expires. The page has already added the
+ * 8-byte VISCA-over-IP header, so replies are returned with theirs intact.
+ */
+function sendUdp(host, port, packet, timeout) {
+    return new Promise(function(resolve, reject) {
+        var socket = dgram.createSocket('udp4');
+        var replies = [];
+        var done = false;
+
+        function finish(err) {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            socket.close();
+            if (err) reject(err);
+            else resolve(replies);
+        }
+
+        var timer = setTimeout(function() { finish(); }, timeout);
+
+        socket.on('message', function(msg) {
+            replies.push(msg);
+            // Control replies (payload type 0x0201) have no VISCA body
+            if (msg[0] === 0x02 || isFinalReply(msg.slice(8))) finish();
+        });
+        socket.on('error', finish);
+
+        socket.send(packet, port, host, function(err) {
+            if (err) finish(err);
+        });
+    });
+}
+
+// ============================================================
+// TCP (PTZOptics raw VISCA, port 5678)
+// ============================================================
+/**
+ * One persistent connection per camera. Requests on the same connection
+ * are queued so replies cannot be attributed to the wrong command.
+ */
+var tcpConnections = {};
+
+function getTcpConnection(host, port) {
+    var key = host + ':' + port;
+    var conn = tcpConnections[key];
+    if (conn && !conn.closed) return conn;
+
+    conn = {
+        socket: net.connect(port, host),
+        buffer: Buffer.alloc(0),
+        queue: Promise.resolve(),
+        onPacket: null,
+        closed: false
+    };
+    conn.socket.setNoDelay(true);
+    conn.socket.on('data', function(data) {
+        var split = splitPackets(Buffer.concat([conn.buffer, data]));
+        conn.buffer = split.rest;
+        split.packets.forEach(function(packet) {
+            if (conn.onPacket) conn.onPacket(packet);
+        });
+    });
+    conn.socket.on('error', function(err) {
+        conn.closed = true;
+        conn.lastError = err;
+        if (conn.onPacket) conn.onPacket(null, err);
+    });
+    conn.socket.on('close', function() {
+        conn.closed = true;
+        delete tcpConnections[key];
+    });
+
+    tcpConnections[key] = conn;
+    return conn;
+}
+
+function sendTcp(host, port, packet, timeout) {
+    var conn = getTcpConnection(host, port);
+
+    var exchange = conn.queue.then(function() {
+        return new Promise(function(resolve, reject) {
+            var replies = [];
+            var timer = setTimeout(function() { finish(); }, timeout);
+
+            function finish(err) {
+                clearTimeout(timer);
+                conn.onPacket = null;
+                if (err) reject(err);
+                else resolve(replies);
+            }
+
+            conn.onPacket = function(reply, err) {
+                if (err) return finish(err);
+                replies.push(reply);
+                if (isFinalReply(reply)) finish();
+            };
+
+            if (conn.closed) return finish(conn.lastError || new Error('Connection closed'));
+            conn.socket.write(packet);
+        });
+    });
+
+    // Keep the queue alive even if this exchange fails
+    conn.queue = exchange.catch(function() {});
+    return exchange;
+}
+
+// ============================================================
+// HTTP CGI (PTZOptics ptzctrl.cgi, Basic/Digest auth)
+// ============================================================
+/**
+ * Parse a WWW-Authenticate header into {scheme, params}. When a camera
+ * offers several schemes, Digest is preferred over Basic.
+ */
+function parseChallenge(header) {
+    if (!header) return null;
+    var digestAt = header.search(/Digest\s/i);
+    var text = digestAt >= 0 ? header.slice(digestAt) : header;
+    var match = /^\s*(\w+)\s*(.*)$/.exec(text);
+    if (!match) return null;
+
+    var params = {};
+    var re = /(\w+)=(?:"([^"]*)"|([^\s,]*))/g;
+    var m;
+    while ((m = re.exec(match[2]))) {
+        var key = m[1].toLowerCase();
+        // First value wins, so a trailing Basic realm cannot replace the Digest one
+        if (params[key] === undefined) params[key] = m[2] !== undefined ? m[2] : m[3];
+    }
+    return { scheme: match[1].toLowerCase(), params: params };
+}
+
+function hash(algorithm, text) {
+    return crypto.createHash(algorithm).update(text).digest('hex');
+}
+
+/**
+ * Build a Digest Authorization header (RFC 7616: MD5, MD5-sess, SHA-256
+ * and SHA-256-sess, with qop=auth or no qop).
+ */
+function digestAuthorization(challenge, nc, method, path, username, password) {
+    var p = challenge.params;
+    var algorithm = (p.algorithm || 'MD5').toUpperCase();
+    var hashName = algorithm.indexOf('SHA-256') === 0 ? 'sha256' : 'md5';
+    var qops = (p.qop || '').split(',').map(function(q) { return q.trim(); });
+    var qop = qops.indexOf('auth') !== -1 ? 'auth' : null;
+    var cnonce = crypto.randomBytes(8).toString('hex');
+    var ncHex = ('0000000' + nc.toString(16)).slice(-8);
+
+    var ha1 = hash(hashName, username + ':' + p.realm + ':' + password);
+    if (/-SESS$/.test(algorithm)) ha1 = hash(hashName, ha1 + ':' + p.nonce + ':' + cnonce);
+    var ha2 = hash(hashName, method + ':' + path);
+    var response = qop ?
+        hash(hashName, [ha1, p.nonce, ncHex, cnonce, qop, ha2].join(':')) :
+        hash(hashName, ha1 + ':' + p.nonce + ':' + ha2);
+
+    var parts = [
+        'username="' + username + '"', 'realm="' + p.realm + '"', 'nonce="' + p.nonce + '"',
+        'uri="' + path + '"', 'algorithm=' + (p.algorithm || 'MD5'), 'response="' + response + '"'
+    ];
+    if (p.opaque !== undefined) parts.push('opaque="' + p.opaque + '"');
+    if (qop) parts.push('qop=' + qop, 'nc=' + ncHex, 'cnonce="' + cnonce + '"');
+    return 'Digest ' + parts.join(', ');
+}
+
+function basicAuthorization(username, password) {
+    return 'Basic ' + Buffer.from(username + ':' + password).toString('base64');
+}
+
+/** One GET to the camera; resolves with {status, headers, body}. */
+function cgiGet(host, port, path, authorization, timeout) {
+    return new Promise(function(resolve, reject) {
+        var headers = authorization ? { Authorization: authorization } : {};
+        var req = http.request({ host: host, port: port, path: path, method: 'GET', headers: headers }, function(res) {
+            var chunks = [];
+            var size = 0;
+            res.on('data', function(chunk) {
+                if (size < MAX_CGI_REPLY_BYTES) chunks.push(chunk);
+                size += chunk.length;
+            });
+            res.on('end', function() {
+                clearTimeout(timer);
+                resolve({
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks).toString('utf8').slice(0, MAX_CGI_REPLY_BYTES)
+                });
+            });
+        });
+        var timer = setTimeout(function() {
+            req.destroy(new Error('Camera did not reply within ' + timeout + 'ms'));
+        }, timeout);
+        req.on('error', function(err) {
+            clearTimeout(timer);
+            reject(err);
+        });
+        req.end();
+    });
+}
+
+/**
+ * Last accepted challenge per camera. Reusing it (with an increasing nonce
+ * count) saves a 401 round trip on every command; a stale nonce simply
+ * gets a fresh challenge.
+ */
+var authCache = {};
+
+function authorizationFor(cached, method, path, username, password) {
+    cached.nc++;
+    return cached.challenge.scheme === 'digest' ?
+        digestAuthorization(cached.challenge, cached.nc, method, path, username, password) :
+        basicAuthorization(username, password);
+}
+
+function handleCgi(body) {
+    if (!body.host) throw new Error('Missing camera host');
+    var cgiPath = body.path || '/cgi-bin/ptzctrl.cgi';
+    if (!/^\/cgi-bin\/[\w.-]+$/.test(cgiPath)) throw new Error('path must be a script under /cgi-bin/');
+    if (typeof body.query !== 'string' || !/^[\w&=.,:%-]*$/.test(body.query)) throw new Error('Missing or invalid CGI query');
+
+    var path = cgiPath + (body.query ? '?' + body.query : '');
+    var port = parseInt(body.port, 10) || 80;
+    var timeout = Math.min(parseInt(body.timeout, 10) || DEFAULT_CGI_TIMEOUT, 10000);
+    var username = body.username || '';
+    var password = body.password || '';
+    var key = body.host + ':' + port + ':' + username;
+    var started = Date.now();
+    var auth = 'none';
+
+    var cached = username ? authCache[key] : null;
+    var first = cached ? authorizationFor(cached, 'GET', path, username, password) : null;
+    if (cached) auth = cached.challenge.scheme;
+
+    return cgiGet(body.host, port, path, first, timeout).then(function(res) {
+        if (res.status !== 401 || !username) return res;
+
+        var challenge = parseChallenge(res.headers['www-authenticate']);
+        if (!challenge || (challenge.scheme !== 'digest' && challenge.scheme !== 'basic')) return res;
+        // A second 401 with a fresh challenge means the credentials are wrong
+        if (cached && challenge.params.nonce === cached.challenge.params.nonce && !challenge.params.stale) return res;
+
+        var entry = { challenge: challenge, nc: 0 };
+        auth = challenge.scheme;
+        return cgiGet(body.host, port, path, authorizationFor(entry, 'GET', path, username, password), timeout).then(function(retry) {
+            if (retry.status !== 401) authCache[key] = entry;
+            else delete authCache[key];
+            return retry;
+        });
+    }).then(function(res) {
+        return {
+            ok: res.status >= 200 && res.status < 300,
+            status: res.status,
+            body: res.body,
+            auth: auth,
+            latencyMs: Date.now() - started
+        };
+    });
+}
+
+// ============================================================
+// CAMERA MEDIA (MJPEG, HLS, snapshots)
+// ============================================================
+/** True for loopback, private (RFC 1918), link-local and IPv6 unique local addresses. */
+function isLocalNetworkAddress(address) {
+    if (net.isIPv4(address)) {
+        var b = address.split('.').map(Number);
+        return b[0] === 10 || b[0] === 127 || (b[0] === 172 && b[1] >= 16 && b[1] <= 31) ||
+            (b[0] === 192 && b[1] === 168) || (b[0] === 169 && b[1] === 254);
+    }
+    var v6 = address.toLowerCase();
+    if (v6.indexOf('::ffff:') === 0) return isLocalNetworkAddress(v6.slice(7));
+    return v6 === '::1' || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6);
+}
+
+/**
+ * Resolve a media target and check the relay may fetch from it. Resolves
+ * with a lookup function pinned to the checked address, so a second DNS
+ * answer cannot point the request somewhere else.
+ */
+function checkMediaTarget(target, cameras) {
+    var hostname = target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    return new Promise(function(resolve, reject) {
+        dns.lookup(hostname, function(err, address, family) {
+            if (err) return reject(Object.assign(new Error('Cannot find camera ' + hostname), { status: 502 }));
+            if (cameras.indexOf(hostname) === -1 && cameras.indexOf(address) === -1 && !isLocalNetworkAddress(address)) {
+                return reject(Object.assign(new Error(hostname + ' is not on the local network. To fetch from it, ' +
+                    'restart the relay with: node tools/ptz-relay.js --allow-camera ' + hostname), { status: 403 }));
+            }
+            resolve(function(name, options, callback) {
+                if (options.all) callback(null, [{ address: address, family: family }]);
+                else callback(null, address, family);
+            });
+        });
+    });
+}
+
+/** Start a GET for camera media; resolves with the response once headers arrive. */
+function mediaGet(target, authorization, lookup) {
+    return new Promise(function(resolve, reject) {
+        var headers = authorization ? { Authorization: authorization } : {};
+        var client = target.protocol === 'https:' ? https : http;
+        var req = client.get(target, { headers: headers, lookup: lookup }, function(res) {
+            clearTimeout(timer);
+            resolve(res);
+        });
+        var timer = setTimeout(function() {
+            req.destroy(new Error('Camera did not reply within ' + MEDIA_CONNECT_TIMEOUT + 'ms'));
+        }, MEDIA_CONNECT_TIMEOUT);
+        req.on('error', function(err) {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+
+/** Read a URI-encoded credential header ('' if absent or malformed). */
+function credentialHeader(req, name) {
+    try {
+        return decodeURIComponent(req.headers[name] || '');
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Open camera media for GET /media, answering a Basic or Digest challenge
+ * when credentials are given. Resolves with the camera's response stream.
+ */
+function openMedia(req, query, cameras) {
+    var target;
+    try {
+        target = new URL(query.get('url') || '');
+    } catch (e) {
+        return Promise.reject(Object.assign(new Error('Missing or invalid url'), { status: 400 }));
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+        return Promise.reject(Object.assign(new Error('url must start with http:// or https://'), { status: 400 }));
+    }
+
+    var username = credentialHeader(req, 'x-camera-username');
+    var password = credentialHeader(req, 'x-camera-password');
+    var path = target.pathname + target.search;
+    var key = target.hostname + ':' + (target.port || (target.protocol === 'https:' ? 443 : 80)) + ':' + username;
+    var cached = username ? authCache[key] : null;
+    var lookup;
+
+    return checkMediaTarget(target, cameras).then(function(pinned) {
+        lookup = pinned;
+        return mediaGet(target, cached ? authorizationFor(cached, 'GET', path, username, password) : null, lookup);
+    }).then(function(res) {
+        if (res.statusCode !== 401 || !username) return res;
+        var challenge = parseChallenge(res.headers['www-authenticate']);
+        if (!challenge || (challenge.scheme !== 'digest' && challenge.scheme !== 'basic')) return res;
+        if (cached && challenge.params.nonce === cached.challenge.params.nonce && !challenge.params.stale) return res;
+        res.resume();
+
+        var entry = { challenge: challenge, nc: 0 };
+        return mediaGet(target, authorizationFor(entry, 'GET', path, username, password), lookup).then(function(retry) {
+            if (retry.statusCode !== 401) authCache[key] = entry;
+            else delete authCache[key];
+            return retry;
+        });
+    });
+}
+
+function handleMedia(req, res, query, cameras) {
+    openMedia(req, query, cameras).then(function(camera) {
+        res.writeHead(camera.statusCode, {
+            'Content-Type': camera.headers['content-type'] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        camera.pipe(res);
+        // MJPEG never ends on its own: hang up on the camera when the page does
+        res.on('close', function() { camera.destroy(); });
+        // and cut the page off when the camera drops, so it sees the failure
+        camera.on('error', function() { res.destroy(); });
+        camera.on('aborted', function() { res.destroy(); });
+    }).catch(function(err) {
+        sendJson(res, err.status || 502, { ok: false, error: err.message });
+    });
+}
+
+// ============================================================
+// ORIGIN CHECK
+// ============================================================
+/** Pages served from this machine, on any port. */
+function isLocalOrigin(origin) {
+    return /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(origin);
+}
+
+/**
+ * True if the request may use the relay. Without this any web page the
+ * user visits could drive their cameras through it. A browser names the
+ * page in the Origin header; requests without one come from programs,
+ * unless Sec-Fetch-Site shows a browser loading it for a site (an <img>
+ * or <video> tag sends no Origin). The relay serves no pages, so even a
+ * same-origin request is a page on a rebound name, not one of ours.
+ */
+function isAllowedOrigin(req, origins) {
+    var origin = req.headers.origin;
+    if (!origin) {
+        var site = req.headers['sec-fetch-site'];
+        return !site || site === 'none';
+    }
+    return isLocalOrigin(origin) || origins.indexOf(origin) !== -1;
+}
+
+/**
+ * True if the Host header names this machine on the relay's port. A page
+ * on a name rebound to 127.0.0.1 sends its own name here.
+ *
+ * @param {string[]} hostnames - Names the relay answers to
+ */
+function isAllowedHost(req, hostnames) {
+    var match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(req.headers.host || '');
+    if (!match) return false;
+    var port = match[2] ? parseInt(match[2], 10) : 80;
+    return hostnames.indexOf(match[1].toLowerCase()) !== -1 && port === req.socket.localPort;
+}
+
+/**
+ * CORS headers naming the requesting page, set on every reply. A refused
+ * page gets them too, so it can read why it was refused.
+ */
+function setCorsHeaders(req, res) {
+    if (!req.headers.origin) return;
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Camera-Username, X-Camera-Password');
+    // Chrome asks before a public page (the hosted playground) reaches localhost
+    if (req.headers['access-control-request-private-network']) {
+        res.setHeader('Access-Control-Allow-Private-Network', 'true');
+    }
+}
+
+// ============================================================
+// HTTP SERVER
+// ============================================================
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+    return new Promise(function(resolve, reject) {
+        var chunks = [];
+        var size = 0;
+        req.on('data', function(chunk) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', function() {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (e) {
+                reject(new Error('Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function handleVisca(body) {
+    if (!body.host) throw new Error('Missing camera host');
+    if (body.protocol !== 'udp' && body.protocol !== 'tcp') throw new Error('protocol must be "udp" or "tcp"');
+
+    var packet = fromHex(body.packet);
+    if (packet.length < 3) throw new Error('Missing or invalid VISCA packet');
+
+    var port = parseInt(body.port, 10) || (body.protocol === 'udp' ? 52381 : 5678);
+    var timeout = Math.min(parseInt(body.timeout, 10) || DEFAULT_REPLY_TIMEOUT, 5000);
+    var started = Date.now();
+
+    var send = body.protocol === 'udp' ? sendUdp : sendTcp;
+    return send(body.host, port, packet, timeout).then(function(replies) {
+        return { ok: true, replies: replies.map(toHex), latencyMs: Date.now() - started };
+    });
+}
+
+/**
+ * Create the relay.
+ *
+ * @param {object} [options] - {origins: extra trusted page origins,
+ *                             cameras: media hosts allowed off the local network,
+ *                             host: the address it listens on, also accepted as Host}
+ * @returns {http.Server}
+ */
+function createServer(options) {
+    var origins = HOSTED_ORIGINS.concat((options && options.origins) || []);
+    var cameras = (options && options.cameras) || [];
+    var hostnames = LOCAL_HOSTNAMES.slice();
+    var listenHost = options && options.host;
+    if (listenHost && listenHost !== '0.0.0.0' && listenHost !== '::') {
+        hostnames.push(net.isIPv6(listenHost) ? '[' + listenHost.toLowerCase() + ']' : listenHost.toLowerCase());
+    }
+    return http.createServer(function(req, res) {
+        if (!isAllowedHost(req, hostnames)) {
+            return sendJson(res, 403, {
+                ok: false,
+                error: 'The relay only answers to localhost:' + req.socket.localPort + ', not ' + (req.headers.host || 'a request without a Host header')
+            });
+        }
+        setCorsHeaders(req, res);
+        // A preflight has no effect; the request after it is checked below
+        if (req.method === 'OPTIONS') return sendJson(res, 204, {});
+
+        if (!isAllowedOrigin(req, origins)) {
+            var origin = req.headers.origin || 'another site';
+            return sendJson(res, 403, {
+                ok: false,
+                error: 'Pages from ' + origin + ' may not use this relay. To allow them, restart it with: ' +
+                    'node tools/ptz-relay.js --allow-origin ' + (req.headers.origin || '<origin>')
+            });
+        }
+
+        if (req.method === 'GET' && req.url === '/health') {
+            return sendJson(res, 200, { ok: true });
+        }
+
+        var requestUrl = new URL(req.url, 'http://relay');
+        if (req.method === 'GET' && requestUrl.pathname === '/media') {
+            return handleMedia(req, res, requestUrl.searchParams, cameras);
+        }
+
+        if (req.method === 'POST' && req.url === '/visca') {
+            return readJson(req).then(handleVisca).then(function(result) {
+                sendJson(res, 200, result);
+            }).catch(function(err) {
+                sendJson(res, 502, { ok: false, error: err.message });
+            });
+        }
+
+        if (req.method === 'POST' && req.url === '/cgi') {
+            return readJson(req).then(handleCgi).then(function(result) {
+                sendJson(res, 200, result);
+            }).catch(function(err) {
+                sendJson(res, 502, { ok: false, error: err.message });
+            });
+        }
+
+        sendJson(res, 404, { ok: false, error: 'Not found' });
+    });
+}
+
+if (require.main === module) {
+    var options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node tools/ptz-relay.js [--port 8787] [--host 127.0.0.1] [--allow-origin <origin> ...] ' +
+            '[--allow-camera <host> ...]');
+        process.exit(0);
+    }
+    createServer(options).listen(options.port, options.host, function() {
+        console.log('PTZ relay listening on http://' + options.host + ':' + options.port);
+    });
+}
+
+module.exports = {
+    createServer: createServer,
+    parseArgs: parseArgs,
+    splitPackets: splitPackets,
+    isFinalReply: isFinalReply,
+    parseChallenge: parseChallenge,
+    digestAuthorization: digestAuthorization
+};